@@ -75,6 +75,7 @@ const predictionRoutes = require('./routes/prediction.routes');
 const userRoutes = require('./routes/user.routes');
 const callingAgentRoutes = require('./routes/callingAgent.routes');
 const orderConfirmationRoutes = require('./routes/aicallingdatagether.routes');
+const mockGraphRoutes = require('./routes/mock-graph.routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -195,10 +196,26 @@ app.use(helmet({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: process.env.NODE_ENV === 'development' ? 1000 : 100, // Higher limit for dev
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Shopify and Shiprocket deliver webhooks in bursts from shared IPs - they are verified
+  // instead (Shiprocket's have their own per-user limit below)
+  skip: (req) => req.originalUrl.startsWith('/api/shopify/webhooks') ||
+    req.originalUrl.startsWith('/api/shipping/webhooks/tracking') ||
+    req.originalUrl.startsWith('/api/shipping/webhooks/shiprocket')
 });
 app.use('/api/', limiter);
 
+// Shiprocket tracking webhooks: limited per receiving user (the userId in the URL), not per IP
+const shippingWebhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 300, // a bulk status change can push a few hundred events at once
+  message: 'Too many webhook deliveries, please retry later.',
+  keyGenerator: (req) => `shipping-webhook:${req.params.userId}`,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+app.use(['/api/shipping/webhooks/tracking/:userId', '/api/shipping/webhooks/shiprocket/:userId'], shippingWebhookLimiter);
+
 // Stricter rate limit for authentication endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -271,6 +288,24 @@ app.use(compression({
   level: 6 // Balance between speed and compression
 }));
 
+// Shopify webhooks need the raw body for HMAC verification (and orders exceed 10kb)
+// Must be registered before express.json so the body isn't consumed
+app.use('/api/shopify/webhooks', express.raw({ type: 'application/json', limit: '2mb' }));
+
+// Shiprocket tracking webhooks carry the full scan history (can exceed 10kb)
+app.use('/api/shipping/webhooks', express.json({ limit: '1mb' }));
+
+// Bulk cost CSV imports send thousands of rows in one request
+app.use('/api/data/update-costs', express.json({ limit: '2mb' }));
+
+// Campaign specs with several ad sets and ads
+app.use('/api/meta/campaigns', express.json({ limit: '200kb' }));
+
+// Conversions API batches sent to the local mock Graph endpoint (development only)
+if (!isProduction) {
+  app.use('/mock-graph', express.json({ limit: '2mb' }), mockGraphRoutes);
+}
+
 // Body parsing middleware with size limits and error handling
 app.use(express.json({ 
   limit: '10kb',
@@ -464,6 +499,10 @@ const server = app.listen(PORT, async () => {
   const syncScheduler = require('./services/sync-scheduler.service');
   syncScheduler.start();
   console.log(`🔄 Shopify sync scheduler started`);
+
+  // Rebuild daily rollups that were still pending when the last process stopped
+  const dailyMetricsService = require('./services/daily-metrics.service');
+  dailyMetricsService.resumePending();
 });
 
 // Graceful shutdown handler
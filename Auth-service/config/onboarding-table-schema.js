@@ -73,7 +73,7 @@ module.exports = {
     
     // Step 5: Shipping Account Connection
     step5: {
-      platform: 'String (Shiprocket, Shipway, Dilevery, Ithink Logistics)',
+      platform: 'String (Shiprocket, Shipway, Delhivery, Ithink Logistics, Nimbuspost)',
       completedAt: 'String (ISO DateTime)'
     }
   }
@@ -6,6 +6,19 @@
 const { QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
 const { getCache, setCache, isRedisConnected } = require('../config/redis.config');
+const productCostService = require('../services/product-cost.service');
+const dailyMetricsService = require('../services/daily-metrics.service');
+const storeTimezoneService = require('../services/store-timezone.service');
+const cohortService = require('../services/cohort.service');
+const customerAnalyticsService = require('../services/customer-analytics.service');
+const metaInsightsService = require('../services/meta-insights.service');
+const shiprocketWebhookService = require('../services/shiprocket-webhook.service');
+const shiprocketTokenService = require('../services/shiprocket-token.service');
+const attributionService = require('../services/attribution.service');
+const currencyService = require('../services/currency.service');
+const { getSelectedAccountIds } = require('../utils/meta-accounts');
+const { decryptCredentials } = require('../utils/credential-crypto');
+const { toStoreDate, getStoreToday, addDays } = require('../utils/timezone');
 
 // Fallback in-memory cache (used when Redis is unavailable)
 const dashboardCache = new Map();
@@ -100,6 +113,10 @@ setInterval(clearExpiredCache, 10 * 60 * 1000);
  * performs calculations, and returns a consolidated dashboard object.
  * Supports caching and forced refresh.
  *
+ * Optional comparison (query):
+ *   compareTo=previous_period | previous_year | custom (with compareStartDate, compareEndDate)
+ * adds a delta / percentage change to every card and a per-series comparison for every chart.
+ *
  * @route GET /api/data/dashboard
  * @access Protected
  * @param {object} req - Express request object containing user ID and query params.
@@ -110,192 +127,576 @@ async function getDashboardData(req, res) {
 
   try {
     const userId = req.user.userId;
-    const { startDate, endDate, forceRefresh } = req.query;
+    const { startDate, endDate, forceRefresh, compareTo } = req.query;
+
+    // Resolve the comparison range first so a bad compareTo fails before any heavy work
+    let comparisonRange = null;
+    if (compareTo) {
+      comparisonRange = resolveComparisonRange(compareTo, startDate, endDate, req.query);
+      if (comparisonRange.error) {
+        return res.status(400).json({
+          error: 'Invalid comparison range',
+          message: comparisonRange.error
+        });
+      }
+    }
 
-    // Create cache key with version to bust cache when calculation changes
-    // Increment version when revenue calculation logic changes
-    const CACHE_VERSION = 'v4'; // Changed to v4 to fix order counting logic (include all orders, not just valid ones)
-    const cacheKey = `dashboard:${CACHE_VERSION}:${userId}:${startDate}:${endDate}`;
+    const dashboardData = await compileDashboardData(userId, startDate, endDate, !!forceRefresh);
 
-    // Check cache first (unless forceRefresh is requested)
-    if (!forceRefresh) {
-      const cachedData = await getCachedDashboard(cacheKey);
-      if (cachedData) {
-        const duration = Date.now() - startTime;
-        console.log(`⚡ Returning cached dashboard data (${duration}ms)`);
-        return res.json(cachedData);
-      }
-    } else {
-      console.log(`🔄 Force refresh requested, skipping cache`);
+    if (dashboardData.syncInProgress || !comparisonRange) {
+      return res.json(dashboardData);
     }
 
-    console.log(`\n📊 Fetching fresh dashboard data for user: ${userId}`);
-    console.log(`   Date range: ${startDate} to ${endDate}`);
+    // Each range is compiled (and cached) on its own, so switching comparisons stays cheap
+    console.log(`   Comparing with ${comparisonRange.startDate} to ${comparisonRange.endDate} (${compareTo})`);
+    const previousData = await compileDashboardData(userId, comparisonRange.startDate, comparisonRange.endDate, !!forceRefresh);
 
-    // Check Shopify sync status first
-    const shopifyBackgroundSync = require('../services/shopify-background-sync.service');
-    const syncStatus = await shopifyBackgroundSync.getSyncStatus(userId);
+    const duration = Date.now() - startTime;
+    console.log(`✅ Dashboard comparison compiled in ${duration}ms`);
 
-    // If sync is actively in progress, return sync status
-    if (syncStatus && syncStatus.status === 'in_progress') {
-      console.log(`🔄 Sync in progress for user: ${userId}`);
-      return res.json({
-        syncInProgress: true,
-        syncStatus: syncStatus,
-        message: 'We are syncing your Shopify data. Please wait...'
-      });
+    res.json(applyComparison(dashboardData, previousData, { compareTo, ...comparisonRange }));
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(`❌ Dashboard data error after ${duration}ms:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch dashboard data',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Compiles dashboard data for a single date range.
+ * Uses the daily rollups when they cover the range, otherwise the raw orders.
+ * Results are cached per range (unless forceRefresh).
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {string} startDate - Start date (YYYY-MM-DD, store-local).
+ * @param {string} endDate - End date (YYYY-MM-DD, store-local).
+ * @param {boolean} forceRefresh - Skip the cache and Shiprocket cache.
+ * @returns {Promise<object>} Dashboard data, or { syncInProgress } while a Shopify sync is running.
+ */
+async function compileDashboardData(userId, startDate, endDate, forceRefresh) {
+  const startTime = Date.now();
+
+  // Create cache key with version to bust cache when calculation changes
+  // Increment version when revenue calculation logic changes
+  const CACHE_VERSION = 'v7'; // Changed to v7 for store-currency marketing cards
+  const cacheKey = `dashboard:${CACHE_VERSION}:${userId}:${startDate}:${endDate}`;
+
+  // Check cache first (unless forceRefresh is requested)
+  if (!forceRefresh) {
+    const cachedData = await getCachedDashboard(cacheKey);
+    if (cachedData) {
+      const duration = Date.now() - startTime;
+      console.log(`⚡ Returning cached dashboard data (${duration}ms)`);
+      return cachedData;
     }
+  } else {
+    console.log(`🔄 Force refresh requested, skipping cache`);
+  }
 
-    // Data is stored in DynamoDB during onboarding - just proceed to fetch
-    // No need to check for "needsSync" since data should already be there
-    console.log(`📊 Fetching dashboard data from DynamoDB...`);
+  console.log(`\n📊 Fetching fresh dashboard data for user: ${userId}`);
+  console.log(`   Date range: ${startDate} to ${endDate}`);
 
-    // Fetch data from all tables in parallel
-    let [
-      shopifyProducts,
-      shopifyOrders, // shopifyCustomers removed (unused)
-      shopifyConnection,
-      metaConnection,
-      metaInsights,
-      shippingConnection,
-      shiprocketShipments,
-      onboardingData,
-      businessExpenses
-    ] = await Promise.all([
-      getShopifyProducts(userId),
-      getShopifyOrders(userId, startDate, endDate),
-      // getShopifyCustomers(userId), // REMOVED: Unused and heavy
-      getShopifyConnection(userId),
-      getMetaConnection(userId),
-      getMetaInsights(userId, startDate, endDate),
-      getShippingConnection(userId),
-      getShiprocketShipments(userId, startDate, endDate, { forceRefresh: !!forceRefresh }),
-      getOnboardingData(userId),
-      getBusinessExpenses(userId)
-    ]);
+  // Check Shopify sync status first
+  const shopifyBackgroundSync = require('../services/shopify-background-sync.service');
+  const syncStatus = await shopifyBackgroundSync.getSyncStatus(userId);
+
+  // If sync is actively in progress, return sync status
+  if (syncStatus && syncStatus.status === 'in_progress') {
+    console.log(`🔄 Sync in progress for user: ${userId}`);
+    return {
+      syncInProgress: true,
+      syncStatus: syncStatus,
+      message: 'We are syncing your Shopify data. Please wait...'
+    };
+  }
 
-    // Skip auto-sync since we're fetching directly from Shiprocket API
-    console.log(`🔍 Shiprocket Debug:`);
-    console.log(`   Connection exists: ${!!shippingConnection}`);
-    console.log(`   Has token: ${!!(shippingConnection && shippingConnection.token)}`);
-    console.log(`   Using direct API calls (no database dependency)`);
-    console.log(`   Platform: ${shippingConnection?.platform}`);
+  // startDate / endDate are calendar days in the store's timezone
+  const timezone = await storeTimezoneService.getTimezone(userId);
 
-    // OPTIMIZATION: Pre-process data once to avoid repeated loops
-    // 1. Create Product Cost Map
-    const productMap = new Map();
-    if (onboardingData?.step3?.productCosts) {
-      onboardingData.step3.productCosts.forEach(p => {
-        if (p.productId) productMap.set(p.productId.toString(), parseFloat(p.cost) || 0);
-      });
+  // Fast path: sum pre-aggregated daily rollups when they cover the whole range
+  if (startDate && endDate) {
+    // Shiprocket without tracking webhooks is only refreshed here (the daily sync skips it);
+    // shipments whose status changed mark their days dirty, which sends the range down the raw path
+    const shippingConnection = await getShippingConnection(userId);
+    if (shippingConnection?.platform?.toLowerCase() === 'shiprocket' && !shiprocketWebhookService.isReceiving(shippingConnection)) {
+      await getShiprocketShipments(userId, startDate, endDate, { forceRefresh });
     }
-    shopifyProducts.forEach(p => {
-      if (p.productId && !productMap.has(p.productId.toString())) {
-        productMap.set(p.productId.toString(), p.manufacturingCost || 0);
-      }
-    });
 
-    // 2. Deduplicate Shopify Orders
-    const uniqueOrdersMap = new Map();
-    shopifyOrders.forEach(o => {
-      const key = o.id ? o.id.toString() : (o.orderNumber ? o.orderNumber.toString() : null);
-      if (key) uniqueOrdersMap.set(key, o);
-    });
-    let allUniqueOrders = Array.from(uniqueOrdersMap.values());
+    const rollupDays = await dailyMetricsService.getRange(userId, startDate, endDate);
 
-    // 3. Filter out test orders and drafts (these should not be counted at all)
-    const uniqueOrders = allUniqueOrders.filter(order => {
-      const isTest = order.test === true;
-      const isDraft = !order.name && !order.orderNumber;
-      return !isTest && !isDraft;
-    });
+    if (dailyMetricsService.coversRange(userId, rollupDays, startDate, endDate, timezone)) {
+      const dashboardData = await buildDashboardFromRollups(userId, rollupDays, startDate, endDate, timezone);
+      await setCachedDashboard(cacheKey, dashboardData);
 
-    // 4. Filter Valid Orders (exclude cancelled/refunded/voided for revenue calculations)
-    const validOrders = uniqueOrders.filter(order => {
-      const financialStatus = (order.financialStatus || '').toLowerCase();
-      return !(financialStatus === 'refunded' || financialStatus === 'voided' || financialStatus === 'cancelled');
-    });
+      const duration = Date.now() - startTime;
+      console.log(`✅ Dashboard data compiled from ${rollupDays.length} daily rollups in ${duration}ms\n`);
+      return dashboardData;
+    }
 
-    console.log(`📊 Optimization: Pre-processed ${shopifyOrders.length} orders -> ${allUniqueOrders.length} unique -> ${uniqueOrders.length} real orders (excl. test/draft) -> ${validOrders.length} valid (excl. cancelled)`);
+    // Backfill missing days so the next request can use the fast path
+    dailyMetricsService.markRangeDirty(userId, startDate, endDate);
+  }
 
-    // Calculate all metrics in parallel for better performance
-    const [
-      summary,
-      performanceChartData,
-      marketing,
-      marketingChart,
-      customerTypeByDay,
-      website,
-      products,
-      shipping,
-      orderTypeData
-    ] = await Promise.all([
-      Promise.resolve(calculateSummary(validOrders, uniqueOrders, productMap, metaInsights, shiprocketShipments, businessExpenses)),
-      Promise.resolve(calculatePerformanceData(shopifyOrders, startDate, endDate, businessExpenses)),
-      Promise.resolve(calculateMarketingMetrics(metaInsights, validOrders)),
-      Promise.resolve(calculateMarketingChart(metaInsights, startDate, endDate)),
-      Promise.resolve(calculateCustomerTypeData(shopifyOrders, startDate, endDate)),
-      Promise.resolve(calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsights, shiprocketShipments, businessExpenses)),
-      Promise.resolve(calculateProductRankings(validOrders, productMap)),
-      Promise.resolve(calculateShippingMetrics(shiprocketShipments, shopifyOrders)),
-      Promise.resolve(calculateOrderTypeData(validOrders))
-    ]);
+  // Data is stored in DynamoDB during onboarding - just proceed to fetch
+  // No need to check for "needsSync" since data should already be there
+  console.log(`📊 Fetching dashboard data from DynamoDB...`);
+
+  // Fetch data from all tables in parallel
+  let [
+    shopifyProducts,
+    shopifyOrders, // shopifyCustomers removed (unused)
+    shopifyConnection,
+    metaConnection,
+    metaInsights,
+    shippingConnection,
+    shiprocketShipments,
+    onboardingData,
+    businessExpenses,
+    costHistory,
+    currency
+  ] = await Promise.all([
+    getShopifyProducts(userId),
+    getShopifyOrders(userId, startDate, endDate, timezone),
+    // getShopifyCustomers(userId), // REMOVED: Unused and heavy
+    getShopifyConnection(userId),
+    getMetaConnection(userId),
+    getMetaInsights(userId, startDate, endDate),
+    getShippingConnection(userId),
+    getShiprocketShipments(userId, startDate, endDate, { forceRefresh }),
+    getOnboardingData(userId),
+    getBusinessExpenses(userId),
+    productCostService.getCostHistory(userId),
+    currencyService.getStoreCurrency(userId)
+  ]);
+
+  // Skip auto-sync since we're fetching directly from Shiprocket API
+  console.log(`🔍 Shiprocket Debug:`);
+  console.log(`   Connection exists: ${!!shippingConnection}`);
+  console.log(`   Has token: ${!!(shippingConnection && shippingConnection.token)}`);
+  console.log(`   Using direct API calls (no database dependency)`);
+  console.log(`   Platform: ${shippingConnection?.platform}`);
+
+  // OPTIMIZATION: Pre-process data once to avoid repeated loops
+  // 1. Create Product Cost Map
+  const productMap = buildProductCostResolver(onboardingData, shopifyProducts, costHistory, timezone);
+
+  // 2. Deduplicate Shopify Orders
+  const uniqueOrdersMap = new Map();
+  shopifyOrders.forEach(o => {
+    const key = o.id ? o.id.toString() : (o.orderNumber ? o.orderNumber.toString() : null);
+    if (key) uniqueOrdersMap.set(key, o);
+  });
+  let allUniqueOrders = Array.from(uniqueOrdersMap.values());
 
-    // Get shipping cost from summary cards (this uses the correct value from Shiprocket)
-    const shippingCostCard = summary.find(c => c.title === 'Shipping Cost');
-    const correctShippingCost = shippingCostCard ? parseFloat(shippingCostCard.value.replace(/[^0-9.-]/g, '')) : 0;
+  // 3. Filter out test orders and drafts (these should not be counted at all)
+  const uniqueOrders = allUniqueOrders.filter(order => {
+    const isTest = order.test === true;
+    const isDraft = !order.name && !order.orderNumber;
+    return !isTest && !isDraft;
+  });
 
-    // Calculate financial breakdown with correct shipping cost
-    const financialsBreakdownData = calculateFinancialBreakdown(validOrders, productMap, metaInsights, shiprocketShipments, businessExpenses, correctShippingCost);
+  // 4. Filter Valid Orders (exclude cancelled/refunded/voided for revenue calculations)
+  const validOrders = uniqueOrders.filter(order => {
+    const financialStatus = (order.financialStatus || '').toLowerCase();
+    return !(financialStatus === 'refunded' || financialStatus === 'voided' || financialStatus === 'cancelled');
+  });
 
-    const dashboardData = {
-      summary,
-      performanceChartData,
-      financialsBreakdownData,
-      marketing,
-      charts: {
-        marketing: marketingChart,
-        customerTypeByDay
-      },
-      website,
-      products,
-      shipping,
-      orderTypeData,
-      connections: {
-        shopify: !!shopifyConnection,
-        meta: !!metaConnection,
-        shipping: !!shippingConnection
-      },
-      syncStatus: {
-        shopifyInitialSyncCompleted: shopifyConnection?.initialSyncCompleted || false,
-        lastSyncAt: shopifyConnection?.syncCompletedAt || null
-      },
-      onboarding: onboardingData,
-      shopifyOrders // Add raw orders for OrderConfirmation page
-    };
+  console.log(`📊 Optimization: Pre-processed ${shopifyOrders.length} orders -> ${allUniqueOrders.length} unique -> ${uniqueOrders.length} real orders (excl. test/draft) -> ${validOrders.length} valid (excl. cancelled)`);
+
+  // Calculate all metrics in parallel for better performance
+  const [
+    summary,
+    performanceChartData,
+    marketing,
+    marketingChart,
+    customerTypeByDay,
+    website,
+    products,
+    shipping,
+    orderTypeData
+  ] = await Promise.all([
+    Promise.resolve(calculateSummary(validOrders, uniqueOrders, productMap, metaInsights, shiprocketShipments, businessExpenses)),
+    Promise.resolve(calculatePerformanceData(shopifyOrders, startDate, endDate, businessExpenses, timezone)),
+    Promise.resolve(calculateMarketingMetrics(metaInsights, validOrders, metaConnection, currency)),
+    Promise.resolve(calculateMarketingChart(metaInsights, startDate, endDate)),
+    Promise.resolve(calculateCustomerTypeData(shopifyOrders, startDate, endDate, timezone)),
+    Promise.resolve(calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsights, shiprocketShipments, businessExpenses, timezone)),
+    Promise.resolve(calculateProductRankings(validOrders, productMap)),
+    Promise.resolve(calculateShippingMetrics(shiprocketShipments, shopifyOrders)),
+    Promise.resolve(calculateOrderTypeData(validOrders))
+  ]);
+
+  // Get shipping cost from summary cards (this uses the correct value from Shiprocket)
+  const shippingCostCard = summary.find(c => c.title === 'Shipping Cost');
+  const correctShippingCost = shippingCostCard ? parseFloat(shippingCostCard.value.replace(/[^0-9.-]/g, '')) : 0;
+
+  // Calculate financial breakdown with correct shipping cost
+  const financialsBreakdownData = calculateFinancialBreakdown(validOrders, productMap, metaInsights, shiprocketShipments, businessExpenses, correctShippingCost);
+
+  const dashboardData = {
+    summary,
+    performanceChartData,
+    financialsBreakdownData,
+    marketing,
+    charts: {
+      marketing: marketingChart,
+      customerTypeByDay
+    },
+    website,
+    products,
+    shipping,
+    orderTypeData,
+    connections: {
+      shopify: !!shopifyConnection,
+      meta: !!metaConnection,
+      shipping: !!shippingConnection
+    },
+    syncStatus: {
+      shopifyInitialSyncCompleted: shopifyConnection?.initialSyncCompleted || false,
+      lastSyncAt: shopifyConnection?.syncCompletedAt || null
+    },
+    onboarding: onboardingData,
+    source: 'orders',
+    shopifyOrders // Add raw orders for OrderConfirmation page
+  };
 
-    // Cache the data (reuse cacheKey from above) - await since it's async
-    await setCachedDashboard(cacheKey, dashboardData);
+  // Cache the data (reuse cacheKey from above) - await since it's async
+  await setCachedDashboard(cacheKey, dashboardData);
 
-    const duration = Date.now() - startTime;
-    console.log(`✅ Dashboard data compiled successfully in ${duration}ms\n`);
+  const duration = Date.now() - startTime;
+  console.log(`✅ Dashboard data compiled successfully in ${duration}ms\n`);
+
+  if (duration > 2000) {
+    console.warn(`⚠️  Slow response: ${duration}ms - Consider optimization`);
+  }
+
+  return dashboardData;
+}
+
+/**
+ * Builds the dashboard payload from daily rollups instead of raw orders.
+ * Orders, ad spend and shipments all come from the rollup totals, so a load
+ * reads O(days) items and never calls Meta or the shipping aggregator.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {Array} rollupDays - daily_metrics items for the range.
+ * @param {string} startDate - Start date (YYYY-MM-DD).
+ * @param {string} endDate - End date (YYYY-MM-DD).
+ * @param {string} timezone - Store IANA timezone.
+ * @returns {Promise<object>} Dashboard data in the same shape as the raw-order path.
+ */
+async function buildDashboardFromRollups(userId, rollupDays, startDate, endDate, timezone) {
+  const [
+    shopifyConnection,
+    metaConnection,
+    shippingConnection,
+    onboardingData,
+    businessExpenses,
+    currency
+  ] = await Promise.all([
+    getShopifyConnection(userId),
+    getMetaConnection(userId),
+    getShippingConnection(userId),
+    getOnboardingData(userId),
+    getBusinessExpenses(userId),
+    currencyService.getStoreCurrency(userId)
+  ]);
+
+  const totals = dailyMetricsService.sumDays(rollupDays);
+  const metaInsights = dailyMetricsService.toInsightRows(rollupDays);
+  const shipmentTotals = {
+    shippingCost: totals.shippingCost,
+    rtoCount: totals.rtoShipments,
+    inTransitCount: totals.openShipments
+  };
+  const today = getStoreToday(timezone);
+  const todayRollup = rollupDays.find(day => day.date === today);
+
+  const summary = buildSummaryCards(
+    {
+      totalOrders: totals.totalOrders,
+      cancelledOrders: totals.cancelledOrders,
+      revenue: totals.revenue,
+      prepaidRevenue: totals.prepaidRevenue,
+      cogs: totals.cogs
+    },
+    metaInsights,
+    shipmentTotals,
+    businessExpenses
+  );
+
+  const performanceChartData = buildPerformanceData(
+    rollupDays
+      .filter(day => day.chartOrders > 0)
+      .map(day => ({ date: day.date, revenue: day.chartRevenue, orders: day.chartOrders })),
+    businessExpenses
+  );
+
+  const customerTypeByDay = buildCustomerTypeData(
+    rollupDays
+      .filter(day => day.newCustomers > 0 || day.returningCustomers > 0)
+      .map(day => ({ date: day.date, new: day.newCustomers, returning: day.returningCustomers }))
+  );
+
+  const website = buildWebsiteMetrics(
+    {
+      totalCustomers: totals.uniqueCustomers,
+      ordersToday: todayRollup ? todayRollup.validOrders : 0,
+      revenue: totals.netRevenue,
+      cogs: totals.cogs,
+      orderCount: totals.validOrders,
+      prepaidOrders: totals.paidOrders
+    },
+    metaInsights,
+    shipmentTotals,
+    businessExpenses
+  );
+
+  const productSales = {};
+  Object.entries(totals.products).forEach(([productId, p]) => {
+    productSales[productId] = { id: productId, name: p.name, sales: p.units, total: p.revenue, cogs: p.cogs };
+  });
+
+  let shipping;
+  if (totals.shipments > 0) {
+    shipping = buildShippingMetrics(totals);
+  } else {
+    // Same fallback as calculateShippingMetrics, from rolled-up fulfillment counts
+    const deliveryRate = totals.totalOrders > 0 ? (totals.fulfilledOrders / totals.totalOrders) * 100 : 0;
+    shipping = [
+      { title: 'Total Shipments', value: totals.totalOrders.toString(), formula: 'Total number of orders' },
+      { title: 'Delivered', value: totals.fulfilledOrders.toString(), formula: 'Successfully delivered orders' },
+      { title: 'In-Transit', value: totals.unfulfilledOrders.toString(), formula: 'Orders in transit' },
+      { title: 'RTO', value: '-', formula: 'Reconnect Shiprocket in Settings' },
+      { title: 'NDR Pending', value: '-', formula: 'Reconnect Shiprocket in Settings' },
+      { title: 'Delivery Rate', value: `${deliveryRate.toFixed(2)}%`, formula: '(Delivered / Total) × 100' },
+      { title: 'RTO Rate', value: '-', formula: 'Reconnect Shiprocket in Settings' },
+      { title: 'Prepaid Orders', value: totals.paidOrders.toString(), formula: 'Prepaid payment orders' },
+      { title: 'COD', value: (totals.totalOrders - totals.paidOrders).toString(), formula: 'Cash on delivery orders' },
+      { title: 'Pickup Pending', value: '-', formula: 'Reconnect Shiprocket in Settings' }
+    ];
+  }
+
+  const shippingCostCard = summary.find(c => c.title === 'Shipping Cost');
+  const correctShippingCost = shippingCostCard ? parseFloat(shippingCostCard.value.replace(/[^0-9.-]/g, '')) : 0;
+
+  return {
+    summary,
+    performanceChartData,
+    financialsBreakdownData: buildFinancialBreakdown(
+      { revenue: totals.netRevenue, cogs: totals.cogs, prepaidRevenue: totals.nonCodRevenue },
+      metaInsights,
+      shipmentTotals,
+      businessExpenses,
+      correctShippingCost
+    ),
+    marketing: buildMarketingMetrics(metaInsights, totals.netRevenue, metaConnection, currency),
+    charts: {
+      marketing: calculateMarketingChart(metaInsights, startDate, endDate),
+      customerTypeByDay
+    },
+    website,
+    products: buildProductRankings(productSales),
+    shipping,
+    orderTypeData: buildOrderTypeData(totals.prepaidOrders, totals.codOrders),
+    connections: {
+      shopify: !!shopifyConnection,
+      meta: !!metaConnection,
+      shipping: !!shippingConnection
+    },
+    syncStatus: {
+      shopifyInitialSyncCompleted: shopifyConnection?.initialSyncCompleted || false,
+      lastSyncAt: shopifyConnection?.syncCompletedAt || null
+    },
+    onboarding: onboardingData,
+    source: 'rollup',
+    shopifyOrders: []
+  };
+}
+
+// Period-over-period comparison
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cards where an increase is bad news (drives the red/green delta in the UI)
+const LOWER_IS_BETTER = /cogs|cost|spend|expense|fees|cancel|rto|lost|cpp|ndr/i;
+
+// Numeric series compared for each chart (summed over the period)
+const CHART_SERIES = {
+  performance: { path: ['performanceChartData'], keys: ['revenue', 'totalCosts', 'netProfit', 'orders'] },
+  marketing: { path: ['charts', 'marketing'], keys: ['spend', 'reach', 'linkClicks'] },
+  customerTypeByDay: { path: ['charts', 'customerTypeByDay'], keys: ['newCustomers', 'returningCustomers'] }
+};
+
+const FINANCIAL_KEYS = ['revenue', 'totalCosts', 'netProfit', 'cogs', 'adSpend', 'shippingCost', 'businessExpenses'];
 
-    if (duration > 2000) {
-      console.warn(`⚠️  Slow response: ${duration}ms - Consider optimization`);
+/**
+ * Resolves the date range to compare against.
+ * @param {string} compareTo - previous_period | previous_year | custom.
+ * @param {string} startDate - Selected start date (YYYY-MM-DD).
+ * @param {string} endDate - Selected end date (YYYY-MM-DD).
+ * @param {object} query - Request query (compareStartDate / compareEndDate for custom).
+ * @returns {object} { startDate, endDate } or { error }.
+ */
+function resolveComparisonRange(compareTo, startDate, endDate, query) {
+  if (!DATE_ONLY.test(startDate || '') || !DATE_ONLY.test(endDate || '') || startDate > endDate) {
+    return { error: 'startDate and endDate (YYYY-MM-DD) are required for comparisons' };
+  }
+
+  switch (compareTo) {
+    case 'previous_period': {
+      // Same number of days, ending the day before the selected range starts
+      const days = dailyMetricsService.getDaysInRange(startDate, endDate).length;
+      const previousEnd = addDays(startDate, -1);
+      return { startDate: addDays(previousEnd, -(days - 1)), endDate: previousEnd };
     }
 
-    res.json(dashboardData);
+    case 'previous_year': {
+      const shiftYear = (date) => {
+        const [year, month, day] = date.split('-').map(Number);
+        // Feb 29 -> Feb 28 in non-leap years
+        const lastDay = new Date(Date.UTC(year - 1, month, 0)).getUTCDate();
+        return `${year - 1}-${String(month).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+      };
+      return { startDate: shiftYear(startDate), endDate: shiftYear(endDate) };
+    }
 
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error(`❌ Dashboard data error after ${duration}ms:`, error);
-    res.status(500).json({
-      error: 'Failed to fetch dashboard data',
-      message: error.message
-    });
+    case 'custom': {
+      const { compareStartDate, compareEndDate } = query;
+      if (!DATE_ONLY.test(compareStartDate || '') || !DATE_ONLY.test(compareEndDate || '')) {
+        return { error: 'compareStartDate and compareEndDate (YYYY-MM-DD) are required for a custom comparison' };
+      }
+      if (compareStartDate > compareEndDate) {
+        return { error: 'compareStartDate must be on or before compareEndDate' };
+      }
+      return { startDate: compareStartDate, endDate: compareEndDate };
+    }
+
+    default:
+      return { error: `Unknown compareTo "${compareTo}" (use previous_period, previous_year or custom)` };
   }
 }
 
+/**
+ * Delta and percentage change between two numbers.
+ * percentChange is null when the previous value is 0 (no meaningful base).
+ */
+function compareValues(current, previous) {
+  const delta = current - previous;
+  return {
+    current,
+    previous,
+    delta: Math.round(delta * 100) / 100,
+    percentChange: previous !== 0 ? Math.round((delta / Math.abs(previous)) * 10000) / 100 : null
+  };
+}
+
+/**
+ * Numeric value of a formatted card value ("₹1,23,456", "12.5%", "2.40", 42).
+ * @returns {number|null} null for non-numeric cards (e.g. "-", "Scale").
+ */
+function parseCardValue(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  const cleaned = value.replace(/[^0-9.-]/g, '');
+  if (!cleaned || !/\d/.test(cleaned)) return null;
+  const number = parseFloat(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Adds a comparison block to each card that has a numeric counterpart in the previous period.
+ */
+function compareCards(cards, previousCards) {
+  return (cards || []).map(card => {
+    const previousCard = (previousCards || []).find(c => c.title === card.title);
+    const current = parseCardValue(card.value);
+    const previous = previousCard ? parseCardValue(previousCard.value) : null;
+
+    if (current === null || previous === null) return card;
+
+    const { delta, percentChange } = compareValues(current, previous);
+    const lowerIsBetter = LOWER_IS_BETTER.test(card.title);
+
+    return {
+      ...card,
+      comparison: {
+        previousValue: previousCard.value,
+        delta,
+        percentChange,
+        favorable: delta === 0 ? null : (lowerIsBetter ? delta < 0 : delta > 0)
+      }
+    };
+  });
+}
+
+/**
+ * Sums each series of a chart over the period and compares the totals.
+ */
+function compareSeries(points, previousPoints, keys) {
+  const sum = (list, key) => (list || []).reduce((total, point) => total + (parseFloat(point[key]) || 0), 0);
+  const series = {};
+  keys.forEach(key => {
+    series[key] = compareValues(sum(points, key), sum(previousPoints, key));
+  });
+  return series;
+}
+
+/**
+ * Merges a previous-period dashboard into the current one:
+ * cards get a `comparison` block, charts get per-series totals plus the previous points.
+ *
+ * @param {object} current - Dashboard data for the selected range.
+ * @param {object} previous - Dashboard data for the comparison range.
+ * @param {object} range - { compareTo, startDate, endDate } of the comparison.
+ * @returns {object} Dashboard data with comparison fields.
+ */
+function applyComparison(current, previous, range) {
+  const getPath = (data, path) => path.reduce((value, key) => (value ? value[key] : undefined), data);
+
+  const charts = {};
+  Object.entries(CHART_SERIES).forEach(([name, { path, keys }]) => {
+    const previousPoints = getPath(previous, path) || [];
+    charts[name] = {
+      series: compareSeries(getPath(current, path), previousPoints, keys),
+      previous: previousPoints
+    };
+  });
+
+  // Pie-style data: compare each slice by name
+  const orderTypes = {};
+  const sliceNames = new Set([...(current.orderTypeData || []), ...(previous.orderTypeData || [])].map(item => item.name));
+  sliceNames.forEach(name => {
+    const value = (list) => (list || []).find(item => item.name === name)?.value || 0;
+    orderTypes[name] = compareValues(value(current.orderTypeData), value(previous.orderTypeData));
+  });
+  charts.orderType = { series: orderTypes, previous: previous.orderTypeData || [] };
+
+  const financials = {};
+  FINANCIAL_KEYS.forEach(key => {
+    financials[key] = compareValues(current.financialsBreakdownData?.[key] || 0, previous.financialsBreakdownData?.[key] || 0);
+  });
+  charts.financialsBreakdown = { series: financials, previous: previous.financialsBreakdownData?.pieData || [] };
+
+  return {
+    ...current,
+    summary: compareCards(current.summary, previous.summary),
+    website: compareCards(current.website, previous.website),
+    marketing: compareCards(current.marketing, previous.marketing),
+    shipping: compareCards(current.shipping, previous.shipping),
+    comparison: {
+      compareTo: range.compareTo,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      charts
+    }
+  };
+}
+
 // Helper functions to fetch data from DynamoDB
 
 /**
@@ -317,7 +718,7 @@ async function getShopifyProducts(userId) {
           ':userId': userId
         },
         // Optimize: Only fetch required attributes
-        ProjectionExpression: 'userId, productId, manufacturingCost, title',
+        ProjectionExpression: 'userId, productId, manufacturingCost, baseCost, title',
         ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
       });
 
@@ -339,9 +740,11 @@ async function getShopifyProducts(userId) {
  * @param {string} userId - The unique identifier of the user.
  * @param {string} startDate - Start date string (YYYY-MM-DD).
  * @param {string} endDate - End date string (YYYY-MM-DD).
+ * @param {string} timezone - Store IANA timezone.
+ * @param {Array<string>} extraAttributes - Additional attributes to project (e.g. shippingAddress).
  * @returns {Promise<Array>} Array of filtered Shopify order objects.
  */
-async function getShopifyOrders(userId, startDate, endDate) {
+async function getShopifyOrders(userId, startDate, endDate, timezone, extraAttributes = []) {
   try {
     // Fetch orders with pagination (DynamoDB has 1MB limit per query)
     // OPTIMIZATION: We do NOT store 'allOrders' to avoid memory crashes for users with 100k+ orders.
@@ -366,7 +769,8 @@ async function getShopifyOrders(userId, startDate, endDate) {
         },
         // OPTIMIZATION: Only fetch fields needed for dashboard calculations
         // This significantly reduces data transfer size and memory usage
-        ProjectionExpression: 'id, orderNumber, #orderName, test, financialStatus, fulfillmentStatus, createdAt, processedAt, currentSubtotalPrice, subtotalPrice, currentTotalDiscounts, totalDiscounts, totalRefunded, totalShippingPrice, shippingLines, currentTotalTax, totalTax, currentTotalDutiesSet, totalDutiesSet, currentTotalAdditionalFeesSet, totalAdditionalFeesSet, lineItems, gateway, paymentMethod, currentTotalPrice, totalPrice, customerId, customer',
+        ProjectionExpression: 'id, orderNumber, #orderName, test, financialStatus, fulfillmentStatus, createdAt, processedAt, currentSubtotalPrice, subtotalPrice, currentTotalDiscounts, totalDiscounts, totalRefunded, totalShippingPrice, shippingLines, currentTotalTax, totalTax, currentTotalDutiesSet, totalDutiesSet, currentTotalAdditionalFeesSet, totalAdditionalFeesSet, lineItems, gateway, paymentMethod, currentTotalPrice, totalPrice, customerId, customer' +
+          extraAttributes.map(attribute => `, ${attribute}`).join(''),
         ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
       });
 
@@ -378,7 +782,7 @@ async function getShopifyOrders(userId, startDate, endDate) {
       // This ensures we only hold ~3 months of data in memory, not 5 years
       for (const order of items) {
         if (!order.createdAt) continue;
-        const orderDate = order.createdAt.split('T')[0];
+        const orderDate = toStoreDate(order.createdAt, timezone);
         if (orderDate >= startDate && orderDate <= endDate) {
           filteredOrders.push(order);
         }
@@ -435,6 +839,51 @@ async function getShopifyCustomers(userId) {
   }
 }
 
+/**
+ * Store-local date of every customer's first (valid) order across all history.
+ * Lets range-limited calculators tell new customers from returning ones.
+ * @param {string} userId - The unique identifier of the user.
+ * @param {string} timezone - Store IANA timezone.
+ * @returns {Promise<Map>} customerId -> YYYY-MM-DD.
+ */
+async function getFirstOrderDates(userId, timezone) {
+  const firstOrderDates = new Map();
+
+  try {
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ExpressionAttributeNames: { '#orderName': 'name' },
+        ProjectionExpression: 'orderNumber, #orderName, test, financialStatus, createdAt, customerId, customer',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      for (const order of result.Items || []) {
+        if (order.test === true || (!order.name && !order.orderNumber)) continue;
+        if (['voided', 'cancelled'].includes((order.financialStatus || '').toLowerCase())) continue;
+
+        const customerId = order.customerId || order.customer?.id;
+        const date = toStoreDate(order.createdAt, timezone);
+        if (!customerId || !date) continue;
+
+        const key = customerId.toString();
+        const existing = firstOrderDates.get(key);
+        if (!existing || date < existing) firstOrderDates.set(key, date);
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  } catch (error) {
+    console.error('Error fetching first order dates:', error.message);
+  }
+
+  return firstOrderDates;
+}
+
 /**
  * Retrieves the Shopify connection details (access token, shop URL) for a user.
  * @param {string} userId - The unique identifier of the user.
@@ -481,7 +930,8 @@ async function getMetaConnection(userId) {
 
 /**
  * Fetches Meta Ad insights (spend, impressions, clicks) from DynamoDB.
- * Aggregates data across all connected ad accounts for the user within the date range.
+ * Aggregates data across the user's selected ad accounts within the date range
+ * (amounts are stored in the store currency).
  * @param {string} userId - The unique identifier of the user.
  * @param {string} startDate - Start date string (YYYY-MM-DD).
  * @param {string} endDate - End date string (YYYY-MM-DD).
@@ -510,7 +960,7 @@ async function getMetaInsights(userId, startDate, endDate) {
         ExpressionAttributeNames: {
           '#date': 'date'
         },
-        ProjectionExpression: 'userId, #date, adSpend, reach, linkClicks, impressions, metaRevenue, adAccountId',
+        ProjectionExpression: 'userId, #date, adSpend, reach, linkClicks, impressions, metaPurchases, metaRevenue, adAccountId, accountCurrency',
         ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
       });
 
@@ -519,7 +969,11 @@ async function getMetaInsights(userId, startDate, endDate) {
       lastEvaluatedKey = result.LastEvaluatedKey;
     } while (lastEvaluatedKey);
 
-    const insights = allInsights;
+    // Rows from deselected ad accounts stay in the table but don't count
+    const accountIds = getSelectedAccountIds(await getMetaConnection(userId));
+    const insights = accountIds
+      ? allInsights.filter(insight => !insight.adAccountId || accountIds.has(String(insight.adAccountId)))
+      : allInsights;
 
     console.log(`📊 Meta Insights: Found ${insights.length} insights for user ${userId} (${startDate} to ${endDate})`);
 
@@ -577,7 +1031,7 @@ async function getShippingConnection(userId) {
       }
     });
     const result = await dynamoDB.send(command);
-    return result.Items?.[0] || null;
+    return decryptCredentials(result.Items?.[0] || null);
   } catch (error) {
     console.error('Error fetching shipping connection:', error.message);
     return null;
@@ -606,26 +1060,48 @@ async function getShiprocketShipments(userId, startDate, endDate, options = {})
 
     // Get shipping connection for token
     const shippingConnection = await getShippingConnection(userId);
+    const shiprocketService = require('../services/shiprocket.service');
+
+    // Other aggregators are kept in the same table by the shipping sync
+    if (shippingConnection && shippingConnection.platform?.toLowerCase() !== 'shiprocket' && shippingConnection.status === 'active') {
+      console.log(`✅ ${shippingConnection.platform} connected, reading synced shipments...`);
+      return await shiprocketService.getShiprocketDataFromDB(userId, startDate, endDate);
+    }
+
+    // Tracking webhooks keep stored statuses live and the daily sync adds new shipments,
+    // so the API is only called on an explicit refresh
+    if (shiprocketWebhookService.isReceiving(shippingConnection) && !options.forceRefresh) {
+      console.log(`✅ Shiprocket webhooks active, reading stored shipments...`);
+      return await shiprocketService.getShiprocketDataFromDB(userId, startDate, endDate);
+    }
 
-    if (!shippingConnection || !shippingConnection.token) {
+    // Connections saved from Settings have credentials but no token until the first renewal
+    if (!shippingConnection || (!shippingConnection.token && !shippingConnection.password)) {
       console.log(`❌ No Shiprocket token found for user ${userId}`);
       return [];
     }
 
+    // Renews the token first when it's about to expire
+    const token = await shiprocketTokenService.getValidToken(shippingConnection);
+    if (!token) {
+      console.log(`❌ Shiprocket token expired and can't be renewed, reading stored shipments...`);
+      return await shiprocketService.getShiprocketDataFromDB(userId, startDate, endDate);
+    }
+
     console.log(`✅ Found Shiprocket token, using cache-first strategy...`);
 
     // Use the new cache-first approach from shiprocket.service
-    const shiprocketService = require('../services/shiprocket.service');
     const result = await shiprocketService.getShiprocketDataWithCache(
       userId,
-      shippingConnection.token,
+      token,
       startDate,
       endDate,
       {
         cacheTTLHours: 1,      // Cache valid for 1 hour
         maxPages: 10,          // Limit API pages for performance
         perPage: 250,          // Fetch 250 records per page
-        forceRefresh: options.forceRefresh || false  // Pass through forceRefresh option
+        forceRefresh: options.forceRefresh || false,  // Pass through forceRefresh option
+        renewToken: () => shiprocketTokenService.renewAfterUnauthorized(userId, token)
       }
     );
 
@@ -700,6 +1176,21 @@ async function getShiprocketShipments(userId, startDate, endDate, options = {})
   }
 }
 
+/**
+ * Builds the COGS resolver used by all calculators.
+ * Variant/SKU costs from the effective-dated history take precedence over the
+ * legacy per-product costs (onboarding step3, then shopify_products.baseCost / manufacturingCost).
+ * @param {object} onboardingData - Onboarding record (step3.productCosts).
+ * @param {Array} products - Shopify products.
+ * @param {Array} costHistory - Entries from product_cost_history.
+ * @param {string} timezone - Store IANA timezone (order dates are matched to effectiveFrom in store time).
+ * @returns {object} Cost resolver (get, getUnitCost).
+ */
+function buildProductCostResolver(onboardingData, products, costHistory, timezone) {
+  const legacyProductCosts = productCostService.buildLegacyProductCosts(onboardingData, products);
+  return productCostService.buildCostResolver(costHistory, legacyProductCosts, timezone);
+}
+
 /**
  * Retrieves user onboarding data, which includes manual product costs (COGS).
  * @param {string} userId - The unique identifier of the user.
@@ -1185,9 +1676,10 @@ function calculateShiprocketSummary(orders, products, metaInsights, shiprocketSh
  * @param {Array} shiprocketShipments - Raw shipment data.
  * @param {string} startDate - Start date (YYYY-MM-DD).
  * @param {string} endDate - End date (YYYY-MM-DD).
+ * @param {string} timezone - Store IANA timezone.
  * @returns {Array} Array of daily data points (revenue, costs, profit) sorted by date.
  */
-function calculateShiprocketPerformanceData(shiprocketShipments, startDate, endDate) {
+function calculateShiprocketPerformanceData(shiprocketShipments, startDate, endDate, timezone) {
   if (!shiprocketShipments || shiprocketShipments.length === 0) {
     return [];
   }
@@ -1208,7 +1700,8 @@ function calculateShiprocketPerformanceData(shiprocketShipments, startDate, endD
   });
 
   deliveredShipments.forEach(shipment => {
-    const date = shipment.parsedOrderDate || shipment.orderDate?.split('T')[0] || shipment.createdAt?.split('T')[0] || shipment.created_at?.split('T')[0];
+    // parsedOrderDate is already Shiprocket's local calendar day; raw timestamps need the store timezone
+    const date = shipment.parsedOrderDate || toStoreDate(shipment.orderDate || shipment.createdAt || shipment.created_at, timezone);
     if (!date) return;
 
     // Try different revenue field names
@@ -1270,7 +1763,7 @@ function calculateShiprocketPerformanceData(shiprocketShipments, startDate, endD
     const allShipmentsByDate = new Map();
 
     shiprocketShipments.forEach(shipment => {
-      const date = shipment.parsedOrderDate || shipment.createdAt?.split('T')[0];
+      const date = shipment.parsedOrderDate || toStoreDate(shipment.createdAt, timezone);
       if (!date) return;
 
       // Use actual revenue only (no estimates)
@@ -1629,9 +2122,10 @@ function calculateDailyBusinessExpenses(order, businessExpenses) {
  * @param {string} startDate - Start date (YYYY-MM-DD).
  * @param {string} endDate - End date (YYYY-MM-DD).
  * @param {object} businessExpenses - Business expense configuration.
+ * @param {string} timezone - Store IANA timezone.
  * @returns {Array} Array of daily data points (revenue, costs, profit) sorted by date.
  */
-function calculatePerformanceData(shopifyOrders, startDate, endDate, businessExpenses) {
+function calculatePerformanceData(shopifyOrders, startDate, endDate, businessExpenses, timezone) {
   if (!shopifyOrders || shopifyOrders.length === 0) {
     return [];
   }
@@ -1646,7 +2140,7 @@ function calculatePerformanceData(shopifyOrders, startDate, endDate, businessExp
   });
 
   validOrders.forEach(order => {
-    const dateStr = (order.createdAt || order.processedAt || '').split('T')[0];
+    const dateStr = toStoreDate(order.createdAt || order.processedAt, timezone);
     if (!dateStr) return;
 
     // Calculate order revenue using the standard formula
@@ -1675,8 +2169,21 @@ function calculatePerformanceData(shopifyOrders, startDate, endDate, businessExp
     }
   });
 
+  const data = buildPerformanceData(Array.from(ordersByDate.values()), businessExpenses);
+
+  console.log(`📊 Performance data: ${data.length} data points from ${validOrders.length} orders`);
+  return data;
+}
+
+/**
+ * Builds performance chart points from per-day revenue and order counts.
+ * Shared by the raw-order path and the daily rollup path.
+ * @param {Array} dailyRows - [{ date, revenue, orders }].
+ * @param {object} businessExpenses - Fixed expenses.
+ * @returns {Array} Array of daily performance objects.
+ */
+function buildPerformanceData(dailyRows, businessExpenses) {
   // Calculate daily business expenses (distributed evenly across days)
-  const daysCount = ordersByDate.size || 1;
   const monthlyExpenses =
     (businessExpenses.agencyFees || 0) +
     (businessExpenses.rtoHandlingFees || 0) +
@@ -1686,7 +2193,7 @@ function calculatePerformanceData(shopifyOrders, startDate, endDate, businessExp
   const dailyExpenses = monthlyExpenses / 30;
 
   // Convert to array and add cost calculations
-  const data = Array.from(ordersByDate.values())
+  return dailyRows
     .sort((a, b) => a.date.localeCompare(b.date))
     .map(item => {
       // Estimate daily costs (can be enhanced with actual COGS)
@@ -1702,9 +2209,6 @@ function calculatePerformanceData(shopifyOrders, startDate, endDate, businessExp
         orders: item.orders
       };
     });
-
-  console.log(`📊 Performance data: ${data.length} data points from ${validOrders.length} orders`);
-  return data;
 }
 
 /**
@@ -1724,7 +2228,7 @@ function calculatePerformanceData(shopifyOrders, startDate, endDate, businessExp
  * OPTIMIZED: Uses pre-processed data.
  * @param {Array} validOrders - Pre-filtered valid Shopify orders.
  * @param {Array} uniqueOrders - Deduplicated Shopify orders (for total counts).
- * @param {Map} productMap - Pre-computed product cost map.
+ * @param {object} productMap - Cost resolver from product-cost.service (getUnitCost per line item and order date).
  * @param {Array} metaInsights - Meta ads data.
  * @param {Array} shiprocketShipments - Shiprocket shipments (for RTO/Shipping costs).
  * @param {object} businessExpenses - Fixed expenses.
@@ -1826,17 +2330,13 @@ function calculateSummary(validOrders, uniqueOrders, productMap, metaInsights, s
   validOrders.forEach(order => {
     if (order.lineItems) {
       order.lineItems.forEach(item => {
-        const productId = item.productId?.toString() || item.product_id?.toString();
-        const cost = productMap.get(productId) || 0;
+        const cost = productMap.getUnitCost(item, order.createdAt);
         const quantity = parseInt(item.quantity || 1);
         cogs += cost * quantity;
       });
     }
   });
 
-  // Calculate Ad Spend from Meta Insights
-  const adSpend = metaInsights.reduce((sum, insight) => sum + parseFloat(insight.adSpend || insight.spend || 0), 0);
-
   console.log(`   4. Payment Breakdown (Source for Gateway Fees):`);
   console.log(`      Prepaid Orders: ${validPrepaidOrders.length} (Revenue: ₹${prepaidRevenue.toLocaleString('en-IN', { maximumFractionDigits: 0 })})`);
   console.log(`         - Gross Sales:  ₹${prepaidGrossSales.toLocaleString('en-IN', { maximumFractionDigits: 0 })}`);
@@ -1882,14 +2382,36 @@ function calculateSummary(validOrders, uniqueOrders, productMap, metaInsights, s
   }
 
 
-  // Shipping Cost - Get actual freight charges from Shiprocket (not total charges)
-  let shippingCost = 0;
-  if (shiprocketShipments && shiprocketShipments.length > 0) {
-    shippingCost = shiprocketShipments.reduce((sum, s) => {
-      // Only use freight_charges (actual shipping cost), not totalCharges
-      return sum + parseFloat(s.freight_charges || s.freightCharges || 0);
-    }, 0);
-  }
+  return buildSummaryCards({ totalOrders, cancelledOrders, revenue, prepaidRevenue, cogs }, metaInsights, summarizeShipments(shiprocketShipments), businessExpenses);
+}
+
+/**
+ * Shipping totals used by the summary, website and financial cards.
+ * @param {Array} shiprocketShipments - Shipments in the period.
+ * @returns {object} { shippingCost, rtoCount, inTransitCount }.
+ */
+function summarizeShipments(shiprocketShipments) {
+  const counts = dailyMetricsService.countShipments(shiprocketShipments);
+  return { shippingCost: counts.shippingCost, rtoCount: counts.rtoShipments, inTransitCount: counts.openShipments };
+}
+
+/**
+ * Builds the main dashboard summary cards from order totals.
+ * Shared by the raw-order path (calculateSummary) and the daily rollup path.
+ * @param {object} orderTotals - { totalOrders, cancelledOrders, revenue, prepaidRevenue, cogs }.
+ * @param {Array} metaInsights - Meta ads data.
+ * @param {object} shipmentTotals - { shippingCost (freight), rtoCount, inTransitCount } (summarizeShipments or rollups).
+ * @param {object} businessExpenses - Fixed expenses.
+ * @returns {Array} Array of summary cards for the dashboard.
+ */
+function buildSummaryCards(orderTotals, metaInsights, shipmentTotals, businessExpenses) {
+  const { totalOrders, cancelledOrders, revenue, prepaidRevenue, cogs } = orderTotals;
+
+  // Calculate Ad Spend from Meta Insights
+  const adSpend = metaInsights.reduce((sum, insight) => sum + parseFloat(insight.adSpend || insight.spend || 0), 0);
+
+  // Shipping Cost - actual freight charges (not total charges)
+  const { shippingCost, rtoCount, inTransitCount } = shipmentTotals;
 
   // Calculate Business Expenses (based on Shopify revenue)
   const daysInPeriod = Math.ceil((new Date() - new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)) / (1000 * 60 * 60 * 24));
@@ -1930,12 +2452,6 @@ function calculateSummary(validOrders, uniqueOrders, productMap, metaInsights, s
     usingMetaROAS: metaRevenue > 0
   });
 
-  // RTO Logic (from Shiprocket)
-  const rtoCount = shiprocketShipments ? shiprocketShipments.filter(s => (s.status || '').toLowerCase().includes('rto')).length : 0;
-  const inTransitCount = shiprocketShipments ? shiprocketShipments.filter(s =>
-    !['delivered', 'rto', 'cancelled', 'lost'].some(st => (s.status || '').toLowerCase().includes(st))
-  ).length : 0;
-
   // RTO Revenue Lost (Estimate: AOV * RTO Count)
   const aov = totalOrders > 0 ? revenue / totalOrders : 0;
   const rtoRevenueLost = rtoCount * aov;
@@ -1993,12 +2509,11 @@ function calculateSummary(validOrders, uniqueOrders, productMap, metaInsights, s
  * Calculates Marketing metrics (ROAS, CTR, Spend) from Meta Insights.
  * @param {Array} metaInsights - meta ads data.
  * @param {Array} orders - Shopify orders (for revenue calculation in ROAS).
+ * @param {object|null} metaConnection - Meta connection (ad account names for the drilldown).
+ * @param {string} currency - Store currency (ad spend is stored converted into it).
  * @returns {Array} Array of marketing metric cards.
  */
-function calculateMarketingMetrics(metaInsights, orders) {
-  const totalSpend = metaInsights.reduce((sum, insight) => sum + (insight.adSpend || 0), 0);
-  const totalReach = metaInsights.reduce((sum, insight) => sum + (insight.reach || 0), 0);
-  const totalClicks = metaInsights.reduce((sum, insight) => sum + (insight.linkClicks || 0), 0);
+function calculateMarketingMetrics(metaInsights, orders, metaConnection = null, currency) {
   // Use currentTotalPrice for Shopify's "Total Sales" (includes everything after adjustments)
   // Calculate revenue using consistent formula: Net Sales + Shipping + Duties + Fees + Taxes
   // Gross Sales = Subtotal + Discounts (Restored definition)
@@ -2017,6 +2532,40 @@ function calculateMarketingMetrics(metaInsights, orders) {
     return sum + (netSales + shipping + taxes + duties + fees);
   }, 0);
 
+  return buildMarketingMetrics(metaInsights, revenue, metaConnection, currency);
+}
+
+/**
+ * Formats an amount in the store currency (₹1,234 for INR, AED 1,234 for AED).
+ * @param {number} value - Amount.
+ * @param {string} currency - ISO 4217 code (defaults to DEFAULT_STORE_CURRENCY).
+ * @param {number} maximumFractionDigits - Decimal places to show at most.
+ * @returns {string}
+ */
+function formatMoney(value, currency, maximumFractionDigits = 0) {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: currency || process.env.DEFAULT_STORE_CURRENCY || 'INR',
+    minimumFractionDigits: 0,
+    maximumFractionDigits
+  }).format(value);
+}
+
+/**
+ * Builds the marketing metric cards from Meta insights and store revenue.
+ * Cards are totals across ad accounts; with more than one account each card
+ * carries a per-account breakdown ([{ adAccountId, label, value }]).
+ * @param {Array} metaInsights - Meta ads data.
+ * @param {number} revenue - Store revenue for the period (blended ROAS).
+ * @param {object|null} metaConnection - Meta connection (ad account names for the drilldown).
+ * @param {string} currency - Store currency (ad spend is stored converted into it).
+ * @returns {Array} Array of marketing metric cards.
+ */
+function buildMarketingMetrics(metaInsights, revenue, metaConnection = null, currency) {
+  const totalSpend = metaInsights.reduce((sum, insight) => sum + (insight.adSpend || 0), 0);
+  const totalReach = metaInsights.reduce((sum, insight) => sum + (insight.reach || 0), 0);
+  const totalClicks = metaInsights.reduce((sum, insight) => sum + (insight.linkClicks || 0), 0);
+
   // Calculate Meta ROAS (using Meta's attributed revenue from conversion tracking)
   const metaRevenue = metaInsights.reduce((sum, i) => sum + (i.metaRevenue || 0), 0);
   const metaROAS = totalSpend > 0 && metaRevenue > 0 ? metaRevenue / totalSpend : 0;
@@ -2028,13 +2577,34 @@ function calculateMarketingMetrics(metaInsights, orders) {
   const roas = metaRevenue > 0 ? metaROAS : blendedROAS;
   const ctr = totalReach > 0 ? (totalClicks / totalReach) * 100 : 0;
 
-  return [
-    { title: 'Total Spend', value: `₹${totalSpend.toLocaleString('en-IN', { maximumFractionDigits: 0 })}`, formula: 'Total marketing spend' },
+  const cards = [
+    { title: 'Total Spend', value: formatMoney(totalSpend, currency), formula: 'Total marketing spend' },
     { title: 'ROAS', value: roas.toFixed(2), formula: metaRevenue > 0 ? 'Meta Attributed Revenue / Ad Spend' : 'Total Revenue / Ad Spend', subtitle: metaRevenue > 0 ? 'From Meta conversion tracking' : 'Blended (all channels)' },
     { title: 'Reach', value: totalReach.toLocaleString('en-IN'), formula: 'Total people reached' },
     { title: 'Link Clicks', value: totalClicks.toLocaleString('en-IN'), formula: 'Total link clicks' },
     { title: 'CTR', value: `${ctr.toFixed(2)}%`, formula: '(Link Clicks / Reach) × 100' }
   ];
+
+  const accounts = metaInsightsService.buildAccounts(metaInsights, metaConnection);
+  if (accounts.length < 2) return cards;
+
+  // Blended ROAS can't be split by account, so per-account ROAS is Meta-attributed only
+  const accountValues = {
+    'Total Spend': account => formatMoney(account.spend, currency),
+    'ROAS': account => (account.roas === null ? '-' : account.roas.toFixed(2)),
+    'Reach': account => account.reach.toLocaleString('en-IN'),
+    'Link Clicks': account => account.linkClicks.toLocaleString('en-IN'),
+    'CTR': account => `${(account.reach > 0 ? (account.linkClicks / account.reach) * 100 : 0).toFixed(2)}%`
+  };
+
+  return cards.map(card => ({
+    ...card,
+    breakdown: accounts.map(account => ({
+      adAccountId: account.adAccountId,
+      label: account.name,
+      value: accountValues[card.title](account)
+    }))
+  }));
 }
 
 /**
@@ -2115,9 +2685,12 @@ function calculateMarketingChart(metaInsights, startDate, endDate) {
  * @param {Array} orders - Shopify orders.
  * @param {string} startDate - Start date.
  * @param {string} endDate - End date.
+ * @param {string} timezone - Store IANA timezone.
+ * @param {Map} firstOrderDates - Optional customerId -> first order date across all history.
+ *   Without it, a customer counts as new on their first order inside the range.
  * @returns {Array} Daily customer type breakdown.
  */
-function calculateCustomerTypeData(orders, startDate, endDate) {
+function calculateCustomerTypeData(orders, startDate, endDate, timezone, firstOrderDates = null) {
   if (!orders || orders.length === 0) {
     console.log(`⚠️  No orders for customer type data`);
     return [];
@@ -2129,7 +2702,7 @@ function calculateCustomerTypeData(orders, startDate, endDate) {
 
   // Single pass - no sorting needed as we process chronologically
   for (const order of orders) {
-    const date = order.createdAt?.split('T')[0];
+    const date = toStoreDate(order.createdAt, timezone);
     if (!date) continue;
 
     // Extract customer ID
@@ -2148,7 +2721,14 @@ function calculateCustomerTypeData(orders, startDate, endDate) {
     }
 
     // Check if customer is new or returning
-    if (seenCustomers.has(customerKey)) {
+    if (firstOrderDates && customerId) {
+      if (firstOrderDates.get(customerKey) === date && !seenCustomers.has(customerKey)) {
+        seenCustomers.add(customerKey);
+        dateEntry.new += 1;
+      } else {
+        dateEntry.returning += 1;
+      }
+    } else if (seenCustomers.has(customerKey)) {
       dateEntry.returning += 1;
     } else {
       seenCustomers.add(customerKey);
@@ -2158,17 +2738,25 @@ function calculateCustomerTypeData(orders, startDate, endDate) {
 
   console.log(`📊 Customer type data: Processed ${orders.length} orders`);
 
-  // Convert to array and sort
-  const data = Array.from(ordersByDate.values())
+  const data = buildCustomerTypeData(Array.from(ordersByDate.values()));
+
+  console.log(`   Generated ${data.length} data points`);
+  return data;
+}
+
+/**
+ * Builds new vs returning chart points from per-day counts.
+ * @param {Array} dailyRows - [{ date, new, returning }].
+ * @returns {Array} Daily customer type data.
+ */
+function buildCustomerTypeData(dailyRows) {
+  return dailyRows
     .sort((a, b) => a.date.localeCompare(b.date))
     .map(item => ({
       name: new Date(item.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
       newCustomers: item.new,
       returningCustomers: item.returning
     }));
-
-  console.log(`   Generated ${data.length} data points`);
-  return data;
 }
 
 /**
@@ -2186,13 +2774,14 @@ function calculateCustomerTypeData(orders, startDate, endDate) {
  * OPTIMIZED: Uses pre-processed data.
  * @param {Array} validOrders - Pre-filtered valid Shopify orders.
  * @param {Array} uniqueOrders - Deduplicated Shopify orders (for customer counts).
- * @param {Map} productMap - Pre-computed product cost map.
+ * @param {object} productMap - Cost resolver from product-cost.service (getUnitCost per line item and order date).
  * @param {Array} metaInsights - Meta data.
  * @param {Array} shiprocketShipments - Shipping data.
  * @param {object} businessExpenses - Fixed expenses.
+ * @param {string} timezone - Store IANA timezone.
  * @returns {Array} Array of website metric cards.
  */
-function calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsights, shiprocketShipments, businessExpenses) {
+function calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsights, shiprocketShipments, businessExpenses, timezone) {
   // console.log(`📊 Financial Breakdown - Calculating from Shopify orders only...`);
 
   // 1. Total Customers - Unique customers from ALL orders (including cancelled?)
@@ -2206,10 +2795,10 @@ function calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsi
   });
   const totalCustomers = uniqueCustomers.size;
 
-  // 2. Orders Today - Orders created today
-  const today = new Date().toISOString().split('T')[0];
+  // 2. Orders Today - Orders created today (store's calendar day)
+  const today = getStoreToday(timezone);
   const ordersToday = validOrders.filter(order => {
-    const orderDate = order.createdAt?.split('T')[0];
+    const orderDate = toStoreDate(order.createdAt, timezone);
     return orderDate === today;
   }).length;
 
@@ -2237,23 +2826,38 @@ function calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsi
     revenue += (netSales + shipping + taxes + duties + fees);
 
     (order.lineItems || []).forEach(item => {
-      const productId = item.product_id?.toString();
-      const unitCost = productMap.get(productId) || 0;
+      const unitCost = productMap.getUnitCost(item, order.createdAt);
       const quantity = item.quantity || 0;
       cogs += unitCost * quantity;
     });
   });
 
-  const adSpend = metaInsights.reduce((sum, insight) => sum + (insight.adSpend || 0), 0);
+  // 4. Prepaid Orders - Orders with paid financial status
+  const prepaidOrders = validOrders.filter(o =>
+    (o.financialStatus || '').toLowerCase() === 'paid'
+  ).length;
 
-  // Shipping Cost - Get actual freight charges from Shiprocket (not total charges)
-  let shippingCost = 0;
-  if (shiprocketShipments && shiprocketShipments.length > 0) {
-    shippingCost = shiprocketShipments.reduce((sum, s) => {
-      // Only use freight_charges (actual shipping cost), not totalCharges
-      return sum + parseFloat(s.freight_charges || s.freightCharges || 0);
-    }, 0);
-  }
+  return buildWebsiteMetrics(
+    { totalCustomers, ordersToday, revenue, cogs, orderCount: validOrders.length, prepaidOrders },
+    metaInsights,
+    summarizeShipments(shiprocketShipments),
+    businessExpenses
+  );
+}
+
+/**
+ * Builds the website metric cards from pre-computed order totals.
+ * Shared by the raw-order path and the daily rollup path.
+ * @param {object} orderTotals - { totalCustomers, ordersToday, revenue, cogs, orderCount, prepaidOrders }.
+ * @param {Array} metaInsights - Meta ads data.
+ * @param {object} shipmentTotals - { shippingCost } (freight, see summarizeShipments).
+ * @param {object} businessExpenses - Fixed expenses.
+ * @returns {Array} Array of website metric cards.
+ */
+function buildWebsiteMetrics(orderTotals, metaInsights, shipmentTotals, businessExpenses) {
+  const { totalCustomers, ordersToday, revenue, cogs, orderCount, prepaidOrders } = orderTotals;
+  const adSpend = metaInsights.reduce((sum, insight) => sum + (insight.adSpend || 0), 0);
+  const { shippingCost } = shipmentTotals;
 
   // Calculate Business Expenses
   const daysInPeriod = Math.ceil((new Date() - new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)) / (1000 * 60 * 60 * 24));
@@ -2268,12 +2872,7 @@ function calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsi
   ) * monthlyMultiplier + (revenue * ((businessExpenses.paymentGatewayFeePercent || 2.5) / 100));
 
   const netProfit = revenue - (cogs + adSpend + shippingCost + totalBusinessExpenses);
-  const profitPerOrder = validOrders.length > 0 ? netProfit / validOrders.length : 0;
-
-  // 4. Prepaid Orders - Orders with paid financial status
-  const prepaidOrders = validOrders.filter(o =>
-    (o.financialStatus || '').toLowerCase() === 'paid'
-  ).length;
+  const profitPerOrder = orderCount > 0 ? netProfit / orderCount : 0;
 
   return [
     {
@@ -2311,7 +2910,7 @@ function calculateWebsiteMetrics(validOrders, uniqueOrders, productMap, metaInsi
  * Calculates product profitability rankings (Best/Least Selling).
  * OPTIMIZED: Uses pre-processed data.
  * @param {Array} validOrders - Pre-filtered valid Shopify orders.
- * @param {Map} productMap - Pre-computed product cost map.
+ * @param {object} productMap - Cost resolver from product-cost.service (getUnitCost per line item and order date).
  * @returns {object} Object containing bestSelling and leastSelling product arrays.
  */
 function calculateProductRankings(validOrders, productMap) {
@@ -2323,7 +2922,8 @@ function calculateProductRankings(validOrders, productMap) {
     validOrders.forEach(order => {
       (order.lineItems || []).forEach(item => {
         const productId = item.product_id?.toString();
-        const unitCost = productMap.get(productId) || 0;
+        // Variant- and date-specific cost, so this can differ between line items of one product
+        const unitCost = productMap.getUnitCost(item, order.createdAt);
 
         if (!productSales[productId]) {
           productSales[productId] = {
@@ -2331,22 +2931,43 @@ function calculateProductRankings(validOrders, productMap) {
             name: item.title || 'Unknown Product',
             sales: 0,
             total: 0,
-            unitCost: unitCost
+            cogs: 0
           };
         }
 
         productSales[productId].sales += item.quantity;
         productSales[productId].total += parseFloat(item.price || 0) * item.quantity;
+        productSales[productId].cogs += unitCost * item.quantity;
       });
     });
 
-    const sorted = Object.values(productSales).sort((a, b) => b.sales - a.sales);
+    return buildProductRankings(productSales);
+
+  } catch (error) {
+    console.error(`❌ ERROR in calculateProductRankings:`, error);
+    return {
+      bestSelling: [],
+      leastSelling: []
+    };
+  }
+}
+
+/**
+ * Formats per-product totals into best/least selling lists.
+ * @param {object} productSales - productId -> { id, name, sales, total, cogs }.
+ * @returns {object} Object containing bestSelling and leastSelling product arrays.
+ */
+function buildProductRankings(productSales) {
+  try {
+    const sorted = Object.values(productSales)
+      .map(p => ({ ...p, unitCost: p.sales > 0 ? p.cogs / p.sales : 0 }))
+      .sort((a, b) => b.sales - a.sales);
 
     // console.log(`   Total unique products found: ${sorted.length}`);
 
     const result = {
       bestSelling: sorted.slice(0, 10).map(p => {
-        const cogs = p.unitCost * p.sales;
+        const cogs = p.cogs;
         const netProfit = p.total - cogs;
 
         return {
@@ -2357,7 +2978,7 @@ function calculateProductRankings(validOrders, productMap) {
         };
       }),
       leastSelling: sorted.slice(-5).reverse().map(p => {
-        const cogs = p.unitCost * p.sales;
+        const cogs = p.cogs;
         const netProfit = p.total - cogs;
 
         return {
@@ -2372,7 +2993,7 @@ function calculateProductRankings(validOrders, productMap) {
     return result;
 
   } catch (error) {
-    console.error(`❌ ERROR in calculateProductRankings:`, error);
+    console.error(`❌ ERROR in buildProductRankings:`, error);
     return {
       bestSelling: [],
       leastSelling: []
@@ -2402,111 +3023,8 @@ function calculateShippingMetrics(shiprocketShipments, orders) {
     });
     console.log(`   All statuses:`, allStatuses);
 
-    // Get status - prefer shipmentStatus from Shipments API
-    const getStatus = (s) => (s.shipmentStatus || s.status || '').toUpperCase().trim();
-    const getStatusCode = (s) => parseInt(s.statusCode) || 0;
-
-    // Delivered = status "DELIVERED" or status code 6, 7, 8 (exclude RTO)
-    const delivered = shiprocketShipments.filter(s => {
-      const status = getStatus(s);
-      const code = getStatusCode(s);
-      // Same logic as shiprocket-dashboard.controller.js
-      return (status === 'DELIVERED' || code === 6 || code === 7 || code === 8) &&
-        !status.includes('RTO');
-    }).length;
-
-    // In Transit = status contains "TRANSIT", "SHIPPED", "OUT FOR" or code 4, 5
-    const inTransit = shiprocketShipments.filter(s => {
-      const status = getStatus(s);
-      const code = getStatusCode(s);
-      return (status === 'IN TRANSIT' || status === 'OUT FOR DELIVERY' ||
-        status === 'SHIPPED' || status === 'PICKED UP' ||
-        status.includes('TRANSIT') || status.includes('OUT FOR') ||
-        code === 4 || code === 5) &&
-        !status.includes('DELIVERED') && !status.includes('RTO');
-    }).length;
-
-    // RTO = status contains "RTO" or code 9
-    const rto = shiprocketShipments.filter(s => {
-      const status = getStatus(s);
-      const code = getStatusCode(s);
-      return status.includes('RTO') || code === 9;
-    }).length;
-
-    // NDR = status contains "NDR" or "UNDELIVERED"
-    const ndrPending = shiprocketShipments.filter(s => {
-      const status = getStatus(s);
-      return status === 'NDR' || status === 'UNDELIVERED' || status.includes('NDR');
-    }).length;
-
-    // Pickup Pending = status "NEW", "READY TO SHIP", "PICKUP" or code 1, 2, 3
-    const pickupPending = shiprocketShipments.filter(s => {
-      const status = getStatus(s);
-      const code = getStatusCode(s);
-      return status === 'NEW' || status === 'READY TO SHIP' ||
-        status === 'PICKUP SCHEDULED' || status === 'AWB ASSIGNED' ||
-        status.includes('PICKUP') || status.includes('READY') ||
-        code === 1 || code === 2 || code === 3;
-    }).length;
-
-    // Calculate total shipping cost (actual data only - no estimates)
-    let totalShippingCost = shiprocketShipments.reduce((sum, s) =>
-      sum + (parseFloat(s.totalCharges || s.shippingCharges || s.freightCharges || s.freight_charges) || 0), 0
-    );
-
-    // No estimates - use actual data only
-    if (totalShippingCost === 0) {
-      console.log(`⚠️  No shipping cost data available from Shiprocket`);
-    }
-
-    const avgShippingCost = shiprocketShipments.length > 0 && totalShippingCost > 0
-      ? totalShippingCost / shiprocketShipments.length
-      : 0;
-
-    // Calculate additional metrics
-    const totalShipments = shiprocketShipments.length;
-    const deliveryRate = totalShipments > 0 ? (delivered / totalShipments) * 100 : 0;
-    const rtoRate = totalShipments > 0 ? (rto / totalShipments) * 100 : 0;
-
-    // Count prepaid vs COD from Shiprocket data (not Shopify)
-    const prepaidOrders = shiprocketShipments.filter(s =>
-      (s.paymentMethod || '').toLowerCase() === 'prepaid'
-    ).length;
-    const codOrders = shiprocketShipments.filter(s =>
-      (s.paymentMethod || '').toLowerCase() === 'cod'
-    ).length;
-
-    console.log(`   Shipping breakdown:`, {
-      totalShipments, delivered, inTransit, rto, ndrPending, pickupPending,
-      deliveryRate: `${deliveryRate.toFixed(2)}%`,
-      rtoRate: `${rtoRate.toFixed(2)}%`,
-      prepaidOrders, codOrders,
-      totalCost: totalShippingCost, avgCost: avgShippingCost
-    });
-
-    // Debug: Show status distribution
-    if (shiprocketShipments.length > 0) {
-      console.log(`   Status distribution:`);
-      const statusCounts = {};
-      shiprocketShipments.forEach(s => {
-        const key = `${s.status} (${s.statusCode})`;
-        statusCounts[key] = (statusCounts[key] || 0) + 1;
-      });
-      console.log(statusCounts);
-    }
-
-    return [
-      { title: 'Total Shipments', value: totalShipments.toString(), formula: 'Total number of shipments' },
-      { title: 'Delivered', value: delivered.toString(), formula: 'Successfully delivered orders' },
-      { title: 'In-Transit', value: inTransit.toString(), formula: 'Orders in transit' },
-      { title: 'RTO', value: rto.toString(), formula: 'Return to origin' },
-      { title: 'NDR Pending', value: ndrPending.toString(), formula: 'Non-delivery reports pending' },
-      { title: 'Delivery Rate', value: `${deliveryRate.toFixed(2)}%`, formula: '(Delivered / Total) × 100' },
-      { title: 'RTO Rate', value: `${rtoRate.toFixed(2)}%`, formula: '(RTO / Total) × 100' },
-      { title: 'Prepaid Orders', value: prepaidOrders.toString(), formula: 'Prepaid payment orders' },
-      { title: 'COD', value: codOrders.toString(), formula: 'Cash on delivery orders' },
-      { title: 'Pickup Pending', value: pickupPending.toString(), formula: 'Awaiting pickup' }
-    ];
+    // Same status rules as the daily rollups
+    return buildShippingMetrics(dailyMetricsService.countShipments(shiprocketShipments));
   } else {
     // Fallback to Shopify orders if no Shiprocket data
     // RTO, NDR, Pickup Pending require Shiprocket connection for actual data
@@ -2537,6 +3055,43 @@ function calculateShippingMetrics(shiprocketShipments, orders) {
   }
 }
 
+/**
+ * Builds the shipping cards from shipment counters
+ * (dailyMetricsService.countShipments on raw shipments, or summed rollups).
+ * @param {object} counts - { shipments, deliveredShipments, inTransitShipments, rtoShipments,
+ *   ndrShipments, pickupPendingShipments, prepaidShipments, codShipments }.
+ * @returns {Array} Array of shipping metric cards.
+ */
+function buildShippingMetrics(counts) {
+  const totalShipments = counts.shipments;
+  const deliveryRate = totalShipments > 0 ? (counts.deliveredShipments / totalShipments) * 100 : 0;
+  const rtoRate = totalShipments > 0 ? (counts.rtoShipments / totalShipments) * 100 : 0;
+
+  console.log(`   Shipping breakdown:`, {
+    totalShipments,
+    delivered: counts.deliveredShipments,
+    inTransit: counts.inTransitShipments,
+    rto: counts.rtoShipments,
+    ndrPending: counts.ndrShipments,
+    pickupPending: counts.pickupPendingShipments,
+    deliveryRate: `${deliveryRate.toFixed(2)}%`,
+    rtoRate: `${rtoRate.toFixed(2)}%`
+  });
+
+  return [
+    { title: 'Total Shipments', value: totalShipments.toString(), formula: 'Total number of shipments' },
+    { title: 'Delivered', value: counts.deliveredShipments.toString(), formula: 'Successfully delivered orders' },
+    { title: 'In-Transit', value: counts.inTransitShipments.toString(), formula: 'Orders in transit' },
+    { title: 'RTO', value: counts.rtoShipments.toString(), formula: 'Return to origin' },
+    { title: 'NDR Pending', value: counts.ndrShipments.toString(), formula: 'Non-delivery reports pending' },
+    { title: 'Delivery Rate', value: `${deliveryRate.toFixed(2)}%`, formula: '(Delivered / Total) × 100' },
+    { title: 'RTO Rate', value: `${rtoRate.toFixed(2)}%`, formula: '(RTO / Total) × 100' },
+    { title: 'Prepaid Orders', value: counts.prepaidShipments.toString(), formula: 'Prepaid payment orders' },
+    { title: 'COD', value: counts.codShipments.toString(), formula: 'Cash on delivery orders' },
+    { title: 'Pickup Pending', value: counts.pickupPendingShipments.toString(), formula: 'Awaiting pickup' }
+  ];
+}
+
 /**
  * Calculates breakdown of orders by payment type (Prepaid vs COD).
  * OPTIMIZED: Uses pre-processed valid orders.
@@ -2565,8 +3120,16 @@ function calculateOrderTypeData(validOrders) {
     return !isCod; // If not COD, it's prepaid
   }).length;
 
-  const cod = validOrders.length - prepaid;
+  return buildOrderTypeData(prepaid, validOrders.length - prepaid);
+}
 
+/**
+ * Builds the Prepaid vs COD pie data from order counts.
+ * @param {number} prepaid - Non-COD orders.
+ * @param {number} cod - COD orders.
+ * @returns {Array} Pie chart data.
+ */
+function buildOrderTypeData(prepaid, cod) {
   // Only include items with value > 0
   return [
     { name: 'Prepaid', value: prepaid, color: '#2d6a4f' },
@@ -2578,7 +3141,7 @@ function calculateOrderTypeData(validOrders) {
  * Calculates detailed financial breakdown for the main dashboard.
  * OPTIMIZED: Uses pre-processed data.
  * @param {Array} validOrders - Pre-filtered valid Shopify orders.
- * @param {Map} productMap - Pre-computed product cost map.
+ * @param {object} productMap - Cost resolver from product-cost.service (getUnitCost per line item and order date).
  * @param {Array} metaInsights - Meta ads data.
  * @param {Array} shiprocketShipments - Shiprocket data.
  * @param {object} businessExpenses - Fixed expenses.
@@ -2613,8 +3176,7 @@ function calculateFinancialBreakdown(validOrders, productMap, metaInsights, ship
 
     // Calculate COGS for this order
     (order.lineItems || []).forEach(item => {
-      const productId = item.product_id?.toString();
-      const unitCost = productMap.get(productId) || 0;
+      const unitCost = productMap.getUnitCost(item, order.createdAt);
       const quantity = item.quantity || 0;
       cogs += unitCost * quantity;
     });
@@ -2640,31 +3202,37 @@ function calculateFinancialBreakdown(validOrders, productMap, metaInsights, ship
 
   // console.log(`📊 Financial Breakdown - Shopify Orders Revenue: ₹${revenue}, Prepaid: ₹${prepaidRevenue} from ${orderCount} orders`);
 
+  return buildFinancialBreakdown({ revenue, cogs, prepaidRevenue }, metaInsights, summarizeShipments(shiprocketShipments), businessExpenses, overrideShippingCost);
+}
+
+/**
+ * Builds the financial breakdown from pre-computed order totals.
+ * Shared by the raw-order path and the daily rollup path.
+ * @param {object} orderTotals - { revenue, cogs, prepaidRevenue }.
+ * @param {Array} metaInsights - Meta ads data.
+ * @param {object} shipmentTotals - { shippingCost (freight), rtoCount } (summarizeShipments or rollups).
+ * @param {object} businessExpenses - Fixed expenses.
+ * @param {number} overrideShippingCost - Optional: Use this shipping cost instead of calculating
+ * @returns {object} Breakdown object with revenue and cost components.
+ */
+function buildFinancialBreakdown(orderTotals, metaInsights, shipmentTotals, businessExpenses, overrideShippingCost = null) {
+  const { revenue, cogs, prepaidRevenue } = orderTotals;
+  const { rtoCount } = shipmentTotals;
+
   // Ad Spend (A) = Total marketing spend
   const adSpend = metaInsights.reduce((sum, insight) => sum + (insight.adSpend || 0), 0);
 
-  // Shipping Cost - Use override if provided (from Shiprocket dashboard), otherwise calculate
-  let shippingCost = 0;
+  // Shipping Cost - Use override if provided (from Shiprocket dashboard), otherwise freight charges
+  let shippingCost = shipmentTotals.shippingCost;
   if (overrideShippingCost !== null) {
     shippingCost = overrideShippingCost;
     console.log(`📦 Using override shipping cost: ₹${shippingCost.toFixed(2)}`);
-  } else if (shiprocketShipments && shiprocketShipments.length > 0) {
-    shippingCost = shiprocketShipments.reduce((sum, s) => {
-      // Only use freight_charges (actual shipping cost), not totalCharges
-      return sum + parseFloat(s.freight_charges || s.freightCharges || 0);
-    }, 0);
   }
 
   // Calculate Business Expenses
   const daysInPeriod = Math.ceil((new Date() - new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)) / (1000 * 60 * 60 * 24));
   const monthlyMultiplier = daysInPeriod / 30;
 
-  const rtoCount = shiprocketShipments.filter(s => {
-    const status = (s.shipmentStatus || s.status || '').toUpperCase();
-    const code = s.statusCode;
-    return status.includes('RTO') || code === 9;
-  }).length;
-
   const totalRtoHandlingFees = rtoCount * (businessExpenses.rtoHandlingFees || 0);
   const paymentGatewayFees = prepaidRevenue * ((businessExpenses.paymentGatewayFeePercent || 2.5) / 100);
 
@@ -2724,6 +3292,8 @@ async function getShiprocketDashboardData(req, res) {
     console.log(`\n📦 Fetching Shiprocket dashboard data for user: ${userId}`);
     console.log(`   Date range: ${startDate} to ${endDate}`);
 
+    const timezone = await storeTimezoneService.getTimezone(userId);
+
     // Fetch data - using Shiprocket API for shipments, database for other data
     let [
       shopifyProducts,
@@ -2735,10 +3305,11 @@ async function getShiprocketDashboardData(req, res) {
       shippingConnection,
       shiprocketShipments,
       onboardingData,
-      businessExpenses
+      businessExpenses,
+      costHistory
     ] = await Promise.all([
       getShopifyProducts(userId),
-      getShopifyOrders(userId, startDate, endDate),
+      getShopifyOrders(userId, startDate, endDate, timezone),
       getShopifyCustomers(userId),
       getShopifyConnection(userId),
       getMetaConnection(userId),
@@ -2746,7 +3317,8 @@ async function getShiprocketDashboardData(req, res) {
       getShippingConnection(userId),
       getShiprocketShipments(userId, startDate, endDate), // This now uses Shiprocket API
       getOnboardingData(userId),
-      getBusinessExpenses(userId)
+      getBusinessExpenses(userId),
+      productCostService.getCostHistory(userId)
     ]);
 
     console.log(`🔍 Shiprocket Dashboard Debug:`);
@@ -2758,17 +3330,7 @@ async function getShiprocketDashboardData(req, res) {
 
     // OPTIMIZATION: Pre-process data once to avoid repeated loops
     // 1. Create Product Cost Map
-    const productMap = new Map();
-    if (onboardingData?.step3?.productCosts) {
-      onboardingData.step3.productCosts.forEach(p => {
-        if (p.productId) productMap.set(p.productId.toString(), parseFloat(p.cost) || 0);
-      });
-    }
-    shopifyProducts.forEach(p => {
-      if (p.productId && !productMap.has(p.productId.toString())) {
-        productMap.set(p.productId.toString(), p.manufacturingCost || 0);
-      }
-    });
+    const productMap = buildProductCostResolver(onboardingData, shopifyProducts, costHistory, timezone);
 
     // 2. Deduplicate Shopify Orders
     const uniqueOrdersMap = new Map();
@@ -2794,7 +3356,7 @@ async function getShiprocketDashboardData(req, res) {
       shipping
     ] = await Promise.all([
       Promise.resolve(calculateShiprocketSummary(shopifyOrders, shopifyProducts, metaInsights, shiprocketShipments, onboardingData, businessExpenses)),
-      Promise.resolve(calculateShiprocketPerformanceData(shiprocketShipments, startDate, endDate)),
+      Promise.resolve(calculateShiprocketPerformanceData(shiprocketShipments, startDate, endDate, timezone)),
       Promise.resolve(calculateShiprocketFinancialBreakdown(shopifyOrders, shopifyProducts, metaInsights, shiprocketShipments, onboardingData, businessExpenses)),
       Promise.resolve(calculateShippingMetrics(shiprocketShipments, shopifyOrders))
     ]);
@@ -2838,6 +3400,805 @@ async function getShiprocketDashboardData(req, res) {
   }
 }
 
+/**
+ * Fetches the full Shopify catalog (with variants and images) for the cost editor.
+ * @param {string} userId - The unique identifier of the user.
+ * @returns {Promise<Array>} Array of Shopify product items.
+ */
+async function getShopifyCatalog(userId) {
+  try {
+    let allProducts = [];
+    let lastEvaluatedKey = null;
+
+    do {
+      const command = new QueryCommand({
+        TableName: process.env.SHOPIFY_PRODUCTS_TABLE || 'shopify_products',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: {
+          ':userId': userId
+        },
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ProjectionExpression: 'userId, productId, title, variants, images, manufacturingCost, #status',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      });
+
+      const result = await dynamoDB.send(command);
+      allProducts = allProducts.concat(result.Items || []);
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return allProducts;
+  } catch (error) {
+    console.error('Error fetching Shopify catalog:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get all product variants with their current cost and sales for the cost editor.
+ * One row per variant (SKU); products without variants get a single product-level row.
+ * Sales, revenue and margin cover the requested range (default: last 30 days).
+ *
+ * @route GET /api/data/all-with-costs
+ * @access Protected
+ * @param {object} req - Express request (query: startDate?, endDate?).
+ * @param {object} res - Express response.
+ */
+async function getProductsWithCosts(req, res) {
+  try {
+    const userId = req.user.userId;
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const today = getStoreToday(timezone);
+    const endDate = req.query.endDate || today;
+    const startDate = req.query.startDate || addDays(today, -30);
+
+    console.log(`\n💰 Fetching products with costs for user: ${userId} (${startDate} to ${endDate})`);
+
+    const [products, orders, onboardingData, costHistory] = await Promise.all([
+      getShopifyCatalog(userId),
+      getShopifyOrders(userId, startDate, endDate, timezone),
+      getOnboardingData(userId),
+      productCostService.getCostHistory(userId)
+    ]);
+
+    const costResolver = buildProductCostResolver(onboardingData, products, costHistory, timezone);
+
+    // Latest effectiveFrom per history key, so the editor can show when the cost last changed
+    const lastChanged = new Map();
+    costHistory.forEach(entry => {
+      const key = `${entry.scope}:${entry.scopeId}`;
+      if (entry.effectiveFrom <= today && (!lastChanged.has(key) || lastChanged.get(key) < entry.effectiveFrom)) {
+        lastChanged.set(key, entry.effectiveFrom);
+      }
+    });
+
+    // Aggregate sales per variant (falls back to product when variant_id is missing)
+    const sales = new Map();
+    orders
+      .filter(order => {
+        const financialStatus = (order.financialStatus || '').toLowerCase();
+        return order.test !== true && !['refunded', 'voided', 'cancelled'].includes(financialStatus);
+      })
+      .forEach(order => {
+        (order.lineItems || []).forEach(item => {
+          const key = item.variant_id ? `variant:${item.variant_id}` : `product:${item.product_id}`;
+          const quantity = item.quantity || 0;
+          const entry = sales.get(key) || { units: 0, revenue: 0, cogs: 0 };
+          entry.units += quantity;
+          entry.revenue += parseFloat(item.price || 0) * quantity;
+          entry.cogs += costResolver.getUnitCost(item, order.createdAt) * quantity;
+          sales.set(key, entry);
+        });
+      });
+
+    const rows = [];
+    products.forEach(product => {
+      const productId = product.productId.toString();
+      const image = product.images?.[0]?.src || null;
+      const variants = product.variants && product.variants.length > 0 ? product.variants : [null];
+
+      variants.forEach(variant => {
+        const variantId = variant?.id ? variant.id.toString() : null;
+        const sku = variant?.sku || null;
+        const item = { product_id: productId, variant_id: variantId, sku };
+        const stats = sales.get(variantId ? `variant:${variantId}` : `product:${productId}`) ||
+          { units: 0, revenue: 0, cogs: 0 };
+        const grossProfit = stats.revenue - stats.cogs;
+
+        rows.push({
+          id: variantId || productId,
+          productId,
+          variantId,
+          sku,
+          title: product.title,
+          variantTitle: variant && variant.title !== 'Default Title' ? variant.title : null,
+          image,
+          price: parseFloat(variant?.price || 0),
+          cost: costResolver.getUnitCost(item, today),
+          costEffectiveFrom: (variantId && lastChanged.get(`variant:${variantId}`)) ||
+            (sku && lastChanged.get(`sku:${sku}`)) ||
+            lastChanged.get(`product:${productId}`) || null,
+          unitsSold: stats.units,
+          revenue: Math.round(stats.revenue * 100) / 100,
+          cogs: Math.round(stats.cogs * 100) / 100,
+          grossProfit: Math.round(grossProfit * 100) / 100,
+          margin: stats.revenue > 0 ? Math.round((grossProfit / stats.revenue) * 1000) / 10 : null
+        });
+      });
+    });
+
+    rows.sort((a, b) => b.revenue - a.revenue || a.title.localeCompare(b.title));
+
+    console.log(`✅ ${rows.length} variant rows from ${products.length} products`);
+    res.json(rows);
+
+  } catch (error) {
+    console.error('Get products with costs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch products with costs',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Bulk update product costs (editor save and CSV import).
+ * Each row is validated independently: valid rows are saved to the cost history,
+ * invalid rows come back with their row number and reason.
+ *
+ * @route POST /api/data/update-costs
+ * @access Protected
+ * @param {object} req - Express request (body: array of { row?, productId?, variantId?, sku?, cost, effectiveFrom? }).
+ * @param {object} res - Express response.
+ */
+async function updateProductCosts(req, res) {
+  try {
+    const userId = req.user.userId;
+    const updates = req.body;
+
+    if (!Array.isArray(updates)) {
+      return res.status(400).json({ error: 'Request body must be an array of cost updates' });
+    }
+
+    if (updates.length > 10000) {
+      return res.status(400).json({ error: 'Too many rows (max 10,000 per upload)' });
+    }
+
+    console.log(`\n💰 Bulk cost update for user: ${userId} (${updates.length} rows)`);
+
+    // Catalog lookups so CSV rows can be matched by SKU or variant ID alone
+    const products = await getShopifyCatalog(userId);
+    const productIds = new Set();
+    const variantToProduct = new Map();
+    const skuToVariant = new Map();
+    products.forEach(product => {
+      productIds.add(product.productId.toString());
+      (product.variants || []).forEach(variant => {
+        variantToProduct.set(variant.id.toString(), product.productId.toString());
+        if (variant.sku) {
+          skuToVariant.set(variant.sku.trim(), { productId: product.productId.toString(), variantId: variant.id.toString() });
+        }
+      });
+    });
+
+    const valid = [];
+    const errors = [];
+
+    updates.forEach((update, index) => {
+      const row = update?.row || index + 1;
+      const validationError = productCostService.validateUpdate(update);
+      if (validationError) {
+        errors.push({ row, sku: update?.sku || null, error: validationError });
+        return;
+      }
+
+      const entry = {
+        productId: update.productId ? update.productId.toString() : null,
+        variantId: update.variantId ? update.variantId.toString() : null,
+        sku: update.sku ? update.sku.toString().trim() : null,
+        cost: parseFloat(update.cost),
+        effectiveFrom: update.effectiveFrom || undefined
+      };
+
+      if (entry.variantId) {
+        if (!variantToProduct.has(entry.variantId)) {
+          errors.push({ row, sku: entry.sku, error: `Unknown variant ID ${entry.variantId}` });
+          return;
+        }
+        entry.productId = entry.productId || variantToProduct.get(entry.variantId);
+      } else if (entry.sku) {
+        const match = skuToVariant.get(entry.sku);
+        if (!match) {
+          errors.push({ row, sku: entry.sku, error: `Unknown SKU ${entry.sku}` });
+          return;
+        }
+        entry.productId = entry.productId || match.productId;
+        entry.variantId = match.variantId;
+      } else if (!productIds.has(entry.productId)) {
+        errors.push({ row, sku: null, error: `Unknown product ID ${entry.productId}` });
+        return;
+      }
+
+      valid.push(entry);
+    });
+
+    if (valid.length > 0) {
+      await productCostService.recordCosts(userId, valid);
+    }
+
+    console.log(`✅ Saved ${valid.length} costs, ${errors.length} rows rejected`);
+
+    res.json({
+      success: errors.length === 0,
+      saved: valid.length,
+      failed: errors.length,
+      errors
+    });
+
+  } catch (error) {
+    console.error('Update product costs error:', error);
+    res.status(500).json({
+      error: 'Failed to update product costs',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Customer cohort retention (powers CohortHeatmap)
+ * @route GET /api/data/cohorts
+ * @access Protected
+ *
+ * Query: months (1-24, default 12), startMonth / endMonth (YYYY-MM),
+ *        productId / discountCode (acquisition filters on the first order)
+ */
+async function getCohortData(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { startMonth, endMonth, productId, discountCode } = req.query;
+    const months = req.query.months ? parseInt(req.query.months, 10) : 12;
+
+    if (!Number.isInteger(months) || months < 1 || months > 24) {
+      return res.status(400).json({ error: 'Invalid months', message: 'months must be between 1 and 24' });
+    }
+
+    const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+    if ((startMonth && !MONTH.test(startMonth)) || (endMonth && !MONTH.test(endMonth))) {
+      return res.status(400).json({ error: 'Invalid month', message: 'startMonth and endMonth must be YYYY-MM' });
+    }
+    if (startMonth && endMonth && startMonth > endMonth) {
+      return res.status(400).json({ error: 'Invalid month range', message: 'startMonth must be on or before endMonth' });
+    }
+
+    const data = await cohortService.getCohorts(userId, { months, startMonth, endMonth, productId, discountCode });
+
+    res.json(data);
+  } catch (error) {
+    console.error('Cohort data error:', error);
+    res.status(500).json({
+      error: 'Failed to build cohorts',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Customer RFM segments, predicted LTV and segment profitability
+ * @route GET /api/data/customers
+ * @access Protected
+ *
+ * Query: segment (optional segment key), limit (default 100, max 500), offset, forceRefresh
+ */
+async function getCustomerAnalytics(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { segment, forceRefresh } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const segmentKeys = customerAnalyticsService.getSegmentDefinitions().map(s => s.key);
+    if (segment && !segmentKeys.includes(segment)) {
+      return res.status(400).json({ error: 'Invalid segment', message: `segment must be one of: ${segmentKeys.join(', ')}` });
+    }
+
+    const businessExpenses = await getBusinessExpenses(userId);
+    const analysis = await customerAnalyticsService.getAnalysis(userId, businessExpenses, forceRefresh === 'true');
+    const customers = segment ? analysis.customers.filter(c => c.segment === segment) : analysis.customers;
+
+    res.json({
+      summary: analysis.summary,
+      segments: analysis.segments,
+      customers: customers.slice(offset, offset + limit),
+      total: customers.length,
+      limit,
+      offset,
+      generatedAt: analysis.generatedAt
+    });
+  } catch (error) {
+    console.error('Customer analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to build customer analytics',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Export a customer segment as CSV (retargeting audiences)
+ * @route GET /api/data/customers/export
+ * @access Protected
+ *
+ * Query: segment (optional - all customers when omitted)
+ */
+async function exportCustomerSegment(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { segment } = req.query;
+
+    const segmentKeys = customerAnalyticsService.getSegmentDefinitions().map(s => s.key);
+    if (segment && !segmentKeys.includes(segment)) {
+      return res.status(400).json({ error: 'Invalid segment', message: `segment must be one of: ${segmentKeys.join(', ')}` });
+    }
+
+    const businessExpenses = await getBusinessExpenses(userId);
+    const analysis = await customerAnalyticsService.getAnalysis(userId, businessExpenses);
+    const customers = segment ? analysis.customers.filter(c => c.segment === segment) : analysis.customers;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="customers-${segment || 'all'}.csv"`
+    });
+    res.send(customerAnalyticsService.toCsv(customers));
+  } catch (error) {
+    console.error('Customer export error:', error);
+    res.status(500).json({
+      error: 'Failed to export customers',
+      message: error.message
+    });
+  }
+}
+
+// Analytics page (visitor / customer analysis)
+
+/**
+ * Deduplicates orders and splits them into real orders (no test/draft)
+ * and valid orders (also excluding refunded/voided/cancelled), as the dashboard does.
+ * @param {Array} orders - Shopify orders.
+ * @returns {object} { uniqueOrders, validOrders }
+ */
+function prepareOrders(orders) {
+  const uniqueOrdersMap = new Map();
+  orders.forEach(o => {
+    const key = o.id ? o.id.toString() : (o.orderNumber ? o.orderNumber.toString() : null);
+    if (key) uniqueOrdersMap.set(key, o);
+  });
+
+  const uniqueOrders = Array.from(uniqueOrdersMap.values()).filter(order => order.test !== true && (order.name || order.orderNumber));
+  const validOrders = uniqueOrders.filter(order => {
+    const financialStatus = (order.financialStatus || '').toLowerCase();
+    return !(financialStatus === 'refunded' || financialStatus === 'voided' || financialStatus === 'cancelled');
+  });
+
+  return { uniqueOrders, validOrders };
+}
+
+/**
+ * Shopper key for an order. Identified customers use their customer ID;
+ * guests only when includeGuests is set (keyed by email, else by order).
+ */
+function getShopperKey(order, includeGuests) {
+  const customerId = order.customerId || order.customer?.id;
+  if (customerId) return customerId.toString();
+  if (!includeGuests) return null;
+  return order.customerEmail ? `guest:${order.customerEmail.toLowerCase()}` : `guest_order:${order.id || order.orderNumber}`;
+}
+
+/**
+ * New / returning / churn summary for a period.
+ * New = first order ever falls inside the period. Churn = share of the previous
+ * period's shoppers who did not order again in this period.
+ *
+ * @param {Array} validOrders - Current period valid orders.
+ * @param {Array} previousOrders - Previous period valid orders.
+ * @param {Map} firstOrderDates - customerId -> first order date.
+ * @param {string} startDate - Current period start (YYYY-MM-DD).
+ * @param {boolean} includeGuests - Count guest checkouts as shoppers.
+ * @returns {object} { total, new, returning, churn }
+ */
+function buildShopperSummary(validOrders, previousOrders, firstOrderDates, startDate, includeGuests) {
+  const current = new Set();
+  validOrders.forEach(order => {
+    const key = getShopperKey(order, includeGuests);
+    if (key) current.add(key);
+  });
+
+  const previous = new Set();
+  previousOrders.forEach(order => {
+    const key = getShopperKey(order, includeGuests);
+    if (key) previous.add(key);
+  });
+
+  let returning = 0;
+  current.forEach(key => {
+    const firstOrderDate = firstOrderDates.get(key);
+    if (firstOrderDate && firstOrderDate < startDate) returning++;
+  });
+
+  let churned = 0;
+  previous.forEach(key => {
+    if (!current.has(key)) churned++;
+  });
+
+  return {
+    total: current.size,
+    new: current.size - returning,
+    returning,
+    churn: previous.size > 0 ? parseFloat(((churned / previous.size) * 100).toFixed(1)) : 0
+  };
+}
+
+/**
+ * Orders per shipping state for the current and previous period (top 10).
+ */
+function buildLocationData(validOrders, previousOrders) {
+  const getLocation = (order) => order.shippingAddress?.province || order.shippingAddress?.city ||
+    order.billingAddress?.province || 'Unknown';
+
+  const locations = new Map();
+  const add = (order, field) => {
+    const location = getLocation(order);
+    const entry = locations.get(location) || { location, current: 0, previous: 0 };
+    entry[field]++;
+    locations.set(location, entry);
+  };
+
+  validOrders.forEach(order => add(order, 'current'));
+  previousOrders.forEach(order => add(order, 'previous'));
+
+  return Array.from(locations.values())
+    .sort((a, b) => b.current - a.current || b.previous - a.previous)
+    .slice(0, 10);
+}
+
+/**
+ * Top returning customers in the period by revenue (top 10).
+ */
+function buildReturningCustomers(validOrders, firstOrderDates, startDate) {
+  const customers = new Map();
+
+  validOrders.forEach(order => {
+    const customerId = (order.customerId || order.customer?.id)?.toString();
+    const firstOrderDate = customerId ? firstOrderDates.get(customerId) : null;
+    if (!firstOrderDate || firstOrderDate >= startDate) return;
+
+    const entry = customers.get(customerId) || {
+      id: customerId,
+      name: order.shippingAddress?.name || order.billingAddress?.name || '-',
+      email: order.customerEmail || order.customer?.email || '-',
+      amount: 0,
+      subscribed: firstOrderDate
+    };
+    entry.amount += parseFloat(order.currentTotalPrice || order.totalPrice || 0);
+    customers.set(customerId, entry);
+  });
+
+  return Array.from(customers.values())
+    .map(c => ({ ...c, amount: Math.round(c.amount) }))
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, 10);
+}
+
+/**
+ * Analytics page data: visitor / customer summaries, locations,
+ * new customer trend and top returning customers, compared with a second range.
+ * @route GET /api/data/analytics
+ * @access Protected
+ *
+ * Query: startDate, endDate (YYYY-MM-DD), compareTo (previous_period (default) | previous_year |
+ *        custom with compareStartDate / compareEndDate), forceRefresh
+ */
+async function getAnalyticsData(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { startDate, endDate, compareTo = 'previous_period', forceRefresh } = req.query;
+
+    const comparisonRange = resolveComparisonRange(compareTo, startDate, endDate, req.query);
+    if (comparisonRange.error) {
+      return res.status(400).json({ error: 'Invalid date range', message: comparisonRange.error });
+    }
+
+    const cacheKey = `analytics:v1:${userId}:${startDate}:${endDate}:${comparisonRange.startDate}:${comparisonRange.endDate}`;
+    if (forceRefresh !== 'true') {
+      const cachedData = await getCachedDashboard(cacheKey);
+      if (cachedData) return res.json(cachedData);
+    }
+
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const extraAttributes = ['customerEmail', 'shippingAddress', 'billingAddress'];
+
+    const [
+      orders,
+      previousOrders,
+      firstOrderDates,
+      shopifyProducts,
+      metaInsights,
+      shiprocketShipments,
+      onboardingData,
+      businessExpenses,
+      costHistory
+    ] = await Promise.all([
+      getShopifyOrders(userId, startDate, endDate, timezone, extraAttributes),
+      getShopifyOrders(userId, comparisonRange.startDate, comparisonRange.endDate, timezone, extraAttributes),
+      getFirstOrderDates(userId, timezone),
+      getShopifyProducts(userId),
+      getMetaInsights(userId, startDate, endDate),
+      getShiprocketShipments(userId, startDate, endDate),
+      getOnboardingData(userId),
+      getBusinessExpenses(userId),
+      productCostService.getCostHistory(userId)
+    ]);
+
+    const productMap = buildProductCostResolver(onboardingData, shopifyProducts, costHistory, timezone);
+    const current = prepareOrders(orders);
+    const previous = prepareOrders(previousOrders);
+
+    const visitor = buildShopperSummary(current.validOrders, previous.validOrders, firstOrderDates, startDate, true);
+    const customer = buildShopperSummary(current.validOrders, previous.validOrders, firstOrderDates, startDate, false);
+    const previousVisitor = buildShopperSummary(previous.validOrders, [], firstOrderDates, comparisonRange.startDate, true);
+    const previousCustomer = buildShopperSummary(previous.validOrders, [], firstOrderDates, comparisonRange.startDate, false);
+
+    const customerTypeByDay = calculateCustomerTypeData(current.uniqueOrders, startDate, endDate, timezone, firstOrderDates);
+
+    const analyticsData = {
+      summary: { visitor, customer },
+      previousSummary: {
+        visitor: { ...previousVisitor, churn: null },
+        customer: { ...previousCustomer, churn: null }
+      },
+      website: calculateWebsiteMetrics(current.validOrders, current.uniqueOrders, productMap, metaInsights, shiprocketShipments, businessExpenses, timezone),
+      orderTypeData: calculateOrderTypeData(current.validOrders),
+      previousOrderTypeData: calculateOrderTypeData(previous.validOrders),
+      locations: buildLocationData(current.validOrders, previous.validOrders),
+      newCustomersTotal: customerTypeByDay.reduce((sum, day) => sum + day.newCustomers, 0),
+      charts: {
+        customerTypeByDay,
+        newCustomerTrend: customerTypeByDay.map(day => ({ date: day.name, value: day.newCustomers }))
+      },
+      returningCustomers: buildReturningCustomers(current.validOrders, firstOrderDates, startDate),
+      dateRange: { startDate, endDate },
+      comparison: { compareTo, ...comparisonRange }
+    };
+
+    await setCachedDashboard(cacheKey, analyticsData);
+    res.json(analyticsData);
+  } catch (error) {
+    console.error('Analytics data error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analytics data',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Monthly series for one calendar year (Analytics year-over-year chart)
+ * @route GET /api/data/analyticschart
+ * @access Protected
+ *
+ * Query: year (YYYY), type (visitor | customer)
+ * Response: { [type]: { year, thisYear: [{ month, orders, revenue, customers, newCustomers, returningCustomers }] } }
+ * For type=customer, `orders` counts unique identified customers so the page can plot one key.
+ */
+async function getAnalyticsChart(req, res) {
+  try {
+    const userId = req.user.userId;
+    const year = parseInt(req.query.year, 10);
+    const type = req.query.type === 'customer' ? 'customer' : 'visitor';
+
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      return res.status(400).json({ error: 'Invalid year', message: 'year must be a four-digit year' });
+    }
+
+    const cacheKey = `analyticschart:v1:${userId}:${year}:${type}`;
+    const cachedData = await getCachedDashboard(cacheKey);
+    if (cachedData) return res.json(cachedData);
+
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const [orders, firstOrderDates] = await Promise.all([
+      getShopifyOrders(userId, `${year}-01-01`, `${year}-12-31`, timezone),
+      getFirstOrderDates(userId, timezone)
+    ]);
+    const { validOrders } = prepareOrders(orders);
+
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const buckets = MONTHS.map(month => ({ month, orders: 0, revenue: 0, customers: new Set(), newCustomers: 0 }));
+
+    validOrders.forEach(order => {
+      const date = toStoreDate(order.createdAt, timezone);
+      if (!date) return;
+      const bucket = buckets[parseInt(date.slice(5, 7), 10) - 1];
+
+      bucket.orders++;
+      bucket.revenue += parseFloat(order.currentTotalPrice || order.totalPrice || 0);
+
+      const customerId = (order.customerId || order.customer?.id)?.toString();
+      if (customerId && !bucket.customers.has(customerId)) {
+        bucket.customers.add(customerId);
+        if ((firstOrderDates.get(customerId) || '').slice(0, 7) === date.slice(0, 7)) bucket.newCustomers++;
+      }
+    });
+
+    const thisYear = buckets.map(bucket => ({
+      month: bucket.month,
+      orders: type === 'customer' ? bucket.customers.size : bucket.orders,
+      revenue: Math.round(bucket.revenue),
+      customers: bucket.customers.size,
+      newCustomers: bucket.newCustomers,
+      returningCustomers: bucket.customers.size - bucket.newCustomers
+    }));
+
+    const chartData = { [type]: { year, thisYear } };
+    await setCachedDashboard(cacheKey, chartData);
+    res.json(chartData);
+  } catch (error) {
+    console.error('Analytics chart error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analytics chart',
+      message: error.message
+    });
+  }
+}
+
+// Marketing page (campaign / ad set / ad breakdowns)
+
+/**
+ * Formats a number for the Marketing summary cards ("N/A" when not computable).
+ * Currency values are in the store currency.
+ */
+function formatMarketingValue(value, type, currency) {
+  if (value === null || value === undefined) return 'N/A';
+  switch (type) {
+    case 'currency':
+      return formatMoney(value, currency, 2);
+    case 'percent':
+      return `${value.toFixed(2)}%`;
+    case 'ratio':
+      return `${value.toFixed(2)}x`;
+    default:
+      return value.toLocaleString('en-IN');
+  }
+}
+
+/**
+ * Marketing page data from stored Meta insights
+ * @route GET /api/data/marketingData
+ * @access Protected
+ *
+ * Query: startDate, endDate (YYYY-MM-DD), attributionWindow (days, default 7), forceRefresh
+ * Response: campaigns / adsets / ads (spend, impressions, CTR, CPC, purchases, ROAS, POAS,
+ * plus first-party orders / revenue / ROAS / POAS from order UTMs), revenue by channel
+ * (attribution), per-ad-account totals (accounts), daily series and totals, plus the legacy keys the page renders
+ * (summary, campaignMetrics, spendChartData, adsChartData, analysisTable).
+ * Without campaign-level rows the totals and daily series fall back to account-level insights.
+ */
+async function getMarketingData(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { startDate, endDate, forceRefresh } = req.query;
+
+    if (!DATE_ONLY.test(startDate || '') || !DATE_ONLY.test(endDate || '') || startDate > endDate) {
+      return res.status(400).json({ error: 'Invalid date range', message: 'startDate and endDate (YYYY-MM-DD) are required' });
+    }
+
+    const attributionWindow = attributionService.parseWindow(req.query.attributionWindow);
+    if (attributionWindow === null) {
+      return res.status(400).json({ error: 'Invalid attribution window', message: 'attributionWindow must be a whole number of days between 1 and 90' });
+    }
+
+    const cacheKey = `marketing:v5:${userId}:${startDate}:${endDate}:${attributionWindow}`;
+    if (forceRefresh !== 'true') {
+      const cachedData = await getCachedDashboard(cacheKey);
+      if (cachedData) return res.json(cachedData);
+    }
+
+    const [breakdown, accountInsights, metaConnection, attribution, currency] = await Promise.all([
+      metaInsightsService.getBreakdown(userId, startDate, endDate),
+      getMetaInsights(userId, startDate, endDate),
+      getMetaConnection(userId),
+      attributionService.getAttribution(userId, startDate, endDate, attributionWindow),
+      currencyService.getStoreCurrency(userId)
+    ]);
+    let { daily, totals } = breakdown;
+
+    if (!breakdown.hasEntityData) {
+      daily = metaInsightsService.buildDaily(accountInsights, breakdown.margin);
+      totals = metaInsightsService.buildTotals(accountInsights, breakdown.margin);
+    }
+
+    // First-party (order UTM / fbclid) numbers next to the Meta-reported ones
+    const campaigns = attributionService.applyToEntities(breakdown.campaigns, attribution.campaign, breakdown.margin);
+    const adsets = attributionService.applyToEntities(breakdown.adsets, attribution.adset, breakdown.margin);
+    const ads = attributionService.applyToEntities(breakdown.ads, attribution.ad, breakdown.margin);
+    totals = { ...totals, ...attributionService.firstPartyMetrics(attribution.meta, totals.spend, breakdown.margin) };
+
+    // Keyed by name for the page; duplicate names get their ID appended
+    const campaignMetrics = {};
+    campaigns.forEach(campaign => {
+      const name = campaignMetrics[campaign.name] ? `${campaign.name} (${campaign.id})` : campaign.name;
+      campaignMetrics[name] = {
+        id: campaign.id,
+        amountSpent: campaign.spend,
+        impressions: campaign.impressions,
+        reach: campaign.reach,
+        linkClicks: campaign.linkClicks,
+        ctr: campaign.ctr,
+        costPerClick: campaign.cpc,
+        sales: campaign.purchases,
+        costPerSale: campaign.costPerPurchase,
+        roas: campaign.roas,
+        poas: campaign.poas,
+        firstPartyRoas: campaign.firstPartyRoas,
+        firstPartyPoas: campaign.firstPartyPoas
+      };
+    });
+
+    const marketingData = {
+      summary: [
+        ['Amount Spent', formatMarketingValue(totals.spend, 'currency', currency)],
+        ['Impressions', formatMarketingValue(totals.impressions)],
+        ['Link Clicks', formatMarketingValue(totals.linkClicks)],
+        ['CTR', formatMarketingValue(totals.ctr, 'percent')],
+        ['CPC', formatMarketingValue(totals.cpc, 'currency', currency)],
+        ['Purchases', formatMarketingValue(totals.purchases)],
+        ['Cost / Purchase', formatMarketingValue(totals.costPerPurchase, 'currency', currency)],
+        ['Meta Revenue', formatMarketingValue(totals.revenue, 'currency', currency)],
+        ['ROAS', formatMarketingValue(totals.roas, 'ratio')],
+        ['POAS', formatMarketingValue(totals.poas, 'ratio')],
+        ['First-party ROAS', formatMarketingValue(totals.firstPartyRoas, 'ratio')],
+        ['First-party POAS', formatMarketingValue(totals.firstPartyPoas, 'ratio')]
+      ],
+      campaignMetrics,
+      spendChartData: daily.map(day => ({
+        name: new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+        date: day.date,
+        spend: Math.round(day.spend),
+        cpp: day.costPerPurchase === null ? 0 : Math.round(day.costPerPurchase),
+        roas: day.roas || 0,
+        poas: day.poas || 0
+      })),
+      adsChartData: Object.entries(campaignMetrics).map(([name, metrics]) => ({ name, value: metrics.roas || 0 })),
+      analysisTable: campaigns,
+      campaigns,
+      adsets,
+      ads,
+      attribution: {
+        windowDays: attribution.windowDays,
+        channels: attribution.channels,
+        meta: attribution.meta,
+        unmatched: attribution.unmatched,
+        outsideWindow: attribution.outsideWindow
+      },
+      accounts: metaInsightsService.buildAccounts(accountInsights, metaConnection, breakdown.margin),
+      daily,
+      totals,
+      margin: breakdown.margin,
+      source: breakdown.hasEntityData ? 'campaign' : 'account',
+      dateRange: { startDate, endDate }
+    };
+
+    await setCachedDashboard(cacheKey, marketingData);
+    res.json(marketingData);
+  } catch (error) {
+    console.error('Marketing data error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch marketing data',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Get Sync Status
  * @route GET /api/data/sync-status
@@ -2933,7 +4294,15 @@ async function syncShopifyOrders(req, res) {
 
 module.exports = {
   getDashboardData,
+  getProductsWithCosts,
+  updateProductCosts,
   getSyncStatus,
   syncShopifyOrders,
+  getCohortData,
+  getCustomerAnalytics,
+  exportCustomerSegment,
+  getAnalyticsData,
+  getAnalyticsChart,
+  getMarketingData,
   calculateShiprocketSummaryForChatbot: calculateShiprocketSummary
 };
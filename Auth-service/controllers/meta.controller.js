@@ -5,15 +5,29 @@
 
 const axios = require('axios');
 const crypto = require('crypto');
-const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
 const metaSyncService = require('../services/meta-sync.service');
+const metaInsightsService = require('../services/meta-insights.service');
+const metaTokenService = require('../services/meta-token.service');
+const metaCapiService = require('../services/meta-capi.service');
+const metaCampaignService = require('../services/meta-campaign.service');
+const metaRulesService = require('../services/meta-rules.service');
+const metaReportService = require('../services/meta-report.service');
+const attributionService = require('../services/attribution.service');
+const storeTimezoneService = require('../services/store-timezone.service');
+const dailyMetricsService = require('../services/daily-metrics.service');
+const { getStoreToday, addDays } = require('../utils/timezone');
+const { toNumericAccountId, getSelectedAdAccounts } = require('../utils/meta-accounts');
 
 const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
 const FB_APP_ID = process.env.FB_APP_ID;
 const FB_APP_SECRET = process.env.FB_APP_SECRET;
 const FB_REDIRECT_URI = process.env.FB_REDIRECT_URI;
 const FB_API_VERSION = 'v23.0';
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+// Rollup days to rebuild when an ad account is deselected (bulk sync covers one year)
+const ROLLUP_RESTATE_DAYS = 366;
 
 class MetaController {
   /**
@@ -24,6 +38,9 @@ class MetaController {
   async initiateOAuth(req, res) {
     try {
       const userId = req.user.userId;
+      // Where to land after the callback (e.g. /dashboard when reconnecting); defaults to onboarding
+      const { returnPath } = req.body || {};
+      const safeReturnPath = typeof returnPath === 'string' && /^\/(?!\/)[\w\-/]*$/.test(returnPath) ? returnPath : null;
 
       console.log(`\n🔗 Initiating Meta OAuth for user: ${userId}`);
 
@@ -34,6 +51,7 @@ class MetaController {
       global.metaOAuthSessions = global.metaOAuthSessions || {};
       global.metaOAuthSessions[state] = {
         userId,
+        returnPath: safeReturnPath,
         timestamp: Date.now()
       };
 
@@ -43,7 +61,8 @@ class MetaController {
         'email',
         'ads_read',
         'ads_management',
-        'business_management'
+        'business_management',
+        'pages_show_list'
       ].join(',');
 
       const authUrl = `https://www.facebook.com/${FB_API_VERSION}/dialog/oauth?` +
@@ -97,6 +116,7 @@ class MetaController {
       }
 
       const { userId } = session;
+      const returnPath = session.returnPath || '/onboarding';
       console.log(`   User ID: ${userId}`);
 
       // Exchange code for access token
@@ -172,7 +192,7 @@ class MetaController {
 
       // Redirect to frontend
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-      res.redirect(`${frontendUrl}/onboarding?meta=connected&accounts=${adAccounts.length}`);
+      res.redirect(`${frontendUrl}${returnPath}?meta=connected&accounts=${adAccounts.length}`);
 
     } catch (error) {
       console.error('❌ OAuth callback error:', error);
@@ -185,6 +205,8 @@ class MetaController {
    * Get Meta Connection Status
    * @route GET /api/meta/connection
    * @access Protected
+   *
+   * Includes token health: { state: valid | expiring | expired, expiresAt, daysRemaining, needsReconnect, reason }
    */
   async getConnection(req, res) {
     try {
@@ -204,12 +226,13 @@ class MetaController {
         });
       }
 
-      // Don't expose access token
-      const { accessToken, ...safeConnection } = result.Item;
+      // Don't expose access tokens
+      const { accessToken, capi, ...safeConnection } = result.Item;
 
       res.json({
         connected: true,
-        connection: safeConnection
+        connection: { ...safeConnection, capi: toCapiSettings(capi) },
+        health: metaTokenService.getHealth(result.Item)
       });
     } catch (error) {
       console.error('Get Meta connection error:', error);
@@ -218,21 +241,28 @@ class MetaController {
   }
 
   /**
-   * Update selected ad account
+   * Update selected ad accounts
    * @route POST /api/meta/select-account
    * @access Protected
+   *
+   * Body: adAccountIds (array of numeric IDs), or adAccountId for a single account
    */
   async selectAdAccount(req, res) {
     try {
       const userId = req.user.userId;
-      const { adAccountId } = req.body;
+      const { adAccountId, adAccountIds } = req.body;
+      const requestedIds = [...new Set(
+        (Array.isArray(adAccountIds) ? adAccountIds : [adAccountId])
+          .filter(Boolean)
+          .map(toNumericAccountId)
+      )];
 
-      console.log(`\n💾 Selecting ad account for user: ${userId}`);
-      console.log(`   Ad Account ID: ${adAccountId}`);
+      console.log(`\n💾 Selecting ad accounts for user: ${userId}`);
+      console.log(`   Ad Account IDs: ${requestedIds.join(', ')}`);
 
-      if (!adAccountId) {
+      if (requestedIds.length === 0) {
         return res.status(400).json({
-          error: 'Ad account ID is required'
+          error: 'At least one ad account ID is required'
         });
       }
 
@@ -252,41 +282,69 @@ class MetaController {
 
       const connection = result.Item;
 
-      // Verify ad account exists in user's accounts
-      const selectedAccount = connection.adAccounts.find(
-        acc => acc.accountId === adAccountId || acc.id === `act_${adAccountId}`
-      );
-
-      if (!selectedAccount) {
-        return res.status(400).json({
-          error: 'Invalid ad account ID. Account not found in your connected accounts.'
-        });
+      // Verify every ad account exists in user's accounts
+      const selectedAccounts = [];
+      for (const id of requestedIds) {
+        const account = (connection.adAccounts || []).find(
+          acc => acc.accountId === id || acc.id === `act_${id}`
+        );
+
+        if (!account) {
+          return res.status(400).json({
+            error: `Invalid ad account ID ${id}. Account not found in your connected accounts.`
+          });
+        }
+        selectedAccounts.push(account);
       }
 
-      // Update connection with selected account
+      // Newly picked accounts need their history synced; accounts that counted before
+      // (every account when nothing was selected yet) but no longer do need rollups rebuilt
+      const previousIds = (connection.selectedAdAccountIds
+        || (connection.selectedAdAccountId ? [connection.selectedAdAccountId] : [])).map(toNumericAccountId);
+      const addedIds = requestedIds.filter(id => !previousIds.includes(id));
+      const removedIds = getSelectedAdAccounts(connection)
+        .map(account => account.accountId)
+        .filter(id => !requestedIds.includes(id));
+
+      // Update connection with selected accounts (selectedAdAccountId/selectedAdAccount
+      // keep the first one for code that reads a single account)
       const updateCommand = new PutCommand({
         TableName: META_CONNECTIONS_TABLE,
         Item: {
           ...connection,
-          selectedAdAccountId: adAccountId,
-          selectedAdAccount: selectedAccount,
+          selectedAdAccountIds: requestedIds,
+          selectedAdAccounts: selectedAccounts,
+          selectedAdAccountId: requestedIds[0],
+          selectedAdAccount: selectedAccounts[0],
           updatedAt: new Date().toISOString()
         }
       });
 
       await dynamoDB.send(updateCommand);
 
-      console.log(`✅ Ad account selected successfully`);
+      console.log(`✅ ${selectedAccounts.length} ad account(s) selected successfully`);
 
-      // Trigger Hybrid Sync (Fast Preview + Background Full History)
-      metaSyncService.startHybridSync(userId, `act_${adAccountId}`, connection.accessToken);
+      // Trigger Hybrid Sync (Fast Preview + Background Full History) for newly added accounts
+      if (addedIds.length > 0) {
+        metaSyncService.startHybridSyncForAccounts(userId, addedIds.map(id => `act_${id}`), connection.accessToken);
+      }
+
+      // A deselected account's spend must drop out of the daily rollups
+      if (removedIds.length > 0) {
+        const timezone = await storeTimezoneService.getTimezone(userId);
+        const today = getStoreToday(timezone);
+        dailyMetricsService.markRangeDirty(userId, addDays(today, -ROLLUP_RESTATE_DAYS), today);
+      }
 
       console.log(`✅ Meta setup completed\n`);
 
       res.json({
         success: true,
-        message: 'Ad account selected successfully',
-        selectedAccount
+        message: selectedAccounts.length === 1
+          ? 'Ad account selected successfully'
+          : `${selectedAccounts.length} ad accounts selected successfully`,
+        selectedAccount: selectedAccounts[0],
+        selectedAccounts
       });
     } catch (error) {
       console.error('❌ Select ad account error:', error);
@@ -438,13 +496,608 @@ class MetaController {
     }
   }
 
+  /**
+   * Age, gender, region, placement and hourly segments ranked by ROAS,
+   * with targeting recommendations from the best performers
+   * @route GET /api/meta/breakdowns
+   * @access Protected
+   *
+   * Query: startDate, endDate (YYYY-MM-DD, default the last 30 days)
+   */
+  async getBreakdowns(req, res) {
+    try {
+      const userId = req.user.userId;
+      let { startDate, endDate } = req.query;
+
+      if (!startDate || !endDate) {
+        const timezone = await storeTimezoneService.getTimezone(userId);
+        endDate = addDays(getStoreToday(timezone), -1);
+        startDate = addDays(endDate, -29);
+      }
+
+      if (!DATE_ONLY.test(startDate) || !DATE_ONLY.test(endDate) || startDate > endDate) {
+        return res.status(400).json({
+          error: 'Invalid date range',
+          message: 'startDate and endDate must be YYYY-MM-DD with startDate on or before endDate'
+        });
+      }
+
+      const rankings = await metaInsightsService.getBreakdownRankings(userId, startDate, endDate);
+
+      res.json({
+        success: true,
+        dateRange: { startDate, endDate },
+        ...rankings
+      });
+    } catch (error) {
+      console.error('❌ Get Meta breakdowns error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch Meta breakdowns',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get Conversions API settings and delivery stats
+   * @route GET /api/meta/capi
+   * @access Protected
+   */
+  async getCapiSettings(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId },
+        ProjectionExpression: 'capi'
+      }));
+
+      if (!result.Item) {
+        return res.status(404).json({
+          error: 'No Meta connection found. Please connect first.'
+        });
+      }
+
+      res.json({
+        success: true,
+        settings: toCapiSettings(result.Item.capi),
+        stats: await metaCapiService.getQueueStats(userId)
+      });
+    } catch (error) {
+      console.error('❌ Get CAPI settings error:', error);
+      res.status(500).json({
+        error: 'Failed to get Conversions API settings',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update Conversions API settings
+   * @route POST /api/meta/capi
+   * @access Protected
+   *
+   * Body: enabled, pixelId, accessToken (omit to keep, null to use the OAuth token),
+   * testEventCode, purchaseEvents, profitableEvents (delivered, non-RTO orders only)
+   */
+  async updateCapiSettings(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { enabled, pixelId, accessToken, testEventCode, purchaseEvents, profitableEvents } = req.body;
+
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId },
+        ProjectionExpression: 'capi'
+      }));
+
+      if (!result.Item) {
+        return res.status(404).json({
+          error: 'No Meta connection found. Please connect first.'
+        });
+      }
+
+      const current = result.Item.capi || {};
+      const capi = {
+        enabled: enabled !== undefined ? enabled === true : current.enabled === true,
+        pixelId: pixelId !== undefined ? (pixelId ? pixelId.toString().trim() : null) : current.pixelId || null,
+        accessToken: accessToken !== undefined ? (accessToken || null) : current.accessToken || null,
+        testEventCode: testEventCode !== undefined ? (testEventCode || null) : current.testEventCode || null,
+        purchaseEvents: purchaseEvents !== undefined ? purchaseEvents !== false : current.purchaseEvents !== false,
+        profitableEvents: profitableEvents !== undefined ? profitableEvents === true : current.profitableEvents === true
+      };
+
+      if (capi.pixelId && !/^\d+$/.test(capi.pixelId)) {
+        return res.status(400).json({
+          error: 'Invalid pixel ID',
+          message: 'pixelId must be the numeric dataset / pixel ID from Events Manager'
+        });
+      }
+
+      if (capi.enabled && !capi.pixelId) {
+        return res.status(400).json({
+          error: 'Pixel ID required',
+          message: 'Set pixelId before enabling the Conversions API'
+        });
+      }
+
+      await dynamoDB.send(new UpdateCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET capi = :capi, updatedAt = :timestamp',
+        ExpressionAttributeValues: {
+          ':capi': capi,
+          ':timestamp': new Date().toISOString()
+        }
+      }));
+
+      console.log(`✅ CAPI settings updated for ${userId} (enabled: ${capi.enabled}, pixel: ${capi.pixelId})`);
+
+      res.json({
+        success: true,
+        settings: toCapiSettings(capi)
+      });
+    } catch (error) {
+      console.error('❌ Update CAPI settings error:', error);
+      res.status(500).json({
+        error: 'Failed to update Conversions API settings',
+        message: error.message
+      });
+    }
+  }
+
+
+  /**
+   * List Facebook Pages the user can publish ads as
+   * @route GET /api/meta/pages
+   * @access Protected
+   */
+  async getPages(req, res) {
+    try {
+      const pages = await metaCampaignService.getPages(req.user.userId);
+
+      res.json({
+        success: true,
+        pages
+      });
+    } catch (error) {
+      console.error('❌ Get Meta pages error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch Facebook Pages',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Upload a video or image creative to the ad account
+   * @route POST /api/meta/campaigns/media
+   * @access Protected
+   *
+   * Raw file body, streamed to a temp file by streamToTempFile (see meta.routes.js).
+   * Headers: Content-Type (video/* or image/*), X-File-Name. Query: adAccountId (optional)
+   */
+  async uploadCampaignMedia(req, res) {
+    try {
+      if (!req.file || req.file.size === 0) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          message: 'Send the video or image as the request body with a video/* or image/* Content-Type'
+        });
+      }
+
+      const fileName = req.headers['x-file-name']
+        ? decodeURIComponent(req.headers['x-file-name'])
+        : `creative-${Date.now()}`;
+
+      console.log(`\n🎞️  Uploading ${fileName} (${(req.file.size / (1024 * 1024)).toFixed(1)} MB) to Meta`);
+
+      const media = await metaCampaignService.uploadMedia(req.user.userId, {
+        adAccountId: req.query.adAccountId,
+        fileName,
+        contentType: req.file.contentType,
+        filePath: req.file.path,
+        size: req.file.size
+      });
+
+      res.json({
+        success: true,
+        media: { ...media, name: fileName }
+      });
+    } catch (error) {
+      console.error('❌ Upload campaign media error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to upload creative',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a campaign with ad sets and ads (created paused for review)
+   * @route POST /api/meta/campaigns
+   * @access Protected
+   *
+   * Body: name, pageId, goal (roas | paid | rto), startDate, endDate, adAccountId (optional),
+   * adSets: [{ name, dailyBudget, bidStrategy (automatic | manual | cost_cap), bidAmount,
+   *   locations, ageMin, ageMax, gender, ads: [{ name, videoId | imageHash, headline, message, cta, link }] }]
+   */
+  async createCampaign(req, res) {
+    try {
+      const problem = metaCampaignService.validateCampaign(req.body);
+      if (problem) {
+        return res.status(400).json({
+          error: 'Invalid campaign',
+          message: problem
+        });
+      }
+
+      const campaign = await metaCampaignService.createCampaign(req.user.userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Campaign created and paused for review',
+        campaign
+      });
+    } catch (error) {
+      console.error('❌ Create Meta campaign error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to create campaign',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Campaigns with Meta-reported and profit-adjusted metrics for a date range
+   * @route GET /api/meta/campaigns
+   * @access Protected
+   *
+   * Query: startDate, endDate (YYYY-MM-DD, default: last 30 days), attributionWindow (days, default 7)
+   */
+  async getCampaigns(req, res) {
+    try {
+      const userId = req.user.userId;
+      const range = await getReportRange(userId, req.query);
+      if (range.error) {
+        return res.status(400).json(range);
+      }
+
+      const report = await metaReportService.listCampaigns(userId, range.startDate, range.endDate, range.attributionWindow);
+
+      res.json({
+        success: true,
+        dateRange: { startDate: range.startDate, endDate: range.endDate },
+        attributionWindow: range.attributionWindow,
+        ...report
+      });
+    } catch (error) {
+      console.error('❌ Get Meta campaigns error:', error);
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch campaigns',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * One campaign: metadata, ad sets, ads with creative previews, daily series and profit-adjusted metrics
+   * @route GET /api/meta/campaigns/:campaignId
+   * @access Protected
+   *
+   * Query: startDate, endDate (YYYY-MM-DD, default: last 30 days), attributionWindow (days, default 7)
+   */
+  async getCampaignDetails(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { campaignId } = req.params;
+
+      if (!/^\d+$/.test(campaignId)) {
+        return res.status(400).json({
+          error: 'Invalid campaign ID'
+        });
+      }
+
+      const range = await getReportRange(userId, req.query);
+      if (range.error) {
+        return res.status(400).json(range);
+      }
+
+      const report = await metaReportService.getCampaignDetails(userId, campaignId, range.startDate, range.endDate, range.attributionWindow);
+
+      res.json({
+        success: true,
+        dateRange: { startDate: range.startDate, endDate: range.endDate },
+        attributionWindow: range.attributionWindow,
+        ...report
+      });
+    } catch (error) {
+      console.error('❌ Get Meta campaign details error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch campaign',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a campaign (status, name) and its ad sets (status, budget, bid, end date);
+   * ad sets without an id are created under the campaign
+   * @route PATCH /api/meta/campaigns/:campaignId
+   * @access Protected
+   */
+  async updateCampaign(req, res) {
+    try {
+      const { campaignId } = req.params;
+
+      if (!/^\d+$/.test(campaignId)) {
+        return res.status(400).json({
+          error: 'Invalid campaign ID'
+        });
+      }
+
+      const problem = metaCampaignService.validateUpdate(req.body);
+      if (problem) {
+        return res.status(400).json({
+          error: 'Invalid campaign update',
+          message: problem
+        });
+      }
+
+      const result = await metaCampaignService.updateCampaign(req.user.userId, campaignId, req.body);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('❌ Update Meta campaign error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to update campaign',
+        message: error.message
+      });
+    }
+  }
+
+
+  /**
+   * List automation rules, with the metrics / actions the rule builder can use
+   * @route GET /api/meta/rules
+   * @access Protected
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await metaRulesService.listRules(req.user.userId);
+
+      res.json({
+        success: true,
+        rules,
+        options: metaRulesService.getOptions()
+      });
+    } catch (error) {
+      console.error('❌ Get automation rules error:', error.message);
+      res.status(500).json({
+        error: 'Failed to fetch automation rules',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create an automation rule
+   * @route POST /api/meta/rules
+   * @access Protected
+   *
+   * Body: name, level (campaign | adset | ad), entityIds (optional, default all),
+   * lookbackDays, cooldownHours, enabled, dryRun,
+   * conditions: [{ metric, operator (< <= > >=), value }] (all must match),
+   * action: { type (pause | activate | increase_budget | decrease_budget), percent, maxBudget, minBudget }
+   */
+  async createRule(req, res) {
+    try {
+      const rule = await metaRulesService.createRule(req.user.userId, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      console.error('❌ Create automation rule error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to create automation rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update an automation rule (fields not sent keep their value)
+   * @route PATCH /api/meta/rules/:ruleId
+   * @access Protected
+   */
+  async updateRule(req, res) {
+    try {
+      const rule = await metaRulesService.updateRule(req.user.userId, req.params.ruleId, req.body || {});
+
+      res.json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      console.error('❌ Update automation rule error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to update automation rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete an automation rule (its action log is kept)
+   * @route DELETE /api/meta/rules/:ruleId
+   * @access Protected
+   */
+  async deleteRule(req, res) {
+    try {
+      await metaRulesService.deleteRule(req.user.userId, req.params.ruleId);
+
+      res.json({
+        success: true,
+        message: 'Rule deleted'
+      });
+    } catch (error) {
+      console.error('❌ Delete automation rule error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to delete automation rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Dry-run an unsaved rule: which entities it would change right now
+   * @route POST /api/meta/rules/preview
+   * @access Protected
+   *
+   * Body: same as POST /api/meta/rules. Nothing is changed on Meta or logged.
+   */
+  async previewRule(req, res) {
+    try {
+      const rule = metaRulesService.normalizeRule({ name: 'Preview', ...(req.body || {}) });
+      const problem = metaRulesService.validateRule(rule);
+      if (problem) {
+        return res.status(400).json({
+          error: 'Invalid rule',
+          message: problem
+        });
+      }
+
+      const evaluation = await metaRulesService.evaluateRule(req.user.userId, rule, { dryRun: true, trigger: 'preview' });
+
+      res.json({
+        success: true,
+        ...evaluation
+      });
+    } catch (error) {
+      console.error('❌ Preview automation rule error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to preview automation rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Evaluate a saved rule now
+   * @route POST /api/meta/rules/:ruleId/run
+   * @access Protected
+   *
+   * Body: dryRun (true to only see what would change - nothing is applied or logged)
+   */
+  async runRule(req, res) {
+    try {
+      const userId = req.user.userId;
+      const dryRun = req.body?.dryRun === true;
+      const rule = await metaRulesService.getRule(userId, req.params.ruleId);
+
+      const evaluation = await metaRulesService.evaluateRule(userId, rule, dryRun
+        ? { dryRun: true, trigger: 'preview' }
+        : { trigger: 'manual' });
+
+      res.json({
+        success: true,
+        ...evaluation
+      });
+    } catch (error) {
+      console.error('❌ Run automation rule error:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to run automation rule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Changes made (or, for dry-run rules, planned) by automation rules, newest first
+   * @route GET /api/meta/rules/log
+   * @access Protected
+   *
+   * Query: ruleId (optional), limit (default 50, max 200)
+   */
+  async getRuleLog(req, res) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const actions = await metaRulesService.getActionLog(req.user.userId, { ruleId: req.query.ruleId, limit });
+
+      res.json({
+        success: true,
+        actions
+      });
+    } catch (error) {
+      console.error('❌ Get automation rule log error:', error.message);
+      res.status(500).json({
+        error: 'Failed to fetch automation rule log',
+        message: error.message
+      });
+    }
+  }
+
+}
+
+/**
+ * Date range and attribution window for campaign reports.
+ * Defaults to the 30 store days ending yesterday (today's insights aren't synced yet).
+ * @returns {Promise<object>} { startDate, endDate, attributionWindow } or { error, message }
+ */
+async function getReportRange(userId, query) {
+  let { startDate, endDate } = query;
+
+  if (!startDate || !endDate) {
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    endDate = addDays(getStoreToday(timezone), -1);
+    startDate = addDays(endDate, -29);
+  }
+
+  if (!DATE_ONLY.test(startDate) || !DATE_ONLY.test(endDate) || startDate > endDate) {
+    return {
+      error: 'Invalid date range',
+      message: 'startDate and endDate must be YYYY-MM-DD with startDate on or before endDate'
+    };
+  }
+
+  const attributionWindow = attributionService.parseWindow(query.attributionWindow);
+  if (attributionWindow === null) {
+    return {
+      error: 'Invalid attribution window',
+      message: 'attributionWindow must be a whole number of days between 1 and 90'
+    };
+  }
+
+  return { startDate, endDate, attributionWindow };
+}
+
+/**
+ * CAPI settings safe to return to the client (the token is never exposed)
+ */
+function toCapiSettings(capi) {
+  const { accessToken, ...settings } = capi || {};
+  return {
+    enabled: settings.enabled === true,
+    pixelId: settings.pixelId || null,
+    testEventCode: settings.testEventCode || null,
+    purchaseEvents: settings.purchaseEvents !== false,
+    profitableEvents: settings.profitableEvents === true,
+    hasAccessToken: Boolean(accessToken)
+  };
 }
 
 /**
  * Save Meta connection to database (standalone function)
  */
 async function saveConnection(userId, accessToken, profile, adAccounts, expiresIn) {
-  const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+  // Meta omits expires_in for tokens that don't expire
+  const expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
 
   // Check for existing connection to preserve user preferences
   let existingData = {};
@@ -477,10 +1130,15 @@ async function saveConnection(userId, accessToken, profile, adAccounts, expiresI
       connectedAt: existingData.connectedAt || new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       expiresAt,
+      tokenStatus: 'valid',
+      tokenRefreshedAt: new Date().toISOString(),
       apiVersion: FB_API_VERSION,
       // Preserve settings
+      selectedAdAccountIds: existingData.selectedAdAccountIds,
+      selectedAdAccounts: existingData.selectedAdAccounts,
       selectedAdAccountId: existingData.selectedAdAccountId,
       selectedAdAccount: existingData.selectedAdAccount,
+      capi: existingData.capi,
       lastSyncAt: existingData.lastSyncAt
     }
   });
@@ -6,6 +6,7 @@
 
 const onboardingService = require('../services/onboarding.service');
 const shopifyBackgroundSync = require('../services/shopify-background-sync.service');
+const productCostService = require('../services/product-cost.service');
 const { getCache, setCache, deleteCache } = require('../config/redis.config');
 
 class OnboardingController {
@@ -159,54 +160,36 @@ class OnboardingController {
 
   /**
    * Save product costs.
-   * Updates manufacturing costs for specific products in DynamoDB.
-   * Used when user manually enters Cost of Goods Sold during onboarding.
+   * Appends entries to the effective-dated cost history (product_cost_history).
+   * Entries can target a variant or SKU; without effectiveFrom the cost applies from today.
+   * Used when user manually enters Cost of Goods Sold during onboarding and on the Products page.
    *
    * @route POST /api/onboard/modifyprice
    * @access Protected
-   * @param {object} req - Express request (body: array of { productId, cost }).
+   * @param {object} req - Express request (body: array of { productId, variantId?, sku?, cost, effectiveFrom? }).
    * @param {object} res - Express response.
    */
   async modifyPrice(req, res) {
     try {
       const userId = req.user.userId;
-      const updates = req.body; // Array of { productId, cost }
+      const updates = req.body;
 
-      console.log(`\n💰 Saving product costs for user: ${userId}`);
-      console.log(`   ${updates.length} products to update`);
-
-      // Update product costs in DynamoDB (Parallel Batch Processing)
-      const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
-      const { dynamoDB } = require('../config/aws.config');
-      const productsTable = process.env.SHOPIFY_PRODUCTS_TABLE || 'shopify_products';
-
-      const BATCH_SIZE = 20;
-      let processedCount = 0;
-
-      for (let i = 0; i < updates.length; i += BATCH_SIZE) {
-        const batch = updates.slice(i, i + BATCH_SIZE);
+      if (!Array.isArray(updates)) {
+        return res.status(400).json({ error: 'Request body must be an array of cost updates' });
+      }
 
-        await Promise.all(batch.map(async (update) => {
-          console.log(`   Product ${update.productId}: ₹${update.cost}`);
+      const errors = updates
+        .map((update, index) => ({ index, error: productCostService.validateUpdate(update) }))
+        .filter(e => e.error);
 
-          const command = new UpdateCommand({
-            TableName: productsTable,
-            Key: {
-              userId,
-              productId: update.productId.toString()
-            },
-            UpdateExpression: 'SET manufacturingCost = :cost, costUpdatedAt = :timestamp',
-            ExpressionAttributeValues: {
-              ':cost': update.cost,
-              ':timestamp': new Date().toISOString()
-            }
-          });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid cost updates', errors });
+      }
 
-          await dynamoDB.send(command);
-        }));
+      console.log(`\n💰 Saving product costs for user: ${userId}`);
+      console.log(`   ${updates.length} cost entries to record`);
 
-        processedCount += batch.length;
-      }
+      await productCostService.recordCosts(userId, updates);
 
       console.log(`✅ Product costs saved successfully in database\n`);
 
@@ -225,6 +208,41 @@ class OnboardingController {
     }
   }
 
+  /**
+   * Get product cost history.
+   * Returns every effective-dated cost entry, optionally filtered by product.
+   *
+   * @route GET /api/onboard/cost-history
+   * @access Protected
+   * @param {object} req - Express request (query: productId?).
+   * @param {object} res - Express response.
+   */
+  async getCostHistory(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { productId } = req.query;
+
+      let history = await productCostService.getCostHistory(userId);
+      if (productId) {
+        history = history.filter(entry => entry.productId === productId.toString());
+      }
+
+      history.sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+      res.json({
+        success: true,
+        history,
+        count: history.length
+      });
+    } catch (error) {
+      console.error('❌ Get cost history error:', error.message);
+      res.status(500).json({
+        error: 'Failed to get cost history',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Background sync of orders and customers.
    * Triggers the comprehensive background sync service.
@@ -510,7 +528,7 @@ class OnboardingController {
 
   /**
    * Connect Shipping Platform (Step 5).
-   * Verifies credentials and establishes connection with shipping providers (Shiprocket).
+   * Verifies credentials and establishes connection with shipping providers (Shiprocket, Delhivery, Shipway, iThink Logistics, Nimbuspost).
    *
    * @route POST /api/onboard/step5
    * @access Protected
@@ -520,7 +538,7 @@ class OnboardingController {
   async connectShipping(req, res) {
     try {
       const userId = req.user.userId;
-      const { platform, email, password, access_token, secret_key } = req.body;
+      const { platform } = req.body;
 
       console.log(`\n🚚 Step 5: Connecting ${platform} for user: ${userId}`);
 
@@ -530,7 +548,8 @@ class OnboardingController {
       // Create a mock request object
       const mockReq = {
         user: { userId },
-        body: { platform, email, password, access_token, secret_key }
+        // Credential fields differ per platform; the provider adapter picks what it needs
+        body: { ...req.body }
       };
 
       // Create a robust mock response object that captures the result
@@ -2,11 +2,15 @@
  * Order Confirmation Data Controller
  * 
  * Fetches customer order data from Shopify for order confirmation calls
- * Returns list of orders with customer details, order status, and payment info
+ * Returns list of orders with customer details, order status, and payment info,
+ * plus each order's RTO risk score (orders above the threshold need a confirmation call)
  */
 
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { DynamoDBDocumentClient, QueryCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const storeTimezoneService = require("../services/store-timezone.service");
+const rtoRiskService = require("../services/rto-risk.service");
+const { getStoreToday, addDays, startOfStoreDay, endOfStoreDay } = require("../utils/timezone");
 
 // Initialize DynamoDB client
 const client = new DynamoDBClient({ region: process.env.AWS_REGION || "ap-south-1" });
@@ -35,10 +39,13 @@ exports.getOrderConfirmationData = async (req, res) => {
     console.log(`📦 Fetching order confirmation data for user: ${userId}`);
 
     // Get date range from query params (default: last 30 days)
-    const { startDate, endDate } = req.query;
+    // Dates are calendar days in the store's timezone, inclusive of the whole end day
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const endDay = req.query.endDate || getStoreToday(timezone);
+    const startDay = req.query.startDate || addDays(endDay, -30);
 
-    const end = endDate ? new Date(endDate) : new Date();
-    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const start = startOfStoreDay(startDay, timezone);
+    const end = endOfStoreDay(endDay, timezone);
 
     console.log(`📅 Date range: ${start.toISOString()} to ${end.toISOString()}`);
 
@@ -104,6 +111,14 @@ exports.getOrderConfirmationData = async (req, res) => {
 
     console.log(`✅ Found ${filteredOrders.length} orders within date range (scanned ${pageCount} pages)`);
 
+    // Score orders that don't have an RTO risk yet; the page still loads if scoring fails
+    let riskModel = null;
+    try {
+      riskModel = await rtoRiskService.scoreStoredOrders(userId, filteredOrders);
+    } catch (error) {
+      console.error("⚠️ RTO risk scoring failed:", error.message);
+    }
+
     // Transform orders for frontend with proper customer data extraction
     const orders = filteredOrders.map(order => {
       // Extract customer information from multiple possible locations
@@ -159,6 +174,9 @@ exports.getOrderConfirmationData = async (req, res) => {
       // Get total price
       const totalPrice = parseFloat(order.totalPrice || order.total_price || 0);
 
+      const orderStatus = determineOrderStatus(order);
+      const rtoRisk = rtoRiskService.present(order.rtoRisk, riskModel);
+
       return {
         orderId: order.orderId || order.id,
         orderNumber: order.orderNumber || order.name || order.order_number,
@@ -177,8 +195,11 @@ exports.getOrderConfirmationData = async (req, res) => {
         note: order.note || "",
         // Additional fields for order confirmation
         paymentMethod: determinePaymentMethod(order),
-        orderStatus: determineOrderStatus(order),
+        orderStatus: orderStatus,
         itemCount: itemCount,
+        // RTO risk (score 0-100 from the store's own shipment history)
+        rtoRisk: rtoRisk,
+        needsConfirmationCall: !!rtoRisk?.flagged && orderStatus === "pending",
         // Call tracking fields
         callStatus: order.callStatus || "pending", // pending, called, confirmed, cancelled
         callAttempts: order.callAttempts || 0,
@@ -211,6 +232,7 @@ exports.getOrderConfirmationData = async (req, res) => {
       data: {
         orders,
         stats,
+        rtoModel: rtoRiskService.summarize(riskModel),
         dateRange: {
           start: start.toISOString(),
           end: end.toISOString()
@@ -287,6 +309,87 @@ exports.updateOrderCallStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get RTO Risk Model
+ *
+ * Training status, base RTO rate, holdout AUC and the confirmation-call threshold
+ *
+ * @route GET /api/order-confirmation/rto-model
+ * @access Private
+ */
+exports.getRtoModel = async (req, res) => {
+  try {
+    const model = await rtoRiskService.getModel(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: rtoRiskService.summarize(model)
+    });
+
+  } catch (error) {
+    console.error("❌ Error fetching RTO model:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to fetch RTO model",
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Retrain RTO Risk Model
+ *
+ * Retrains from the latest delivered / RTO shipments (also runs daily)
+ *
+ * @route POST /api/order-confirmation/rto-model/train
+ * @access Private
+ */
+exports.trainRtoModel = async (req, res) => {
+  try {
+    const { model } = await rtoRiskService.train(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: rtoRiskService.summarize(model)
+    });
+
+  } catch (error) {
+    console.error("❌ Error training RTO model:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to train RTO model",
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update RTO Call Threshold
+ *
+ * Orders whose RTO risk score is at or above the threshold are flagged for a confirmation call
+ *
+ * @route PUT /api/order-confirmation/rto-model/threshold
+ * @access Private
+ */
+exports.updateRtoThreshold = async (req, res) => {
+  try {
+    const callThreshold = await rtoRiskService.setThreshold(req.user.userId, req.body?.threshold);
+
+    return res.status(200).json({
+      success: true,
+      data: { callThreshold }
+    });
+
+  } catch (error) {
+    console.error("❌ Error updating RTO threshold:", error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to update RTO threshold",
+      message: error.message
+    });
+  }
+};
+
 /**
  * Helper Functions
  */
@@ -338,6 +441,7 @@ function calculateStats(orders) {
   const cancelled = orders.filter(o => o.orderStatus === "cancelled").length;
   const pending = orders.filter(o => o.orderStatus === "pending").length;
   const modified = orders.filter(o => o.callNotes && o.callNotes.includes("modified")).length;
+  const flaggedForCall = orders.filter(o => o.needsConfirmationCall).length;
 
   const totalValue = orders.reduce((sum, order) => sum + order.totalPrice, 0);
   const confirmationRate = totalOrders > 0 ? ((confirmed / totalOrders) * 100).toFixed(1) : 0;
@@ -348,6 +452,7 @@ function calculateStats(orders) {
     cancelled,
     pending,
     modified,
+    flaggedForCall,
     confirmationRate: parseFloat(confirmationRate),
     totalValue: totalValue.toFixed(2)
   };
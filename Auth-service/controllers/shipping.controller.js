@@ -1,282 +1,51 @@
 /**
  * Shipping Platform Controller
- * Handles connections to Shiprocket, Dilevery, Shipway, etc.
+ * Handles connections to Shiprocket, Delhivery, Shipway, iThink Logistics and Nimbuspost.
+ * Credentials are validated and shipments fetched by the provider adapters
+ * (services/shipping-providers); this controller only stores and exposes them.
  */
 
-const axios = require('axios');
 const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
 const shiprocketService = require('../services/shiprocket.service');
+const shippingSyncService = require('../services/shipping-sync.service');
+const shiprocketWebhookService = require('../services/shiprocket-webhook.service');
+const shiprocketTokenService = require('../services/shiprocket-token.service');
+const ndrService = require('../services/ndr.service');
+const { getProvider, getPlatforms } = require('../services/shipping-providers');
+const { CREDENTIAL_FIELDS, encryptCredentials } = require('../utils/credential-crypto');
 
 const SHIPPING_CONNECTIONS_TABLE = process.env.SHIPPING_CONNECTIONS_TABLE || 'shipping_connections';
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
- * Connect to Shiprocket
+ * Connection data without credentials (for logs and responses)
  */
-async function connectShiprocket(email, password) {
-  if (!email || !password) {
-    throw new Error('Email and password are required for Shiprocket');
-  }
-
-  console.log(`   📧 Authenticating with Shiprocket...`);
-  console.log(`   📧 Email: ${email}`);
-
-  // Try multiple approaches as Shiprocket API can be finicky
-  const attempts = [
-    {
-      name: 'Standard Request',
-      config: {
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      }
-    },
-    {
-      name: 'Postman-like Request',
-      config: {
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'User-Agent': 'PostmanRuntime/7.28.4',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Connection': 'keep-alive'
-        }
-      }
-    },
-    {
-      name: 'Mobile User Agent',
-      config: {
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-        }
-      }
-    }
-  ];
-
-  for (const attempt of attempts) {
-    try {
-      console.log(`   🔄 Trying: ${attempt.name}`);
-
-      const response = await axios.post(
-        'https://apiv2.shiprocket.in/v1/external/auth/login',
-        {
-          email: email.trim(),
-          password: password
-        },
-        {
-          ...attempt.config,
-          timeout: 30000,
-          validateStatus: function (status) {
-            return status < 500; // Accept any status less than 500
-          }
-        }
-      );
-
-      console.log(`   📊 ${attempt.name} - Status: ${response.status}`);
-      console.log(`   📊 Content-Type: ${response.headers['content-type']}`);
-
-      // Check if we got HTML instead of JSON
-      if (response.headers['content-type']?.includes('text/html')) {
-        console.log(`   ❌ ${attempt.name} - Got HTML response, trying next approach...`);
-        continue;
-      }
-
-      // Check for successful response
-      if (response.status === 200 && response.data && response.data.token) {
-        console.log(`   ✅ ${attempt.name} - Success!`);
-        console.log(`   👤 User: ${response.data.first_name} ${response.data.last_name}`);
-        console.log(`   🏢 Company ID: ${response.data.company_id}`);
-
-        return {
-          token: response.data.token,
-          email: email.trim(),
-          password: password,
-          company_id: response.data.company_id,
-          first_name: response.data.first_name,
-          last_name: response.data.last_name,
-          expiresAt: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString()
-        };
-      }
-
-      // Handle specific error responses
-      if (response.status === 401) {
-        throw new Error(`Invalid Shiprocket credentials. Please check your email and password. Email: ${email}`);
-      }
-
-      if (response.status === 403 && response.data && typeof response.data === 'object') {
-        throw new Error(`Shiprocket authentication failed (403). Please check:
-1. Email and password are correct
-2. Account is active on app.shiprocket.in
-3. API access is enabled in account settings
-Email: ${email}`);
-      }
-
-      console.log(`   ⚠️  ${attempt.name} - Status ${response.status}, trying next approach...`);
-
-    } catch (error) {
-      console.log(`   ❌ ${attempt.name} failed:`, error.message);
-
-      // If this is the last attempt, throw the error
-      if (attempt === attempts[attempts.length - 1]) {
-        // Handle network errors
-        if (error.code === 'ECONNREFUSED') {
-          throw new Error('Cannot connect to Shiprocket API - connection refused. Please check your internet connection or try from a different network.');
-        }
-
-        if (error.code === 'ENOTFOUND') {
-          throw new Error('Cannot resolve Shiprocket API domain. Please check your DNS settings or try from a different network.');
-        }
-
-        if (error.code === 'ETIMEDOUT') {
-          throw new Error('Shiprocket API request timed out. Please try again or check your network connection.');
-        }
-
-        // If we got HTML responses, it's likely a network/proxy issue
-        throw new Error(`Shiprocket API is not accessible from your network. This could be due to:
-1. Corporate firewall blocking the request
-2. ISP restrictions
-3. Geographic blocking by Shiprocket
-4. Network proxy interfering
-
-Please try:
-1. Using a different internet connection (mobile hotspot)
-2. Contacting your network administrator
-3. Using a VPN
-4. Contacting Shiprocket support
-
-Email attempted: ${email}`);
-      }
-    }
-  }
-}
-
-/**
- * Connect to Dilevery
- */
-async function connectDilevery(access_token) {
-  if (!access_token) {
-    throw new Error('Access token is required for Dilevery');
-  }
-
-  console.log(`   🔑 Validating Dilevery token...`);
-
-  const response = await axios.get(
-    'https://api.dilevery.com/v1/user/profile',
-    { headers: { 'Authorization': `Bearer ${access_token}` } }
-  );
-
-  console.log(`   ✅ Dilevery token validated`);
-
-  return {
-    token: access_token,
-    user: response.data
-  };
-}
-
-/**
- * Connect to Shipway
- */
-async function connectShipway(email, license_key) {
-  if (!email || !license_key) {
-    throw new Error('Email and license key are required for Shipway');
-  }
-
-  console.log(`   📧 Authenticating with Shipway...`);
-
-  const response = await axios.post(
-    'https://shipway.in/api/PushOrderData',
-    { username: email, license_key: license_key },
-    { headers: { 'Content-Type': 'application/json' } }
-  );
-
-  console.log(`   ✅ Shipway authenticated`);
-
-  return {
-    email: email,
-    license_key: license_key,
-    validated: true
-  };
-}
-
-/**
- * Connect to Ithink Logistics
- */
-async function connectIthinkLogistics(access_token, secret_key) {
-  if (!access_token || !secret_key) {
-    throw new Error('Access token and secret key are required for Ithink Logistics');
-  }
-
-  console.log(`   🔑 Validating Ithink Logistics credentials...`);
-
-  const response = await axios.get(
-    'https://api.ithinklogistics.com/api_v3/order/list.json',
-    {
-      headers: {
-        'access_token': access_token,
-        'secret_key': secret_key
-      }
-    }
-  );
-
-  console.log(`   ✅ Ithink Logistics validated`);
-
-  return {
-    access_token: access_token,
-    secret_key: secret_key,
-    validated: true
-  };
-}
-
-/**
- * Connect to Nimbuspost
- */
-async function connectNimbuspost(email, password) {
-  if (!email || !password) {
-    throw new Error('Email and password are required for Nimbuspost');
-  }
-
-  console.log(`   📧 Authenticating with Nimbuspost...`);
-
-  const response = await axios.post(
-    'https://api.nimbuspost.com/v1/users/login',
-    { email, password },
-    { headers: { 'Content-Type': 'application/json' } }
-  );
-
-  if (!response.data.data?.token) {
-    throw new Error('Failed to get Nimbuspost token');
-  }
-
-  console.log(`   ✅ Nimbuspost authenticated`);
-
-  return {
-    token: response.data.data.token,
-    email: email,
-    user_id: response.data.data.user_id
-  };
+function withoutCredentials(connectionData) {
+  const safeData = { ...connectionData };
+  CREDENTIAL_FIELDS.forEach(field => delete safeData[field]);
+  return safeData;
 }
 
 /**
- * Save shipping connection to database
+ * Save shipping connection to database (credentials encrypted at rest)
  */
 async function saveConnection(userId, platform, connectionData) {
-  // Log what we're saving (mask password for security)
-  const logData = { ...connectionData };
-  if (logData.password) {
-    logData.password = '***STORED***';
-  }
-  console.log(`   💾 Saving ${platform} connection:`, logData);
+  console.log(`   💾 Saving ${platform} connection:`, withoutCredentials(connectionData));
+
+  // Reconnecting must not break the webhook URL already configured in Shiprocket
+  const existing = await shippingSyncService.getConnection(userId);
+  const webhook = existing?.webhookTokenHash && getProvider(existing.platform)?.platform === getProvider(platform)?.platform
+    ? { webhookTokenHash: existing.webhookTokenHash, webhookTokenCreatedAt: existing.webhookTokenCreatedAt }
+    : {};
 
   const command = new PutCommand({
     TableName: SHIPPING_CONNECTIONS_TABLE,
     Item: {
       userId,
       platform,
-      ...connectionData,
+      ...encryptCredentials(connectionData),
+      ...webhook,
       status: 'active',
       connectedAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
@@ -287,22 +56,6 @@ async function saveConnection(userId, platform, connectionData) {
   console.log(`   ✅ Connection saved to database`);
 }
 
-/**
- * Get shipping connection from database
- */
-async function getConnectionData(userId, platform) {
-  const command = new GetCommand({
-    TableName: SHIPPING_CONNECTIONS_TABLE,
-    Key: {
-      userId,
-      platform
-    }
-  });
-
-  const result = await dynamoDB.send(command);
-  return result.Item;
-}
-
 /**
  * Connect Shipping Platform
  * @route POST /api/shipping/connect
@@ -311,7 +64,7 @@ async function getConnectionData(userId, platform) {
 async function connectPlatform(req, res) {
   try {
     const userId = req.user.userId;
-    const { platform, email, password, access_token, secret_key } = req.body;
+    const { platform } = req.body;
 
     console.log(`\n🚚 Connecting ${platform} for user: ${userId}`);
 
@@ -319,37 +72,27 @@ async function connectPlatform(req, res) {
       return res.status(400).json({ error: 'Platform is required' });
     }
 
-    let connectionData = null;
-
-    // Connect based on platform
-    switch (platform) {
-      case 'Shiprocket':
-        connectionData = await connectShiprocket(email, password);
-        break;
-      case 'Dilevery':
-        connectionData = await connectDilevery(access_token);
-        break;
-      case 'Shipway':
-        connectionData = await connectShipway(email, password);
-        break;
-      case 'Ithink Logistics':
-        connectionData = await connectIthinkLogistics(access_token, secret_key);
-        break;
-      case 'Nimbuspost':
-        connectionData = await connectNimbuspost(email, password);
-        break;
-      default:
-        return res.status(400).json({ error: 'Unsupported platform' });
+    const provider = getProvider(platform);
+    if (!provider) {
+      return res.status(400).json({
+        error: 'Unsupported platform',
+        message: `Supported platforms: ${getPlatforms().join(', ')}`
+      });
+    }
+
+    const connectionData = await provider.authenticate(req.body);
+    if (!connectionData) {
+      throw new Error(`Could not authenticate with ${provider.platform}. Please try again.`);
     }
 
     // Save connection to database
-    await saveConnection(userId, platform, connectionData);
+    await saveConnection(userId, provider.platform, connectionData);
 
-    console.log(`✅ ${platform} connected successfully`);
+    console.log(`✅ ${provider.platform} connected successfully`);
 
     // Immediately test API after connecting (for Shiprocket)
     // We do this BEFORE sending response to ensure credentials are truly valid for API calls
-    if (platform === 'Shiprocket' && connectionData.token) {
+    if (provider.platform === 'Shiprocket' && connectionData.token) {
       console.log(`🧪 Testing Shiprocket API after connection...`);
       try {
         const testResult = await shiprocketService.testShiprocketAPI(connectionData.token);
@@ -357,7 +100,7 @@ async function connectPlatform(req, res) {
         connectionData.isApiWorking = true;
 
         // 🚀 TRIGGER BACKGROUND SYNC IMMEDIATELY
-        shiprocketService.startBackgroundSync(userId, connectionData.token);
+        shippingSyncService.startBackgroundSync(userId);
 
       } catch (testError) {
         console.warn(`⚠️  API test failed: ${testError.message}\n`);
@@ -365,14 +108,17 @@ async function connectPlatform(req, res) {
         connectionData.apiError = testError.message;
         // We still consider connection successful as we got a token, but warn user
       }
+    } else {
+      // Other providers were validated by authenticate(); pull their history now
+      shippingSyncService.startBackgroundSync(userId);
     }
 
     if (!res.headersSent) {
       return res.status(200).json({
         success: true,
-        message: `${platform} connected successfully`,
-        platform,
-        data: connectionData
+        message: `${provider.platform} connected successfully`,
+        platform: provider.platform,
+        data: withoutCredentials(connectionData)
       });
     }
 
@@ -419,11 +165,18 @@ async function getConnection(req, res) {
     }
 
     // Don't expose sensitive credentials
-    const { token, access_token, secret_key, license_key, password, ...safeConnection } = result.Item;
+    const { webhookTokenHash, ...safeConnection } = withoutCredentials(result.Item);
 
     res.json({
       connected: true,
-      connection: safeConnection
+      connection: {
+        ...safeConnection,
+        webhooksActive: shiprocketWebhookService.isReceiving(result.Item)
+      },
+      // Shiprocket tokens expire; everything else uses long-lived API keys
+      ...(getProvider(result.Item.platform)?.platform === 'Shiprocket' && {
+        health: shiprocketTokenService.getHealth(result.Item)
+      })
     });
 
   } catch (error) {
@@ -464,54 +217,219 @@ async function disconnect(req, res) {
 }
 
 /**
- * Test Shiprocket API connection
+ * Sync shipments from the connected shipping platform
  * @route POST /api/shipping/sync
  * @access Protected
  */
 async function syncShipments(req, res) {
   try {
     const userId = req.user.userId;
+    const { startDate, endDate } = req.body || {};
 
-    console.log(`\n🧪 Testing Shiprocket API for user: ${userId}`);
+    if ((startDate && !DATE_ONLY.test(startDate)) || (endDate && !DATE_ONLY.test(endDate)) ||
+      (startDate && endDate && startDate > endDate)) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'startDate and endDate must be YYYY-MM-DD with startDate <= endDate'
+      });
+    }
 
-    // Get Shiprocket connection
-    const command = new GetCommand({
-      TableName: SHIPPING_CONNECTIONS_TABLE,
-      Key: { userId }
+    const result = await shippingSyncService.syncShipments(userId, { startDate, endDate });
+
+    res.json({
+      success: true,
+      message: `Synced ${result.saved} shipments from ${result.platform}`,
+      count: result.saved,
+      ...result
     });
 
-    const result = await dynamoDB.send(command);
+  } catch (error) {
+    console.error('❌ Shipment sync error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to sync shipments',
+      message: error.message
+    });
+  }
+}
 
-    if (!result.Item || result.Item.platform !== 'Shiprocket') {
-      return res.status(404).json({
-        error: 'Shiprocket not connected',
-        message: 'Please connect Shiprocket first'
-      });
-    }
+/**
+ * Live tracking timeline for a shipment from the connected platform
+ * @route GET /api/shipping/tracking/:awbCode
+ * @access Protected
+ */
+async function getTracking(req, res) {
+  try {
+    const userId = req.user.userId;
+    const tracking = await shippingSyncService.getTracking(userId, req.params.awbCode);
 
-    const token = result.Item.token;
+    res.json({ success: true, tracking });
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Invalid token',
-        message: 'Please reconnect Shiprocket'
-      });
+  } catch (error) {
+    console.error('❌ Get tracking error:', error.message);
+    res.status(error.status || (error.response?.status === 404 ? 404 : 500)).json({
+      error: 'Failed to get tracking',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Receive Shiprocket tracking webhooks
+ * Authenticated by the userId in the URL plus that user's token in x-api-key;
+ * acknowledges immediately, then updates the stored shipment in background.
+ *
+ * @route POST /api/shipping/webhooks/tracking/:userId (alias: /api/shipping/webhooks/shiprocket/:userId)
+ * @access Public (verified by x-api-key)
+ */
+async function handleShiprocketWebhook(req, res) {
+  const payload = req.body || {};
+
+  let connection;
+  try {
+    connection = await shiprocketWebhookService.verifyWebhook(req.params.userId, req.headers['x-api-key']);
+  } catch (error) {
+    console.error('❌ Shiprocket webhook auth error:', error.message);
+    return res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+
+  if (!connection) {
+    console.warn(`⚠️  Rejected Shiprocket webhook with invalid token (awb: ${payload.awb}, user: ${req.params.userId})`);
+    return res.status(401).json({ error: 'Invalid webhook token' });
+  }
+
+  console.log(`\n🪝 Shiprocket webhook received: ${payload.current_status || 'no status'} (awb: ${payload.awb}, user: ${connection.userId})`);
+
+  // Shiprocket retries on anything but a fast 200 - acknowledge first, process after
+  res.status(200).json({ received: true });
+
+  try {
+    // The panel's "test" delivery has no AWB; it still marks webhooks as live
+    if (payload.awb) {
+      await shiprocketWebhookService.handleEvent(connection.userId, payload);
     }
+    await shiprocketWebhookService.recordDelivery(connection.userId);
+  } catch (error) {
+    console.error(`❌ Shiprocket webhook processing error (awb: ${payload.awb}):`, error.message);
+    // Don't throw - response already sent
+  }
+}
+
+/**
+ * Webhook URL and token to paste into Shiprocket (Settings > API > Webhooks)
+ * @route GET /api/shipping/webhooks/settings
+ * @access Protected
+ */
+async function getWebhookSettings(req, res) {
+  try {
+    const userId = req.user.userId;
+    const connection = await shippingSyncService.getConnection(userId);
+    const settings = await shiprocketWebhookService.getSettings(userId, connection);
+
+    res.json({ success: true, webhook: settings });
 
-    // Test API using service
-    const testResult = await shiprocketService.testShiprocketAPI(token);
+  } catch (error) {
+    console.error('❌ Get webhook settings error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to get webhook settings',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Replace the webhook token (the old one stops working immediately)
+ * @route POST /api/shipping/webhooks/settings/rotate
+ * @access Protected
+ */
+async function rotateWebhookToken(req, res) {
+  try {
+    const userId = req.user.userId;
+    const connection = await shippingSyncService.getConnection(userId);
+    const settings = await shiprocketWebhookService.getSettings(userId, connection, { rotate: true });
 
     res.json({
       success: true,
-      message: `API test successful - found ${testResult.data?.length || 0} shipments`,
-      count: testResult.data?.length || 0,
-      data: testResult
+      message: 'Webhook token rotated. Update it in your Shiprocket webhook settings.',
+      webhook: settings
     });
 
   } catch (error) {
-    console.error('❌ Shiprocket API test error:', error);
-    res.status(500).json({
-      error: 'Failed to test Shiprocket API',
+    console.error('❌ Rotate webhook token error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to rotate webhook token',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Open NDRs (failed delivery attempts) with the courier's reason, attempt count and past actions
+ * @route GET /api/shipping/ndr
+ * @access Protected
+ */
+async function getNdrQueue(req, res) {
+  try {
+    const userId = req.user.userId;
+    const queue = await ndrService.getQueue(userId);
+
+    res.json({ success: true, count: queue.length, queue });
+
+  } catch (error) {
+    console.error('❌ Get NDR queue error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to get NDR queue',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Act on an NDR: re-attempt (optionally with a new address or phone) or return to origin
+ * Body: { action: 'reattempt'|'update_address'|'update_phone'|'rto', deferredDate?, address1?, address2?, phone?, comments? }
+ * @route POST /api/shipping/ndr/:awbCode/action
+ * @access Protected
+ */
+async function takeNdrAction(req, res) {
+  try {
+    const userId = req.user.userId;
+    const action = await ndrService.takeAction(userId, req.params.awbCode, req.body || {});
+
+    res.json({ success: true, message: 'Action sent to Shiprocket', action });
+
+  } catch (error) {
+    console.error('❌ NDR action error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to send NDR action',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * NDR recovery rates by reason, courier and action
+ * @route GET /api/shipping/ndr/report?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ * @access Protected
+ */
+async function getNdrReport(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { startDate, endDate } = req.query;
+
+    if ((startDate && !DATE_ONLY.test(startDate)) || (endDate && !DATE_ONLY.test(endDate))) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'startDate and endDate must be YYYY-MM-DD'
+      });
+    }
+
+    const report = await ndrService.getReport(userId, { startDate, endDate });
+
+    res.json({ success: true, report });
+
+  } catch (error) {
+    console.error('❌ NDR report error:', error.message);
+    res.status(error.status || 500).json({
+      error: 'Failed to get NDR report',
       message: error.message
     });
   }
@@ -560,13 +478,13 @@ async function getShippingMetrics(req, res) {
       console.log(`   📅 Date range: ${startDate || 'all'} to ${endDate || 'all'}`);
     }
 
-    // Get connection to retrieve token
-    const connection = await getConnectionData(userId, 'shiprocket');
-    
-    if (!connection || !connection.token) {
+    // Metrics read stored shipments, so any connected platform works
+    const connection = await shippingSyncService.getConnection(userId);
+
+    if (!connection || connection.status !== 'active') {
       return res.status(400).json({
-        error: 'Shiprocket not connected',
-        message: 'Please connect your Shiprocket account first'
+        error: 'Shipping platform not connected',
+        message: 'Please connect your shipping platform first'
       });
     }
 
@@ -703,6 +621,13 @@ module.exports = {
   getConnection,
   disconnect,
   syncShipments,
+  getTracking,
+  handleShiprocketWebhook,
+  getWebhookSettings,
+  rotateWebhookToken,
+  getNdrQueue,
+  takeNdrAction,
+  getNdrReport,
   getShipments,
   getShippingMetrics
 };
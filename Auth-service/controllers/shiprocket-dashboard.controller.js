@@ -19,6 +19,8 @@
 const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
 const shiprocketService = require('../services/shiprocket.service');
+const shippingSyncService = require('../services/shipping-sync.service');
+const shiprocketTokenService = require('../services/shiprocket-token.service');
 
 /**
  * Main Shiprocket Dashboard Controller
@@ -212,94 +214,21 @@ async function getShiprocketDashboardData(req, res) {
 }
 
 /**
- * Get Shiprocket token from database with automatic refresh
+ * Get Shiprocket token from database with automatic renewal
  */
 async function getShiprocketToken(userId) {
   try {
-    const command = new QueryCommand({
-      TableName: 'shipping_connections',
-      KeyConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: { ':userId': userId }
-    });
-    const result = await dynamoDB.send(command);
-    const connection = result.Items?.[0];
-
-    if (!connection || !connection.token) {
+    const connection = await shippingSyncService.getConnection(userId);
+    if (!connection || (!connection.token && !connection.password)) {
       return null;
     }
 
-    // Check if token is expired or about to expire (< 1 day remaining)
-    const expiresAt = connection.expiresAt ? new Date(connection.expiresAt) : null;
-    const now = new Date();
-    const oneDayFromNow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-
-    if (expiresAt && expiresAt < oneDayFromNow) {
-      console.log(`🔄 Shiprocket token expired or expiring soon (expires: ${expiresAt.toISOString()})`);
-
-      // Check if we have stored credentials for auto-refresh
-      if (connection.email && connection.password) {
-        console.log(`🔑 Auto-refreshing Shiprocket token for user: ${userId}`);
-
-        try {
-          // Import the connectShiprocket function
-          const shippingController = require('./shipping.controller');
-          const axios = require('axios');
-
-          // Refresh token using stored credentials
-          const response = await axios.post(
-            'https://apiv2.shiprocket.in/v1/external/auth/login',
-            {
-              email: connection.email.trim(),
-              password: connection.password
-            },
-            {
-              headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-              },
-              timeout: 30000
-            }
-          );
-
-          if (response.status === 200 && response.data && response.data.token) {
-            const newToken = response.data.token;
-            const newExpiresAt = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString();
-
-            console.log(`✅ Token refreshed successfully, new expiry: ${newExpiresAt}`);
-
-            // Update token in database
-            const { PutCommand } = require('@aws-sdk/lib-dynamodb');
-            const updateCommand = new PutCommand({
-              TableName: 'shipping_connections',
-              Item: {
-                ...connection,
-                token: newToken,
-                expiresAt: newExpiresAt,
-                updatedAt: new Date().toISOString(),
-                lastTokenRefresh: new Date().toISOString()
-              }
-            });
-
-            await dynamoDB.send(updateCommand);
-
-            return newToken;
-          } else {
-            console.error(`❌ Token refresh failed: Invalid response`);
-            return connection.token; // Return old token, let API call fail naturally
-          }
-        } catch (refreshError) {
-          console.error(`❌ Token refresh failed:`, refreshError.message);
-          // Return old token, let API call fail naturally
-          return connection.token;
-        }
-      } else {
-        console.log(`⚠️  Token expired but no stored credentials for auto-refresh`);
-        console.log(`   User must reconnect Shiprocket manually in settings`);
-        return null; // Force user to reconnect
-      }
+    // Logs in again with the stored credentials when the token is close to expiry
+    const token = await shiprocketTokenService.getValidToken(connection);
+    if (!token) {
+      console.log(`⚠️  Shiprocket token expired and can't be renewed - user must reconnect in settings`);
     }
-
-    return connection.token;
+    return token;
   } catch (error) {
     console.error('Error fetching Shiprocket token:', error.message);
     return null;
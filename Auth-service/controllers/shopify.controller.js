@@ -8,6 +8,8 @@
 const axios = require('axios');
 const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
+const shopifyWebhookService = require('../services/shopify-webhook.service');
+const storeTimezoneService = require('../services/store-timezone.service');
 
 const CONNECTIONS_TABLE = process.env.SHOPIFY_CONNECTIONS_TABLE || 'shopify_connections';
 const SHOPIFY_API_VERSION = '2024-10';
@@ -147,6 +149,7 @@ class ShopifyController {
         domain: storeDomain || shopUrl,
         currency: 'USD',
         timezone: '',
+        ianaTimezone: '',
         plan: ''
       };
 
@@ -169,6 +172,7 @@ class ShopifyController {
           domain: shopData.domain,
           currency: shopData.currency,
           timezone: shopData.timezone,
+          ianaTimezone: shopData.iana_timezone,
           plan: shopData.plan_name
         };
 
@@ -206,6 +210,7 @@ class ShopifyController {
           storeDomain: storeInfo.domain,
           currency: storeInfo.currency,
           timezone: storeInfo.timezone,
+          ianaTimezone: storeInfo.ianaTimezone,
           plan: storeInfo.plan,
           status: 'active',
           connectedAt: new Date().toISOString(),
@@ -233,6 +238,18 @@ class ShopifyController {
         delete global.shopifyPendingConnections[userId];
       }
 
+      // Store may have changed - drop the cached timezone
+      storeTimezoneService.clear(userId);
+
+      // Register order/refund webhooks in background (don't block the callback response)
+      shopifyWebhookService.registerWebhooks(userId, shopUrl, accessToken)
+        .then(({ registered, failed }) => {
+          console.log(`🪝 Webhooks registered for ${shopUrl}: ${registered.length} ok, ${failed.length} failed`);
+        })
+        .catch((error) => {
+          console.error(`❌ Webhook registration failed for ${shopUrl}:`, error.message);
+        });
+
       console.log(`✅ Shopify connection saved successfully to DynamoDB`);
       console.log(`   Table: shopify_connections`);
       console.log(`   User ID: ${userId}`);
@@ -485,6 +502,44 @@ class ShopifyController {
     }
   }
 
+  /**
+   * Receive Shopify Webhooks
+   * Verifies the HMAC signature, acknowledges immediately, then upserts the order in background.
+   * Requires the raw body (see express.raw for this path in Server.js).
+   *
+   * @route POST /api/shopify/webhooks
+   * @access Public (verified by X-Shopify-Hmac-Sha256)
+   */
+  async handleWebhook(req, res) {
+    const topic = req.headers['x-shopify-topic'];
+    const shopDomain = req.headers['x-shopify-shop-domain'];
+    const hmac = req.headers['x-shopify-hmac-sha256'];
+
+    if (!Buffer.isBuffer(req.body) || !shopifyWebhookService.verifySignature(req.body, hmac)) {
+      console.warn(`⚠️  Rejected Shopify webhook with invalid signature (topic: ${topic}, shop: ${shopDomain})`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON in webhook body' });
+    }
+
+    console.log(`\n🪝 Shopify webhook received: ${topic} (${shopDomain})`);
+
+    // Shopify expects a response within 5 seconds - acknowledge first, process after
+    res.status(200).json({ received: true });
+
+    try {
+      await shopifyWebhookService.handleWebhook(topic, shopDomain, payload);
+    } catch (error) {
+      console.error(`❌ Shopify webhook processing error (${topic}):`, error.message);
+      // Don't throw - response already sent
+    }
+  }
+
   // Helper Methods
 
   /**
@@ -509,6 +564,7 @@ class ShopifyController {
         domain: shopData.domain,
         currency: shopData.currency,
         timezone: shopData.timezone,
+        ianaTimezone: shopData.iana_timezone,
         plan: shopData.plan_name
       };
     } catch (error) {
@@ -532,6 +588,7 @@ class ShopifyController {
         storeDomain: storeInfo.domain,
         currency: storeInfo.currency,
         timezone: storeInfo.timezone,
+        ianaTimezone: storeInfo.ianaTimezone,
         plan: storeInfo.plan,
         status: 'active',
         connectedAt: new Date().toISOString(),
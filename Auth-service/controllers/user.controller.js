@@ -4,11 +4,14 @@
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION });
 const docClient = DynamoDBDocumentClient.from(client);
 
+const { encrypt } = require('../utils/credential-crypto');
+const { getProvider } = require('../services/shipping-providers');
+
 const SHIPPING_CONNECTIONS_TABLE = process.env.SHIPPING_CONNECTIONS_TABLE || 'shipping_connections';
 
 /**
@@ -174,42 +177,65 @@ const updateShiprocket = async (req, res) => {
     const userId = req.user.userId;
     const { shiproactId, shiproactPassword } = req.body;
 
-    // 1. Update Onboarding table (Legacy)
+    // 1. Update Onboarding table (Legacy) - the password is only kept, encrypted, on the connection
     const onboardingParams = {
       TableName: process.env.ONBOARDING_TABLE_NAME || 'Onboarding',
       Key: { userId },
       UpdateExpression: 'SET step5 = :step5',
       ExpressionAttributeValues: {
-        ':step5': { shiproactId, shiproactPassword }
+        ':step5': { shiproactId }
       }
     };
     await docClient.send(new UpdateCommand(onboardingParams));
 
     // 2. Update Shipping Connections table (For Sync Services)
-    // We assume this is a new connection or update
-    const { PutCommand } = require('@aws-sdk/lib-dynamodb');
-
-    // We don't have the token yet, but the dashboard controller will auto-login
-    // using these credentials on next request.
-    const shippingParams = {
+    // We don't have a token for new credentials yet, but the dashboard renews it
+    // with them on the next request (shiprocket-token.service).
+    const existing = await docClient.send(new GetCommand({
       TableName: SHIPPING_CONNECTIONS_TABLE,
-      Item: {
-        userId,
-        platform: 'shiprocket',
-        email: shiproactId,
-        password: shiproactPassword,
-        status: 'active',
-        updatedAt: new Date().toISOString(),
-        // Preserve existing token if we're just updating password?
-        // Actually, if password changes, old token might be invalid anyway
-        // Let the system generate a new one.
-        connectedAt: new Date().toISOString()
-      }
-    };
-
-    // Check if item exists to preserve other fields? 
-    // For now, overwrite is safer to ensure clean state with new credentials.
-    await docClient.send(new PutCommand(shippingParams));
+      Key: { userId }
+    }));
+    const connection = existing.Item;
+    const now = new Date().toISOString();
+
+    if (getProvider(connection?.platform)?.platform === 'Shiprocket') {
+      // Update in place: the API token, its expiry and the webhook token stay valid
+      const remove = ['tokenError'];
+      // A different account's token (or one rejected with the old password) can't be reused
+      if (connection.email !== shiproactId) remove.push('#token', 'expiresAt', 'tokenStatus', 'tokenRenewedAt');
+      else if (connection.tokenStatus === 'invalid') remove.push('tokenStatus');
+
+      await docClient.send(new UpdateCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: `SET platform = :platform, email = :email, password = :password, #status = :active, updatedAt = :now REMOVE ${remove.join(', ')}`,
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          ...(remove.includes('#token') && { '#token': 'token' })
+        },
+        ExpressionAttributeValues: {
+          ':platform': 'Shiprocket',
+          ':email': shiproactId,
+          ':password': encrypt(shiproactPassword),
+          ':active': 'active',
+          ':now': now
+        }
+      }));
+    } else {
+      // New connection, or switching over from another aggregator
+      await docClient.send(new PutCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Item: {
+          userId,
+          platform: 'Shiprocket',
+          email: shiproactId,
+          password: encrypt(shiproactPassword),
+          status: 'active',
+          connectedAt: now,
+          updatedAt: now
+        }
+      }));
+    }
 
     console.log(`✅ Shiprocket credentials updated for user: ${userId}`);
 
@@ -0,0 +1,73 @@
+/**
+ * Upload Middleware
+ *
+ * Streams a raw request body to a temp file instead of buffering it in memory,
+ * so large video creatives don't hold hundreds of MB per request.
+ * The file is removed once the response has been sent.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Stream the request body to disk and expose it as req.file.
+ *
+ * @param {object} options - { types: allowed Content-Type prefixes, maxBytes: size cap }
+ * @returns {Function} Express middleware; sets req.file = { path, size, contentType }
+ */
+const streamToTempFile = ({ types, maxBytes }) => (req, res, next) => {
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+  if (!types.some(type => contentType.startsWith(type))) {
+    return res.status(415).json({
+      error: 'Unsupported file type',
+      message: `Content-Type must be one of ${types.map(type => `${type}*`).join(', ')}`
+    });
+  }
+
+  const declared = parseInt(req.headers['content-length'], 10);
+  if (declared > maxBytes) {
+    return res.status(413).json({ error: 'File too large', message: `Files up to ${Math.round(maxBytes / (1024 * 1024))} MB are supported` });
+  }
+
+  const filePath = path.join(os.tmpdir(), `upload-${crypto.randomBytes(8).toString('hex')}`);
+  const output = fs.createWriteStream(filePath);
+  const cleanup = () => fs.promises.unlink(filePath).catch(() => {});
+  let size = 0;
+  let failed = false;
+
+  const fail = (status, body) => {
+    if (failed) return;
+    failed = true;
+    req.unpipe(output);
+    output.destroy();
+    cleanup();
+    res.status(status).json(body);
+  };
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      fail(413, { error: 'File too large', message: `Files up to ${Math.round(maxBytes / (1024 * 1024))} MB are supported` });
+      req.resume();
+    }
+  });
+  req.on('aborted', () => fail(400, { error: 'Upload aborted' }));
+  output.on('error', (error) => {
+    console.error('Error writing upload to disk:', error.message);
+    fail(500, { error: 'Failed to receive file' });
+  });
+  output.on('finish', () => {
+    if (failed) return;
+    req.file = { path: filePath, size, contentType };
+    res.on('close', cleanup);
+    next();
+  });
+
+  req.pipe(output);
+};
+
+module.exports = {
+  streamToTempFile
+};
@@ -34,4 +34,26 @@ router.get('/data', authenticateToken, orderConfirmationController.getOrderConfi
  */
 router.put('/update-status', authenticateToken, orderConfirmationController.updateOrderCallStatus);
 
+/**
+ * @route   GET /api/order-confirmation/rto-model
+ * @desc    RTO risk model status (training data, base rate, AUC, call threshold)
+ * @access  Private
+ */
+router.get('/rto-model', authenticateToken, orderConfirmationController.getRtoModel);
+
+/**
+ * @route   POST /api/order-confirmation/rto-model/train
+ * @desc    Retrain the RTO risk model from the latest delivered / RTO shipments
+ * @access  Private
+ */
+router.post('/rto-model/train', authenticateToken, orderConfirmationController.trainRtoModel);
+
+/**
+ * @route   PUT /api/order-confirmation/rto-model/threshold
+ * @desc    Set the RTO risk score that flags an order for a confirmation call
+ * @access  Private
+ * @body    threshold - RTO probability in % (1-99)
+ */
+router.put('/rto-model/threshold', authenticateToken, orderConfirmationController.updateRtoThreshold);
+
 module.exports = router;
@@ -25,6 +25,7 @@ router.get('/shiprocket-debug', authenticateToken, async (req, res) => {
     // Get shipping connection
     const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
     const { dynamoDB } = require('../config/aws.config');
+    const { decryptCredentials } = require('../utils/credential-crypto');
     
     const command = new QueryCommand({
       TableName: 'shipping_connections',
@@ -35,7 +36,7 @@ router.get('/shiprocket-debug', authenticateToken, async (req, res) => {
     });
 
     const result = await dynamoDB.send(command);
-    const shippingConnection = result.Items?.[0];
+    const shippingConnection = decryptCredentials(result.Items?.[0] || null);
     
     if (!shippingConnection || !shippingConnection.token) {
       return res.json({
@@ -95,6 +96,30 @@ router.get('/shiprocket-debug', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/data/all-with-costs - Product variants with current cost and sales (cost editor)
+router.get('/all-with-costs', authenticateToken, dashboardController.getProductsWithCosts);
+
+// POST /api/data/update-costs - Bulk cost update (editor save / CSV import)
+router.post('/update-costs', authenticateToken, dashboardController.updateProductCosts);
+
+// GET /api/data/analytics - Visitor / customer analysis with range comparison
+router.get('/analytics', authenticateToken, dashboardController.getAnalyticsData);
+
+// GET /api/data/analyticschart - Monthly series for one year (year-over-year chart)
+router.get('/analyticschart', authenticateToken, dashboardController.getAnalyticsChart);
+
+// GET /api/data/cohorts - Customer cohort retention / LTV by first-order month
+router.get('/cohorts', authenticateToken, dashboardController.getCohortData);
+
+// GET /api/data/customers - RFM segments, predicted LTV and segment profitability
+router.get('/customers', authenticateToken, dashboardController.getCustomerAnalytics);
+
+// GET /api/data/customers/export - Segment customer list as CSV
+router.get('/customers/export', authenticateToken, dashboardController.exportCustomerSegment);
+
+// GET /api/data/marketingData - Campaign / ad set / ad breakdowns for the Marketing page
+router.get('/marketingData', authenticateToken, dashboardController.getMarketingData);
+
 // GET /api/data/sync-status - Get sync status
 router.get('/sync-status', authenticateToken, dashboardController.getSyncStatus);
 
@@ -6,6 +6,10 @@ const express = require('express');
 const router = express.Router();
 const metaController = require('../controllers/meta.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
+const { streamToTempFile } = require('../middleware/upload.middleware');
+
+// Creative uploads: videos and images up to 200 MB
+const receiveCreative = streamToTempFile({ types: ['video/', 'image/'], maxBytes: 200 * 1024 * 1024 });
 
 // POST /api/meta/connect - Initiate OAuth flow
 router.post('/connect', authenticateToken, metaController.initiateOAuth);
@@ -25,4 +29,52 @@ router.post('/sync-data', authenticateToken, metaController.syncData);
 // GET /api/meta/ad-account/:accountId - Get ad account data
 router.get('/ad-account/:accountId', authenticateToken, metaController.getAdAccountData);
 
+// GET /api/meta/breakdowns - Age / gender / region / placement / hourly segments ranked by ROAS
+router.get('/breakdowns', authenticateToken, metaController.getBreakdowns);
+
+// GET /api/meta/capi - Conversions API settings and delivery stats
+router.get('/capi', authenticateToken, metaController.getCapiSettings);
+
+// POST /api/meta/capi - Update Conversions API settings (pixel, token, profitable purchase event)
+router.post('/capi', authenticateToken, metaController.updateCapiSettings);
+
+// GET /api/meta/pages - Facebook Pages the user can publish ads as
+router.get('/pages', authenticateToken, metaController.getPages);
+
+// POST /api/meta/campaigns/media - Upload a video / image creative (raw body, streamed to a temp file)
+router.post('/campaigns/media', authenticateToken, receiveCreative, metaController.uploadCampaignMedia);
+
+// GET /api/meta/campaigns - Campaigns with Meta and profit-adjusted metrics for a date range
+router.get('/campaigns', authenticateToken, metaController.getCampaigns);
+
+// GET /api/meta/campaigns/:campaignId - Campaign details: ad sets, ads, creatives, daily series
+router.get('/campaigns/:campaignId', authenticateToken, metaController.getCampaignDetails);
+
+// POST /api/meta/campaigns - Create a paused campaign with ad sets and ads
+router.post('/campaigns', authenticateToken, metaController.createCampaign);
+
+// PATCH /api/meta/campaigns/:campaignId - Update status / budgets or add ad sets
+router.patch('/campaigns/:campaignId', authenticateToken, metaController.updateCampaign);
+
+// GET /api/meta/rules - Automation rules and rule builder options
+router.get('/rules', authenticateToken, metaController.getRules);
+
+// POST /api/meta/rules - Create a profit-based automation rule
+router.post('/rules', authenticateToken, metaController.createRule);
+
+// GET /api/meta/rules/log - Actions taken (or planned, for dry-run rules) by automation rules
+router.get('/rules/log', authenticateToken, metaController.getRuleLog);
+
+// POST /api/meta/rules/preview - Dry-run an unsaved rule against current metrics
+router.post('/rules/preview', authenticateToken, metaController.previewRule);
+
+// PATCH /api/meta/rules/:ruleId - Update an automation rule
+router.patch('/rules/:ruleId', authenticateToken, metaController.updateRule);
+
+// DELETE /api/meta/rules/:ruleId - Delete an automation rule
+router.delete('/rules/:ruleId', authenticateToken, metaController.deleteRule);
+
+// POST /api/meta/rules/:ruleId/run - Evaluate a rule now (optionally as a dry run)
+router.post('/rules/:ruleId/run', authenticateToken, metaController.runRule);
+
 module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Mock Meta Graph API Routes (development only)
+ *
+ * Stands in for graph.facebook.com's Conversions API endpoint so the CAPI sender
+ * and its retry queue can be exercised locally. Set
+ * META_GRAPH_URL=http://localhost:3000/mock-graph and events are recorded here
+ * instead of reaching a real pixel.
+ *
+ * Mounted in Server.js only when NODE_ENV !== 'production'.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const HASHED = /^[a-f0-9]{64}$/;
+// user_data fields Meta requires to be SHA-256 hashed
+const HASHED_FIELDS = ['em', 'ph', 'fn', 'ln', 'ct', 'st', 'zp', 'country', 'external_id'];
+
+// pixelId -> received events (newest last)
+const receivedEvents = new Map();
+// Simulated outages: the next `remaining` requests fail with `status`
+let failure = { remaining: 0, status: 500 };
+
+const graphError = (res, status, message, code) => res.status(status).json({
+  error: { message, type: 'OAuthException', code, fbtrace_id: `mock-${Date.now()}` }
+});
+
+// POST /mock-graph/:version/:pixelId/events - Accept a CAPI batch like Graph does
+router.post('/:version/:pixelId/events', (req, res) => {
+  const { pixelId } = req.params;
+  const { data, access_token: accessToken, test_event_code: testEventCode } = req.body || {};
+
+  if (failure.remaining > 0) {
+    failure.remaining--;
+    return graphError(res, failure.status, 'Simulated Graph API failure', failure.status === 429 ? 4 : 2);
+  }
+
+  if (!accessToken) {
+    return graphError(res, 400, 'An access token is required to request this resource.', 104);
+  }
+
+  if (!Array.isArray(data) || data.length === 0 || data.length > 1000) {
+    return graphError(res, 400, 'Invalid parameter: data must contain 1-1000 events', 100);
+  }
+
+  for (const event of data) {
+    if (!event.event_name || !event.event_time || !event.action_source || !event.user_data) {
+      return graphError(res, 400, 'Invalid parameter: event_name, event_time, action_source and user_data are required', 100);
+    }
+    const unhashed = HASHED_FIELDS.find(field => event.user_data[field] && !HASHED.test(event.user_data[field]));
+    if (unhashed) {
+      return graphError(res, 400, `Invalid parameter: user_data.${unhashed} must be SHA-256 hashed`, 100);
+    }
+  }
+
+  const events = receivedEvents.get(pixelId) || [];
+  data.forEach(event => events.push({ ...event, testEventCode: testEventCode || null, receivedAt: new Date().toISOString() }));
+  receivedEvents.set(pixelId, events);
+
+  console.log(`🧪 Mock Graph: ${data.length} event(s) received for pixel ${pixelId}`);
+
+  res.json({
+    events_received: data.length,
+    messages: [],
+    fbtrace_id: `mock-${Date.now()}`
+  });
+});
+
+// GET /mock-graph/:version/:pixelId/events - Events received so far (for tests)
+router.get('/:version/:pixelId/events', (req, res) => {
+  const events = receivedEvents.get(req.params.pixelId) || [];
+  res.json({ count: events.length, events });
+});
+
+// DELETE /mock-graph/events - Forget received events and pending failures
+router.delete('/events', (_req, res) => {
+  receivedEvents.clear();
+  failure = { remaining: 0, status: 500 };
+  res.json({ success: true });
+});
+
+// POST /mock-graph/fail - Make the next `count` requests fail with `status` (default 500)
+router.post('/fail', (req, res) => {
+  const count = parseInt(req.body?.count ?? 1);
+  const status = parseInt(req.body?.status ?? 500);
+
+  if (Number.isNaN(count) || count < 0 || Number.isNaN(status) || status < 400 || status > 599) {
+    return res.status(400).json({ error: 'count must be >= 0 and status a 4xx/5xx code' });
+  }
+
+  failure = { remaining: count, status };
+  res.json({ success: true, failure });
+});
+
+module.exports = router;
@@ -28,6 +28,9 @@ router.get('/data', onboardingController.getOnboardingData);
 // Save product costs
 router.post('/modifyprice', onboardingController.modifyPrice);
 
+// Effective-dated product cost history
+router.get('/cost-history', onboardingController.getCostHistory);
+
 // Background sync of orders and customers
 router.post('/background-sync', onboardingController.backgroundSync);
 
@@ -13,9 +13,32 @@ router.post('/connect', authenticateToken, shippingController.connectPlatform);
 // GET /api/shipping/connection - Get connection status
 router.get('/connection', authenticateToken, shippingController.getConnection);
 
-// POST /api/shipping/sync - Sync shipments from Shiprocket
+// POST /api/shipping/sync - Sync shipments from the connected platform
 router.post('/sync', authenticateToken, shippingController.syncShipments);
 
+// GET /api/shipping/tracking/:awbCode - Live tracking timeline from the connected platform
+router.get('/tracking/:awbCode', authenticateToken, shippingController.getTracking);
+
+// POST /api/shipping/webhooks/tracking/:userId - Shiprocket tracking webhook receiver (verified by x-api-key, no JWT)
+// Shiprocket rejects URLs containing "shiprocket"; /webhooks/shiprocket/:userId is the same receiver
+router.post('/webhooks/tracking/:userId', shippingController.handleShiprocketWebhook);
+router.post('/webhooks/shiprocket/:userId', shippingController.handleShiprocketWebhook);
+
+// GET /api/shipping/webhooks/settings - Webhook URL and token for the Shiprocket panel
+router.get('/webhooks/settings', authenticateToken, shippingController.getWebhookSettings);
+
+// POST /api/shipping/webhooks/settings/rotate - Replace the webhook token
+router.post('/webhooks/settings/rotate', authenticateToken, shippingController.rotateWebhookToken);
+
+// GET /api/shipping/ndr - Open NDRs awaiting action (Shiprocket)
+router.get('/ndr', authenticateToken, shippingController.getNdrQueue);
+
+// GET /api/shipping/ndr/report - NDR recovery rates by reason, courier and action
+router.get('/ndr/report', authenticateToken, shippingController.getNdrReport);
+
+// POST /api/shipping/ndr/:awbCode/action - Re-attempt, update address/phone or RTO an NDR
+router.post('/ndr/:awbCode/action', authenticateToken, shippingController.takeNdrAction);
+
 // GET /api/shipping/shipments - Get shipments from database
 router.get('/shipments', authenticateToken, shippingController.getShipments);
 
@@ -24,4 +24,7 @@ router.delete('/connection', authenticateToken, shopifyController.disconnect);
 // GET /api/shopify/abandoned-carts - Get abandoned cart checkouts
 router.get('/abandoned-carts', authenticateToken, shopifyController.getAbandonedCarts);
 
+// POST /api/shopify/webhooks - Shopify webhook receiver (verified by HMAC, no JWT)
+router.post('/webhooks', shopifyController.handleWebhook);
+
 module.exports = router;
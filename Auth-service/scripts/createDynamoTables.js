@@ -6,7 +6,7 @@
 // Load environment variables
 require('dotenv').config();
 
-const { DynamoDBClient, CreateTableCommand, DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBClient, CreateTableCommand, DescribeTableCommand, UpdateTableCommand } = require('@aws-sdk/client-dynamodb');
 
 // Initialize DynamoDB client
 const dynamoDBClient = new DynamoDBClient({
@@ -62,7 +62,29 @@ const tables = [
     ],
     attributeDefinitions: [
       { AttributeName: 'userId', AttributeType: 'S' },
-      { AttributeName: 'orderId', AttributeType: 'S' }
+      { AttributeName: 'orderId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+      { AttributeName: 'customerId', AttributeType: 'S' }
+    ],
+    globalSecondaryIndexes: [
+      {
+        // Orders placed in a date range (daily rollup rebuilds)
+        IndexName: 'userId-createdAt-index',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' }
+      },
+      {
+        // A customer's orders, oldest first (new vs returning)
+        IndexName: 'customerId-createdAt-index',
+        KeySchema: [
+          { AttributeName: 'customerId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['test'] }
+      }
     ]
   },
   {
@@ -82,7 +104,18 @@ const tables = [
       { AttributeName: 'userId', KeyType: 'HASH' }
     ],
     attributeDefinitions: [
-      { AttributeName: 'userId', AttributeType: 'S' }
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'shopUrl', AttributeType: 'S' }
+    ],
+    globalSecondaryIndexes: [
+      {
+        // Connections for a shop domain (Shopify webhooks)
+        IndexName: 'shopUrl-index',
+        KeySchema: [
+          { AttributeName: 'shopUrl', KeyType: 'HASH' }
+        ],
+        Projection: { ProjectionType: 'ALL' }
+      }
     ]
   },
   {
@@ -122,7 +155,19 @@ const tables = [
     ],
     attributeDefinitions: [
       { AttributeName: 'userId', AttributeType: 'S' },
-      { AttributeName: 'shipmentId', AttributeType: 'S' }
+      { AttributeName: 'shipmentId', AttributeType: 'S' },
+      { AttributeName: 'awbCode', AttributeType: 'S' }
+    ],
+    globalSecondaryIndexes: [
+      {
+        // Shipment for an AWB (tracking webhooks, NDR actions, CAPI)
+        IndexName: 'userId-awbCode-index',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'awbCode', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['orderId', 'channelOrderId', 'status', 'shipmentStatus', 'statusCode', 'canonicalStatus', 'isRto'] }
+      }
     ]
   },
   {
@@ -133,6 +178,125 @@ const tables = [
     attributeDefinitions: [
       { AttributeName: 'userId', AttributeType: 'S' }
     ]
+  },
+  {
+    name: 'product_cost_history',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'costKey', KeyType: 'RANGE' }
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'costKey', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'daily_metrics',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'date', KeyType: 'RANGE' }
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'date', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'daily_metrics_dirty',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'date', KeyType: 'RANGE' }
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'date', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'meta_ad_insights',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'insightKey', KeyType: 'RANGE' } // date#level#entityId
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'insightKey', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'meta_ad_entities',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'entityKey', KeyType: 'RANGE' } // level#entityId
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'entityKey', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'meta_breakdown_insights',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'breakdownKey', KeyType: 'RANGE' } // date#breakdown#segment#adAccountId
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'breakdownKey', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'meta_capi_events',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'eventKey', KeyType: 'RANGE' } // eventName#orderId
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'eventKey', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'meta_automation_rules',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'ruleId', KeyType: 'RANGE' }
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'ruleId', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'meta_rule_actions',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'actionKey', KeyType: 'RANGE' } // createdAt#ruleId#entityId
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'actionKey', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'ndr_actions',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'actionKey', KeyType: 'RANGE' } // awbCode#requestedAt
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'actionKey', AttributeType: 'S' }
+    ]
+  },
+  {
+    name: 'rto_risk_models',
+    keySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' }
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' }
+    ]
   }
 ];
 
@@ -152,11 +316,39 @@ async function tableExists(tableName) {
   }
 }
 
+/**
+ * Add global secondary indexes missing from an existing table.
+ * DynamoDB builds one new index at a time, so the rest are left for the next run.
+ */
+async function ensureIndexes(tableConfig) {
+  const { name, attributeDefinitions, globalSecondaryIndexes = [] } = tableConfig;
+  if (globalSecondaryIndexes.length === 0) return;
+
+  const { Table } = await dynamoDBClient.send(new DescribeTableCommand({ TableName: name }));
+  const existing = Table.GlobalSecondaryIndexes || [];
+  if (existing.some(index => index.IndexStatus === 'CREATING')) {
+    console.log(`⏳ Table "${name}" is still building an index - run again once it is ACTIVE`);
+    return;
+  }
+
+  const missing = globalSecondaryIndexes.find(index => !existing.some(e => e.IndexName === index.IndexName));
+  if (!missing) return;
+
+  const keyNames = new Set(missing.KeySchema.map(key => key.AttributeName));
+  console.log(`📝 Adding index ${missing.IndexName} to ${name}...`);
+  await dynamoDBClient.send(new UpdateTableCommand({
+    TableName: name,
+    AttributeDefinitions: attributeDefinitions.filter(attr => keyNames.has(attr.AttributeName)),
+    GlobalSecondaryIndexUpdates: [{ Create: missing }]
+  }));
+  console.log(`✅ Index ${missing.IndexName} is being built (existing items are backfilled in the background)`);
+}
+
 /**
  * Create a DynamoDB table
  */
 async function createTable(tableConfig) {
-  const { name, keySchema, attributeDefinitions } = tableConfig;
+  const { name, keySchema, attributeDefinitions, globalSecondaryIndexes } = tableConfig;
 
   try {
     // Check if table already exists
@@ -172,6 +364,7 @@ async function createTable(tableConfig) {
       TableName: name,
       KeySchema: keySchema,
       AttributeDefinitions: attributeDefinitions,
+      ...(globalSecondaryIndexes && { GlobalSecondaryIndexes: globalSecondaryIndexes }),
       BillingMode: 'PAY_PER_REQUEST' // On-demand billing
     });
 
@@ -198,6 +391,7 @@ async function createAllTables() {
     try {
       const exists = await tableExists(table.name);
       if (exists) {
+        await ensureIndexes(table);
         skipCount++;
       } else {
         await createTable(table);
@@ -0,0 +1,61 @@
+/**
+ * Script to encrypt shipping credentials saved before encryption at rest
+ * Re-writes plaintext password / token / API key fields in shipping_connections
+ * with CREDENTIALS_ENCRYPTION_KEY. Already-encrypted values are left alone,
+ * so it is safe to run more than once.
+ * Usage: node scripts/encrypt-shipping-credentials.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { CREDENTIAL_FIELDS, isEncrypted, encrypt } = require('../utils/credential-crypto');
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-south-1' });
+const dynamoDB = DynamoDBDocumentClient.from(client);
+
+const SHIPPING_CONNECTIONS_TABLE = process.env.SHIPPING_CONNECTIONS_TABLE || 'shipping_connections';
+
+async function encryptShippingCredentials(dryRun) {
+  console.log(`\n🔐 Encrypting shipping credentials${dryRun ? ' (dry run)' : ''}...\n`);
+
+  let scanned = 0;
+  let updated = 0;
+  let lastEvaluatedKey = null;
+
+  do {
+    const result = await dynamoDB.send(new ScanCommand({
+      TableName: SHIPPING_CONNECTIONS_TABLE,
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }));
+
+    for (const item of result.Items || []) {
+      scanned++;
+      const fields = CREDENTIAL_FIELDS.filter(field => item[field] && !isEncrypted(item[field]));
+      if (fields.length === 0) continue;
+
+      console.log(`   ${item.userId} (${item.platform || 'unknown'}): ${fields.join(', ')}`);
+      updated++;
+      if (dryRun) continue;
+
+      await dynamoDB.send(new UpdateCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Key: { userId: item.userId },
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+        ExpressionAttributeNames: Object.fromEntries(fields.map((field, i) => [`#f${i}`, field])),
+        ExpressionAttributeValues: Object.fromEntries(fields.map((field, i) => [`:v${i}`, encrypt(item[field])]))
+      }));
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log(`\n✅ ${scanned} connection(s) scanned, ${updated} ${dryRun ? 'to encrypt' : 'encrypted'}\n`);
+}
+
+encryptShippingCredentials(process.argv.includes('--dry-run'))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Script failed:', error.message);
+    process.exit(1);
+  });
@@ -11,6 +11,7 @@
 require('dotenv').config();
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+const { decryptCredentials } = require('../utils/credential-crypto');
 
 const client = new DynamoDBClient({ 
   region: process.env.AWS_REGION || "ap-south-1",
@@ -37,12 +38,13 @@ async function fullSync() {
     });
 
     const result = await docClient.send(getCommand);
-    if (!result.Item || !result.Item.token) {
+    const connection = decryptCredentials(result.Item);
+    if (!connection || !connection.token) {
       console.log('❌ No token found. User needs to connect Shiprocket first.');
       process.exit(1);
     }
 
-    const token = result.Item.token;
+    const token = connection.token;
     console.log('✅ Token found\n');
 
     // Step 2: Calculate date range
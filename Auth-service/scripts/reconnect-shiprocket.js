@@ -7,6 +7,7 @@ require('dotenv').config();
 const axios = require('axios');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { encryptCredentials } = require('../utils/credential-crypto');
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-south-1' });
 const dynamoDB = DynamoDBDocumentClient.from(client);
@@ -70,7 +71,7 @@ async function saveConnection(userId, connectionData) {
       Item: {
         userId,
         platform: 'Shiprocket',
-        ...connectionData,
+        ...encryptCredentials(connectionData),
         connectedAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       }
@@ -0,0 +1,99 @@
+/**
+ * Script to convert Meta insight rows saved in the ad account currency
+ * Earlier syncs kept the amounts unconverted (fxRate null) when no FX rate was
+ * available. This re-converts those rows into the store currency and rebuilds
+ * the affected daily rollups. Rows still without a rate are left for a later run.
+ * Usage: node scripts/restate-ad-spend-currency.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const currencyService = require('../services/currency.service');
+const dailyMetricsService = require('../services/daily-metrics.service');
+
+// Table -> money fields stored in the account currency
+const TABLES = [
+  { name: process.env.META_INSIGHTS_TABLE || 'meta_insights', key: 'date', fields: ['adSpend', 'cpc', 'cpm', 'metaRevenue'], rollup: true },
+  { name: process.env.META_AD_INSIGHTS_TABLE || 'meta_ad_insights', key: 'insightKey', fields: ['adSpend', 'metaRevenue'] },
+  { name: process.env.META_BREAKDOWN_INSIGHTS_TABLE || 'meta_breakdown_insights', key: 'breakdownKey', fields: ['adSpend', 'metaRevenue'] }
+];
+
+async function restateTable(table, dryRun, dirtyDays) {
+  let found = 0;
+  let converted = 0;
+  let lastEvaluatedKey = null;
+
+  do {
+    const result = await dynamoDB.send(new ScanCommand({
+      TableName: table.name,
+      FilterExpression: 'attribute_type(fxRate, :null)',
+      ExpressionAttributeValues: { ':null': 'NULL' },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }));
+
+    for (const item of result.Items || []) {
+      found++;
+      const storeCurrency = await currencyService.getStoreCurrency(item.userId);
+      const rate = await currencyService.getRate(item.accountCurrency || storeCurrency, storeCurrency, item.date);
+      if (rate === null) {
+        console.log(`   ⚠️  ${item.userId} ${item[table.key]}: still no ${item.accountCurrency}->${storeCurrency} rate`);
+        continue;
+      }
+
+      converted++;
+      if (dryRun) continue;
+
+      const fields = table.fields.filter(field => typeof item[field] === 'number');
+      await dynamoDB.send(new UpdateCommand({
+        TableName: table.name,
+        Key: { userId: item.userId, [table.key]: item[table.key] },
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :v${i}`).join(', ')}${fields.length ? ', ' : ''}currency = :currency, fxRate = :rate, updatedAt = :now`,
+        ConditionExpression: 'attribute_type(fxRate, :null)',
+        ExpressionAttributeNames: fields.length ? Object.fromEntries(fields.map((field, i) => [`#f${i}`, field])) : undefined,
+        ExpressionAttributeValues: {
+          ...Object.fromEntries(fields.map((field, i) => [`:v${i}`, Math.round(item[field] * rate * 100) / 100])),
+          ':currency': storeCurrency,
+          ':rate': rate,
+          ':now': new Date().toISOString(),
+          ':null': 'NULL'
+        }
+      })).catch(error => {
+        // A sync rewrote the row in the meantime
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+      });
+
+      if (table.rollup) {
+        if (!dirtyDays.has(item.userId)) dirtyDays.set(item.userId, new Set());
+        dirtyDays.get(item.userId).add(item.date);
+      }
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log(`   ${table.name}: ${found} unconverted row(s), ${converted} ${dryRun ? 'convertible' : 'converted'}`);
+}
+
+async function restateAdSpendCurrency(dryRun) {
+  console.log(`\n💱 Restating unconverted Meta amounts${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const dirtyDays = new Map(); // userId -> Set<date>
+  for (const table of TABLES) {
+    await restateTable(table, dryRun, dirtyDays);
+  }
+
+  for (const [userId, dates] of dirtyDays) {
+    const written = await dailyMetricsService.rebuildDays(userId, Array.from(dates));
+    console.log(`   📅 ${userId}: ${written} daily rollup(s) rebuilt`);
+  }
+
+  console.log('\n✅ Done\n');
+}
+
+restateAdSpendCurrency(process.argv.includes('--dry-run'))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Script failed:', error.message);
+    process.exit(1);
+  });
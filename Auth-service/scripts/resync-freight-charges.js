@@ -6,6 +6,7 @@
 require('dotenv').config();
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+const { decryptCredentials } = require('../utils/credential-crypto');
 const shiprocketService = require('../services/shiprocket.service');
 
 const client = new DynamoDBClient({ 
@@ -32,13 +33,14 @@ async function resyncFreightCharges() {
     });
 
     const result = await docClient.send(getCommand);
-    if (!result.Item || !result.Item.token) {
+    const connection = decryptCredentials(result.Item);
+    if (!connection || !connection.token) {
       console.log('❌ No Shiprocket token found for this user');
       console.log('   Please connect Shiprocket first');
       process.exit(1);
     }
 
-    const token = result.Item.token;
+    const token = connection.token;
     console.log('✅ Token found\n');
 
     // Sync orders with the updated code (will now include freight charges)
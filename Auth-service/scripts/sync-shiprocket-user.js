@@ -7,6 +7,7 @@
 require('dotenv').config();
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+const { decryptCredentials } = require('../utils/credential-crypto');
 
 const client = new DynamoDBClient({ 
   region: process.env.AWS_REGION || "ap-south-1",
@@ -35,19 +36,20 @@ async function syncShiprocketForUser() {
     });
 
     const result = await docClient.send(getCommand);
+    const connection = decryptCredentials(result.Item);
     
-    if (!result.Item || !result.Item.token) {
+    if (!connection || !connection.token) {
       console.log('❌ No Shiprocket connection or token found for this user');
       console.log('   User needs to connect Shiprocket in Settings first');
       process.exit(1);
     }
 
-    const token = result.Item.token;
+    const token = connection.token;
     console.log('✅ Token found');
 
     // Check if token is expired
-    if (result.Item.tokenExpiry) {
-      const expiryDate = new Date(result.Item.tokenExpiry);
+    if (connection.tokenExpiry) {
+      const expiryDate = new Date(connection.tokenExpiry);
       const now = new Date();
       if (expiryDate < now) {
         console.log('❌ Token is expired!');
@@ -26,6 +26,8 @@ const { initializeBedrock } = require('../config/bedrock.config');
 const { generateAIResponse: generateSmartAIResponse } = require('../config/ai.config');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const storeTimezoneService = require('./store-timezone.service');
+const { getStoreToday, addDays, startOfStoreDay, endOfStoreDay } = require('../utils/timezone');
 
 // Initialize DynamoDB client for data fetching
 // Uses main AWS region (ap-south-1) where business data is stored
@@ -36,9 +38,9 @@ const docClient = DynamoDBDocumentClient.from(client);
  * Fetch comprehensive dashboard data using the same controller logic
  * This ensures chatbot shows exactly the same metrics as dashboard
  */
-const fetchDashboardData = async (userId, startDate, endDate) => {
+const fetchDashboardData = async (userId, startDay, endDay) => {
   try {
-    console.log(`📊 Chatbot: Fetching FULL dashboard data for ${userId} from ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
+    console.log(`📊 Chatbot: Fetching FULL dashboard data for ${userId} from ${startDay} to ${endDay}`);
 
     // Import MAIN dashboard controller for FULL business data (Shopify + Shiprocket combined)
     const dashboardController = require('../controllers/dashboard.controller');
@@ -47,8 +49,8 @@ const fetchDashboardData = async (userId, startDate, endDate) => {
     // Create mock request/response objects to call the controller
     const mockReq = {
       query: {
-        startDate: startDate.toISOString().split('T')[0],
-        endDate: endDate.toISOString().split('T')[0],
+        startDate: startDay,
+        endDate: endDay,
         userId: userId
       },
       user: {
@@ -81,11 +83,7 @@ const fetchDashboardData = async (userId, startDate, endDate) => {
     // Also fetch Shiprocket-specific data
     let shiprocketData = null;
     try {
-      shiprocketData = await shiprocketDashboard.getShiprocketSummaryForChatbot(
-        userId,
-        startDate.toISOString().split('T')[0],
-        endDate.toISOString().split('T')[0]
-      );
+      shiprocketData = await shiprocketDashboard.getShiprocketSummaryForChatbot(userId, startDay, endDay);
       console.log(`✅ Chatbot: Shiprocket data also fetched`);
     } catch (err) {
       console.log('⚠️ Chatbot: Could not fetch Shiprocket data:', err.message);
@@ -133,8 +131,8 @@ const fetchDashboardData = async (userId, startDate, endDate) => {
         rtoRate: shiprocketData.rtoRate || '0'
       } : null,
       dateRange: {
-        startDate: startDate.toISOString().split('T')[0],
-        endDate: endDate.toISOString().split('T')[0]
+        startDate: startDay,
+        endDate: endDay
       }
     };
 
@@ -507,13 +505,15 @@ const parseQueryIntent = (query) => {
       endYear = currentYear - 1;
     }
 
+    // Calendar days (YYYY-MM-DD) - turned into store-local boundaries by getTimeframeRange
+    const toDay = (year, month, day) => `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
     customDateRange = {
-      startDate: new Date(startYear, startMonth, startDay, 0, 0, 0, 0),
-      endDate: new Date(endYear, endMonth, endDay, 23, 59, 59, 999)
+      startDate: toDay(startYear, startMonth, startDay),
+      endDate: toDay(endYear, endMonth, endDay)
     };
 
     timeframe = 'custom';
-    console.log(`📅 Parsed custom date range: ${customDateRange.startDate.toDateString()} to ${customDateRange.endDate.toDateString()}`);
+    console.log(`📅 Parsed custom date range: ${customDateRange.startDate} to ${customDateRange.endDate}`);
   }
   // Today variations
   else if (lowerQuery.includes('today') || lowerQuery.includes('this day') ||
@@ -581,6 +581,40 @@ const parseQueryIntent = (query) => {
   return { type: 'general', timeframe, customDateRange };
 };
 
+/**
+ * Resolve an intent timeframe to calendar days in the store's timezone
+ * "Today" is the store's today, so late-night IST orders aren't counted on the UTC day.
+ *
+ * @param {Object} intent - Parsed query intent (timeframe, customDateRange)
+ * @param {string} timezone - Store IANA timezone
+ * @returns {Object} - { startDay, endDay } (YYYY-MM-DD) and { startDate, endDate } (instants at the day boundaries)
+ */
+const getTimeframeRange = (intent, timezone) => {
+  const today = getStoreToday(timezone);
+  let startDay = today;
+  let endDay = today;
+
+  if (intent.timeframe === 'custom' && intent.customDateRange) {
+    startDay = intent.customDateRange.startDate;
+    endDay = intent.customDateRange.endDate;
+  } else if (intent.timeframe === 'yesterday') {
+    startDay = endDay = addDays(today, -1);
+  } else if (intent.timeframe === 'day_before_yesterday') {
+    startDay = endDay = addDays(today, -2);
+  } else if (intent.timeframe === 'week') {
+    startDay = addDays(today, -7);
+  } else if (intent.timeframe === 'month') {
+    startDay = addDays(today, -30);
+  }
+
+  return {
+    startDay,
+    endDay,
+    startDate: startOfStoreDay(startDay, timezone),
+    endDate: endOfStoreDay(endDay, timezone)
+  };
+};
+
 /**
  * Fetch relevant data from DynamoDB based on query intent
  * 
@@ -600,50 +634,30 @@ const parseQueryIntent = (query) => {
  *    - Delivery status breakdown
  *    - Shipment tracking information
  * 
- * TIMEFRAMES:
- * - today: From midnight today
+ * TIMEFRAMES (store-local days, see getTimeframeRange):
+ * - today: From the store's midnight today
  * - week: Last 7 days
  * - month: Last 30 days
  * 
  * @param {string} userId - User ID to filter data
  * @param {Object} intent - Parsed query intent (type and timeframe)
+ * @param {Object} range - Result of getTimeframeRange for the store
  * @returns {Promise<Object>} Aggregated data with summaries
  */
-const fetchRelevantData = async (userId, intent) => {
+const fetchRelevantData = async (userId, intent, range) => {
   const data = {};
-  const now = new Date();
 
   try {
-    // Calculate date range based on timeframe
-    let startDate = new Date();
-    let endDate = new Date();
-
-    // Handle custom date range first (e.g., "1 november to 30 november")
-    if (intent.timeframe === 'custom' && intent.customDateRange) {
-      startDate = intent.customDateRange.startDate;
-      endDate = intent.customDateRange.endDate;
-      console.log(`📅 Using custom date range: ${startDate.toDateString()} to ${endDate.toDateString()}`);
-    } else if (intent.timeframe === 'today') {
-      startDate.setHours(0, 0, 0, 0);
-    } else if (intent.timeframe === 'yesterday') {
-      startDate.setDate(now.getDate() - 1);
-      startDate.setHours(0, 0, 0, 0);
-      endDate.setDate(now.getDate() - 1);
-      endDate.setHours(23, 59, 59, 999);
-    } else if (intent.timeframe === 'day_before_yesterday') {
-      startDate.setDate(now.getDate() - 2);
-      startDate.setHours(0, 0, 0, 0);
-      endDate.setDate(now.getDate() - 2);
-      endDate.setHours(23, 59, 59, 999);
-    } else if (intent.timeframe === 'week') {
-      startDate.setDate(now.getDate() - 7);
-    } else if (intent.timeframe === 'month') {
-      startDate.setMonth(now.getMonth() - 1);
-    } else if (intent.timeframe === 'future') {
-      // For future queries, return empty data and let AI explain
+    // For future queries, return empty data and let AI explain
+    if (intent.timeframe === 'future') {
       return data;
     }
 
+    const { startDate, endDate, startDay } = range;
+    if (intent.timeframe === 'custom') {
+      console.log(`📅 Using custom date range: ${range.startDay} to ${range.endDay}`);
+    }
+
     // Fetch Orders
     if (intent.type === 'orders_today' || intent.type === 'revenue' || intent.type === 'general') {
       try {
@@ -733,7 +747,7 @@ const fetchRelevantData = async (userId, intent) => {
           ExpressionAttributeNames: { '#date': 'date' },
           ExpressionAttributeValues: {
             ':userId': userId,
-            ':startDate': startDate.toISOString().split('T')[0]
+            ':startDate': startDay
           },
           Limit: 30
         };
@@ -941,32 +955,16 @@ const processChatQuery = async (userId, query) => {
     const intent = parseQueryIntent(query);
     console.log('Query intent:', intent);
 
-    // 2. Calculate date range for dashboard data
-    let startDate = new Date();
-    let endDate = new Date();
-
-    if (intent.timeframe === 'custom' && intent.customDateRange) {
-      startDate = intent.customDateRange.startDate;
-      endDate = intent.customDateRange.endDate;
-    } else if (intent.timeframe === 'today') {
-      startDate.setHours(0, 0, 0, 0);
-    } else if (intent.timeframe === 'yesterday') {
-      startDate.setDate(endDate.getDate() - 1);
-      startDate.setHours(0, 0, 0, 0);
-      endDate.setDate(endDate.getDate() - 1);
-      endDate.setHours(23, 59, 59, 999);
-    } else if (intent.timeframe === 'week') {
-      startDate.setDate(endDate.getDate() - 7);
-    } else if (intent.timeframe === 'month') {
-      startDate.setMonth(endDate.getMonth() - 1);
-    }
+    // 2. Calculate date range for dashboard data (store's calendar days)
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const range = getTimeframeRange(intent, timezone);
 
     // 3. Try to fetch comprehensive dashboard data, fallback to simple method if it fails
     let dashboardData = null;
 
     try {
       console.log('📊 Chatbot: Attempting comprehensive dashboard data fetch...');
-      dashboardData = await fetchDashboardData(userId, startDate, endDate);
+      dashboardData = await fetchDashboardData(userId, range.startDay, range.endDay);
 
       if (dashboardData && !dashboardData.error) {
         console.log('✅ Chatbot: Comprehensive dashboard data fetched successfully');
@@ -978,7 +976,7 @@ const processChatQuery = async (userId, query) => {
       console.log('⚠️ Chatbot: Comprehensive dashboard fetch failed, using simple method:', comprehensiveError.message);
 
       // Fallback to the original simple data fetching method
-      const data = await fetchRelevantData(userId, intent);
+      const data = await fetchRelevantData(userId, intent, range);
 
       // Convert simple data to dashboard format
       dashboardData = {
@@ -1017,8 +1015,8 @@ const processChatQuery = async (userId, query) => {
           grossProfit: 0
         },
         dateRange: {
-          startDate: startDate.toISOString().split('T')[0],
-          endDate: endDate.toISOString().split('T')[0]
+          startDate: range.startDay,
+          endDate: range.endDay
         },
         fallbackMode: true
       };
@@ -1041,27 +1039,26 @@ const processChatQuery = async (userId, query) => {
     });
 
     // 4. Build context for AI with exact dashboard metrics
-    const now = new Date();
     let dateRangeText = '';
 
+    // Range days are already store-local - format them as plain calendar dates
+    const formatDay = (day, withYear = true) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      ...(withYear && { year: 'numeric' }),
+      timeZone: 'UTC'
+    });
+
     if (intent.timeframe === 'custom' && intent.customDateRange) {
-      const startStr = intent.customDateRange.startDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
-      const endStr = intent.customDateRange.endDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
-      dateRangeText = `${startStr} to ${endStr}`;
+      dateRangeText = `${formatDay(range.startDay)} to ${formatDay(range.endDay)}`;
     } else if (intent.timeframe === 'today') {
-      dateRangeText = `Today (${now.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })})`;
+      dateRangeText = `Today (${formatDay(range.endDay)})`;
     } else if (intent.timeframe === 'yesterday') {
-      const yesterday = new Date();
-      yesterday.setDate(now.getDate() - 1);
-      dateRangeText = `Yesterday (${yesterday.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })})`;
+      dateRangeText = `Yesterday (${formatDay(range.endDay)})`;
     } else if (intent.timeframe === 'week') {
-      const weekStart = new Date();
-      weekStart.setDate(now.getDate() - 7);
-      dateRangeText = `Last 7 days (${weekStart.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })} to ${now.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })})`;
+      dateRangeText = `Last 7 days (${formatDay(range.startDay, false)} to ${formatDay(range.endDay)})`;
     } else if (intent.timeframe === 'month') {
-      const monthStart = new Date();
-      monthStart.setMonth(now.getMonth() - 1);
-      dateRangeText = `Last 30 days (${monthStart.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })} to ${now.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })})`;
+      dateRangeText = `Last 30 days (${formatDay(range.startDay, false)} to ${formatDay(range.endDay)})`;
     }
 
     // Build comprehensive context with exact dashboard metrics (ONLY non-zero values)
@@ -0,0 +1,323 @@
+/**
+ * Attribution Service
+ *
+ * First-party order attribution from the landing page, referrer and UTM
+ * parameters Shopify records on each order. Every order gets a channel
+ * (meta, google, email, social, search, referral, other, direct) and Meta
+ * orders are matched to the synced campaign / ad set / ad by ID or name:
+ *   campaign_id / adset_id / ad_id (or utm_id) URL parameters -> IDs directly
+ *   utm_campaign -> campaign, utm_term -> ad set, utm_content -> ad
+ *
+ * parseOrder() runs when orders are stored (attribution map on shopify_orders)
+ * and on the fly for orders stored before that. The attribution window is
+ * applied when reading, so changing it doesn't need a re-sync: a Meta visit
+ * only gets credit if it happened within windowDays of the order. Visits
+ * without a timestamp (REST landing_site) are the order's own session.
+ */
+
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const metaInsightsService = require('./meta-insights.service');
+const storeTimezoneService = require('./store-timezone.service');
+const { toStoreDate } = require('../utils/timezone');
+
+const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
+
+const DEFAULT_WINDOW_DAYS = parseInt(process.env.ATTRIBUTION_WINDOW_DAYS, 10) || 7;
+const MAX_WINDOW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const META_SOURCES = ['facebook', 'fb', 'instagram', 'ig', 'meta', 'messenger', 'an'];
+const EMAIL_SOURCES = ['klaviyo', 'mailchimp', 'omnisend', 'email', 'newsletter'];
+const PAID_MEDIUMS = ['cpc', 'ppc', 'paid', 'paid_social', 'paidsocial', 'paid-social', 'cpm', 'ads', 'ad', 'display'];
+const SEARCH_HOSTS = ['google.', 'bing.', 'yahoo.', 'duckduckgo.', 'yandex.', 'baidu.'];
+const SOCIAL_HOSTS = ['facebook.', 'fb.', 'instagram.', 't.co', 'twitter.', 'x.com', 'linkedin.', 'pinterest.', 'youtube.', 'reddit.', 'whatsapp.', 'snapchat.'];
+
+const CHANNEL_LABELS = {
+  meta: 'Meta Ads',
+  google: 'Google Ads',
+  email: 'Email',
+  social: 'Organic Social',
+  search: 'Organic Search',
+  referral: 'Referral',
+  other: 'Other Campaigns',
+  direct: 'Direct / Unknown'
+};
+
+const CANCELLED_STATUSES = ['refunded', 'voided', 'cancelled'];
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const clean = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Query parameters of a landing page ("/products/x?utm_source=fb" or a full URL)
+ */
+function parseParams(landingSite) {
+  if (!landingSite) return new URLSearchParams();
+  try {
+    return new URL(landingSite, 'https://store.invalid').searchParams;
+  } catch (error) {
+    return new URLSearchParams();
+  }
+}
+
+/**
+ * One visit's attribution signals
+ * @param {object} visit - { landingSite, referringSite, occurredAt }
+ * @param {object} extra - Parameters from note attributes (themes that copy UTMs into the cart)
+ */
+function parseVisit(visit, extra = {}) {
+  const params = parseParams(visit.landingSite);
+  const param = (name) => clean(params.get(name)) || clean(extra[name]);
+
+  const touch = {
+    source: param('utm_source')?.toLowerCase() || null,
+    medium: param('utm_medium')?.toLowerCase() || null,
+    campaign: param('utm_campaign'),
+    content: param('utm_content'),
+    term: param('utm_term'),
+    campaignId: param('campaign_id') || param('utm_id'),
+    adsetId: param('adset_id'),
+    adId: param('ad_id'),
+    fbclid: param('fbclid'),
+    gclid: param('gclid') || param('gbraid') || param('wbraid'),
+    landingSite: visit.landingSite || null,
+    referringSite: visit.referringSite || null,
+    touchAt: visit.occurredAt || null
+  };
+  touch.channel = classifyChannel(touch);
+  return touch;
+}
+
+function classifyChannel(touch) {
+  const { source, medium, fbclid, gclid } = touch;
+  const paidMedium = medium && PAID_MEDIUMS.includes(medium);
+  const metaSource = source && META_SOURCES.includes(source);
+
+  if (fbclid || touch.adId || touch.adsetId || (metaSource && (paidMedium || touch.campaign || touch.campaignId))) return 'meta';
+  if (gclid || (source === 'google' && paidMedium)) return 'google';
+  if (medium === 'email' || (source && EMAIL_SOURCES.includes(source))) return 'email';
+  if (metaSource) return 'social';
+  if (source || medium || touch.campaign) return 'other';
+
+  const host = hostOf(touch.referringSite);
+  if (!host) return 'direct';
+  if (SEARCH_HOSTS.some(h => host.includes(h))) return 'search';
+  if (SOCIAL_HOSTS.some(h => host.includes(h))) return 'social';
+  return 'referral';
+}
+
+class AttributionService {
+  /**
+   * Attribution window from a query parameter (days, 1-90).
+   * @returns {number|null} null when the value is invalid.
+   */
+  parseWindow(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_WINDOW_DAYS;
+    const days = Number(value);
+    return Number.isInteger(days) && days >= 1 && days <= MAX_WINDOW_DAYS ? days : null;
+  }
+
+  /**
+   * Attribution for a raw Shopify order (REST shape, or the bulk GraphQL mapping
+   * with customer_journey visits). The first visit with ad / UTM signals wins,
+   * checking the last visit before the first one.
+   * @param {object} order - Shopify order.
+   * @returns {object} { channel, source, medium, campaign, content, term, campaignId, adsetId, adId, fbclid, gclid, landingSite, referringSite, touchAt }
+   */
+  parseOrder(order) {
+    const extra = {};
+    (order.note_attributes || []).forEach(({ name, value }) => {
+      if (name && value) extra[name.toLowerCase()] = value;
+    });
+
+    const journey = order.customer_journey || {};
+    const visits = [journey.last_visit, journey.first_visit]
+      .filter(visit => visit && visit.landing_site)
+      .map(visit => ({ landingSite: visit.landing_site, referringSite: visit.referring_site, occurredAt: visit.occurred_at }));
+    visits.push({ landingSite: order.landing_site, referringSite: order.referring_site, occurredAt: null });
+
+    const touches = visits.map((visit, i) => parseVisit(visit, i === visits.length - 1 ? extra : {}));
+    return touches.find(touch => touch.channel !== 'direct' && touch.channel !== 'referral')
+      || touches.find(touch => touch.channel !== 'direct')
+      || touches[touches.length - 1];
+  }
+
+  /**
+   * Find the Meta campaign, ad set and ad an attribution points at.
+   * @param {object} attribution - From parseOrder.
+   * @param {object} index - From buildEntityIndex.
+   * @returns {object} { campaignId, adsetId, adId } (null where unmatched)
+   */
+  resolveEntities(attribution, index) {
+    const find = (level, value) => {
+      if (!value) return null;
+      const key = value.toString().trim();
+      return index[level].byId.get(key) || index[level].byName.get(key.toLowerCase()) || null;
+    };
+
+    const ad = find('ad', attribution.adId) || find('ad', attribution.content);
+    const adset = find('adset', attribution.adsetId) || find('adset', attribution.term)
+      || (ad?.adsetId ? index.adset.byId.get(ad.adsetId) : null);
+    const campaign = find('campaign', attribution.campaignId) || find('campaign', attribution.campaign)
+      || index.campaign.byId.get(adset?.campaignId || ad?.campaignId) || null;
+
+    // Numeric IDs from URL parameters still count before the entity itself has synced
+    const rawId = (value) => (value && /^\d+$/.test(value) ? value : null);
+
+    return {
+      campaignId: campaign?.entityId || adset?.campaignId || ad?.campaignId || rawId(attribution.campaignId),
+      adsetId: adset?.entityId || ad?.adsetId || rawId(attribution.adsetId),
+      adId: ad?.entityId || rawId(attribution.adId)
+    };
+  }
+
+  /**
+   * ID and lower-cased name lookups per level from meta_ad_entities.
+   */
+  buildEntityIndex(entities) {
+    const index = Object.fromEntries(['campaign', 'adset', 'ad'].map(level => [level, { byId: new Map(), byName: new Map() }]));
+    entities.forEach(entity => {
+      const group = index[entity.level];
+      if (!group || !entity.entityId) return;
+      group.byId.set(entity.entityId.toString(), entity);
+      if (entity.name) group.byName.set(entity.name.trim().toLowerCase(), entity);
+    });
+    return index;
+  }
+
+  /**
+   * Attributed orders and revenue for a date range (store calendar days).
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} startDate - YYYY-MM-DD.
+   * @param {string} endDate - YYYY-MM-DD.
+   * @param {number} windowDays - Max days between the Meta visit and the order.
+   * @returns {Promise<object>} { windowDays, channels, campaign, adset, ad (Maps of id -> { orders, revenue }),
+   *   meta: { orders, revenue }, unmatched, outsideWindow }
+   */
+  async getAttribution(userId, startDate, endDate, windowDays = DEFAULT_WINDOW_DAYS) {
+    const [timezone, entities] = await Promise.all([
+      storeTimezoneService.getTimezone(userId),
+      metaInsightsService.getEntities(userId)
+    ]);
+    const index = this.buildEntityIndex(Array.from(entities.values()));
+
+    const emptyBucket = () => ({ orders: 0, revenue: 0 });
+    const add = (bucket, revenue) => {
+      bucket.orders += 1;
+      bucket.revenue += revenue;
+    };
+    const channels = new Map();
+    const levels = { campaign: new Map(), adset: new Map(), ad: new Map() };
+    const meta = emptyBucket();
+    const unmatched = emptyBucket();
+    const outsideWindow = emptyBucket();
+
+    let lastEvaluatedKey = null;
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: ORDERS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ExpressionAttributeNames: { '#orderName': 'name' },
+        // Orders stored before name / test were copied to the top level only have them in orderData
+        ProjectionExpression: 'orderId, orderNumber, #orderName, test, orderData.#orderName, orderData.test, financialStatus, createdAt, currentTotalPrice, totalPrice, attribution, orderData.landing_site, orderData.referring_site, orderData.note_attributes, orderData.customer_journey',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      for (const order of result.Items || []) {
+        const isTest = (order.test ?? order.orderData?.test) === true;
+        const name = order.name || order.orderData?.name;
+        if (!order.createdAt || isTest || (!name && !order.orderNumber)) continue;
+        if (CANCELLED_STATUSES.includes((order.financialStatus || '').toLowerCase())) continue;
+
+        const date = toStoreDate(order.createdAt, timezone);
+        if (!date || date < startDate || date > endDate) continue;
+
+        const attribution = order.attribution || this.parseOrder(order.orderData || {});
+        const revenue = parseFloat(order.currentTotalPrice ?? order.totalPrice ?? 0) || 0;
+
+        if (!channels.has(attribution.channel)) channels.set(attribution.channel, emptyBucket());
+        add(channels.get(attribution.channel), revenue);
+
+        if (attribution.channel !== 'meta') continue;
+
+        const touchAt = attribution.touchAt ? new Date(attribution.touchAt).getTime() : NaN;
+        if (!Number.isNaN(touchAt) && new Date(order.createdAt).getTime() - touchAt > windowDays * DAY_MS) {
+          add(outsideWindow, revenue);
+          continue;
+        }
+
+        add(meta, revenue);
+        const ids = this.resolveEntities(attribution, index);
+        if (!ids.campaignId) {
+          add(unmatched, revenue);
+          continue;
+        }
+        for (const [level, id] of [['campaign', ids.campaignId], ['adset', ids.adsetId], ['ad', ids.adId]]) {
+          if (!id) continue;
+          if (!levels[level].has(id)) levels[level].set(id, emptyBucket());
+          add(levels[level].get(id), revenue);
+        }
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const totalRevenue = Array.from(channels.values()).reduce((sum, bucket) => sum + bucket.revenue, 0);
+
+    return {
+      windowDays,
+      channels: Array.from(channels.entries())
+        .map(([channel, bucket]) => ({
+          channel,
+          label: CHANNEL_LABELS[channel] || channel,
+          orders: bucket.orders,
+          revenue: round(bucket.revenue),
+          revenueShare: totalRevenue > 0 ? round((bucket.revenue / totalRevenue) * 100, 1) : 0
+        }))
+        .sort((a, b) => b.revenue - a.revenue),
+      ...levels,
+      meta: { orders: meta.orders, revenue: round(meta.revenue) },
+      unmatched: { orders: unmatched.orders, revenue: round(unmatched.revenue) },
+      outsideWindow: { orders: outsideWindow.orders, revenue: round(outsideWindow.revenue) }
+    };
+  }
+
+  /**
+   * First-party orders, revenue, ROAS and POAS for Meta-reported entities.
+   * @param {Array} entities - Campaigns / ad sets / ads with id and spend.
+   * @param {Map} attributed - id -> { orders, revenue } from getAttribution.
+   * @param {number|null} margin - From metaInsightsService.getProfitModel (POAS is null without it).
+   * @returns {Array} Entities with firstPartyOrders, firstPartyRevenue, firstPartyRoas, firstPartyPoas.
+   */
+  applyToEntities(entities, attributed, margin) {
+    return entities.map(entity => ({
+      ...entity,
+      ...this.firstPartyMetrics(attributed.get(entity.id), entity.spend, margin)
+    }));
+  }
+
+  firstPartyMetrics(bucket, spend, margin) {
+    const orders = bucket?.orders || 0;
+    const revenue = bucket?.revenue || 0;
+    return {
+      firstPartyOrders: orders,
+      firstPartyRevenue: round(revenue),
+      firstPartyRoas: spend > 0 ? round(revenue / spend) : null,
+      firstPartyPoas: spend > 0 && margin !== null ? round((revenue * margin) / spend) : null
+    };
+  }
+}
+
+module.exports = new AttributionService();
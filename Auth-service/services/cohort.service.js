@@ -0,0 +1,265 @@
+/**
+ * Cohort Service
+ *
+ * Groups customers by the store-local month of their first order and tracks
+ * what each cohort does in the following months (M0 = acquisition month):
+ *   - retention:        % of the cohort that placed a repeat order in the month
+ *   - revenueRetention: month revenue as % of the cohort's M0 revenue
+ *   - ltv:              cumulative revenue per customer up to the month
+ *
+ * Cohorts can be narrowed to customers whose first order contained a product
+ * or used a discount code. Results are cached per user + filters for 10 minutes.
+ */
+
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const storeTimezoneService = require('./store-timezone.service');
+const { toStoreDate, getStoreToday } = require('../utils/timezone');
+
+const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_CACHE_SIZE = 200;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Whole months between two YYYY-MM strings
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${MONTH_NAMES[monthNumber - 1]} ${year}`;
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class CohortService {
+  constructor() {
+    this.cache = new Map(); // cacheKey -> { data, timestamp }
+  }
+
+  /**
+   * Build the cohort table for a user.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} options - Filters.
+   * @param {number} options.months - Number of month columns (M0..M{n-1}), default 12.
+   * @param {string} options.startMonth - First cohort month (YYYY-MM), default 12 months ago.
+   * @param {string} options.endMonth - Last cohort month (YYYY-MM), default current month.
+   * @param {string} options.productId - Only customers whose first order contained this product.
+   * @param {string} options.discountCode - Only customers whose first order used this code.
+   * @returns {Promise<object>} { cohorts, months, filters, totals }
+   */
+  async getCohorts(userId, options = {}) {
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const currentMonth = getStoreToday(timezone).slice(0, 7);
+
+    const months = options.months || 12;
+    const endMonth = options.endMonth || currentMonth;
+    const startMonth = options.startMonth || this.shiftMonth(endMonth, -(months - 1));
+    const productId = options.productId ? options.productId.toString() : null;
+    const discountCode = options.discountCode ? options.discountCode.trim().toLowerCase() : null;
+
+    const cacheKey = `${userId}:${months}:${startMonth}:${endMonth}:${productId || ''}:${discountCode || ''}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.data;
+    }
+
+    const customers = await this.loadCustomerOrders(userId, timezone);
+
+    const cohorts = new Map(); // month -> { customers, activeCustomers[], revenue[] }
+    const productOptions = new Map(); // productId -> { productId, title, customers }
+    const codeOptions = new Map(); // code -> { code, customers }
+
+    customers.forEach(orders => {
+      orders.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      const first = orders[0];
+      const cohortMonth = first.month;
+      if (cohortMonth < startMonth || cohortMonth > endMonth) return;
+
+      // Filter options are counted before filtering so the UI can offer every choice
+      first.products.forEach(product => {
+        const option = productOptions.get(product.productId) || { ...product, customers: 0 };
+        option.customers++;
+        productOptions.set(product.productId, option);
+      });
+      first.discountCodes.forEach(code => {
+        const option = codeOptions.get(code.toLowerCase()) || { code, customers: 0 };
+        option.customers++;
+        codeOptions.set(code.toLowerCase(), option);
+      });
+
+      if (productId && !first.products.some(p => p.productId === productId)) return;
+      if (discountCode && !first.discountCodes.some(code => code.toLowerCase() === discountCode)) return;
+
+      let cohort = cohorts.get(cohortMonth);
+      if (!cohort) {
+        cohort = {
+          customers: 0,
+          activeCustomers: new Array(months).fill(0),
+          revenue: new Array(months).fill(0)
+        };
+        cohorts.set(cohortMonth, cohort);
+      }
+      cohort.customers++;
+
+      const repeatMonths = new Set();
+      orders.forEach((order, index) => {
+        const offset = monthsBetween(cohortMonth, order.month);
+        if (offset >= months) return;
+        cohort.revenue[offset] += order.revenue;
+        if (index > 0) repeatMonths.add(offset); // The first order is the acquisition, not a repeat
+      });
+      repeatMonths.forEach(offset => cohort.activeCustomers[offset]++);
+    });
+
+    const rows = Array.from(cohorts.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, cohort]) => {
+        // Months that haven't happened yet are null (blank cells), not 0%
+        const elapsed = monthsBetween(month, currentMonth);
+        const baseRevenue = cohort.revenue[0];
+        let cumulativeRevenue = 0;
+
+        const retention = [];
+        const revenueRetention = [];
+        const ltv = [];
+
+        for (let offset = 0; offset < months; offset++) {
+          if (offset > elapsed) {
+            retention.push(null);
+            revenueRetention.push(null);
+            ltv.push(null);
+            continue;
+          }
+
+          cumulativeRevenue += cohort.revenue[offset];
+          retention.push(round((cohort.activeCustomers[offset] / cohort.customers) * 100, 1));
+          revenueRetention.push(baseRevenue > 0 ? round((cohort.revenue[offset] / baseRevenue) * 100, 1) : null);
+          ltv.push(round(cumulativeRevenue / cohort.customers));
+        }
+
+        return {
+          cohort: month,
+          date: formatMonth(month),
+          users: cohort.customers,
+          revenue: round(cohort.revenue.reduce((sum, value) => sum + value, 0)),
+          activeCustomers: cohort.activeCustomers,
+          retention,
+          revenueRetention,
+          ltv
+        };
+      });
+
+    const data = {
+      cohorts: rows,
+      months,
+      startMonth,
+      endMonth,
+      timezone,
+      filters: {
+        productId,
+        discountCode: options.discountCode || null,
+        products: Array.from(productOptions.values()).sort((a, b) => b.customers - a.customers),
+        discountCodes: Array.from(codeOptions.values()).sort((a, b) => b.customers - a.customers)
+      },
+      totals: {
+        customers: rows.reduce((sum, row) => sum + row.users, 0),
+        revenue: round(rows.reduce((sum, row) => sum + row.revenue, 0))
+      }
+    };
+
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(cacheKey, { data, timestamp: Date.now() });
+
+    return data;
+  }
+
+  /**
+   * Load every valid order and group it by customer.
+   * Guest orders (no customer ID) can't be followed over time and are skipped.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} timezone - Store IANA timezone.
+   * @returns {Promise<Map>} customerId -> [{ createdAt, month, revenue, products, discountCodes }]
+   */
+  async loadCustomerOrders(userId, timezone) {
+    const customers = new Map();
+    const seenOrders = new Set();
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: ORDERS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ExpressionAttributeNames: { '#orderName': 'name' },
+        ProjectionExpression: 'orderId, id, orderNumber, #orderName, test, financialStatus, createdAt, currentTotalPrice, totalPrice, customerId, customer, lineItems, discountCodes, orderData.discount_codes',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      for (const order of result.Items || []) {
+        const orderDate = toStoreDate(order.createdAt, timezone);
+        if (!orderDate) continue;
+        if (order.test === true || (!order.name && !order.orderNumber)) continue;
+
+        const financialStatus = (order.financialStatus || '').toLowerCase();
+        if (['refunded', 'voided', 'cancelled'].includes(financialStatus)) continue;
+
+        const customerId = order.customerId || order.customer?.id;
+        if (!customerId) continue;
+
+        const orderKey = (order.orderId || order.id || order.orderNumber).toString();
+        if (seenOrders.has(orderKey)) continue;
+        seenOrders.add(orderKey);
+
+        const products = new Map();
+        (order.lineItems || []).forEach(item => {
+          const itemProductId = (item.product_id || item.productId)?.toString();
+          if (itemProductId && !products.has(itemProductId)) {
+            products.set(itemProductId, { productId: itemProductId, title: item.title || item.name || itemProductId });
+          }
+        });
+
+        // Orders synced before discountCodes was stored still have the raw REST payload
+        const discountCodes = order.discountCodes ||
+          (order.orderData?.discount_codes || []).map(d => d.code).filter(Boolean);
+
+        const key = customerId.toString();
+        if (!customers.has(key)) customers.set(key, []);
+        customers.get(key).push({
+          createdAt: new Date(order.createdAt).toISOString(),
+          month: orderDate.slice(0, 7),
+          revenue: parseFloat(order.currentTotalPrice || order.totalPrice || 0),
+          products: Array.from(products.values()),
+          discountCodes
+        });
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    console.log(`👥 Cohorts: ${customers.size} customers, ${seenOrders.size} orders for ${userId}`);
+    return customers;
+  }
+
+  /**
+   * Add (or subtract) months to a YYYY-MM string.
+   * @param {string} month - YYYY-MM.
+   * @param {number} offset - Months to add.
+   * @returns {string} YYYY-MM.
+   */
+  shiftMonth(month, offset) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const total = year * 12 + (monthNumber - 1) + offset;
+    return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}`;
+  }
+}
+
+module.exports = new CohortService();
@@ -0,0 +1,133 @@
+/**
+ * Currency Service
+ *
+ * Resolves the currency of a user's Shopify store and the daily FX rates used
+ * to convert Meta ad account spend into it, so accounts billed in different
+ * currencies can be added together. Rates are ECB reference rates from the
+ * Frankfurter API; weekends and holidays resolve to the previous working day.
+ * Currencies the ECB doesn't publish (AED, SAR, ...) come from the fallback
+ * provider (FX_FALLBACK_API_URL, daily snapshots covering ~200 currencies).
+ */
+
+const axios = require('axios');
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const { addDays } = require('../utils/timezone');
+
+const CONNECTIONS_TABLE = process.env.SHOPIFY_CONNECTIONS_TABLE || 'shopify_connections';
+const FX_API_URL = process.env.FX_API_URL || 'https://api.frankfurter.app';
+// {date} is YYYY-MM-DD; responses look like { date, inr: { aed: 0.044, ... } }
+const FX_FALLBACK_API_URL = process.env.FX_FALLBACK_API_URL || 'https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@{date}/v1/currencies';
+const DEFAULT_CURRENCY = process.env.DEFAULT_STORE_CURRENCY || 'INR';
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+class CurrencyService {
+  constructor() {
+    this.storeCache = new Map(); // userId -> { currency, timestamp }
+    this.rateCache = new Map();  // FROM:TO:date -> Promise<number|null>
+    this.preloaded = new Map();  // FROM:TO:since:until -> Promise
+  }
+
+  /**
+   * Get the store's currency code (falls back to DEFAULT_STORE_CURRENCY).
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<string>} ISO 4217 code, e.g. "INR".
+   */
+  async getStoreCurrency(userId) {
+    const cached = this.storeCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.currency;
+    }
+
+    let currency = DEFAULT_CURRENCY;
+
+    try {
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: { userId },
+        ProjectionExpression: 'currency'
+      }));
+      if (result.Item?.currency) currency = result.Item.currency.toUpperCase();
+    } catch (error) {
+      console.error(`Error resolving store currency for ${userId}:`, error.message);
+    }
+
+    this.storeCache.set(userId, { currency, timestamp: Date.now() });
+    return currency;
+  }
+
+  /**
+   * Rate to multiply an amount in `from` by to get `to`, as of `date`.
+   * @param {string} from - Source currency code.
+   * @param {string} to - Target currency code.
+   * @param {string} date - YYYY-MM-DD.
+   * @returns {Promise<number|null>} null when no rate is available for the pair.
+   */
+  getRate(from, to, date) {
+    if (!from || !to || from === to) return Promise.resolve(1);
+
+    const key = `${from}:${to}:${date}`;
+    if (!this.rateCache.has(key)) {
+      const request = axios.get(`${FX_API_URL}/${date}`, { params: { from, to } })
+        .then(response => response.data?.rates?.[to] ?? null)
+        // Frankfurter rejects pairs the ECB doesn't publish
+        .catch(() => null)
+        .then(rate => (rate === null ? this.getFallbackRate(from, to, date) : rate))
+        .then(rate => {
+          // Don't cache misses - the next sync retries
+          if (rate === null) this.rateCache.delete(key);
+          return rate;
+        });
+      this.rateCache.set(key, request);
+    }
+    return this.rateCache.get(key);
+  }
+
+  /**
+   * Rate from the fallback provider for currencies the ECB doesn't cover.
+   * @returns {Promise<number|null>}
+   */
+  async getFallbackRate(from, to, date) {
+    const base = from.toLowerCase();
+    try {
+      const response = await axios.get(`${FX_FALLBACK_API_URL.replace('{date}', date)}/${base}.json`);
+      const rate = response.data?.[base]?.[to.toLowerCase()];
+      return typeof rate === 'number' ? rate : null;
+    } catch (error) {
+      console.error(`FX rate ${from}->${to} for ${date} unavailable:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load a date range of rates in one request before converting a bulk export.
+   * Days without a published rate carry the previous working day's rate forward.
+   */
+  preloadRates(from, to, since, until) {
+    if (!from || !to || from === to || !since || !until) return Promise.resolve();
+
+    const rangeKey = `${from}:${to}:${since}:${until}`;
+    if (!this.preloaded.has(rangeKey)) {
+      const request = axios.get(`${FX_API_URL}/${since}..${until}`, { params: { from, to } })
+        .then(response => {
+          const rates = response.data?.rates || {};
+          let lastRate = null;
+          for (let date = since; date <= until; date = addDays(date, 1)) {
+            const rate = rates[date]?.[to];
+            if (rate !== undefined) lastRate = rate;
+            // Days before the first published rate are left to getRate()
+            if (lastRate !== null) this.rateCache.set(`${from}:${to}:${date}`, Promise.resolve(lastRate));
+          }
+        })
+        .catch(error => {
+          // Unsupported pairs fall back to per-day lookups in getRate()
+          console.error(`FX rates ${from}->${to} for ${since}..${until} unavailable:`, error.message);
+          this.preloaded.delete(rangeKey);
+        });
+      this.preloaded.set(rangeKey, request);
+    }
+    return this.preloaded.get(rangeKey);
+  }
+}
+
+module.exports = new CurrencyService();
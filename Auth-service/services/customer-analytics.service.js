@@ -0,0 +1,452 @@
+/**
+ * Customer Analytics Service
+ *
+ * Per-customer RFM (recency / frequency / monetary) scores, predicted LTV and
+ * segments, plus segment profitability after COGS, shipping and RTO.
+ *
+ * Customers are built from shopify_orders (grouped by customerId) and enriched
+ * with name / email / phone from shopify_customers when available. Shipments
+ * are matched to orders through Shiprocket's channel order ID.
+ * Results are cached per user for 10 minutes so segment lists and CSV exports
+ * reuse the same analysis.
+ */
+
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const productCostService = require('./product-cost.service');
+const storeTimezoneService = require('./store-timezone.service');
+const { toStoreDate, getStoreToday } = require('../utils/timezone');
+const { getShipmentOutcome } = require('./shipping-providers/shipment-record');
+
+const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
+const CUSTOMERS_TABLE = process.env.SHOPIFY_CUSTOMERS_TABLE || 'shopify_customers';
+const SHIPMENTS_TABLE = process.env.SHIPROCKET_SHIPMENTS_TABLE || 'shiprocket_shipments';
+
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_CACHE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LTV_HORIZON_DAYS = 365; // Predicted LTV = history + expected next 12 months
+const DEFAULT_REPURCHASE_GAP = 90; // Days, when the store has no repeat customers yet
+
+// Segment definitions, checked in order (first match wins)
+const SEGMENTS = [
+  { key: 'one_time_cod', name: 'One-time COD buyers', match: (c) => c.frequency === 1 && c.codOrders === 1 },
+  { key: 'champions', name: 'Champions', match: (c) => c.r >= 4 && c.f >= 4 && c.m >= 4 },
+  { key: 'loyal', name: 'Loyal', match: (c) => c.r >= 3 && c.f >= 4 },
+  { key: 'cant_lose', name: "Can't Lose Them", match: (c) => c.r <= 2 && c.f >= 4 && c.m >= 4 },
+  { key: 'at_risk', name: 'At Risk', match: (c) => c.r <= 2 && c.f >= 3 },
+  { key: 'new', name: 'New Customers', match: (c) => c.r >= 4 && c.frequency === 1 },
+  { key: 'potential_loyalist', name: 'Potential Loyalists', match: (c) => c.r >= 4 && c.f >= 2 },
+  { key: 'need_attention', name: 'Need Attention', match: (c) => c.r === 3 },
+  { key: 'hibernating', name: 'Hibernating', match: (c) => c.r === 2 },
+  { key: 'lost', name: 'Lost', match: () => true }
+];
+
+function isCodOrder(order) {
+  const gateway = (order.gateway || '').toLowerCase();
+  const paymentMethod = (order.paymentMethod || '').toLowerCase();
+  return gateway === 'cod' || gateway === 'cash_on_delivery' || gateway.includes('cash on delivery') ||
+    paymentMethod === 'cod' || paymentMethod === 'cash_on_delivery';
+}
+
+function isRtoShipment(shipment) {
+  return getShipmentOutcome(shipment) === 'rto';
+}
+
+// "#1001", "1001" and 1001 all refer to the same order
+const normalizeOrderRef = (value) => (value != null ? value.toString().replace(/^#/, '').trim() : null);
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * 1-5 score from the share of values below this one (ties share a score).
+ * @param {Array<number>} sortedValues - All values sorted ascending.
+ * @param {number} value - Value to score.
+ * @returns {number} 1-5
+ */
+function quintileScore(sortedValues, value) {
+  let low = 0;
+  let high = sortedValues.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedValues[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return Math.min(5, Math.floor((low / sortedValues.length) * 5) + 1);
+}
+
+class CustomerAnalyticsService {
+  constructor() {
+    this.cache = new Map(); // userId -> { data, timestamp }
+  }
+
+  /**
+   * Full customer analysis for a user (cached).
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} businessExpenses - User business expenses (rtoHandlingFees, paymentGatewayFeePercent).
+   * @param {boolean} forceRefresh - Skip the cache.
+   * @returns {Promise<object>} { customers, segments, summary, timezone, generatedAt }
+   */
+  async getAnalysis(userId, businessExpenses = {}, forceRefresh = false) {
+    const cached = this.cache.get(userId);
+    if (!forceRefresh && cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.data;
+    }
+
+    const startTime = Date.now();
+    const timezone = await storeTimezoneService.getTimezone(userId);
+
+    const [orders, shipments, profiles, costResolver] = await Promise.all([
+      this.loadOrders(userId),
+      this.loadShipments(userId),
+      this.loadProfiles(userId),
+      productCostService.loadCostResolver(userId, timezone)
+    ]);
+
+    const shipmentsByOrder = new Map();
+    shipments.forEach(shipment => {
+      [shipment.channelOrderId, shipment.orderId].forEach(ref => {
+        const key = normalizeOrderRef(ref);
+        if (key && !shipmentsByOrder.has(key)) shipmentsByOrder.set(key, shipment);
+      });
+    });
+
+    const rtoHandlingFee = parseFloat(businessExpenses.rtoHandlingFees || 0);
+    const gatewayFeeRate = parseFloat(businessExpenses.paymentGatewayFeePercent ?? 2.5) / 100;
+
+    // Aggregate orders per customer
+    const customers = new Map();
+    let matchedShipments = 0;
+    orders.forEach(order => {
+      const customerId = (order.customerId || order.customer?.id).toString();
+      let customer = customers.get(customerId);
+      if (!customer) {
+        customer = {
+          customerId,
+          orderDates: [],
+          frequency: 0,
+          codOrders: 0,
+          revenue: 0,
+          cogs: 0,
+          shippingCost: 0,
+          gatewayFees: 0,
+          rtoOrders: 0,
+          rtoCost: 0,
+          email: order.customerEmail || order.customer?.email || null
+        };
+        customers.set(customerId, customer);
+      }
+
+      const orderRevenue = parseFloat(order.currentTotalPrice || order.totalPrice || 0);
+      const cod = isCodOrder(order);
+      const shipment = shipmentsByOrder.get(normalizeOrderRef(order.orderId || order.id)) ||
+        shipmentsByOrder.get(normalizeOrderRef(order.orderNumber || order.name));
+      const freight = parseFloat(shipment?.freightCharges || 0);
+      if (shipment) matchedShipments++;
+
+      customer.orderDates.push(order.createdAt);
+      customer.frequency++;
+      if (cod) customer.codOrders++;
+
+      if (shipment && isRtoShipment(shipment)) {
+        // Returned to origin: no revenue, stock comes back, we pay the freight + handling
+        customer.rtoOrders++;
+        customer.rtoCost += freight + rtoHandlingFee;
+        return;
+      }
+
+      customer.shippingCost += freight;
+      customer.revenue += orderRevenue;
+      if (!cod) customer.gatewayFees += orderRevenue * gatewayFeeRate;
+      (order.lineItems || []).forEach(item => {
+        customer.cogs += costResolver.getUnitCost(item, order.createdAt) * parseInt(item.quantity || 0);
+      });
+    });
+
+    const today = getStoreToday(timezone);
+    const todayMs = new Date(`${today}T00:00:00Z`).getTime();
+    const list = Array.from(customers.values());
+
+    // Store-wide repurchase behaviour (used to predict one-time buyers)
+    const gaps = [];
+    list.forEach(customer => {
+      customer.orderDates.sort();
+      customer.firstOrderDate = toStoreDate(customer.orderDates[0], timezone);
+      customer.lastOrderDate = toStoreDate(customer.orderDates[customer.orderDates.length - 1], timezone);
+      customer.recencyDays = Math.max(0, Math.round((todayMs - new Date(`${customer.lastOrderDate}T00:00:00Z`).getTime()) / DAY_MS));
+      customer.tenureDays = Math.round(
+        (new Date(`${customer.lastOrderDate}T00:00:00Z`) - new Date(`${customer.firstOrderDate}T00:00:00Z`)) / DAY_MS
+      );
+      if (customer.frequency > 1) gaps.push(customer.tenureDays / (customer.frequency - 1));
+    });
+
+    gaps.sort((a, b) => a - b);
+    const medianGap = gaps.length > 0 ? Math.max(1, gaps[Math.floor(gaps.length / 2)]) : DEFAULT_REPURCHASE_GAP;
+    const repeatRate = list.length > 0 ? gaps.length / list.length : 0;
+
+    // RFM scores (recency: fewer days = better)
+    const recencies = list.map(c => -c.recencyDays).sort((a, b) => a - b);
+    const frequencies = list.map(c => c.frequency).sort((a, b) => a - b);
+    const monetaries = list.map(c => c.revenue).sort((a, b) => a - b);
+
+    list.forEach(customer => {
+      customer.r = quintileScore(recencies, -customer.recencyDays);
+      customer.f = quintileScore(frequencies, customer.frequency);
+      customer.m = quintileScore(monetaries, customer.revenue);
+      customer.rfmScore = `${customer.r}${customer.f}${customer.m}`;
+
+      customer.profit = customer.revenue - customer.cogs - customer.shippingCost - customer.gatewayFees - customer.rtoCost;
+
+      // Predicted LTV: history + expected orders in the next year x AOV, discounted
+      // by how long the customer has been quiet relative to their usual gap
+      const deliveredOrders = customer.frequency - customer.rtoOrders;
+      const aov = deliveredOrders > 0 ? customer.revenue / deliveredOrders : 0;
+      const margin = customer.revenue > 0 ? customer.profit / customer.revenue : 0;
+      const gap = customer.frequency > 1 ? Math.max(1, customer.tenureDays / (customer.frequency - 1)) : medianGap;
+      const ordersPerDay = customer.frequency > 1 ? 1 / gap : repeatRate / medianGap;
+      const pAlive = Math.exp(-customer.recencyDays / (gap * 2));
+      const expectedOrders = ordersPerDay * LTV_HORIZON_DAYS * pAlive;
+
+      customer.expectedOrders = round(expectedOrders);
+      customer.predictedLtv = round(customer.revenue + expectedOrders * aov);
+      customer.predictedProfit = round(customer.profit + expectedOrders * aov * Math.max(margin, 0));
+
+      const segment = SEGMENTS.find(s => s.match(customer));
+      customer.segment = segment.key;
+      customer.segmentName = segment.name;
+
+      const profile = profiles.get(customer.customerId);
+      customer.name = profile?.name || null;
+      customer.email = profile?.email || customer.email;
+      customer.phone = profile?.phone || null;
+
+      customer.revenue = round(customer.revenue);
+      customer.cogs = round(customer.cogs);
+      customer.shippingCost = round(customer.shippingCost);
+      customer.gatewayFees = round(customer.gatewayFees);
+      customer.rtoCost = round(customer.rtoCost);
+      customer.profit = round(customer.profit);
+      delete customer.orderDates;
+    });
+
+    list.sort((a, b) => b.predictedLtv - a.predictedLtv);
+
+    const segments = SEGMENTS.map(({ key, name }) => {
+      const members = list.filter(c => c.segment === key);
+      const totals = members.reduce((sum, c) => {
+        sum.orders += c.frequency;
+        sum.revenue += c.revenue;
+        sum.cogs += c.cogs;
+        sum.shippingCost += c.shippingCost;
+        sum.gatewayFees += c.gatewayFees;
+        sum.rtoOrders += c.rtoOrders;
+        sum.rtoCost += c.rtoCost;
+        sum.profit += c.profit;
+        sum.predictedLtv += c.predictedLtv;
+        return sum;
+      }, { orders: 0, revenue: 0, cogs: 0, shippingCost: 0, gatewayFees: 0, rtoOrders: 0, rtoCost: 0, profit: 0, predictedLtv: 0 });
+
+      const count = members.length;
+      return {
+        key,
+        name,
+        customers: count,
+        orders: totals.orders,
+        revenue: round(totals.revenue),
+        cogs: round(totals.cogs),
+        shippingCost: round(totals.shippingCost),
+        gatewayFees: round(totals.gatewayFees),
+        rtoOrders: totals.rtoOrders,
+        rtoRate: totals.orders > 0 ? round((totals.rtoOrders / totals.orders) * 100, 1) : 0,
+        rtoCost: round(totals.rtoCost),
+        profit: round(totals.profit),
+        profitMargin: totals.revenue > 0 ? round((totals.profit / totals.revenue) * 100, 1) : 0,
+        profitPerCustomer: count > 0 ? round(totals.profit / count) : 0,
+        avgOrderValue: totals.orders - totals.rtoOrders > 0 ? round(totals.revenue / (totals.orders - totals.rtoOrders)) : 0,
+        avgPredictedLtv: count > 0 ? round(totals.predictedLtv / count) : 0
+      };
+    });
+
+    const data = {
+      customers: list,
+      segments,
+      summary: {
+        customers: list.length,
+        repeatRate: round(repeatRate * 100, 1),
+        medianRepurchaseDays: Math.round(medianGap),
+        revenue: round(list.reduce((sum, c) => sum + c.revenue, 0)),
+        profit: round(list.reduce((sum, c) => sum + c.profit, 0)),
+        avgPredictedLtv: list.length > 0 ? round(list.reduce((sum, c) => sum + c.predictedLtv, 0) / list.length) : 0,
+        matchedShipments
+      },
+      timezone,
+      generatedAt: new Date().toISOString()
+    };
+
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(userId, { data, timestamp: Date.now() });
+
+    console.log(`👥 Customer analytics for ${userId}: ${list.length} customers in ${Date.now() - startTime}ms`);
+    return data;
+  }
+
+  /**
+   * Segment definitions (key + display name) in priority order.
+   * @returns {Array}
+   */
+  getSegmentDefinitions() {
+    return SEGMENTS.map(({ key, name }) => ({ key, name }));
+  }
+
+  /**
+   * Build a CSV for a list of customers (retargeting audiences).
+   * @param {Array} customers - Analysed customers.
+   * @returns {string} CSV text with a header row.
+   */
+  toCsv(customers) {
+    const columns = [
+      ['customerId', 'Customer ID'],
+      ['name', 'Name'],
+      ['email', 'Email'],
+      ['phone', 'Phone'],
+      ['segmentName', 'Segment'],
+      ['rfmScore', 'RFM'],
+      ['recencyDays', 'Days Since Last Order'],
+      ['frequency', 'Orders'],
+      ['revenue', 'Revenue'],
+      ['profit', 'Profit'],
+      ['rtoOrders', 'RTO Orders'],
+      ['predictedLtv', 'Predicted LTV'],
+      ['firstOrderDate', 'First Order'],
+      ['lastOrderDate', 'Last Order']
+    ];
+
+    // Customer-entered fields; a leading = + - @ could run as a spreadsheet formula
+    const FREE_TEXT = new Set(['name', 'email', 'phone']);
+    const PHONE_NUMBER = /^\+?[\d\s()-]+$/; // E.164 / formatted numbers are left as-is
+
+    const escape = (key, value) => {
+      if (value == null) return '';
+      let text = value.toString();
+      if (FREE_TEXT.has(key) && /^[=+\-@]/.test(text) && !(key === 'phone' && PHONE_NUMBER.test(text))) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(([, header]) => header).join(',')];
+    customers.forEach(customer => {
+      lines.push(columns.map(([key]) => escape(key, customer[key])).join(','));
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Drop the cached analysis (after a sync or cost change).
+   * @param {string} userId - The unique identifier of the user.
+   */
+  clear(userId) {
+    this.cache.delete(userId);
+  }
+
+  /**
+   * Valid orders with a customer ID (guest checkouts can't be followed over time).
+   */
+  async loadOrders(userId) {
+    const orders = [];
+    const seenOrders = new Set();
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: ORDERS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ExpressionAttributeNames: { '#orderName': 'name' },
+        ProjectionExpression: 'orderId, id, orderNumber, #orderName, test, financialStatus, createdAt, currentTotalPrice, totalPrice, customerId, customerEmail, customer, lineItems, gateway, paymentMethod',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      for (const order of result.Items || []) {
+        if (!order.createdAt || isNaN(new Date(order.createdAt).getTime())) continue;
+        if (order.test === true || (!order.name && !order.orderNumber)) continue;
+        if (['refunded', 'voided', 'cancelled'].includes((order.financialStatus || '').toLowerCase())) continue;
+        if (!order.customerId && !order.customer?.id) continue;
+
+        const orderKey = (order.orderId || order.id || order.orderNumber).toString();
+        if (seenOrders.has(orderKey)) continue;
+        seenOrders.add(orderKey);
+
+        order.createdAt = new Date(order.createdAt).toISOString();
+        orders.push(order);
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return orders;
+  }
+
+  async loadShipments(userId) {
+    try {
+      let shipments = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: SHIPMENTS_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: { ':userId': userId },
+          ProjectionExpression: 'orderId, channelOrderId, #status, shipmentStatus, statusCode, canonicalStatus, freightCharges',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        shipments = shipments.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return shipments;
+    } catch (error) {
+      console.error('Error loading shipments for customer analytics:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Contact details from shopify_customers (customerId -> { name, email, phone }).
+   */
+  async loadProfiles(userId) {
+    const profiles = new Map();
+    try {
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: CUSTOMERS_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: { ':userId': userId },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        (result.Items || []).forEach(item => {
+          const data = item.customerData || item;
+          const name = [data.firstName || data.first_name, data.lastName || data.last_name].filter(Boolean).join(' ');
+          profiles.set(item.customerId.toString(), {
+            name: name || null,
+            email: data.email || null,
+            phone: data.phone || data.default_address?.phone || null
+          });
+        });
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error('Error loading customer profiles:', error.message);
+    }
+    return profiles;
+  }
+}
+
+module.exports = new CustomerAnalyticsService();
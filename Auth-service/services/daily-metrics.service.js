@@ -0,0 +1,809 @@
+/**
+ * Daily Metrics Rollup Service
+ *
+ * Pre-aggregates orders, COGS, ad spend and shipments into one item per
+ * user per day (table: daily_metrics, key: userId + date), so the dashboard
+ * can sum a date range in O(days) instead of reloading every raw order.
+ *
+ * Writers never compute rollups inline. They call markDaysDirty() with the
+ * order dates they touched (new orders, late refunds, shipment status changes,
+ * restated ad spend) and the dirty days are rebuilt together after a short delay.
+ * Dirty days are also written to daily_metrics_dirty, so rebuilds that were
+ * still pending when the process stopped are picked up on startup (resumePending).
+ *
+ * A rebuild reads only the dirty days' orders (userId-createdAt-index); new vs
+ * returning comes from each customer's first order (customerId-createdAt-index).
+ */
+
+const { QueryCommand, PutCommand, GetCommand, ScanCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const productCostService = require('./product-cost.service');
+const storeTimezoneService = require('./store-timezone.service');
+const { toStoreDate, getStoreToday, addDays } = require('../utils/timezone');
+const { getSelectedAccountIds } = require('../utils/meta-accounts');
+const { getCanonicalStatus, getShipmentOutcome } = require('./shipping-providers/shipment-record');
+
+const DAILY_METRICS_TABLE = process.env.DAILY_METRICS_TABLE || 'daily_metrics';
+const DIRTY_DAYS_TABLE = process.env.DAILY_METRICS_DIRTY_TABLE || 'daily_metrics_dirty';
+const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
+const ORDERS_BY_DATE_INDEX = 'userId-createdAt-index';
+const ORDERS_BY_CUSTOMER_INDEX = 'customerId-createdAt-index';
+const META_INSIGHTS_TABLE = process.env.META_INSIGHTS_TABLE || 'meta_insights';
+const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
+const SHIPMENTS_TABLE = process.env.SHIPROCKET_SHIPMENTS_TABLE || 'shiprocket_shipments';
+
+const REBUILD_DELAY_MS = 30 * 1000; // Batch bursts of webhooks / sync writes
+const SYNC_RETRY_DELAY_MS = 2 * 60 * 1000; // Wait while a full Shopify sync is still writing
+const LOOKUP_BATCH_SIZE = 20; // Parallel first-order lookups
+// Bump when rollup fields change; older rollups are rebuilt the next time a range needs them
+const ROLLUP_VERSION = 4; // 4: repeat orders on a customer's first day count as returning
+
+const PREPAID_GATEWAYS = ['shopify_payments', 'razorpay', 'payu', 'stripe', 'paypal', 'phonepe', 'paytm', 'gpay'];
+
+/**
+ * Order revenue using the dashboard's standard formula:
+ * Net Sales (Gross - Discounts - Returns) + Shipping + Taxes + Duties + Fees
+ */
+function getOrderNetRevenue(order) {
+  const grossSales = parseFloat(order.currentSubtotalPrice || order.subtotalPrice || 0) +
+    parseFloat(order.currentTotalDiscounts || order.totalDiscounts || 0);
+  const discounts = parseFloat(order.currentTotalDiscounts || order.totalDiscounts || 0);
+  const returns = parseFloat(order.totalRefunded || 0);
+  const netSales = grossSales - discounts - returns;
+  const shipping = parseFloat(order.totalShippingPrice || order.shippingLines?.[0]?.price || 0);
+  const taxes = parseFloat(order.currentTotalTax || order.totalTax || 0);
+  const duties = parseFloat(order.currentTotalDutiesSet?.shopMoney?.amount || order.totalDutiesSet?.shopMoney?.amount || 0);
+  const fees = parseFloat(order.currentTotalAdditionalFeesSet?.shopMoney?.amount || order.totalAdditionalFeesSet?.shopMoney?.amount || 0);
+
+  return netSales + shipping + taxes + duties + fees;
+}
+
+function getCustomerKey(order) {
+  const customerId = order.customerId || order.customer?.id || order.orderData?.customer?.id;
+  return customerId ? customerId.toString() : null;
+}
+
+/**
+ * Shipment counts and freight for the dashboard's shipping cards, classified
+ * by canonical status (see shipping-providers/shipment-record).
+ * @param {Array} shipments - Stored shipments.
+ * @returns {object} Counters in the rollup's shipping fields.
+ */
+function countShipments(shipments) {
+  const counts = {
+    shipments: 0,
+    shippingCost: 0,
+    deliveredShipments: 0,
+    rtoShipments: 0,
+    inTransitShipments: 0,
+    ndrShipments: 0,
+    pickupPendingShipments: 0,
+    openShipments: 0,
+    prepaidShipments: 0,
+    codShipments: 0
+  };
+
+  (shipments || []).forEach(shipment => {
+    const status = (shipment.shipmentStatus || shipment.status || '').toUpperCase().trim();
+    const canonical = getCanonicalStatus(shipment);
+    const outcome = getShipmentOutcome(shipment);
+    const paymentMethod = (shipment.paymentMethod || '').toLowerCase();
+
+    counts.shipments++;
+    counts.shippingCost += parseFloat(shipment.freight_charges || shipment.freightCharges || 0);
+
+    if (outcome === 'rto') {
+      counts.rtoShipments++;
+    } else if (outcome === 'delivered') {
+      counts.deliveredShipments++;
+    } else if (['PICKED_UP', 'IN_TRANSIT', 'OUT_FOR_DELIVERY'].includes(canonical)) {
+      counts.inTransitShipments++;
+    }
+
+    if (canonical === 'UNDELIVERED') counts.ndrShipments++;
+    if (['NEW', 'PICKUP_SCHEDULED'].includes(canonical) || status === 'AWB ASSIGNED' || status.includes('READY')) {
+      counts.pickupPendingShipments++;
+    }
+    if (outcome === 'other' && !['CANCELED', 'LOST', 'DAMAGED'].includes(canonical)) counts.openShipments++;
+
+    if (paymentMethod === 'prepaid') counts.prepaidShipments++;
+    else if (paymentMethod === 'cod') counts.codShipments++;
+  });
+
+  return counts;
+}
+
+function isCodOrder(order) {
+  const gateway = (order.gateway || '').toLowerCase();
+  const paymentMethod = (order.paymentMethod || '').toLowerCase();
+  return gateway === 'cod' || gateway === 'cash_on_delivery' ||
+    paymentMethod === 'cod' || paymentMethod === 'cash_on_delivery';
+}
+
+function emptyDay(date) {
+  return {
+    date,
+    // Orders
+    totalOrders: 0,        // Real orders (excl. test/draft, incl. cancelled)
+    cancelledOrders: 0,    // Refunded / voided / cancelled
+    validOrders: 0,        // Real orders excl. cancelled
+    revenue: 0,            // Σ currentTotalPrice of valid orders
+    netRevenue: 0,         // Σ standard-formula revenue of valid orders
+    chartRevenue: 0,       // Standard-formula revenue excl. only voided/cancelled (performance chart)
+    chartOrders: 0,
+    prepaidRevenue: 0,     // Known prepaid gateways (gateway fee base)
+    nonCodRevenue: 0,      // Σ currentTotalPrice of non-COD valid orders
+    prepaidOrders: 0,      // Non-COD valid orders
+    codOrders: 0,
+    paidOrders: 0,         // Valid orders with financialStatus = paid
+    fulfilledOrders: 0,
+    unfulfilledOrders: 0,
+    cogs: 0,
+    // Customers
+    newCustomers: 0,       // First-ever order on this day
+    returningCustomers: 0,
+    customerIds: [],
+    // Products: { productId: { name, units, revenue, cogs } }
+    products: {},
+    // Meta
+    adSpend: 0,
+    metaRevenue: 0,
+    reach: 0,
+    linkClicks: 0,
+    impressions: 0,
+    // Per ad account: { adAccountId: { accountCurrency, adSpend, metaRevenue, reach, linkClicks, impressions } }
+    adAccounts: {},
+    // Shipping (by order date) - see countShipments
+    ...countShipments([])
+  };
+}
+
+class DailyMetricsService {
+  constructor() {
+    this.dirtyDays = new Map(); // userId -> Set<date>
+    this.timers = new Map();    // userId -> pending rebuild timer
+  }
+
+  /**
+   * Queue days for rebuild. Safe to call from hot paths (the write to
+   * daily_metrics_dirty happens in the background).
+   * Timestamps are kept as-is and mapped to the store's calendar day at flush time,
+   * since callers don't know the store timezone.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array<string>} dates - Store-local dates (YYYY-MM-DD) or ISO timestamps.
+   * @param {object} options - { persist: false when the days are already stored (resumePending) }
+   */
+  markDaysDirty(userId, dates, options = {}) {
+    if (!userId || !dates || dates.length === 0) return;
+
+    if (!this.dirtyDays.has(userId)) this.dirtyDays.set(userId, new Set());
+    const pending = this.dirtyDays.get(userId);
+    const values = dates
+      .filter(Boolean)
+      .map(date => (date instanceof Date ? date.toISOString() : date.toString()));
+    values.forEach(value => pending.add(value));
+
+    if (options.persist !== false) {
+      this.persistDirtyDays(userId, values).catch(error => {
+        console.error(`Error saving dirty rollup days for ${userId}:`, error.message);
+      });
+    }
+
+    this.scheduleRebuild(userId, REBUILD_DELAY_MS);
+  }
+
+  /**
+   * Queue every day from startDate to endDate (inclusive).
+   */
+  markRangeDirty(userId, startDate, endDate) {
+    this.markDaysDirty(userId, this.getDaysInRange(startDate, endDate));
+  }
+
+  /**
+   * Record dirty days in daily_metrics_dirty so a restart doesn't drop them.
+   */
+  async persistDirtyDays(userId, values) {
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const dates = Array.from(new Set(values.map(value => toStoreDate(value, timezone)).filter(Boolean)));
+    const markedAt = new Date().toISOString();
+    const BATCH_SIZE = 20;
+
+    for (let i = 0; i < dates.length; i += BATCH_SIZE) {
+      await Promise.all(dates.slice(i, i + BATCH_SIZE).map(date => dynamoDB.send(new PutCommand({
+        TableName: DIRTY_DAYS_TABLE,
+        Item: { userId, date, markedAt }
+      }))));
+    }
+  }
+
+  /**
+   * Drop dirty markers for rebuilt days. Days marked again after the rebuild
+   * started keep their marker (and are already queued in memory).
+   */
+  async clearDirtyDays(userId, dates, rebuildStartedAt) {
+    const BATCH_SIZE = 20;
+
+    for (let i = 0; i < dates.length; i += BATCH_SIZE) {
+      await Promise.all(dates.slice(i, i + BATCH_SIZE).map(date => dynamoDB.send(new DeleteCommand({
+        TableName: DIRTY_DAYS_TABLE,
+        Key: { userId, date },
+        ConditionExpression: 'attribute_not_exists(markedAt) OR markedAt <= :startedAt',
+        ExpressionAttributeValues: { ':startedAt': rebuildStartedAt }
+      })).catch(error => {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+      })));
+    }
+  }
+
+  /**
+   * Queue the rebuilds that were still pending when the last process stopped.
+   * Called once on startup.
+   * @returns {Promise<number>} Number of users with pending days.
+   */
+  async resumePending() {
+    const pendingByUser = new Map();
+
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new ScanCommand({
+          TableName: DIRTY_DAYS_TABLE,
+          ProjectionExpression: 'userId, #date',
+          ExpressionAttributeNames: { '#date': 'date' },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        (result.Items || []).forEach(item => {
+          if (!pendingByUser.has(item.userId)) pendingByUser.set(item.userId, []);
+          pendingByUser.get(item.userId).push(item.date);
+        });
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error('Error loading pending rollup days:', error.message);
+      return 0;
+    }
+
+    pendingByUser.forEach((dates, userId) => this.markDaysDirty(userId, dates, { persist: false }));
+    if (pendingByUser.size > 0) {
+      console.log(`📅 Resuming daily rollup rebuilds for ${pendingByUser.size} user(s)`);
+    }
+    return pendingByUser.size;
+  }
+
+  scheduleRebuild(userId, delay) {
+    if (this.timers.has(userId)) return;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(userId);
+      this.flushUser(userId).catch(error => {
+        console.error(`❌ Daily metrics rebuild failed for ${userId}:`, error.message);
+      });
+    }, delay);
+    if (timer.unref) timer.unref();
+    this.timers.set(userId, timer);
+  }
+
+  /**
+   * Rebuild all pending days for a user.
+   * Deferred while a full Shopify sync is running so a bulk import triggers one rebuild, not hundreds.
+   */
+  async flushUser(userId) {
+    const pending = this.dirtyDays.get(userId);
+    if (!pending || pending.size === 0) return;
+
+    const shopifyBackgroundSync = require('./shopify-background-sync.service');
+    const syncStatus = await shopifyBackgroundSync.getSyncStatus(userId);
+    if (syncStatus && syncStatus.status === 'in_progress') {
+      console.log(`⏳ Daily metrics rebuild deferred for ${userId} (Shopify sync in progress)`);
+      this.scheduleRebuild(userId, SYNC_RETRY_DELAY_MS);
+      return;
+    }
+
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const dates = Array.from(new Set(Array.from(pending).map(value => toStoreDate(value, timezone)).filter(Boolean)));
+    const rebuildStartedAt = new Date().toISOString();
+    this.dirtyDays.delete(userId);
+
+    try {
+      await this.rebuildDays(userId, dates, timezone);
+    } catch (error) {
+      // Put the days back so the next write retries them (their markers are still stored)
+      this.markDaysDirty(userId, dates, { persist: false });
+      throw error;
+    }
+
+    await this.clearDirtyDays(userId, dates, rebuildStartedAt);
+  }
+
+  /**
+   * Recompute and store rollups for specific days.
+   * Only those days' orders are read; each customer's first order date
+   * (new vs returning) is looked up separately.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array<string>} dates - Days to rebuild (YYYY-MM-DD, store-local).
+   * @param {string} [timezone] - Store IANA timezone (looked up if omitted).
+   * @returns {Promise<number>} Number of days written.
+   */
+  async rebuildDays(userId, dates, timezone) {
+    const days = Array.from(new Set(dates)).sort();
+    if (days.length === 0) return 0;
+
+    if (!timezone) timezone = await storeTimezoneService.getTimezone(userId);
+
+    const startTime = Date.now();
+    const startDate = days[0];
+    const endDate = days[days.length - 1];
+
+    console.log(`\n📅 Rebuilding ${days.length} daily rollups for ${userId} (${startDate} to ${endDate})`);
+
+    const [ordersByDay, metaInsights, shipments, costResolver] = await Promise.all([
+      this.loadOrders(userId, days, timezone),
+      this.loadMetaInsights(userId, startDate, endDate),
+      this.loadShipments(userId, startDate, endDate),
+      productCostService.loadCostResolver(userId, timezone)
+    ]);
+
+    const customerIds = new Set();
+    ordersByDay.forEach(orders => orders.forEach(order => {
+      const customerKey = getCustomerKey(order);
+      if (customerKey) customerIds.add(customerKey);
+    }));
+    const firstOrderDates = await this.getFirstOrderDates(userId, customerIds, timezone);
+
+    const rollups = new Map(days.map(date => [date, emptyDay(date)]));
+
+    // Orders
+    ordersByDay.forEach((orders, date) => {
+      const day = rollups.get(date);
+      const customers = new Set();
+
+      orders.forEach(order => {
+        const financialStatus = (order.financialStatus || '').toLowerCase();
+        const isCancelled = ['refunded', 'voided', 'cancelled'].includes(financialStatus);
+        const netRevenue = getOrderNetRevenue(order);
+
+        day.totalOrders++;
+        if (order.fulfillmentStatus === 'fulfilled') day.fulfilledOrders++;
+        else if (!order.fulfillmentStatus || order.fulfillmentStatus === 'pending' || order.fulfillmentStatus === 'partial') day.unfulfilledOrders++;
+
+        if (financialStatus !== 'voided' && financialStatus !== 'cancelled') {
+          day.chartRevenue += netRevenue;
+          day.chartOrders++;
+        }
+
+        const customerKey = getCustomerKey(order);
+        if (customerKey) {
+          // No indexed earlier order (e.g. index still backfilling) -> this is their first;
+          // later orders the same day count as returning, as on the raw path
+          if (!customers.has(customerKey) && (firstOrderDates.get(customerKey) || date) >= date) day.newCustomers++;
+          else day.returningCustomers++;
+          customers.add(customerKey);
+        } else {
+          day.newCustomers++; // Guest checkout
+        }
+
+        if (isCancelled) {
+          day.cancelledOrders++;
+          return;
+        }
+
+        day.validOrders++;
+        day.revenue += parseFloat(order.currentTotalPrice || order.totalPrice || 0);
+        day.netRevenue += netRevenue;
+        if (financialStatus === 'paid') day.paidOrders++;
+
+        const gateway = (order.gateway || order.paymentMethod || '').toLowerCase();
+        if (PREPAID_GATEWAYS.some(pg => gateway.includes(pg)) || gateway.includes('prepaid')) {
+          day.prepaidRevenue += netRevenue;
+        }
+
+        if (isCodOrder(order)) {
+          day.codOrders++;
+        } else {
+          day.prepaidOrders++;
+          day.nonCodRevenue += parseFloat(order.currentTotalPrice || order.totalPrice || 0);
+        }
+
+        (order.lineItems || []).forEach(item => {
+          const productId = item.product_id?.toString() || item.productId?.toString() || 'unknown';
+          const quantity = parseInt(item.quantity || 0);
+          const itemCogs = costResolver.getUnitCost(item, order.createdAt) * quantity;
+
+          day.cogs += itemCogs;
+
+          if (!day.products[productId]) {
+            day.products[productId] = { name: item.title || 'Unknown Product', units: 0, revenue: 0, cogs: 0 };
+          }
+          day.products[productId].units += quantity;
+          day.products[productId].revenue += parseFloat(item.price || 0) * quantity;
+          day.products[productId].cogs += itemCogs;
+        });
+      });
+
+      day.customerIds = Array.from(customers);
+    });
+
+    // Meta insights (totals and per ad account, for the multi-account drilldown)
+    metaInsights.forEach(insight => {
+      const day = rollups.get(insight.date);
+      if (!day) return;
+
+      const adAccountId = insight.adAccountId ? String(insight.adAccountId) : 'unknown';
+      if (!day.adAccounts[adAccountId]) {
+        day.adAccounts[adAccountId] = {
+          accountCurrency: insight.accountCurrency || null,
+          adSpend: 0,
+          metaRevenue: 0,
+          reach: 0,
+          linkClicks: 0,
+          impressions: 0
+        };
+      }
+      const account = day.adAccounts[adAccountId];
+
+      [day, account].forEach(target => {
+        target.adSpend += parseFloat(insight.adSpend || 0);
+        target.metaRevenue += parseFloat(insight.metaRevenue || 0);
+        target.reach += parseInt(insight.reach || 0);
+        target.linkClicks += parseInt(insight.linkClicks || 0);
+        target.impressions += parseInt(insight.impressions || 0);
+      });
+    });
+
+    // Shipments (bucketed by order date, same as the dashboard)
+    const shipmentsByDay = new Map();
+    shipments.forEach(shipment => {
+      if (!rollups.has(shipment.parsedOrderDate)) return;
+      if (!shipmentsByDay.has(shipment.parsedOrderDate)) shipmentsByDay.set(shipment.parsedOrderDate, []);
+      shipmentsByDay.get(shipment.parsedOrderDate).push(shipment);
+    });
+    shipmentsByDay.forEach((dayShipments, date) => {
+      Object.assign(rollups.get(date), countShipments(dayShipments));
+    });
+
+    const updatedAt = new Date().toISOString();
+    const items = Array.from(rollups.values());
+    const BATCH_SIZE = 20;
+
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      await Promise.all(items.slice(i, i + BATCH_SIZE).map(day => dynamoDB.send(new PutCommand({
+        TableName: DAILY_METRICS_TABLE,
+        Item: { userId, ...day, version: ROLLUP_VERSION, updatedAt }
+      }))));
+    }
+
+    console.log(`✅ ${items.length} daily rollups written in ${Date.now() - startTime}ms`);
+    return items.length;
+  }
+
+  /**
+   * Orders placed on the given store-local days, grouped by day.
+   * Reads userId-createdAt-index one run of consecutive days at a time. createdAt
+   * carries the shop's UTC offset, so each run is padded by a day on both sides
+   * and orders are bucketed by their calendar day in the store's timezone.
+   *
+   * @returns {Promise<Map>} date -> orders
+   */
+  async loadOrders(userId, days, timezone) {
+    const daySet = new Set(days);
+    const ordersByDay = new Map();
+    const seenOrders = new Set();
+
+    for (const [runStart, runEnd] of this.toDayRuns(days)) {
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: ORDERS_TABLE,
+          IndexName: ORDERS_BY_DATE_INDEX,
+          KeyConditionExpression: 'userId = :userId AND createdAt BETWEEN :from AND :to',
+          ExpressionAttributeValues: {
+            ':userId': userId,
+            ':from': addDays(runStart, -1),
+            ':to': `${addDays(runEnd, 1)}~` // '~' sorts after any time suffix
+          },
+          ExpressionAttributeNames: { '#orderName': 'name' },
+          ProjectionExpression: 'orderId, id, orderNumber, #orderName, test, financialStatus, fulfillmentStatus, createdAt, currentSubtotalPrice, subtotalPrice, currentTotalDiscounts, totalDiscounts, totalRefunded, totalShippingPrice, shippingLines, currentTotalTax, totalTax, currentTotalDutiesSet, totalDutiesSet, currentTotalAdditionalFeesSet, totalAdditionalFeesSet, lineItems, gateway, paymentMethod, currentTotalPrice, totalPrice, customerId, customer',
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        for (const order of result.Items || []) {
+          if (order.test === true || (!order.name && !order.orderNumber)) continue;
+
+          const orderKey = (order.orderId || order.id || order.orderNumber).toString();
+          if (seenOrders.has(orderKey)) continue;
+          seenOrders.add(orderKey);
+
+          const date = toStoreDate(order.createdAt, timezone);
+          if (!daySet.has(date)) continue;
+          if (!ordersByDay.has(date)) ordersByDay.set(date, []);
+          ordersByDay.get(date).push(order);
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    }
+
+    return ordersByDay;
+  }
+
+  /**
+   * Sorted days -> [[start, end], ...] runs of consecutive days.
+   */
+  toDayRuns(days) {
+    const runs = [];
+    days.forEach(date => {
+      const last = runs[runs.length - 1];
+      if (last && addDays(last[1], 1) === date) last[1] = date;
+      else runs.push([date, date]);
+    });
+    return runs;
+  }
+
+  /**
+   * First order date (store-local) of each customer, from customerId-createdAt-index.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Set<string>} customerIds - Shopify customer IDs.
+   * @param {string} timezone - Store IANA timezone.
+   * @returns {Promise<Map>} customerId -> YYYY-MM-DD
+   */
+  async getFirstOrderDates(userId, customerIds, timezone) {
+    const firstOrderDates = new Map();
+    const ids = Array.from(customerIds);
+
+    const lookup = async (customerId) => {
+      let lastEvaluatedKey = null;
+      do {
+        // Oldest first; the index isn't partitioned by user, so other users' orders are filtered out
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: ORDERS_TABLE,
+          IndexName: ORDERS_BY_CUSTOMER_INDEX,
+          KeyConditionExpression: 'customerId = :customerId',
+          FilterExpression: 'userId = :userId AND (attribute_not_exists(test) OR test <> :true)',
+          ExpressionAttributeValues: { ':customerId': customerId, ':userId': userId, ':true': true },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        const first = result.Items?.[0];
+        if (first) {
+          firstOrderDates.set(customerId, toStoreDate(first.createdAt, timezone));
+          return;
+        }
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    };
+
+    for (let i = 0; i < ids.length; i += LOOKUP_BATCH_SIZE) {
+      await Promise.all(ids.slice(i, i + LOOKUP_BATCH_SIZE).map(lookup));
+    }
+
+    return firstOrderDates;
+  }
+
+  async loadMetaInsights(userId, startDate, endDate) {
+    try {
+      let insights = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: META_INSIGHTS_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          FilterExpression: '#date BETWEEN :startDate AND :endDate',
+          ExpressionAttributeNames: { '#date': 'date' },
+          ExpressionAttributeValues: { ':userId': userId, ':startDate': startDate, ':endDate': endDate },
+          ProjectionExpression: '#date, adAccountId, accountCurrency, adSpend, reach, linkClicks, impressions, metaRevenue',
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        insights = insights.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      // Only the selected ad accounts count towards ad spend
+      const connection = await dynamoDB.send(new GetCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId }
+      }));
+      const accountIds = getSelectedAccountIds(connection.Item);
+
+      return accountIds
+        ? insights.filter(insight => !insight.adAccountId || accountIds.has(String(insight.adAccountId)))
+        : insights;
+    } catch (error) {
+      console.error('Error loading Meta insights for rollup:', error.message);
+      return [];
+    }
+  }
+
+  async loadShipments(userId, startDate, endDate) {
+    try {
+      let shipments = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: SHIPMENTS_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          FilterExpression: 'parsedOrderDate BETWEEN :startDate AND :endDate',
+          ExpressionAttributeValues: { ':userId': userId, ':startDate': startDate, ':endDate': endDate },
+          ProjectionExpression: 'parsedOrderDate, #status, shipmentStatus, statusCode, canonicalStatus, isRto, freightCharges, paymentMethod',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        shipments = shipments.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return shipments;
+    } catch (error) {
+      console.error('Error loading shipments for rollup:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch stored rollups for a date range.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} startDate - YYYY-MM-DD.
+   * @param {string} endDate - YYYY-MM-DD.
+   * @returns {Promise<Array>} Rollup items sorted by date.
+   */
+  async getRange(userId, startDate, endDate) {
+    try {
+      let days = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: DAILY_METRICS_TABLE,
+          KeyConditionExpression: 'userId = :userId AND #date BETWEEN :startDate AND :endDate',
+          ExpressionAttributeNames: { '#date': 'date' },
+          ExpressionAttributeValues: { ':userId': userId, ':startDate': startDate, ':endDate': endDate },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        days = days.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return days;
+    } catch (error) {
+      console.error('Error fetching daily metrics:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * True when every day in the range (up to the store's today) has a current-version
+   * rollup and none are pending rebuild.
+   */
+  coversRange(userId, days, startDate, endDate, timezone) {
+    const today = getStoreToday(timezone);
+    const expected = this.getDaysInRange(startDate, endDate < today ? endDate : today);
+    const stored = new Set(days.filter(d => (d.version || 1) >= ROLLUP_VERSION).map(d => d.date));
+    const pending = new Set(Array.from(this.dirtyDays.get(userId) || []).map(value => toStoreDate(value, timezone)));
+
+    return expected.length > 0 &&
+      expected.every(date => stored.has(date) && !pending.has(date));
+  }
+
+  /**
+   * Sum a list of daily rollups into range totals.
+   * Products and ad accounts are merged by ID; customerIds become a unique count.
+   * @param {Array} days - Rollup items.
+   * @returns {object} Range totals in the same shape as a single day.
+   */
+  sumDays(days) {
+    const totals = emptyDay(null);
+    const customers = new Set();
+
+    days.forEach(day => {
+      Object.keys(totals).forEach(key => {
+        if (typeof totals[key] === 'number') totals[key] += day[key] || 0;
+      });
+
+      (day.customerIds || []).forEach(id => customers.add(id));
+
+      Object.entries(day.adAccounts || {}).forEach(([adAccountId, account]) => {
+        if (!totals.adAccounts[adAccountId]) {
+          totals.adAccounts[adAccountId] = {
+            accountCurrency: account.accountCurrency || null,
+            adSpend: 0,
+            metaRevenue: 0,
+            reach: 0,
+            linkClicks: 0,
+            impressions: 0
+          };
+        }
+        ['adSpend', 'metaRevenue', 'reach', 'linkClicks', 'impressions'].forEach(key => {
+          totals.adAccounts[adAccountId][key] += account[key] || 0;
+        });
+      });
+
+      Object.entries(day.products || {}).forEach(([productId, p]) => {
+        if (!totals.products[productId]) {
+          totals.products[productId] = { name: p.name, units: 0, revenue: 0, cogs: 0 };
+        }
+        totals.products[productId].units += p.units || 0;
+        totals.products[productId].revenue += p.revenue || 0;
+        totals.products[productId].cogs += p.cogs || 0;
+      });
+    });
+
+    totals.uniqueCustomers = customers.size;
+    delete totals.customerIds;
+    delete totals.date;
+    return totals;
+  }
+
+  /**
+   * Rollups -> rows shaped like meta_insights items (one per day and ad account),
+   * so the dashboard's marketing cards and chart can be built without reading meta_insights.
+   * Rollups written before per-account totals existed give one row per day.
+   * @param {Array} days - Rollup items.
+   * @returns {Array} [{ date, adAccountId, accountCurrency, adSpend, metaRevenue, reach, linkClicks, impressions }]
+   */
+  toInsightRows(days) {
+    const rows = [];
+
+    days.forEach(day => {
+      const accounts = Object.entries(day.adAccounts || {});
+      if (accounts.length === 0) {
+        if (day.adSpend || day.metaRevenue || day.reach || day.linkClicks) {
+          rows.push({
+            date: day.date,
+            adSpend: day.adSpend || 0,
+            metaRevenue: day.metaRevenue || 0,
+            reach: day.reach || 0,
+            linkClicks: day.linkClicks || 0,
+            impressions: day.impressions || 0
+          });
+        }
+        return;
+      }
+
+      accounts.forEach(([adAccountId, account]) => {
+        rows.push({
+          date: day.date,
+          adAccountId: adAccountId === 'unknown' ? null : adAccountId,
+          accountCurrency: account.accountCurrency || null,
+          adSpend: account.adSpend || 0,
+          metaRevenue: account.metaRevenue || 0,
+          reach: account.reach || 0,
+          linkClicks: account.linkClicks || 0,
+          impressions: account.impressions || 0
+        });
+      });
+    });
+
+    return rows.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Shipment counters for raw shipments (same fields as a rollup day).
+   * @param {Array} shipments - Stored shipments.
+   * @returns {object}
+   */
+  countShipments(shipments) {
+    return countShipments(shipments);
+  }
+
+  /**
+   * All dates from startDate to endDate inclusive (YYYY-MM-DD).
+   */
+  getDaysInRange(startDate, endDate) {
+    const days = [];
+    if (!startDate || !endDate || startDate > endDate) return days;
+
+    const current = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+    while (current <= end) {
+      days.push(current.toISOString().split('T')[0]);
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+    return days;
+  }
+}
+
+module.exports = new DailyMetricsService();
@@ -0,0 +1,651 @@
+/**
+ * Meta Campaign Service
+ *
+ * Creates and edits campaigns through the Marketing API with the stored
+ * connection token:
+ *   campaign (OUTCOME_SALES) -> ad sets (budget, bid strategy, targeting, schedule)
+ *   -> ads (uploaded video / image creative + copy)
+ *
+ * Everything is created PAUSED so the user can review it in Ads Manager before
+ * spending; activating is a separate PATCH. If any step fails the half-built
+ * campaign is deleted so retries don't leave orphans behind.
+ *
+ * Errors thrown here carry a `status` (400 for input Meta rejected, 401 when the
+ * connection needs reconnecting, 404 for unknown campaigns) for the controller.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const metaTokenService = require('./meta-token.service');
+const metaSyncService = require('./meta-sync.service');
+const storeTimezoneService = require('./store-timezone.service');
+const { startOfStoreDay, endOfStoreDay } = require('../utils/timezone');
+const { toNumericAccountId, getSelectedAdAccounts } = require('../utils/meta-accounts');
+
+const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
+const FB_API_VERSION = 'v23.0';
+const GRAPH_URL = `https://graph.facebook.com/${FB_API_VERSION}`;
+
+const BID_STRATEGIES = {
+  automatic: 'LOWEST_COST_WITHOUT_CAP',
+  manual: 'LOWEST_COST_WITH_BID_CAP',
+  cost_cap: 'COST_CAP'
+};
+
+// Page goals -> ad set optimization. Meta has no RTO objective, so "Lowest RTO"
+// optimizes for purchases and relies on targeting (low-RTO regions) instead.
+const GOAL_OPTIMIZATION = {
+  roas: 'VALUE',
+  paid: 'OFFSITE_CONVERSIONS',
+  rto: 'OFFSITE_CONVERSIONS'
+};
+
+const GENDERS = { men: [1], male: [1], women: [2], female: [2] };
+
+const CALL_TO_ACTIONS = {
+  'shop now': 'SHOP_NOW',
+  'buy now': 'BUY_NOW',
+  'order now': 'ORDER_NOW',
+  'learn more': 'LEARN_MORE',
+  'sign up': 'SIGN_UP',
+  'get offer': 'GET_OFFER',
+  'view details': 'SEE_MORE',
+  'explore collection': 'SEE_MORE'
+};
+
+const EDITABLE_STATUSES = ['ACTIVE', 'PAUSED', 'ARCHIVED'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_IMAGE_BYTES = 30 * 1024 * 1024;
+const VIDEO_CHUNK_TIMEOUT = 5 * 60 * 1000;
+
+// Thumbnails exist only once Meta has processed an uploaded video
+const VIDEO_POLL_ATTEMPTS = 10;
+const VIDEO_POLL_DELAY = 3000;
+
+/**
+ * Error with the HTTP status the controller should answer with.
+ */
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Convert a Graph API failure into an apiError with Meta's user-facing message.
+ */
+const fromGraphError = (error) => {
+  const graphError = error.response?.data?.error;
+  if (!graphError) return error;
+
+  const message = graphError.error_user_msg || graphError.message;
+  return apiError(message, metaTokenService.isTokenError(error) ? 401 : 400);
+};
+
+/**
+ * Budgets and bids are sent in the account currency's minor unit (paise, cents).
+ */
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+class MetaCampaignService {
+  /**
+   * Connection, token and ad account to create campaigns in.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} [adAccountId] - Defaults to the first selected ad account.
+   * @returns {Promise<object>} { accessToken, adAccount: { id, accountId, currency }, pixelId, connection }
+   */
+  async getContext(userId, adAccountId) {
+    const result = await dynamoDB.send(new GetCommand({
+      TableName: META_CONNECTIONS_TABLE,
+      Key: { userId }
+    }));
+
+    const connection = result.Item;
+    if (!connection) {
+      throw apiError('No Meta connection found. Please connect first.', 404);
+    }
+
+    if (metaTokenService.getHealth(connection).state === 'expired') {
+      throw apiError('Your Meta connection has expired. Please reconnect.', 401);
+    }
+
+    const accounts = getSelectedAdAccounts(connection);
+    const account = adAccountId
+      ? (connection.adAccounts || [])
+        .map(acc => ({ ...acc, accountId: toNumericAccountId(acc.accountId || acc.id) }))
+        .find(acc => acc.accountId === toNumericAccountId(adAccountId))
+      : accounts[0];
+
+    if (!account) {
+      throw apiError('Ad account not found in your connected accounts.', 400);
+    }
+
+    return {
+      connection,
+      accessToken: connection.accessToken,
+      adAccount: { id: `act_${account.accountId}`, accountId: account.accountId, currency: account.currency || null },
+      pixelId: connection.capi?.pixelId || null
+    };
+  }
+
+  /**
+   * Check an ad set spec before anything is created on Meta.
+   * @param {object} adSet - Ad set from the request body.
+   * @param {object} options - { isNew } - new ad sets need budget, locations and ads.
+   * @returns {string|null} Problem description, or null when valid.
+   */
+  validateAdSet(adSet, { isNew = true } = {}) {
+    if (!adSet || typeof adSet !== 'object') return 'Each ad set must be an object';
+    if (isNew && !adSet.name) return 'Each ad set needs a name';
+
+    if (adSet.status !== undefined && !EDITABLE_STATUSES.includes(adSet.status)) {
+      return `Ad set status must be one of ${EDITABLE_STATUSES.join(', ')}`;
+    }
+    if ((isNew || adSet.dailyBudget !== undefined) && !(parseFloat(adSet.dailyBudget) > 0)) {
+      return `Ad set "${adSet.name || adSet.id}" needs a daily budget greater than 0`;
+    }
+    if (adSet.bidStrategy !== undefined && !BID_STRATEGIES[adSet.bidStrategy]) {
+      return `bidStrategy must be one of ${Object.keys(BID_STRATEGIES).join(', ')}`;
+    }
+    if (isNew && adSet.bidStrategy && adSet.bidStrategy !== 'automatic' && !(parseFloat(adSet.bidAmount) > 0)) {
+      return `Ad set "${adSet.name}" needs a bid amount for ${adSet.bidStrategy} bidding`;
+    }
+    if (adSet.endDate !== undefined && !DATE_ONLY.test(adSet.endDate)) return 'endDate must be YYYY-MM-DD';
+    if (adSet.ageMin !== undefined && (adSet.ageMin < 18 || adSet.ageMin > 65)) return 'ageMin must be between 18 and 65';
+    if (adSet.ageMax !== undefined && (adSet.ageMax < 18 || adSet.ageMax > 65 || adSet.ageMax < (adSet.ageMin || 18))) {
+      return 'ageMax must be between ageMin and 65';
+    }
+
+    if (isNew) {
+      if (!Array.isArray(adSet.locations) || adSet.locations.length === 0) {
+        return `Ad set "${adSet.name}" needs at least one location`;
+      }
+      if (!Array.isArray(adSet.ads) || adSet.ads.length === 0) {
+        return `Ad set "${adSet.name}" needs at least one ad`;
+      }
+      for (const ad of adSet.ads) {
+        if (!ad.name || !ad.link || !(ad.videoId || ad.imageHash)) {
+          return `Every ad needs a name, a link and an uploaded video or image (ad set "${adSet.name}")`;
+        }
+        if (!/^https?:\/\//.test(ad.link)) return `Ad link must be a full URL: ${ad.link}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a campaign creation request.
+   * @param {object} spec - { name, pageId, goal, startDate, endDate, adAccountId, adSets }
+   * @returns {string|null} Problem description, or null when valid.
+   */
+  validateCampaign(spec) {
+    if (!spec?.name) return 'Campaign name is required';
+    if (!spec.pageId) return 'A Facebook Page is required to publish ads';
+    if (spec.goal !== undefined && !GOAL_OPTIMIZATION[spec.goal]) {
+      return `goal must be one of ${Object.keys(GOAL_OPTIMIZATION).join(', ')}`;
+    }
+    if ([spec.startDate, spec.endDate].some(date => date && !DATE_ONLY.test(date))) return 'Dates must be YYYY-MM-DD';
+    if (spec.startDate && spec.endDate && spec.startDate > spec.endDate) return 'startDate must be on or before endDate';
+    if (!Array.isArray(spec.adSets) || spec.adSets.length === 0) return 'At least one ad set is required';
+
+    for (const adSet of spec.adSets) {
+      const problem = this.validateAdSet(adSet);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  /**
+   * Check a campaign update request.
+   * @param {object} changes - { status, name, pageId, adSets }
+   * @returns {string|null} Problem description, or null when valid.
+   */
+  validateUpdate(changes) {
+    if (!changes || typeof changes !== 'object') return 'Request body is required';
+    if (changes.status !== undefined && !EDITABLE_STATUSES.includes(changes.status)) {
+      return `status must be one of ${EDITABLE_STATUSES.join(', ')}`;
+    }
+    if (changes.adSets !== undefined && !Array.isArray(changes.adSets)) return 'adSets must be an array';
+    if (!changes.status && !changes.name && !(changes.adSets || []).length) return 'Nothing to update';
+
+    for (const adSet of changes.adSets || []) {
+      const problem = this.validateAdSet(adSet, { isNew: !adSet?.id });
+      if (problem) return problem;
+      if (!adSet.id && !changes.pageId) return 'A Facebook Page is required to add ad sets with ads';
+    }
+    return null;
+  }
+
+  async graphGet(path, accessToken, params = {}) {
+    try {
+      const response = await axios.get(`${GRAPH_URL}/${path}`, { params: { ...params, access_token: accessToken } });
+      return response.data;
+    } catch (error) {
+      throw fromGraphError(error);
+    }
+  }
+
+  /**
+   * POST form params to the Graph API (objects are JSON-encoded as Meta expects).
+   */
+  async graphPost(path, accessToken, params) {
+    const body = new URLSearchParams();
+    Object.entries({ ...params, access_token: accessToken }).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      body.append(key, typeof value === 'object' ? JSON.stringify(value) : value.toString());
+    });
+
+    try {
+      const response = await axios.post(`${GRAPH_URL}/${path}`, body);
+      return response.data;
+    } catch (error) {
+      throw fromGraphError(error);
+    }
+  }
+
+  /**
+   * Facebook Pages the user can run ads for (ad creatives are published as a Page).
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Array>} [{ id, name, picture }]
+   */
+  async getPages(userId) {
+    const { accessToken } = await this.getContext(userId);
+    const response = await this.graphGet('me/accounts', accessToken, { fields: 'id,name,picture{url}', limit: 100 });
+    return (response.data || []).map(page => ({ id: page.id, name: page.name, picture: page.picture?.data?.url || null }));
+  }
+
+  /**
+   * Upload a creative to the ad account's library.
+   * Videos go through Meta's resumable upload (start / transfer / finish) one
+   * chunk at a time, so only a single chunk is ever held in memory.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} file - { adAccountId, fileName, contentType, filePath, size }
+   * @returns {Promise<object>} { type: 'video', videoId } or { type: 'image', imageHash, url }
+   */
+  async uploadMedia(userId, { adAccountId, fileName, contentType, filePath, size }) {
+    const { accessToken, adAccount } = await this.getContext(userId, adAccountId);
+
+    if (contentType.startsWith('image/')) {
+      if (size > MAX_IMAGE_BYTES) throw apiError('Images must be 30 MB or smaller', 400);
+      const bytes = await fs.promises.readFile(filePath);
+      const response = await this.graphPost(`${adAccount.id}/adimages`, accessToken, {
+        bytes: bytes.toString('base64'),
+        name: fileName
+      });
+      const image = Object.values(response.images || {})[0];
+      if (!image?.hash) throw apiError('Meta did not return an image hash', 502);
+      return { type: 'image', imageHash: image.hash, url: image.url || null };
+    }
+
+    const session = await this.graphPost(`${adAccount.id}/advideos`, accessToken, {
+      upload_phase: 'start',
+      file_size: size
+    });
+
+    const file = await fs.promises.open(filePath, 'r');
+    try {
+      let startOffset = Number(session.start_offset);
+      let endOffset = Number(session.end_offset);
+
+      // Meta picks the chunk boundaries; start === end means it has the whole file
+      while (startOffset < endOffset) {
+        const chunk = Buffer.alloc(endOffset - startOffset);
+        await file.read(chunk, 0, chunk.length, startOffset);
+
+        const form = new FormData();
+        form.append('access_token', accessToken);
+        form.append('upload_phase', 'transfer');
+        form.append('upload_session_id', session.upload_session_id);
+        form.append('start_offset', startOffset.toString());
+        form.append('video_file_chunk', new Blob([chunk], { type: contentType }), fileName);
+
+        const response = await axios.post(`${GRAPH_URL}/${adAccount.id}/advideos`, form, {
+          maxBodyLength: Infinity,
+          timeout: VIDEO_CHUNK_TIMEOUT
+        }).catch(error => {
+          throw fromGraphError(error);
+        });
+        startOffset = Number(response.data.start_offset);
+        endOffset = Number(response.data.end_offset);
+      }
+    } finally {
+      await file.close();
+    }
+
+    await this.graphPost(`${adAccount.id}/advideos`, accessToken, {
+      upload_phase: 'finish',
+      upload_session_id: session.upload_session_id,
+      title: fileName
+    });
+
+    return { type: 'video', videoId: session.video_id };
+  }
+
+  /**
+   * Resolve location names ("India", "Maharashtra", "Mumbai") to Meta geo targeting.
+   * @param {string} accessToken - Connection token.
+   * @param {Array<string>} names - Countries, regions or cities.
+   * @returns {Promise<object>} geo_locations spec.
+   */
+  async resolveLocations(accessToken, names) {
+    const geo = { countries: [], regions: [], cities: [] };
+
+    for (const name of names) {
+      const response = await this.graphGet('search', accessToken, {
+        type: 'adgeolocation',
+        q: name,
+        location_types: JSON.stringify(['country', 'region', 'city']),
+        limit: 1
+      });
+
+      const match = response.data?.[0];
+      if (!match) throw apiError(`Couldn't find a Meta targeting location for "${name}"`, 400);
+
+      if (match.type === 'country') geo.countries.push(match.country_code);
+      else if (match.type === 'region') geo.regions.push({ key: match.key });
+      else geo.cities.push({ key: match.key, radius: 10, distance_unit: 'kilometer' });
+    }
+
+    Object.keys(geo).forEach(key => geo[key].length === 0 && delete geo[key]);
+    return geo;
+  }
+
+  /**
+   * Create an ad set (and its ads) under a campaign.
+   * @returns {Promise<object>} { id, name, ads: [{ id, creativeId }] }
+   */
+  async createAdSet(context, campaignId, spec, timezone) {
+    const { accessToken, adAccount, pixelId } = context;
+    const optimizationGoal = pixelId ? (GOAL_OPTIMIZATION[spec.goal] || 'OFFSITE_CONVERSIONS') : 'LINK_CLICKS';
+    const bidStrategy = BID_STRATEGIES[spec.bidStrategy || 'automatic'];
+
+    const targeting = {
+      geo_locations: await this.resolveLocations(accessToken, spec.locations),
+      age_min: spec.ageMin || 18,
+      age_max: spec.ageMax || 65,
+      ...(GENDERS[(spec.gender || '').toLowerCase()] && { genders: GENDERS[(spec.gender || '').toLowerCase()] }),
+      targeting_automation: { advantage_audience: 0 }
+    };
+
+    const adSet = await this.graphPost(`${adAccount.id}/adsets`, accessToken, {
+      name: spec.name,
+      campaign_id: campaignId,
+      daily_budget: toMinorUnits(spec.dailyBudget),
+      billing_event: 'IMPRESSIONS',
+      optimization_goal: optimizationGoal,
+      bid_strategy: bidStrategy,
+      bid_amount: bidStrategy === BID_STRATEGIES.automatic ? undefined : toMinorUnits(spec.bidAmount),
+      promoted_object: pixelId ? { pixel_id: pixelId, custom_event_type: 'PURCHASE' } : undefined,
+      targeting,
+      start_time: spec.startDate ? startOfStoreDay(spec.startDate, timezone).toISOString() : undefined,
+      end_time: spec.endDate ? endOfStoreDay(spec.endDate, timezone).toISOString() : undefined,
+      status: 'PAUSED'
+    });
+
+    const ads = [];
+    for (const ad of spec.ads || []) {
+      ads.push(await this.createAd(context, adSet.id, ad));
+    }
+
+    return { id: adSet.id, name: spec.name, ads };
+  }
+
+  /**
+   * Create a creative and the (paused) ad that uses it.
+   * @returns {Promise<object>} { id, creativeId }
+   */
+  async createAd(context, adSetId, spec) {
+    const { accessToken, adAccount } = context;
+    const callToAction = {
+      type: CALL_TO_ACTIONS[(spec.cta || '').toLowerCase()] || 'SHOP_NOW',
+      value: { link: spec.link }
+    };
+
+    let storySpec;
+    if (spec.videoId) {
+      storySpec = {
+        page_id: context.pageId,
+        video_data: {
+          video_id: spec.videoId,
+          image_url: await this.getVideoThumbnail(accessToken, spec.videoId),
+          title: spec.headline,
+          message: spec.message,
+          call_to_action: callToAction
+        }
+      };
+    } else {
+      storySpec = {
+        page_id: context.pageId,
+        link_data: {
+          image_hash: spec.imageHash,
+          link: spec.link,
+          name: spec.headline,
+          message: spec.message,
+          call_to_action: callToAction
+        }
+      };
+    }
+
+    const creative = await this.graphPost(`${adAccount.id}/adcreatives`, accessToken, {
+      name: `${spec.name} creative`,
+      object_story_spec: storySpec
+    });
+
+    const ad = await this.graphPost(`${adAccount.id}/ads`, accessToken, {
+      name: spec.name,
+      adset_id: adSetId,
+      creative: { creative_id: creative.id },
+      status: 'PAUSED'
+    });
+
+    return { id: ad.id, creativeId: creative.id };
+  }
+
+  /**
+   * Preferred thumbnail of an uploaded video, waiting for Meta to process it.
+   */
+  async getVideoThumbnail(accessToken, videoId) {
+    for (let attempt = 0; attempt < VIDEO_POLL_ATTEMPTS; attempt++) {
+      const video = await this.graphGet(videoId, accessToken, { fields: 'status,thumbnails{uri,is_preferred}' });
+
+      if (video.status?.video_status === 'error') {
+        throw apiError('Meta could not process the uploaded video', 400);
+      }
+
+      const thumbnails = video.thumbnails?.data || [];
+      const thumbnail = thumbnails.find(t => t.is_preferred) || thumbnails[0];
+      if (thumbnail?.uri) return thumbnail.uri;
+
+      await new Promise(resolve => setTimeout(resolve, VIDEO_POLL_DELAY));
+    }
+
+    throw apiError('The video is still processing on Meta. Try publishing again in a minute.', 409);
+  }
+
+  /**
+   * Creative previews for a campaign's ads (thumbnail URLs expire, so they're fetched live).
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} adAccountId - Ad account the campaign belongs to.
+   * @param {string} campaignId - Meta campaign ID.
+   * @returns {Promise<Map>} adId -> { creativeId, type, thumbnailUrl, imageUrl, videoId, headline, body }
+   */
+  async getAdCreatives(userId, adAccountId, campaignId) {
+    const { accessToken } = await this.getContext(userId, adAccountId);
+    const response = await this.graphGet(`${campaignId}/ads`, accessToken, {
+      fields: 'id,creative{id,object_type,thumbnail_url,image_url,video_id,title,body}',
+      limit: 200
+    });
+
+    return new Map((response.data || []).map(ad => [ad.id, {
+      creativeId: ad.creative?.id || null,
+      type: ad.creative?.object_type || null,
+      thumbnailUrl: ad.creative?.thumbnail_url || null,
+      imageUrl: ad.creative?.image_url || null,
+      videoId: ad.creative?.video_id || null,
+      headline: ad.creative?.title || null,
+      body: ad.creative?.body || null
+    }]));
+  }
+
+  /**
+   * Create a paused campaign with its ad sets and ads.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} spec - Validated request body (see MetaController.createCampaign).
+   * @returns {Promise<object>} { campaignId, adAccountId, status, adSets }
+   */
+  async createCampaign(userId, spec) {
+    const context = { ...(await this.getContext(userId, spec.adAccountId)), pageId: spec.pageId };
+    const { accessToken, adAccount } = context;
+    const timezone = await storeTimezoneService.getTimezone(userId);
+
+    console.log(`\n📣 Creating Meta campaign "${spec.name}" in ${adAccount.id} (user: ${userId})`);
+
+    const campaign = await this.graphPost(`${adAccount.id}/campaigns`, accessToken, {
+      name: spec.name,
+      objective: context.pixelId ? 'OUTCOME_SALES' : 'OUTCOME_TRAFFIC',
+      status: 'PAUSED',
+      special_ad_categories: [],
+      buying_type: 'AUCTION',
+      // Budgets live on the ad sets
+      is_adset_budget_sharing_enabled: false
+    });
+
+    try {
+      const adSets = [];
+      for (const adSet of spec.adSets) {
+        adSets.push(await this.createAdSet(context, campaign.id, {
+          ...adSet,
+          goal: spec.goal,
+          startDate: adSet.startDate || spec.startDate,
+          endDate: adSet.endDate || spec.endDate
+        }, timezone));
+      }
+
+      console.log(`✅ Campaign ${campaign.id} created (paused) with ${adSets.length} ad set(s)`);
+
+      // Pick up the new entities without waiting for the daily sync
+      metaSyncService.syncEntities(userId, adAccount.id, accessToken);
+
+      return { campaignId: campaign.id, adAccountId: adAccount.accountId, status: 'PAUSED', adSets };
+    } catch (error) {
+      console.error(`❌ Campaign ${campaign.id} setup failed, deleting it:`, error.message);
+      await this.graphPost(campaign.id, accessToken, { status: 'DELETED' }).catch(cleanupError => {
+        console.error(`   ⚠️  Could not delete campaign ${campaign.id}:`, cleanupError.message);
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a campaign and its ad sets; ad sets without an id are created.
+   * Activating the campaign also activates its paused ad sets and ads (everything
+   * is created paused), except ad sets the request gives a status of their own.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} campaignId - Meta campaign ID.
+   * @param {object} changes - { status, name, pageId, goal, adSets: [{ id?, status, name, dailyBudget, bidAmount, endDate, ... }] }
+   * @returns {Promise<object>} { campaignId, updated, createdAdSets, activated, effectiveStatus }
+   */
+  async updateCampaign(userId, campaignId, changes) {
+    const baseContext = await this.getContext(userId);
+    const campaign = await this.graphGet(campaignId, baseContext.accessToken, { fields: 'id,account_id,name,status' })
+      .catch(error => {
+        throw error.status === 400 ? apiError('Campaign not found', 404) : error;
+      });
+
+    // Only campaigns in one of the user's connected ad accounts can be edited
+    const context = {
+      ...(await this.getContext(userId, campaign.account_id).catch(() => {
+        throw apiError('Campaign not found', 404);
+      })),
+      pageId: changes.pageId
+    };
+    const { accessToken } = context;
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const updated = [];
+
+    if (changes.name || changes.status) {
+      await this.graphPost(campaignId, accessToken, { name: changes.name, status: changes.status });
+      updated.push(campaignId);
+    }
+
+    const createdAdSets = [];
+    for (const adSet of changes.adSets || []) {
+      if (!adSet.id) {
+        createdAdSets.push(await this.createAdSet(context, campaignId, { ...adSet, goal: changes.goal }, timezone));
+        continue;
+      }
+
+      await this.graphPost(adSet.id, accessToken, {
+        name: adSet.name,
+        status: adSet.status,
+        daily_budget: adSet.dailyBudget !== undefined ? toMinorUnits(adSet.dailyBudget) : undefined,
+        bid_amount: adSet.bidAmount !== undefined ? toMinorUnits(adSet.bidAmount) : undefined,
+        end_time: adSet.endDate ? endOfStoreDay(adSet.endDate, timezone).toISOString() : undefined
+      });
+      updated.push(adSet.id);
+    }
+
+    const activated = changes.status === 'ACTIVE'
+      ? await this.activateChildren(campaignId, accessToken, changes.adSets || [])
+      : [];
+
+    console.log(`✅ Campaign ${campaignId} updated (${updated.length} object(s), ${createdAdSets.length} new ad set(s), ${activated.length} activated)`);
+    metaSyncService.syncEntities(userId, context.adAccount.id, accessToken);
+
+    return {
+      campaignId,
+      updated,
+      createdAdSets,
+      activated,
+      effectiveStatus: await this.getEffectiveStatus(campaignId, accessToken)
+    };
+  }
+
+  /**
+   * Set the campaign's paused ad sets and ads to ACTIVE.
+   * @param {string} campaignId - Meta campaign ID.
+   * @param {string} accessToken - Connection token.
+   * @param {Array} requestedAdSets - Ad sets from the update; ones with an explicit status are left alone.
+   * @returns {Promise<Array<string>>} IDs that were activated.
+   */
+  async activateChildren(campaignId, accessToken, requestedAdSets) {
+    const keepStatus = new Set(requestedAdSets.filter(adSet => adSet.id && adSet.status).map(adSet => adSet.id));
+    const [adSets, ads] = await Promise.all([
+      this.graphGet(`${campaignId}/adsets`, accessToken, { fields: 'id,status', limit: 200 }),
+      this.graphGet(`${campaignId}/ads`, accessToken, { fields: 'id,status,adset_id', limit: 500 })
+    ]);
+
+    const toActivate = [
+      ...(adSets.data || []).filter(adSet => !keepStatus.has(adSet.id)),
+      ...(ads.data || []).filter(ad => !keepStatus.has(ad.adset_id))
+    ].filter(item => item.status === 'PAUSED');
+
+    const activated = [];
+    for (const item of toActivate) {
+      await this.graphPost(item.id, accessToken, { status: 'ACTIVE' });
+      activated.push(item.id);
+    }
+    return activated;
+  }
+
+  /**
+   * What Meta will actually deliver: effective_status accounts for parents,
+   * review (PENDING_REVIEW, DISAPPROVED) and billing (e.g. CAMPAIGN_PAUSED, ADSET_PAUSED).
+   * @returns {Promise<object>} { campaign, adSets: [{ id, name, effectiveStatus }], ads: [{ id, name, adSetId, effectiveStatus }] }
+   */
+  async getEffectiveStatus(campaignId, accessToken) {
+    const [campaign, adSets, ads] = await Promise.all([
+      this.graphGet(campaignId, accessToken, { fields: 'effective_status' }),
+      this.graphGet(`${campaignId}/adsets`, accessToken, { fields: 'id,name,effective_status', limit: 200 }),
+      this.graphGet(`${campaignId}/ads`, accessToken, { fields: 'id,name,adset_id,effective_status', limit: 500 })
+    ]);
+
+    return {
+      campaign: campaign.effective_status || null,
+      adSets: (adSets.data || []).map(adSet => ({ id: adSet.id, name: adSet.name, effectiveStatus: adSet.effective_status })),
+      ads: (ads.data || []).map(ad => ({ id: ad.id, name: ad.name, adSetId: ad.adset_id, effectiveStatus: ad.effective_status }))
+    };
+  }
+}
+
+module.exports = new MetaCampaignService();
@@ -0,0 +1,668 @@
+/**
+ * Meta Conversions API Service
+ *
+ * Sends server-side Purchase events to the user's Meta pixel for Shopify orders,
+ * so ad delivery still learns from purchases the browser pixel misses.
+ *
+ * 1. storeOrdersBatch (daily sync and order webhooks) calls enqueueOrders()
+ * 2. Each event is written to meta_capi_events first - the eventKey (event#orderId)
+ *    makes re-syncs and repeated webhooks no-ops
+ * 3. Pending events are sent straight away; failures are retried with exponential
+ *    backoff by processQueue(), which the sync scheduler runs every few minutes
+ *
+ * Purchase events reuse event_id "purchase_<orderId>" so Meta deduplicates them
+ * against the browser pixel. With profitableEvents on, delivered orders that
+ * didn't come back as RTO also send a "ProfitablePurchase" custom event. It is
+ * triggered by the delivery itself: shipment saves (aggregator syncs, tracking
+ * webhooks) call enqueueDeliveredShipments(), and order updates whose Shopify
+ * fulfillments are delivered go through enqueueOrders().
+ *
+ * Settings live on the meta_connections item under `capi`:
+ *   { enabled, pixelId, accessToken, testEventCode, purchaseEvents, profitableEvents }
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { GetCommand, PutCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const attributionService = require('./attribution.service');
+const { addDays } = require('../utils/timezone');
+const { getShipmentOutcome } = require('./shipping-providers/shipment-record');
+
+const CAPI_EVENTS_TABLE = process.env.META_CAPI_EVENTS_TABLE || 'meta_capi_events';
+const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
+const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
+const ORDERS_BY_DATE_INDEX = 'userId-createdAt-index';
+const SHIPMENTS_TABLE = process.env.SHIPROCKET_SHIPMENTS_TABLE || 'shiprocket_shipments';
+const SHIPMENTS_BY_AWB_INDEX = 'userId-awbCode-index';
+// Point at /mock-graph on this server to exercise the sender without a real pixel
+const META_GRAPH_URL = process.env.META_GRAPH_URL || 'https://graph.facebook.com';
+const FB_API_VERSION = 'v23.0';
+
+const PURCHASE_EVENT = 'Purchase';
+const PROFITABLE_EVENT = 'ProfitablePurchase';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Meta rejects events whose event_time is more than 7 days old
+const MAX_EVENT_AGE_DAYS = 7;
+// Orders delivered later than this after being placed don't send ProfitablePurchase
+const MAX_DELIVERY_DAYS = 30;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4, 8, 16 minutes
+const EVENTS_PER_REQUEST = 500; // Graph accepts up to 1000
+const LOOKUP_BATCH_SIZE = 10; // Parallel AWB lookups
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Normalize then hash a user_data field as Meta expects (lowercase, trimmed, SHA-256).
+ * @returns {string|undefined} undefined when there's nothing to hash.
+ */
+const hashField = (value, normalize = (v) => v.trim().toLowerCase()) => {
+  if (value === null || value === undefined) return undefined;
+  const normalized = normalize(value.toString());
+  return normalized ? sha256(normalized) : undefined;
+};
+
+/**
+ * Phone numbers are hashed as digits only, including the country code.
+ * Indian numbers are often stored without it, so 10-digit IN numbers get 91.
+ */
+const normalizePhone = (phone, countryCode) => {
+  let digits = phone.replace(/\D/g, '').replace(/^0+/, '');
+  if (digits.length === 10 && (countryCode || '').toUpperCase() === 'IN') {
+    digits = `91${digits}`;
+  }
+  return digits;
+};
+
+const normalizeNoSpaces = (value) => value.replace(/\s+/g, '').toLowerCase();
+
+const normalizeOrderRef = (value) => (value != null ? value.toString().replace(/^#/, '').trim() : null);
+
+// AWBs on an order's Shopify fulfillments
+const getTrackingNumbers = (order) => (order.fulfillments || []).flatMap(fulfillment =>
+  (fulfillment.tracking_numbers?.length ? fulfillment.tracking_numbers : [fulfillment.tracking_number])
+    .filter(Boolean)
+    .map(number => number.toString().trim())
+);
+
+class MetaCapiService {
+  /**
+   * CAPI settings for a user, or null when server-side events are off.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<object|null>} { pixelId, accessToken, testEventCode, purchaseEvents, profitableEvents }
+   */
+  async getSettings(userId) {
+    try {
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId },
+        ProjectionExpression: 'accessToken, capi'
+      }));
+
+      const capi = result.Item?.capi;
+      if (!capi?.enabled || !capi.pixelId) return null;
+
+      // A dedicated CAPI token (from Events Manager) doesn't expire; otherwise use the OAuth token
+      const accessToken = capi.accessToken || result.Item.accessToken;
+      if (!accessToken) return null;
+
+      return {
+        pixelId: capi.pixelId,
+        accessToken,
+        testEventCode: capi.testEventCode || null,
+        purchaseEvents: capi.purchaseEvents !== false,
+        profitableEvents: capi.profitableEvents === true
+      };
+    } catch (error) {
+      console.error(`Error loading CAPI settings for ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * user_data block: hashed identifiers plus the unhashed browser signals.
+   * @param {object} order - Shopify order (REST shape).
+   * @param {object|null} attribution - attributionService.parseOrder() result.
+   * @returns {object}
+   */
+  buildUserData(order, attribution) {
+    const address = order.billing_address || order.shipping_address || order.customer?.default_address || {};
+    const countryCode = address.country_code || order.shipping_address?.country_code;
+    const phone = order.phone || order.customer?.phone || order.shipping_address?.phone || address.phone;
+    const email = order.email || order.contact_email || order.customer?.email;
+
+    const userData = {
+      em: hashField(email),
+      ph: hashField(phone, (v) => normalizePhone(v, countryCode)),
+      fn: hashField(address.first_name || order.customer?.first_name),
+      ln: hashField(address.last_name || order.customer?.last_name),
+      ct: hashField(address.city, normalizeNoSpaces),
+      st: hashField(address.province_code, normalizeNoSpaces),
+      zp: hashField(address.zip, normalizeNoSpaces),
+      country: hashField(countryCode),
+      external_id: hashField(order.customer?.id),
+      client_ip_address: order.browser_ip || order.client_details?.browser_ip || undefined,
+      client_user_agent: order.client_details?.user_agent || undefined
+    };
+
+    // fbc = fb.<subdomain index>.<click time ms>.<fbclid>
+    if (attribution?.fbclid) {
+      const clickTime = new Date(attribution.touchAt || order.created_at).getTime();
+      userData.fbc = `fb.1.${Number.isNaN(clickTime) ? Date.now() : clickTime}.${attribution.fbclid}`;
+    }
+
+    Object.keys(userData).forEach(key => userData[key] === undefined && delete userData[key]);
+    return userData;
+  }
+
+  /**
+   * Build a server event for an order.
+   * @param {object} order - Shopify order (REST shape).
+   * @param {object} options - { eventName, eventTime (seconds), shopUrl, attribution }
+   * @returns {object} Graph API event.
+   */
+  buildEvent(order, { eventName = PURCHASE_EVENT, eventTime, shopUrl, attribution } = {}) {
+    const orderId = order.id.toString();
+    const lineItems = order.line_items || [];
+    const landingSite = attribution?.landingSite || order.landing_site;
+
+    return {
+      event_name: eventName,
+      event_time: eventTime || Math.floor(new Date(order.created_at).getTime() / 1000),
+      // Must match the eventID the storefront pixel sends for the same order
+      event_id: `${eventName === PURCHASE_EVENT ? 'purchase' : 'profitable_purchase'}_${orderId}`,
+      action_source: 'website',
+      event_source_url: landingSite && /^https?:\/\//.test(landingSite)
+        ? landingSite
+        : (shopUrl ? `https://${shopUrl}${landingSite || ''}` : undefined),
+      user_data: this.buildUserData(order, attribution),
+      custom_data: {
+        currency: order.currency,
+        value: parseFloat(order.current_total_price || order.total_price || 0),
+        order_id: orderId,
+        content_type: 'product',
+        content_ids: lineItems.map(item => (item.product_id || item.id)?.toString()).filter(Boolean),
+        num_items: lineItems.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0)
+      }
+    };
+  }
+
+  /**
+   * Queue Purchase (and ProfitablePurchase) events for a batch of stored orders,
+   * then try to send them. Called from storeOrdersBatch - never throws.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} shopUrl - Shop domain, used for event_source_url.
+   * @param {Array} orders - Shopify orders (REST shape).
+   * @returns {Promise<number>} Number of newly queued events.
+   */
+  async enqueueOrders(userId, shopUrl, orders) {
+    try {
+      const now = Date.now();
+      // Bulk history imports are far older than Meta accepts - skip before loading settings
+      const candidates = orders.filter(order =>
+        !order.test && !order.cancelled_at &&
+        now - new Date(order.created_at).getTime() <= MAX_DELIVERY_DAYS * DAY_MS
+      );
+      if (candidates.length === 0) return 0;
+
+      const settings = await this.getSettings(userId);
+      if (!settings) return 0;
+
+      const events = [];
+
+      if (settings.purchaseEvents) {
+        candidates
+          .filter(order => now - new Date(order.created_at).getTime() <= MAX_EVENT_AGE_DAYS * DAY_MS)
+          .forEach(order => events.push(this.buildEvent(order, {
+            shopUrl,
+            attribution: attributionService.parseOrder(order)
+          })));
+      }
+
+      if (settings.profitableEvents) {
+        const delivered = await this.getDeliveredOrders(userId, candidates);
+        delivered.forEach(order => events.push(this.buildEvent(order, {
+          eventName: PROFITABLE_EVENT,
+          // Sent when the delivery is seen, not when the order was placed
+          eventTime: Math.floor(now / 1000),
+          shopUrl,
+          attribution: attributionService.parseOrder(order)
+        })));
+      }
+
+      return await this.queueAndSend(userId, events);
+    } catch (error) {
+      console.error(`Error queueing CAPI events for ${userId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue ProfitablePurchase events for shipments that were just delivered.
+   * Called when shipments are saved with a new status (aggregator syncs,
+   * tracking webhooks) - never throws.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array} shipments - Saved shipment items (orderId, channelOrderId, status fields, parsedOrderDate).
+   * @returns {Promise<number>} Number of newly queued events.
+   */
+  async enqueueDeliveredShipments(userId, shipments) {
+    try {
+      const now = Date.now();
+      const oldestDate = new Date(now - MAX_DELIVERY_DAYS * DAY_MS).toISOString().split('T')[0];
+      const delivered = shipments.filter(shipment =>
+        getShipmentOutcome(shipment) === 'delivered' &&
+        shipment.parsedOrderDate && shipment.parsedOrderDate >= oldestDate
+      );
+      if (delivered.length === 0) return 0;
+
+      const settings = await this.getSettings(userId);
+      if (!settings?.profitableEvents) return 0;
+
+      // Only the orders placed around the delivered shipments' order dates
+      const dates = delivered.map(shipment => shipment.parsedOrderDate).sort();
+      const ordersByRef = new Map();
+      (await this.loadOrdersBetween(userId, dates[0], dates[dates.length - 1])).forEach(item => {
+        [item.order.name, item.order.order_number, item.order.id].forEach(ref => {
+          const key = normalizeOrderRef(ref);
+          if (key) ordersByRef.set(key, item);
+        });
+      });
+
+      const matched = new Map(); // order id -> { order, shopUrl }
+      delivered.forEach(shipment => {
+        const item = ordersByRef.get(normalizeOrderRef(shipment.channelOrderId)) ||
+          ordersByRef.get(normalizeOrderRef(shipment.orderId));
+        if (item) matched.set(item.order.id.toString(), item);
+      });
+
+      const eligible = Array.from(matched.values()).filter(({ order }) =>
+        !order.test && !order.cancelled_at && order.financial_status !== 'refunded' &&
+        now - new Date(order.created_at).getTime() <= MAX_DELIVERY_DAYS * DAY_MS
+      );
+
+      // An RTO on another shipment of the same order wins over this delivery
+      const outcomes = await this.loadShipmentOutcomes(userId, eligible.flatMap(({ order }) => getTrackingNumbers(order)));
+      const events = eligible
+        .filter(({ order }) => getTrackingNumbers(order).every(awb => outcomes.get(awb) !== 'rto'))
+        .map(({ order, shopUrl }) => this.buildEvent(order, {
+          eventName: PROFITABLE_EVENT,
+          eventTime: Math.floor(now / 1000),
+          shopUrl,
+          attribution: attributionService.parseOrder(order)
+        }));
+
+      return await this.queueAndSend(userId, events);
+    } catch (error) {
+      console.error(`Error queueing CAPI delivery events for ${userId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue events (re-queued ones are no-ops) and send the new ones straight away.
+   * @returns {Promise<number>} Number of newly queued events.
+   */
+  async queueAndSend(userId, events) {
+    const queued = [];
+    for (const event of events) {
+      if (await this.queueEvent(userId, event)) queued.push(event);
+    }
+
+    if (queued.length > 0) {
+      console.log(`   📡 Queued ${queued.length} CAPI event(s) for user ${userId}`);
+      await this.processUser(userId);
+    }
+    return queued.length;
+  }
+
+  /**
+   * Orders whose Shopify fulfillments are all delivered and that didn't come back as RTO.
+   * When the aggregator has the fulfillment's AWB, its status decides instead
+   * (only this batch's AWBs are looked up).
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array} orders - Shopify orders (REST shape).
+   * @returns {Promise<Array>} The delivered orders.
+   */
+  async getDeliveredOrders(userId, orders) {
+    const shopifyDelivered = orders.filter(order => {
+      // Fully refunded orders aren't profitable either
+      if (order.financial_status === 'refunded') return false;
+
+      const fulfillments = order.fulfillments || [];
+      return fulfillments.length > 0 &&
+        fulfillments.every(fulfillment => fulfillment.shipment_status === 'delivered');
+    });
+    if (shopifyDelivered.length === 0) return [];
+
+    const outcomes = await this.loadShipmentOutcomes(userId, shopifyDelivered.flatMap(getTrackingNumbers));
+    return shopifyDelivered.filter(order =>
+      getTrackingNumbers(order).every(awb => !outcomes.has(awb) || outcomes.get(awb) === 'delivered')
+    );
+  }
+
+  /**
+   * Shipment outcome per AWB, from the AWB index.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array<string>} awbCodes - AWBs to look up.
+   * @returns {Promise<Map>} awbCode -> 'rto' | 'delivered' | 'other' (unknown AWBs are absent).
+   */
+  async loadShipmentOutcomes(userId, awbCodes) {
+    const outcomes = new Map();
+    const unique = Array.from(new Set(awbCodes));
+
+    try {
+      for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+        await Promise.all(unique.slice(i, i + LOOKUP_BATCH_SIZE).map(async awbCode => {
+          const result = await dynamoDB.send(new QueryCommand({
+            TableName: SHIPMENTS_TABLE,
+            IndexName: SHIPMENTS_BY_AWB_INDEX,
+            KeyConditionExpression: 'userId = :userId AND awbCode = :awb',
+            ExpressionAttributeValues: { ':userId': userId, ':awb': awbCode },
+            ProjectionExpression: '#status, shipmentStatus, statusCode, canonicalStatus, isRto',
+            ExpressionAttributeNames: { '#status': 'status' }
+          }));
+
+          (result.Items || []).forEach(shipment => {
+            if (outcomes.get(awbCode) !== 'rto') outcomes.set(awbCode, getShipmentOutcome(shipment));
+          });
+        }));
+      }
+    } catch (error) {
+      console.error(`Error loading shipments for CAPI (${userId}):`, error.message);
+    }
+    return outcomes;
+  }
+
+  /**
+   * Stored orders created between two dates (createdAt index), with their shop domain.
+   * Padded by a day on each side since createdAt carries the store's UTC offset.
+   * @returns {Promise<Array>} [{ order (REST shape), shopUrl }]
+   */
+  async loadOrdersBetween(userId, startDate, endDate) {
+    const orders = [];
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: ORDERS_TABLE,
+        IndexName: ORDERS_BY_DATE_INDEX,
+        KeyConditionExpression: 'userId = :userId AND createdAt BETWEEN :from AND :to',
+        ExpressionAttributeValues: {
+          ':userId': userId,
+          ':from': addDays(startDate, -1),
+          ':to': `${addDays(endDate, 1)}~`
+        },
+        ProjectionExpression: 'shopUrl, orderData',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      (result.Items || []).forEach(item => {
+        if (item.orderData?.id) orders.push({ order: item.orderData, shopUrl: item.shopUrl });
+      });
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return orders;
+  }
+
+  /**
+   * Write an event to the queue unless it was already queued.
+   * @returns {Promise<boolean>} true when the event is new.
+   */
+  async queueEvent(userId, event) {
+    const timestamp = new Date().toISOString();
+    try {
+      await dynamoDB.send(new PutCommand({
+        TableName: CAPI_EVENTS_TABLE,
+        Item: {
+          userId,
+          eventKey: `${event.event_name}#${event.custom_data.order_id}`,
+          eventName: event.event_name,
+          orderId: event.custom_data.order_id,
+          payload: event,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: timestamp,
+          createdAt: timestamp,
+          updatedAt: timestamp
+        },
+        ConditionExpression: 'attribute_not_exists(eventKey)'
+      }));
+      return true;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        console.error(`Error queueing CAPI event ${event.event_id}:`, error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * POST events to the pixel's /events edge.
+   * @param {object} settings - getSettings() result.
+   * @param {Array} events - Graph API events.
+   * @returns {Promise<object>} Graph response ({ events_received, fbtrace_id }).
+   */
+  async sendEvents(settings, events) {
+    const response = await axios.post(
+      `${META_GRAPH_URL}/${FB_API_VERSION}/${settings.pixelId}/events`,
+      {
+        data: events,
+        access_token: settings.accessToken,
+        ...(settings.testEventCode && { test_event_code: settings.testEventCode })
+      },
+      { timeout: 15000 }
+    );
+    return response.data;
+  }
+
+  /**
+   * Send a user's due events.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array} [items] - Due queue items; loaded from the table when omitted.
+   * @returns {Promise<object>} { sent, retrying, failed }
+   */
+  async processUser(userId, items = null) {
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+    const due = items || await this.getDueEvents(userId);
+    if (due.length === 0) return summary;
+
+    const settings = await this.getSettings(userId);
+    if (!settings) {
+      // CAPI was switched off after queueing - leave the events for when it's back on
+      return summary;
+    }
+
+    const minEventTime = Math.floor((Date.now() - MAX_EVENT_AGE_DAYS * DAY_MS) / 1000);
+    const expired = due.filter(item => item.payload.event_time < minEventTime);
+    const sendable = due.filter(item => item.payload.event_time >= minEventTime);
+
+    for (const item of expired) {
+      await this.markFailed(item, 'Event is older than Meta accepts (7 days)', true);
+      summary.failed++;
+    }
+
+    for (let i = 0; i < sendable.length; i += EVENTS_PER_REQUEST) {
+      const chunk = sendable.slice(i, i + EVENTS_PER_REQUEST);
+      try {
+        const result = await this.sendEvents(settings, chunk.map(item => item.payload));
+        await Promise.all(chunk.map(item => this.markSent(item, result?.fbtrace_id)));
+        summary.sent += chunk.length;
+      } catch (error) {
+        const status = error.response?.status;
+        const message = error.response?.data?.error?.message || error.message;
+        // 4xx other than rate limiting won't succeed on retry (bad pixel, token or payload)
+        const permanent = status >= 400 && status < 500 && status !== 429;
+        console.error(`   ❌ CAPI send failed for ${userId} (${status || 'network'}): ${message}`);
+
+        for (const item of chunk) {
+          const gaveUp = await this.markFailed(item, message, permanent);
+          if (gaveUp) summary.failed++;
+          else summary.retrying++;
+        }
+      }
+    }
+
+    if (summary.sent > 0) {
+      console.log(`   📡 CAPI: ${summary.sent} event(s) sent for user ${userId}`);
+    }
+    return summary;
+  }
+
+  /**
+   * Retry every user's pending events whose backoff has elapsed.
+   * Run by the sync scheduler.
+   * @returns {Promise<object>} Totals across users.
+   */
+  async processQueue() {
+    const totals = { sent: 0, retrying: 0, failed: 0 };
+    const byUser = new Map();
+    const now = new Date().toISOString();
+
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new ScanCommand({
+          TableName: CAPI_EVENTS_TABLE,
+          FilterExpression: '#status = :pending AND nextAttemptAt <= :now',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':pending': 'pending', ':now': now },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        (result.Items || []).forEach(item => {
+          if (!byUser.has(item.userId)) byUser.set(item.userId, []);
+          byUser.get(item.userId).push(item);
+        });
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error('CAPI queue scan error:', error.message);
+      return totals;
+    }
+
+    for (const [userId, items] of byUser) {
+      const summary = await this.processUser(userId, items);
+      totals.sent += summary.sent;
+      totals.retrying += summary.retrying;
+      totals.failed += summary.failed;
+    }
+
+    if (byUser.size > 0) {
+      console.log(`📡 CAPI queue: ${totals.sent} sent, ${totals.retrying} retrying, ${totals.failed} failed`);
+    }
+    return totals;
+  }
+
+  /**
+   * A user's pending events that are due now.
+   */
+  async getDueEvents(userId) {
+    const now = new Date().toISOString();
+    const items = [];
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: CAPI_EVENTS_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          FilterExpression: '#status = :pending AND nextAttemptAt <= :now',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':userId': userId, ':pending': 'pending', ':now': now },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        items.push(...(result.Items || []));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error(`Error loading CAPI queue for ${userId}:`, error.message);
+    }
+    return items;
+  }
+
+  /**
+   * Event counts by status for the settings screen.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<object>} { pending, sent, failed, lastSentAt, lastError }
+   */
+  async getQueueStats(userId) {
+    const stats = { pending: 0, sent: 0, failed: 0, lastSentAt: null, lastError: null };
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: CAPI_EVENTS_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: { ':userId': userId },
+          ProjectionExpression: '#status, sentAt, lastError, updatedAt',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        (result.Items || []).forEach(item => {
+          if (stats[item.status] !== undefined) stats[item.status]++;
+          if (item.sentAt && (!stats.lastSentAt || item.sentAt > stats.lastSentAt)) stats.lastSentAt = item.sentAt;
+          if (item.status === 'failed' && item.lastError) stats.lastError = item.lastError;
+        });
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error(`Error loading CAPI stats for ${userId}:`, error.message);
+    }
+    return stats;
+  }
+
+  async markSent(item, fbtraceId) {
+    const timestamp = new Date().toISOString();
+    await dynamoDB.send(new UpdateCommand({
+      TableName: CAPI_EVENTS_TABLE,
+      Key: { userId: item.userId, eventKey: item.eventKey },
+      UpdateExpression: 'SET #status = :sent, attempts = attempts + :one, sentAt = :timestamp, fbtraceId = :trace, updatedAt = :timestamp REMOVE lastError',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':sent': 'sent',
+        ':one': 1,
+        ':timestamp': timestamp,
+        ':trace': fbtraceId || null
+      }
+    }));
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one.
+   * @returns {Promise<boolean>} true when the event won't be retried.
+   */
+  async markFailed(item, message, permanent = false) {
+    const attempts = (item.attempts || 0) + 1;
+    const gaveUp = permanent || attempts >= MAX_ATTEMPTS;
+    const timestamp = new Date().toISOString();
+
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: CAPI_EVENTS_TABLE,
+        Key: { userId: item.userId, eventKey: item.eventKey },
+        UpdateExpression: 'SET #status = :status, attempts = :attempts, lastError = :error, nextAttemptAt = :next, updatedAt = :timestamp',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':status': gaveUp ? 'failed' : 'pending',
+          ':attempts': attempts,
+          ':error': message,
+          ':next': new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+          ':timestamp': timestamp
+        }
+      }));
+    } catch (error) {
+      console.error(`Error updating CAPI event ${item.eventKey}:`, error.message);
+    }
+    return gaveUp;
+  }
+}
+
+module.exports = new MetaCapiService();
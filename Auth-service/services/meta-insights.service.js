@@ -0,0 +1,563 @@
+/**
+ * Meta Insights Service
+ *
+ * Reads the campaign / ad set / ad level insights stored by the Meta sync
+ * (meta_ad_insights - one row per user, day, level and entity) and rolls them
+ * up for a date range, so the Marketing page never calls the Graph API live.
+ * Current status and budgets come from meta_ad_entities.
+ *
+ * Account-level breakdowns (meta_breakdown_insights) are ranked by ROAS to
+ * recommend the age group, gender, regions, placements and hours to target.
+ *
+ * POAS everywhere uses one margin, getProfitModel: the share of order revenue
+ * left after the dashboard's variable costs (COGS, freight, RTO handling and
+ * gateway fees) for the same range. The Marketing page applies it to the revenue
+ * Meta attributes to each entity; profitMetrics (campaign pages, automation
+ * rules) applies it to first-party attributed revenue and subtracts spend.
+ *
+ * Only rows from the connection's selected ad accounts are used. Amounts are
+ * already in the store currency (converted by the sync).
+ */
+
+const { QueryCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const dailyMetricsService = require('./daily-metrics.service');
+const { getSelectedAccountIds } = require('../utils/meta-accounts');
+
+const META_AD_INSIGHTS_TABLE = process.env.META_AD_INSIGHTS_TABLE || 'meta_ad_insights';
+const META_AD_ENTITIES_TABLE = process.env.META_AD_ENTITIES_TABLE || 'meta_ad_entities';
+const META_BREAKDOWN_INSIGHTS_TABLE = process.env.META_BREAKDOWN_INSIGHTS_TABLE || 'meta_breakdown_insights';
+const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
+const USERS_TABLE = process.env.DYNAMODB_TABLE_NAME || 'Users';
+
+const LEVELS = ['campaign', 'adset', 'ad'];
+const BREAKDOWN_TYPES = ['age', 'gender', 'region', 'placement', 'hourly'];
+
+// Segments below this share of their breakdown's spend are too thin to recommend
+const MIN_SPEND_SHARE = 0.05;
+const BEST_TIME_WINDOW_HOURS = 4;
+
+const GENDER_LABELS = { male: 'Men', female: 'Women' };
+
+// Same defaults as the dashboard when no business expenses are saved
+const DEFAULT_EXPENSES = { rtoHandlingFees: 0, paymentGatewayFeePercent: 2.5 };
+
+// "18" -> "6 PM"
+const formatHour = (hour) => {
+  const h = ((hour % 24) + 24) % 24;
+  return `${h % 12 === 0 ? 12 : h % 12} ${h < 12 ? 'AM' : 'PM'}`;
+};
+
+// "facebook:feed" -> "Facebook Feed", "instagram:instagram_stories" -> "Instagram Stories"
+const formatPlacement = (segment) => {
+  const [platform, position = 'all'] = segment.split(':');
+  return [platform, ...position.replace(`${platform}_`, '').split('_')]
+    .filter(part => part && part !== 'all')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+function emptyTotals() {
+  return {
+    spend: 0,
+    impressions: 0,
+    reach: 0,      // Σ daily reach - overstates unique reach across multiple days
+    clicks: 0,
+    linkClicks: 0,
+    purchases: 0,
+    revenue: 0
+  };
+}
+
+function addRow(totals, row) {
+  totals.spend += row.adSpend || 0;
+  totals.impressions += row.impressions || 0;
+  totals.reach += row.reach || 0;
+  totals.clicks += row.clicks || 0;
+  totals.linkClicks += row.linkClicks || 0;
+  totals.purchases += row.metaPurchases || 0;
+  totals.revenue += row.metaRevenue || 0;
+}
+
+class MetaInsightsService {
+  /**
+   * Load stored entity insights for a date range.
+   * insightKey is `${date}#${level}#${entityId}`, so a key range covers whole days.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} startDate - YYYY-MM-DD.
+   * @param {string} endDate - YYYY-MM-DD.
+   * @returns {Promise<Array>} Insight rows (all levels).
+   */
+  async getEntityInsights(userId, startDate, endDate) {
+    try {
+      let rows = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: META_AD_INSIGHTS_TABLE,
+          KeyConditionExpression: 'userId = :userId AND insightKey BETWEEN :start AND :end',
+          ExpressionAttributeValues: {
+            ':userId': userId,
+            ':start': `${startDate}#`,
+            ':end': `${endDate}#~`
+          },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        rows = rows.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return this.filterSelectedAccounts(rows, await this.getSelectedAccountIds(userId));
+    } catch (error) {
+      console.error('Error fetching Meta entity insights:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * IDs of the ad accounts selected on the user's Meta connection.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Set<string>|null>} null when there is nothing to filter by.
+   */
+  async getSelectedAccountIds(userId) {
+    try {
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId }
+      }));
+      return getSelectedAccountIds(result.Item);
+    } catch (error) {
+      console.error('Error fetching selected Meta ad accounts:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Drop rows from ad accounts that aren't selected (rows without an account ID are kept).
+   */
+  filterSelectedAccounts(rows, accountIds) {
+    if (!accountIds) return rows;
+    return rows.filter(row => !row.adAccountId || accountIds.has(String(row.adAccountId)));
+  }
+
+  /**
+   * Per-ad-account metrics for the multi-account drilldown.
+   * @param {Array} rows - Account-level (meta_insights) rows, or rows from a single level.
+   * @param {object|null} connection - meta_connections item, for account names.
+   * @param {number|null} margin - From getProfitModel (POAS is null without it).
+   * @returns {Array} [{ adAccountId, name, accountCurrency, ...metrics }] by spend, highest first.
+   */
+  buildAccounts(rows, connection, margin = null) {
+    const accounts = new Map();
+    rows.forEach(row => {
+      const adAccountId = row.adAccountId ? String(row.adAccountId) : 'unknown';
+      if (!accounts.has(adAccountId)) {
+        accounts.set(adAccountId, { accountCurrency: row.accountCurrency || null, totals: emptyTotals() });
+      }
+      addRow(accounts.get(adAccountId).totals, row);
+    });
+
+    return Array.from(accounts.entries())
+      .map(([adAccountId, { accountCurrency, totals }]) => {
+        const account = (connection?.adAccounts || []).find(
+          acc => acc.accountId === adAccountId || acc.id === `act_${adAccountId}`
+        );
+        return {
+          adAccountId,
+          name: account?.name || (adAccountId === 'unknown' ? 'Unknown account' : adAccountId),
+          accountCurrency: accountCurrency || account?.currency || null,
+          ...this.computeMetrics(totals, margin)
+        };
+      })
+      .sort((a, b) => b.spend - a.spend);
+  }
+
+  /**
+   * Load synced campaigns, ad sets and ads (status, budgets).
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Map>} `${level}#${entityId}` -> entity
+   */
+  async getEntities(userId) {
+    const entities = new Map();
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: META_AD_ENTITIES_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: { ':userId': userId },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        (result.Items || []).forEach(item => entities.set(item.entityKey, item));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error('Error fetching Meta entities:', error.message);
+    }
+    return entities;
+  }
+
+  /**
+   * Monthly business expenses from the user profile.
+   */
+  async getBusinessExpenses(userId) {
+    try {
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        ProjectionExpression: 'businessExpenses'
+      }));
+      return { ...DEFAULT_EXPENSES, ...(result.Item?.businessExpenses || {}) };
+    } catch (error) {
+      console.error('Error fetching business expenses:', error.message);
+      return DEFAULT_EXPENSES;
+    }
+  }
+
+  /**
+   * Share of order revenue left after variable costs for a range, from the daily rollups:
+   * (net revenue - COGS - freight - RTO handling fees - gateway fees) / net revenue.
+   * Fixed monthly expenses (agency, staff, rent) don't scale with ad spend and are left out.
+   * @returns {Promise<object>} { margin (null without order data), netRevenue, cogs, shippingCost, rtoFees, gatewayFees }
+   */
+  async getProfitModel(userId, startDate, endDate) {
+    const [days, expenses] = await Promise.all([
+      dailyMetricsService.getRange(userId, startDate, endDate),
+      this.getBusinessExpenses(userId)
+    ]);
+    const totals = dailyMetricsService.sumDays(days);
+
+    const rtoFees = totals.rtoShipments * (expenses.rtoHandlingFees || 0);
+    const gatewayFees = totals.nonCodRevenue * ((expenses.paymentGatewayFeePercent ?? 2.5) / 100);
+    const variableProfit = totals.netRevenue - totals.cogs - totals.shippingCost - rtoFees - gatewayFees;
+
+    return {
+      margin: totals.netRevenue > 0 ? round(variableProfit / totals.netRevenue, 4) : null,
+      netRevenue: round(totals.netRevenue),
+      cogs: round(totals.cogs),
+      shippingCost: round(totals.shippingCost),
+      rtoFees: round(rtoFees),
+      gatewayFees: round(gatewayFees)
+    };
+  }
+
+  /**
+   * Profit on first-party attributed orders for one entity (or a total).
+   * @param {object} bucket - { orders, revenue } from attribution.service (undefined = none).
+   * @param {number} spend - Ad spend for the same range.
+   * @param {number|null} margin - From getProfitModel (profit figures are null without it).
+   * @returns {object} { orders, revenue, roas, poas, grossProfit, netProfit, netProfitPerOrder, costPerOrder }
+   */
+  profitMetrics(bucket, spend, margin) {
+    const orders = bucket?.orders || 0;
+    const revenue = bucket?.revenue || 0;
+    const grossProfit = margin !== null ? revenue * margin : null;
+    const netProfit = grossProfit !== null ? grossProfit - spend : null;
+
+    return {
+      orders,
+      revenue: round(revenue),
+      roas: spend > 0 ? round(revenue / spend) : null,
+      poas: spend > 0 && grossProfit !== null ? round(grossProfit / spend) : null,
+      grossProfit: grossProfit !== null ? round(grossProfit) : null,
+      netProfit: netProfit !== null ? round(netProfit) : null,
+      netProfitPerOrder: orders > 0 && netProfit !== null ? round(netProfit / orders) : null,
+      costPerOrder: orders > 0 ? round(spend / orders) : null
+    };
+  }
+
+  /**
+   * Derived ratios for a set of summed totals.
+   * @param {object} totals - From emptyTotals/addRow.
+   * @param {number|null} margin - From getProfitModel (POAS is null without it).
+   * @returns {object} Totals plus ctr, cpc, cpm, costPerPurchase, roas, poas.
+   */
+  computeMetrics(totals, margin) {
+    const { spend, impressions, linkClicks, purchases, revenue } = totals;
+    return {
+      spend: round(spend),
+      impressions,
+      reach: totals.reach,
+      clicks: totals.clicks,
+      linkClicks,
+      ctr: impressions > 0 ? round((linkClicks / impressions) * 100) : 0,
+      cpc: linkClicks > 0 ? round(spend / linkClicks) : null,
+      cpm: impressions > 0 ? round((spend / impressions) * 1000) : null,
+      purchases,
+      costPerPurchase: purchases > 0 ? round(spend / purchases) : null,
+      revenue: round(revenue),
+      roas: spend > 0 ? round(revenue / spend) : null,
+      poas: spend > 0 && margin !== null ? round((revenue * margin) / spend) : null
+    };
+  }
+
+  /**
+   * Sum insight rows by date (rows from a single level, or account-level rows).
+   * @returns {Array} [{ date, ...metrics }] sorted by date.
+   */
+  buildDaily(rows, margin) {
+    const byDate = new Map();
+    rows.forEach(row => {
+      if (!row.date) return;
+      if (!byDate.has(row.date)) byDate.set(row.date, emptyTotals());
+      addRow(byDate.get(row.date), row);
+    });
+
+    return Array.from(byDate.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, totals]) => ({ date, ...this.computeMetrics(totals, margin) }));
+  }
+
+  /**
+   * Sum all rows into one set of metrics.
+   */
+  buildTotals(rows, margin) {
+    const totals = emptyTotals();
+    rows.forEach(row => addRow(totals, row));
+    return this.computeMetrics(totals, margin);
+  }
+
+  /**
+   * Load stored breakdown rows for a date range (key: date#breakdown#segment#adAccountId).
+   * @returns {Promise<Array>} Breakdown rows (all breakdown types).
+   */
+  async getBreakdownInsights(userId, startDate, endDate) {
+    try {
+      let rows = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: META_BREAKDOWN_INSIGHTS_TABLE,
+          KeyConditionExpression: 'userId = :userId AND breakdownKey BETWEEN :start AND :end',
+          ExpressionAttributeValues: {
+            ':userId': userId,
+            ':start': `${startDate}#`,
+            ':end': `${endDate}#~`
+          },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        rows = rows.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return this.filterSelectedAccounts(rows, await this.getSelectedAccountIds(userId));
+    } catch (error) {
+      console.error('Error fetching Meta breakdown insights:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Age, gender, region, placement and hourly segments ranked by ROAS,
+   * plus targeting recommendations drawn from the best segments.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} startDate - YYYY-MM-DD.
+   * @param {string} endDate - YYYY-MM-DD.
+   * @returns {Promise<object>} { breakdowns: { [type]: [segment] }, recommendations, margin }
+   */
+  async getBreakdownRankings(userId, startDate, endDate) {
+    const [rows, margin] = await Promise.all([
+      this.getBreakdownInsights(userId, startDate, endDate),
+      this.getProfitModel(userId, startDate, endDate).then(model => model.margin)
+    ]);
+
+    const grouped = Object.fromEntries(BREAKDOWN_TYPES.map(type => [type, new Map()]));
+    rows.forEach(row => {
+      const group = grouped[row.breakdown];
+      if (!group || !row.segment) return;
+      if (!group.has(row.segment)) group.set(row.segment, emptyTotals());
+      addRow(group.get(row.segment), row);
+    });
+
+    const breakdowns = {};
+    BREAKDOWN_TYPES.forEach(type => {
+      const segments = Array.from(grouped[type].entries());
+      const typeSpend = segments.reduce((sum, [, totals]) => sum + totals.spend, 0);
+
+      breakdowns[type] = segments
+        .map(([segment, totals]) => ({
+          segment,
+          label: this.formatSegment(type, segment),
+          ...this.computeMetrics(totals, margin),
+          spendShare: typeSpend > 0 ? round((totals.spend / typeSpend) * 100, 1) : 0,
+          qualified: typeSpend > 0 && totals.spend / typeSpend >= MIN_SPEND_SHARE
+        }))
+        // Qualified segments first, then by ROAS, then by spend
+        .sort((a, b) => (b.qualified - a.qualified) ||
+          ((b.roas ?? -1) - (a.roas ?? -1)) ||
+          (b.spend - a.spend))
+        .map((segment, index) => ({ rank: index + 1, ...segment }));
+    });
+
+    return {
+      breakdowns,
+      recommendations: this.buildRecommendations(breakdowns),
+      margin: margin === null ? null : round(margin, 4),
+      hasData: rows.length > 0
+    };
+  }
+
+  /**
+   * Display label for a breakdown segment.
+   */
+  formatSegment(type, segment) {
+    switch (type) {
+      case 'gender':
+        return GENDER_LABELS[segment] || 'Unknown';
+      case 'placement':
+        return formatPlacement(segment);
+      case 'hourly': {
+        const hour = parseInt(segment, 10);
+        return `${formatHour(hour)} - ${formatHour(hour + 1)}`;
+      }
+      default:
+        return segment;
+    }
+  }
+
+  /**
+   * Targeting recommendations from ranked breakdowns.
+   * Each value is null when there isn't a qualified segment with conversions to back it.
+   */
+  buildRecommendations(breakdowns) {
+    const best = (type, count = 1) => breakdowns[type]
+      .filter(segment => segment.qualified && segment.roas > 0)
+      .slice(0, count);
+
+    const [age] = best('age');
+    const [gender] = best('gender').filter(segment => GENDER_LABELS[segment.segment]);
+    const regions = best('region', 3);
+    const placements = best('placement', 2);
+
+    return {
+      ageGroup: age ? age.segment : null,
+      gender: gender ? gender.label : null,
+      bestTime: this.findBestTimeWindow(breakdowns.hourly),
+      locations: regions.map(region => region.segment),
+      placements: placements.map(placement => placement.label),
+      evidence: {
+        age: age || null,
+        gender: gender || null,
+        regions,
+        placements
+      }
+    };
+  }
+
+  /**
+   * Contiguous BEST_TIME_WINDOW_HOURS-hour window with the highest ROAS (wrapping past midnight).
+   * @returns {object|null} { label, startHour, endHour, roas, spend }
+   */
+  findBestTimeWindow(hourly) {
+    const byHour = new Map(hourly.map(segment => [parseInt(segment.segment, 10), segment]));
+    const totalSpend = hourly.reduce((sum, segment) => sum + segment.spend, 0);
+    let bestWindow = null;
+
+    for (let start = 0; start < 24; start++) {
+      let spend = 0;
+      let revenue = 0;
+      for (let offset = 0; offset < BEST_TIME_WINDOW_HOURS; offset++) {
+        const segment = byHour.get((start + offset) % 24);
+        spend += segment?.spend || 0;
+        revenue += segment?.revenue || 0;
+      }
+
+      if (totalSpend === 0 || spend / totalSpend < MIN_SPEND_SHARE || revenue === 0) continue;
+
+      const roas = revenue / spend;
+      if (!bestWindow || roas > bestWindow.roas) {
+        bestWindow = { startHour: start, endHour: (start + BEST_TIME_WINDOW_HOURS) % 24, roas, spend };
+      }
+    }
+
+    if (!bestWindow) return null;
+    return {
+      label: `${formatHour(bestWindow.startHour)} - ${formatHour(bestWindow.endHour)}`,
+      ...bestWindow,
+      roas: round(bestWindow.roas),
+      spend: round(bestWindow.spend)
+    };
+  }
+
+  /**
+   * Sum insight rows per campaign, ad set and ad, with current name, status and budgets.
+   * @param {Array} rows - From getEntityInsights.
+   * @param {Map} entityDetails - From getEntities.
+   * @param {number|null} margin - From getProfitModel (POAS is null without it).
+   * @returns {object} { campaign, adset, ad } - Lists of entities with metrics, highest spend first.
+   */
+  aggregateEntities(rows, entityDetails, margin) {
+    const entities = Object.fromEntries(LEVELS.map(level => [level, new Map()]));
+
+    rows.forEach(row => {
+      const group = entities[row.level];
+      if (!group || !row.entityId) return;
+
+      const details = entityDetails.get(`${row.level}#${row.entityId}`) || {};
+      let entity = group.get(row.entityId);
+      if (!entity) {
+        entity = {
+          id: row.entityId,
+          name: row.entityName || row.entityId,
+          level: row.level,
+          campaignId: row.campaignId || null,
+          campaignName: row.campaignName || null,
+          adsetId: row.adsetId || null,
+          adsetName: row.adsetName || null,
+          adAccountId: row.adAccountId || null,
+          status: details.effectiveStatus || details.status || null,
+          dailyBudget: details.dailyBudget ?? null,
+          lifetimeBudget: details.lifetimeBudget ?? null,
+          totals: emptyTotals()
+        };
+        group.set(row.entityId, entity);
+      }
+      // Names can change - prefer the current entity name, else the latest one seen
+      if (details.name || row.entityName) entity.name = details.name || row.entityName;
+      addRow(entity.totals, row);
+    });
+
+    return Object.fromEntries(LEVELS.map(level => [level, Array.from(entities[level].values())
+      .map(({ totals, ...entity }) => ({ ...entity, ...this.computeMetrics(totals, margin) }))
+      .sort((a, b) => b.spend - a.spend)]));
+  }
+
+  /**
+   * Campaign, ad set and ad performance for a date range.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} startDate - YYYY-MM-DD.
+   * @param {string} endDate - YYYY-MM-DD.
+   * @returns {Promise<object>} { campaigns, adsets, ads, daily, totals, margin, hasEntityData }
+   */
+  async getBreakdown(userId, startDate, endDate) {
+    const [rows, margin, entityDetails] = await Promise.all([
+      this.getEntityInsights(userId, startDate, endDate),
+      this.getProfitModel(userId, startDate, endDate).then(model => model.margin),
+      this.getEntities(userId)
+    ]);
+
+    const { campaign, adset, ad } = this.aggregateEntities(rows, entityDetails, margin);
+
+    // Every ad's spend is also in its campaign row, so totals come from one level only
+    const campaignRows = rows.filter(row => row.level === 'campaign');
+
+    return {
+      campaigns: campaign,
+      adsets: adset,
+      ads: ad,
+      daily: this.buildDaily(campaignRows, margin),
+      totals: this.buildTotals(campaignRows, margin),
+      margin: margin === null ? null : round(margin, 4),
+      hasEntityData: campaignRows.length > 0
+    };
+  }
+}
+
+module.exports = new MetaInsightsService();
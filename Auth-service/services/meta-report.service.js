@@ -0,0 +1,170 @@
+/**
+ * Meta Campaign Report Service
+ *
+ * Campaign list and campaign detail reports for the Meta Ads pages. Synced
+ * entities (meta_ad_entities) provide names, status and budgets - so campaigns
+ * without spend in the range still show up - and stored insights provide the
+ * Meta-reported metrics for the range.
+ *
+ * Every campaign, ad set and ad also gets `profit`: first-party attributed
+ * orders and revenue (order UTMs / fbclid) costed with the store's variable
+ * costs (metaInsightsService.getProfitModel), the same numbers automation
+ * rules are evaluated on.
+ *
+ * Creative thumbnails are fetched live for the detail report; thumbnail URLs
+ * expire, so they aren't stored.
+ */
+
+const metaInsightsService = require('./meta-insights.service');
+const metaCampaignService = require('./meta-campaign.service');
+const attributionService = require('./attribution.service');
+
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+class MetaReportService {
+  /**
+   * Insights, entities, attribution and profit model for a range.
+   */
+  async loadRange(userId, startDate, endDate, windowDays) {
+    const [rows, entities, attribution, profitModel] = await Promise.all([
+      metaInsightsService.getEntityInsights(userId, startDate, endDate),
+      metaInsightsService.getEntities(userId),
+      attributionService.getAttribution(userId, startDate, endDate, windowDays),
+      metaInsightsService.getProfitModel(userId, startDate, endDate)
+    ]);
+
+    return {
+      rows,
+      entities,
+      attribution,
+      profitModel,
+      aggregated: metaInsightsService.aggregateEntities(rows, entities, profitModel.margin)
+    };
+  }
+
+  /**
+   * Synced entities of one level merged with their metrics for the range.
+   * Entities with insights but not (yet) synced are included from the insight rows.
+   *
+   * @param {object} data - From loadRange.
+   * @param {string} level - campaign | adset | ad.
+   * @param {Function} include - Filter on stored entities / insight entities.
+   * @returns {Array} Entities with metrics and profit, highest spend first.
+   */
+  buildEntities(data, level, include) {
+    const { entities, aggregated, attribution, profitModel } = data;
+    const { margin } = profitModel;
+    const withMetrics = new Map(aggregated[level].filter(include).map(entity => [entity.id, entity]));
+    const zeroMetrics = metaInsightsService.buildTotals([], margin);
+
+    const stored = Array.from(entities.values()).filter(entity => entity.level === level && include(entity));
+    const list = stored.map(entity => {
+      const metrics = withMetrics.get(entity.entityId) || zeroMetrics;
+      withMetrics.delete(entity.entityId);
+      return {
+        ...metrics,
+        id: entity.entityId,
+        name: entity.name,
+        level,
+        status: entity.effectiveStatus || entity.status || null,
+        configuredStatus: entity.status || null,
+        objective: entity.objective || null,
+        optimizationGoal: entity.optimizationGoal || null,
+        campaignId: entity.campaignId || null,
+        adsetId: entity.adsetId || null,
+        adAccountId: entity.adAccountId || null,
+        dailyBudget: entity.dailyBudget ?? null,
+        lifetimeBudget: entity.lifetimeBudget ?? null,
+        startTime: entity.startTime || null,
+        endTime: entity.endTime || null
+      };
+    }).concat(Array.from(withMetrics.values()));
+
+    return list
+      .map(entity => ({
+        ...entity,
+        profit: metaInsightsService.profitMetrics(attribution[level].get(entity.id), entity.spend, margin)
+      }))
+      .sort((a, b) => b.spend - a.spend || (a.name || '').localeCompare(b.name || ''));
+  }
+
+  /**
+   * All campaigns of the selected ad accounts with metrics for a range.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} startDate - YYYY-MM-DD.
+   * @param {string} endDate - YYYY-MM-DD.
+   * @param {number} windowDays - Attribution window for first-party orders.
+   * @returns {Promise<object>} { campaigns, totals, profitModel }
+   */
+  async listCampaigns(userId, startDate, endDate, windowDays) {
+    const [data, selectedAccounts] = await Promise.all([
+      this.loadRange(userId, startDate, endDate, windowDays),
+      metaInsightsService.getSelectedAccountIds(userId)
+    ]);
+    const inSelectedAccounts = (entity) => !selectedAccounts || !entity.adAccountId ||
+      selectedAccounts.has(String(entity.adAccountId));
+
+    const counts = new Map();
+    data.entities.forEach(entity => {
+      if (entity.level === 'campaign' || !entity.campaignId) return;
+      if (!counts.has(entity.campaignId)) counts.set(entity.campaignId, { adsetCount: 0, adCount: 0 });
+      counts.get(entity.campaignId)[entity.level === 'adset' ? 'adsetCount' : 'adCount']++;
+    });
+
+    const campaigns = this.buildEntities(data, 'campaign', inSelectedAccounts)
+      .map(campaign => ({ ...campaign, ...(counts.get(campaign.id) || { adsetCount: 0, adCount: 0 }) }));
+
+    const totals = metaInsightsService.buildTotals(data.rows.filter(row => row.level === 'campaign'), data.profitModel.margin);
+
+    return {
+      campaigns,
+      totals: { ...totals, profit: metaInsightsService.profitMetrics(data.attribution.meta, totals.spend, data.profitModel.margin) },
+      profitModel: data.profitModel
+    };
+  }
+
+  /**
+   * One campaign with its ad sets, ads (with creative previews) and daily series.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} campaignId - Meta campaign ID.
+   * @param {string} startDate - YYYY-MM-DD.
+   * @param {string} endDate - YYYY-MM-DD.
+   * @param {number} windowDays - Attribution window for first-party orders.
+   * @returns {Promise<object>} { campaign, adsets, ads, daily, profitModel }
+   */
+  async getCampaignDetails(userId, campaignId, startDate, endDate, windowDays) {
+    const data = await this.loadRange(userId, startDate, endDate, windowDays);
+    // Campaigns carry their own ID as campaignId, so one filter covers every level
+    const inCampaign = (entity) => entity.campaignId === campaignId;
+
+    const [campaign] = this.buildEntities(data, 'campaign', inCampaign);
+    if (!campaign) throw apiError('Campaign not found', 404);
+
+    const adsets = this.buildEntities(data, 'adset', inCampaign);
+    let ads = this.buildEntities(data, 'ad', inCampaign);
+
+    if (campaign.adAccountId && ads.length > 0) {
+      try {
+        const creatives = await metaCampaignService.getAdCreatives(userId, campaign.adAccountId, campaignId);
+        ads = ads.map(ad => ({ ...ad, creative: creatives.get(ad.id) || null }));
+      } catch (error) {
+        // Previews are optional - the report is still useful without them
+        console.error(`Error fetching creatives for campaign ${campaignId}:`, error.message);
+      }
+    }
+
+    const campaignRows = data.rows.filter(row => row.level === 'campaign' && row.entityId === campaignId);
+
+    return {
+      campaign: { ...campaign, adsetCount: adsets.length, adCount: ads.length },
+      adsets,
+      ads,
+      daily: metaInsightsService.buildDaily(campaignRows, data.profitModel.margin),
+      profitModel: data.profitModel
+    };
+  }
+}
+
+module.exports = new MetaReportService();
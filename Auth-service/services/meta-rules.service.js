@@ -0,0 +1,552 @@
+/**
+ * Meta Automation Rules Service
+ *
+ * Profit-based rules that pause, resume or re-budget campaigns, ad sets and ads:
+ *   "pause any ad set whose 3-day POAS < 1.2 after ₹5,000 spend"
+ *   -> { level: 'adset', lookbackDays: 3,
+ *        conditions: [{ metric: 'poas', operator: '<', value: 1.2 }, { metric: 'spend', operator: '>=', value: 5000 }],
+ *        action: { type: 'pause' } }
+ *
+ * Rules are scored on our own numbers, not Meta's purchase value: revenue is the
+ * first-party attributed order revenue (attribution.service) and profit applies
+ * the same variable costs as the dashboard's financial breakdown (COGS, freight,
+ * RTO handling fees, payment gateway fees) for the lookback window - see
+ * metaInsightsService.getProfitModel, shared with the campaign pages.
+ *
+ * Windows end yesterday (store timezone) because insights sync once a day, so the
+ * scheduler evaluates rules right after the daily sync. Each rule has a cooldown
+ * per entity so one bad day can't pause / re-budget the same ad set repeatedly.
+ *
+ * dryRun rules only log what they would have done; previews (unsaved rules or
+ * "run now" with dryRun) return the would-be changes without logging them.
+ * Every change made or attempted is written to meta_rule_actions.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { QueryCommand, GetCommand, PutCommand, DeleteCommand, UpdateCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const metaInsightsService = require('./meta-insights.service');
+const metaCampaignService = require('./meta-campaign.service');
+const metaSyncService = require('./meta-sync.service');
+const attributionService = require('./attribution.service');
+const storeTimezoneService = require('./store-timezone.service');
+const { addDays, getStoreToday } = require('../utils/timezone');
+
+const RULES_TABLE = process.env.META_RULES_TABLE || 'meta_automation_rules';
+const RULE_ACTIONS_TABLE = process.env.META_RULE_ACTIONS_TABLE || 'meta_rule_actions';
+
+const LEVELS = ['campaign', 'adset', 'ad'];
+const LEVEL_LISTS = { campaign: 'campaigns', adset: 'adsets', ad: 'ads' };
+
+// Metrics a condition can test (amounts are in the store currency)
+const METRICS = {
+  spend: 'Spend',
+  impressions: 'Impressions',
+  ctr: 'CTR (%)',
+  cpc: 'CPC',
+  orders: 'Orders',
+  revenue: 'Revenue',
+  roas: 'ROAS',
+  poas: 'POAS',
+  grossProfit: 'Gross profit',
+  netProfit: 'Net profit',
+  netProfitPerOrder: 'Net profit per order',
+  costPerOrder: 'Cost per order'
+};
+
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+const ACTIONS = ['pause', 'activate', 'increase_budget', 'decrease_budget'];
+const BUDGET_ACTIONS = ['increase_budget', 'decrease_budget'];
+
+const DEFAULT_LOOKBACK_DAYS = 3;
+const MAX_LOOKBACK_DAYS = 30;
+const DEFAULT_COOLDOWN_HOURS = 24;
+const MAX_BUDGET_CHANGE_PERCENT = 100;
+const MAX_CONDITIONS = 10;
+const MAX_RULES_PER_USER = 50;
+
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+class MetaRulesService {
+  /**
+   * Check a rule definition (full rule on create, merged rule on update).
+   * @returns {string|null} Problem description, or null when valid.
+   */
+  validateRule(rule) {
+    if (!rule.name || typeof rule.name !== 'string' || !rule.name.trim()) return 'name is required';
+    if (!LEVELS.includes(rule.level)) return `level must be one of: ${LEVELS.join(', ')}`;
+
+    if (!Number.isInteger(rule.lookbackDays) || rule.lookbackDays < 1 || rule.lookbackDays > MAX_LOOKBACK_DAYS) {
+      return `lookbackDays must be a whole number from 1 to ${MAX_LOOKBACK_DAYS}`;
+    }
+    if (!isNumber(rule.cooldownHours) || rule.cooldownHours < 0) return 'cooldownHours must be 0 or more';
+    if (rule.entityIds && (!Array.isArray(rule.entityIds) || rule.entityIds.some(id => !/^\d+$/.test(id)))) {
+      return 'entityIds must be a list of numeric Meta IDs';
+    }
+
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) return 'At least one condition is required';
+    if (rule.conditions.length > MAX_CONDITIONS) return `A rule can have at most ${MAX_CONDITIONS} conditions`;
+    for (const condition of rule.conditions) {
+      if (!METRICS[condition.metric]) return `Unknown metric "${condition.metric}" (use: ${Object.keys(METRICS).join(', ')})`;
+      if (!OPERATORS[condition.operator]) return `operator must be one of: ${Object.keys(OPERATORS).join(' ')}`;
+      if (!isNumber(condition.value)) return `Condition on ${condition.metric} needs a numeric value`;
+    }
+
+    const action = rule.action || {};
+    if (!ACTIONS.includes(action.type)) return `action.type must be one of: ${ACTIONS.join(', ')}`;
+    if (BUDGET_ACTIONS.includes(action.type)) {
+      if (rule.level === 'ad') return 'Ads have no budget - use a campaign or ad set rule to change budgets';
+      if (!isNumber(action.percent) || action.percent <= 0 || action.percent > MAX_BUDGET_CHANGE_PERCENT) {
+        return `action.percent must be above 0 and at most ${MAX_BUDGET_CHANGE_PERCENT}`;
+      }
+      if (action.maxBudget !== undefined && action.maxBudget !== null && (!isNumber(action.maxBudget) || action.maxBudget <= 0)) {
+        return 'action.maxBudget must be a positive amount';
+      }
+      if (action.minBudget !== undefined && action.minBudget !== null && (!isNumber(action.minBudget) || action.minBudget <= 0)) {
+        return 'action.minBudget must be a positive amount';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rule with defaults applied, from a request body (and the stored rule on update).
+   */
+  normalizeRule(input, current = {}) {
+    const pick = (key, fallback) => (input[key] !== undefined ? input[key] : current[key] !== undefined ? current[key] : fallback);
+    const action = pick('action', {}) || {};
+    const entityIds = pick('entityIds', []) || [];
+    const conditions = pick('conditions', []);
+
+    return {
+      name: typeof pick('name') === 'string' ? pick('name').trim() : pick('name'),
+      enabled: pick('enabled', true) !== false,
+      dryRun: pick('dryRun', false) === true,
+      level: pick('level', 'adset'),
+      entityIds: Array.isArray(entityIds) ? entityIds.map(id => `${id}`) : entityIds,
+      lookbackDays: pick('lookbackDays', DEFAULT_LOOKBACK_DAYS),
+      cooldownHours: pick('cooldownHours', DEFAULT_COOLDOWN_HOURS),
+      conditions: Array.isArray(conditions)
+        ? conditions.map(condition => ({ metric: condition?.metric, operator: condition?.operator, value: condition?.value }))
+        : conditions,
+      action: {
+        type: action.type,
+        ...(BUDGET_ACTIONS.includes(action.type) && {
+          percent: action.percent,
+          maxBudget: action.maxBudget ?? null,
+          minBudget: action.minBudget ?? null
+        })
+      }
+    };
+  }
+
+  /**
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Array>} Rules, newest first.
+   */
+  async listRules(userId) {
+    const rules = [];
+    let lastEvaluatedKey = null;
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: RULES_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+      rules.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return rules.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  async getRule(userId, ruleId) {
+    const result = await dynamoDB.send(new GetCommand({
+      TableName: RULES_TABLE,
+      Key: { userId, ruleId }
+    }));
+    if (!result.Item) throw apiError('Rule not found', 404);
+    return result.Item;
+  }
+
+  /**
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} input - Rule fields from the request body.
+   * @returns {Promise<object>} The saved rule.
+   */
+  async createRule(userId, input) {
+    const rule = this.normalizeRule(input);
+    const problem = this.validateRule(rule);
+    if (problem) throw apiError(problem, 400);
+
+    const existing = await this.listRules(userId);
+    if (existing.length >= MAX_RULES_PER_USER) {
+      throw apiError(`You can have at most ${MAX_RULES_PER_USER} rules`, 400);
+    }
+
+    const now = new Date().toISOString();
+    const item = {
+      userId,
+      ruleId: uuidv4(),
+      ...rule,
+      lastActions: {},
+      lastEvaluatedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await dynamoDB.send(new PutCommand({ TableName: RULES_TABLE, Item: item }));
+    console.log(`⚙️  Rule "${item.name}" created for ${userId}`);
+    return item;
+  }
+
+  /**
+   * @param {object} changes - Fields to change (others keep their stored value).
+   * @returns {Promise<object>} The updated rule.
+   */
+  async updateRule(userId, ruleId, changes) {
+    const current = await this.getRule(userId, ruleId);
+    const rule = this.normalizeRule(changes, current);
+    const problem = this.validateRule(rule);
+    if (problem) throw apiError(problem, 400);
+
+    const item = { ...current, ...rule, updatedAt: new Date().toISOString() };
+    await dynamoDB.send(new PutCommand({ TableName: RULES_TABLE, Item: item }));
+    return item;
+  }
+
+  async deleteRule(userId, ruleId) {
+    await this.getRule(userId, ruleId);
+    await dynamoDB.send(new DeleteCommand({ TableName: RULES_TABLE, Key: { userId, ruleId } }));
+  }
+
+  /**
+   * Profit metrics per campaign / ad set / ad for a window.
+   * @returns {Promise<object>} { startDate, endDate, margin, campaign, adset, ad } (Maps of id -> entity with metrics)
+   */
+  async getEntityMetrics(userId, startDate, endDate) {
+    const [breakdown, attribution, profit] = await Promise.all([
+      metaInsightsService.getBreakdown(userId, startDate, endDate),
+      attributionService.getAttribution(userId, startDate, endDate),
+      metaInsightsService.getProfitModel(userId, startDate, endDate)
+    ]);
+
+    const result = { startDate, endDate, margin: profit.margin };
+    for (const level of LEVELS) {
+      result[level] = new Map(breakdown[LEVEL_LISTS[level]].map(entity => [entity.id, {
+        id: entity.id,
+        name: entity.name,
+        level,
+        status: entity.status,
+        adAccountId: entity.adAccountId,
+        dailyBudget: entity.dailyBudget,
+        metrics: {
+          spend: entity.spend,
+          impressions: entity.impressions,
+          ctr: entity.ctr,
+          cpc: entity.cpc,
+          ...metaInsightsService.profitMetrics(attribution[level].get(entity.id), entity.spend, profit.margin)
+        }
+      }]));
+    }
+    return result;
+  }
+
+  /**
+   * Entities a rule would act on. Missing metrics (e.g. POAS without order data) never match.
+   * @param {object} rule - Normalized rule.
+   * @param {object} data - From getEntityMetrics.
+   * @returns {Array} [{ entity, change: { from, to } | null }]
+   */
+  matchRule(rule, data) {
+    const scope = new Set(rule.entityIds || []);
+    const wantedStatus = rule.action.type === 'activate' ? 'PAUSED' : 'ACTIVE';
+
+    return Array.from(data[rule.level].values())
+      .filter(entity => scope.size === 0 || scope.has(entity.id))
+      .filter(entity => entity.status === wantedStatus)
+      .filter(entity => !BUDGET_ACTIONS.includes(rule.action.type) || entity.dailyBudget > 0)
+      .filter(entity => rule.conditions.every(({ metric, operator, value }) => {
+        const actual = entity.metrics[metric];
+        return actual !== null && actual !== undefined && OPERATORS[operator](actual, value);
+      }))
+      .map(entity => ({ entity, change: this.planChange(rule.action, entity) }))
+      .filter(({ change }) => change !== undefined);
+  }
+
+  /**
+   * Status or budget change for one entity.
+   * @returns {object|undefined} { from, to }, or undefined when there is nothing to change
+   *   (e.g. a budget already at its cap).
+   */
+  planChange(action, entity, currentBudget = entity.dailyBudget) {
+    if (action.type === 'pause') return { from: 'ACTIVE', to: 'PAUSED' };
+    if (action.type === 'activate') return { from: 'PAUSED', to: 'ACTIVE' };
+
+    const factor = action.type === 'increase_budget' ? 1 + action.percent / 100 : 1 - action.percent / 100;
+    let budget = round(currentBudget * factor);
+    if (action.maxBudget) budget = Math.min(budget, action.maxBudget);
+    if (action.minBudget) budget = Math.max(budget, action.minBudget);
+
+    if (action.type === 'increase_budget' ? budget <= currentBudget : budget >= currentBudget) return undefined;
+    return { from: currentBudget, to: budget };
+  }
+
+  /**
+   * Apply one change on Meta. Budgets are re-read first - the synced value may be a day old.
+   * @returns {Promise<object>} { from, to } actually applied, or undefined if no longer needed.
+   */
+  async applyChange(context, rule, entity) {
+    if (!BUDGET_ACTIONS.includes(rule.action.type)) {
+      const change = this.planChange(rule.action, entity);
+      await metaCampaignService.graphPost(entity.id, context.accessToken, { status: change.to });
+      return change;
+    }
+
+    const live = await metaCampaignService.graphGet(entity.id, context.accessToken, { fields: 'daily_budget' });
+    const currentBudget = live.daily_budget ? parseInt(live.daily_budget, 10) / 100 : null;
+    if (!currentBudget) throw apiError(`${entity.name} no longer has a daily budget`, 400);
+
+    const change = this.planChange(rule.action, entity, currentBudget);
+    if (!change) return undefined;
+
+    // Budgets go to Meta in the account currency's minor unit
+    await metaCampaignService.graphPost(entity.id, context.accessToken, { daily_budget: Math.round(change.to * 100) });
+    return change;
+  }
+
+  /**
+   * Store-day window ending yesterday.
+   */
+  getWindow(timezone, lookbackDays) {
+    const endDate = addDays(getStoreToday(timezone), -1);
+    return { startDate: addDays(endDate, -(lookbackDays - 1)), endDate };
+  }
+
+  /**
+   * Evaluate one rule and (unless dry-running) apply its actions.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} rule - Stored rule, or an unsaved normalized rule for previews.
+   * @param {object} options - { dryRun, trigger ('schedule' | 'manual' | 'preview'), cache (window -> metrics) }
+   * @returns {Promise<object>} { ruleId, name, dryRun, startDate, endDate, margin, evaluated, results: [...] }
+   */
+  async evaluateRule(userId, rule, { dryRun = rule.dryRun, trigger = 'manual', cache = new Map() } = {}) {
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const { startDate, endDate } = this.getWindow(timezone, rule.lookbackDays);
+
+    const cacheKey = `${startDate}#${endDate}`;
+    if (!cache.has(cacheKey)) cache.set(cacheKey, this.getEntityMetrics(userId, startDate, endDate));
+    const data = await cache.get(cacheKey);
+
+    const now = Date.now();
+    const lastActions = { ...(rule.lastActions || {}) };
+    const inCooldown = (entityId) => lastActions[entityId] &&
+      now - new Date(lastActions[entityId]).getTime() < rule.cooldownHours * 60 * 60 * 1000;
+
+    const results = [];
+    const contexts = new Map();
+    const touchedAccounts = new Map(); // adAccountId -> access token, to re-sync entities
+
+    for (const { entity, change } of this.matchRule(rule, data)) {
+      const result = {
+        entityId: entity.id,
+        entityName: entity.name,
+        level: rule.level,
+        adAccountId: entity.adAccountId,
+        action: rule.action.type,
+        from: change.from,
+        to: change.to,
+        metrics: Object.fromEntries(['spend', 'orders', 'revenue', 'poas', 'netProfit']
+          .concat(rule.conditions.map(condition => condition.metric))
+          .map(metric => [metric, entity.metrics[metric]]))
+      };
+
+      if (dryRun) {
+        results.push({ ...result, status: 'dry_run' });
+        continue;
+      }
+      if (inCooldown(entity.id)) {
+        results.push({ ...result, status: 'cooldown' });
+        continue;
+      }
+
+      try {
+        if (!contexts.has(entity.adAccountId)) {
+          contexts.set(entity.adAccountId, metaCampaignService.getContext(userId, entity.adAccountId));
+        }
+        const context = await contexts.get(entity.adAccountId);
+        const applied = await this.applyChange(context, rule, entity);
+        if (!applied) {
+          results.push({ ...result, status: 'unchanged' });
+          continue;
+        }
+        results.push({ ...result, ...applied, status: 'applied' });
+        lastActions[entity.id] = new Date().toISOString();
+        touchedAccounts.set(entity.adAccountId, context.accessToken);
+      } catch (error) {
+        console.error(`   ❌ Rule "${rule.name}" failed on ${rule.level} ${entity.id}:`, error.message);
+        results.push({ ...result, status: 'failed', error: error.message });
+      }
+    }
+
+    const evaluation = {
+      ruleId: rule.ruleId || null,
+      name: rule.name,
+      dryRun,
+      startDate,
+      endDate,
+      margin: data.margin,
+      evaluated: data[rule.level].size,
+      results
+    };
+
+    if (trigger === 'preview' || !rule.ruleId) return evaluation;
+
+    await this.logResults(userId, rule, evaluation, trigger);
+    await dynamoDB.send(new UpdateCommand({
+      TableName: RULES_TABLE,
+      Key: { userId, ruleId: rule.ruleId },
+      UpdateExpression: 'SET lastActions = :lastActions, lastEvaluatedAt = :now, lastMatches = :matches',
+      ConditionExpression: 'attribute_exists(ruleId)',
+      ExpressionAttributeValues: {
+        ':lastActions': lastActions,
+        ':now': new Date().toISOString(),
+        ':matches': results.length
+      }
+    })).catch(error => console.error(`Error updating rule ${rule.ruleId}:`, error.message));
+
+    touchedAccounts.forEach((accessToken, accountId) => metaSyncService.syncEntities(userId, `act_${accountId}`, accessToken));
+
+    return evaluation;
+  }
+
+  /**
+   * Write an evaluation's changes (or would-be changes) to the action log.
+   */
+  async logResults(userId, rule, evaluation, trigger) {
+    const loggable = evaluation.results.filter(result => ['applied', 'failed', 'dry_run'].includes(result.status));
+
+    await Promise.all(loggable.map((result, index) => {
+      const createdAt = new Date().toISOString();
+      return dynamoDB.send(new PutCommand({
+        TableName: RULE_ACTIONS_TABLE,
+        Item: {
+          userId,
+          actionKey: `${createdAt}#${rule.ruleId}#${result.entityId}#${index}`,
+          ruleId: rule.ruleId,
+          ruleName: rule.name,
+          trigger,
+          startDate: evaluation.startDate,
+          endDate: evaluation.endDate,
+          ...result,
+          createdAt
+        }
+      })).catch(error => console.error('Error logging rule action:', error.message));
+    }));
+  }
+
+  /**
+   * Action log, newest first.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} options - { ruleId, limit (max 200) }
+   * @returns {Promise<Array>} Logged actions.
+   */
+  async getActionLog(userId, { ruleId, limit = 50 } = {}) {
+    const actions = [];
+    let lastEvaluatedKey = null;
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: RULE_ACTIONS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ScanIndexForward: false,
+        Limit: 200,
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+      actions.push(...(result.Items || []).filter(action => !ruleId || action.ruleId === ruleId));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey && actions.length < limit);
+
+    return actions.slice(0, limit);
+  }
+
+  /**
+   * Evaluate every enabled rule of one user. Rules with the same lookback share one metrics load.
+   * @returns {Promise<Array>} Evaluations.
+   */
+  async evaluateUser(userId, rules = null) {
+    const enabled = (rules || await this.listRules(userId)).filter(rule => rule.enabled);
+    const cache = new Map();
+    const evaluations = [];
+
+    for (const rule of enabled) {
+      try {
+        evaluations.push(await this.evaluateRule(userId, rule, { trigger: 'schedule', cache }));
+      } catch (error) {
+        console.error(`   ❌ Rule "${rule.name}" (${userId}) failed:`, error.message);
+      }
+    }
+    return evaluations;
+  }
+
+  /**
+   * Scheduled run: evaluate all enabled rules of all users.
+   * @returns {Promise<object>} { users, rules, applied, dryRun, failed }
+   */
+  async evaluateAll() {
+    const byUser = new Map();
+    let lastEvaluatedKey = null;
+    do {
+      const result = await dynamoDB.send(new ScanCommand({
+        TableName: RULES_TABLE,
+        FilterExpression: 'enabled = :enabled',
+        ExpressionAttributeValues: { ':enabled': true },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+      (result.Items || []).forEach(rule => {
+        if (!byUser.has(rule.userId)) byUser.set(rule.userId, []);
+        byUser.get(rule.userId).push(rule);
+      });
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const summary = { users: byUser.size, rules: 0, applied: 0, dryRun: 0, failed: 0 };
+    for (const [userId, rules] of byUser) {
+      const evaluations = await this.evaluateUser(userId, rules);
+      summary.rules += evaluations.length;
+      evaluations.forEach(evaluation => evaluation.results.forEach(result => {
+        if (result.status === 'applied') summary.applied++;
+        if (result.status === 'dry_run') summary.dryRun++;
+        if (result.status === 'failed') summary.failed++;
+      }));
+    }
+    return summary;
+  }
+
+  /**
+   * Metric, operator and action options for the rule builder.
+   */
+  getOptions() {
+    return {
+      levels: LEVELS,
+      metrics: Object.entries(METRICS).map(([value, label]) => ({ value, label })),
+      operators: Object.keys(OPERATORS),
+      actions: ACTIONS,
+      limits: { maxLookbackDays: MAX_LOOKBACK_DAYS, maxBudgetChangePercent: MAX_BUDGET_CHANGE_PERCENT }
+    };
+  }
+}
+
+module.exports = new MetaRulesService();
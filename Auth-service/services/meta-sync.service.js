@@ -3,16 +3,80 @@
  * 
  * Handles automatic daily sync of Meta/Facebook Ads data
  * Fetches latest insights and updates database
+ *
+ * Account-level insights go to meta_insights (feeds the daily rollups).
+ * Campaign, ad set and ad level insights go to meta_ad_insights, and the
+ * entities themselves (names, status, budgets) to meta_ad_entities.
+ * Age, gender, region, placement and hourly breakdowns go to meta_breakdown_insights.
+ *
+ * Every selected ad account is synced, and amounts are converted from the ad
+ * account currency into the store currency when saved so accounts add up.
  */
 
 const axios = require('axios');
 const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
+const dailyMetricsService = require('./daily-metrics.service');
+const metaTokenService = require('./meta-token.service');
+const currencyService = require('./currency.service');
+const { addDays } = require('../utils/timezone');
+const { getSelectedAdAccounts } = require('../utils/meta-accounts');
 
 const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
 const META_INSIGHTS_TABLE = process.env.META_INSIGHTS_TABLE || 'meta_insights';
+const META_AD_INSIGHTS_TABLE = process.env.META_AD_INSIGHTS_TABLE || 'meta_ad_insights';
+const META_AD_ENTITIES_TABLE = process.env.META_AD_ENTITIES_TABLE || 'meta_ad_entities';
+const META_BREAKDOWN_INSIGHTS_TABLE = process.env.META_BREAKDOWN_INSIGHTS_TABLE || 'meta_breakdown_insights';
 const FB_API_VERSION = 'v23.0';
 
+// Meta keeps restating recent days as conversions are attributed
+const RESTATE_DAYS = 7;
+
+const ENTITY_LEVELS = ['campaign', 'adset', 'ad'];
+
+// Breakdown history pulled on first connect (recommendations only need recent data)
+const BREAKDOWN_LOOKBACK_DAYS = 90;
+
+// Account-level breakdowns: Graph `breakdowns` value and the segment key read from each row
+const BREAKDOWNS = {
+  age: { breakdowns: 'age', segment: row => row.age },
+  gender: { breakdowns: 'gender', segment: row => row.gender },
+  region: { breakdowns: 'region', segment: row => row.region },
+  placement: {
+    breakdowns: 'publisher_platform,platform_position',
+    segment: row => row.publisher_platform && `${row.publisher_platform}:${row.platform_position || 'all'}`
+  },
+  // "18:00:00 - 18:59:59" -> "18"
+  hourly: {
+    breakdowns: 'hourly_stats_aggregated_by_advertiser_time_zone',
+    segment: row => row.hourly_stats_aggregated_by_advertiser_time_zone?.slice(0, 2)
+  }
+};
+
+const ACCOUNT_INSIGHT_FIELDS = 'date_start,date_stop,account_currency,spend,impressions,reach,clicks,cpc,cpm,ctr,frequency,actions,action_values';
+// Reach isn't available with hourly breakdowns, and ROAS ranking doesn't need it
+const BREAKDOWN_INSIGHT_FIELDS = 'date_start,date_stop,account_currency,spend,impressions,clicks,actions,action_values';
+const ENTITY_INSIGHT_FIELDS = 'date_start,date_stop,account_currency,campaign_id,campaign_name,adset_id,adset_name,ad_id,ad_name,spend,impressions,reach,clicks,actions,action_values';
+
+// Graph edge and fields for each entity level
+const ENTITY_EDGES = {
+  campaign: {
+    edge: 'campaigns',
+    fields: 'id,name,status,effective_status,objective,daily_budget,lifetime_budget,budget_remaining,start_time,stop_time'
+  },
+  adset: {
+    edge: 'adsets',
+    fields: 'id,name,status,effective_status,campaign_id,daily_budget,lifetime_budget,budget_remaining,optimization_goal,start_time,end_time'
+  },
+  ad: {
+    edge: 'ads',
+    fields: 'id,name,status,effective_status,campaign_id,adset_id'
+  }
+};
+
+// Budgets come back as strings in the account currency's minor unit (paise, cents)
+const toBudget = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value, 10) / 100);
+
 class MetaSyncService {
   /**
    * Daily sync for a user
@@ -35,46 +99,81 @@ class MetaSyncService {
         return { success: false, reason: 'no_token' };
       }
 
-      if (!connection.adAccounts || connection.adAccounts.length === 0) {
+      // An expired token would only produce empty days - surface it instead
+      const health = metaTokenService.getHealth(connection);
+      if (health.state === 'expired') {
+        console.log(`   ⚠️  Meta token expired - reconnect required (${health.reason})`);
+        return { success: false, reason: 'token_expired' };
+      }
+
+      const adAccounts = getSelectedAdAccounts(connection);
+      if (adAccounts.length === 0) {
         console.log(`   ⚠️  No ad accounts found`);
         return { success: false, reason: 'no_accounts' };
       }
 
-      // Calculate yesterday's date
+      // Restate the last RESTATE_DAYS days up to yesterday
       const yesterday = new Date();
       yesterday.setDate(yesterday.getDate() - 1);
-      const dateStr = yesterday.toISOString().split('T')[0];
+      const until = yesterday.toISOString().split('T')[0];
+      const since = addDays(until, -(RESTATE_DAYS - 1));
 
-      console.log(`   📅 Syncing data for: ${dateStr}`);
-      console.log(`   📊 Ad accounts: ${connection.adAccounts.length}`);
+      console.log(`   📅 Syncing data for: ${since} to ${until}`);
+      console.log(`   📊 Ad accounts: ${adAccounts.length}`);
 
       let totalRecords = 0;
 
-      // Sync each ad account
-      for (const account of connection.adAccounts) {
-        const accountId = account.id || `act_${account.accountId}`;
-        const numericAccountId = account.accountId || account.account_id;
+      // Sync each selected ad account
+      for (const account of adAccounts) {
+        const { id: accountId, accountId: numericAccountId } = account;
 
         try {
           console.log(`   🔍 Fetching: ${account.name || numericAccountId}`);
 
-          // Fetch yesterday's insights
-          const insights = await this.fetchDailyInsights(
-            connection.accessToken,
+          const accountRecords = await this.fetchAndStoreStandard(
+            userId,
             accountId,
-            dateStr
+            connection.accessToken,
+            since,
+            until
           );
 
-          if (insights) {
-            await this.saveInsightData(userId, numericAccountId, insights);
-            totalRecords++;
-            console.log(`   ✅ Synced: ${account.name || numericAccountId}`);
+          if (accountRecords > 0) {
+            totalRecords += accountRecords;
+            console.log(`   ✅ Synced: ${account.name || numericAccountId} (${accountRecords} days)`);
           } else {
             console.log(`   ⚠️  No data: ${account.name || numericAccountId}`);
           }
 
+          // Names, status and budgets, then the same days per campaign / ad set / ad
+          await this.syncEntities(userId, accountId, connection.accessToken);
+
+          for (const level of ENTITY_LEVELS) {
+            try {
+              const records = await this.triggerAsyncBulkExport(userId, accountId, connection.accessToken, { level, since, until });
+              totalRecords += records;
+            } catch (error) {
+              console.error(`   ❌ ${level} insights failed for ${numericAccountId}:`, error.message);
+            }
+          }
+
+          for (const breakdown of Object.keys(BREAKDOWNS)) {
+            try {
+              const records = await this.triggerAsyncBulkExport(userId, accountId, connection.accessToken, { breakdown, since, until });
+              totalRecords += records;
+            } catch (error) {
+              console.error(`   ❌ ${breakdown} breakdown failed for ${numericAccountId}:`, error.message);
+            }
+          }
+
         } catch (error) {
           console.error(`   ❌ Error syncing ${numericAccountId}:`, error.message);
+
+          // The same token is used for every account - stop and flag the connection
+          if (metaTokenService.isTokenError(error)) {
+            await metaTokenService.markInvalid(userId, error.response.data.error.message);
+            return { success: false, reason: 'token_expired' };
+          }
           // Continue with next account
         }
       }
@@ -85,7 +184,7 @@ class MetaSyncService {
       return {
         success: true,
         recordsSynced: totalRecords,
-        accountsProcessed: connection.adAccounts.length
+        accountsProcessed: adAccounts.length
       };
 
     } catch (error) {
@@ -129,18 +228,19 @@ class MetaSyncService {
    * Save insight data to database with proper deduplication
    */
   async saveInsightData(userId, adAccountId, insight) {
-    // Extract actions data
-    const actions = insight.actions || [];
-    const linkClicks = actions.find(a => a.action_type === 'link_click')?.value || '0';
-    const purchases = actions.find(a => a.action_type === 'purchase')?.value || '0';
-
-    // Extract action values (revenue)
-    const actionValues = insight.action_values || [];
-    const purchaseValue = actionValues.find(a => a.action_type === 'purchase')?.value || '0';
+    const { linkClicks, purchases, purchaseValue } = this.extractConversions(insight);
 
     const date = insight.date_start;
 
     try {
+      const amounts = await this.toStoreCurrency(userId, insight, {
+        adSpend: parseFloat(insight.spend || 0),
+        cpc: parseFloat(insight.cpc || 0),
+        cpm: parseFloat(insight.cpm || 0),
+        metaRevenue: purchaseValue
+      });
+      if (!amounts) return;
+
       // Use the EXACT same structure as the existing data we saw in debug
       // Each record gets its own unique userId (not composite key)
       const recordUserId = userId; // Use the actual user ID
@@ -154,18 +254,24 @@ class MetaSyncService {
         dateAccount,  // This field exists in existing data
 
         // Meta Ad Metrics (exact same fields as existing data)
-        adSpend: parseFloat(insight.spend || 0),
+        adSpend: amounts.adSpend,
         impressions: parseInt(insight.impressions || 0),
         reach: parseInt(insight.reach || 0),
-        linkClicks: parseInt(linkClicks),
-        cpc: parseFloat(insight.cpc || 0),
-        cpm: parseFloat(insight.cpm || 0),
+        linkClicks,
+        cpc: amounts.cpc,
+        cpm: amounts.cpm,
         ctr: parseFloat(insight.ctr || 0),
         frequency: parseFloat(insight.frequency || 0),
 
         // Conversion Metrics
-        metaPurchases: parseInt(purchases),
-        metaRevenue: parseFloat(purchaseValue),
+        metaPurchases: purchases,
+        metaRevenue: amounts.metaRevenue,
+
+        // Currency conversion
+        currency: amounts.currency,
+        accountCurrency: amounts.accountCurrency,
+        fxRate: amounts.fxRate,
+        adSpendOriginal: amounts.adSpendOriginal,
 
         // Timestamps (exact same format as existing data)
         createdAt: new Date().toISOString(),
@@ -184,6 +290,9 @@ class MetaSyncService {
 
       await dynamoDB.send(command);
 
+      // Spend for a day can be restated by Meta - refresh that day's rollup
+      dailyMetricsService.markDaysDirty(userId, [date]);
+
     } catch (error) {
       console.error(`Error saving Meta insight for ${date}:`, error.message);
       console.error(`Full error:`, error);
@@ -192,6 +301,234 @@ class MetaSyncService {
   }
 
 
+  /**
+   * Link clicks, purchases and purchase value from an insight's actions
+   */
+  extractConversions(insight) {
+    const actions = insight.actions || [];
+    const actionValues = insight.action_values || [];
+
+    return {
+      linkClicks: parseInt(actions.find(a => a.action_type === 'link_click')?.value || '0'),
+      purchases: parseInt(actions.find(a => a.action_type === 'purchase')?.value || '0'),
+      purchaseValue: parseFloat(actionValues.find(a => a.action_type === 'purchase')?.value || '0')
+    };
+  }
+
+  /**
+   * Convert an insight's money fields from the ad account currency into the
+   * store currency. Returns null when there is no rate for the day: the row is
+   * skipped rather than stored in the wrong currency, and the next sync
+   * (which restates the last RESTATE_DAYS days) retries it.
+   * @param {object} amounts - { field: amount in the account currency }, including adSpend.
+   * @returns {Promise<object|null>} Converted amounts plus currency, accountCurrency, fxRate, adSpendOriginal.
+   */
+  async toStoreCurrency(userId, insight, amounts) {
+    const storeCurrency = await currencyService.getStoreCurrency(userId);
+    const accountCurrency = insight.account_currency || storeCurrency;
+    const rate = await currencyService.getRate(accountCurrency, storeCurrency, insight.date_start);
+
+    if (rate === null) {
+      console.warn(`   ⚠️  No ${accountCurrency}->${storeCurrency} rate for ${insight.date_start} - skipping until the next sync`);
+      return null;
+    }
+
+    const converted = {};
+    for (const [field, amount] of Object.entries(amounts)) {
+      converted[field] = rate === 1 ? amount : Math.round(amount * rate * 100) / 100;
+    }
+
+    return {
+      ...converted,
+      currency: storeCurrency,
+      accountCurrency,
+      fxRate: rate,
+      adSpendOriginal: amounts.adSpend
+    };
+  }
+
+  /**
+   * Fetch the FX rates for a page of insights in one request per currency
+   * instead of one per day.
+   */
+  async preloadRates(userId, insights, since, until) {
+    const storeCurrency = await currencyService.getStoreCurrency(userId);
+    const currencies = new Set(
+      insights.map(insight => insight.account_currency).filter(currency => currency && currency !== storeCurrency)
+    );
+
+    await Promise.all([...currencies].map(currency => currencyService.preloadRates(currency, storeCurrency, since, until)));
+  }
+
+  /**
+   * Save one day of campaign / ad set / ad insights.
+   * Keyed by date#level#entityId so restated days overwrite the earlier numbers.
+   */
+  async saveEntityInsight(userId, adAccountId, level, insight) {
+    const entityId = insight[`${level}_id`];
+    const date = insight.date_start;
+    if (!entityId || !date) return;
+
+    const { linkClicks, purchases, purchaseValue } = this.extractConversions(insight);
+
+    try {
+      const amounts = await this.toStoreCurrency(userId, insight, {
+        adSpend: parseFloat(insight.spend || 0),
+        metaRevenue: purchaseValue
+      });
+      if (!amounts) return;
+      const { adSpend, metaRevenue, ...currencyFields } = amounts;
+
+      await dynamoDB.send(new PutCommand({
+        TableName: META_AD_INSIGHTS_TABLE,
+        Item: {
+          userId,
+          insightKey: `${date}#${level}#${entityId}`,
+          date,
+          level,
+          entityId,
+          entityName: insight[`${level}_name`] || entityId,
+          campaignId: insight.campaign_id || null,
+          campaignName: insight.campaign_name || null,
+          adsetId: insight.adset_id || null,
+          adsetName: insight.adset_name || null,
+          adId: insight.ad_id || null,
+          adName: insight.ad_name || null,
+          adAccountId,
+
+          adSpend,
+          impressions: parseInt(insight.impressions || 0),
+          reach: parseInt(insight.reach || 0),
+          clicks: parseInt(insight.clicks || 0),
+          linkClicks,
+          metaPurchases: purchases,
+          metaRevenue,
+          ...currencyFields,
+
+          updatedAt: new Date().toISOString(),
+          source: 'meta_api'
+        }
+      }));
+    } catch (error) {
+      console.error(`Error saving Meta ${level} insight ${entityId} for ${date}:`, error.message);
+      // Don't throw - continue with other insights
+    }
+  }
+
+  /**
+   * Save one day of an account-level breakdown segment (e.g. age 25-34, hour 18).
+   * Keyed by date#breakdown#segment so restated days overwrite the earlier numbers.
+   */
+  async saveBreakdownInsight(userId, adAccountId, breakdown, insight) {
+    const segment = BREAKDOWNS[breakdown].segment(insight);
+    const date = insight.date_start;
+    if (!segment || !date) return;
+
+    const { linkClicks, purchases, purchaseValue } = this.extractConversions(insight);
+
+    try {
+      const amounts = await this.toStoreCurrency(userId, insight, {
+        adSpend: parseFloat(insight.spend || 0),
+        metaRevenue: purchaseValue
+      });
+      if (!amounts) return;
+      const { adSpend, metaRevenue, ...currencyFields } = amounts;
+
+      await dynamoDB.send(new PutCommand({
+        TableName: META_BREAKDOWN_INSIGHTS_TABLE,
+        Item: {
+          userId,
+          // Several ad accounts can report the same segment on the same day
+          breakdownKey: `${date}#${breakdown}#${segment}#${adAccountId}`,
+          date,
+          breakdown,
+          segment,
+          adAccountId,
+
+          adSpend,
+          impressions: parseInt(insight.impressions || 0),
+          clicks: parseInt(insight.clicks || 0),
+          linkClicks,
+          metaPurchases: purchases,
+          metaRevenue,
+          ...currencyFields,
+
+          updatedAt: new Date().toISOString(),
+          source: 'meta_api'
+        }
+      }));
+    } catch (error) {
+      console.error(`Error saving Meta ${breakdown} breakdown ${segment} for ${date}:`, error.message);
+    }
+  }
+
+  /**
+   * Sync campaigns, ad sets and ads (names, status, budgets) for an ad account
+   * @returns {Promise<number>} Entities saved
+   */
+  async syncEntities(userId, accountId, accessToken) {
+    const numericAccountId = accountId.replace('act_', '');
+    let saved = 0;
+
+    for (const level of ENTITY_LEVELS) {
+      const { edge, fields } = ENTITY_EDGES[level];
+      let nextUrl = `https://graph.facebook.com/${FB_API_VERSION}/${accountId}/${edge}`;
+      let params = { access_token: accessToken, fields, limit: 500 };
+
+      try {
+        while (nextUrl) {
+          const response = await axios.get(nextUrl, { params });
+          const entities = response.data.data || [];
+
+          await Promise.all(entities.map(entity => this.saveEntity(userId, numericAccountId, level, entity)));
+          saved += entities.length;
+
+          // paging.next already carries the token and cursor
+          nextUrl = response.data.paging?.next;
+          params = undefined;
+        }
+      } catch (error) {
+        console.error(`   ❌ Error syncing ${edge} for ${numericAccountId}:`, error.response?.data?.error?.message || error.message);
+      }
+    }
+
+    console.log(`   🗂️  Synced ${saved} campaigns / ad sets / ads`);
+    return saved;
+  }
+
+  /**
+   * Save a campaign, ad set or ad with its current status and budgets
+   */
+  async saveEntity(userId, adAccountId, level, entity) {
+    try {
+      await dynamoDB.send(new PutCommand({
+        TableName: META_AD_ENTITIES_TABLE,
+        Item: {
+          userId,
+          entityKey: `${level}#${entity.id}`,
+          level,
+          entityId: entity.id,
+          name: entity.name,
+          status: entity.status || null,
+          effectiveStatus: entity.effective_status || null,
+          campaignId: level === 'campaign' ? entity.id : entity.campaign_id || null,
+          adsetId: level === 'adset' ? entity.id : entity.adset_id || null,
+          objective: entity.objective || null,
+          optimizationGoal: entity.optimization_goal || null,
+          dailyBudget: toBudget(entity.daily_budget),
+          lifetimeBudget: toBudget(entity.lifetime_budget),
+          budgetRemaining: toBudget(entity.budget_remaining),
+          startTime: entity.start_time || null,
+          endTime: entity.stop_time || entity.end_time || null,
+          adAccountId,
+          updatedAt: new Date().toISOString()
+        }
+      }));
+    } catch (error) {
+      console.error(`Error saving Meta ${level} ${entity.id}:`, error.message);
+    }
+  }
+
   /**
    * 🚀 HYBRID SYNC: The "Best" Approach
    * 1. Updates UI immediately with 30-day snapshot.
@@ -213,11 +550,31 @@ class MetaSyncService {
 
       // Standard sync fetch (reusing your existing logic but scoped)
       await this.fetchAndStoreStandard(userId, accountId, accessToken, since, until);
+      await this.syncEntities(userId, accountId, accessToken);
       console.log(`   ✅ Quick fetch complete.`);
 
-      // Step 2: The Heavy Lifting (Async Report for 1 Year)
+      // Step 2: The Heavy Lifting (Async Report for 1 Year), one report per level
       console.log(`   🏗️ Phase 2: Starting Async Bulk Export (1 Year)...`);
-      await this.triggerAsyncBulkExport(userId, accountId, accessToken);
+      for (const level of ['account', ...ENTITY_LEVELS]) {
+        try {
+          await this.triggerAsyncBulkExport(userId, accountId, accessToken, { level });
+        } catch (error) {
+          console.error(`   ❌ ${level} bulk export failed:`, error.message);
+        }
+      }
+
+      const breakdownSince = new Date();
+      breakdownSince.setDate(breakdownSince.getDate() - BREAKDOWN_LOOKBACK_DAYS);
+      for (const breakdown of Object.keys(BREAKDOWNS)) {
+        try {
+          await this.triggerAsyncBulkExport(userId, accountId, accessToken, {
+            breakdown,
+            since: breakdownSince.toISOString().split('T')[0]
+          });
+        } catch (error) {
+          console.error(`   ❌ ${breakdown} breakdown export failed:`, error.message);
+        }
+      }
 
     } catch (error) {
       console.error(`❌ Hybrid Sync Error:`, error.message);
@@ -225,7 +582,17 @@ class MetaSyncService {
   }
 
   /**
-   * Standard synchronous fetch for small date ranges (Phase 1)
+   * Hybrid sync several ad accounts one after another (newly selected accounts)
+   */
+  async startHybridSyncForAccounts(userId, accountIds, accessToken) {
+    for (const accountId of accountIds) {
+      await this.startHybridSync(userId, accountId, accessToken);
+    }
+  }
+
+  /**
+   * Standard synchronous fetch for small date ranges (Phase 1 and daily restatement)
+   * @returns {Promise<number>} Days saved
    */
   async fetchAndStoreStandard(userId, accountId, accessToken, since, until) {
     const response = await axios.get(
@@ -236,7 +603,7 @@ class MetaSyncService {
           level: 'account',
           time_range: JSON.stringify({ since, until }),
           time_increment: 1,
-          fields: 'date_start,date_stop,spend,impressions,reach,clicks,cpc,cpm,ctr,frequency,actions,action_values',
+          fields: ACCOUNT_INSIGHT_FIELDS,
           limit: 100
         }
       }
@@ -245,35 +612,50 @@ class MetaSyncService {
     const insights = response.data.data || [];
     const numericAccountId = accountId.replace('act_', '');
 
+    await this.preloadRates(userId, insights, since, until);
+
     for (const item of insights) {
       await this.saveInsightData(userId, numericAccountId, item);
     }
+
+    return insights.length;
   }
 
   /**
    * Phase 2: Async Reporting API (The "Gold Standard")
+   *
+   * @param {object} options - level (account | campaign | adset | ad, default account),
+   *   breakdown (age | gender | region | placement | hourly - account level only),
+   *   since / until (YYYY-MM-DD, default the last year).
+   * @returns {Promise<number>} Rows saved once the report has been processed.
    */
-  async triggerAsyncBulkExport(userId, accountId, accessToken) {
+  async triggerAsyncBulkExport(userId, accountId, accessToken, options = {}) {
+    const breakdown = options.breakdown || null;
+    const level = breakdown ? 'account' : options.level || 'account';
+
     // 1 Year Lookback
     const endDate = new Date();
     const startDate = new Date();
     startDate.setFullYear(startDate.getFullYear() - 1);
 
-    const since = startDate.toISOString().split('T')[0];
-    const until = endDate.toISOString().split('T')[0];
+    const since = options.since || startDate.toISOString().split('T')[0];
+    const until = options.until || endDate.toISOString().split('T')[0];
 
     // 1. Trigger the Report
-    console.log(`   📡 Requesting Async Report...`);
+    console.log(`   📡 Requesting Async Report (${breakdown || level}, ${since} to ${until})...`);
     const response = await axios.post(
       `https://graph.facebook.com/${FB_API_VERSION}/${accountId}/insights`,
       null,
       {
         params: {
           access_token: accessToken,
-          level: 'account', // Can change to 'ad' or 'campaign' for granular data
+          level,
           time_range: JSON.stringify({ since, until }),
           time_increment: 1,
-          fields: 'date_start,date_stop,spend,impressions,reach,clicks,cpc,cpm,ctr,frequency,actions,action_values',
+          fields: breakdown
+            ? BREAKDOWN_INSIGHT_FIELDS
+            : level === 'account' ? ACCOUNT_INSIGHT_FIELDS : ENTITY_INSIGHT_FIELDS,
+          ...(breakdown && { breakdowns: BREAKDOWNS[breakdown].breakdowns }),
           is_async_export: true // <--- THE MAGIC FLAG
         }
       }
@@ -283,54 +665,67 @@ class MetaSyncService {
     console.log(`   🆔 Report Job ID: ${reportRunId}`);
 
     // 2. Poll for Completion
-    this.pollAsyncReport(userId, accountId, reportRunId, accessToken);
+    return this.pollAsyncReport(userId, accountId, reportRunId, accessToken, { level, breakdown, since, until });
   }
 
   /**
    * Polls the Async Report Job until complete
+   * @param {object} report - { level, breakdown, since, until } the report was requested with.
+   * @returns {Promise<number>} Rows saved; rejects if the job fails or times out.
    */
-  async pollAsyncReport(userId, accountId, reportRunId, accessToken) {
+  pollAsyncReport(userId, accountId, reportRunId, accessToken, report = { level: 'account' }) {
     const MAX_RETRIES = 120; // 10 minutes (5s interval)
     let attempts = 0;
 
     const numericAccountId = accountId.replace('act_', '');
 
-    const poller = setInterval(async () => {
-      attempts++;
-      try {
-        const response = await axios.get(
-          `https://graph.facebook.com/${FB_API_VERSION}/${reportRunId}`,
-          { params: { access_token: accessToken } }
-        );
-
-        const status = response.data.async_status; // "Job Completed", "Job Failed", "Job Started"
-        const percent = response.data.async_percent_completion;
-
-        console.log(`   ⏳ Report Status: ${status} (${percent}%)`);
-
-        if (status === 'Job Completed') {
-          clearInterval(poller);
-          console.log(`   ✅ Report Ready! Downloading...`);
-
-          // Meta returns a pagination ID for the finished report usually, or we query the insights edge again with the ID? 
-          // Actually simplified: When async is done, we fetch the results from the report_run_id/insights edge
-
-          await this.processAsyncResults(userId, numericAccountId, reportRunId, accessToken);
-        } else if (status === 'Job Failed' || status === 'Job Skipped') {
-          clearInterval(poller);
-          console.error(`   ❌ Report Failed`);
-        } else if (attempts >= MAX_RETRIES) {
-          clearInterval(poller);
-          console.error(`   ❌ Report Polling Timed Out`);
-        }
+    return new Promise((resolve, reject) => {
+      const poller = setInterval(async () => {
+        attempts++;
+        try {
+          const response = await axios.get(
+            `https://graph.facebook.com/${FB_API_VERSION}/${reportRunId}`,
+            { params: { access_token: accessToken } }
+          );
 
-      } catch (e) {
-        console.error(`Error polling: ${e.message}`);
-      }
-    }, 5000);
+          const status = response.data.async_status; // "Job Completed", "Job Failed", "Job Started"
+          const percent = response.data.async_percent_completion;
+
+          console.log(`   ⏳ Report Status: ${status} (${percent}%)`);
+
+          if (status === 'Job Completed') {
+            clearInterval(poller);
+            console.log(`   ✅ Report Ready! Downloading...`);
+
+            // Meta returns a pagination ID for the finished report usually, or we query the insights edge again with the ID? 
+            // Actually simplified: When async is done, we fetch the results from the report_run_id/insights edge
+
+            this.processAsyncResults(userId, numericAccountId, reportRunId, accessToken, report)
+              .then(resolve, reject);
+          } else if (status === 'Job Failed' || status === 'Job Skipped') {
+            clearInterval(poller);
+            console.error(`   ❌ Report Failed`);
+            reject(new Error(`Async report ${reportRunId} ${status}`));
+          } else if (attempts >= MAX_RETRIES) {
+            clearInterval(poller);
+            console.error(`   ❌ Report Polling Timed Out`);
+            reject(new Error(`Async report ${reportRunId} timed out`));
+          }
+
+        } catch (e) {
+          console.error(`Error polling: ${e.message}`);
+          if (attempts >= MAX_RETRIES) {
+            clearInterval(poller);
+            reject(e);
+          }
+        }
+      }, 5000);
+    });
   }
 
-  async processAsyncResults(userId, numericAccountId, reportRunId, accessToken) {
+  async processAsyncResults(userId, numericAccountId, reportRunId, accessToken, report = { level: 'account' }) {
+    const { level, breakdown, since, until } = report;
+
     // Page through the results map
     let nextUrl = `https://graph.facebook.com/${FB_API_VERSION}/${reportRunId}/insights?access_token=${accessToken}&limit=500`;
 
@@ -339,13 +734,20 @@ class MetaSyncService {
       const res = await axios.get(nextUrl);
       const data = res.data.data || [];
 
+      await this.preloadRates(userId, data, since, until);
+
       // Batch Save
-      await Promise.all(data.map(item => this.saveInsightData(userId, numericAccountId, item)));
+      await Promise.all(data.map(item => {
+        if (breakdown) return this.saveBreakdownInsight(userId, numericAccountId, breakdown, item);
+        if (level === 'account') return this.saveInsightData(userId, numericAccountId, item);
+        return this.saveEntityInsight(userId, numericAccountId, level, item);
+      }));
       total += data.length;
 
       nextUrl = res.data.paging?.next;
     }
-    console.log(`   🎉 Async Bulk Sync Complete. Processed ${total} records.`);
+    console.log(`   🎉 Async Bulk Sync Complete (${breakdown || level}). Processed ${total} records.`);
+    return total;
   }
 
   /**
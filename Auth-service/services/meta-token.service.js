@@ -0,0 +1,188 @@
+/**
+ * Meta Token Service
+ *
+ * Keeps Meta long-lived user tokens (~60 days) alive and reports their health.
+ *   - valid:    token works and isn't close to expiry
+ *   - expiring: expires within EXPIRING_WINDOW_DAYS (refresh failed or hasn't run yet)
+ *   - expired:  past expiresAt, or Graph rejected the token (OAuthException 190)
+ *
+ * The daily scheduler calls refreshExpiringTokens() before the Meta sync, which
+ * re-exchanges any token inside REFRESH_WINDOW_DAYS for a fresh long-lived one.
+ * Expired tokens can't be exchanged - the user has to reconnect.
+ */
+
+const axios = require('axios');
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+
+const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
+const FB_API_VERSION = 'v23.0';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRING_WINDOW_DAYS = 7;
+const REFRESH_WINDOW_DAYS = 14;
+
+// Graph error code for invalid / expired / revoked access tokens
+const INVALID_TOKEN_CODE = 190;
+
+class MetaTokenService {
+  /**
+   * Connection health from the stored expiry and last known token status.
+   * @param {object} connection - meta_connections item.
+   * @returns {object} { state, expiresAt, daysRemaining, needsReconnect, reason }
+   */
+  getHealth(connection) {
+    if (!connection || !connection.accessToken) {
+      return { state: 'expired', expiresAt: null, daysRemaining: 0, needsReconnect: true, reason: 'No access token' };
+    }
+
+    const expiresAt = connection.expiresAt || null;
+    const expiresAtMs = expiresAt ? new Date(expiresAt).getTime() : NaN;
+    // No expiry (system user / never-expiring tokens) counts as valid
+    const daysRemaining = Number.isNaN(expiresAtMs) ? null : Math.max(0, Math.floor((expiresAtMs - Date.now()) / DAY_MS));
+
+    if (connection.tokenStatus === 'invalid') {
+      return { state: 'expired', expiresAt, daysRemaining: 0, needsReconnect: true, reason: connection.tokenError || 'Meta rejected the access token' };
+    }
+    if (!Number.isNaN(expiresAtMs) && expiresAtMs <= Date.now()) {
+      return { state: 'expired', expiresAt, daysRemaining: 0, needsReconnect: true, reason: 'Access token expired' };
+    }
+    if (daysRemaining !== null && daysRemaining < EXPIRING_WINDOW_DAYS) {
+      return { state: 'expiring', expiresAt, daysRemaining, needsReconnect: true, reason: `Access token expires in ${daysRemaining} day(s)` };
+    }
+    return { state: 'valid', expiresAt, daysRemaining, needsReconnect: false, reason: null };
+  }
+
+  /**
+   * True when a Graph API error means the token itself is no longer usable.
+   */
+  isTokenError(error) {
+    return error?.response?.data?.error?.code === INVALID_TOKEN_CODE;
+  }
+
+  /**
+   * Exchange a token for a new long-lived token.
+   * @param {string} accessToken - Short- or long-lived user token.
+   * @returns {Promise<object>} { accessToken, expiresIn, expiresAt } - expiresAt is null for non-expiring tokens.
+   */
+  async exchangeToken(accessToken) {
+    const response = await axios.get(
+      `https://graph.facebook.com/${FB_API_VERSION}/oauth/access_token`,
+      {
+        params: {
+          grant_type: 'fb_exchange_token',
+          client_id: process.env.FB_APP_ID,
+          client_secret: process.env.FB_APP_SECRET,
+          fb_exchange_token: accessToken
+        }
+      }
+    );
+
+    const expiresIn = response.data.expires_in;
+    return {
+      accessToken: response.data.access_token,
+      expiresIn,
+      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Refresh one connection's token and store the result.
+   * @param {object} connection - meta_connections item.
+   * @returns {Promise<object>} { success, expiresAt } or { success: false, reason }
+   */
+  async refreshConnection(connection) {
+    const { userId } = connection;
+    const health = this.getHealth(connection);
+
+    if (health.state === 'expired') {
+      return { success: false, reason: 'reconnect_required' };
+    }
+
+    try {
+      const { accessToken, expiresAt } = await this.exchangeToken(connection.accessToken);
+
+      await dynamoDB.send(new UpdateCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET accessToken = :token, expiresAt = :expiresAt, tokenStatus = :status, tokenRefreshedAt = :timestamp, updatedAt = :timestamp REMOVE tokenError',
+        ExpressionAttributeValues: {
+          ':token': accessToken,
+          ':expiresAt': expiresAt,
+          ':status': 'valid',
+          ':timestamp': new Date().toISOString()
+        }
+      }));
+
+      console.log(`   🔑 Meta token refreshed for ${userId} (expires ${expiresAt || 'never'})`);
+      return { success: true, expiresAt };
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      console.error(`   ❌ Meta token refresh failed for ${userId}:`, message);
+
+      if (this.isTokenError(error)) {
+        await this.markInvalid(userId, message);
+        return { success: false, reason: 'reconnect_required' };
+      }
+      return { success: false, reason: 'refresh_failed', error: message };
+    }
+  }
+
+  /**
+   * Refresh every active connection whose token expires within REFRESH_WINDOW_DAYS.
+   * @returns {Promise<Array>} Per-user results for refreshed / failed connections.
+   */
+  async refreshExpiringTokens() {
+    const results = [];
+
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new ScanCommand({
+          TableName: META_CONNECTIONS_TABLE,
+          FilterExpression: '#status = :active',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':active': 'active' },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        for (const connection of result.Items || []) {
+          const { state, daysRemaining } = this.getHealth(connection);
+          if (state === 'valid' && (daysRemaining === null || daysRemaining >= REFRESH_WINDOW_DAYS)) continue;
+
+          results.push({ userId: connection.userId, ...(await this.refreshConnection(connection)) });
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error('Meta token refresh scan error:', error.message);
+    }
+
+    console.log(`🔑 Meta token refresh: ${results.filter(r => r.success).length}/${results.length} refreshed`);
+    return results;
+  }
+
+  /**
+   * Flag a connection whose token Graph rejected, so health reports "expired".
+   */
+  async markInvalid(userId, message) {
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: META_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET tokenStatus = :status, tokenError = :error, updatedAt = :timestamp',
+        ExpressionAttributeValues: {
+          ':status': 'invalid',
+          ':error': message || 'Meta rejected the access token',
+          ':timestamp': new Date().toISOString()
+        }
+      }));
+      console.warn(`   ⚠️  Meta token marked invalid for ${userId}: ${message}`);
+    } catch (error) {
+      console.error(`Error marking Meta token invalid for ${userId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new MetaTokenService();
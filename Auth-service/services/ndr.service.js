@@ -0,0 +1,467 @@
+/**
+ * NDR Service
+ *
+ * Non-delivery reports (failed delivery attempts) for Shiprocket accounts:
+ * 1. Queue - open NDRs from Shiprocket's NDR API with the courier's reason and
+ *    attempt count, enriched with the stored shipment and past actions
+ * 2. Actions - re-attempt on a new date, re-attempt with a corrected address or
+ *    phone, or return to origin, sent through the NDR action API. Every action
+ *    (accepted or rejected) is written to ndr_actions
+ * 3. Outcomes - an action's outcome follows the shipment's stored status
+ *    (kept live by the tracking webhook): delivered = recovered, RTO = lost
+ * 4. Report - recovery rate by reason, courier and action for NDR cases in a range
+ *
+ * NDR history: a shipment counts as an NDR case once the tracking webhook saw a
+ * failed attempt, or Shiprocket's NDR list (read by the queue and the report)
+ * included it, or an action was taken here - every source flags the stored
+ * shipment (isNdr, ndrAttempts, lastNdrReason). Failed attempts that were
+ * resolved before any of those saw them aren't counted; the report says when
+ * the NDR list couldn't be read (ndrApiChecked).
+ *
+ * Courier reasons are free text, so they're grouped into REASON_CATEGORIES.
+ */
+
+const { PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const shiprocketService = require('./shiprocket.service');
+const shippingSyncService = require('./shipping-sync.service');
+const shiprocketWebhookService = require('./shiprocket-webhook.service');
+const { getCanonicalStatus, getShipmentOutcome } = require('./shipping-providers/shipment-record');
+
+const NDR_ACTIONS_TABLE = process.env.NDR_ACTIONS_TABLE || 'ndr_actions';
+const SHIPMENTS_TABLE = process.env.SHIPROCKET_SHIPMENTS_TABLE || 'shiprocket_shipments';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_REPORT_DAYS = 30;
+
+// Checked in order - the first match wins
+const REASON_CATEGORIES = [
+  ['Customer refused', /refus|reject|not interested|does ?n[o']t want|cancel/i],
+  ['Future delivery requested', /future|later date|reschedul|another day|next day|out of station/i],
+  ['COD amount not ready', /cod|cash|amount|payment/i],
+  ['Address issue', /address|incomplete|landmark|wrong location|not locat|out of delivery area|\boda\b/i],
+  ['Phone unreachable', /phone|contact|call|switch(ed)? off|not answer|unreachable|not reachable/i],
+  ['Customer not available', /not available|unavailable|door ?lock|premises closed|office closed|nobody/i]
+];
+
+// Our action types -> Shiprocket NDR action payload
+const ACTIONS = {
+  reattempt: { label: 'Re-attempt', shiprocketAction: 're-attempt' },
+  update_address: { label: 'Update address', shiprocketAction: 're-attempt' },
+  update_phone: { label: 'Update phone', shiprocketAction: 're-attempt' },
+  rto: { label: 'Return to origin', shiprocketAction: 'return' }
+};
+
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Courier NDR reason -> one of REASON_CATEGORIES (or 'Other').
+ * @param {string} reason - Free-text reason from the courier.
+ * @returns {string}
+ */
+function categorizeReason(reason) {
+  const match = REASON_CATEGORIES.find(([, pattern]) => pattern.test(reason || ''));
+  return match ? match[0] : 'Other';
+}
+
+/**
+ * Where a shipment ended up: 'delivered', 'rto' or 'open'.
+ */
+function shipmentOutcome(shipment) {
+  if (!shipment) return 'open';
+  const outcome = getShipmentOutcome(shipment);
+  return outcome === 'other' ? 'open' : outcome;
+}
+
+const recoveryRate = (recovered, lost) => (recovered + lost > 0 ? (recovered / (recovered + lost)) * 100 : null);
+
+class NdrService {
+  /**
+   * Active Shiprocket connection (token renewed if needed); NDR actions need Shiprocket's API.
+   */
+  async getShiprocketConnection(userId) {
+    const { connection, provider } = await shippingSyncService.getActiveConnection(userId);
+    if (provider.platform !== 'Shiprocket') {
+      throw apiError(`NDR management is available for Shiprocket accounts (connected: ${provider.platform})`, 400);
+    }
+    return connection;
+  }
+
+  /**
+   * Stored shipments with an AWB, keyed by AWB.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Map>} awbCode -> shipment
+   */
+  async getStoredShipments(userId) {
+    const shipments = new Map();
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: SHIPMENTS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        FilterExpression: 'attribute_exists(awbCode) AND awbCode <> :null',
+        ProjectionExpression: 'shipmentId, awbCode, orderId, channelOrderId, #status, shipmentStatus, statusCode, canonicalStatus, isRto, isNdr, ndrAttempts, lastNdrReason, courierName, paymentMethod, orderValue, parsedOrderDate',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':userId': userId, ':null': null },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      (result.Items || []).forEach(item => shipments.set(item.awbCode.toString(), item));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return shipments;
+  }
+
+  /**
+   * Every NDR action taken by the user, newest first.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Array>}
+   */
+  async getActions(userId) {
+    const actions = [];
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: NDR_ACTIONS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+      actions.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return actions.sort((a, b) => (b.requestedAt || '').localeCompare(a.requestedAt || ''));
+  }
+
+  /**
+   * Settle pending actions whose shipment has since been delivered or returned.
+   * Mutates and returns the actions.
+   */
+  async resolveOutcomes(userId, actions, shipments) {
+    const updates = [];
+
+    actions.forEach(action => {
+      if (action.outcome !== 'pending') return;
+      const outcome = shipmentOutcome(shipments.get(action.awbCode));
+      if (outcome === 'open') return;
+
+      action.outcome = outcome;
+      action.outcomeAt = new Date().toISOString();
+      updates.push(dynamoDB.send(new UpdateCommand({
+        TableName: NDR_ACTIONS_TABLE,
+        Key: { userId, actionKey: action.actionKey },
+        UpdateExpression: 'SET outcome = :outcome, outcomeAt = :outcomeAt',
+        ExpressionAttributeValues: { ':outcome': outcome, ':outcomeAt': action.outcomeAt }
+      })).catch(error => console.error(`Error saving NDR outcome for ${action.awbCode}:`, error.message)));
+    });
+
+    await Promise.all(updates);
+    return actions;
+  }
+
+  /**
+   * Open NDRs awaiting action.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Array>} [{ awbCode, reason, reasonCategory, attempts, courierName, customer..., actions[] }]
+   */
+  async getQueue(userId) {
+    const connection = await this.getShiprocketConnection(userId);
+
+    const [entries, shipments, actions] = await Promise.all([
+      shiprocketService.fetchNdrShipments(connection.token),
+      this.getStoredShipments(userId),
+      this.getActions(userId)
+    ]);
+    await Promise.all([
+      this.resolveOutcomes(userId, actions, shipments),
+      this.recordNdrEntries(userId, entries, shipments)
+    ]);
+
+    const actionsByAwb = new Map();
+    actions.forEach(action => {
+      if (!actionsByAwb.has(action.awbCode)) actionsByAwb.set(action.awbCode, []);
+      actionsByAwb.get(action.awbCode).push(action);
+    });
+
+    return entries
+      .map(entry => this.toQueueItem(entry, shipments, actionsByAwb))
+      .filter(item => item.awbCode)
+      .sort((a, b) => (b.raisedAt || '').localeCompare(a.raisedAt || ''));
+  }
+
+  /**
+   * AWB, courier reason and attempt count of an NDR API entry.
+   * Field names vary between NDR API versions, hence the fallbacks.
+   */
+  parseEntry(entry) {
+    const history = entry.history || entry.ndr_history || [];
+    const latest = history[history.length - 1] || {};
+    return {
+      awbCode: (entry.awb_code || entry.awb || '').toString(),
+      reason: entry.reason || entry.ndr_reason || latest.ndr_reason || latest.reason || null,
+      attempts: parseInt(entry.attempts ?? entry.ndr_attempts) || history.length || null,
+      raisedAt: entry.ndr_raised_at || entry.created_at || latest.created_at || null
+    };
+  }
+
+  /**
+   * Flag stored shipments that appear in Shiprocket's NDR list, so the report
+   * keeps counting them after the NDR is resolved. Mutates and returns the shipments.
+   */
+  async recordNdrEntries(userId, entries, shipments) {
+    const updates = [];
+
+    entries.forEach(entry => {
+      const { awbCode, reason, attempts } = this.parseEntry(entry);
+      const shipment = shipments.get(awbCode);
+      if (!shipment) return;
+
+      const ndrAttempts = Math.max(attempts || 1, shipment.ndrAttempts || 0);
+      const lastNdrReason = reason || shipment.lastNdrReason || null;
+      if (shipment.isNdr === true && shipment.ndrAttempts === ndrAttempts && shipment.lastNdrReason === lastNdrReason) return;
+
+      Object.assign(shipment, { isNdr: true, ndrAttempts, lastNdrReason });
+      updates.push(dynamoDB.send(new UpdateCommand({
+        TableName: SHIPMENTS_TABLE,
+        Key: { userId, shipmentId: shipment.shipmentId },
+        UpdateExpression: 'SET isNdr = :true, ndrAttempts = :attempts, lastNdrReason = :reason',
+        ExpressionAttributeValues: { ':true': true, ':attempts': ndrAttempts, ':reason': lastNdrReason }
+      })).catch(error => console.error(`Error flagging NDR for ${awbCode}:`, error.message)));
+    });
+
+    await Promise.all(updates);
+    return shipments;
+  }
+
+  /**
+   * NDR API entry -> queue item.
+   */
+  toQueueItem(entry, shipments, actionsByAwb) {
+    const parsed = this.parseEntry(entry);
+    const awbCode = parsed.awbCode;
+    const shipment = shipments.get(awbCode) || null;
+    const reason = parsed.reason || shipment?.lastNdrReason || 'Unknown';
+
+    return {
+      awbCode,
+      shipmentId: shipment?.shipmentId || entry.shipment_id?.toString() || null,
+      orderId: shipment?.orderId || null,
+      channelOrderId: entry.channel_order_id?.toString() || shipment?.channelOrderId || null,
+      courierName: entry.courier || entry.courier_name || shipment?.courierName || null,
+      reason,
+      reasonCategory: categorizeReason(reason),
+      attempts: parsed.attempts || shipment?.ndrAttempts || 1,
+      raisedAt: parsed.raisedAt,
+      status: entry.status || entry.shipment_status || shipment?.shipmentStatus || null,
+      customerName: entry.customer_name || null,
+      customerPhone: entry.customer_phone || entry.phone || null,
+      address: [entry.customer_address || entry.address, entry.customer_address_2].filter(Boolean).join(', ') || null,
+      city: entry.customer_city || entry.city || null,
+      pincode: (entry.customer_pincode || entry.pincode || '').toString() || null,
+      paymentMethod: (entry.payment_method || shipment?.paymentMethod || '').toString().toLowerCase() || null,
+      orderValue: parseFloat(entry.total || entry.order_total) || shipment?.orderValue || 0,
+      actions: actionsByAwb.get(awbCode) || []
+    };
+  }
+
+  /**
+   * Validate an action request and build the Shiprocket payload.
+   * @returns {object} Shiprocket NDR action body.
+   */
+  buildPayload(type, params) {
+    const action = ACTIONS[type];
+    if (!action) {
+      throw apiError(`Unknown action. Use one of: ${Object.keys(ACTIONS).join(', ')}`, 400);
+    }
+
+    const payload = {
+      action: action.shiprocketAction,
+      comments: (params.comments || `${action.label} requested by seller`).toString().slice(0, 250)
+    };
+
+    if (type === 'reattempt') {
+      if (!DATE_ONLY.test(params.deferredDate || '') || params.deferredDate < toDateString(new Date())) {
+        throw apiError('deferredDate must be today or a later date (YYYY-MM-DD)', 400);
+      }
+      payload.deferred_date = params.deferredDate;
+    }
+
+    if (type === 'update_address') {
+      const address1 = (params.address1 || '').toString().trim();
+      if (address1.length < 10) {
+        throw apiError('address1 must be the full corrected address (at least 10 characters)', 400);
+      }
+      payload.address1 = address1.slice(0, 200);
+      if (params.address2) payload.address2 = params.address2.toString().trim().slice(0, 200);
+    }
+
+    if (type === 'update_phone') {
+      const phone = (params.phone || '').toString().replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+      if (!/^[6-9]\d{9}$/.test(phone)) {
+        throw apiError('phone must be a valid 10-digit mobile number', 400);
+      }
+      payload.phone = phone;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Send an action to Shiprocket and record it (rejected actions are recorded too).
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} awbCode - AWB of the undelivered shipment.
+   * @param {object} params - { action, deferredDate?, address1?, address2?, phone?, comments?, reason?, courierName?, attempts? }
+   * @returns {Promise<object>} The recorded action.
+   */
+  async takeAction(userId, awbCode, params) {
+    const payload = this.buildPayload(params.action, params);
+    const connection = await this.getShiprocketConnection(userId);
+    const shipment = await shiprocketWebhookService.findShipment(userId, awbCode);
+
+    // Reason / courier as the queue showed them; the stored shipment wins when it has them
+    const reason = shipment?.lastNdrReason || params.reason || 'Unknown';
+    const requestedAt = new Date().toISOString();
+    const record = {
+      userId,
+      actionKey: `${awbCode}#${requestedAt}`,
+      awbCode,
+      shipmentId: shipment?.shipmentId || null,
+      action: params.action,
+      details: Object.fromEntries(['deferred_date', 'address1', 'address2', 'phone', 'comments']
+        .filter(field => payload[field]).map(field => [field, payload[field]])),
+      reason,
+      reasonCategory: categorizeReason(reason),
+      courierName: shipment?.courierName || params.courierName || null,
+      attempt: parseInt(params.attempts) || shipment?.ndrAttempts || null,
+      paymentMethod: shipment?.paymentMethod || null,
+      requestedAt
+    };
+
+    let failure = null;
+    try {
+      const response = await shiprocketService.submitNdrAction(connection.token, awbCode, payload);
+      record.apiStatus = 'accepted';
+      record.apiResponse = response?.message || null;
+      record.outcome = 'pending';
+    } catch (error) {
+      failure = error;
+      record.apiStatus = 'rejected';
+      record.apiError = error.response?.data?.message || error.message;
+      record.outcome = 'not_sent';
+    }
+
+    await dynamoDB.send(new PutCommand({ TableName: NDR_ACTIONS_TABLE, Item: record }));
+    if (shipment && shipment.isNdr !== true) {
+      await this.recordNdrEntries(userId, [{ awb_code: awbCode, reason: params.reason, attempts: params.attempts }], new Map([[awbCode, shipment]]));
+    }
+    console.log(`📮 NDR ${params.action} for ${awbCode} (user ${userId}): ${record.apiStatus}`);
+
+    if (failure) {
+      const status = failure.response?.status;
+      throw apiError(`Shiprocket rejected the action: ${record.apiError}`, status >= 400 && status < 500 && status !== 401 ? 400 : 500);
+    }
+    return record;
+  }
+
+  /**
+   * Recovery rates for NDR cases on orders placed in a range.
+   * A case is a shipment that had at least one failed delivery attempt; it is
+   * recovered when delivered and lost when returned (RTO). Rates use closed cases only.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} options - { startDate, endDate } (YYYY-MM-DD); defaults to the last 30 days.
+   * @returns {Promise<object>} { startDate, endDate, ndrApiChecked, summary, byReason, byCourier, byAction }
+   */
+  async getReport(userId, options = {}) {
+    const endDate = options.endDate || toDateString(new Date());
+    const startDate = options.startDate || toDateString(new Date(Date.now() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000));
+
+    const [shipments, actions, entries] = await Promise.all([
+      this.getStoredShipments(userId),
+      this.getActions(userId),
+      // Best effort: the report still works from stored flags without it
+      this.getShiprocketConnection(userId)
+        .then(connection => shiprocketService.fetchNdrShipments(connection.token))
+        .catch(error => {
+          console.error('NDR list unavailable for the report:', error.message);
+          return null;
+        })
+    ]);
+    await Promise.all([
+      this.resolveOutcomes(userId, actions, shipments),
+      entries ? this.recordNdrEntries(userId, entries, shipments) : null
+    ]);
+
+    // Latest accepted action per AWB
+    const lastAction = new Map();
+    actions.forEach(action => {
+      if (action.apiStatus === 'accepted' && !lastAction.has(action.awbCode)) lastAction.set(action.awbCode, action);
+    });
+
+    const cases = [];
+    shipments.forEach((shipment, awbCode) => {
+      const action = lastAction.get(awbCode);
+      const isNdr = shipment.isNdr === true || shipment.ndrAttempts > 0 ||
+        getCanonicalStatus(shipment) === 'UNDELIVERED' || !!action;
+      if (!isNdr || !shipment.parsedOrderDate || shipment.parsedOrderDate < startDate || shipment.parsedOrderDate > endDate) return;
+
+      const reason = shipment.lastNdrReason || action?.reason || 'Unknown';
+      cases.push({
+        reasonCategory: categorizeReason(reason),
+        courierName: shipment.courierName || action?.courierName || 'Unknown',
+        action: action?.action || 'none',
+        outcome: shipmentOutcome(shipment)
+      });
+    });
+
+    const group = (key, label) => {
+      const groups = new Map();
+      cases.forEach(item => {
+        const name = label ? label(item[key]) : item[key];
+        if (!groups.has(name)) groups.set(name, { name, cases: 0, recovered: 0, rto: 0, open: 0 });
+        const entry = groups.get(name);
+        entry.cases++;
+        if (item.outcome === 'delivered') entry.recovered++;
+        else if (item.outcome === 'rto') entry.rto++;
+        else entry.open++;
+      });
+      return Array.from(groups.values())
+        .map(entry => ({ ...entry, recoveryRate: recoveryRate(entry.recovered, entry.rto) }))
+        .sort((a, b) => b.cases - a.cases);
+    };
+
+    const [summary = { cases: 0, recovered: 0, rto: 0, open: 0, recoveryRate: null }] = group('all', () => 'All');
+    const actioned = cases.filter(item => item.action !== 'none');
+
+    return {
+      startDate,
+      endDate,
+      ndrApiChecked: entries !== null,
+      summary: {
+        cases: summary.cases,
+        recovered: summary.recovered,
+        rto: summary.rto,
+        open: summary.open,
+        recoveryRate: summary.recoveryRate,
+        actioned: actioned.length,
+        actionedRecoveryRate: recoveryRate(
+          actioned.filter(item => item.outcome === 'delivered').length,
+          actioned.filter(item => item.outcome === 'rto').length
+        )
+      },
+      byReason: group('reasonCategory'),
+      byCourier: group('courierName'),
+      byAction: group('action', type => (ACTIONS[type] ? ACTIONS[type].label : 'No action'))
+    };
+  }
+}
+
+module.exports = new NdrService();
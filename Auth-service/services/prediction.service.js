@@ -8,6 +8,8 @@ const { initializeBedrock, BEDROCK_MODELS } = require('../config/bedrock.config'
 const { generateAIResponse: generateSmartAIResponse } = require('../config/ai.config');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const storeTimezoneService = require('./store-timezone.service');
+const { toStoreDate, getStoreToday } = require('../utils/timezone');
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION });
 const docClient = DynamoDBDocumentClient.from(client);
@@ -43,13 +45,12 @@ const generateAIResponse = async (prompt) => {
 const getHistoricalMetrics = async (userId, months = 2) => {
   try {
     // Calculate date range: 1 month before current + current month
-    // For Dec 12, 2025: November 1st to December 12th
-    const currentDate = new Date();
-    const startDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1); // First day of previous month
-    const endDate = currentDate; // Today
-    
-    const startDateStr = startDate.toISOString().slice(0, 10); // YYYY-MM-DD
-    const endDateStr = endDate.toISOString().slice(0, 10); // YYYY-MM-DD
+    // For Dec 12, 2025: November 1st to December 12th (calendar days in the store's timezone)
+    const timezone = await storeTimezoneService.getTimezone(userId);
+    const endDateStr = getStoreToday(timezone); // Today (YYYY-MM-DD)
+    const [currentYear, currentMonth] = endDateStr.split('-').map(Number);
+    const previousMonth = new Date(Date.UTC(currentYear, currentMonth - 2, 1)); // First day of previous month
+    const startDateStr = previousMonth.toISOString().slice(0, 10); // YYYY-MM-DD
 
     console.log(`\n🔍 ===== FETCHING HISTORICAL DATA (Same as Dashboard) =====`);
     console.log(`📅 Date Range: ${startDateStr} to ${endDateStr}`);
@@ -85,15 +86,15 @@ const getHistoricalMetrics = async (userId, months = 2) => {
     
     // Log sample order dates for debugging
     if (allOrders.length > 0) {
-      const sampleDates = allOrders.slice(0, 5).map(o => o.createdAt?.split('T')[0] || 'NO_DATE');
+      const sampleDates = allOrders.slice(0, 5).map(o => toStoreDate(o.createdAt, timezone) || 'NO_DATE');
       console.log(`   Sample order dates: ${sampleDates.join(', ')}`);
     }
     
     // Filter by date in JavaScript - SAME as dashboard controller
     const orders = allOrders.filter(order => {
       if (!order.createdAt) return false;
-      // Extract date from timestamp (YYYY-MM-DD)
-      const orderDate = order.createdAt.split('T')[0];
+      // Store-local date of the order (YYYY-MM-DD)
+      const orderDate = toStoreDate(order.createdAt, timezone);
       // Compare dates as strings (works because ISO format)
       return orderDate >= startDateStr && orderDate <= endDateStr;
     });
@@ -104,7 +105,7 @@ const getHistoricalMetrics = async (userId, months = 2) => {
     if (orders.length === 0 && allOrders.length > 0) {
       const orderDates = allOrders
         .filter(o => o.createdAt)
-        .map(o => o.createdAt.split('T')[0])
+        .map(o => toStoreDate(o.createdAt, timezone))
         .sort();
       if (orderDates.length > 0) {
         console.log(`⚠️  No orders in date range. Available order dates: ${orderDates[0]} to ${orderDates[orderDates.length - 1]}`);
@@ -122,7 +123,7 @@ const getHistoricalMetrics = async (userId, months = 2) => {
         return; // Skip this order
       }
 
-      const month = order.createdAt.slice(0, 7); // YYYY-MM from createdAt
+      const month = toStoreDate(order.createdAt, timezone).slice(0, 7); // YYYY-MM in store time
       if (!monthlyMetrics[month]) {
         monthlyMetrics[month] = { 
           revenue: 0, 
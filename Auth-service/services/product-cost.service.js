@@ -0,0 +1,349 @@
+/**
+ * Product Cost Service
+ *
+ * Effective-dated COGS history keyed by variant / SKU / product.
+ * Each entry says "from this date on, one unit costs X", so supplier price
+ * changes don't rewrite the margin of orders placed before the change.
+ *
+ * Table: product_cost_history (userId, costKey)
+ *   costKey = "<scope>:<id>#<effectiveFrom>" e.g. "variant:4455#2025-04-01"
+ */
+
+const { QueryCommand, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const storeTimezoneService = require('./store-timezone.service');
+const { toStoreDate, getStoreToday, addDays } = require('../utils/timezone');
+
+const COST_HISTORY_TABLE = process.env.PRODUCT_COST_HISTORY_TABLE || 'product_cost_history';
+const PRODUCTS_TABLE = process.env.SHOPIFY_PRODUCTS_TABLE || 'shopify_products';
+
+const parseCost = (value) => (value == null || String(value).trim() === '' ? NaN : Number(String(value).trim()));
+
+// YYYY-MM-DD that is a real calendar day (2024-13-45 isn't)
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(new Date(`${value}T00:00:00Z`).getTime()) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+/**
+ * Resolves the unit cost of an order line item on the order's date.
+ * Lookup order: variant history -> SKU history -> product history -> legacy product cost.
+ * Also exposes get(productId) so calculators written against the old
+ * productId -> cost Map keep working (returns the current product cost).
+ */
+class CostResolver {
+  constructor(entries, legacyProductCosts, timezone) {
+    this.legacyProductCosts = legacyProductCosts || new Map();
+    this.timezone = timezone; // effectiveFrom dates are store-local days
+    this.history = new Map(); // "<scope>:<id>" -> [{ effectiveFrom, cost }] sorted ascending
+
+    entries.forEach(entry => {
+      const key = `${entry.scope}:${entry.scopeId}`;
+      if (!this.history.has(key)) this.history.set(key, []);
+      this.history.get(key).push({ effectiveFrom: entry.effectiveFrom, cost: parseFloat(entry.cost) || 0 });
+    });
+
+    this.history.forEach(list => list.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)));
+  }
+
+  /**
+   * Cost in effect on a date for one history key.
+   * Returns null for dates before the first recorded cost, so the caller falls
+   * back to the next key and finally to the pre-history (legacy) cost.
+   */
+  costOn(key, date) {
+    const list = this.history.get(key);
+    if (!list || list.length === 0) return null;
+
+    let match = null;
+    for (const entry of list) {
+      if (entry.effectiveFrom <= date) match = entry;
+      else break;
+    }
+    return match ? match.cost : null;
+  }
+
+  /**
+   * Current product-level cost (Map-compatible).
+   * @param {string} productId - Shopify product ID.
+   * @returns {number|undefined}
+   */
+  get(productId) {
+    const cost = this.costOn(`product:${productId}`, getStoreToday(this.timezone));
+    return cost !== null ? cost : this.legacyProductCosts.get(productId);
+  }
+
+  has(productId) {
+    return this.history.has(`product:${productId}`) || this.legacyProductCosts.has(productId);
+  }
+
+  get size() {
+    return this.history.size + this.legacyProductCosts.size;
+  }
+
+  /**
+   * Unit cost for a line item on the date the order was placed.
+   * @param {object} item - Order line item (REST shape: product_id, variant_id, sku).
+   * @param {string} orderDate - Order createdAt (ISO string or YYYY-MM-DD).
+   * @returns {number} Unit cost (0 if unknown).
+   */
+  getUnitCost(item, orderDate) {
+    const date = toStoreDate(orderDate || new Date(), this.timezone);
+    const variantId = (item.variant_id || item.variantId)?.toString();
+    const productId = (item.product_id || item.productId)?.toString();
+
+    const candidates = [];
+    if (variantId) candidates.push(`variant:${variantId}`);
+    if (item.sku) candidates.push(`sku:${item.sku}`);
+    if (productId) candidates.push(`product:${productId}`);
+
+    for (const key of candidates) {
+      const cost = this.costOn(key, date);
+      if (cost !== null) return cost;
+    }
+
+    return (productId && this.legacyProductCosts.get(productId)) || 0;
+  }
+}
+
+class ProductCostService {
+  /**
+   * Build the history key scope for a cost update.
+   * Most specific identifier wins: variantId, then sku, then productId.
+   */
+  getScope(update) {
+    if (update.variantId) return { scope: 'variant', scopeId: update.variantId.toString() };
+    if (update.sku) return { scope: 'sku', scopeId: update.sku.toString().trim() };
+    if (update.productId) return { scope: 'product', scopeId: update.productId.toString() };
+    return null;
+  }
+
+  /**
+   * Validate one cost update. Returns an error message or null.
+   */
+  validateUpdate(update) {
+    if (!update || typeof update !== 'object') return 'Invalid entry';
+    if (!this.getScope(update)) return 'productId, variantId or sku is required';
+
+    // Whole value must be numeric - parseFloat would read "1,200" as 1
+    const cost = parseCost(update.cost);
+    if (!Number.isFinite(cost) || cost < 0) return 'cost must be a non-negative number';
+
+    if (update.effectiveFrom && !isValidDate(update.effectiveFrom)) {
+      return 'effectiveFrom must be a valid YYYY-MM-DD date';
+    }
+    return null;
+  }
+
+  /**
+   * Record cost entries in the history table.
+   * Product-level entries effective today or earlier also update
+   * shopify_products.manufacturingCost so older readers stay in sync; the cost it
+   * held before the first such update is kept as baseCost (the pre-history cost).
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array} updates - [{ productId, variantId?, sku?, cost, effectiveFrom? }]
+   * @returns {Promise<number>} Number of entries written.
+   */
+  async recordCosts(userId, updates) {
+    // "Today" is the store's calendar day - effectiveFrom is compared to store-local order dates
+    const today = getStoreToday(await storeTimezoneService.getTimezone(userId));
+    const timestamp = new Date().toISOString();
+    const BATCH_SIZE = 20;
+
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      const batch = updates.slice(i, i + BATCH_SIZE);
+
+      await Promise.all(batch.map(async (update) => {
+        const { scope, scopeId } = this.getScope(update);
+        const effectiveFrom = update.effectiveFrom || today;
+        const cost = parseCost(update.cost);
+
+        await dynamoDB.send(new PutCommand({
+          TableName: COST_HISTORY_TABLE,
+          Item: {
+            userId,
+            costKey: `${scope}:${scopeId}#${effectiveFrom}`,
+            scope,
+            scopeId,
+            productId: update.productId ? update.productId.toString() : null,
+            variantId: update.variantId ? update.variantId.toString() : null,
+            sku: update.sku || null,
+            cost,
+            effectiveFrom,
+            createdAt: timestamp
+          }
+        }));
+
+        if (update.productId && effectiveFrom <= today) {
+          const key = { userId, productId: update.productId.toString() };
+          const result = await dynamoDB.send(new UpdateCommand({
+            TableName: PRODUCTS_TABLE,
+            Key: key,
+            UpdateExpression: scope === 'product'
+              ? 'SET manufacturingCost = :cost, costUpdatedAt = :timestamp'
+              : 'SET costUpdatedAt = :timestamp',
+            ExpressionAttributeValues: scope === 'product'
+              ? { ':cost': cost, ':timestamp': timestamp }
+              : { ':timestamp': timestamp },
+            ReturnValues: 'ALL_OLD'
+          }));
+
+          const previous = result.Attributes;
+          if (scope === 'product' && previous?.baseCost === undefined) {
+            await this.saveBaseCost(key, parseFloat(previous?.manufacturingCost) || 0);
+          }
+        }
+      }));
+    }
+
+    // COGS changed from the earliest effectiveFrom onwards - rebuild those daily rollups
+    // (capped to the last 400 days; older history keeps its previous COGS until a full rebuild)
+    const earliest = updates.reduce((min, u) => {
+      const from = u.effectiveFrom || today;
+      return from < min ? from : min;
+    }, today);
+    const cap = addDays(today, -400);
+    const dailyMetricsService = require('./daily-metrics.service'); // Lazy: daily-metrics depends on this service
+    dailyMetricsService.markRangeDirty(userId, earliest > cap ? earliest : cap, today);
+
+    return updates.length;
+  }
+
+  /**
+   * Keep the product's pre-history cost. Only the first write sticks.
+   */
+  async saveBaseCost(key, baseCost) {
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: key,
+        UpdateExpression: 'SET baseCost = :baseCost',
+        ConditionExpression: 'attribute_not_exists(baseCost)',
+        ExpressionAttributeValues: { ':baseCost': baseCost }
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+
+  /**
+   * Fetch the full cost history for a user.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Array>} History entries.
+   */
+  async getCostHistory(userId) {
+    try {
+      let entries = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: COST_HISTORY_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: { ':userId': userId },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        entries = entries.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return entries;
+    } catch (error) {
+      console.error('Error fetching product cost history:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Legacy (pre-history) productId -> cost map: onboarding step3 costs first,
+   * then shopify_products.baseCost, then manufacturingCost.
+   *
+   * @param {object} onboardingData - Onboarding record (step3.productCosts).
+   * @param {Array} products - Shopify products.
+   * @returns {Map} productId -> cost.
+   */
+  buildLegacyProductCosts(onboardingData, products) {
+    const legacyProductCosts = new Map();
+    if (onboardingData?.step3?.productCosts) {
+      onboardingData.step3.productCosts.forEach(p => {
+        if (p.productId) legacyProductCosts.set(p.productId.toString(), parseFloat(p.cost) || 0);
+      });
+    }
+    (products || []).forEach(p => {
+      if (p.productId && !legacyProductCosts.has(p.productId.toString())) {
+        legacyProductCosts.set(p.productId.toString(), parseFloat(p.baseCost ?? p.manufacturingCost) || 0);
+      }
+    });
+    return legacyProductCosts;
+  }
+
+  /**
+   * Load everything needed for COGS and build the resolver (for background jobs
+   * that don't already have products / onboarding data in hand).
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} timezone - Store IANA timezone.
+   * @returns {Promise<CostResolver>}
+   */
+  async loadCostResolver(userId, timezone) {
+    const [onboardingResult, products, history] = await Promise.all([
+      dynamoDB.send(new QueryCommand({
+        TableName: process.env.ONBOARDING_TABLE_NAME || 'Onboarding',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId }
+      })).catch(error => {
+        console.error('Error fetching onboarding data for costs:', error.message);
+        return { Items: [] };
+      }),
+      this.getProductCosts(userId),
+      this.getCostHistory(userId)
+    ]);
+
+    const legacyProductCosts = this.buildLegacyProductCosts(onboardingResult.Items?.[0] || null, products);
+    return this.buildCostResolver(history, legacyProductCosts, timezone);
+  }
+
+  /**
+   * Fetch productId / manufacturingCost / baseCost from shopify_products.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<Array>}
+   */
+  async getProductCosts(userId) {
+    try {
+      let products = [];
+      let lastEvaluatedKey = null;
+
+      do {
+        const result = await dynamoDB.send(new QueryCommand({
+          TableName: PRODUCTS_TABLE,
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: { ':userId': userId },
+          ProjectionExpression: 'productId, manufacturingCost, baseCost',
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        products = products.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return products;
+    } catch (error) {
+      console.error('Error fetching product costs:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Build a resolver from history entries plus the legacy productId -> cost map
+   * (onboarding step3 costs / shopify_products.manufacturingCost).
+   *
+   * @param {Array} entries - Cost history entries.
+   * @param {Map} legacyProductCosts - productId -> cost.
+   * @param {string} timezone - Store IANA timezone used to date orders.
+   * @returns {CostResolver}
+   */
+  buildCostResolver(entries, legacyProductCosts, timezone) {
+    return new CostResolver(entries || [], legacyProductCosts, timezone);
+  }
+}
+
+module.exports = new ProductCostService();
@@ -0,0 +1,685 @@
+/**
+ * RTO Risk Service
+ *
+ * Scores how likely an order is to come back as RTO, learned from the store's
+ * own closed shipments (delivered vs RTO):
+ * 1. Train - shipments are matched to their Shopify orders and bucketed by
+ *    location (pincode, falling back to its 3-digit area, then state), COD vs
+ *    prepaid, order value, customer history, time of day and address quality
+ * 2. Model - each bucket's RTO rate is shrunk toward the store's base rate; a
+ *    score adds every bucket's log-odds lift to the base rate (naive Bayes style),
+ *    so each score comes with the factors that moved it
+ * 3. Score - recent orders are scored as they're stored (storeOrdersBatch) and
+ *    the result is kept on the order as `rtoRisk`; the Order Confirmation page
+ *    scores any order in its range that doesn't have one yet
+ * 4. Threshold - orders scoring at or above the store's callThreshold are
+ *    flagged for a confirmation call. It's applied when orders are read, so
+ *    changing it needs no rescoring.
+ *
+ * Models are retrained daily by the scheduler (or on demand from the Order
+ * Confirmation page) and kept in rto_risk_models. Scoring never trains - it uses
+ * the stored model. Customer history (prior orders / RTOs per phone) is only
+ * built by training and stays in memory with the model; scores made without it
+ * (after a restart, until the next retrain) leave out the customer factor.
+ */
+
+const { GetCommand, PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const storeTimezoneService = require('./store-timezone.service');
+const { getZonedParts } = require('../utils/timezone');
+const { getShipmentOutcome } = require('./shipping-providers/shipment-record');
+
+const MODELS_TABLE = process.env.RTO_RISK_MODELS_TABLE || 'rto_risk_models';
+const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
+const SHIPMENTS_TABLE = process.env.SHIPROCKET_SHIPMENTS_TABLE || 'shiprocket_shipments';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_TRAINING_SHIPMENTS = 50; // Closed (delivered / RTO) shipments needed before scoring
+const PRIOR_STRENGTH = 20; // Pseudo-shipments at the base rate added to every bucket
+const MIN_LOCATION_SAMPLES = 10; // Fewer shipments than this -> use the broader location level
+const MIN_PINCODE_SAMPLES = 3;
+const MAX_PINCODES = 5000; // Keeps the model item well under DynamoDB's 400 KB
+const HOLDOUT_SHARE = 0.2; // Newest shipments held out to measure the model (AUC)
+const DEFAULT_CALL_THRESHOLD = 40; // % RTO probability
+const SCORE_WINDOW_DAYS = 30; // Orders older than this are past confirmation calls
+const MAX_LAZY_SAVES = 500; // Scores persisted per Order Confirmation request
+const MAX_CONTEXTS = 200; // Users whose model (and customer history) stay in memory
+const CONTEXT_TTL = 26 * 60 * 60 * 1000; // Trained contexts last until the next daily retrain
+const STORED_CONTEXT_TTL = 60 * 60 * 1000; // Stored models are re-read to pick up retrains from other instances
+
+const VALUE_BUCKETS = [
+  { key: '0-499', max: 500, label: 'under ₹500' },
+  { key: '500-999', max: 1000, label: '₹500–999' },
+  { key: '1000-1999', max: 2000, label: '₹1,000–1,999' },
+  { key: '2000-3999', max: 4000, label: '₹2,000–3,999' },
+  { key: '4000+', max: Infinity, label: '₹4,000+' }
+];
+
+const TIME_BUCKETS = [
+  { key: 'night', until: 6, label: 'Ordered late night (12–6 AM)' },
+  { key: 'morning', until: 12, label: 'Ordered in the morning (6 AM–12 PM)' },
+  { key: 'afternoon', until: 18, label: 'Ordered in the afternoon (12–6 PM)' },
+  { key: 'evening', until: 24, label: 'Ordered in the evening (6 PM–12 AM)' }
+];
+
+const CUSTOMER_LABELS = {
+  new: 'First order',
+  repeat: 'Repeat customer',
+  repeat_rto: 'Repeat customer with a past RTO'
+};
+
+// Location levels, most specific first
+const LOCATION_LEVELS = ['pincode', 'region', 'state'];
+const FEATURES = [...LOCATION_LEVELS, 'payment', 'orderValue', 'customer', 'timeOfDay', 'address'];
+
+const FEATURE_LABELS = {
+  pincode: (b) => `Pincode ${b.pincode}`,
+  region: (b) => `Pincode area ${b.region}xxx`,
+  state: (b) => `State: ${b.stateName}`,
+  payment: (b) => (b.payment === 'cod' ? 'Cash on delivery' : 'Prepaid'),
+  orderValue: (b) => `Order value ${VALUE_BUCKETS.find(v => v.key === b.orderValue).label}`,
+  customer: (b) => CUSTOMER_LABELS[b.customer],
+  timeOfDay: (b) => TIME_BUCKETS.find(t => t.key === b.timeOfDay).label,
+  address: (b) => (b.address === 'good' ? 'Address looks complete' : `Address: ${b.addressIssues.join(', ').toLowerCase()}`)
+};
+
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const clampRate = (rate) => Math.min(0.999, Math.max(0.001, rate));
+const toLogit = (rate) => Math.log(clampRate(rate) / (1 - clampRate(rate)));
+
+// "#1001", "1001" and 1001 all refer to the same order
+const normalizeOrderRef = (value) => (value != null ? value.toString().replace(/^#/, '').trim() : null);
+
+/**
+ * Last 10 digits of an Indian mobile number ("+91 98765-43210" -> "9876543210").
+ */
+function normalizePhone(value) {
+  const digits = (value || '').toString().replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+/**
+ * COD vs prepaid from a Shopify order (REST payload or stored item).
+ * Unpaid orders without a recognisable gateway are treated as COD.
+ */
+function orderPaymentMethod(order) {
+  const data = order.orderData || order;
+  const gateways = [...(data.payment_gateway_names || []), data.gateway || ''].join(' ').toLowerCase();
+  if (gateways.includes('cod') || gateways.includes('cash')) return 'cod';
+
+  const financialStatus = (order.financialStatus || order.financial_status || '').toLowerCase();
+  return ['paid', 'partially_paid', 'refunded', 'partially_refunded'].includes(financialStatus) ? 'prepaid' : 'cod';
+}
+
+/**
+ * Address problems that tend to end in failed deliveries.
+ * @param {object} address - Shopify shipping address.
+ * @returns {Array<string>} Issues found (empty when the address looks complete).
+ */
+function addressIssues(address) {
+  const text = [address.address1, address.address2].filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+  const issues = [];
+
+  if (text.length < 20) issues.push('Very short');
+  if (!/\d/.test(text)) issues.push('No house / flat number');
+  if (!/^[1-9]\d{5}$/.test((address.zip || '').toString().replace(/\s/g, ''))) issues.push('Invalid pincode');
+  if (/(.)\1{3,}/.test(text) || /^(na|n\/a|test|xyz|abc|asdf)\b/i.test(text) ||
+    (address.city && text.toLowerCase() === address.city.toLowerCase())) {
+    issues.push('Placeholder text');
+  }
+  if (address.phone && !/^[6-9]\d{9}$/.test(normalizePhone(address.phone) || '')) issues.push('Invalid phone');
+
+  return issues;
+}
+
+/**
+ * Features of a Shopify order (REST payload from webhooks or stored shopify_orders item).
+ */
+function describeOrder(order) {
+  const address = order.shippingAddress || order.shipping_address || null;
+  const customerId = order.customerId || order.customer?.id;
+  const email = (order.customerEmail || order.email || '').toLowerCase();
+  const time = new Date(order.createdAt || order.created_at);
+
+  return {
+    time: isNaN(time.getTime()) ? null : time,
+    hasTime: !isNaN(time.getTime()),
+    pincode: (address?.zip || '').toString().replace(/\s/g, '') || null,
+    state: address?.province || null,
+    paymentMethod: orderPaymentMethod(order),
+    orderValue: parseFloat(order.totalPrice ?? order.total_price) || 0,
+    customerKey: normalizePhone(address?.phone || order.phone || order.orderData?.phone || order.customer?.phone) ||
+      (customerId ? `c:${customerId}` : null) || email || null,
+    address
+  };
+}
+
+/**
+ * Features of a shipment that couldn't be matched to a Shopify order.
+ * Shipments only carry the order date, so time of day and address are unknown.
+ */
+function describeShipment(shipment) {
+  return {
+    time: shipment.parsedOrderDate ? new Date(`${shipment.parsedOrderDate}T12:00:00Z`) : null,
+    hasTime: false,
+    pincode: (shipment.customerPincode || '').toString().replace(/\s/g, '') || null,
+    state: shipment.customerState || null,
+    paymentMethod: shipment.paymentMethod || null,
+    orderValue: parseFloat(shipment.orderValue) || 0,
+    customerKey: normalizePhone(shipment.customerPhone),
+    address: null
+  };
+}
+
+/**
+ * Count a customer's orders / RTOs placed before a time.
+ */
+function customerBucket(history, key, time) {
+  if (!history || !key || !time) return null;
+  const entry = history.get(key);
+  const before = (times) => (entry ? times.filter(t => t < time.getTime()).length : 0);
+
+  if (!entry || before(entry.orders) === 0) return 'new';
+  return before(entry.rtos) > 0 ? 'repeat_rto' : 'repeat';
+}
+
+/**
+ * Customer history: every order placed, and the ones that came back RTO.
+ * @param {Array} orderDescs - describeOrder() of the stored Shopify orders.
+ * @param {Array} closed - Closed shipments [{ desc, matched, isRto }].
+ * @param {number} [until] - Only orders placed before this time (ms) count.
+ * @returns {Map} customerKey -> { orders: [ms], rtos: [ms] }
+ */
+function buildHistory(orderDescs, closed, until = Infinity) {
+  const history = new Map();
+  const record = (key, time, field) => {
+    if (!key || !time || time.getTime() >= until) return;
+    if (!history.has(key)) history.set(key, { orders: [], rtos: [] });
+    history.get(key)[field].push(time.getTime());
+  };
+
+  orderDescs.forEach(desc => record(desc.customerKey, desc.time, 'orders'));
+  closed.forEach(({ desc, matched, isRto }) => {
+    if (!matched) record(desc.customerKey, desc.time, 'orders');
+    if (isRto) record(desc.customerKey, desc.time, 'rtos');
+  });
+  return history;
+}
+
+/**
+ * Model buckets for an order description.
+ */
+function toBuckets(desc, timezone, history) {
+  const pincode = /^[1-9]\d{5}$/.test(desc.pincode || '') ? desc.pincode : null;
+  const issues = desc.address ? addressIssues(desc.address) : null;
+  const hour = desc.hasTime ? getZonedParts(desc.time, timezone).hour : null;
+
+  return {
+    pincode,
+    region: pincode ? pincode.slice(0, 3) : null,
+    state: desc.state ? desc.state.trim().toLowerCase() : null,
+    stateName: desc.state,
+    payment: desc.paymentMethod,
+    orderValue: desc.orderValue > 0 ? VALUE_BUCKETS.find(v => desc.orderValue < v.max).key : null,
+    customer: customerBucket(history, desc.customerKey, desc.time),
+    timeOfDay: hour != null ? TIME_BUCKETS.find(t => hour < t.until).key : null,
+    address: issues ? (issues.length === 0 ? 'good' : issues.length === 1 ? 'fair' : 'poor') : null,
+    addressIssues: issues
+  };
+}
+
+/**
+ * [n, rto] counts per bucket for every feature.
+ */
+function fit(examples) {
+  const features = Object.fromEntries(FEATURES.map(feature => [feature, {}]));
+  let rto = 0;
+
+  examples.forEach(({ buckets, isRto }) => {
+    if (isRto) rto++;
+    FEATURES.forEach(feature => {
+      const key = buckets[feature];
+      if (key == null) return;
+      const counts = features[feature][key] || (features[feature][key] = [0, 0]);
+      counts[0]++;
+      if (isRto) counts[1]++;
+    });
+  });
+
+  features.pincode = Object.fromEntries(Object.entries(features.pincode)
+    .filter(([, [n]]) => n >= MIN_PINCODE_SAMPLES)
+    .sort((a, b) => b[1][0] - a[1][0])
+    .slice(0, MAX_PINCODES));
+
+  return { samples: examples.length, rtoShipments: rto, baseRate: examples.length ? rto / examples.length : 0, features };
+}
+
+/**
+ * RTO probability (%) and the factors behind it.
+ */
+function scoreBuckets(model, buckets) {
+  const baseRate = clampRate(model.baseRate);
+  let logit = toLogit(baseRate);
+  const factors = [];
+
+  const add = (feature) => {
+    const counts = model.features[feature]?.[buckets[feature]];
+    if (!counts) return; // Unseen bucket - no evidence either way
+    const rate = (counts[1] + PRIOR_STRENGTH * baseRate) / (counts[0] + PRIOR_STRENGTH);
+    const lift = toLogit(rate) - toLogit(baseRate);
+    logit += lift;
+    factors.push({ feature, label: FEATURE_LABELS[feature](buckets), ratio: round(rate / baseRate), lift });
+  };
+
+  const location = LOCATION_LEVELS.find(level =>
+    buckets[level] != null && (model.features[level]?.[buckets[level]]?.[0] || 0) >= MIN_LOCATION_SAMPLES);
+  if (location) add(location);
+  FEATURES.filter(feature => !LOCATION_LEVELS.includes(feature) && buckets[feature] != null).forEach(add);
+
+  const probability = 1 / (1 + Math.exp(-logit));
+  return {
+    score: round(Math.min(0.99, Math.max(0.01, probability)) * 100, 1),
+    factors: factors
+      .sort((a, b) => Math.abs(b.lift) - Math.abs(a.lift))
+      .slice(0, 4)
+      .map(({ feature, label, ratio }) => ({ feature, label, ratio }))
+  };
+}
+
+/**
+ * Area under the ROC curve (rank-sum), ties sharing their average rank.
+ */
+function areaUnderCurve(pairs) {
+  const sorted = [...pairs].sort((a, b) => a.score - b.score);
+  const positives = sorted.filter(p => p.isRto).length;
+  const negatives = sorted.length - positives;
+  if (!positives || !negatives) return null;
+
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].score === sorted[i].score) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) if (sorted[k].isRto) rankSum += averageRank;
+    i = j;
+  }
+  return round((rankSum - (positives * (positives + 1)) / 2) / (positives * negatives), 3);
+}
+
+class RtoRiskService {
+  constructor() {
+    this.contexts = new Map(); // userId -> { model, history, timezone, builtAt }
+    this.training = new Map(); // userId -> in-flight train()
+  }
+
+  /**
+   * Stored model (without training).
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<object|null>}
+   */
+  async getModel(userId) {
+    const cached = this.getCachedContext(userId);
+    if (cached) return cached.model;
+
+    const result = await dynamoDB.send(new GetCommand({ TableName: MODELS_TABLE, Key: { userId } }));
+    return result.Item || null;
+  }
+
+  /**
+   * Model and customer history for scoring. Never trains (scoring runs on
+   * webhooks and page loads) - without a trained context in memory the stored
+   * model is used without customer history.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<object|null>} Context, or null when no model has been trained yet
+   */
+  async getContext(userId) {
+    const cached = this.getCachedContext(userId);
+    if (cached) return cached;
+
+    const [result, timezone] = await Promise.all([
+      dynamoDB.send(new GetCommand({ TableName: MODELS_TABLE, Key: { userId } })),
+      storeTimezoneService.getTimezone(userId)
+    ]);
+    if (!result.Item) return null;
+    return this.cacheContext(userId, { model: result.Item, history: null, timezone, builtAt: Date.now() });
+  }
+
+  getCachedContext(userId) {
+    const cached = this.contexts.get(userId);
+    if (!cached) return null;
+
+    const ttl = cached.history ? CONTEXT_TTL : STORED_CONTEXT_TTL;
+    if (Date.now() - cached.builtAt < ttl) return cached;
+    this.contexts.delete(userId);
+    return null;
+  }
+
+  /**
+   * Keep a context, evicting the oldest once MAX_CONTEXTS users are held.
+   */
+  cacheContext(userId, context) {
+    this.contexts.delete(userId); // Re-inserted so the Map stays oldest first
+    this.contexts.set(userId, context);
+    if (this.contexts.size > MAX_CONTEXTS) this.contexts.delete(this.contexts.keys().next().value);
+    return context;
+  }
+
+  /**
+   * Train (or retrain) the user's model from closed shipments and store it.
+   * Parallel calls for the same user share one run.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<object>} Context { model, history, timezone, builtAt }
+   */
+  train(userId) {
+    if (!this.training.has(userId)) {
+      const run = this.runTraining(userId).finally(() => this.training.delete(userId));
+      this.training.set(userId, run);
+    }
+    return this.training.get(userId);
+  }
+
+  async runTraining(userId) {
+    const startTime = Date.now();
+    const [timezone, orders, shipments, stored] = await Promise.all([
+      storeTimezoneService.getTimezone(userId),
+      this.loadOrders(userId),
+      this.loadShipments(userId),
+      dynamoDB.send(new GetCommand({ TableName: MODELS_TABLE, Key: { userId } }))
+    ]);
+
+    const ordersByRef = new Map();
+    orders.forEach(order => {
+      [order.orderNumber, order.orderId].forEach(ref => {
+        const key = normalizeOrderRef(ref);
+        if (key && !ordersByRef.has(key)) ordersByRef.set(key, order);
+      });
+    });
+
+    const closed = [];
+    shipments.forEach(shipment => {
+      const outcome = getShipmentOutcome(shipment);
+      if (outcome === 'other') return;
+
+      const order = ordersByRef.get(normalizeOrderRef(shipment.channelOrderId)) ||
+        ordersByRef.get(normalizeOrderRef(shipment.orderId));
+      const fromShipment = describeShipment(shipment);
+      // Courier payment type beats Shopify's (COD orders read as paid once remitted)
+      const desc = order
+        ? { ...describeOrder(order), paymentMethod: fromShipment.paymentMethod || orderPaymentMethod(order) }
+        : fromShipment;
+      if (!desc.orderValue) desc.orderValue = fromShipment.orderValue;
+
+      closed.push({ desc, matched: !!order, isRto: outcome === 'rto', time: desc.time ? desc.time.getTime() : 0 });
+    });
+
+    const orderDescs = orders.map(describeOrder);
+    const history = buildHistory(orderDescs, closed);
+    const examples = closed.map(({ desc, isRto }) => ({ buckets: toBuckets(desc, timezone, history), isRto }));
+
+    const model = {
+      userId,
+      trainedAt: new Date().toISOString(),
+      callThreshold: stored.Item?.callThreshold ?? DEFAULT_CALL_THRESHOLD,
+      ...(stored.Item?.thresholdUpdatedAt && { thresholdUpdatedAt: stored.Item.thresholdUpdatedAt }),
+      ...fit(examples),
+      evaluation: examples.length >= MIN_TRAINING_SHIPMENTS ? this.evaluate(closed, orderDescs, timezone) : null
+    };
+    model.status = examples.length >= MIN_TRAINING_SHIPMENTS && model.rtoShipments > 0 ? 'ready' : 'insufficient_data';
+
+    await dynamoDB.send(new PutCommand({ TableName: MODELS_TABLE, Item: model }));
+
+    console.log(`🎯 RTO model for ${userId}: ${model.status}, ${model.samples} shipments, base rate ${round(model.baseRate * 100, 1)}%` +
+      `${model.evaluation ? `, AUC ${model.evaluation.auc}` : ''} (${Date.now() - startTime}ms)`);
+
+    return this.cacheContext(userId, { model, history, timezone, builtAt: Date.now() });
+  }
+
+  /**
+   * Fit on older shipments and measure on the newest HOLDOUT_SHARE. Customer
+   * history is rebuilt from the training split so holdout outcomes can't leak
+   * into the scores they're measured against.
+   */
+  evaluate(closed, orderDescs, timezone) {
+    const sorted = [...closed].sort((a, b) => a.time - b.time);
+    const holdoutSize = Math.floor(sorted.length * HOLDOUT_SHARE);
+    const training = sorted.slice(0, sorted.length - holdoutSize);
+    const holdout = sorted.slice(sorted.length - holdoutSize);
+    if (holdout.length === 0) return null;
+
+    const history = buildHistory(orderDescs, training, holdout[0].time);
+    const toExample = ({ desc, isRto }) => ({ buckets: toBuckets(desc, timezone, history), isRto });
+
+    const model = fit(training.map(toExample));
+    if (!model.rtoShipments) return null;
+
+    const auc = areaUnderCurve(holdout.map(toExample).map(({ buckets, isRto }) => ({ score: scoreBuckets(model, buckets).score, isRto })));
+    return auc == null ? null : { holdout: holdout.length, auc };
+  }
+
+  /**
+   * Retrain every user's model (daily scheduler).
+   * @param {Array<string>} userIds - Users with a Shopify store.
+   * @returns {Promise<Array>} [{ userId, success, status, samples }]
+   */
+  async trainAll(userIds) {
+    const results = [];
+    for (const userId of userIds) {
+      try {
+        const { model } = await this.train(userId);
+        results.push({ userId, success: true, status: model.status, samples: model.samples });
+      } catch (error) {
+        console.error(`   ❌ RTO model training failed for ${userId}:`, error.message);
+        results.push({ userId, success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Score an order with a model context.
+   * @param {object} context - From getContext().
+   * @param {object} order - Shopify REST order or stored shopify_orders item.
+   * @returns {object|null} rtoRisk { score, factors, modelTrainedAt, scoredAt }
+   */
+  scoreOrder(context, order) {
+    if (context.model.status !== 'ready') return null;
+
+    const buckets = toBuckets(describeOrder(order), context.timezone, context.history);
+    return {
+      ...scoreBuckets(context.model, buckets),
+      modelTrainedAt: context.model.trainedAt,
+      scoredAt: new Date().toISOString()
+    };
+  }
+
+  async saveScore(userId, orderId, rtoRisk) {
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: ORDERS_TABLE,
+        Key: { userId, orderId: orderId.toString() },
+        UpdateExpression: 'SET rtoRisk = :rtoRisk',
+        ConditionExpression: 'attribute_exists(orderId)',
+        ExpressionAttributeValues: { ':rtoRisk': rtoRisk }
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        console.error(`   ❌ Error saving RTO score for order ${orderId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Score orders just stored from Shopify (sync or webhook). Orders are
+   * re-written whole on every update, so recent ones are rescored each time.
+   * Never throws - a failed score must not fail the order sync.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array} orders - Shopify REST orders.
+   * @returns {Promise<void>}
+   */
+  async scoreOrders(userId, orders) {
+    const cutoff = Date.now() - SCORE_WINDOW_DAYS * DAY_MS;
+    const recent = orders.filter(order =>
+      !order.cancelled_at && !order.test && new Date(order.created_at).getTime() >= cutoff);
+    if (recent.length === 0) return;
+
+    try {
+      const context = await this.getContext(userId);
+      if (context?.model.status !== 'ready') return;
+
+      for (let i = 0; i < recent.length; i += 10) {
+        await Promise.all(recent.slice(i, i + 10).map(order =>
+          this.saveScore(userId, order.id, this.scoreOrder(context, order))));
+      }
+    } catch (error) {
+      console.error(`   ❌ RTO scoring failed for ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Fill in rtoRisk for stored orders that don't have one (mutates the orders)
+   * and persist the newest MAX_LAZY_SAVES of them.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {Array} orders - shopify_orders items, newest first.
+   * @returns {Promise<object|null>} The model used (for present()), null when none is trained.
+   */
+  async scoreStoredOrders(userId, orders) {
+    const context = await this.getContext(userId);
+    if (!context) return null;
+    if (context.model.status !== 'ready') return context.model;
+
+    const unscored = orders.filter(order => !order.rtoRisk);
+    unscored.forEach(order => {
+      order.rtoRisk = this.scoreOrder(context, order);
+    });
+
+    const toSave = unscored.slice(0, MAX_LAZY_SAVES);
+    for (let i = 0; i < toSave.length; i += 10) {
+      await Promise.all(toSave.slice(i, i + 10).map(order => this.saveScore(userId, order.orderId, order.rtoRisk)));
+    }
+    if (unscored.length > 0) {
+      console.log(`🎯 Scored ${unscored.length} order(s) for RTO risk (${toSave.length} saved)`);
+    }
+
+    return context.model;
+  }
+
+  /**
+   * Stored score with the current threshold applied.
+   * @param {object|null} rtoRisk - Order's stored rtoRisk.
+   * @param {object|null} model - Current model (threshold, base rate).
+   * @returns {object|null} { score, level: high|medium|low, flagged, factors, ... }
+   */
+  present(rtoRisk, model) {
+    if (!rtoRisk) return null;
+
+    const threshold = model?.callThreshold ?? DEFAULT_CALL_THRESHOLD;
+    const flagged = rtoRisk.score >= threshold;
+    const baseScore = model?.baseRate != null ? model.baseRate * 100 : null;
+
+    return {
+      ...rtoRisk,
+      flagged,
+      level: flagged ? 'high' : baseScore != null && rtoRisk.score >= baseScore ? 'medium' : 'low'
+    };
+  }
+
+  /**
+   * Model summary for the Order Confirmation page (no bucket tables).
+   * @param {object|null} model - Stored model.
+   * @returns {object}
+   */
+  summarize(model) {
+    return {
+      status: model?.status || 'not_trained',
+      trainedAt: model?.trainedAt || null,
+      samples: model?.samples || 0,
+      rtoShipments: model?.rtoShipments || 0,
+      baseRate: model?.baseRate != null ? round(model.baseRate * 100, 1) : null,
+      auc: model?.evaluation?.auc ?? null,
+      holdout: model?.evaluation?.holdout ?? null,
+      callThreshold: model?.callThreshold ?? DEFAULT_CALL_THRESHOLD,
+      minSamples: MIN_TRAINING_SHIPMENTS
+    };
+  }
+
+  /**
+   * Set the score at which orders are flagged for a confirmation call.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {number} threshold - RTO probability in % (1-99).
+   * @returns {Promise<number>}
+   */
+  async setThreshold(userId, threshold) {
+    const value = Number(threshold);
+    if (!Number.isFinite(value) || value < 1 || value > 99) {
+      throw apiError('threshold must be a percentage between 1 and 99', 400);
+    }
+
+    const updatedAt = new Date().toISOString();
+    await dynamoDB.send(new UpdateCommand({
+      TableName: MODELS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET callThreshold = :threshold, thresholdUpdatedAt = :updatedAt',
+      ExpressionAttributeValues: { ':threshold': value, ':updatedAt': updatedAt }
+    }));
+
+    const cached = this.contexts.get(userId);
+    if (cached) Object.assign(cached.model, { callThreshold: value, thresholdUpdatedAt: updatedAt });
+    return value;
+  }
+
+  /**
+   * Valid orders with the fields the model reads.
+   */
+  async loadOrders(userId) {
+    const orders = [];
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: ORDERS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ExpressionAttributeNames: { '#data': 'orderData', '#gateway': 'gateway', '#gateways': 'payment_gateway_names', '#phone': 'phone' },
+        ProjectionExpression: 'orderId, orderNumber, createdAt, totalPrice, financialStatus, customerId, customerEmail, shippingAddress, #data.#gateway, #data.#gateways, #data.#phone',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      (result.Items || []).forEach(order => {
+        if (!order.createdAt || isNaN(new Date(order.createdAt).getTime())) return;
+        if ((order.financialStatus || '').toLowerCase() === 'voided') return;
+        orders.push(order);
+      });
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return orders;
+  }
+
+  async loadShipments(userId) {
+    const shipments = [];
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: SHIPMENTS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ExpressionAttributeNames: { '#status': 'status' },
+        ProjectionExpression: 'orderId, channelOrderId, #status, shipmentStatus, statusCode, canonicalStatus, isRto, paymentMethod, orderValue, customerPhone, customerState, customerPincode, parsedOrderDate',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+      shipments.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return shipments;
+  }
+}
+
+module.exports = new RtoRiskService();
@@ -0,0 +1,207 @@
+/**
+ * Delhivery Provider Adapter
+ *
+ * Direct Delhivery accounts (API token). Delhivery has no shipment list API, so
+ * waybills are discovered from Shopify fulfillments (passed in by the sync) and
+ * tracked 50 at a time. The tracking API doesn't return charges; when the
+ * connection has a pickup pincode, freight is estimated with Delhivery's
+ * invoice charges API for the shipment's lane, weight and outcome.
+ */
+
+const axios = require('axios');
+const { SHIPMENT_STATUSES, statusFromText, createShipmentRecord } = require('./shipment-record');
+
+const DELHIVERY_API_BASE = 'https://track.delhivery.com';
+const TRACK_BATCH_SIZE = 50;
+const DEFAULT_WEIGHT_GRAMS = 500;
+
+class DelhiveryProvider {
+  constructor() {
+    this.platform = 'Delhivery';
+    this.listsShipments = false;
+  }
+
+  getHeaders(connection) {
+    return { 'Authorization': `Token ${connection.token}`, 'Content-Type': 'application/json' };
+  }
+
+  /**
+   * Validate the API token with a pincode serviceability lookup.
+   * @returns {Promise<object>} Connection data: token, pickup_pincode (optional, for freight).
+   */
+  async authenticate({ access_token: accessToken, pickup_pincode: pickupPincode }) {
+    if (!accessToken) {
+      throw new Error('API token is required for Delhivery');
+    }
+    if (pickupPincode && !/^\d{6}$/.test(pickupPincode.toString().trim())) {
+      throw new Error('Pickup pincode must be a 6-digit pincode');
+    }
+
+    console.log(`   🔑 Validating Delhivery token...`);
+
+    const connection = { token: accessToken.trim() };
+    const response = await axios.get(`${DELHIVERY_API_BASE}/c/api/pin-codes/json/`, {
+      headers: this.getHeaders(connection),
+      params: { filter_codes: pickupPincode || '110001' },
+      timeout: 30000,
+      validateStatus: status => status < 500
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Invalid Delhivery API token');
+    }
+
+    console.log(`   ✅ Delhivery token validated`);
+
+    return {
+      ...connection,
+      pickup_pincode: pickupPincode ? pickupPincode.toString().trim() : null
+    };
+  }
+
+  async trackWaybills(connection, waybills) {
+    const response = await axios.get(`${DELHIVERY_API_BASE}/api/v1/packages/json/`, {
+      headers: this.getHeaders(connection),
+      params: { waybill: waybills.join(',') },
+      timeout: 30000
+    });
+
+    return (response.data?.ShipmentData || []).map(entry => entry.Shipment).filter(Boolean);
+  }
+
+  /**
+   * Track the waybills found on Shopify fulfillments; waybills Delhivery doesn't know are skipped.
+   * @param {object} connection - Stored connection.
+   * @param {object} options - { fulfillments: [{ awbCode, courierName, orderFields }] }
+   */
+  async fetchShipments(connection, { fulfillments = [] }) {
+    const records = [];
+
+    for (let i = 0; i < fulfillments.length; i += TRACK_BATCH_SIZE) {
+      const batch = fulfillments.slice(i, i + TRACK_BATCH_SIZE);
+      const tracked = new Map((await this.trackWaybills(connection, batch.map(f => f.awbCode)))
+        .map(shipment => [shipment.AWB?.toString(), shipment]));
+
+      batch.forEach(fulfillment => {
+        const shipment = tracked.get(fulfillment.awbCode);
+        if (!shipment) return;
+
+        const status = shipment.Status || {};
+        const consignee = shipment.Consignee || {};
+        const chargedWeight = parseFloat(shipment.ChargedWeight) || 0;
+
+        records.push(createShipmentRecord(this.platform, {
+          ...fulfillment.orderFields,
+          shipmentId: `delhivery-${fulfillment.awbCode}`,
+          awbCode: fulfillment.awbCode,
+          courierName: 'Delhivery',
+          ...this.normalizeStatus(status.Status, status.StatusType),
+          providerStatus: status.Status || null,
+          customerCity: consignee.City || fulfillment.orderFields.customerCity,
+          customerState: consignee.State || fulfillment.orderFields.customerState,
+          customerPincode: consignee.PinCode || fulfillment.orderFields.customerPincode,
+          pickupDate: shipment.PickUpDate,
+          deliveredDate: status.StatusType === 'DL' ? status.StatusDateTime : null,
+          etd: shipment.ExpectedDeliveryDate || shipment.PromisedDeliveryDate,
+          // Delhivery reports charged weight in grams; records keep kg like Shiprocket
+          weight: chargedWeight ? chargedWeight / 1000 : 0
+        }));
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Tracking timeline for a waybill.
+   */
+  async fetchTracking(connection, awbCode) {
+    const shipments = await this.trackWaybills(connection, [awbCode]);
+    const shipment = shipments.find(entry => entry.AWB?.toString() === awbCode);
+    if (!shipment) {
+      throw new Error('Shipment not found on Delhivery');
+    }
+
+    const status = shipment.Status || {};
+
+    return {
+      awbCode,
+      ...this.normalizeStatus(status.Status, status.StatusType),
+      courierName: 'Delhivery',
+      etd: shipment.ExpectedDeliveryDate || shipment.PromisedDeliveryDate || null,
+      trackingUrl: `https://www.delhivery.com/track/package/${awbCode}`,
+      events: (shipment.Scans || []).map(({ ScanDetail: scan = {} }) => ({
+        date: scan.ScanDateTime || scan.StatusDateTime,
+        status: scan.Scan || null,
+        activity: scan.Instructions || scan.Scan || null,
+        location: scan.ScannedLocation || null
+      }))
+    };
+  }
+
+  /**
+   * Delhivery reports a status plus a type: UD (forward), DL (closed), RT (return), PP/PU (pickup), CN.
+   */
+  normalizeStatus(status, statusType) {
+    const type = (statusType || '').toUpperCase();
+    const text = (status || '').toLowerCase();
+
+    if (type === 'DL') {
+      return /rto|dto/.test(text) ? SHIPMENT_STATUSES.RTO_DELIVERED : SHIPMENT_STATUSES.DELIVERED;
+    }
+    if (type === 'RT') return SHIPMENT_STATUSES.RTO_IN_TRANSIT;
+    if (type === 'CN') return SHIPMENT_STATUSES.CANCELED;
+    if (type === 'PU') return SHIPMENT_STATUSES.PICKED_UP;
+    if (type === 'PP') return SHIPMENT_STATUSES.PICKUP_SCHEDULED;
+    // "Pending" on a forward shipment means it's waiting at a hub, not unbooked
+    if (type === 'UD' && text === 'pending') return SHIPMENT_STATUSES.IN_TRANSIT;
+
+    return statusFromText(status) || SHIPMENT_STATUSES.NEW;
+  }
+
+  /**
+   * Estimated freight per record from the invoice charges API (needs a pickup pincode).
+   * RTO shipments are priced as RTO (forward + return leg).
+   * @returns {Promise<Map>} shipmentId -> freight
+   */
+  async fetchFreightCharges(connection, records) {
+    const charges = new Map();
+    if (!connection.pickup_pincode) return charges;
+
+    const quotes = new Map();
+    for (const record of records) {
+      if (record.freightCharges || !record.customerPincode) continue;
+
+      const grams = Math.round((record.weight || 0) * 1000) || DEFAULT_WEIGHT_GRAMS;
+      const params = {
+        md: 'S',
+        ss: record.status?.includes('RTO') ? 'RTO' : 'Delivered',
+        o_pin: connection.pickup_pincode,
+        d_pin: record.customerPincode,
+        cgm: grams,
+        pt: record.paymentMethod === 'cod' ? 'COD' : 'Pre-paid',
+        cod: record.paymentMethod === 'cod' ? record.orderValue : 0
+      };
+      const key = JSON.stringify(params);
+
+      try {
+        if (!quotes.has(key)) {
+          const response = await axios.get(`${DELHIVERY_API_BASE}/api/kinko/v1/invoice/charges/.json`, {
+            headers: this.getHeaders(connection),
+            params,
+            timeout: 30000
+          });
+          quotes.set(key, parseFloat(response.data?.[0]?.total_amount) || 0);
+        }
+        if (quotes.get(key) > 0) charges.set(record.shipmentId, quotes.get(key));
+      } catch (error) {
+        console.warn(`   ⚠️ Delhivery freight estimate failed for ${record.awbCode}:`, error.message);
+        quotes.set(key, 0);
+      }
+    }
+
+    return charges;
+  }
+}
+
+module.exports = new DelhiveryProvider();
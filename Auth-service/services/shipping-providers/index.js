@@ -0,0 +1,59 @@
+/**
+ * Shipping Provider Registry
+ *
+ * One adapter per courier aggregator, all with the same interface:
+ *
+ * - platform                                  Name stored on shipping_connections.platform
+ * - listsShipments                            false when the provider can only track known AWBs;
+ *                                             the sync then passes AWBs from Shopify fulfillments
+ * - authenticate(credentials)                 Validate credentials, resolve connection data to store
+ * - fetchShipments(connection, options)       Normalized shipment records (./shipment-record)
+ *                                             for { startDate, endDate, fulfillments, renewToken }
+ *                                             (renewToken: fresh token after a 401, for expiring tokens)
+ * - fetchTracking(connection, awbCode)        { status, canonicalStatus, statusCode, courierName, etd, events[] }
+ * - normalizeStatus(status, statusCode)       Provider status -> canonical { status, canonicalStatus }
+ *                                             (Shiprocket also keeps its own statusCode)
+ * - fetchFreightCharges(connection, records)  Map shipmentId -> freight for records without it
+ *
+ * Records from every adapter go through the same writer, so the dashboard and
+ * analytics calculators never need to know which aggregator a brand uses.
+ */
+
+const shiprocketProvider = require('./shiprocket.provider');
+const shipwayProvider = require('./shipway.provider');
+const ithinkProvider = require('./ithink.provider');
+const nimbuspostProvider = require('./nimbuspost.provider');
+const delhiveryProvider = require('./delhivery.provider');
+
+const PROVIDERS = [shiprocketProvider, shipwayProvider, ithinkProvider, nimbuspostProvider, delhiveryProvider];
+
+// Earlier connections were saved under a misspelled platform name
+const ALIASES = {
+  dilevery: 'Delhivery'
+};
+
+const byName = new Map(PROVIDERS.map(provider => [provider.platform.toLowerCase(), provider]));
+
+/**
+ * Adapter for a platform name (case-insensitive), or null when unsupported.
+ * @param {string} platform - e.g. 'Shiprocket', 'Ithink Logistics'.
+ * @returns {object|null}
+ */
+function getProvider(platform) {
+  if (!platform) return null;
+  const key = platform.toString().trim().toLowerCase();
+  return byName.get(key) || byName.get((ALIASES[key] || '').toLowerCase()) || null;
+}
+
+/**
+ * Supported platform names.
+ * @returns {string[]}
+ */
+function getPlatforms() {
+  return PROVIDERS.map(provider => provider.platform);
+}
+
+module.exports = {
+  getProvider,
+  getPlatforms
+};
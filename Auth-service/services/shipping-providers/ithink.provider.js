@@ -0,0 +1,185 @@
+/**
+ * iThink Logistics Provider Adapter
+ *
+ * Uses the api_v3 order details API (orders with courier, status and billed
+ * freight for a date range) and the track API. Credentials are the panel's
+ * access token + secret key, sent in every request body.
+ */
+
+const axios = require('axios');
+const { SHIPMENT_STATUSES, statusFromText, createShipmentRecord } = require('./shipment-record');
+
+const ITHINK_API_BASE = 'https://my.ithinklogistics.com/api_v3';
+// The details API is queried month by month to keep responses small
+const WINDOW_DAYS = 30;
+const TRACK_BATCH_SIZE = 10;
+
+// Fallback when the status text is empty or unfamiliar
+const STATUS_CODES = {
+  M: 'PICKUP_SCHEDULED',
+  PP: 'PICKUP_SCHEDULED',
+  PU: 'PICKED_UP',
+  IT: 'IN_TRANSIT',
+  OFD: 'OUT_FOR_DELIVERY',
+  DL: 'DELIVERED',
+  UD: 'UNDELIVERED',
+  NDR: 'UNDELIVERED',
+  RTO: 'RTO_IN_TRANSIT',
+  RT: 'RTO_IN_TRANSIT',
+  RTD: 'RTO_DELIVERED',
+  CN: 'CANCELED',
+  LT: 'LOST',
+  DM: 'DAMAGED'
+};
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+};
+
+class IthinkProvider {
+  constructor() {
+    this.platform = 'Ithink Logistics';
+    this.listsShipments = true;
+  }
+
+  async post(connection, path, data) {
+    const response = await axios.post(`${ITHINK_API_BASE}/${path}`, {
+      data: { ...data, access_token: connection.access_token, secret_key: connection.secret_key }
+    }, { headers: { 'Content-Type': 'application/json' }, timeout: 30000 });
+
+    const body = response.data || {};
+    if (body.status && body.status !== 'success') {
+      throw new Error(body.html_message || body.message || 'iThink Logistics request failed');
+    }
+    return body.data || {};
+  }
+
+  /**
+   * Validate the access token / secret key with an empty one-day details query.
+   */
+  async authenticate({ access_token: accessToken, secret_key: secretKey }) {
+    if (!accessToken || !secretKey) {
+      throw new Error('Access token and secret key are required for Ithink Logistics');
+    }
+
+    console.log(`   🔑 Validating Ithink Logistics credentials...`);
+
+    const connection = { access_token: accessToken, secret_key: secretKey };
+    const today = new Date().toISOString().split('T')[0];
+    try {
+      await this.post(connection, 'order/get_details.json', { awb_number_list: '', start_date: today, end_date: today });
+    } catch (error) {
+      throw new Error(`Invalid Ithink Logistics credentials: ${error.message}`);
+    }
+
+    console.log(`   ✅ Ithink Logistics validated`);
+
+    return { ...connection, validated: true };
+  }
+
+  /**
+   * Orders for a date range, one window at a time.
+   */
+  async fetchShipments(connection, { startDate, endDate }) {
+    const records = [];
+
+    for (let windowStart = startDate; windowStart <= endDate; windowStart = addDays(windowStart, WINDOW_DAYS)) {
+      const windowEnd = addDays(windowStart, WINDOW_DAYS - 1) < endDate ? addDays(windowStart, WINDOW_DAYS - 1) : endDate;
+      const orders = await this.post(connection, 'order/get_details.json', {
+        awb_number_list: '',
+        start_date: windowStart,
+        end_date: windowEnd
+      });
+
+      Object.entries(orders).forEach(([awb, order]) => {
+        if (!order || typeof order !== 'object') return;
+        const awbCode = order.awb_no || awb;
+
+        records.push(createShipmentRecord(this.platform, {
+          shipmentId: `ithink-${awbCode}`,
+          orderId: order.order,
+          awbCode,
+          courierName: order.logistic || null,
+          ...this.normalizeStatus(order.current_status, order.current_status_code),
+          providerStatus: order.current_status || null,
+          orderValue: order.order_amount || order.total_amount || order.cod_amount,
+          paymentMethod: order.payment_mode,
+          freightCharges: order.billed_amount || order.freight_charges || order.shipping_charges,
+          customerName: order.customer_name,
+          customerPhone: order.customer_phone || order.customer_mobile,
+          customerEmail: order.customer_email,
+          customerCity: order.customer_city,
+          customerState: order.customer_state,
+          customerPincode: order.customer_pincode,
+          orderDate: order.order_date,
+          pickupDate: order.pickup_date,
+          deliveredDate: order.delivered_date,
+          etd: order.expected_delivery_date,
+          weight: order.phy_weight
+        }));
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Tracking timeline for an AWB.
+   */
+  async fetchTracking(connection, awbCode) {
+    const data = await this.post(connection, 'order/track.json', { awb_number_list: awbCode });
+    const tracking = data[awbCode] || {};
+    if (tracking.message && tracking.message !== 'success') {
+      throw new Error(tracking.message);
+    }
+
+    return {
+      awbCode,
+      ...this.normalizeStatus(tracking.current_status, tracking.current_status_code),
+      courierName: tracking.logistic || null,
+      etd: tracking.expected_delivery_date || null,
+      trackingUrl: null,
+      events: (tracking.scan_details || []).map(scan => ({
+        date: scan.status_date_time || scan.scan_date_time,
+        status: scan.status,
+        activity: scan.status_remark || scan.status,
+        location: scan.status_location || null
+      }))
+    };
+  }
+
+  normalizeStatus(status, statusCode) {
+    const key = STATUS_CODES[(statusCode || '').toString().toUpperCase()];
+    return statusFromText(status) || (key && SHIPMENT_STATUSES[key]) || SHIPMENT_STATUSES.NEW;
+  }
+
+  /**
+   * Billed freight for records the details API returned without it, via the track API
+   * (which reports the final billed amount once the shipment is closed).
+   */
+  async fetchFreightCharges(connection, records) {
+    const charges = new Map();
+    const missing = records.filter(record => !record.freightCharges && record.awbCode);
+
+    for (let i = 0; i < missing.length; i += TRACK_BATCH_SIZE) {
+      const batch = missing.slice(i, i + TRACK_BATCH_SIZE);
+      try {
+        const data = await this.post(connection, 'order/track.json', {
+          awb_number_list: batch.map(record => record.awbCode).join(',')
+        });
+        batch.forEach(record => {
+          const amount = parseFloat(data[record.awbCode]?.billed_amount || data[record.awbCode]?.freight_charges);
+          if (amount > 0) charges.set(record.shipmentId, amount);
+        });
+      } catch (error) {
+        console.warn(`   ⚠️ iThink freight lookup failed:`, error.message);
+      }
+    }
+
+    return charges;
+  }
+}
+
+module.exports = new IthinkProvider();
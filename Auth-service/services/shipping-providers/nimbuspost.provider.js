@@ -0,0 +1,172 @@
+/**
+ * Nimbuspost Provider Adapter
+ *
+ * Nimbuspost has no shipment list API, so shipments are discovered from the
+ * AWBs on Shopify fulfillments (passed in by the sync) and tracked in bulk.
+ * Order values, payment method and customer come from the Shopify order.
+ * Tokens are short-lived; every sync logs in again with the stored email/password.
+ */
+
+const axios = require('axios');
+const { SHIPMENT_STATUSES, statusFromText, createShipmentRecord } = require('./shipment-record');
+
+const NIMBUSPOST_API_BASE = 'https://api.nimbuspost.com/v1';
+const TRACK_BATCH_SIZE = 50;
+
+// Nimbuspost tracking status codes -> canonical status
+const STATUS_CODES = {
+  PP: 'PICKUP_SCHEDULED',
+  PU: 'PICKED_UP',
+  IT: 'IN_TRANSIT',
+  OFD: 'OUT_FOR_DELIVERY',
+  DL: 'DELIVERED',
+  EX: 'UNDELIVERED',
+  RT: 'RTO_INITIATED',
+  'RT-IT': 'RTO_IN_TRANSIT',
+  'RT-DL': 'RTO_DELIVERED',
+  CN: 'CANCELED',
+  LT: 'LOST',
+  DG: 'DAMAGED'
+};
+
+class NimbuspostProvider {
+  constructor() {
+    this.platform = 'Nimbuspost';
+    this.listsShipments = false;
+  }
+
+  async login(email, password) {
+    const response = await axios.post(`${NIMBUSPOST_API_BASE}/users/login`,
+      { email, password },
+      { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
+    );
+
+    // data is the token itself on current accounts, { token, user_id } on older ones
+    const data = response.data?.data;
+    const token = typeof data === 'string' ? data : data?.token;
+    if (!response.data?.status || !token) {
+      throw new Error(response.data?.message || 'Failed to get Nimbuspost token');
+    }
+    return { token, userId: data?.user_id || null };
+  }
+
+  async getToken(connection) {
+    if (!connection.email || !connection.password) return connection.token;
+    return (await this.login(connection.email, connection.password)).token;
+  }
+
+  getHeaders(token) {
+    return { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' };
+  }
+
+  /**
+   * Log in with the account email / password.
+   */
+  async authenticate({ email, password }) {
+    if (!email || !password) {
+      throw new Error('Email and password are required for Nimbuspost');
+    }
+
+    console.log(`   📧 Authenticating with Nimbuspost...`);
+
+    const { token, userId } = await this.login(email.trim(), password);
+
+    console.log(`   ✅ Nimbuspost authenticated`);
+
+    return {
+      token,
+      email: email.trim(),
+      password,
+      user_id: userId
+    };
+  }
+
+  /**
+   * Track the AWBs found on Shopify fulfillments; AWBs Nimbuspost doesn't know are skipped.
+   * @param {object} connection - Stored connection.
+   * @param {object} options - { fulfillments: [{ awbCode, courierName, orderFields }] }
+   */
+  async fetchShipments(connection, { fulfillments = [] }) {
+    if (fulfillments.length === 0) return [];
+
+    const token = await this.getToken(connection);
+    const records = [];
+
+    for (let i = 0; i < fulfillments.length; i += TRACK_BATCH_SIZE) {
+      const batch = fulfillments.slice(i, i + TRACK_BATCH_SIZE);
+      const response = await axios.post(`${NIMBUSPOST_API_BASE}/shipments/track/bulk`,
+        { awb: batch.map(fulfillment => fulfillment.awbCode) },
+        { headers: this.getHeaders(token), timeout: 30000 }
+      );
+
+      const tracked = new Map((response.data?.data || []).map(shipment => [shipment.awb_number?.toString(), shipment]));
+
+      batch.forEach(fulfillment => {
+        const shipment = tracked.get(fulfillment.awbCode);
+        if (!shipment) return;
+
+        const latest = shipment.history?.[0] || {};
+        records.push(createShipmentRecord(this.platform, {
+          ...fulfillment.orderFields,
+          shipmentId: `nimbuspost-${fulfillment.awbCode}`,
+          awbCode: fulfillment.awbCode,
+          courierName: shipment.courier_name || fulfillment.courierName,
+          ...this.normalizeStatus(shipment.status, latest.status_code),
+          providerStatus: shipment.status || null,
+          freightCharges: shipment.total_charges || shipment.shipping_charges,
+          pickupDate: shipment.pickup_date,
+          deliveredDate: shipment.delivered_date,
+          etd: shipment.expected_delivery_date
+        }));
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Tracking timeline for an AWB.
+   */
+  async fetchTracking(connection, awbCode) {
+    const token = await this.getToken(connection);
+    const response = await axios.get(`${NIMBUSPOST_API_BASE}/shipments/track/${encodeURIComponent(awbCode)}`, {
+      headers: this.getHeaders(token),
+      timeout: 30000
+    });
+
+    if (!response.data?.status) {
+      throw new Error(response.data?.message || 'Shipment not found on Nimbuspost');
+    }
+
+    const shipment = response.data.data || {};
+    const history = shipment.history || [];
+
+    return {
+      awbCode,
+      ...this.normalizeStatus(shipment.status, history[0]?.status_code),
+      courierName: shipment.courier_name || null,
+      etd: shipment.expected_delivery_date || null,
+      trackingUrl: null,
+      events: history.map(event => ({
+        date: event.event_time,
+        status: event.status_code || null,
+        activity: event.message || null,
+        location: event.location || null
+      }))
+    };
+  }
+
+  normalizeStatus(status, statusCode) {
+    const key = STATUS_CODES[(statusCode || '').toString().toUpperCase()];
+    return (key && SHIPMENT_STATUSES[key]) || statusFromText(status) || SHIPMENT_STATUSES.NEW;
+  }
+
+  /**
+   * Charges come with the tracking response when Nimbuspost reports them.
+   */
+  async fetchFreightCharges() {
+    return new Map();
+  }
+}
+
+module.exports = new NimbuspostProvider();
@@ -0,0 +1,215 @@
+/**
+ * Normalized Shipment Record
+ *
+ * Every shipping provider adapter returns shipments in this shape, and they are
+ * all written to the shipments table by shiprocketService.saveShiprocketDataToDB.
+ * Statuses are translated into Shiprocket's vocabulary: `status` holds the
+ * uppercase label and `canonicalStatus` the provider-independent key below.
+ * `statusCode` is only ever Shiprocket's own status id as Shiprocket sent it
+ * (null for other providers, whose raw status goes in `providerStatus`).
+ */
+
+// Canonical statuses; `status` is the label Shiprocket data already uses
+const SHIPMENT_STATUSES = {
+  NEW: { canonicalStatus: 'NEW', status: 'NEW' },
+  PICKUP_SCHEDULED: { canonicalStatus: 'PICKUP_SCHEDULED', status: 'PICKUP SCHEDULED' },
+  PICKED_UP: { canonicalStatus: 'PICKED_UP', status: 'PICKED UP' },
+  IN_TRANSIT: { canonicalStatus: 'IN_TRANSIT', status: 'IN TRANSIT' },
+  OUT_FOR_DELIVERY: { canonicalStatus: 'OUT_FOR_DELIVERY', status: 'OUT FOR DELIVERY' },
+  DELIVERED: { canonicalStatus: 'DELIVERED', status: 'DELIVERED' },
+  RTO_INITIATED: { canonicalStatus: 'RTO_INITIATED', status: 'RTO INITIATED' },
+  RTO_IN_TRANSIT: { canonicalStatus: 'RTO_IN_TRANSIT', status: 'RTO IN TRANSIT' },
+  RTO_DELIVERED: { canonicalStatus: 'RTO_DELIVERED', status: 'RTO DELIVERED' },
+  UNDELIVERED: { canonicalStatus: 'UNDELIVERED', status: 'UNDELIVERED' },
+  LOST: { canonicalStatus: 'LOST', status: 'LOST' },
+  CANCELED: { canonicalStatus: 'CANCELED', status: 'CANCELED' },
+  DAMAGED: { canonicalStatus: 'DAMAGED', status: 'DAMAGED' }
+};
+
+// Shiprocket shipment status ids (current_status_id / shipment_status_id) -> canonical status
+const SHIPROCKET_STATUS_CODES = {
+  6: 'IN_TRANSIT', // Shipped
+  7: 'DELIVERED',
+  8: 'CANCELED',
+  9: 'RTO_INITIATED',
+  10: 'RTO_DELIVERED',
+  12: 'LOST',
+  13: 'PICKUP_SCHEDULED', // Pickup error
+  14: 'RTO_IN_TRANSIT', // RTO acknowledged
+  15: 'PICKUP_SCHEDULED', // Pickup rescheduled
+  17: 'OUT_FOR_DELIVERY',
+  18: 'IN_TRANSIT',
+  19: 'PICKUP_SCHEDULED', // Out for pickup
+  20: 'PICKUP_SCHEDULED', // Pickup exception
+  21: 'UNDELIVERED',
+  22: 'IN_TRANSIT', // Delayed
+  24: 'DAMAGED', // Destroyed
+  25: 'DAMAGED',
+  38: 'IN_TRANSIT', // Reached destination hub
+  40: 'RTO_IN_TRANSIT', // RTO NDR
+  41: 'RTO_IN_TRANSIT', // RTO out for delivery
+  42: 'PICKED_UP',
+  45: 'CANCELED', // Cancelled before dispatch
+  46: 'RTO_IN_TRANSIT',
+  52: 'PICKUP_SCHEDULED' // Shipment booked
+};
+
+const RTO_STATUSES = ['RTO_INITIATED', 'RTO_IN_TRANSIT', 'RTO_DELIVERED'];
+
+// Free-text fallback, checked in order (RTO before delivered, undelivered before delivered)
+const TEXT_RULES = [
+  [/rto.*deliver|returned to (origin|shipper|seller)|rto.*received/, 'RTO_DELIVERED'],
+  [/rto.*initiat|return.*initiat/, 'RTO_INITIATED'],
+  [/\brto\b|return/, 'RTO_IN_TRANSIT'],
+  [/undeliver|not delivered|delivery attempt|failed attempt|\bndr\b|exception/, 'UNDELIVERED'],
+  [/out for delivery|dispatched/, 'OUT_FOR_DELIVERY'],
+  [/deliver/, 'DELIVERED'],
+  [/cancel/, 'CANCELED'],
+  [/lost/, 'LOST'],
+  [/damage|destroy/, 'DAMAGED'],
+  [/picked up|pickup done|picked/, 'PICKED_UP'],
+  [/transit|shipped|reached|connected|in scan/, 'IN_TRANSIT'],
+  [/manifest|pickup|booked|scheduled|not picked/, 'PICKUP_SCHEDULED'],
+  [/new|pending|created/, 'NEW']
+];
+
+/**
+ * Canonical status for a provider's free-text status.
+ * @param {string} text - Provider status / scan text.
+ * @returns {{canonicalStatus: string, status: string}|null}
+ */
+function statusFromText(text) {
+  const value = (text || '').toString().toLowerCase().trim();
+  if (!value) return null;
+  const rule = TEXT_RULES.find(([pattern]) => pattern.test(value));
+  return rule ? SHIPMENT_STATUSES[rule[1]] : null;
+}
+
+/**
+ * Canonical status for a Shiprocket status id.
+ * @returns {{canonicalStatus: string, status: string}|null}
+ */
+function statusFromShiprocketCode(code) {
+  const key = SHIPROCKET_STATUS_CODES[parseInt(code)];
+  return key ? SHIPMENT_STATUSES[key] : null;
+}
+
+/**
+ * Canonical status of a stored shipment: canonicalStatus, else the status label,
+ * else Shiprocket's status id (shipments saved before canonicalStatus existed).
+ * @param {object} shipment - Shipment item (canonicalStatus, statusCode, status / shipmentStatus).
+ * @returns {string|null} SHIPMENT_STATUSES key.
+ */
+function getCanonicalStatus(shipment) {
+  if (shipment.canonicalStatus) return shipment.canonicalStatus;
+  const canonical = statusFromText(shipment.shipmentStatus || shipment.status) || statusFromShiprocketCode(shipment.statusCode);
+  return canonical ? canonical.canonicalStatus : null;
+}
+
+/**
+ * Delivered / RTO outcome of a stored shipment, for every calculator that needs one.
+ * @returns {string} 'rto' | 'delivered' | 'other'
+ */
+function getShipmentOutcome(shipment) {
+  const canonical = getCanonicalStatus(shipment);
+  if (RTO_STATUSES.includes(canonical) || shipment.isRto === true) return 'rto';
+  return canonical === 'DELIVERED' ? 'delivered' : 'other';
+}
+
+/**
+ * YYYY-MM-DD from a provider date ("2026-03-04 10:22:01", ISO, "04 Mar 2026, 10:22 AM").
+ */
+function toDateOnly(value) {
+  if (!value) return null;
+  const text = value.toString().trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+  const [day, month, year] = text.split(/[-/]/);
+  if (year && /^\d{4}$/.test(year.slice(0, 4)) && /^\d{1,2}$/.test(day)) {
+    return `${year.slice(0, 4)}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  const date = new Date(text.includes(',') ? `${text.split(',')[0]} UTC` : text);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+const toAmount = (value) => {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : 0;
+};
+
+/**
+ * Build a normalized shipment record.
+ *
+ * @param {string} provider - Platform name (as stored on shipping_connections).
+ * @param {object} fields - Provider values: shipmentId, orderId, awbCode, courierName,
+ *   status/canonicalStatus (already normalized), statusCode (Shiprocket only), orderValue, paymentMethod, freightCharges,
+ *   customer*, orderDate, pickupDate, deliveredDate, etd, trackingUrl, weight.
+ * @returns {object} Record accepted by saveShiprocketDataToDB.
+ */
+function createShipmentRecord(provider, fields) {
+  const orderValue = toAmount(fields.orderValue);
+  const freightCharges = toAmount(fields.freightCharges);
+  const payment = (fields.paymentMethod || '').toString().toLowerCase();
+  const paymentMethod = !payment ? null
+    : (payment === 'c' || payment.includes('cod') || payment.includes('cash')) ? 'cod' : 'prepaid';
+
+  return {
+    provider,
+    shipmentId: fields.shipmentId?.toString(),
+    orderId: fields.orderId?.toString() || null,
+    channelOrderId: fields.channelOrderId?.toString() || fields.orderId?.toString() || null,
+
+    total: orderValue,
+    orderValue,
+    totalAmount: orderValue,
+    amount: orderValue,
+
+    paymentMethod,
+    codCharges: toAmount(fields.codCharges),
+
+    customerName: fields.customerName || null,
+    customerPhone: fields.customerPhone || null,
+    customerEmail: fields.customerEmail || null,
+    customerCity: fields.customerCity || null,
+    customerState: fields.customerState || null,
+    customerPincode: fields.customerPincode?.toString() || null,
+
+    status: fields.status || null,
+    canonicalStatus: fields.canonicalStatus || statusFromText(fields.status)?.canonicalStatus || null,
+    statusCode: fields.statusCode || null,
+    shipmentStatus: fields.status || null,
+    providerStatus: fields.providerStatus || null,
+
+    awbCode: fields.awbCode?.toString() || null,
+    courierName: fields.courierName || null,
+    weight: toAmount(fields.weight),
+
+    freightCharges,
+    shippingCharges: freightCharges,
+    totalCharges: freightCharges,
+
+    orderDate: fields.orderDate || null,
+    parsedOrderDate: toDateOnly(fields.orderDate),
+    createdAt: fields.createdAt || fields.orderDate || null,
+    updatedAt: fields.updatedAt || null,
+    pickupDate: fields.pickupDate || null,
+    deliveredDate: fields.deliveredDate || null,
+    etd: fields.etd || null,
+    trackingUrl: fields.trackingUrl || null,
+
+    source: `${provider.toLowerCase().replace(/\s+/g, '_')}_api`,
+    channelName: fields.channelName || null
+  };
+}
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  statusFromText,
+  statusFromShiprocketCode,
+  getCanonicalStatus,
+  getShipmentOutcome,
+  toDateOnly,
+  toAmount,
+  createShipmentRecord
+};
@@ -0,0 +1,175 @@
+/**
+ * Shipway Provider Adapter
+ *
+ * Shipway tracks orders across the brand's own courier accounts. Orders are
+ * listed with the Get Orders API (Basic auth: username + license key) and
+ * tracked with getOrderShipmentDetails. Shipway doesn't bill freight, so
+ * records carry the courier charge only when the order reports one.
+ */
+
+const axios = require('axios');
+const { SHIPMENT_STATUSES, statusFromText, toDateOnly, createShipmentRecord } = require('./shipment-record');
+
+const SHIPWAY_API_BASE = 'https://app.shipway.com/api';
+const SHIPWAY_TRACKING_URL = 'https://shipway.in/api/getOrderShipmentDetails';
+const MAX_PAGES = 50;
+
+// Shipway status codes -> canonical status
+const STATUS_CODES = {
+  NFI: 'NEW',
+  SCH: 'PICKUP_SCHEDULED',
+  PKP: 'PICKED_UP',
+  SHP: 'IN_TRANSIT',
+  INT: 'IN_TRANSIT',
+  OOD: 'OUT_FOR_DELIVERY',
+  DEL: 'DELIVERED',
+  UND: 'UNDELIVERED',
+  ONH: 'UNDELIVERED',
+  RTO: 'RTO_IN_TRANSIT',
+  RTI: 'RTO_INITIATED',
+  RTD: 'RTO_DELIVERED',
+  CAN: 'CANCELED',
+  LST: 'LOST',
+  DMG: 'DAMAGED'
+};
+
+class ShipwayProvider {
+  constructor() {
+    this.platform = 'Shipway';
+    this.listsShipments = true;
+  }
+
+  getHeaders(connection) {
+    const credentials = Buffer.from(`${connection.email}:${connection.license_key}`).toString('base64');
+    return {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Validate the username (account email) and license key with a one-page order list.
+   * The onboarding form sends the license key in `password`.
+   */
+  async authenticate({ email, password, license_key: licenseKey }) {
+    const key = licenseKey || password;
+    if (!email || !key) {
+      throw new Error('Email and license key are required for Shipway');
+    }
+
+    console.log(`   📧 Authenticating with Shipway...`);
+
+    const connection = { email: email.trim(), license_key: key };
+    const response = await axios.get(`${SHIPWAY_API_BASE}/getorders`, {
+      headers: this.getHeaders(connection),
+      params: { page: 1 },
+      timeout: 30000,
+      validateStatus: status => status < 500
+    });
+
+    if (response.status === 401 || response.status === 403 || response.data?.success === false) {
+      throw new Error(response.data?.message || 'Invalid Shipway credentials. Please check your email and license key.');
+    }
+
+    console.log(`   ✅ Shipway authenticated`);
+
+    return { ...connection, validated: true };
+  }
+
+  /**
+   * Orders created in a date range, page by page.
+   */
+  async fetchShipments(connection, { startDate, endDate, maxPages = MAX_PAGES }) {
+    const records = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await axios.get(`${SHIPWAY_API_BASE}/getorders`, {
+        headers: this.getHeaders(connection),
+        params: { page, date_from: startDate, date_to: endDate },
+        timeout: 30000
+      });
+
+      // The list comes back under `message` (older accounts) or `orders`
+      const payload = response.data || {};
+      const orders = Array.isArray(payload.message) ? payload.message : (payload.orders || []);
+      if (orders.length === 0) break;
+
+      orders.forEach(order => {
+        const orderDate = toDateOnly(order.order_date || order.created_at);
+        if (startDate && endDate && orderDate && (orderDate < startDate || orderDate > endDate)) return;
+
+        const awbCode = order.awb_code || order.awbno || order.tracking_number;
+        const providerStatus = order.shipment_status || order.current_status;
+
+        records.push(createShipmentRecord(this.platform, {
+          shipmentId: `shipway-${awbCode || order.order_id}`,
+          orderId: order.order_id,
+          awbCode,
+          courierName: order.carrier_name || order.courier_name || null,
+          ...this.normalizeStatus(order.shipment_status_name || providerStatus, providerStatus),
+          providerStatus,
+          orderValue: order.order_total || order.total_amount,
+          paymentMethod: order.payment_type || order.payment_method,
+          freightCharges: order.shipping_charges || order.freight_charges,
+          customerName: [order.s_firstname, order.s_lastname].filter(Boolean).join(' ') || order.customer_name,
+          customerPhone: order.s_phone || order.phone,
+          customerEmail: order.email,
+          customerCity: order.s_city,
+          customerState: order.s_state,
+          customerPincode: order.s_zipcode,
+          orderDate: order.order_date || order.created_at,
+          deliveredDate: order.delivered_date,
+          weight: order.order_weight
+        }));
+      });
+
+      if (orders.length < 100) break;
+    }
+
+    return records;
+  }
+
+  /**
+   * Tracking timeline for an order's shipment (Shipway tracks by order ID).
+   */
+  async fetchTracking(connection, orderId) {
+    const response = await axios.post(SHIPWAY_TRACKING_URL, {
+      username: connection.email,
+      password: connection.license_key,
+      order_id: orderId
+    }, { headers: { 'Content-Type': 'application/json' }, timeout: 30000 });
+
+    const tracking = response.data?.response || {};
+    if (response.data?.status && response.data.status.toString().toLowerCase() !== 'success') {
+      throw new Error(response.data.message || 'Shipment not found on Shipway');
+    }
+
+    return {
+      awbCode: tracking.awbno || null,
+      ...this.normalizeStatus(tracking.current_status, tracking.current_status_code),
+      courierName: tracking.carrier_name || null,
+      etd: tracking.expected_delivery_date || null,
+      trackingUrl: null,
+      events: (tracking.scan || []).map(scan => ({
+        date: scan.time,
+        status: scan.status,
+        activity: scan.status,
+        location: scan.location || null
+      }))
+    };
+  }
+
+  normalizeStatus(status, statusCode) {
+    const key = STATUS_CODES[(statusCode || '').toString().toUpperCase()];
+    return (key && SHIPMENT_STATUSES[key]) || statusFromText(status) || SHIPMENT_STATUSES.NEW;
+  }
+
+  /**
+   * Shipway doesn't report freight separately.
+   */
+  async fetchFreightCharges() {
+    return new Map();
+  }
+}
+
+module.exports = new ShipwayProvider();
@@ -0,0 +1,268 @@
+/**
+ * Shipping Sync Service
+ *
+ * Provider-agnostic shipment sync. Looks up the brand's shipping connection,
+ * fetches shipments through the matching adapter (./shipping-providers), fills
+ * missing freight and writes the normalized records to the shipments table -
+ * the same table and shape the Shiprocket sync has always written, so the
+ * dashboard, rollups, customer analytics and CAPI work for every aggregator.
+ *
+ * Providers without a shipment list API (Delhivery, Nimbuspost) are given the
+ * AWBs found on Shopify fulfillments for the range.
+ */
+
+const { GetCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const shiprocketService = require('./shiprocket.service');
+const shiprocketWebhookService = require('./shiprocket-webhook.service');
+const shiprocketTokenService = require('./shiprocket-token.service');
+const { getProvider } = require('./shipping-providers');
+const { decryptCredentials } = require('../utils/credential-crypto');
+
+const SHIPPING_CONNECTIONS_TABLE = process.env.SHIPPING_CONNECTIONS_TABLE || 'shipping_connections';
+const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
+
+const DEFAULT_SYNC_DAYS = 30;
+const INITIAL_SYNC_MONTHS = 12;
+
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+function isCodOrder(order) {
+  const gateways = (order.payment_gateway_names || [order.gateway]).map(name => (name || '').toLowerCase());
+  return gateways.some(gateway => gateway === 'cod' || gateway.includes('cash on delivery') || gateway === 'cash_on_delivery');
+}
+
+class ShippingSyncService {
+  /**
+   * The user's shipping connection with credentials decrypted, or null.
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<object|null>}
+   */
+  async getConnection(userId) {
+    const result = await dynamoDB.send(new GetCommand({
+      TableName: SHIPPING_CONNECTIONS_TABLE,
+      Key: { userId }
+    }));
+    return decryptCredentials(result.Item || null);
+  }
+
+  /**
+   * Active connection plus its adapter; throws when not connected or unsupported.
+   * Shiprocket tokens are renewed here when close to expiry.
+   */
+  async getActiveConnection(userId) {
+    const connection = await this.getConnection(userId);
+    if (!connection || connection.status !== 'active') {
+      throw apiError('No shipping platform connected', 404);
+    }
+
+    const provider = getProvider(connection.platform);
+    if (!provider) {
+      throw apiError(`Unsupported shipping platform: ${connection.platform}`, 400);
+    }
+
+    if (provider.platform === 'Shiprocket') {
+      const token = await shiprocketTokenService.getValidToken(connection);
+      if (!token) {
+        throw apiError('Shiprocket token expired. Please reconnect your Shiprocket account in Settings.', 401);
+      }
+      connection.token = token;
+    }
+
+    return { connection, provider };
+  }
+
+  /**
+   * AWBs on Shopify fulfillments for orders created in a range, with the order
+   * fields a shipment record needs.
+   * @returns {Promise<Array>} [{ awbCode, courierName, orderFields }]
+   */
+  async getFulfillments(userId, startDate, endDate) {
+    const fulfillments = [];
+    const seen = new Set();
+    let lastEvaluatedKey = null;
+
+    do {
+      const result = await dynamoDB.send(new QueryCommand({
+        TableName: ORDERS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        FilterExpression: 'createdAt BETWEEN :start AND :end',
+        ExpressionAttributeValues: {
+          ':userId': userId,
+          ':start': startDate,
+          ':end': `${endDate}T23:59:59.999Z`
+        },
+        ProjectionExpression: 'orderId, createdAt, orderData',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+      (result.Items || []).forEach(item => {
+        const order = item.orderData || {};
+        const address = order.shipping_address || order.billing_address || {};
+        const orderFields = {
+          orderId: item.orderId,
+          channelOrderId: order.name ? order.name.replace(/^#/, '') : order.order_number,
+          orderValue: order.current_total_price || order.total_price,
+          paymentMethod: isCodOrder(order) ? 'cod' : 'prepaid',
+          customerName: address.name || [address.first_name, address.last_name].filter(Boolean).join(' ') || null,
+          customerPhone: address.phone || order.phone || null,
+          customerEmail: order.email || order.customer?.email || null,
+          customerCity: address.city || null,
+          customerState: address.province || null,
+          customerPincode: address.zip || null,
+          orderDate: item.createdAt
+        };
+
+        (order.fulfillments || []).forEach(fulfillment => {
+          const numbers = fulfillment.tracking_numbers?.length ? fulfillment.tracking_numbers : [fulfillment.tracking_number];
+          numbers.filter(Boolean).forEach(number => {
+            const awbCode = number.toString().trim();
+            if (seen.has(awbCode)) return;
+            seen.add(awbCode);
+            fulfillments.push({ awbCode, courierName: fulfillment.tracking_company || null, orderFields });
+          });
+        });
+      });
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return fulfillments;
+  }
+
+  /**
+   * Fetch, normalize and store shipments for a date range.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} options - { startDate, endDate } (YYYY-MM-DD); defaults to the last 30 days.
+   * @returns {Promise<object>} { platform, startDate, endDate, fetched, saved }
+   */
+  async syncShipments(userId, options = {}) {
+    const { connection, provider } = await this.getActiveConnection(userId);
+
+    const endDate = options.endDate || toDateString(new Date());
+    const startDate = options.startDate || toDateString(new Date(Date.now() - DEFAULT_SYNC_DAYS * 24 * 60 * 60 * 1000));
+
+    console.log(`\n🚚 [${provider.platform}] Syncing shipments for user ${userId}: ${startDate} to ${endDate}`);
+
+    try {
+      const fulfillments = provider.listsShipments ? [] : await this.getFulfillments(userId, startDate, endDate);
+      if (!provider.listsShipments) {
+        console.log(`   📦 ${fulfillments.length} AWB(s) on Shopify fulfillments to track`);
+      }
+
+      const records = await provider.fetchShipments(connection, {
+        startDate,
+        endDate,
+        fulfillments,
+        renewToken: () => shiprocketTokenService.renewAfterUnauthorized(userId, connection.token)
+      });
+
+      const freight = await provider.fetchFreightCharges(connection, records);
+      const withFreight = records.map(record => {
+        const charge = freight.get(record.shipmentId);
+        return charge ? { ...record, freightCharges: charge, shippingCharges: charge, totalCharges: charge } : record;
+      });
+
+      const { saved } = await shiprocketService.saveShiprocketDataToDB(userId, withFreight);
+      await this.recordSync(userId, { lastSyncStatus: 'success', lastSyncCount: saved, lastSyncError: null });
+
+      console.log(`✅ [${provider.platform}] Synced ${saved} of ${records.length} shipment(s)`);
+      return { platform: provider.platform, startDate, endDate, fetched: records.length, saved };
+    } catch (error) {
+      console.error(`❌ [${provider.platform}] Shipment sync failed for ${userId}:`, error.message);
+      await this.recordSync(userId, { lastSyncStatus: 'failed', lastSyncError: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Full history sync after connecting (non-blocking).
+   */
+  startBackgroundSync(userId) {
+    const startDate = new Date();
+    startDate.setMonth(startDate.getMonth() - INITIAL_SYNC_MONTHS);
+
+    this.syncShipments(userId, { startDate: toDateString(startDate) }).catch(error =>
+      console.error(`❌ Background shipment sync failed for ${userId}:`, error.message)
+    );
+  }
+
+  /**
+   * Live tracking timeline for an AWB from the connected provider.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} awbCode - AWB / waybill (Shipway: order ID).
+   * @returns {Promise<object>} { platform, awbCode, status, canonicalStatus, statusCode, courierName, etd, trackingUrl, events }
+   */
+  async getTracking(userId, awbCode) {
+    const { connection, provider } = await this.getActiveConnection(userId);
+    const tracking = await provider.fetchTracking(connection, awbCode);
+    return { platform: provider.platform, ...tracking };
+  }
+
+  async recordSync(userId, fields) {
+    const entries = Object.entries({ ...fields, lastSyncAt: new Date().toISOString() });
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: `SET ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(userId)',
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+        ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value]))
+      }));
+    } catch (error) {
+      console.error('Error recording shipping sync status:', error.message);
+    }
+  }
+
+  /**
+   * Daily sync for every active connection whose shipments only reach the
+   * dashboards through this sync. Shiprocket is skipped: the dashboard fetches
+   * it live and caches it in the same table - unless tracking webhooks are
+   * live, in which case the dashboard trusts the store and new shipments
+   * come in here.
+   * @returns {Promise<Array>} [{ userId, platform, success, saved?, error? }]
+   */
+  async syncAll() {
+    const results = [];
+    let connections = [];
+
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new ScanCommand({
+          TableName: SHIPPING_CONNECTIONS_TABLE,
+          FilterExpression: '#status = :active',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':active': 'active' },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+        connections = connections.concat(result.Items || []);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error('Error loading shipping connections:', error.message);
+      return results;
+    }
+
+    for (const connection of connections) {
+      const provider = getProvider(connection.platform);
+      if (!provider) continue;
+      if (provider.platform === 'Shiprocket' && !shiprocketWebhookService.isReceiving(connection)) continue;
+
+      try {
+        const { saved } = await this.syncShipments(connection.userId);
+        results.push({ userId: connection.userId, platform: provider.platform, success: true, saved });
+      } catch (error) {
+        results.push({ userId: connection.userId, platform: provider.platform, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new ShippingSyncService();
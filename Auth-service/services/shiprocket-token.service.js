@@ -0,0 +1,218 @@
+/**
+ * Shiprocket Token Service
+ *
+ * Shiprocket API tokens expire after ~10 days. The connection keeps the account
+ * email and (encrypted) password, so tokens are renewed by logging in again:
+ *   - proactively, when a token is used within RENEW_WINDOW_DAYS of expiry
+ *     and by the daily scheduler (renewExpiringTokens)
+ *   - reactively, when the Orders API rejects a token with a 401
+ *
+ * Health states (shown on /api/shipping/connection):
+ *   - valid:    token works and isn't close to expiry
+ *   - expiring: expires within RENEW_WINDOW_DAYS (renewal failed or hasn't run yet)
+ *   - expired:  past expiresAt with no way to renew, or Shiprocket rejected the credentials
+ */
+
+const { GetCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const { encrypt, decryptCredentials } = require('../utils/credential-crypto');
+const shiprocketProvider = require('./shipping-providers/shiprocket.provider');
+
+const SHIPPING_CONNECTIONS_TABLE = process.env.SHIPPING_CONNECTIONS_TABLE || 'shipping_connections';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_LIFETIME_DAYS = 10;
+const RENEW_WINDOW_DAYS = 3;
+
+const isShiprocket = (connection) => (connection?.platform || '').toLowerCase() === 'shiprocket';
+
+class ShiprocketTokenService {
+  constructor() {
+    // userId -> in-flight renewal, so parallel dashboard requests log in once
+    this.renewals = new Map();
+  }
+
+  /**
+   * Token health from the stored expiry and last renewal result.
+   * @param {object} connection - shipping_connections item.
+   * @returns {object} { state, expiresAt, daysRemaining, canRenew, needsReconnect, lastRenewedAt, reason }
+   */
+  getHealth(connection) {
+    const canRenew = !!(connection?.email && connection?.password);
+    const lastRenewedAt = connection?.tokenRenewedAt || null;
+
+    if (connection?.tokenStatus === 'invalid') {
+      return { state: 'expired', expiresAt: connection.expiresAt || null, daysRemaining: 0, canRenew: false, needsReconnect: true, lastRenewedAt, reason: connection.tokenError || 'Shiprocket rejected the stored credentials' };
+    }
+    if (!connection?.token) {
+      return { state: 'expired', expiresAt: null, daysRemaining: 0, canRenew, needsReconnect: !canRenew, lastRenewedAt, reason: 'No API token' };
+    }
+
+    const expiresAt = connection.expiresAt || null;
+    const expiresAtMs = expiresAt ? new Date(expiresAt).getTime() : NaN;
+    // Tokens saved without an expiry are renewed on first use
+    const daysRemaining = Number.isNaN(expiresAtMs) ? 0 : Math.max(0, Math.floor((expiresAtMs - Date.now()) / DAY_MS));
+
+    if (Number.isNaN(expiresAtMs) || expiresAtMs <= Date.now()) {
+      return { state: 'expired', expiresAt, daysRemaining: 0, canRenew, needsReconnect: !canRenew, lastRenewedAt, reason: connection.tokenError || 'API token expired' };
+    }
+    if (daysRemaining < RENEW_WINDOW_DAYS) {
+      return { state: 'expiring', expiresAt, daysRemaining, canRenew, needsReconnect: !canRenew, lastRenewedAt, reason: connection.tokenError || `API token expires in ${daysRemaining} day(s)` };
+    }
+    return { state: 'valid', expiresAt, daysRemaining, canRenew, needsReconnect: false, lastRenewedAt, reason: null };
+  }
+
+  /**
+   * Token to call Shiprocket with, renewed first when it's close to expiry.
+   * Falls back to the current token if renewal fails and it hasn't expired yet.
+   *
+   * @param {object} connection - Decrypted shipping_connections item.
+   * @returns {Promise<string|null>}
+   */
+  async getValidToken(connection) {
+    const health = this.getHealth(connection);
+    if (health.state === 'valid' || !health.canRenew) {
+      return health.state === 'expired' ? null : connection.token;
+    }
+
+    const result = await this.renewConnection(connection);
+    if (result.success) return result.token;
+    return health.state === 'expiring' ? connection.token : null;
+  }
+
+  /**
+   * Renew after Shiprocket rejected the token (401).
+   * The connection is re-read in case another request already renewed it.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} rejectedToken - Token the API rejected.
+   * @returns {Promise<string|null>} New token, or null when it can't be renewed.
+   */
+  async renewAfterUnauthorized(userId, rejectedToken) {
+    const stored = await dynamoDB.send(new GetCommand({
+      TableName: SHIPPING_CONNECTIONS_TABLE,
+      Key: { userId }
+    }));
+    const connection = decryptCredentials(stored.Item || null);
+    if (!connection || !isShiprocket(connection)) return null;
+
+    if (connection.token && connection.token !== rejectedToken) {
+      return connection.token;
+    }
+
+    const result = await this.renewConnection(connection);
+    return result.success ? result.token : null;
+  }
+
+  /**
+   * Log in again with the stored credentials and store the new token.
+   * @param {object} connection - Decrypted shipping_connections item.
+   * @returns {Promise<object>} { success, token, expiresAt } or { success: false, reason }
+   */
+  renewConnection(connection) {
+    const { userId } = connection;
+    if (!this.renewals.has(userId)) {
+      const renewal = this.login(connection).finally(() => this.renewals.delete(userId));
+      this.renewals.set(userId, renewal);
+    }
+    return this.renewals.get(userId);
+  }
+
+  async login(connection) {
+    const { userId } = connection;
+
+    if (!connection.email || !connection.password) {
+      return { success: false, reason: 'reconnect_required' };
+    }
+
+    try {
+      const { token } = await shiprocketProvider.authenticate({ email: connection.email, password: connection.password });
+      const expiresAt = new Date(Date.now() + TOKEN_LIFETIME_DAYS * DAY_MS).toISOString();
+
+      await dynamoDB.send(new UpdateCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET #token = :token, expiresAt = :expiresAt, tokenStatus = :status, tokenRenewedAt = :timestamp, updatedAt = :timestamp REMOVE tokenError',
+        ExpressionAttributeNames: { '#token': 'token' },
+        ExpressionAttributeValues: {
+          ':token': encrypt(token),
+          ':expiresAt': expiresAt,
+          ':status': 'valid',
+          ':timestamp': new Date().toISOString()
+        }
+      }));
+
+      console.log(`   🔑 Shiprocket token renewed for ${userId} (expires ${expiresAt})`);
+      return { success: true, token, expiresAt };
+    } catch (error) {
+      console.error(`   ❌ Shiprocket token renewal failed for ${userId}:`, error.message);
+
+      // Bad email / password won't fix itself - stop retrying until the user reconnects
+      const invalid = error.status === 401;
+      await this.recordFailure(userId, invalid, error.message);
+      return { success: false, reason: invalid ? 'reconnect_required' : 'renewal_failed', error: error.message };
+    }
+  }
+
+  /**
+   * Renew every active Shiprocket connection whose token expires within RENEW_WINDOW_DAYS.
+   * @returns {Promise<Array>} Per-user results for renewed / failed connections.
+   */
+  async renewExpiringTokens() {
+    const results = [];
+
+    try {
+      let lastEvaluatedKey = null;
+      do {
+        const result = await dynamoDB.send(new ScanCommand({
+          TableName: SHIPPING_CONNECTIONS_TABLE,
+          FilterExpression: '#status = :active',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':active': 'active' },
+          ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        for (const item of result.Items || []) {
+          if (!isShiprocket(item)) continue;
+
+          const { state, canRenew } = this.getHealth(item);
+          if (state === 'valid' || !canRenew) continue;
+
+          try {
+            results.push({ userId: item.userId, ...(await this.renewConnection(decryptCredentials(item))) });
+          } catch (error) {
+            results.push({ userId: item.userId, success: false, reason: 'renewal_failed', error: error.message });
+          }
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    } catch (error) {
+      console.error('Shiprocket token renewal scan error:', error.message);
+    }
+
+    console.log(`🔑 Shiprocket token renewal: ${results.filter(r => r.success).length}/${results.length} renewed`);
+    return results;
+  }
+
+  async recordFailure(userId, invalid, message) {
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: invalid
+          ? 'SET tokenStatus = :invalid, tokenError = :error, updatedAt = :timestamp'
+          : 'SET tokenError = :error, updatedAt = :timestamp',
+        ExpressionAttributeValues: {
+          ...(invalid && { ':invalid': 'invalid' }),
+          ':error': message,
+          ':timestamp': new Date().toISOString()
+        }
+      }));
+    } catch (error) {
+      console.error(`Error recording Shiprocket token failure for ${userId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ShiprocketTokenService();
@@ -0,0 +1,327 @@
+/**
+ * Shiprocket Webhook Service
+ *
+ * Receives Shiprocket's tracking push events so shipment status stays live
+ * without calling the Shiprocket API on every dashboard load:
+ * 1. Each user gets a receiver URL with their userId and a secret token that
+ *    Shiprocket sends back in the x-api-key header. Only a SHA-256 hash of the
+ *    token is stored, so it's shown once (on creation / rotation)
+ * 2. The event's AWB is matched to the stored shipment (awbCode index); an AWB
+ *    that isn't stored yet is a new shipment, so the user's recent shipments
+ *    are synced from Shiprocket first
+ * 3. Status, the scan timeline and RTO / NDR flags are updated in place
+ *    (older events never overwrite newer ones)
+ *
+ * Shiprocket's panel rejects webhook URLs containing "shiprocket", so the URL
+ * handed out is /api/shipping/webhooks/tracking/:userId; /webhooks/shiprocket/:userId
+ * is the same receiver.
+ */
+
+const crypto = require('crypto');
+const { GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const dailyMetricsService = require('./daily-metrics.service');
+const metaCapiService = require('./meta-capi.service');
+const { getProvider } = require('./shipping-providers');
+const { SHIPMENT_STATUSES, statusFromText, statusFromShiprocketCode, toDateOnly } = require('./shipping-providers/shipment-record');
+const { getZonedParts } = require('../utils/timezone');
+
+const SHIPPING_CONNECTIONS_TABLE = process.env.SHIPPING_CONNECTIONS_TABLE || 'shipping_connections';
+const SHIPMENTS_TABLE = process.env.SHIPROCKET_SHIPMENTS_TABLE || 'shiprocket_shipments';
+const SHIPMENTS_BY_AWB_INDEX = 'userId-awbCode-index';
+
+const MAX_EVENTS = 100;
+const SHIPROCKET_TIMEZONE = 'Asia/Kolkata'; // Event times are IST wall-clock
+// Webhooks count as live when one arrived this recently
+const ACTIVE_WINDOW_HOURS = 48;
+const NEW_SHIPMENT_SYNC_DAYS = 14; // Orders this recent are synced to find an unknown AWB
+const NEW_SHIPMENT_SYNC_COOLDOWN = 60 * 1000; // Unknown AWBs within this window share one sync
+
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * "23 05 2023 11:43:52", "23-05-2023 11:43:52" or "2023-05-23 11:43:52" -> "2023-05-23 11:43:52"
+ * (sortable; Shiprocket sends IST wall-clock times without an offset).
+ */
+function parseEventTime(value) {
+  if (!value) return null;
+  const text = value.toString().trim();
+  const dayFirst = text.match(/^(\d{2})[ -/](\d{2})[ -/](\d{4})[ T]?(\d{2}:\d{2}(:\d{2})?)?/);
+  if (dayFirst) {
+    return `${dayFirst[3]}-${dayFirst[2]}-${dayFirst[1]} ${dayFirst[4] || '00:00'}${dayFirst[5] ? '' : ':00'}`.trim();
+  }
+  const isoLike = text.match(/^(\d{4}-\d{2}-\d{2})[ T]?(\d{2}:\d{2}(:\d{2})?)?/);
+  if (isoLike) {
+    return `${isoLike[1]} ${isoLike[2] || '00:00'}${isoLike[3] ? '' : ':00'}`;
+  }
+  return null;
+}
+
+/**
+ * Current IST wall-clock time in parseEventTime's format, for events sent without one.
+ */
+function currentEventTime() {
+  const { year, month, day, hour, minute, second } = getZonedParts(new Date(), SHIPROCKET_TIMEZONE);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+const isNdrText = (text) => statusFromText(text) === SHIPMENT_STATUSES.UNDELIVERED;
+
+// Earlier saves wrote the platform in lowercase; getProvider resolves either spelling
+const isShiprocket = (connection) => getProvider(connection.platform)?.platform === 'Shiprocket';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class ShiprocketWebhookService {
+  constructor() {
+    this.shipmentSyncs = new Map(); // userId -> sync run for unknown AWBs (kept for the cooldown)
+  }
+
+  generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Receiver URL, secret token and delivery stats for the user's Shiprocket connection.
+   * The token is only returned when it's created (first use, or options.rotate);
+   * afterwards only its hash is stored.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} connection - The user's shipping connection.
+   * @param {object} options - { rotate: replace the existing token }
+   * @returns {Promise<object>} { url, token, tokenCreatedAt, header, active, lastReceivedAt, eventsReceived }
+   */
+  async getSettings(userId, connection, options = {}) {
+    if (!connection || connection.status !== 'active' || !isShiprocket(connection)) {
+      throw apiError('Shiprocket is not connected', 404);
+    }
+
+    let token = null;
+    let tokenCreatedAt = connection.webhookTokenCreatedAt || null;
+    if (!connection.webhookTokenHash || options.rotate) {
+      token = this.generateToken();
+      tokenCreatedAt = new Date().toISOString();
+      await dynamoDB.send(new UpdateCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET webhookTokenHash = :hash, webhookTokenCreatedAt = :now REMOVE webhookToken',
+        ExpressionAttributeValues: { ':hash': hashToken(token), ':now': tokenCreatedAt }
+      }));
+    }
+
+    return {
+      url: `${process.env.BACKEND_URL || 'http://localhost:3000'}/api/shipping/webhooks/tracking/${encodeURIComponent(userId)}`,
+      token,
+      tokenCreatedAt,
+      header: 'x-api-key',
+      active: this.isReceiving(connection),
+      lastReceivedAt: connection.webhookLastReceivedAt || null,
+      eventsReceived: connection.webhookEventCount || 0
+    };
+  }
+
+  /**
+   * Whether Shiprocket has delivered events recently enough to trust the store.
+   * @param {object|null} connection - Shipping connection item.
+   * @returns {boolean}
+   */
+  isReceiving(connection) {
+    if (!connection?.webhookTokenHash || !connection.webhookLastReceivedAt) return false;
+    const age = Date.now() - new Date(connection.webhookLastReceivedAt).getTime();
+    return age < ACTIVE_WINDOW_HOURS * 60 * 60 * 1000;
+  }
+
+  /**
+   * Active Shiprocket connection for the userId in the webhook URL, when the
+   * x-api-key token matches its stored hash.
+   *
+   * @param {string} userId - From the receiver URL.
+   * @param {string} token - Value of the x-api-key header.
+   * @returns {Promise<object|null>}
+   */
+  async verifyWebhook(userId, token) {
+    if (!userId || typeof token !== 'string' || token.length < 32) return null;
+
+    const result = await dynamoDB.send(new GetCommand({
+      TableName: SHIPPING_CONNECTIONS_TABLE,
+      Key: { userId }
+    }));
+    const connection = result.Item;
+    if (!connection?.webhookTokenHash || connection.status !== 'active' || !isShiprocket(connection)) {
+      return null;
+    }
+
+    const expected = Buffer.from(connection.webhookTokenHash, 'hex');
+    const received = Buffer.from(hashToken(token), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+    return connection;
+  }
+
+  /**
+   * Stored shipment for an AWB: the awbCode index gives the key, then the full item.
+   */
+  async findShipment(userId, awbCode) {
+    const result = await dynamoDB.send(new QueryCommand({
+      TableName: SHIPMENTS_TABLE,
+      IndexName: SHIPMENTS_BY_AWB_INDEX,
+      KeyConditionExpression: 'userId = :userId AND awbCode = :awb',
+      ExpressionAttributeValues: { ':userId': userId, ':awb': awbCode },
+      Limit: 1
+    }));
+
+    const match = result.Items?.[0];
+    if (!match) return null;
+
+    const shipment = await dynamoDB.send(new GetCommand({
+      TableName: SHIPMENTS_TABLE,
+      Key: { userId, shipmentId: match.shipmentId }
+    }));
+    return shipment.Item || null;
+  }
+
+  /**
+   * Stored shipment for an AWB, syncing the user's recent shipments from
+   * Shiprocket when it isn't stored yet (webhooks can arrive before the sync has
+   * seen a new shipment). A burst of new AWBs shares one sync.
+   */
+  async findOrSyncShipment(userId, awbCode) {
+    const shipment = await this.findShipment(userId, awbCode);
+    if (shipment) return shipment;
+
+    if (!this.shipmentSyncs.has(userId)) {
+      // Required here - the sync service requires this one
+      const shippingSyncService = require('./shipping-sync.service');
+      const startDate = new Date(Date.now() - NEW_SHIPMENT_SYNC_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      console.log(`   🔄 Webhook for unknown AWB ${awbCode} (user ${userId}), syncing recent shipments...`);
+      const run = shippingSyncService.syncShipments(userId, { startDate })
+        .catch(error => console.error(`   ❌ Shipment sync for unknown AWB failed (user ${userId}):`, error.message))
+        .finally(() => setTimeout(() => this.shipmentSyncs.delete(userId), NEW_SHIPMENT_SYNC_COOLDOWN).unref());
+      this.shipmentSyncs.set(userId, run);
+    }
+    await this.shipmentSyncs.get(userId);
+
+    return this.findShipment(userId, awbCode);
+  }
+
+  /**
+   * Scan timeline: stored events + the event's scans, de-duplicated, oldest first.
+   */
+  mergeEvents(stored = [], scans = []) {
+    const events = new Map();
+    stored.concat(scans.map(scan => ({
+      date: parseEventTime(scan.date) || scan.date || null,
+      status: scan['sr-status-label'] || scan.status || null,
+      activity: scan.activity || null,
+      location: scan.location || null
+    }))).forEach(event => {
+      events.set(`${event.date}|${event.activity}|${event.location}`, event);
+    });
+
+    return Array.from(events.values())
+      .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+      .slice(-MAX_EVENTS);
+  }
+
+  /**
+   * Apply one tracking event.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {object} payload - Shiprocket webhook body.
+   * @returns {Promise<object>} { matched, updated, shipmentId?, status? }
+   */
+  async handleEvent(userId, payload) {
+    const awbCode = payload.awb?.toString().trim();
+    if (!awbCode) return { matched: false, reason: 'no_awb' };
+
+    const shipment = await this.findOrSyncShipment(userId, awbCode);
+    if (!shipment) {
+      // Not in Shiprocket's recent shipments either (or synced just before it was created)
+      console.log(`   ⏭️  Webhook for unknown AWB ${awbCode} (user ${userId})`);
+      return { matched: false, reason: 'unknown_awb' };
+    }
+
+    const statusText = (payload.current_status || payload.shipment_status || '').toString().toUpperCase().trim();
+    const statusCode = parseInt(payload.current_status_id ?? payload.shipment_status_id) || null;
+    const canonical = statusFromText(statusText) || statusFromShiprocketCode(statusCode);
+    const eventAt = parseEventTime(payload.current_timestamp) || currentEventTime();
+    const events = this.mergeEvents(shipment.trackingEvents, payload.scans || []);
+
+    const ndrEvents = events.filter(event => isNdrText(event.activity) || isNdrText(event.status));
+    const isRto = statusText.includes('RTO') || Number(payload.is_return) === 1 || shipment.isRto === true;
+    const isNdr = canonical === SHIPMENT_STATUSES.UNDELIVERED || ndrEvents.length > 0 || shipment.isNdr === true;
+
+    const fields = {
+      trackingEvents: events,
+      lastEventAt: eventAt,
+      isRto,
+      isNdr,
+      ndrAttempts: Math.max(ndrEvents.length, shipment.ndrAttempts || 0),
+      webhookUpdatedAt: new Date().toISOString()
+    };
+    if (statusText) {
+      fields.status = statusText;
+      fields.shipmentStatus = statusText;
+      fields.providerStatus = statusCode !== null ? `${statusText} (${statusCode})` : statusText;
+    }
+    // Shiprocket's own status id; the provider-independent status is stored alongside
+    if (statusCode !== null) fields.statusCode = statusCode;
+    if (canonical) fields.canonicalStatus = canonical.canonicalStatus;
+    if (ndrEvents.length > 0) fields.lastNdrReason = ndrEvents[ndrEvents.length - 1].activity;
+    if (isRto && !shipment.rtoInitiatedAt) fields.rtoInitiatedAt = eventAt;
+    if (canonical === SHIPMENT_STATUSES.DELIVERED) fields.deliveredDate = eventAt;
+    if (payload.courier_name) fields.courierName = payload.courier_name;
+    if (payload.etd) fields.etd = payload.etd;
+
+    const entries = Object.entries(fields);
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: SHIPMENTS_TABLE,
+        Key: { userId, shipmentId: shipment.shipmentId },
+        UpdateExpression: `SET ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+        // Shiprocket retries and can deliver out of order
+        ConditionExpression: 'attribute_not_exists(lastEventAt) OR lastEventAt <= :eventAt',
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+        ExpressionAttributeValues: {
+          ...Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+          ':eventAt': eventAt
+        }
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return { matched: true, updated: false, reason: 'stale_event', shipmentId: shipment.shipmentId };
+      }
+      throw error;
+    }
+
+    if ((fields.status && fields.status !== (shipment.shipmentStatus || shipment.status)) ||
+      (fields.canonicalStatus && fields.canonicalStatus !== shipment.canonicalStatus)) {
+      const orderDate = shipment.parsedOrderDate || toDateOnly(shipment.orderDate);
+      if (orderDate) dailyMetricsService.markDaysDirty(userId, [orderDate]);
+      // ProfitablePurchase goes out when the delivery comes in
+      metaCapiService.enqueueDeliveredShipments(userId, [{ ...shipment, ...fields, parsedOrderDate: orderDate }]);
+    }
+
+    return { matched: true, updated: true, shipmentId: shipment.shipmentId, status: fields.status || null };
+  }
+
+  /**
+   * Delivery stats on the connection (drives isReceiving).
+   */
+  async recordDelivery(userId) {
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: SHIPPING_CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET webhookLastReceivedAt = :now ADD webhookEventCount :one',
+        ExpressionAttributeValues: { ':now': new Date().toISOString(), ':one': 1 }
+      }));
+    } catch (error) {
+      console.error('Error recording webhook delivery:', error.message);
+    }
+  }
+}
+
+module.exports = new ShiprocketWebhookService();
@@ -4,8 +4,11 @@
  */
 
 const axios = require('axios');
-const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
+const dailyMetricsService = require('./daily-metrics.service');
+const metaCapiService = require('./meta-capi.service');
+const { getCanonicalStatus } = require('./shipping-providers/shipment-record');
 
 const SHIPROCKET_API_BASE = 'https://apiv2.shiprocket.in/v1/external';
 const SHIPMENTS_TABLE = process.env.SHIPROCKET_SHIPMENTS_TABLE || 'shiprocket_shipments';
@@ -79,6 +82,59 @@ async function fetchTrackingDetails(token, shipmentId) {
   }
 }
 
+/**
+ * Fetch open NDR (non-delivery report) shipments
+ * @param {string} token - Shiprocket API token
+ * @param {object} options - { maxPages, perPage }
+ * @returns {Promise<Array>} Raw NDR entries from the NDR API
+ */
+async function fetchNdrShipments(token, options = {}) {
+  const { maxPages = 10, perPage = 100 } = options;
+  let entries = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const response = await axios.get(`${SHIPROCKET_API_BASE}/ndr/all`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      params: { page, per_page: perPage }
+    });
+
+    const data = response.data?.data || [];
+    entries = entries.concat(data);
+
+    const pagination = response.data?.meta?.pagination;
+    if (data.length < perPage || (pagination && page >= pagination.total_pages)) break;
+  }
+
+  return entries;
+}
+
+/**
+ * Take action on an NDR shipment
+ * @param {string} token - Shiprocket API token
+ * @param {string} awbCode - AWB of the undelivered shipment
+ * @param {object} payload - { action: 're-attempt' | 'return', comments, deferred_date?, phone?, address1?, address2? }
+ * @returns {Promise<object>} Shiprocket response body
+ */
+async function submitNdrAction(token, awbCode, payload) {
+  try {
+    const response = await axios.post(`${SHIPROCKET_API_BASE}/ndr/${encodeURIComponent(awbCode)}/action`, payload, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error submitting NDR action for ${awbCode}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
 /**
  * Fetch comprehensive Shiprocket data using both Orders and Shipments APIs
  * This combines order data (revenue) with shipment data (shipping costs)
@@ -99,11 +155,12 @@ async function fetchOrdersDirectly(token, options = {}) {
 
     // Step 1: Fetch Orders (contains revenue data)
     console.log(`📦 Step 1: Fetching orders from Shiprocket API...`);
-    const ordersData = await fetchShiprocketOrders(token, { startDate, endDate, maxPages, perPage });
+    const ordersData = await fetchShiprocketOrders(token, { startDate, endDate, maxPages, perPage, renewToken: options.renewToken });
 
     // Step 2: Fetch Shipments (contains shipping costs)
+    // Use the renewed token if the Orders fetch had to renew an expired one
     console.log(`🚚 Step 2: Fetching shipments from Shiprocket API...`);
-    const shipmentsData = await fetchShiprocketShipments(token, { startDate, endDate, maxPages, perPage });
+    const shipmentsData = await fetchShiprocketShipments(ordersData.token || token, { startDate, endDate, maxPages, perPage });
 
     // Step 3: Merge orders and shipments data
     console.log(`🔗 Step 3: Merging orders and shipments data...`);
@@ -174,16 +231,20 @@ async function fetchOrdersDirectly(token, options = {}) {
 
 /**
  * Fetch orders from Shiprocket Orders API
+ * If the token is rejected (401) and options.renewToken is given, it is called
+ * once for a fresh token and the page is retried; the token used is returned.
  */
 async function fetchShiprocketOrders(token, options = {}) {
   const {
     startDate,
     endDate,
     maxPages = 20,  // Increased
-    perPage = 250   // Increased to 250 as requested
+    perPage = 250,  // Increased to 250 as requested
+    renewToken
   } = options;
 
   let allOrders = [];
+  let tokenRenewed = false;
   let currentPage = 1;
   let hasMorePages = true;
   const seenOrderIds = new Set(); // Track unique order IDs to detect duplicates
@@ -210,13 +271,26 @@ async function fetchShiprocketOrders(token, options = {}) {
 
     console.log(`      📅 API params:`, params);
 
-    const response = await axios.get(`${SHIPROCKET_API_BASE}/orders`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      params
-    });
+    let response;
+    try {
+      response = await axios.get(`${SHIPROCKET_API_BASE}/orders`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        params
+      });
+    } catch (error) {
+      if (error.response?.status !== 401 || !renewToken || tokenRenewed) throw error;
+
+      // Token expired or revoked - renew once and retry this page
+      console.log(`      🔑 Orders API returned 401, renewing Shiprocket token...`);
+      tokenRenewed = true;
+      const renewedToken = await renewToken();
+      if (!renewedToken) throw error;
+      token = renewedToken;
+      continue;
+    }
 
     const data = response.data;
     const orders = data.data || [];
@@ -371,7 +445,8 @@ async function fetchShiprocketOrders(token, options = {}) {
 
   return {
     orders: allOrders,
-    pages: currentPage - 1
+    pages: currentPage - 1,
+    token
   };
 }
 
@@ -605,6 +680,28 @@ function mapShiprocketStatus(status, statusCode) {
   return status || 'Unknown';
 }
 
+/**
+ * Queue a rollup rebuild for the shipment's order date when a save changed
+ * something the daily metrics depend on (new shipment, status or freight).
+ * @param {string} userId - User ID
+ * @param {object|undefined} oldItem - Previous item (ReturnValues ALL_OLD)
+ * @param {object} newItem - Item just written
+ * @returns {boolean} true when the shipment is new or its status changed
+ */
+function markShipmentDayIfChanged(userId, oldItem, newItem) {
+  const statusChanged = !oldItem ||
+    oldItem.status !== newItem.status ||
+    String(oldItem.statusCode) !== String(newItem.statusCode);
+  const changed = statusChanged ||
+    parseFloat(oldItem.freightCharges || 0) !== parseFloat(newItem.freightCharges || 0);
+
+  const orderDate = newItem.parsedOrderDate || (newItem.orderDate ? parseShiprocketDate(newItem.orderDate) : null);
+  if (changed && orderDate) {
+    dailyMetricsService.markDaysDirty(userId, [orderDate]);
+  }
+  return statusChanged;
+}
+
 /**
  * Save shipment to database
  */
@@ -631,10 +728,11 @@ async function saveShipment(userId, shipment) {
     userId,
     shipmentId,
     orderId: shipment.order_id?.toString() || shipment.orderId?.toString(),
-    awbCode: shipment.awb_code || shipment.awbCode,
+    awbCode: (shipment.awb_code || shipment.awbCode)?.toString() || undefined, // Index key: omit when empty
     courierName: shipment.courier_name || shipment.courierName,
     status: shipment.status || shipment.shipmentStatus,
     statusCode: shipment.status_code || shipment.statusCode,
+    canonicalStatus: getCanonicalStatus({ status: shipment.status || shipment.shipmentStatus, statusCode: shipment.status_code || shipment.statusCode }),
 
     // Shipment details
     pickupDate: shipment.pickup_date || shipment.pickupDate,
@@ -675,10 +773,14 @@ async function saveShipment(userId, shipment) {
   try {
     const command = new PutCommand({
       TableName: SHIPMENTS_TABLE,
-      Item: item
+      Item: item,
+      ReturnValues: 'ALL_OLD'
     });
 
-    await dynamoDB.send(command);
+    const result = await dynamoDB.send(command);
+    if (markShipmentDayIfChanged(userId, result.Attributes, item)) {
+      metaCapiService.enqueueDeliveredShipments(userId, [{ ...item, parsedOrderDate: parseShiprocketDate(item.orderDate) }]);
+    }
     return { saved: true };
   } catch (error) {
     console.error(`❌ Error saving shipment ${shipmentId}:`, error.message);
@@ -1060,7 +1162,8 @@ async function getShiprocketDataFromDB(userId, startDate, endDate) {
  * This function persists the data fetched from the API into DynamoDB.
  * It is called automatically by getShiprocketDataWithCache() whenever fresh data is fetched.
  * This effectively creates a "background" store of data that makes future requests instance.
- * 
+ * Other aggregators' records (shipping-sync.service) are written through here too.
+ *
  * @param {string} userId - User ID
  * @param {Array} shipments - Array of shipment objects to save
  * @returns {Promise<{success: boolean, saved: number}>}
@@ -1075,6 +1178,7 @@ async function saveShiprocketDataToDB(userId, shipments) {
 
   let savedCount = 0;
   const batchSize = 10; // Process 10 items in parallel (Safety limit)
+  const statusChanges = []; // New shipments and status changes (ProfitablePurchase events)
 
   // Helper to save single shipment
   const saveShipment = async (shipment) => {
@@ -1115,12 +1219,13 @@ async function saveShiprocketDataToDB(userId, shipments) {
 
         // Status
         status: shipment.status || null,
+        canonicalStatus: getCanonicalStatus(shipment),
         statusCode: shipment.statusCode || null,
         masterStatus: shipment.masterStatus || null,
         shipmentStatus: shipment.shipmentStatus || null,
 
-        // Shipment details
-        awbCode: shipment.awbCode || null,
+        // Shipment details (awbCode is an index key: omitted, not null, when missing)
+        awbCode: shipment.awbCode?.toString() || undefined,
         courierName: shipment.courierName || null,
         weight: parseFloat(shipment.weight || 0),
         dimensions: shipment.dimensions || null,
@@ -1141,6 +1246,8 @@ async function saveShiprocketDataToDB(userId, shipments) {
         etd: shipment.etd || null,
 
         // Metadata
+        provider: shipment.provider || 'Shiprocket',
+        providerStatus: shipment.providerStatus || null,
         source: shipment.source || 'shiprocket_api',
         channelName: shipment.channelName || null,
         syncedAt: new Date().toISOString(),
@@ -1149,12 +1256,23 @@ async function saveShiprocketDataToDB(userId, shipments) {
         trackingUrl: shipment.trackingUrl || null
       };
 
-      const command = new PutCommand({
+      // Update rather than replace, so fields only the tracking webhook writes
+      // (trackingEvents, isRto / isNdr flags, lastEventAt) survive a re-sync
+      const entries = Object.entries(item).filter(([name, value]) => name !== 'userId' && name !== 'shipmentId' && value !== undefined);
+      const command = new UpdateCommand({
         TableName: SHIPMENTS_TABLE,
-        Item: item
+        Key: { userId, shipmentId: item.shipmentId },
+        // Older saves stored awbCode as null, which the AWB index rejects
+        UpdateExpression: `SET ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}${item.awbCode ? '' : ' REMOVE awbCode'}`,
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+        ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+        ReturnValues: 'ALL_OLD'
       });
 
-      await dynamoDB.send(command);
+      const result = await dynamoDB.send(command);
+      if (markShipmentDayIfChanged(userId, result.Attributes, item)) {
+        statusChanges.push(item);
+      }
       return true; // Success
     } catch (error) {
       // Log but don't fail on individual record errors
@@ -1170,6 +1288,10 @@ async function saveShiprocketDataToDB(userId, shipments) {
   }
 
   console.log(`   ✅ Saved ${savedCount} of ${shipments.length} shipments to DynamoDB`);
+
+  if (statusChanges.length > 0) {
+    await metaCapiService.enqueueDeliveredShipments(userId, statusChanges);
+  }
   return { success: true, saved: savedCount };
 }
 
@@ -1324,7 +1446,8 @@ async function getShiprocketDataWithCache(userId, token, startDate, endDate, opt
       startDate,
       endDate,
       maxPages: options.maxPages || 10,
-      perPage: options.perPage || 250
+      perPage: options.perPage || 250,
+      renewToken: options.renewToken
     });
 
     if (!apiResult.success) {
@@ -1569,6 +1692,8 @@ module.exports = {
   fetchTrackingDetails,
   fetchShipmentsDirectly,
   fetchOrdersDirectly,
+  fetchNdrShipments,
+  submitNdrAction,
   mapShiprocketStatus,
   saveShipment,
   getShipments,
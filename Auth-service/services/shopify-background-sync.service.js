@@ -11,6 +11,10 @@
 const axios = require('axios');
 const { PutCommand, UpdateCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
+const dailyMetricsService = require('./daily-metrics.service');
+const attributionService = require('./attribution.service');
+const metaCapiService = require('./meta-capi.service');
+const rtoRiskService = require('./rto-risk.service');
 
 // Table names
 const ORDERS_TABLE = process.env.SHOPIFY_ORDERS_TABLE || 'shopify_orders';
@@ -314,9 +318,12 @@ class ShopifyBackgroundSyncService {
    * @param {string} userId - The unique identifier of the user.
    * @param {string} shopUrl - The Shopify store URL.
    * @param {Array} orders - Array of Shopify order objects to store.
+   * @param {object} options - Optional settings.
+   * @param {boolean} options.skipStale - If true, don't overwrite a stored order with a newer updatedAt
+   *   (webhooks can arrive out of order).
    * @returns {Promise<void>}
    */
-  async storeOrdersBatch(userId, shopUrl, orders) {
+  async storeOrdersBatch(userId, shopUrl, orders, options = {}) {
     const syncTime = new Date().toISOString();
     const BATCH_SIZE = 10; // Process 10 orders in parallel
 
@@ -336,6 +343,8 @@ class ShopifyBackgroundSyncService {
 
             // Extract key fields for easy querying
             orderNumber: order.order_number,
+            name: order.name || null,
+            test: order.test === true, // Test orders are excluded from every report
             totalPrice: parseFloat(order.total_price || 0),
             subtotalPrice: parseFloat(order.subtotal_price || 0),
             totalTax: parseFloat(order.total_tax || 0),
@@ -356,9 +365,15 @@ class ShopifyBackgroundSyncService {
             }, 0) : 0,
 
             // Customer info
-            customerId: order.customer?.id?.toString() || null,
+            customerId: order.customer?.id?.toString() || undefined, // GSI key: omit rather than null
             customerEmail: order.customer?.email || null,
 
+            // Discount codes used at checkout (cohort filters)
+            discountCodes: (order.discount_codes || []).map(d => d.code).filter(Boolean),
+
+            // Channel / Meta campaign from landing page, referrer and UTMs
+            attribution: attributionService.parseOrder(order),
+
             // Status fields
             financialStatus: order.financial_status || null,
             fulfillmentStatus: order.fulfillment_status || null,
@@ -369,11 +384,19 @@ class ShopifyBackgroundSyncService {
             // Addresses
             shippingAddress: order.shipping_address || null,
             billingAddress: order.billing_address || null
-          }
+          },
+          ...(options.skipStale && order.updated_at && {
+            ConditionExpression: 'attribute_not_exists(updatedAt) OR updatedAt <= :updatedAt',
+            ExpressionAttributeValues: { ':updatedAt': order.updated_at }
+          })
         });
 
         await dynamoDB.send(command);
       } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          console.log(`   ⏭️  Skipped stale update for order ${order.id}`);
+          return;
+        }
         console.error(`   ❌ Error storing order ${order.id}:`, error.message);
         // Continue with other orders
       }
@@ -384,6 +407,15 @@ class ShopifyBackgroundSyncService {
       const chunk = orders.slice(i, i + BATCH_SIZE);
       await Promise.all(chunk.map(order => saveOrder(order)));
     }
+
+    // Rollups are keyed by order date - late refunds/edits rebuild the day the order was placed
+    dailyMetricsService.markDaysDirty(userId, orders.map(order => order.created_at));
+
+    // Server-side Purchase events for recent orders (no-op unless CAPI is enabled)
+    await metaCapiService.enqueueOrders(userId, shopUrl, orders);
+
+    // The Put above replaces the whole item, so recent orders are (re)scored after every write
+    await rtoRiskService.scoreOrders(userId, orders);
   }
 
   /**
@@ -914,11 +946,31 @@ class ShopifyBackgroundSyncService {
                   totalTaxSet { shopMoney { amount } }
                   totalDiscountsSet { shopMoney { amount } }
                   currentTotalPriceSet { shopMoney { amount } }
+                  discountCodes
+                  customerJourneySummary {
+                    firstVisit { landingPage referrerUrl occurredAt }
+                    lastVisit { landingPage referrerUrl occurredAt }
+                  }
                   customer {
                     id
                     legacyResourceId
                     email
                   }
+                  lineItems {
+                    edges {
+                      node {
+                        id
+                        title
+                        variantTitle
+                        sku
+                        quantity
+                        originalUnitPriceSet { shopMoney { amount } }
+                        totalDiscountSet { shopMoney { amount } }
+                        product { legacyResourceId }
+                        variant { legacyResourceId }
+                      }
+                    }
+                  }
                 }
               }
             }
@@ -1008,6 +1060,11 @@ class ShopifyBackgroundSyncService {
   /**
    * Phase 4 Helper: Process Stream
    * Reads the JSONL stream, converts to REST format, and batches writes.
+   *
+   * Bulk operations flatten nested connections: each LineItem is its own line
+   * with a __parentId pointing at the Order GID, written after its parent.
+   * An order is only queued for writing once the next order starts (or the
+   * stream ends), so all of its line items have been attached.
    */
   async processBulkStream(userId, shopUrl, downloadUrl) {
     const { data: stream } = await axios.get(downloadUrl, { responseType: 'stream' });
@@ -1015,45 +1072,77 @@ class ShopifyBackgroundSyncService {
 
     let batch = [];
     let count = 0;
+    let orphanLineItems = 0;
+    let currentOrder = null; // { gid, order } - order still collecting line items
     const BATCH_SIZE = 50; // Write to DB in chunks
 
+    const flushBatch = async () => {
+      await this.storeOrdersBatch(userId, shopUrl, batch);
+      batch = [];
+      // Update progress occasionally
+      if (count % 250 === 0) {
+        await this.updateSyncStatus(userId, {
+          status: 'in_progress',
+          stage: 'saving_data',
+          processedOrders: count,
+          message: `Saved ${count} orders to database...`
+        });
+      }
+    };
+
     for await (const line of rl) {
       if (!line.trim()) continue;
 
+      let node;
       try {
-        const node = JSON.parse(line);
-        // We only requested Orders for now (no nested line items in query to simplify parsing)
-        // If we add lineItems to query, we would need to check __parentId here.
+        node = JSON.parse(line);
+      } catch (e) {
+        console.error('Error parsing line:', e.message);
+        continue;
+      }
 
-        if (node.id && node.id.includes('Order')) {
-          const restOrder = this.mapGraphQLOrderToRest(node);
-          batch.push(restOrder);
+      if (node.__parentId) {
+        // Child object (LineItem) - attach to its parent order
+        if (currentOrder && currentOrder.gid === node.__parentId) {
+          currentOrder.order.line_items.push(this.mapGraphQLLineItemToRest(node));
+        } else {
+          orphanLineItems++;
+        }
+        continue;
+      }
+
+      if (node.id && node.id.includes('Order')) {
+        // New order starts - the previous one is complete
+        if (currentOrder) {
+          batch.push(currentOrder.order);
           count++;
         }
+        currentOrder = { gid: node.id, order: this.mapGraphQLOrderToRest(node) };
 
         if (batch.length >= BATCH_SIZE) {
-          await this.storeOrdersBatch(userId, shopUrl, batch);
-          batch = [];
-          // Update progress occasionally
-          if (count % 250 === 0) {
-            await this.updateSyncStatus(userId, {
-              status: 'in_progress',
-              stage: 'saving_data',
-              processedOrders: count,
-              message: `Saved ${count} orders to database...`
-            });
+          try {
+            await flushBatch();
+          } catch (e) {
+            console.error('Error saving batch:', e.message);
+            batch = [];
           }
         }
-      } catch (e) {
-        console.error('Error parsing line:', e.message);
       }
     }
 
     // Flush remaining
+    if (currentOrder) {
+      batch.push(currentOrder.order);
+      count++;
+    }
     if (batch.length > 0) {
       await this.storeOrdersBatch(userId, shopUrl, batch);
     }
 
+    if (orphanLineItems > 0) {
+      console.warn(`   ⚠️ ${orphanLineItems} line items had no matching parent order in the bulk file`);
+    }
+
     return count;
   }
 
@@ -1063,6 +1152,11 @@ class ShopifyBackgroundSyncService {
    */
   mapGraphQLOrderToRest(node) {
     const getMoney = (set) => parseFloat(set?.shopMoney?.amount || 0);
+    const mapVisit = (visit) => (visit ? {
+      landing_site: visit.landingPage || null,
+      referring_site: visit.referrerUrl || null,
+      occurred_at: visit.occurredAt || null
+    } : null);
 
     return {
       id: node.legacyResourceId, // Use numeric ID
@@ -1083,12 +1177,39 @@ class ShopifyBackgroundSyncService {
         email: node.customer.email
       } : null,
 
-      // Bulk optimization: We didn't fetch full line items to keep it fast/simple for now
-      // Could be added later with more complex stream parsing
+      discount_codes: (node.discountCodes || []).map(code => ({ code })),
+
+      // REST orders only have landing_site / referring_site; GraphQL has the visits with timestamps
+      customer_journey: node.customerJourneySummary ? {
+        first_visit: mapVisit(node.customerJourneySummary.firstVisit),
+        last_visit: mapVisit(node.customerJourneySummary.lastVisit)
+      } : null,
+
+      // Filled from LineItem child lines in processBulkStream
       line_items: []
     };
   }
 
+  /**
+   * Adapter: Convert GraphQL LineItem Node (bulk child line) to REST-like
+   * line_item, matching the fields the dashboard reads (product_id, quantity, price).
+   */
+  mapGraphQLLineItemToRest(node) {
+    const getMoney = (set) => parseFloat(set?.shopMoney?.amount || 0);
+
+    return {
+      id: node.id ? node.id.split('/').pop() : null,
+      product_id: node.product?.legacyResourceId ? parseInt(node.product.legacyResourceId) : null,
+      variant_id: node.variant?.legacyResourceId ? parseInt(node.variant.legacyResourceId) : null,
+      title: node.title,
+      variant_title: node.variantTitle || null,
+      sku: node.sku || null,
+      quantity: node.quantity || 0,
+      price: getMoney(node.originalUnitPriceSet).toFixed(2),
+      total_discount: getMoney(node.totalDiscountSet).toFixed(2)
+    };
+  }
+
 }
 
 module.exports = new ShopifyBackgroundSyncService();
\ No newline at end of file
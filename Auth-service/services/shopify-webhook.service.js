@@ -0,0 +1,251 @@
+/**
+ * Shopify Webhook Service
+ *
+ * Keeps shopify_orders up to date between daily syncs:
+ * 1. Registers order/refund/uninstall webhooks when a store connects
+ * 2. Verifies the X-Shopify-Hmac-Sha256 signature on every delivery
+ * 3. Upserts the affected order using the same shape as storeOrdersBatch
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const shopifyBackgroundSync = require('./shopify-background-sync.service');
+
+const CONNECTIONS_TABLE = process.env.SHOPIFY_CONNECTIONS_TABLE || 'shopify_connections';
+const CONNECTIONS_BY_SHOP_INDEX = 'shopUrl-index';
+const SHOPIFY_API_VERSION = '2024-10';
+
+// Topics we subscribe to for every connected store
+const WEBHOOK_TOPICS = [
+  'orders/create',
+  'orders/updated',
+  'orders/cancelled',
+  'refunds/create',
+  'app/uninstalled'
+];
+
+class ShopifyWebhookService {
+  /**
+   * Verify the HMAC signature Shopify attaches to each webhook.
+   * Shopify signs the raw request body with the app's API secret (base64 HMAC-SHA256).
+   *
+   * @param {Buffer} rawBody - Unparsed request body.
+   * @param {string} hmacHeader - Value of the X-Shopify-Hmac-Sha256 header.
+   * @returns {boolean} True if the signature matches.
+   */
+  verifySignature(rawBody, hmacHeader) {
+    const secret = process.env.SHOPIFY_API_SECRET;
+
+    if (!secret) {
+      console.error('❌ SHOPIFY_API_SECRET is not set - cannot verify webhooks');
+      return false;
+    }
+
+    if (!rawBody || !hmacHeader) {
+      return false;
+    }
+
+    const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(hmacHeader, 'base64');
+
+    // timingSafeEqual throws on length mismatch
+    if (digest.length !== received.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(digest, received);
+  }
+
+  /**
+   * Register all webhook topics for a store.
+   * Existing subscriptions return 422 from Shopify and are treated as registered.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} shopUrl - The Shopify store URL.
+   * @param {string} accessToken - The Shopify API access token.
+   * @returns {Promise<object>} Lists of registered and failed topics.
+   */
+  async registerWebhooks(userId, shopUrl, accessToken) {
+    const address = `${process.env.BACKEND_URL || 'http://localhost:3000'}/api/shopify/webhooks`;
+    const registered = [];
+    const failed = [];
+
+    console.log(`\n🪝 Registering Shopify webhooks for ${shopUrl}`);
+    console.log(`   Address: ${address}`);
+
+    for (const topic of WEBHOOK_TOPICS) {
+      try {
+        await axios.post(
+          `https://${shopUrl}/admin/api/${SHOPIFY_API_VERSION}/webhooks.json`,
+          { webhook: { topic, address, format: 'json' } },
+          {
+            headers: {
+              'X-Shopify-Access-Token': accessToken,
+              'Content-Type': 'application/json'
+            },
+            timeout: 10000
+          }
+        );
+        registered.push(topic);
+        console.log(`   ✅ ${topic}`);
+      } catch (error) {
+        if (error.response?.status === 422) {
+          // "address for this topic has already been taken"
+          registered.push(topic);
+          console.log(`   ✅ ${topic} (already registered)`);
+        } else {
+          failed.push(topic);
+          console.error(`   ❌ ${topic}:`, error.response?.data?.errors || error.message);
+        }
+      }
+    }
+
+    try {
+      await dynamoDB.send(new UpdateCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET webhookTopics = :topics, webhooksRegisteredAt = :timestamp',
+        ExpressionAttributeValues: {
+          ':topics': registered,
+          ':timestamp': new Date().toISOString()
+        }
+      }));
+    } catch (error) {
+      console.error('Error saving webhook registration:', error.message);
+    }
+
+    return { registered, failed };
+  }
+
+  /**
+   * Process a verified webhook delivery.
+   *
+   * @param {string} topic - X-Shopify-Topic header (e.g. "orders/updated").
+   * @param {string} shopDomain - X-Shopify-Shop-Domain header.
+   * @param {object} payload - Parsed webhook body.
+   * @returns {Promise<void>}
+   */
+  async handleWebhook(topic, shopDomain, payload) {
+    const connections = await this.getConnectionsByShop(shopDomain);
+
+    if (connections.length === 0) {
+      console.warn(`⚠️  Webhook ${topic} for unknown shop: ${shopDomain}`);
+      return;
+    }
+
+    for (const connection of connections) {
+      const { userId, shopUrl, accessToken } = connection;
+
+      switch (topic) {
+        case 'orders/create':
+        case 'orders/updated':
+        case 'orders/cancelled':
+          await shopifyBackgroundSync.storeOrdersBatch(userId, shopUrl, [payload], { skipStale: true });
+          console.log(`   💾 Order ${payload.id} upserted from ${topic} (user: ${userId})`);
+          break;
+
+        case 'refunds/create': {
+          // Refund payloads only carry order_id, so re-read the full order with its refunds
+          const order = await this.fetchOrder(shopUrl, accessToken, payload.order_id);
+          if (order) {
+            await shopifyBackgroundSync.storeOrdersBatch(userId, shopUrl, [order]);
+            console.log(`   💾 Order ${order.id} refreshed after refund ${payload.id} (user: ${userId})`);
+          }
+          break;
+        }
+
+        case 'app/uninstalled':
+          await this.markUninstalled(userId);
+          console.log(`   🔌 App uninstalled from ${shopDomain} (user: ${userId})`);
+          break;
+
+        default:
+          console.warn(`⚠️  Unhandled Shopify webhook topic: ${topic}`);
+      }
+    }
+  }
+
+  /**
+   * Find active connections for a shop domain (shopUrl index).
+   *
+   * @param {string} shopDomain - The myshopify.com domain.
+   * @returns {Promise<Array>} Matching connection items.
+   */
+  async getConnectionsByShop(shopDomain) {
+    let connections = [];
+    let lastEvaluatedKey = null;
+
+    do {
+      const command = new QueryCommand({
+        TableName: CONNECTIONS_TABLE,
+        IndexName: CONNECTIONS_BY_SHOP_INDEX,
+        KeyConditionExpression: 'shopUrl = :shopUrl',
+        FilterExpression: '#status = :active',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':shopUrl': shopDomain,
+          ':active': 'active'
+        },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      });
+
+      const result = await dynamoDB.send(command);
+      connections = connections.concat(result.Items || []);
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return connections;
+  }
+
+  /**
+   * Fetch a single order from the Shopify REST API.
+   *
+   * @param {string} shopUrl - The Shopify store URL.
+   * @param {string} accessToken - The Shopify API access token.
+   * @param {string|number} orderId - Shopify order ID.
+   * @returns {Promise<object|null>} REST order object or null.
+   */
+  async fetchOrder(shopUrl, accessToken, orderId) {
+    try {
+      const response = await axios.get(
+        `https://${shopUrl}/admin/api/${SHOPIFY_API_VERSION}/orders/${orderId}.json`,
+        {
+          headers: { 'X-Shopify-Access-Token': accessToken },
+          params: { status: 'any' },
+          timeout: 10000
+        }
+      );
+      return response.data.order || null;
+    } catch (error) {
+      console.error(`   ❌ Error fetching order ${orderId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Mark a connection as uninstalled so schedulers stop syncing it.
+   *
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<void>}
+   */
+  async markUninstalled(userId) {
+    await dynamoDB.send(new UpdateCommand({
+      TableName: CONNECTIONS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET #status = :status, uninstalledAt = :timestamp, updatedAt = :timestamp',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':status': 'uninstalled',
+        ':timestamp': new Date().toISOString()
+      }
+    }));
+  }
+}
+
+module.exports = new ShopifyWebhookService();
@@ -0,0 +1,106 @@
+/**
+ * Store Timezone Service
+ *
+ * Resolves the IANA timezone of a user's Shopify store so calculators can
+ * bucket orders by the store's calendar day instead of the server's (UTC).
+ * Connections made before ianaTimezone was captured are backfilled from
+ * /shop.json on first lookup.
+ */
+
+const axios = require('axios');
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('../config/aws.config');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+const CONNECTIONS_TABLE = process.env.SHOPIFY_CONNECTIONS_TABLE || 'shopify_connections';
+const SHOPIFY_API_VERSION = '2024-10';
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+class StoreTimezoneService {
+  constructor() {
+    this.cache = new Map(); // userId -> { timezone, timestamp }
+  }
+
+  /**
+   * Get the store's IANA timezone (falls back to DEFAULT_STORE_TIMEZONE).
+   * @param {string} userId - The unique identifier of the user.
+   * @returns {Promise<string>} IANA timezone, e.g. "Asia/Kolkata".
+   */
+  async getTimezone(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.timezone;
+    }
+
+    let timezone = DEFAULT_TIMEZONE;
+
+    try {
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: { userId },
+        ProjectionExpression: 'shopUrl, accessToken, ianaTimezone'
+      }));
+      const connection = result.Item;
+
+      if (isValidTimezone(connection?.ianaTimezone)) {
+        timezone = connection.ianaTimezone;
+      } else if (connection?.shopUrl && connection?.accessToken) {
+        const fetched = await this.backfillTimezone(userId, connection.shopUrl, connection.accessToken);
+        if (fetched) timezone = fetched;
+      }
+    } catch (error) {
+      console.error(`Error resolving store timezone for ${userId}:`, error.message);
+    }
+
+    this.cache.set(userId, { timezone, timestamp: Date.now() });
+    return timezone;
+  }
+
+  /**
+   * Read iana_timezone from Shopify and save it on the connection.
+   * @param {string} userId - The unique identifier of the user.
+   * @param {string} shopUrl - The Shopify store URL.
+   * @param {string} accessToken - The Shopify API access token.
+   * @returns {Promise<string|null>} IANA timezone or null.
+   */
+  async backfillTimezone(userId, shopUrl, accessToken) {
+    try {
+      const response = await axios.get(
+        `https://${shopUrl}/admin/api/${SHOPIFY_API_VERSION}/shop.json`,
+        {
+          headers: { 'X-Shopify-Access-Token': accessToken },
+          timeout: 5000
+        }
+      );
+
+      const ianaTimezone = response.data.shop?.iana_timezone;
+      if (!isValidTimezone(ianaTimezone)) return null;
+
+      await dynamoDB.send(new UpdateCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET ianaTimezone = :timezone, updatedAt = :timestamp',
+        ExpressionAttributeValues: {
+          ':timezone': ianaTimezone,
+          ':timestamp': new Date().toISOString()
+        }
+      }));
+
+      console.log(`🕐 Store timezone backfilled for ${userId}: ${ianaTimezone}`);
+      return ianaTimezone;
+    } catch (error) {
+      console.error(`Error fetching store timezone for ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Drop a cached timezone (after the store is reconnected).
+   * @param {string} userId - The unique identifier of the user.
+   */
+  clear(userId) {
+    this.cache.delete(userId);
+  }
+}
+
+module.exports = new StoreTimezoneService();
@@ -3,21 +3,34 @@
  * 
  * Runs daily sync for all active Shopify connections
  * Updates products, orders, and customers automatically
+ * Retries queued Meta Conversions API events every few minutes
+ * Evaluates Meta automation rules once the day's insights are in
+ * Syncs shipments from non-Shiprocket aggregators through their adapters
+ * Retrains RTO risk models on the latest delivered / RTO outcomes
  */
 
 const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
 const { dynamoDB } = require('../config/aws.config');
 const shopifyBackgroundSync = require('./shopify-background-sync.service');
 const metaSyncService = require('./meta-sync.service');
+const metaTokenService = require('./meta-token.service');
+const metaCapiService = require('./meta-capi.service');
+const metaRulesService = require('./meta-rules.service');
+const shippingSyncService = require('./shipping-sync.service');
+const shiprocketTokenService = require('./shiprocket-token.service');
+const rtoRiskService = require('./rto-risk.service');
 
 const SHOPIFY_CONNECTIONS_TABLE = process.env.SHOPIFY_CONNECTIONS_TABLE || 'shopify_connections';
 const META_CONNECTIONS_TABLE = process.env.META_CONNECTIONS_TABLE || 'meta_connections';
 const SHIPPING_CONNECTIONS_TABLE = process.env.SHIPPING_CONNECTIONS_TABLE || 'shipping_connections';
+// Failed Conversions API events are retried on this cadence (backoff is per event)
+const CAPI_RETRY_INTERVAL = 5 * 60 * 1000; // 5 minutes
 
 class SyncSchedulerService {
   constructor() {
     this.isRunning = false;
     this.syncInterval = null;
+    this.capiInterval = null;
   }
   
   /**
@@ -32,6 +45,7 @@ class SyncSchedulerService {
     
     console.log('🚀 Starting sync scheduler...');
     console.log('   Interval: Every 24 hours');
+    console.log('   CAPI retries: Every 5 minutes');
     console.log('   First run: Immediately\n');
     
     // Run immediately on start
@@ -41,6 +55,10 @@ class SyncSchedulerService {
     this.syncInterval = setInterval(() => {
       this.runDailySync();
     }, 24 * 60 * 60 * 1000); // 24 hours
+
+    this.capiInterval = setInterval(() => {
+      metaCapiService.processQueue();
+    }, CAPI_RETRY_INTERVAL);
     
     this.isRunning = true;
   }
@@ -51,7 +69,9 @@ class SyncSchedulerService {
   stop() {
     if (this.syncInterval) {
       clearInterval(this.syncInterval);
+      clearInterval(this.capiInterval);
       this.syncInterval = null;
+      this.capiInterval = null;
       this.isRunning = false;
       console.log('🛑 Sync scheduler stopped');
     }
@@ -81,12 +101,12 @@ class SyncSchedulerService {
       
       console.log(`📊 Found ${shopifyConnections.length} Shopify connection(s)`);
       console.log(`📊 Found ${metaConnections.length} Meta connection(s)`);
-      console.log(`📊 Found ${shiprocketConnections.length} Shiprocket connection(s)\n`);
+      console.log(`📊 Found ${shiprocketConnections.length} shipping connection(s)\n`);
       
       const results = {
         shopify: [],
         meta: [],
-        shiprocket: []
+        shipping: []
       };
       
       // Sync Shopify data
@@ -106,6 +126,10 @@ class SyncSchedulerService {
       // Sync Meta data
       if (metaConnections.length > 0) {
         console.log('\n📱 META ADS SYNC\n');
+
+        // Refresh long-lived tokens before they lapse, so the sync below doesn't fail
+        await metaTokenService.refreshExpiringTokens();
+
         for (const connection of metaConnections) {
           const result = await metaSyncService.dailySync(connection.userId);
           results.meta.push({
@@ -117,8 +141,27 @@ class SyncSchedulerService {
         }
       }
       
-      // Shiprocket sync disabled - using direct API calls in dashboard
-      console.log('\n🚚 SHIPROCKET SYNC - SKIPPED (using direct API calls)\n');
+      // Shiprocket is fetched directly by the dashboard unless its tracking webhooks are live.
+      // Other aggregators only reach the dashboards through their adapter sync.
+      console.log('\n🚚 SHIPPING SYNC (Shiprocket only with live webhooks)\n');
+
+      // Shiprocket tokens last ~10 days - renew them before the dashboards need them
+      await shiprocketTokenService.renewExpiringTokens();
+
+      results.shipping = await shippingSyncService.syncAll();
+
+      // Models learn from the shipment outcomes synced above
+      console.log('\n🎯 RTO RISK MODELS\n');
+      const rtoModels = await rtoRiskService.trainAll(shopifyConnections.map(connection => connection.userId));
+      
+      // Rules read the insights and rollups synced above
+      console.log('⚙️  AUTOMATION RULES\n');
+      let rules = null;
+      try {
+        rules = await metaRulesService.evaluateAll();
+      } catch (error) {
+        console.error('   ❌ Automation rules failed:', error.message);
+      }
       
       // Summary
       console.log(`\n${'='.repeat(60)}`);
@@ -131,10 +174,17 @@ class SyncSchedulerService {
       console.log(`   - Total: ${results.meta.length}`);
       console.log(`   - Successful: ${results.meta.filter(r => r.success).length}`);
       console.log(`   - Failed: ${results.meta.filter(r => !r.success).length}`);
-      console.log(`\n   Shiprocket:`);
-      console.log(`   - Total: ${results.shiprocket.length}`);
-      console.log(`   - Successful: ${results.shiprocket.filter(r => r.success).length}`);
-      console.log(`   - Failed: ${results.shiprocket.filter(r => !r.success).length}`);
+      console.log(`\n   Shipping:`);
+      console.log(`   - Total: ${results.shipping.length}`);
+      console.log(`   - Successful: ${results.shipping.filter(r => r.success).length}`);
+      console.log(`   - Failed: ${results.shipping.filter(r => !r.success).length}`);
+      console.log(`\n   RTO risk models:`);
+      console.log(`   - Ready: ${rtoModels.filter(r => r.status === 'ready').length}/${rtoModels.length}`);
+      if (rules) {
+        console.log(`\n   Automation rules:`);
+        console.log(`   - Rules evaluated: ${rules.rules} (${rules.users} user(s))`);
+        console.log(`   - Applied: ${rules.applied}, dry run: ${rules.dryRun}, failed: ${rules.failed}`);
+      }
       console.log(`${'='.repeat(60)}\n`);
       
     } catch (error) {
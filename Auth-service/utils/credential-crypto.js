@@ -0,0 +1,106 @@
+/**
+ * Credential Encryption Utility
+ *
+ * Shipping platform credentials (passwords, API tokens and keys) are stored
+ * encrypted with AES-256-GCM under a server-side key (CREDENTIALS_ENCRYPTION_KEY).
+ * Encrypted values look like "enc:v1:<base64 iv|tag|ciphertext>"; anything
+ * else is treated as a legacy plaintext value and passed through by decrypt,
+ * so connections saved before encryption keep working until they're re-saved.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Fields of shipping_connections that hold secrets
+const CREDENTIAL_FIELDS = ['password', 'token', 'access_token', 'secret_key', 'license_key'];
+
+/**
+ * 32-byte key derived from CREDENTIALS_ENCRYPTION_KEY (any long random string).
+ */
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not set - cannot store or read shipping credentials');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * @param {*} value - Stored value.
+ * @returns {boolean} True when the value was produced by encrypt().
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Encrypt a secret (already-encrypted values and empty values are returned as is).
+ * @param {string} value - Plaintext secret.
+ * @returns {string} "enc:v1:..." string.
+ */
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(value.toString(), 'utf8'), cipher.final()]);
+
+  return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+/**
+ * Decrypt a value from encrypt(); plaintext (legacy) values are returned unchanged.
+ * @param {string} value - Stored value.
+ * @returns {string} Plaintext secret.
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const data = Buffer.from(value.slice(PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Stored credentials could not be decrypted - was CREDENTIALS_ENCRYPTION_KEY changed?');
+  }
+};
+
+/**
+ * Copy of a connection item with its credential fields encrypted.
+ * @param {object} item - shipping_connections item (or connection data).
+ * @returns {object}
+ */
+const encryptCredentials = (item) => {
+  if (!item) return item;
+  const encrypted = { ...item };
+  CREDENTIAL_FIELDS.forEach(field => {
+    if (field in encrypted) encrypted[field] = encrypt(encrypted[field]);
+  });
+  return encrypted;
+};
+
+/**
+ * Copy of a connection item with its credential fields decrypted.
+ * @param {object|null} item - shipping_connections item.
+ * @returns {object|null}
+ */
+const decryptCredentials = (item) => {
+  if (!item) return item;
+  const decrypted = { ...item };
+  CREDENTIAL_FIELDS.forEach(field => {
+    if (field in decrypted) decrypted[field] = decrypt(decrypted[field]);
+  });
+  return decrypted;
+};
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  encryptCredentials,
+  decryptCredentials
+};
@@ -0,0 +1,58 @@
+/**
+ * Meta Ad Accounts Utility
+ *
+ * Which of a connection's ad accounts count towards the user's marketing
+ * totals. Connections can select several accounts (selectedAdAccountIds);
+ * older ones only have selectedAdAccount, and connections with no selection
+ * at all use every connected account.
+ */
+
+/**
+ * Numeric ad account ID ("act_123" -> "123")
+ * @param {string} id - Ad account ID with or without the act_ prefix.
+ * @returns {string|null}
+ */
+const toNumericAccountId = (id) => (id ? id.toString().replace(/^act_/, '') : null);
+
+/**
+ * Selected ad accounts of a Meta connection
+ * @param {object} connection - meta_connections item.
+ * @returns {Array} [{ id: 'act_123', accountId: '123', name, currency }]
+ */
+const getSelectedAdAccounts = (connection) => {
+  const adAccounts = connection?.adAccounts || [];
+
+  let selected;
+  if (connection?.selectedAdAccounts?.length) {
+    selected = connection.selectedAdAccounts;
+  } else if (connection?.selectedAdAccount) {
+    selected = [connection.selectedAdAccount];
+  } else {
+    selected = adAccounts;
+  }
+
+  return selected.map(account => {
+    const accountId = toNumericAccountId(account.accountId || account.account_id || account.id);
+    return {
+      ...account,
+      id: `act_${accountId}`,
+      accountId
+    };
+  });
+};
+
+/**
+ * Numeric IDs of the selected ad accounts
+ * @param {object} connection - meta_connections item.
+ * @returns {Set<string>|null} null when there are no accounts to filter by.
+ */
+const getSelectedAccountIds = (connection) => {
+  const ids = new Set(getSelectedAdAccounts(connection).map(account => account.accountId));
+  return ids.size > 0 ? ids : null;
+};
+
+module.exports = {
+  toNumericAccountId,
+  getSelectedAdAccounts,
+  getSelectedAccountIds
+};
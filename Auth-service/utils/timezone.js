@@ -0,0 +1,139 @@
+/**
+ * Timezone Utility
+ *
+ * Store-local calendar helpers. Order timestamps are stored in UTC (bulk sync)
+ * or with the shop's offset (REST / webhooks), so every date filter and daily
+ * bucket must convert to the shop's IANA timezone before taking the date part.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_STORE_TIMEZONE || 'Asia/Kolkata';
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl formatters are expensive to create - keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Asia/Kolkata")
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Store-local calendar date (YYYY-MM-DD) of a timestamp
+ * Date-only strings are returned unchanged (already a calendar date).
+ * @param {string|Date} value - ISO timestamp, Date or YYYY-MM-DD
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} - YYYY-MM-DD, or null if the value can't be parsed
+ */
+const toStoreDate = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (!value) return null;
+  if (typeof value === 'string' && DATE_ONLY.test(value)) return value;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Today's date in the store's timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - YYYY-MM-DD
+ */
+const getStoreToday = (timezone = DEFAULT_TIMEZONE) => toStoreDate(new Date(), timezone);
+
+/**
+ * Add (or subtract) whole days to a YYYY-MM-DD date
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} - YYYY-MM-DD
+ */
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Offset (ms) between the timezone's wall clock and UTC at an instant
+ */
+const getOffsetMs = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClockAsUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Instant at which a store-local day starts (local midnight)
+ * @param {string} dateStr - YYYY-MM-DD in the store's timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+const startOfStoreDay = (dateStr, timezone = DEFAULT_TIMEZONE) => {
+  const utcMidnight = new Date(`${dateStr}T00:00:00Z`);
+  // Re-check the offset at the guessed instant so DST transitions land on the right hour
+  let instant = new Date(utcMidnight.getTime() - getOffsetMs(utcMidnight, timezone));
+  instant = new Date(utcMidnight.getTime() - getOffsetMs(instant, timezone));
+  return instant;
+};
+
+/**
+ * Last millisecond of a store-local day
+ * @param {string} dateStr - YYYY-MM-DD in the store's timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+const endOfStoreDay = (dateStr, timezone = DEFAULT_TIMEZONE) => {
+  return new Date(startOfStoreDay(addDays(dateStr, 1), timezone).getTime() - 1);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  toStoreDate,
+  getStoreToday,
+  addDays,
+  startOfStoreDay,
+  endOfStoreDay
+};
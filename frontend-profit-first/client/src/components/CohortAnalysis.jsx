@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import axiosInstance from "../../axios";
+import { PulseLoader } from "react-spinners";
+import CohortHeatmap from "./CohortHeatmap";
+
+const METRICS = [
+  { key: "retention", label: "Repeat purchase %", format: "percent" },
+  { key: "revenueRetention", label: "Revenue retention %", format: "percent" },
+  { key: "ltv", label: "Cumulative LTV", format: "currency" },
+];
+
+/**
+ * CohortAnalysis - Customer cohorts by first-order month (GET /data/cohorts)
+ * with metric toggle and acquisition product / discount code filters.
+ */
+const CohortAnalysis = () => {
+  const [metric, setMetric] = useState("retention");
+  const [productId, setProductId] = useState("");
+  const [discountCode, setDiscountCode] = useState("");
+  const [cohortData, setCohortData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchCohorts = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const resp = await axiosInstance.get("/data/cohorts", {
+          params: {
+            months: 12,
+            ...(productId && { productId }),
+            ...(discountCode && { discountCode }),
+          },
+        });
+        setCohortData(resp.data);
+      } catch (err) {
+        console.error(err);
+        setError(err.response?.data?.message || "Could not load cohorts");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCohorts();
+  }, [productId, discountCode]);
+
+  const selectedMetric = METRICS.find((m) => m.key === metric);
+  const rows = (cohortData?.cohorts || []).map((row) => ({
+    date: row.date,
+    users: row.users,
+    retention: row[metric],
+  }));
+
+  return (
+    <div className="bg-[#161616] rounded-xl p-6 text-white">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-xl font-bold">Customer Cohorts</h3>
+          <p className="text-sm text-gray-400">
+            Customers grouped by first-order month · M0 = acquisition month
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="bg-[#0D1D1E] border border-gray-700 rounded px-2 py-1"
+          >
+            {METRICS.map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={productId}
+            onChange={(e) => setProductId(e.target.value)}
+            className="bg-[#0D1D1E] border border-gray-700 rounded px-2 py-1 max-w-[200px]"
+          >
+            <option value="">All first products</option>
+            {(cohortData?.filters?.products || []).map((p) => (
+              <option key={p.productId} value={p.productId}>
+                {p.title} ({p.customers})
+              </option>
+            ))}
+          </select>
+          <select
+            value={discountCode}
+            onChange={(e) => setDiscountCode(e.target.value)}
+            className="bg-[#0D1D1E] border border-gray-700 rounded px-2 py-1"
+          >
+            <option value="">All discount codes</option>
+            {(cohortData?.filters?.discountCodes || []).map((d) => (
+              <option key={d.code} value={d.code}>
+                {d.code} ({d.customers})
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <PulseLoader size={10} color="#12EB8E" />
+        </div>
+      ) : error ? (
+        <div className="text-red-400 py-6">{error}</div>
+      ) : rows.length === 0 ? (
+        <div className="text-gray-400 py-6">No customer orders in the selected cohorts.</div>
+      ) : (
+        <CohortHeatmap
+          data={rows}
+          periods={cohortData.months}
+          format={selectedMetric.format}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CohortAnalysis;
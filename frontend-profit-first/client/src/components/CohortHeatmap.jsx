@@ -10,8 +10,27 @@ const getColor = (val) => {
   return "bg-blue-100 text-black";
 };
 
-const CohortHeatmap = ({ data = [] }) => {
-  const periods = 12;
+const formatCell = (val, format) => {
+  if (val == null) return "";
+  if (format === "currency") return `₹${Math.round(val).toLocaleString("en-IN")}`;
+  return `${val}%`;
+};
+
+/**
+ * CohortHeatmap - M0..M{n} grid, one row per first-order month
+ *
+ * @param {Array} data - [{ date, users, retention: [] }]
+ * @param {number} periods - Number of month columns
+ * @param {string} format - "percent" (retention) or "currency" (LTV)
+ */
+const CohortHeatmap = ({ data = [], periods = 12, format = "percent" }) => {
+  // Currency cells are shaded relative to the highest value in the table
+  const maxValue = Math.max(0, ...data.flatMap((row) => row.retention.filter((v) => v != null)));
+  const shade = (val) => {
+    if (val == null || format !== "currency") return getColor(val);
+    return getColor(maxValue > 0 ? (val / maxValue) * 60 : 0);
+  };
+
   return (
     <div className="overflow-x-auto p-4">
       <table className="table-auto border-collapse w-full">
@@ -32,9 +51,9 @@ const CohortHeatmap = ({ data = [] }) => {
               {row.retention.map((val, i) => (
                 <td
                   key={i}
-                  className={`border px-4 py-2 text-center ${getColor(val)}`}
+                  className={`border px-4 py-2 text-center ${shade(val)}`}
                 >
-                  {val != null ? `${val}%` : ""}
+                  {formatCell(val, format)}
                 </td>
               ))}
             </tr>
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from "react";
+import axiosInstance from "../../axios";
+import { PulseLoader } from "react-spinners";
+import { toast } from "react-toastify";
+import { FiDownload } from "react-icons/fi";
+
+const formatCurrency = (value) => `₹${Math.round(value || 0).toLocaleString("en-IN")}`;
+
+/**
+ * CustomerSegments - RFM segments with profitability after COGS, shipping and RTO
+ * (GET /data/customers). Each segment can be downloaded as a CSV audience.
+ */
+const CustomerSegments = () => {
+  const [data, setData] = useState(null);
+  const [selectedSegment, setSelectedSegment] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    const fetchCustomers = async () => {
+      setLoading(true);
+      try {
+        const resp = await axiosInstance.get("/data/customers", {
+          params: { limit: 50, ...(selectedSegment && { segment: selectedSegment }) },
+        });
+        setData(resp.data);
+      } catch (err) {
+        console.error(err);
+        toast.error(err.response?.data?.message || "Failed to load customer segments");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCustomers();
+  }, [selectedSegment]);
+
+  const handleExport = async (segment) => {
+    setExporting(segment || "all");
+    try {
+      const resp = await axiosInstance.get("/data/customers/export", {
+        params: segment ? { segment } : {},
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(new Blob([resp.data], { type: "text/csv;charset=utf-8;" }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `customers-${segment || "all"}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to export customers");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="bg-[#161616] rounded-xl p-6 flex justify-center">
+        <PulseLoader size={10} color="#12EB8E" />
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  const segments = data.segments.filter((s) => s.customers > 0);
+
+  return (
+    <div className="bg-[#161616] rounded-xl p-6 text-white space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold">Customer Segments</h3>
+          <p className="text-sm text-gray-400">
+            {data.summary.customers.toLocaleString()} customers · {data.summary.repeatRate}% repeat ·
+            avg predicted LTV {formatCurrency(data.summary.avgPredictedLtv)}
+          </p>
+        </div>
+        <button
+          onClick={() => handleExport(null)}
+          disabled={!!exporting}
+          className="flex items-center gap-2 px-3 py-2 text-sm rounded-md border border-gray-700 hover:border-[#12EB8E] disabled:opacity-50"
+        >
+          <FiDownload /> Export all
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b border-gray-800 text-gray-400">
+            <tr>
+              <th className="py-2 px-3 font-medium">Segment</th>
+              <th className="py-2 px-3 font-medium text-right">Customers</th>
+              <th className="py-2 px-3 font-medium text-right">Revenue</th>
+              <th className="py-2 px-3 font-medium text-right">COGS</th>
+              <th className="py-2 px-3 font-medium text-right">Shipping</th>
+              <th className="py-2 px-3 font-medium text-right">RTO Cost</th>
+              <th className="py-2 px-3 font-medium text-right">Profit</th>
+              <th className="py-2 px-3 font-medium text-right">Profit / Customer</th>
+              <th className="py-2 px-3 font-medium text-right">Avg Predicted LTV</th>
+              <th className="py-2 px-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {segments.map((s) => (
+              <tr
+                key={s.key}
+                onClick={() => setSelectedSegment(selectedSegment === s.key ? "" : s.key)}
+                className={`border-b border-gray-800 cursor-pointer hover:bg-[#1f1f1f] ${
+                  selectedSegment === s.key ? "bg-[#0D1D1E]" : ""
+                }`}
+              >
+                <td className="py-2 px-3">{s.name}</td>
+                <td className="py-2 px-3 text-right">{s.customers.toLocaleString()}</td>
+                <td className="py-2 px-3 text-right">{formatCurrency(s.revenue)}</td>
+                <td className="py-2 px-3 text-right">{formatCurrency(s.cogs)}</td>
+                <td className="py-2 px-3 text-right">{formatCurrency(s.shippingCost)}</td>
+                <td className="py-2 px-3 text-right">
+                  {formatCurrency(s.rtoCost)}
+                  <span className="text-gray-500"> ({s.rtoRate}%)</span>
+                </td>
+                <td className={`py-2 px-3 text-right ${s.profit >= 0 ? "text-[#12EB8E]" : "text-red-400"}`}>
+                  {formatCurrency(s.profit)}
+                </td>
+                <td className="py-2 px-3 text-right">{formatCurrency(s.profitPerCustomer)}</td>
+                <td className="py-2 px-3 text-right">{formatCurrency(s.avgPredictedLtv)}</td>
+                <td className="py-2 px-3 text-right">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleExport(s.key);
+                    }}
+                    disabled={!!exporting}
+                    title="Download CSV"
+                    className="text-gray-400 hover:text-[#12EB8E] disabled:opacity-50"
+                  >
+                    <FiDownload />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h4 className="font-semibold mb-2">
+          {selectedSegment
+            ? `${data.segments.find((s) => s.key === selectedSegment)?.name} (${data.total.toLocaleString()})`
+            : "Top customers by predicted LTV"}
+        </h4>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="border-b border-gray-800 text-gray-400">
+              <tr>
+                <th className="py-2 px-3 font-medium">Customer</th>
+                <th className="py-2 px-3 font-medium">Segment</th>
+                <th className="py-2 px-3 font-medium text-center">RFM</th>
+                <th className="py-2 px-3 font-medium text-right">Orders</th>
+                <th className="py-2 px-3 font-medium text-right">Last Order</th>
+                <th className="py-2 px-3 font-medium text-right">Profit</th>
+                <th className="py-2 px-3 font-medium text-right">Predicted LTV</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.customers.map((c) => (
+                <tr key={c.customerId} className="border-b border-gray-800">
+                  <td className="py-2 px-3">
+                    <div>{c.name || c.email || c.customerId}</div>
+                    {c.name && c.email && <div className="text-xs text-gray-500">{c.email}</div>}
+                  </td>
+                  <td className="py-2 px-3">{c.segmentName}</td>
+                  <td className="py-2 px-3 text-center">{c.rfmScore}</td>
+                  <td className="py-2 px-3 text-right">{c.frequency}</td>
+                  <td className="py-2 px-3 text-right">{c.lastOrderDate}</td>
+                  <td className={`py-2 px-3 text-right ${c.profit >= 0 ? "" : "text-red-400"}`}>
+                    {formatCurrency(c.profit)}
+                  </td>
+                  <td className="py-2 px-3 text-right">{formatCurrency(c.predictedLtv)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerSegments;
@@ -4,7 +4,13 @@ import { addDays, subDays, differenceInDays } from "date-fns";
 import "react-date-range/dist/styles.css";
 import "react-date-range/dist/theme/default.css";
 
-export default function DateRangeSelector({ onApply }) {
+const compareOptions = [
+  { value: "previous_period", label: "Previous period" },
+  { value: "previous_year", label: "Previous year" },
+  { value: "custom", label: "Custom range" },
+];
+
+export default function DateRangeSelector({ onApply, initialCompare = null }) {
   const maxRangeDays = 10955; // Approximately 30 years
 
   // Helper function to get the start of the current month
@@ -33,6 +39,27 @@ export default function DateRangeSelector({ onApply }) {
 
   const [selectedLabel, setSelectedLabel] = useState("Today");
 
+  // Period-over-period comparison
+  const [compareEnabled, setCompareEnabled] = useState(!!initialCompare);
+  const [compareTo, setCompareTo] = useState(initialCompare?.compareTo || "previous_period");
+  const [compareStartDate, setCompareStartDate] = useState(initialCompare?.compareStartDate || "");
+  const [compareEndDate, setCompareEndDate] = useState(initialCompare?.compareEndDate || "");
+
+  const customCompareInvalid =
+    compareEnabled &&
+    compareTo === "custom" &&
+    (!compareStartDate || !compareEndDate || compareStartDate > compareEndDate);
+
+  const handleApply = () => {
+    let compare = null;
+    if (compareEnabled) {
+      compare = compareTo === "custom"
+        ? { compareTo, compareStartDate, compareEndDate }
+        : { compareTo };
+    }
+    onApply({ ...state[0], compare });
+  };
+
   const handleSidebarClick = (label, range) => {
     setSelectedLabel(label);
     setState([{ startDate: range[0], endDate: range[1], key: "selection" }]);
@@ -82,10 +109,55 @@ export default function DateRangeSelector({ onApply }) {
           rangeColors={["#3b82f6"]}
           maxDate={new Date()} // Prevents selecting dates in the future
         />
+        <div className="mt-4 border-t pt-3 text-sm">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={compareEnabled}
+              onChange={(e) => setCompareEnabled(e.target.checked)}
+            />
+            Compare to
+          </label>
+          {compareEnabled && (
+            <div className="mt-2 flex flex-wrap items-center gap-2">
+              <select
+                value={compareTo}
+                onChange={(e) => setCompareTo(e.target.value)}
+                className="border rounded px-2 py-1"
+              >
+                {compareOptions.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </select>
+              {compareTo === "custom" && (
+                <>
+                  <input
+                    type="date"
+                    value={compareStartDate}
+                    max={compareEndDate || undefined}
+                    onChange={(e) => setCompareStartDate(e.target.value)}
+                    className="border rounded px-2 py-1"
+                  />
+                  <span>to</span>
+                  <input
+                    type="date"
+                    value={compareEndDate}
+                    min={compareStartDate || undefined}
+                    onChange={(e) => setCompareEndDate(e.target.value)}
+                    className="border rounded px-2 py-1"
+                  />
+                </>
+              )}
+            </div>
+          )}
+        </div>
         <div className="flex justify-end mt-4">
           <button
-            className="px-4 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
-            onClick={() => onApply(state[0])}
+            className="px-4 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 disabled:opacity-50"
+            onClick={handleApply}
+            disabled={customCompareInvalid}
           >
             Apply
           </button>
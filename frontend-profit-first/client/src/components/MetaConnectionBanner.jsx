@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import axiosInstance from "../../axios";
+import { toast } from "react-toastify";
+import { FiAlertTriangle } from "react-icons/fi";
+
+/**
+ * MetaConnectionBanner - Warns when the Meta token is expiring or expired
+ * (GET /meta/connection health) and restarts OAuth to reconnect.
+ * Renders nothing when Meta isn't connected or the token is healthy.
+ */
+const MetaConnectionBanner = () => {
+  const [health, setHealth] = useState(null);
+  const [reconnecting, setReconnecting] = useState(false);
+
+  useEffect(() => {
+    const fetchHealth = async () => {
+      try {
+        const resp = await axiosInstance.get("/meta/connection");
+        setHealth(resp.data.connected ? resp.data.health : null);
+      } catch (err) {
+        // 404 = Meta not connected; nothing to warn about
+        if (err.response?.status !== 404) console.error(err);
+      }
+    };
+    fetchHealth();
+  }, []);
+
+  const handleReconnect = async () => {
+    setReconnecting(true);
+    try {
+      const resp = await axiosInstance.post("/meta/connect", { returnPath: "/dashboard" });
+      if (resp.data?.authUrl) {
+        window.location.href = resp.data.authUrl;
+      }
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to start Meta reconnection");
+      setReconnecting(false);
+    }
+  };
+
+  if (!health?.needsReconnect) return null;
+
+  const expired = health.state === "expired";
+
+  return (
+    <div
+      className={`flex flex-wrap items-center justify-between gap-3 rounded-xl border px-4 py-3 ${
+        expired ? "border-red-500/50 bg-red-500/10" : "border-yellow-500/50 bg-yellow-500/10"
+      }`}
+    >
+      <div className="flex items-center gap-3">
+        <FiAlertTriangle className={expired ? "text-red-400" : "text-yellow-400"} size={20} />
+        <div>
+          <p className="font-semibold">
+            {expired
+              ? "Your Meta Ads connection has expired"
+              : `Your Meta Ads connection expires in ${health.daysRemaining} day${health.daysRemaining === 1 ? "" : "s"}`}
+          </p>
+          <p className="text-sm text-gray-400">
+            {expired
+              ? "Ad spend isn't syncing, so marketing costs and profit may be understated. Reconnect to resume."
+              : "Reconnect now to keep ad spend syncing without gaps."}
+          </p>
+        </div>
+      </div>
+      <button
+        onClick={handleReconnect}
+        disabled={reconnecting}
+        className="px-4 py-2 text-sm font-medium rounded-md bg-[#12EB8E] text-black hover:bg-[#0fd17e] disabled:opacity-50"
+      >
+        {reconnecting ? "Redirecting..." : "Reconnect Meta"}
+      </button>
+    </div>
+  );
+};
+
+export default MetaConnectionBanner;
@@ -0,0 +1,414 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axiosInstance from "../../axios";
+import { PulseLoader } from "react-spinners";
+import { addDays, format } from "date-fns";
+
+const ACTIONS = [
+  { value: "reattempt", label: "Re-attempt" },
+  { value: "update_address", label: "Update address" },
+  { value: "update_phone", label: "Update phone" },
+  { value: "rto", label: "Return to origin" },
+];
+
+const actionLabel = (value) =>
+  ACTIONS.find((a) => a.value === value)?.label || value;
+
+const formatRate = (rate) => (rate == null ? "—" : `${rate.toFixed(1)}%`);
+
+const emptyForm = () => ({
+  action: "reattempt",
+  deferredDate: format(addDays(new Date(), 1), "yyyy-MM-dd"),
+  address1: "",
+  address2: "",
+  phone: "",
+  comments: "",
+});
+
+const RecoveryTable = ({ title, rows }) => (
+  <div className="bg-[#161616] rounded-xl p-4">
+    <h3 className="text-sm font-semibold text-gray-300 mb-3">{title}</h3>
+    {rows.length === 0 ? (
+      <p className="text-xs text-gray-500">No NDR cases in this range</p>
+    ) : (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-400 text-xs text-left">
+            <th className="pb-2 font-medium"></th>
+            <th className="pb-2 font-medium text-right">Cases</th>
+            <th className="pb-2 font-medium text-right">Recovered</th>
+            <th className="pb-2 font-medium text-right">RTO</th>
+            <th className="pb-2 font-medium text-right">Recovery</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.name} className="border-t border-gray-800">
+              <td className="py-2">{row.name}</td>
+              <td className="py-2 text-right">{row.cases}</td>
+              <td className="py-2 text-right text-green-400">{row.recovered}</td>
+              <td className="py-2 text-right text-red-400">{row.rto}</td>
+              <td className="py-2 text-right font-semibold">
+                {formatRate(row.recoveryRate)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const NdrManagement = ({ startDate, endDate }) => {
+  const [report, setReport] = useState(null);
+  const [reportLoading, setReportLoading] = useState(true);
+  const [reportError, setReportError] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [queueLoading, setQueueLoading] = useState(true);
+  const [queueError, setQueueError] = useState(null);
+  const [activeAwb, setActiveAwb] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setReportLoading(true);
+      setReportError(null);
+      const response = await axiosInstance.get("/shipping/ndr/report", {
+        params: { startDate, endDate },
+      });
+      setReport(response.data.report);
+    } catch (err) {
+      console.error("Error fetching NDR report:", err);
+      setReportError(err.response?.data?.message || "Failed to load NDR report");
+    } finally {
+      setReportLoading(false);
+    }
+  }, [startDate, endDate]);
+
+  const fetchQueue = async () => {
+    try {
+      setQueueLoading(true);
+      setQueueError(null);
+      const response = await axiosInstance.get("/shipping/ndr");
+      setQueue(response.data.queue || []);
+    } catch (err) {
+      console.error("Error fetching NDR queue:", err);
+      setQueueError(err.response?.data?.message || "Failed to load NDR queue");
+    } finally {
+      setQueueLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const openForm = (awbCode) => {
+    setActiveAwb(activeAwb === awbCode ? null : awbCode);
+    setForm(emptyForm());
+    setNotice(null);
+  };
+
+  const submitAction = async (item) => {
+    const payload = {
+      action: form.action,
+      comments: form.comments || undefined,
+      reason: item.reason,
+      courierName: item.courierName,
+      attempts: item.attempts,
+    };
+    if (form.action === "reattempt") payload.deferredDate = form.deferredDate;
+    if (form.action === "update_address") {
+      payload.address1 = form.address1;
+      payload.address2 = form.address2 || undefined;
+    }
+    if (form.action === "update_phone") payload.phone = form.phone;
+
+    try {
+      setSubmitting(true);
+      await axiosInstance.post(
+        `/shipping/ndr/${encodeURIComponent(item.awbCode)}/action`,
+        payload
+      );
+      setNotice({
+        type: "success",
+        text: `${actionLabel(form.action)} sent for AWB ${item.awbCode}`,
+      });
+      setActiveAwb(null);
+      fetchQueue();
+      fetchReport();
+    } catch (err) {
+      setNotice({
+        type: "error",
+        text: err.response?.data?.message || "Failed to send NDR action",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const summary = report?.summary;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">NDR Management</h2>
+        <button
+          onClick={() => {
+            fetchQueue();
+            fetchReport();
+          }}
+          className="px-3 py-1 rounded-md text-sm border bg-[#161616] border-gray-700"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {/* Recovery report */}
+      {reportLoading ? (
+        <div className="flex items-center justify-center p-8">
+          <PulseLoader size={10} color="#12EB8E" />
+        </div>
+      ) : reportError ? (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 text-red-400 text-sm">
+          {reportError}
+        </div>
+      ) : (
+        summary && (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+              {[
+                ["NDR Cases", summary.cases],
+                ["Recovered", summary.recovered],
+                ["RTO", summary.rto],
+                ["Recovery Rate", formatRate(summary.recoveryRate)],
+                [
+                  "Recovery (actioned)",
+                  formatRate(summary.actionedRecoveryRate),
+                ],
+              ].map(([title, value]) => (
+                <div
+                  key={title}
+                  className="bg-[#161616] p-4 rounded-xl flex flex-col justify-center items-center"
+                >
+                  <div className="text-sm text-gray-300">{title}</div>
+                  <div className="text-xl font-bold">{value}</div>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">
+              Recovery rate = delivered ÷ (delivered + RTO) for shipments with a
+              failed delivery attempt. {summary.open} case(s) still open. Failed attempts are
+              picked up from Shiprocket&apos;s NDR list, tracking webhooks and actions taken here;
+              ones resolved before any of these saw them aren&apos;t counted.
+              {report.ndrApiChecked === false && " Shiprocket's NDR list couldn't be read this time."}
+            </p>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              <RecoveryTable title="By Reason" rows={report.byReason} />
+              <RecoveryTable title="By Courier" rows={report.byCourier} />
+              <RecoveryTable title="By Action" rows={report.byAction} />
+            </div>
+          </>
+        )
+      )}
+
+      {/* Action queue */}
+      <div className="bg-[#161616] rounded-xl p-4">
+        <h3 className="text-sm font-semibold text-gray-300 mb-3">
+          Awaiting Action {!queueLoading && !queueError && `(${queue.length})`}
+        </h3>
+
+        {notice && (
+          <div
+            className={`mb-3 rounded-lg p-3 text-sm ${
+              notice.type === "success"
+                ? "bg-green-500/10 border border-green-500/30 text-green-400"
+                : "bg-red-500/10 border border-red-500/30 text-red-400"
+            }`}
+          >
+            {notice.text}
+          </div>
+        )}
+
+        {queueLoading ? (
+          <div className="flex items-center justify-center p-6">
+            <PulseLoader size={8} color="#12EB8E" />
+          </div>
+        ) : queueError ? (
+          <p className="text-sm text-red-400">{queueError}</p>
+        ) : queue.length === 0 ? (
+          <p className="text-sm text-gray-500">No undelivered shipments awaiting action</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-xs text-left">
+                  <th className="pb-2 font-medium">AWB / Order</th>
+                  <th className="pb-2 font-medium">Courier</th>
+                  <th className="pb-2 font-medium">Reason</th>
+                  <th className="pb-2 font-medium text-center">Attempts</th>
+                  <th className="pb-2 font-medium">Customer</th>
+                  <th className="pb-2 font-medium">Last Action</th>
+                  <th className="pb-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {queue.map((item) => {
+                  const lastAction = item.actions[0];
+                  return (
+                    <React.Fragment key={item.awbCode}>
+                      <tr className="border-t border-gray-800 align-top">
+                        <td className="py-2">
+                          <div>{item.awbCode}</div>
+                          {item.channelOrderId && (
+                            <div className="text-xs text-gray-500">
+                              #{item.channelOrderId}
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-2">{item.courierName || "—"}</td>
+                        <td className="py-2">
+                          <div>{item.reasonCategory}</div>
+                          <div className="text-xs text-gray-500">{item.reason}</div>
+                        </td>
+                        <td className="py-2 text-center">{item.attempts}</td>
+                        <td className="py-2">
+                          <div>{item.customerName || "—"}</div>
+                          <div className="text-xs text-gray-500">
+                            {[item.city, item.pincode].filter(Boolean).join(" ")}
+                            {item.paymentMethod && ` · ${item.paymentMethod.toUpperCase()}`}
+                          </div>
+                        </td>
+                        <td className="py-2 text-xs">
+                          {lastAction ? (
+                            <>
+                              <div>{actionLabel(lastAction.action)}</div>
+                              <div
+                                className={
+                                  lastAction.apiStatus === "accepted"
+                                    ? "text-gray-500"
+                                    : "text-red-400"
+                                }
+                              >
+                                {lastAction.apiStatus === "accepted"
+                                  ? `${lastAction.outcome} · ${new Date(lastAction.requestedAt).toLocaleDateString()}`
+                                  : `rejected: ${lastAction.apiError}`}
+                              </div>
+                            </>
+                          ) : (
+                            <span className="text-gray-500">None</span>
+                          )}
+                        </td>
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => openForm(item.awbCode)}
+                            className="px-3 py-1 rounded-lg text-xs bg-[#00B0FF] text-white font-bold"
+                          >
+                            {activeAwb === item.awbCode ? "Cancel" : "Take Action"}
+                          </button>
+                        </td>
+                      </tr>
+
+                      {activeAwb === item.awbCode && (
+                        <tr>
+                          <td colSpan={7} className="pb-4">
+                            <div className="bg-[#0D1D1E] rounded-lg p-4 flex flex-wrap gap-3 items-end">
+                              <label className="flex flex-col text-xs text-gray-400 gap-1">
+                                Action
+                                <select
+                                  value={form.action}
+                                  onChange={(e) => setForm({ ...form, action: e.target.value })}
+                                  className="bg-[#161616] border border-gray-700 rounded-md px-2 py-1 text-sm text-white"
+                                >
+                                  {ACTIONS.map((a) => (
+                                    <option key={a.value} value={a.value}>
+                                      {a.label}
+                                    </option>
+                                  ))}
+                                </select>
+                              </label>
+
+                              {form.action === "reattempt" && (
+                                <label className="flex flex-col text-xs text-gray-400 gap-1">
+                                  Re-attempt on
+                                  <input
+                                    type="date"
+                                    value={form.deferredDate}
+                                    min={format(new Date(), "yyyy-MM-dd")}
+                                    onChange={(e) => setForm({ ...form, deferredDate: e.target.value })}
+                                    className="bg-[#161616] border border-gray-700 rounded-md px-2 py-1 text-sm text-white"
+                                  />
+                                </label>
+                              )}
+
+                              {form.action === "update_address" && (
+                                <>
+                                  <label className="flex flex-col text-xs text-gray-400 gap-1 flex-1 min-w-[220px]">
+                                    Address line 1
+                                    <input
+                                      value={form.address1}
+                                      onChange={(e) => setForm({ ...form, address1: e.target.value })}
+                                      className="bg-[#161616] border border-gray-700 rounded-md px-2 py-1 text-sm text-white"
+                                    />
+                                  </label>
+                                  <label className="flex flex-col text-xs text-gray-400 gap-1 flex-1 min-w-[180px]">
+                                    Address line 2 / landmark
+                                    <input
+                                      value={form.address2}
+                                      onChange={(e) => setForm({ ...form, address2: e.target.value })}
+                                      className="bg-[#161616] border border-gray-700 rounded-md px-2 py-1 text-sm text-white"
+                                    />
+                                  </label>
+                                </>
+                              )}
+
+                              {form.action === "update_phone" && (
+                                <label className="flex flex-col text-xs text-gray-400 gap-1">
+                                  New phone
+                                  <input
+                                    value={form.phone}
+                                    placeholder="10-digit mobile"
+                                    onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                                    className="bg-[#161616] border border-gray-700 rounded-md px-2 py-1 text-sm text-white"
+                                  />
+                                </label>
+                              )}
+
+                              <label className="flex flex-col text-xs text-gray-400 gap-1 flex-1 min-w-[180px]">
+                                Comments (optional)
+                                <input
+                                  value={form.comments}
+                                  onChange={(e) => setForm({ ...form, comments: e.target.value })}
+                                  className="bg-[#161616] border border-gray-700 rounded-md px-2 py-1 text-sm text-white"
+                                />
+                              </label>
+
+                              <button
+                                onClick={() => submitAction(item)}
+                                disabled={submitting}
+                                className="px-4 py-1.5 rounded-lg text-sm bg-[#12EB8E] text-black font-bold disabled:opacity-50"
+                              >
+                                {submitting ? "Sending..." : "Send to Shiprocket"}
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NdrManagement;
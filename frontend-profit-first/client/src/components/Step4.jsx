@@ -6,7 +6,7 @@ import axiosInstance from "../../axios";
 const Step4 = ({ onComplete }) => {
   const [platform, setPlatform] = useState("Meta");
   const [adAccounts, setAdAccounts] = useState([]); // Stores the fetched ad accounts
-  const [selectedAdAccountId, setSelectedAdAccountId] = useState(""); // Stores the selected ad account
+  const [selectedAdAccountIds, setSelectedAdAccountIds] = useState([]); // Stores the selected ad accounts
   const [loading, setLoading] = useState(false);
 
   // Check Meta connection and fetch ad accounts
@@ -50,20 +50,20 @@ const Step4 = ({ onComplete }) => {
     e.preventDefault();
     setLoading(true);
 
-    if (!selectedAdAccountId) {
-      toast.error("Please select your Ad account.");
+    if (selectedAdAccountIds.length === 0) {
+      toast.error("Please select at least one Ad account.");
       setLoading(false);
       return;
     }
 
-    const numericAdAccountId = selectedAdAccountId.replace(/^act_/, "");
+    const numericAdAccountIds = selectedAdAccountIds.map((id) => id.replace(/^act_/, ""));
 
     try {
-      console.log("💾 Saving ad account selection:", numericAdAccountId);
+      console.log("💾 Saving ad account selection:", numericAdAccountIds);
 
-      // First, save the selected ad account to Meta connection
+      // First, save the selected ad accounts to Meta connection
       await axiosInstance.post("/meta/select-account", {
-        adAccountId: numericAdAccountId
+        adAccountIds: numericAdAccountIds
       });
 
       console.log("✅ Ad account saved to Meta connection");
@@ -72,7 +72,8 @@ const Step4 = ({ onComplete }) => {
       await axiosInstance.post("/onboard/step", {
         step: 4,
         data: {
-          adAccountId: numericAdAccountId,
+          adAccountId: numericAdAccountIds[0],
+          adAccountIds: numericAdAccountIds,
           platform: platform,
           completedAt: new Date().toISOString()
         }
@@ -80,7 +81,10 @@ const Step4 = ({ onComplete }) => {
 
       console.log("✅ Onboarding step updated");
 
-      toast.success("✅ Ad account connected!", { autoClose: 1500 });
+      toast.success(
+        numericAdAccountIds.length === 1 ? "✅ Ad account connected!" : `✅ ${numericAdAccountIds.length} ad accounts connected!`,
+        { autoClose: 1500 }
+      );
       
       // Smooth transition to next step
       setTimeout(() => {
@@ -104,6 +108,12 @@ const Step4 = ({ onComplete }) => {
     }
   };
 
+  const toggleAdAccount = (id) => {
+    setSelectedAdAccountIds((prev) =>
+      prev.includes(id) ? prev.filter((selectedId) => selectedId !== id) : [...prev, id]
+    );
+  };
+
   const handleMetaConnect = async () => {
     try {
       console.log("🔗 Initiating Meta OAuth...");
@@ -248,21 +258,37 @@ const Step4 = ({ onComplete }) => {
           <form onSubmit={handleSubmit} className="space-y-4 mb-8">
             <div>
               <label className="block text-sm text-gray-400 mb-2">
-                Select your Ad account ID:
+                Select your Ad accounts:
               </label>
-              <select
-                name="adAccountId"
-                value={selectedAdAccountId}
-                onChange={(e) => setSelectedAdAccountId(e.target.value)}
-                className="w-full px-4 py-3 rounded-lg bg-transparent border border-gray-600 text-gray-100 focus:outline-none focus:ring-2 focus:ring-green-400"
-              >
-                <option value="" className="bg-[#1E1E1E]">Select an Ad Account</option>
+              <div className="max-h-48 overflow-y-auto rounded-lg border border-gray-600 divide-y divide-gray-700">
+                {adAccounts.length === 0 && (
+                  <p className="px-4 py-3 text-sm text-gray-500">Connect to Meta to load your ad accounts</p>
+                )}
                 {adAccounts.map((account) => (
-                  <option key={account.id} value={account.id} className="bg-[#1E1E1E]">
-                    {account.accountId} - {account.name}
-                  </option>
+                  <label
+                    key={account.id}
+                    className="flex items-center gap-3 px-4 py-3 text-sm text-gray-100 cursor-pointer hover:bg-[#2a2a2a]"
+                  >
+                    <input
+                      type="checkbox"
+                      name="adAccountIds"
+                      value={account.id}
+                      checked={selectedAdAccountIds.includes(account.id)}
+                      onChange={() => toggleAdAccount(account.id)}
+                      className="accent-green-400"
+                    />
+                    <span className="flex-1">
+                      {account.accountId} - {account.name}
+                    </span>
+                    {account.currency && <span className="text-xs text-gray-500">{account.currency}</span>}
+                  </label>
                 ))}
-              </select>
+              </div>
+              {selectedAdAccountIds.length > 1 && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Spend from all selected accounts is combined and converted to your store currency.
+                </p>
+              )}
             </div>
           </form>
 
@@ -8,6 +8,7 @@ const Step5 = ({ onComplete }) => {
   const [formData, setFormData] = useState({
     access_token: "",
     secret_key: "",
+    pickup_pincode: "",
     email: "",
     password: "",
   });
@@ -33,8 +34,9 @@ const Step5 = ({ onComplete }) => {
           payload.email = formData.email;
           payload.password = formData.password; // Backend knows this is the license key
           break;
-        case "Dilevery":
+        case "Delhivery":
           payload.access_token = formData.access_token;
+          payload.pickup_pincode = formData.pickup_pincode;
           break;
         case "Ithink Logistics":
           payload.access_token = formData.access_token;
@@ -48,19 +50,17 @@ const Step5 = ({ onComplete }) => {
       await axiosInstance.post("/onboard/step5", payload);
       toast.success("✅ Shipping account connected!", { autoClose: 1500 });
       
-      // Step 2: Sync shipments (only for Shiprocket for now)
-      if (platform === "Shiprocket") {
-        setTimeout(async () => {
-          try {
-            toast.info("🔄 Syncing shipment data...", { autoClose: 2000 });
-            const syncResponse = await axiosInstance.post("/shipping/sync");
-            toast.success(`✅ Synced ${syncResponse.data.count} shipments!`, { autoClose: 2000 });
-          } catch (syncErr) {
-            console.error("Sync error:", syncErr);
-            toast.warning("⚠️ Connected but sync failed. You can sync later from dashboard.", { autoClose: 3000 });
-          }
-        }, 1500);
-      }
+      // Step 2: Sync recent shipments (full history continues in the background)
+      setTimeout(async () => {
+        try {
+          toast.info("🔄 Syncing shipment data...", { autoClose: 2000 });
+          const syncResponse = await axiosInstance.post("/shipping/sync");
+          toast.success(`✅ Synced ${syncResponse.data.count} shipments!`, { autoClose: 2000 });
+        } catch (syncErr) {
+          console.error("Sync error:", syncErr);
+          toast.warning("⚠️ Connected but sync failed. You can sync later from dashboard.", { autoClose: 3000 });
+        }
+      }, 1500);
       
       // Step 3: Update onboarding step
       await axiosInstance.post("/onboard/step", {
@@ -75,7 +75,7 @@ const Step5 = ({ onComplete }) => {
       setTimeout(() => {
         toast.success("🎉 Onboarding complete! Redirecting to dashboard...", { autoClose: 1500 });
         setTimeout(() => onComplete(), 1000);
-      }, platform === "Shiprocket" ? 3500 : 1500);
+      }, 3500);
       
     } catch (err) {
       const errorMessage = err.response?.data?.message || "Failed to connect shipping account.";
@@ -106,14 +106,22 @@ const Step5 = ({ onComplete }) => {
             />
           </>
         );
-      case "Dilevery":
+      case "Delhivery":
         return (
-          <InputField
-            label="Access Token"
-            name="access_token"
-            value={formData.access_token}
-            onChange={handleChange}
-          />
+          <>
+            <InputField
+              label="API Token"
+              name="access_token"
+              value={formData.access_token}
+              onChange={handleChange}
+            />
+            <InputField
+              label="Pickup Pincode (optional, for freight estimates)"
+              name="pickup_pincode"
+              value={formData.pickup_pincode}
+              onChange={handleChange}
+            />
+          </>
         );
       case "Shipway":
         return (
@@ -215,7 +223,7 @@ const Step5 = ({ onComplete }) => {
           <div className="rounded-lg p-1 flex mb-2 justify-center flex-wrap gap-2">
             {[
               "Shiprocket",
-              "Dilevery",
+              "Delhivery",
               "Shipway",
               "Ithink Logistics",
               "Nimbuspost",
@@ -247,7 +255,7 @@ const Step5 = ({ onComplete }) => {
 
           {/* Heading */}
           <h2 className="text-center text-2xl font-bold mb-2">
-           Connect your Shiprocket Account
+           Connect your {platform} Account
           </h2>
           <p className="text-center text-sm text-gray-400 mb-4">
 Track your accounts profit, sells and buys in detail with shipping account.          </p>
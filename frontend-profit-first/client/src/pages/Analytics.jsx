@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useState } from "react";
 import {
   XAxis,
   YAxis,
@@ -10,8 +10,9 @@ import {
 import DateRangeSelector from "../components/DateRangeSelector";
 import axiosInstance from "../../axios";
 import { PulseLoader } from "react-spinners";
-import { subDays } from "date-fns";
-import CohortHeatmap from "../components/CohortHeatmap";
+import { subDays, format } from "date-fns";
+import CohortAnalysis from "../components/CohortAnalysis";
+import CustomerSegments from "../components/CustomerSegments";
 import { ArrowDownRight, ArrowUpRight } from "lucide-react";
 
 const getChange = (curr, prev) => {
@@ -27,12 +28,6 @@ const getChange = (curr, prev) => {
   };
 };
 
-const toISTDateString = (date) => {
-  const istOffset = 330 * 60 * 1000; // 5.5 hours in milliseconds
-  const istDate = new Date(date.getTime() + istOffset);
-  return istDate.toISOString().split("T")[0];
-};
-
 const Analytics = () => {
   // --- State ---
   const [view, setView] = useState("Visitor");
@@ -40,6 +35,7 @@ const Analytics = () => {
     startDate: subDays(new Date(), 29),
     endDate: new Date(),
   });
+  const [compare, setCompare] = useState(null); // { compareTo, compareStartDate?, compareEndDate? }
   const [showDateSelector, setShowDateSelector] = useState(false);
   const [analytics, setAnalytics] = useState(null);
   const [loadingAnalytics, setLoadingAnalytics] = useState(true);
@@ -55,9 +51,6 @@ const Analytics = () => {
   const [loadingChart, setLoadingChart] = useState(false);
   const [chartError, setChartError] = useState(null);
 
-  // Freeze chart type by view at mount
-  const chartTypeRef = useRef(view.toLowerCase());
-
   // Initialize available years and defaults
   useEffect(() => {
     const current = new Date().getFullYear();
@@ -74,8 +67,10 @@ const Analytics = () => {
       try {
         const resp = await axiosInstance.get("/data/analytics", {
           params: {
-            startDate: toISTDateString(dateRange.startDate),
-            endDate: toISTDateString(dateRange.endDate),
+            // Store-local calendar days
+            startDate: format(dateRange.startDate, "yyyy-MM-dd"),
+            endDate: format(dateRange.endDate, "yyyy-MM-dd"),
+            ...(compare || {}),
           },
         });
         setAnalytics(resp.data);
@@ -86,7 +81,7 @@ const Analytics = () => {
       }
     };
     fetchAnalytics();
-  }, [dateRange]);
+  }, [dateRange, compare]);
 
   // Fetch yearly charts when either year changes
   useEffect(() => {
@@ -95,7 +90,7 @@ const Analytics = () => {
       setLoadingChart(true);
       setChartError(null);
       try {
-        const type = chartTypeRef.current;
+        const type = view.toLowerCase();
         const [respA, respB] = await Promise.all([
           axiosInstance.get("/data/analyticschart", {
             params: { year: yearA, type },
@@ -116,11 +111,12 @@ const Analytics = () => {
       }
     };
     fetchCharts();
-  }, [yearA, yearB]);
+  }, [yearA, yearB, view]);
 
   // Date range apply handler
   const handleApply = (range) => {
-    setDateRange(range);
+    setDateRange({ startDate: range.startDate, endDate: range.endDate });
+    setCompare(range.compare || null);
     setShowDateSelector(false);
   };
 
@@ -138,20 +134,21 @@ const Analytics = () => {
       </div>
     );
 
-  // Summary cards
+  // Summary cards (with change vs the comparison range)
   const sum = analytics.summary[view.toLowerCase()];
+  const prev = analytics.previousSummary?.[view.toLowerCase()];
   const summaryData =
     view === "Visitor"
       ? [
-          ["Total Visitors", sum.total],
-          ["New Visitors", sum.new],
-          ["Returning Visitors", sum.returning],
+          ["Total Visitors", sum.total, prev?.total],
+          ["New Visitors", sum.new, prev?.new],
+          ["Returning Visitors", sum.returning, prev?.returning],
           ["Visitor Churn", sum.churn+"%"],
         ]
       : [
-          ["Total Customers", sum.total],
-          ["New Customers", sum.new],
-          ["Returning Customers", sum.returning],
+          ["Total Customers", sum.total, prev?.total],
+          ["New Customers", sum.new, prev?.new],
+          ["Returning Customers", sum.returning, prev?.returning],
           ["Customer Churn", sum.churn+"%"],
         ];
 
@@ -175,9 +172,6 @@ const Analytics = () => {
   return (
     <div className="p-6 bg-[#0D1D1E] min-h-screen text-white space-y-6">
 
-<h2 className="text-2xl font-bold text-red-500">This section is under maintenance</h2>
-
-
       {/* Header & date */}
      <div className="flex justify-between items-center">
   <h2 className="text-2xl font-bold">{view} Analysis</h2>
@@ -193,7 +187,7 @@ const Analytics = () => {
 
     {showDateSelector && (
       <div className="absolute top-full right-0 mt-2 z-50 bg-[#161616] rounded-lg shadow-lg border border-gray-700">
-        <DateRangeSelector onApply={handleApply} />
+        <DateRangeSelector onApply={handleApply} initialCompare={compare} />
       </div>
     )}
   </div>
@@ -216,12 +210,22 @@ const Analytics = () => {
 
       {/* Summary cards */}
       <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
-        {summaryData.map(([title, val]) => (
-          <div key={title} className="bg-[#161616] p-4 rounded-xl">
-            <div className="text-sm text-gray-300">{title}</div>
-            <div className="text-xl font-bold">{val.toLocaleString()}</div>
-          </div>
-        ))}
+        {summaryData.map(([title, val, prevVal]) => {
+          const change = prevVal != null ? getChange(val, prevVal) : null;
+          return (
+            <div key={title} className="bg-[#161616] p-4 rounded-xl">
+              <div className="text-sm text-gray-300">{title}</div>
+              <div className="text-xl font-bold">{val.toLocaleString()}</div>
+              {change && (
+                <div className="flex items-center text-xs text-gray-400 mt-1">
+                  {change.direction === "up" && <ArrowUpRight size={12} className="mr-1 text-green-500" />}
+                  {change.direction === "down" && <ArrowDownRight size={12} className="mr-1 text-red-400" />}
+                  {change.value}% vs {prevVal.toLocaleString()}
+                </div>
+              )}
+            </div>
+          );
+        })}
       </div>
 
       {/* Yearly chart selectors */}
@@ -290,7 +294,7 @@ const Analytics = () => {
       <div className="bg-[#0D1D1E] py-10 px-4">
         <h2 className="text-2xl font-bold mb-4">Customer Locations</h2>
         <div className="rounded-2xl shadow-md p-6 border-4 border-purple-100">
-          <h3 className="font-semibold text-white mb-4">Sessions</h3>
+          <h3 className="font-semibold text-white mb-4">Orders by state</h3>
           {analytics.locations.map((loc, i) => {
             const change = getChange(loc.current, loc.previous);
             const prevW = (loc.previous / maxSessions) * 100;
@@ -408,7 +412,10 @@ const Analytics = () => {
       </div>
 
       {/* Cohort Heatmap */}
-      <CohortHeatmap data={analytics.cohort} />
+      <CohortAnalysis />
+
+      {/* RFM segments */}
+      <CustomerSegments />
     </div>
   );
 };
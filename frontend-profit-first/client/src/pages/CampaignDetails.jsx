@@ -1,162 +1,98 @@
-import React, { useState } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import React, { useState, useEffect } from "react";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ResponsiveContainer,
+} from "recharts";
+import { subDays, format } from "date-fns";
+import { PulseLoader } from "react-spinners";
+import { toast } from "react-toastify";
+import axiosInstance from "../../axios";
+import DateRangeSelector from "../components/DateRangeSelector";
+
+const formatCurrency = (value) =>
+  value === null || value === undefined
+    ? "N/A"
+    : `₹${value.toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+
+const formatRatio = (value) =>
+  value === null || value === undefined ? "N/A" : `${value.toFixed(2)}x`;
+
+const formatNumber = (value) =>
+  value === null || value === undefined ? "N/A" : value.toLocaleString("en-IN");
+
+const formatStatus = (status) => (status || "unknown").replace(/_/g, " ").toLowerCase();
+
+// "2026-10-01" -> local Date (the range query uses store calendar days)
+const parseDay = (value) => (value ? new Date(`${value}T00:00:00`) : null);
+
+const cardClass = "bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-2xl p-6 border border-gray-800 shadow-2xl";
+const tileClass = "bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg p-4 border border-gray-800";
 
 const CampaignDetails = () => {
   const { campaignId } = useParams();
   const navigate = useNavigate();
-  
-  // Mock data for different campaigns
-  const campaignsData = {
-    "abcd": {
-      name: "ABCD Campaign",
-      publishDate: "11/07/2025",
-      adSets: [
-        { name: "Audience A - Interests", dailySpend: "$50/day" },
-        { name: "Audience B - Lookalike", dailySpend: "$35/day" },
-        { name: "Audience C - Retargeting", dailySpend: "$20/day" }
-      ],
-      metrics: {
-        revenue: "₹12,300",
-        roas: "4.28x",
-        totalPurchase: "10,000",
-        adsSpent: "₹1000",
-        impressions: "1,24,300",
-        clicks: "29,000",
-        ctr: "2.4%",
-        cpm: "₹4.75",
-        cpc: "₹0.02",
-        addToCarts: "₹0.02",
-        conversionRate: "3.7%",
-        cpr: "₹17"
-      },
-      creatives: [
-        { name: "Summer Collection 1", impressions: "300k" },
-        { name: "Summer Collection 2", impressions: "300k" },
-        { name: "Summer Collection 3", impressions: "300k" }
-      ]
-    },
-    "defg": {
-      name: "DEFG Campaign",
-      publishDate: "10/15/2025",
-      adSets: [
-        { name: "Audience A - Interests", dailySpend: "$45/day" },
-        { name: "Audience B - Lookalike", dailySpend: "$30/day" },
-        { name: "Audience C - Retargeting", dailySpend: "$25/day" }
-      ],
-      metrics: {
-        revenue: "₹15,800",
-        roas: "5.12x",
-        totalPurchase: "12,500",
-        adsSpent: "₹1200",
-        impressions: "1,45,600",
-        clicks: "32,000",
-        ctr: "2.8%",
-        cpm: "₹5.20",
-        cpc: "₹0.03",
-        addToCarts: "₹0.03",
-        conversionRate: "4.2%",
-        cpr: "₹19"
-      },
-      creatives: [
-        { name: "Winter Collection 1", impressions: "350k" },
-        { name: "Winter Collection 2", impressions: "320k" },
-        { name: "Winter Collection 3", impressions: "280k" }
-      ]
-    },
-    "hijkl": {
-      name: "HIJKL Campaign",
-      publishDate: "09/22/2025",
-      adSets: [
-        { name: "Audience A - Interests", dailySpend: "$60/day" },
-        { name: "Audience B - Lookalike", dailySpend: "$40/day" },
-        { name: "Audience C - Retargeting", dailySpend: "$30/day" }
-      ],
-      metrics: {
-        revenue: "₹18,500",
-        roas: "6.15x",
-        totalPurchase: "15,200",
-        adsSpent: "₹1500",
-        impressions: "1,78,900",
-        clicks: "38,500",
-        ctr: "3.1%",
-        cpm: "₹6.10",
-        cpc: "₹0.04",
-        addToCarts: "₹0.04",
-        conversionRate: "5.1%",
-        cpr: "₹22"
-      },
-      creatives: [
-        { name: "Spring Collection 1", impressions: "400k" },
-        { name: "Spring Collection 2", impressions: "380k" },
-        { name: "Spring Collection 3", impressions: "350k" }
-      ]
-    },
-    "mnrop": {
-      name: "MNROP Campaign",
-      publishDate: "08/10/2025",
-      adSets: [
-        { name: "Audience A - Interests", dailySpend: "$55/day" },
-        { name: "Audience B - Lookalike", dailySpend: "$38/day" },
-        { name: "Audience C - Retargeting", dailySpend: "$22/day" }
-      ],
-      metrics: {
-        revenue: "₹14,200",
-        roas: "4.85x",
-        totalPurchase: "11,800",
-        adsSpent: "₹1100",
-        impressions: "1,35,400",
-        clicks: "30,200",
-        ctr: "2.6%",
-        cpm: "₹5.50",
-        cpc: "₹0.03",
-        addToCarts: "₹0.03",
-        conversionRate: "4.0%",
-        cpr: "₹18"
-      },
-      creatives: [
-        { name: "Fall Collection 1", impressions: "320k" },
-        { name: "Fall Collection 2", impressions: "310k" },
-        { name: "Fall Collection 3", impressions: "290k" }
-      ]
-    },
-    "stuv": {
-      name: "STUV Campaign",
-      publishDate: "07/05/2025",
-      adSets: [
-        { name: "Audience A - Interests", dailySpend: "$48/day" },
-        { name: "Audience B - Lookalike", dailySpend: "$32/day" },
-        { name: "Audience C - Retargeting", dailySpend: "$18/day" }
-      ],
-      metrics: {
-        revenue: "₹11,900",
-        roas: "3.95x",
-        totalPurchase: "9,500",
-        adsSpent: "₹950",
-        impressions: "1,18,700",
-        clicks: "27,800",
-        ctr: "2.3%",
-        cpm: "₹4.50",
-        cpc: "₹0.02",
-        addToCarts: "₹0.02",
-        conversionRate: "3.5%",
-        cpr: "₹16"
-      },
-      creatives: [
-        { name: "Casual Collection 1", impressions: "280k" },
-        { name: "Casual Collection 2", impressions: "270k" },
-        { name: "Casual Collection 3", impressions: "260k" }
-      ]
-    }
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [showDateSelector, setShowDateSelector] = useState(false);
+
+  // The range lives in the URL so the campaign list can link here with its own range
+  const dateRange = {
+    startDate: parseDay(searchParams.get("startDate")) || subDays(new Date(), 29),
+    endDate: parseDay(searchParams.get("endDate")) || new Date(),
   };
+  const startDate = format(dateRange.startDate, "yyyy-MM-dd");
+  const endDate = format(dateRange.endDate, "yyyy-MM-dd");
+
+  useEffect(() => {
+    const fetchCampaign = async () => {
+      try {
+        setLoading(true);
+        setNotFound(false);
+        const res = await axiosInstance.get(`/meta/campaigns/${campaignId}`, {
+          params: { startDate, endDate },
+        });
+        setReport(res.data);
+      } catch (err) {
+        console.error("Error fetching campaign:", err);
+        if (err.response?.status === 404 || err.response?.status === 400) {
+          setNotFound(true);
+        } else {
+          toast.error(err.response?.data?.message || "Error fetching campaign. Please try again later.");
+        }
+        setReport(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCampaign();
+  }, [campaignId, startDate, endDate]);
 
-  const campaign = campaignsData[campaignId] || campaignsData["abcd"];
+  const handleApply = (range) => {
+    setSearchParams({
+      startDate: format(range.startDate, "yyyy-MM-dd"),
+      endDate: format(range.endDate, "yyyy-MM-dd"),
+    });
+    setShowDateSelector(false);
+  };
 
-  // Placeholder images for t-shirts
-  const tshirtImages = [
-    "https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=400&h=400&fit=crop",
-    "https://images.unsplash.com/photo-1583743814966-8936f5b7be1a?w=400&h=400&fit=crop",
-    "https://images.unsplash.com/photo-1576566588028-4147f3842f27?w=400&h=400&fit=crop"
-  ];
+  const campaign = report?.campaign;
+  const profit = campaign?.profit || {};
+  const adsets = report?.adsets || [];
+  const ads = report?.ads || [];
+  const daily = (report?.daily || []).map((day) => ({
+    ...day,
+    name: format(parseDay(day.date), "MMM d"),
+  }));
 
   return (
     <div className="h-screen bg-[#0D1D1E] text-white overflow-y-auto scrollbar-hide" style={{
@@ -211,32 +147,82 @@ const CampaignDetails = () => {
 
       {/* Content Section */}
       <div className="max-w-7xl mx-auto p-6 space-y-6">
+        {loading ? (
+          <div className="flex items-center justify-center py-24">
+            <PulseLoader size={15} color="#12EB8E" />
+          </div>
+        ) : !campaign ? (
+          <div className={`${cardClass} text-center`}>
+            <h2 className="text-xl font-bold text-white mb-2">
+              {notFound ? "Campaign not found" : "Couldn't load this campaign"}
+            </h2>
+            <p className="text-gray-400 text-sm mb-4">
+              {notFound
+                ? "It may belong to an ad account that isn't connected, or it hasn't synced yet."
+                : "Please try again in a moment."}
+            </p>
+            <button
+              onClick={() => navigate("/dashboard/meta-ads")}
+              className="bg-green-500 hover:bg-green-600 text-black px-6 py-2 rounded-lg font-semibold transition-colors"
+            >
+              Back to campaigns
+            </button>
+          </div>
+        ) : (
+          <>
         {/* Campaign Header */}
-        <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-2xl p-6 border border-gray-800 shadow-2xl">
-          <h2 className="text-2xl font-bold text-white mb-2">{campaign.name}</h2>
-          <p className="text-gray-400 text-sm">Published Date: {campaign.publishDate}</p>
+        <div className={cardClass}>
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h2 className="text-2xl font-bold text-white mb-2">{campaign.name}</h2>
+              <p className="text-gray-400 text-sm">
+                Published Date: {campaign.startTime ? format(new Date(campaign.startTime), "MM/dd/yyyy") : "N/A"}
+                {campaign.objective && ` · ${formatStatus(campaign.objective.replace("OUTCOME_", ""))}`}
+                {campaign.dailyBudget !== null && ` · ${formatCurrency(campaign.dailyBudget)}/day`}
+              </p>
+            </div>
+            <span className={`text-xs px-3 py-1 rounded-full capitalize ${
+              campaign.status === "ACTIVE" ? "bg-green-500/20 text-green-400" : "bg-gray-700/60 text-gray-300"
+            }`}>
+              {formatStatus(campaign.status)}
+            </span>
+          </div>
         </div>
 
         {/* Ad Sets Section */}
-        <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-2xl p-6 border border-gray-800 shadow-2xl">
+        <div className={cardClass}>
           <h3 className="text-lg font-bold text-white mb-4 flex items-center gap-2">
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
             </svg>
-            Ad Sets (3)
+            Ad Sets ({adsets.length})
           </h3>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {campaign.adSets.map((adSet, index) => (
-              <div key={index} className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg p-4 border border-gray-800">
-                <h4 className="text-white font-medium mb-2">{adSet.name}</h4>
-                <p className="text-gray-400 text-sm">Daily Spend: {adSet.dailySpend}</p>
-              </div>
-            ))}
-          </div>
+          {adsets.length === 0 ? (
+            <p className="text-gray-400 text-sm">No ad sets synced for this campaign yet.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {adsets.map((adSet) => (
+                <div key={adSet.id} className={tileClass}>
+                  <div className="flex items-start justify-between gap-2 mb-2">
+                    <h4 className="text-white font-medium">{adSet.name}</h4>
+                    <span className={`text-xs capitalize ${adSet.status === "ACTIVE" ? "text-green-400" : "text-gray-500"}`}>
+                      {formatStatus(adSet.status)}
+                    </span>
+                  </div>
+                  <p className="text-gray-400 text-sm">
+                    Daily Spend: {adSet.dailyBudget !== null ? `${formatCurrency(adSet.dailyBudget)}/day` : "Campaign budget"}
+                  </p>
+                  <p className="text-gray-400 text-sm">
+                    Spent: {formatCurrency(adSet.spend)} · POAS {formatRatio(adSet.profit?.poas)}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Performance Metrics Section */}
-        <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-2xl p-6 border border-gray-800 shadow-2xl">
+        <div className={cardClass}>
           <div className="flex items-center justify-between mb-6">
             <h3 className="text-lg font-bold text-white flex items-center gap-2">
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -244,77 +230,67 @@ const CampaignDetails = () => {
               </svg>
               Performance Metrics
             </h3>
-            <div className="flex items-center gap-2 text-sm text-gray-400">
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <div className="relative">
+              <button
+                onClick={() => setShowDateSelector(!showDateSelector)}
+                className="flex items-center gap-2 text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
               </svg>
-              Oct 1, 2025 - Oct 2, 2025
-            </div>
-          </div>
-
-          {/* Top Metrics */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
-            <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg p-4 border border-gray-800 relative">
-              <div className="absolute top-4 right-4">
-                <div className="w-8 h-8 rounded-full bg-green-500/20 flex items-center justify-center">
-                  <span className="text-green-500 text-lg">₹</span>
+                {format(dateRange.startDate, "MMM d, yyyy")} - {format(dateRange.endDate, "MMM d, yyyy")}
+              </button>
+              {showDateSelector && (
+                <div className="absolute top-full mt-2 z-50 right-0 bg-[#161616] rounded-lg shadow-lg border border-gray-700">
+                  <DateRangeSelector onApply={handleApply} />
                 </div>
-              </div>
-              <span className="text-gray-400 text-sm block mb-2">Revenue</span>
-              <p className="text-2xl font-bold text-white">{campaign.metrics.revenue}</p>
-            </div>
-
-            <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg p-4 border border-gray-800 relative">
-              <div className="absolute top-4 right-4">
-                <div className="w-8 h-8 rounded-full bg-green-500/20 flex items-center justify-center">
-                  <svg className="w-4 h-4 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
-                  </svg>
-                </div>
-              </div>
-              <span className="text-gray-400 text-sm block mb-2">ROAS</span>
-              <p className="text-2xl font-bold text-white">{campaign.metrics.roas}</p>
+              )}
             </div>
+          </div>
 
-            <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg p-4 border border-gray-800 relative">
-              <div className="absolute top-4 right-4">
-                <div className="w-8 h-8 rounded-full bg-blue-500/20 flex items-center justify-center">
-                  <svg className="w-4 h-4 text-blue-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
-                  </svg>
-                </div>
+          {/* Top Metrics - first-party orders and revenue */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            {[
+              { label: "Revenue", value: formatCurrency(profit.revenue), hint: "Orders attributed from UTMs / fbclid" },
+              { label: "ROAS", value: formatRatio(profit.roas) },
+              { label: "Total Purchase", value: formatNumber(profit.orders) },
+              { label: "Ads Spent", value: formatCurrency(campaign.spend) },
+            ].map((metric) => (
+              <div key={metric.label} className={tileClass} title={metric.hint}>
+                <span className="text-gray-400 text-sm block mb-2">{metric.label}</span>
+                <p className="text-2xl font-bold text-white">{metric.value}</p>
               </div>
-              <span className="text-gray-400 text-sm block mb-2">Total Purchase</span>
-              <p className="text-2xl font-bold text-white">{campaign.metrics.totalPurchase}</p>
-            </div>
+            ))}
+          </div>
 
-            <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg p-4 border border-gray-800 relative">
-              <div className="absolute top-4 right-4">
-                <div className="w-8 h-8 rounded-full bg-purple-500/20 flex items-center justify-center">
-                  <svg className="w-4 h-4 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                </div>
+          {/* Profit after COGS, shipping, RTO and gateway fees */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {[
+              { label: "Net Profit", value: formatCurrency(profit.netProfit), negative: profit.netProfit < 0 },
+              { label: "POAS", value: formatRatio(profit.poas) },
+              { label: "Net Profit / Order", value: formatCurrency(profit.netProfitPerOrder), negative: profit.netProfitPerOrder < 0 },
+              { label: "Cost / Order", value: formatCurrency(profit.costPerOrder) },
+            ].map((metric) => (
+              <div key={metric.label} className={tileClass}>
+                <span className="text-gray-400 text-sm block mb-2">{metric.label}</span>
+                <p className={`text-2xl font-bold ${metric.negative ? "text-red-400" : "text-white"}`}>{metric.value}</p>
               </div>
-              <span className="text-gray-400 text-sm block mb-2">Ads Spent</span>
-              <p className="text-2xl font-bold text-white">{campaign.metrics.adsSpent}</p>
-            </div>
+            ))}
           </div>
 
-          {/* Additional Metrics */}
-          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-4">
+          {/* Additional Metrics - as reported by Meta */}
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-4 mb-6">
             {[
-              { label: "Impressions", value: campaign.metrics.impressions },
-              { label: "Clicks", value: campaign.metrics.clicks },
-              { label: "CTR", value: campaign.metrics.ctr },
-              { label: "CPM", value: campaign.metrics.cpm },
-              { label: "CPC", value: campaign.metrics.cpc },
-              { label: "Add to carts", value: campaign.metrics.addToCarts },
-              { label: "Conv. Rate", value: campaign.metrics.conversionRate },
-              { label: "CPR", value: campaign.metrics.cpr }
+              { label: "Impressions", value: formatNumber(campaign.impressions) },
+              { label: "Clicks", value: formatNumber(campaign.linkClicks) },
+              { label: "CTR", value: `${campaign.ctr ?? 0}%` },
+              { label: "CPM", value: formatCurrency(campaign.cpm) },
+              { label: "CPC", value: formatCurrency(campaign.cpc) },
+              { label: "Meta Purchases", value: formatNumber(campaign.purchases) },
+              { label: "Meta ROAS", value: formatRatio(campaign.roas) },
+              { label: "CPR", value: formatCurrency(campaign.costPerPurchase) }
             ].map((metric, index) => (
-              <div key={index} className="p-3 relative">
+              <div key={metric.label} className="p-3 relative">
                 {index < 7 && (
                   <div className="absolute right-0 top-1/2 -translate-y-1/2 h-12 w-px bg-gray-700"></div>
                 )}
@@ -323,32 +299,70 @@ const CampaignDetails = () => {
               </div>
             ))}
           </div>
+
+          {/* Daily performance */}
+          {daily.length > 0 ? (
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={daily}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
+                  <XAxis dataKey="name" stroke="#9ca3af" fontSize={12} />
+                  <YAxis yAxisId="spend" stroke="#9ca3af" fontSize={12} />
+                  <YAxis yAxisId="roas" orientation="right" stroke="#9ca3af" fontSize={12} />
+                  <Tooltip contentStyle={{ backgroundColor: "#161616", border: "1px solid #374151" }} />
+                  <Legend />
+                  <Bar yAxisId="spend" dataKey="spend" name="Spend (₹)" fill="#0d4d3a" />
+                  <Line yAxisId="roas" type="monotone" dataKey="roas" name="Meta ROAS" stroke="#12EB8E" dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          ) : (
+            <p className="text-gray-400 text-sm text-center py-6">No spend in this date range.</p>
+          )}
         </div>
 
         {/* Creatives Section */}
-        <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-2xl p-6 border border-gray-800 shadow-2xl">
+        <div className={cardClass}>
           <h3 className="text-lg font-bold text-white mb-4 flex items-center gap-2">
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
             </svg>
             Creatives
           </h3>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {campaign.creatives.map((creative, index) => (
-              <div key={index} className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg overflow-hidden border border-gray-800">
-                <img 
-                  src={tshirtImages[index]} 
-                  alt={creative.name}
-                  className="w-full h-48 object-cover"
-                />
-                <div className="p-4">
-                  <h4 className="text-white font-medium mb-1">{creative.name}</h4>
-                  <p className="text-gray-400 text-sm">{creative.impressions} Impressions</p>
-                </div>
-              </div>
-            ))}
-          </div>
+          {ads.length === 0 ? (
+            <p className="text-gray-400 text-sm">No ads synced for this campaign yet.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {ads.map((ad) => {
+                const preview = ad.creative?.imageUrl || ad.creative?.thumbnailUrl;
+                return (
+                  <div key={ad.id} className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-lg overflow-hidden border border-gray-800">
+                    {preview ? (
+                      <img
+                        src={preview}
+                        alt={ad.name}
+                        className="w-full h-48 object-cover"
+                      />
+                    ) : (
+                      <div className="w-full h-48 flex items-center justify-center bg-black/40 text-gray-500 text-sm">
+                        No preview available
+                      </div>
+                    )}
+                    <div className="p-4">
+                      <h4 className="text-white font-medium mb-1">{ad.name}</h4>
+                      <p className="text-gray-400 text-sm">{formatNumber(ad.impressions)} Impressions · {formatCurrency(ad.spend)} spent</p>
+                      <p className="text-gray-400 text-sm">
+                        {ad.profit?.orders ?? 0} orders · Net profit {formatCurrency(ad.profit?.netProfit)}
+                      </p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
         </div>
+          </>
+        )}
 
         {/* Proceed Button */}
         <div className="flex justify-center pb-6">
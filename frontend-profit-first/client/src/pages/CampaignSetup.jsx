@@ -1,30 +1,114 @@
 import { useState, useRef, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { addDays, format } from "date-fns";
 import profitLogo from "../assets/Group 3.svg";
+import axiosInstance from "../../axios";
+
+const CTA_OPTIONS = ["Shop Now", "Buy Now", "Order Now", "Learn More", "Get Offer"];
+const GENDER_OPTIONS = ["All", "Men", "Women"];
+
+// Daily budget slider range per account currency (Meta minimums are much higher in INR)
+const BUDGET_RANGES = {
+  INR: { min: 500, max: 20000, step: 500 },
+  default: { min: 10, max: 200, step: 5 },
+};
+
+const newAdSet = (index) => ({
+  name: `Ad Set - ${String(index + 1).padStart(2, "0")}`,
+  ageMin: 18,
+  ageMax: 65,
+  gender: "All",
+  tags: [],
+  adContent: {
+    headline: "",
+    description: "",
+    cta: "Shop Now",
+    link: "",
+  },
+});
+
+// "25-34" / "65+" age segments from the Meta breakdowns
+const parseAgeGroup = (ageGroup) => {
+  const [min, max] = ageGroup.replace("+", "-65").split("-").map((n) => parseInt(n, 10));
+  return Number.isNaN(min) ? null : { ageMin: min, ageMax: Number.isNaN(max) ? 65 : max };
+};
+
+// PENDING_REVIEW -> "pending review"
+const formatEffectiveStatus = (status) => (status ? status.toLowerCase().replace(/_/g, " ") : "unknown");
 
 const CampaignSetup = () => {
   const navigate = useNavigate();
-  const [projectName, setProjectName] = useState("Lab experimented watch for luxury looks.");
-  const [selectedGoal, setSelectedGoal] = useState(null);
-  const [budget, setBudget] = useState(100);
-  const [startDate, setStartDate] = useState("2024-11-07");
-  const [endDate, setEndDate] = useState("2024-11-07");
+  const [projectName, setProjectName] = useState("");
+  const [selectedGoal, setSelectedGoal] = useState("paid");
+  const [budget, setBudget] = useState(BUDGET_RANGES.INR.min);
+  const [startDate, setStartDate] = useState(format(addDays(new Date(), 1), "yyyy-MM-dd"));
+  const [endDate, setEndDate] = useState(format(addDays(new Date(), 7), "yyyy-MM-dd"));
   const [selectedAdSet, setSelectedAdSet] = useState(0);
   const [selectedLocations, setSelectedLocations] = useState(["India"]);
+  const [locationInput, setLocationInput] = useState("");
   const [bidStrategy, setBidStrategy] = useState("automatic");
-  const [campaignStatus, setCampaignStatus] = useState("active");
-  const [manualBidAmount, setManualBidAmount] = useState("2.50");
+  const [manualBidAmount, setManualBidAmount] = useState("");
   const [uploadedVideos, setUploadedVideos] = useState([]);
   const fileInputRef = useRef(null);
-  const [adSetsData, setAdSetsData] = useState([]);
+  const [adSetsData, setAdSetsData] = useState([newAdSet(0)]);
   const [isLoading, setIsLoading] = useState(true);
+  const [aiRecommendations, setAiRecommendations] = useState(null);
+  const [adAccounts, setAdAccounts] = useState([]);
+  const [adAccountId, setAdAccountId] = useState("");
+  const [pages, setPages] = useState([]);
+  const [pageId, setPageId] = useState("");
+  const [setupError, setSetupError] = useState(null);
+  const [isPublishing, setIsPublishing] = useState(false);
+  // Campaign created by Publish ({ campaignId, status }) - created paused for review
+  const [campaignStatus, setCampaignStatus] = useState(null);
 
-  // Loading effect
+  // Ad accounts and Facebook Pages to publish with
   useEffect(() => {
-    const timer = setTimeout(() => {
-      setIsLoading(false);
-    }, 3000);
-    return () => clearTimeout(timer);
+    const fetchSetup = async () => {
+      try {
+        const [connectionResp, pagesResp] = await Promise.all([
+          axiosInstance.get("/meta/connection"),
+          axiosInstance.get("/meta/pages"),
+        ]);
+
+        const connection = connectionResp.data.connection || {};
+        const selected = connection.selectedAdAccounts?.length
+          ? connection.selectedAdAccounts
+          : connection.adAccounts || [];
+        setAdAccounts(selected);
+        setAdAccountId(selected[0]?.accountId || "");
+
+        const range = BUDGET_RANGES[selected[0]?.currency] || BUDGET_RANGES.default;
+        setBudget(range.min);
+
+        setPages(pagesResp.data.pages || []);
+        setPageId(pagesResp.data.pages?.[0]?.id || "");
+      } catch (err) {
+        console.error("Error loading Meta campaign setup:", err);
+        setSetupError(
+          err.response?.status === 404
+            ? "Connect your Meta Ads account to create campaigns."
+            : err.response?.data?.message || "Couldn't load your Meta ad accounts and Pages."
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchSetup();
+  }, []);
+
+  // Targeting recommendations from Meta breakdowns ranked by ROAS (last 30 days)
+  useEffect(() => {
+    const fetchRecommendations = async () => {
+      try {
+        const resp = await axiosInstance.get("/meta/breakdowns");
+        setAiRecommendations(resp.data.hasData ? resp.data.recommendations : null);
+      } catch (err) {
+        console.error("Error fetching Meta breakdowns:", err);
+      }
+    };
+    fetchRecommendations();
   }, []);
 
   const goals = [
@@ -51,28 +135,52 @@ const CampaignSetup = () => {
     }
   ];
 
-  // AI Recommendations
-  const aiRecommendations = {
-    ageGroup: "25-44",
-    gender: "Men",
-    bestTime: "6 PM - 10 PM",
-    interests: ["Fashion", "Luxury"],
-    locations: ["India", "UAE"]
+  const selectedAccount = adAccounts.find((account) => account.accountId === adAccountId);
+  const currency = selectedAccount?.currency || "";
+  const budgetRange = BUDGET_RANGES[currency] || BUDGET_RANGES.default;
+  const budgetPercent = ((budget - budgetRange.min) / (budgetRange.max - budgetRange.min)) * 100;
+  const currentAdSet = adSetsData[selectedAdSet] || adSetsData[0];
+  const preview = uploadedVideos.find((video) => video.media);
+
+  const updateAdSet = (changes) => {
+    setAdSetsData((prev) => prev.map((adSet, i) => (i === selectedAdSet ? { ...adSet, ...changes } : adSet)));
+  };
+
+  const updateAdContent = (field, value) => {
+    updateAdSet({ adContent: { ...currentAdSet.adContent, [field]: value } });
+  };
+
+  const addAdSet = () => {
+    setAdSetsData((prev) => [...prev, newAdSet(prev.length)]);
+    setSelectedAdSet(adSetsData.length);
+  };
+
+  const addLocation = () => {
+    const location = locationInput.trim();
+    if (location && !selectedLocations.includes(location)) {
+      setSelectedLocations([...selectedLocations, location]);
+    }
+    setLocationInput("");
   };
 
   const applyAIRecommendations = () => {
-    // Update ad sets with AI recommendations
-    const updatedAdSets = adSets.map(adSet => ({
+    if (!aiRecommendations) return;
+
+    // Update ad sets with AI recommendations (keep the ad set's own value where there's no data)
+    const age = aiRecommendations.ageGroup ? parseAgeGroup(aiRecommendations.ageGroup) : null;
+    const updatedAdSets = adSetsData.map(adSet => ({
       ...adSet,
-      age: aiRecommendations.ageGroup,
-      gender: aiRecommendations.gender,
-      tags: [...aiRecommendations.interests, "High spending"]
+      ...(age || {}),
+      gender: aiRecommendations.gender || adSet.gender,
+      tags: aiRecommendations.placements.length > 0 ? aiRecommendations.placements : adSet.tags
     }));
     
     setAdSetsData(updatedAdSets);
     
     // Update locations
-    setSelectedLocations(aiRecommendations.locations);
+    if (aiRecommendations.locations.length > 0) {
+      setSelectedLocations(aiRecommendations.locations);
+    }
     
     // Show visual feedback with close button
     const successDiv = document.createElement('div');
@@ -110,70 +218,41 @@ const CampaignSetup = () => {
     successDiv.dataset.timeoutId = timeoutId;
   };
 
-  const adSets = [
-    {
-      id: 1,
-      name: "Ad Sets - 01",
-      title: "Luxury watches for men",
-      image: "https://images.unsplash.com/photo-1523170335258-f5ed11844a49?w=400&h=300&fit=crop",
-      age: "18",
-      gender: "Men",
-      adsSpent: "$12.09",
-      tags: ["Luxury Goods", "Co-operate", "High spending"],
-      adContent: {
-        headline: "Premium Titan Watches - Up to 40% Off",
-        description: "Discover our exclusive collection of luxury watches. Crafted with precision, designed for elegance. Limited time offer!",
-        cta: "Shop Now",
-        link: "https://yourstore.com/watches"
-      }
-    },
-    {
-      id: 2,
-      name: "Ad Sets - 02",
-      title: "Premium accessories",
-      image: "https://images.unsplash.com/photo-1611652022419-a9419f74343d?w=400&h=300&fit=crop",
-      age: "25",
-      gender: "Men",
-      adsSpent: "$15.50",
-      tags: ["Premium", "Fashion", "Accessories"],
-      adContent: {
-        headline: "Elevate Your Style with Premium Accessories",
-        description: "Complete your look with our handpicked collection of premium accessories. Quality meets sophistication.",
-        cta: "Explore Collection",
-        link: "https://yourstore.com/accessories"
-      }
-    },
-    {
-      id: 3,
-      name: "Ad Sets - 03",
-      title: "Elegant timepieces",
-      image: "https://images.unsplash.com/photo-1524805444758-089113d48a6d?w=400&h=300&fit=crop",
-      age: "30",
-      gender: "All",
-      adsSpent: "$18.75",
-      tags: ["Elegant", "Timepiece", "Luxury"],
-      adContent: {
-        headline: "Timeless Elegance - Swiss Movement Watches",
-        description: "Experience the perfect blend of tradition and innovation. Each timepiece tells a unique story of craftsmanship.",
-        cta: "View Details",
-        link: "https://yourstore.com/timepieces"
-      }
-    }
-  ];
-
   const [showAdContent, setShowAdContent] = useState(false);
 
-  // Handle video upload
-  const handleVideoUpload = (event) => {
+  // Upload each picked file to the ad account's creative library straight away
+  const handleVideoUpload = async (event) => {
     const files = Array.from(event.target.files);
+    event.target.value = "";
     const videoFiles = files.map(file => ({
       name: file.name,
       size: (file.size / (1024 * 1024)).toFixed(2), // Convert to MB
       type: file.type,
       url: URL.createObjectURL(file),
-      file: file
+      file: file,
+      status: "uploading",
+      media: null
     }));
-    setUploadedVideos([...uploadedVideos, ...videoFiles]);
+    setUploadedVideos((prev) => [...prev, ...videoFiles]);
+
+    for (const video of videoFiles) {
+      try {
+        const resp = await axiosInstance.post("/meta/campaigns/media", video.file, {
+          params: adAccountId ? { adAccountId } : {},
+          headers: {
+            "Content-Type": video.type,
+            "X-File-Name": encodeURIComponent(video.name),
+          },
+        });
+        setUploadedVideos((prev) =>
+          prev.map((v) => (v.url === video.url ? { ...v, status: "ready", media: resp.data.media } : v))
+        );
+      } catch (err) {
+        console.error("Error uploading creative:", err);
+        toast.error(err.response?.data?.message || `Failed to upload ${video.name}`);
+        setUploadedVideos((prev) => prev.map((v) => (v.url === video.url ? { ...v, status: "error" } : v)));
+      }
+    }
   };
 
   // Remove video
@@ -182,6 +261,80 @@ const CampaignSetup = () => {
     setUploadedVideos(newVideos);
   };
 
+  // Every ad set gets one ad per uploaded creative, all created paused on Meta
+  const handlePublish = async () => {
+    const creatives = uploadedVideos.filter((video) => video.media);
+    if (!projectName.trim()) return toast.error("Give the campaign a name");
+    if (!pageId) return toast.error("Pick the Facebook Page to publish as");
+    if (creatives.length === 0) return toast.error("Upload at least one video or image");
+    if (uploadedVideos.some((video) => video.status === "uploading")) return toast.info("Wait for uploads to finish");
+    if (selectedLocations.length === 0) return toast.error("Add at least one location");
+    if (adSetsData.some((adSet) => !/^https?:\/\//.test(adSet.adContent.link))) {
+      return toast.error("Every ad set needs a full landing page link (https://...)");
+    }
+
+    setIsPublishing(true);
+    try {
+      const resp = await axiosInstance.post("/meta/campaigns", {
+        name: projectName.trim(),
+        adAccountId,
+        pageId,
+        goal: selectedGoal,
+        startDate,
+        endDate,
+        adSets: adSetsData.map((adSet) => ({
+          name: adSet.name,
+          dailyBudget: Number(budget),
+          bidStrategy,
+          bidAmount: bidStrategy === "manual" ? Number(manualBidAmount) : undefined,
+          locations: selectedLocations,
+          ageMin: adSet.ageMin,
+          ageMax: adSet.ageMax,
+          gender: adSet.gender,
+          ads: creatives.map((video, i) => ({
+            name: `${adSet.name} - ${i + 1}`,
+            videoId: video.media.videoId,
+            imageHash: video.media.imageHash,
+            headline: adSet.adContent.headline,
+            message: adSet.adContent.description,
+            cta: adSet.adContent.cta,
+            link: adSet.adContent.link,
+          })),
+        })),
+      });
+      setCampaignStatus(resp.data.campaign);
+      toast.success("Campaign created and paused for review");
+    } catch (err) {
+      console.error("Error creating campaign:", err);
+      toast.error(err.response?.data?.message || "Failed to create campaign");
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleActivate = async () => {
+    setIsPublishing(true);
+    try {
+      const resp = await axiosInstance.patch(`/meta/campaigns/${campaignStatus.campaignId}`, { status: "ACTIVE" });
+      const effective = resp.data.effectiveStatus;
+      // Ads can still be held back by review or billing after activation
+      const notDelivering = [...(effective?.adSets || []), ...(effective?.ads || [])].filter(
+        (item) => item.effectiveStatus !== "ACTIVE"
+      );
+      setCampaignStatus({ ...campaignStatus, status: "ACTIVE", effectiveStatus: effective, notDelivering });
+      if (effective?.campaign === "ACTIVE" && notDelivering.length === 0) {
+        toast.success("Campaign is live");
+      } else {
+        toast.info("Campaign activated - some items aren't delivering yet");
+      }
+    } catch (err) {
+      console.error("Error activating campaign:", err);
+      toast.error(err.response?.data?.message || "Failed to activate campaign");
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
   // Skeleton Loader Component
   if (isLoading) {
     return (
@@ -223,6 +376,23 @@ const CampaignSetup = () => {
     );
   }
 
+  if (setupError) {
+    return (
+      <div className="min-h-screen text-white flex items-center justify-center p-8">
+        <div className="bg-[#0d2820]/60 border border-gray-700 rounded-2xl p-8 max-w-md text-center">
+          <p className="text-lg font-semibold mb-2">Campaign setup unavailable</p>
+          <p className="text-gray-400 mb-6">{setupError}</p>
+          <button
+            onClick={() => navigate("/dashboard/settings")}
+            className="px-5 py-2.5 rounded-xl bg-[#4DD19D] text-black font-semibold hover:bg-[#3bc18a] transition-colors"
+          >
+            Go to Settings
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <>
       <style>{`
@@ -281,10 +451,77 @@ const CampaignSetup = () => {
                   type="text"
                   value={projectName}
                   onChange={(e) => setProjectName(e.target.value)}
+                  placeholder="e.g. Diwali sale - luxury watches"
                   className="w-full bg-[#0a2820]/60 border-2 border-gray-600 rounded-xl px-5 2xl:px-6 py-4 2xl:py-5 text-base 2xl:text-lg text-gray-300 placeholder-gray-500 focus:outline-none focus:border-gray-500 transition-all"
                 />
               </div>
 
+              {/* Ad account & Facebook Page */}
+              <div>
+                <div className="flex items-center gap-3 2xl:gap-4 mb-4 2xl:mb-5">
+                  <div className="w-2.5 h-2.5 2xl:w-3 2xl:h-3 bg-emerald-500 rounded-full"></div>
+                  <label className="text-base 2xl:text-lg text-white font-medium">Publish from</label>
+                </div>
+                <div className="grid grid-cols-2 gap-5 2xl:gap-6">
+                  <div>
+                    <label className="text-sm 2xl:text-base text-gray-400 mb-3 2xl:mb-4 block">Ad account</label>
+                    <select
+                      value={adAccountId}
+                      onChange={(e) => setAdAccountId(e.target.value)}
+                      className="w-full bg-[#0a2820]/60 border-2 border-gray-600 rounded-xl px-5 2xl:px-6 py-3.5 2xl:py-4 text-base 2xl:text-lg text-gray-300 focus:outline-none focus:border-gray-500 transition-all"
+                    >
+                      {adAccounts.map((account) => (
+                        <option key={account.accountId} value={account.accountId} className="bg-[#0a2820]">
+                          {account.name || account.accountId} {account.currency ? `(${account.currency})` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="text-sm 2xl:text-base text-gray-400 mb-3 2xl:mb-4 block">Facebook Page</label>
+                    <select
+                      value={pageId}
+                      onChange={(e) => setPageId(e.target.value)}
+                      className="w-full bg-[#0a2820]/60 border-2 border-gray-600 rounded-xl px-5 2xl:px-6 py-3.5 2xl:py-4 text-base 2xl:text-lg text-gray-300 focus:outline-none focus:border-gray-500 transition-all"
+                    >
+                      {pages.length === 0 && <option value="">No Pages found</option>}
+                      {pages.map((page) => (
+                        <option key={page.id} value={page.id} className="bg-[#0a2820]">
+                          {page.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </div>
+
+              {/* Goal */}
+              <div>
+                <div className="flex items-center gap-3 2xl:gap-4 mb-4 2xl:mb-5">
+                  <div className="w-2.5 h-2.5 2xl:w-3 2xl:h-3 bg-emerald-500 rounded-full"></div>
+                  <label className="text-base 2xl:text-lg text-white font-medium">Goal</label>
+                </div>
+                <div className="grid grid-cols-3 gap-4 2xl:gap-5">
+                  {goals.map((goal) => (
+                    <button
+                      key={goal.id}
+                      onClick={() => setSelectedGoal(goal.id)}
+                      className={`p-4 2xl:p-5 rounded-xl border-2 text-left transition-all ${
+                        selectedGoal === goal.id
+                          ? "bg-[#4DD19D]/20 border-[#4DD19D]"
+                          : "bg-[#0a2820]/60 border-gray-600 hover:border-gray-500"
+                      }`}
+                    >
+                      <svg className="w-5 h-5 2xl:w-6 2xl:h-6 text-[#4DD19D] mb-2" fill="currentColor" viewBox="0 0 24 24">
+                        <path d={goal.icon} />
+                      </svg>
+                      <p className="text-sm 2xl:text-base text-white font-medium mb-1">{goal.label}</p>
+                      <p className="text-xs 2xl:text-sm text-gray-400">{goal.description}</p>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
               {/* Date */}
               <div>
                 <div className="flex items-center gap-3 2xl:gap-4 mb-4 2xl:mb-5">
@@ -325,17 +562,24 @@ const CampaignSetup = () => {
                 </div>
                 <input
                   type="text"
-                  placeholder="Add a city or pick one"
+                  value={locationInput}
+                  onChange={(e) => setLocationInput(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && addLocation()}
+                  onBlur={addLocation}
+                  placeholder="Add a country, state or city and press Enter"
                   className="w-full bg-[#0a2820]/60 border-2 border-gray-600 rounded-xl px-5 2xl:px-6 py-4 2xl:py-5 text-base 2xl:text-lg text-gray-300 placeholder-gray-500 focus:outline-none focus:border-gray-500 transition-all mb-4 2xl:mb-5"
                 />
                 <div className="flex flex-wrap gap-3 2xl:gap-4">
-                  {["United States", "Toronto", "India"].map((location, index) => (
+                  {selectedLocations.map((location) => (
                     <span
-                      key={index}
+                      key={location}
                       className="inline-flex items-center gap-2 2xl:gap-3 bg-[#4DD19D]/20 text-[#4DD19D] text-base 2xl:text-lg px-5 2xl:px-6 py-2.5 2xl:py-3 rounded-xl"
                     >
                       {location}
-                      <button className="hover:text-white transition-colors">
+                      <button
+                        onClick={() => setSelectedLocations(selectedLocations.filter((l) => l !== location))}
+                        className="hover:text-white transition-colors"
+                      >
                         <svg className="w-5 h-5 2xl:w-6 2xl:h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
                         </svg>
@@ -345,6 +589,47 @@ const CampaignSetup = () => {
                 </div>
               </div>
 
+              {/* AI Recommendations */}
+              <div>
+                <div className="flex items-center justify-between mb-4 2xl:mb-5">
+                  <div className="flex items-center gap-3 2xl:gap-4">
+                    <div className="w-2.5 h-2.5 2xl:w-3 2xl:h-3 bg-emerald-500 rounded-full"></div>
+                    <label className="text-base 2xl:text-lg text-white font-medium">AI Recommendations</label>
+                  </div>
+                  {aiRecommendations && (
+                    <button
+                      onClick={applyAIRecommendations}
+                      className="text-sm 2xl:text-base text-[#4DD19D] border border-[#4DD19D]/50 rounded-lg px-4 py-1.5 hover:bg-[#4DD19D]/10 transition-colors"
+                    >
+                      Apply
+                    </button>
+                  )}
+                </div>
+                {aiRecommendations ? (
+                  <div className="grid grid-cols-2 gap-3 2xl:gap-4 text-sm 2xl:text-base">
+                    {[
+                      ["Age group", aiRecommendations.ageGroup, aiRecommendations.evidence.age?.roas],
+                      ["Gender", aiRecommendations.gender, aiRecommendations.evidence.gender?.roas],
+                      ["Best time", aiRecommendations.bestTime?.label, aiRecommendations.bestTime?.roas],
+                      ["Regions", aiRecommendations.locations.join(", "), aiRecommendations.evidence.regions[0]?.roas],
+                      ["Placements", aiRecommendations.placements.join(", "), aiRecommendations.evidence.placements[0]?.roas],
+                    ].map(([label, value, roas]) => (
+                      <div key={label} className="bg-[#0a2820]/60 border border-gray-700 rounded-xl px-4 py-3">
+                        <p className="text-gray-400">{label}</p>
+                        <p className="text-white font-medium">{value || "Not enough data"}</p>
+                        {value && roas != null && (
+                          <p className="text-xs text-emerald-300/70">{roas.toFixed(2)}x ROAS</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm 2xl:text-base text-gray-400">
+                    Recommendations appear once your Meta age, gender, region, placement and hourly breakdowns have synced.
+                  </p>
+                )}
+              </div>
+
               {/* Bid Strategy */}
               <div>
                 <div className="flex items-center gap-3 2xl:gap-4 mb-4 2xl:mb-5">
@@ -385,16 +670,16 @@ const CampaignSetup = () => {
                   {/* Manual Bid Amount */}
                   {bidStrategy === "manual" && (
                     <div className="bg-[#0a2820]/60 border border-gray-600 rounded-lg p-4">
-                      <label className="text-xs text-gray-400 mb-2 block">Bid Amount ($)</label>
+                      <label className="text-xs text-gray-400 mb-2 block">Bid cap per purchase {currency && `(${currency})`}</label>
                       <input
                         type="number"
                         value={manualBidAmount}
                         onChange={(e) => setManualBidAmount(e.target.value)}
-                        placeholder="2.50"
+                        placeholder="e.g. 250"
                         className="w-full bg-[#0a2820] border border-gray-600 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#4DD19D] transition-all"
                       />
                       <p className="text-xs text-gray-400 mt-2">
-                        Recommended: $1.50 - $5.00
+                        Meta won't bid more than this for a purchase - set it below your profit per order.
                       </p>
                     </div>
                   )}
@@ -430,26 +715,27 @@ const CampaignSetup = () => {
                 <svg className="w-6 h-6 2xl:w-7 2xl:h-7 text-[#4DD19D]" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
                 </svg>
-                <h3 className="text-xl 2xl:text-2xl font-semibold text-white">Daily Budgets</h3>
+                <h3 className="text-xl 2xl:text-2xl font-semibold text-white">Daily Budget per Ad Set</h3>
               </div>
               
               <div className="relative mb-4">
                 <div 
                   className="absolute -top-2 bg-white text-gray-900 text-xs font-bold px-2 py-0.5 rounded shadow-lg transition-all"
-                  style={{ left: `calc(${(budget-10)/190*100}% - 16px)` }}
+                  style={{ left: `calc(${budgetPercent}% - 16px)` }}
                 >
-                  {budget}
+                  {currency} {budget}
                 </div>
                 <div className="pt-4">
                   <input
                     type="range"
-                    min="10"
-                    max="200"
+                    min={budgetRange.min}
+                    max={budgetRange.max}
+                    step={budgetRange.step}
                     value={budget}
                     onChange={(e) => setBudget(e.target.value)}
                     className="w-full h-2 rounded-full appearance-none cursor-pointer budget-slider"
                     style={{
-                      background: `linear-gradient(to right, #4DD19D 0%, #4DD19D ${(budget-10)/190*100}%, rgba(255,255,255,0.2) ${(budget-10)/190*100}%, rgba(255,255,255,0.2) 100%)`
+                      background: `linear-gradient(to right, #4DD19D 0%, #4DD19D ${budgetPercent}%, rgba(255,255,255,0.2) ${budgetPercent}%, rgba(255,255,255,0.2) 100%)`
                     }}
                   />
                   <div className="flex justify-between text-xs text-emerald-200/70 mt-2">
@@ -465,7 +751,9 @@ const CampaignSetup = () => {
                   <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
                 </svg>
                 <p className="text-base 2xl:text-lg text-white">
-                  Your budget is limited, increase budget to perform better
+                  {budgetPercent < 25
+                    ? "Your budget is limited, increase budget to perform better"
+                    : `${currency} ${Number(budget) * adSetsData.length} per day across ${adSetsData.length} ad set${adSetsData.length === 1 ? "" : "s"}`}
                 </p>
               </div>
             </div>
@@ -514,7 +802,7 @@ const CampaignSetup = () => {
               {/* Uploaded Videos List */}
               {uploadedVideos.length > 0 && (
                 <div className="mb-6 bg-[#0f1f1a]/30 rounded-lg p-5">
-                  <h4 className="text-sm text-emerald-300/60 mb-4">Uploaded Videos ({uploadedVideos.length})</h4>
+                  <h4 className="text-sm text-emerald-300/60 mb-4">Ad Media ({uploadedVideos.length}) - one ad per creative in every ad set</h4>
                   <div className="space-y-2">
                     {uploadedVideos.map((video, index) => (
                       <div key={index} className="flex items-center justify-between p-3 rounded-lg hover:bg-[#0f1f1a]/50 transition-colors">
@@ -524,7 +812,9 @@ const CampaignSetup = () => {
                           </svg>
                           <div className="flex-1 min-w-0">
                             <p className="text-sm text-emerald-100 truncate">{video.name}</p>
-                            <p className="text-xs text-emerald-400/50">{video.size} MB</p>
+                            <p className={`text-xs ${video.status === "error" ? "text-red-400" : "text-emerald-400/50"}`}>
+                              {video.size} MB - {video.status === "uploading" ? "Uploading to Meta..." : video.status === "error" ? "Upload failed" : "Ready"}
+                            </p>
                           </div>
                         </div>
                         <button
@@ -561,12 +851,12 @@ const CampaignSetup = () => {
                     <svg className="w-5 h-5 2xl:w-6 2xl:h-6" fill="currentColor" viewBox="0 0 20 20">
                       <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
                     </svg>
-                    <span>{adSets[selectedAdSet].name}</span>
+                    <span>{currentAdSet.name}</span>
                   </div>
 
                   {/* Right Arrow */}
                   <button 
-                    onClick={() => setSelectedAdSet(selectedAdSet < adSets.length - 1 ? selectedAdSet + 1 : 0)}
+                    onClick={() => setSelectedAdSet(selectedAdSet < adSetsData.length - 1 ? selectedAdSet + 1 : 0)}
                     className="hover:scale-110 transition-transform"
                   >
                     <svg className="w-5 h-5 2xl:w-6 2xl:h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -574,27 +864,62 @@ const CampaignSetup = () => {
                     </svg>
                   </button>
                 </div>
+                <button
+                  onClick={addAdSet}
+                  className="ml-3 text-sm 2xl:text-base text-[#4DD19D] border border-[#4DD19D]/50 rounded-lg px-3 py-2 hover:bg-[#4DD19D]/10 transition-colors"
+                >
+                  + Ad Set
+                </button>
               </div>
 
               {/* Ad Set Content */}
               <div className="bg-[#0d2820]/60 rounded-2xl overflow-hidden shadow-xl">
-                {/* Ad Image - Removed */}
-
                 <div className="p-5 2xl:p-6">
-                  <h4 className="text-base 2xl:text-lg font-semibold mb-3 2xl:mb-4 text-center text-white">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].title}</h4>
+                  <input
+                    type="text"
+                    value={currentAdSet.name}
+                    onChange={(e) => updateAdSet({ name: e.target.value })}
+                    className="w-full bg-transparent text-base 2xl:text-lg font-semibold mb-3 2xl:mb-4 text-center text-white focus:outline-none border-b border-transparent focus:border-gray-600"
+                  />
                   
                   <div className="grid grid-cols-3 gap-3 2xl:gap-4 mb-3 2xl:mb-4">
                     <div className="text-center">
                       <p className="text-sm 2xl:text-base text-emerald-300/70 mb-1 2xl:mb-1.5">Age</p>
-                      <p className="text-base 2xl:text-lg font-bold text-white">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].age}</p>
+                      <div className="flex items-center justify-center gap-1">
+                        <input
+                          type="number"
+                          min="18"
+                          max="65"
+                          value={currentAdSet.ageMin}
+                          onChange={(e) => updateAdSet({ ageMin: Number(e.target.value) })}
+                          className="w-14 bg-[#0a2820] border border-gray-600 rounded-lg px-2 py-1 text-sm text-white text-center focus:outline-none focus:border-[#4DD19D]"
+                        />
+                        <span className="text-gray-400">-</span>
+                        <input
+                          type="number"
+                          min="18"
+                          max="65"
+                          value={currentAdSet.ageMax}
+                          onChange={(e) => updateAdSet({ ageMax: Number(e.target.value) })}
+                          className="w-14 bg-[#0a2820] border border-gray-600 rounded-lg px-2 py-1 text-sm text-white text-center focus:outline-none focus:border-[#4DD19D]"
+                        />
+                      </div>
                     </div>
                     <div className="text-center">
                       <p className="text-sm 2xl:text-base text-emerald-300/70 mb-1 2xl:mb-1.5">Gender</p>
-                      <p className="text-base 2xl:text-lg font-bold text-white">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].gender}</p>
+                      <select
+                        value={currentAdSet.gender}
+                        onChange={(e) => updateAdSet({ gender: e.target.value })}
+                        className="bg-[#0a2820] border border-gray-600 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-[#4DD19D]"
+                      >
+                        {GENDER_OPTIONS.map((gender) => (
+                          <option key={gender} value={gender}>{gender}</option>
+                        ))}
+                      </select>
                     </div>
                     <div className="text-center">
-                      <p className="text-sm 2xl:text-base text-emerald-300/70 mb-1 2xl:mb-1.5">Ads spent</p>
-                      <p className="text-base 2xl:text-lg font-bold text-white">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].adsSpent}</p>
+                      <p className="text-sm 2xl:text-base text-emerald-300/70 mb-1 2xl:mb-1.5">Daily budget</p>
+                      <p className="text-base 2xl:text-lg font-bold text-white">{currency} {budget}</p>
                     </div>
                   </div>
 
@@ -618,54 +943,141 @@ const CampaignSetup = () => {
                     <div className="bg-[#0f1f1a]/50 rounded-lg p-3 mb-2 space-y-2">
                       <div>
                         <p className="text-xs text-emerald-300/70 mb-1">Headline</p>
-                        <p className="text-sm text-white font-medium">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].adContent.headline}</p>
+                        <input
+                          type="text"
+                          value={currentAdSet.adContent.headline}
+                          onChange={(e) => updateAdContent("headline", e.target.value)}
+                          placeholder="Premium watches - up to 40% off"
+                          className="w-full bg-[#0a2820] border border-gray-600 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#4DD19D] transition-all"
+                        />
                       </div>
                       <div>
-                        <p className="text-xs text-emerald-300/70 mb-1">Description</p>
-                        <p className="text-xs text-emerald-100/80">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].adContent.description}</p>
+                        <p className="text-xs text-emerald-300/70 mb-1">Primary text</p>
+                        <textarea
+                          rows={3}
+                          value={currentAdSet.adContent.description}
+                          onChange={(e) => updateAdContent("description", e.target.value)}
+                          placeholder="What the ad says above the video"
+                          className="w-full bg-[#0a2820] border border-gray-600 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#4DD19D] transition-all"
+                        />
                       </div>
                       <div className="grid grid-cols-2 gap-2">
                         <div>
                           <p className="text-xs text-emerald-300/70 mb-1">CTA</p>
-                          <p className="text-sm text-white font-medium">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].adContent.cta}</p>
+                          <select
+                            value={currentAdSet.adContent.cta}
+                            onChange={(e) => updateAdContent("cta", e.target.value)}
+                            className="w-full bg-[#0a2820] border border-gray-600 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#4DD19D] transition-all"
+                          >
+                            {CTA_OPTIONS.map((cta) => (
+                              <option key={cta} value={cta}>{cta}</option>
+                            ))}
+                          </select>
                         </div>
                         <div>
                           <p className="text-xs text-emerald-300/70 mb-1">Link</p>
-                          <p className="text-xs text-emerald-400 truncate">{(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].adContent.link}</p>
+                          <input
+                            type="url"
+                            value={currentAdSet.adContent.link}
+                            onChange={(e) => updateAdContent("link", e.target.value)}
+                            placeholder="https://yourstore.com/products/..."
+                            className="w-full bg-[#0a2820] border border-gray-600 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#4DD19D] transition-all"
+                          />
                         </div>
                       </div>
                     </div>
                   )}
 
                   <div className="border-t-2 border-gray-700 pt-4 2xl:pt-5">
-                    <h5 className="text-sm 2xl:text-base font-semibold mb-3 2xl:mb-4 text-center text-white">Audience Tags</h5>
-                    <div className="flex flex-wrap justify-center gap-2 2xl:gap-3 mb-4 2xl:mb-5">
-                      {(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].tags.map((tag, index) => (
-                        <span key={index} className="bg-emerald-700/40 text-emerald-200 text-sm 2xl:text-base px-3 2xl:px-4 py-1.5 2xl:py-2 rounded-lg font-medium shadow-md">
-                          {tag}
-                        </span>
-                      ))}
-                    </div>
+                    {currentAdSet.tags.length > 0 && (
+                      <>
+                        <h5 className="text-sm 2xl:text-base font-semibold mb-3 2xl:mb-4 text-center text-white">Best Placements</h5>
+                        <div className="flex flex-wrap justify-center gap-2 2xl:gap-3 mb-4 2xl:mb-5">
+                          {currentAdSet.tags.map((tag, index) => (
+                            <span key={index} className="bg-emerald-700/40 text-emerald-200 text-sm 2xl:text-base px-3 2xl:px-4 py-1.5 2xl:py-2 rounded-lg font-medium shadow-md">
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      </>
+                    )}
 
-                    {/* Preview Image */}
+                    {/* Preview of the first uploaded creative */}
                     <div className="mt-4 2xl:mt-5">
-                      <img
-                        src={(adSetsData.length > 0 ? adSetsData : adSets)[selectedAdSet].image}
-                        alt="Ad Preview"
-                        className="w-full h-56 2xl:h-64 object-cover rounded-xl shadow-[0_10px_40px_rgba(0,0,0,0.6)]"
-                      />
+                      {preview ? (
+                        preview.type.startsWith("video/") ? (
+                          <video
+                            src={preview.url}
+                            controls
+                            className="w-full h-56 2xl:h-64 object-cover rounded-xl shadow-[0_10px_40px_rgba(0,0,0,0.6)]"
+                          />
+                        ) : (
+                          <img
+                            src={preview.url}
+                            alt="Ad Preview"
+                            className="w-full h-56 2xl:h-64 object-cover rounded-xl shadow-[0_10px_40px_rgba(0,0,0,0.6)]"
+                          />
+                        )
+                      ) : (
+                        <div className="w-full h-56 2xl:h-64 rounded-xl border-2 border-dashed border-gray-600 flex items-center justify-center text-gray-400 text-sm">
+                          Upload a video or image with Ad Media
+                        </div>
+                      )}
                     </div>
 
                     {/* Publish Button */}
                     <div className="mt-4 2xl:mt-5">
-                      <button 
-                        className="w-full text-black px-6 2xl:px-8 py-3.5 2xl:py-4 rounded-xl text-base 2xl:text-lg font-semibold transition-all shadow-lg flex items-center justify-center"
-                        style={{ backgroundColor: 'rgba(77, 209, 157, 1)' }}
-                        onMouseEnter={(e) => e.currentTarget.style.backgroundColor = 'rgba(77, 209, 157, 0.8)'}
-                        onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'rgba(77, 209, 157, 1)'}
-                      >
-                        Publish
-                      </button>
+                      {campaignStatus ? (
+                        <div className="bg-[#0a2820]/60 rounded-xl p-4 space-y-3">
+                          <p className="text-sm text-white">
+                            Campaign <span className="font-semibold">{campaignStatus.campaignId}</span> is{" "}
+                            <span className={campaignStatus.status === "ACTIVE" ? "text-[#4DD19D]" : "text-yellow-400"}>
+                              {campaignStatus.status === "ACTIVE" ? "live" : "paused for review"}
+                            </span>
+                          </p>
+                          {campaignStatus.effectiveStatus && (
+                            <div className="text-xs text-gray-400 space-y-1">
+                              <p>
+                                Meta status:{" "}
+                                <span className="text-white">{formatEffectiveStatus(campaignStatus.effectiveStatus.campaign)}</span>
+                              </p>
+                              {campaignStatus.notDelivering.map((item) => (
+                                <p key={item.id}>
+                                  {item.name}: <span className="text-yellow-400">{formatEffectiveStatus(item.effectiveStatus)}</span>
+                                </p>
+                              ))}
+                            </div>
+                          )}
+                          <div className="flex gap-3">
+                            {campaignStatus.status !== "ACTIVE" && (
+                              <button
+                                onClick={handleActivate}
+                                disabled={isPublishing}
+                                className="flex-1 text-black px-4 py-2.5 rounded-xl font-semibold bg-[#4DD19D] hover:bg-[#3bc18a] disabled:opacity-50 transition-colors"
+                              >
+                                {isPublishing ? "Activating..." : "Activate"}
+                              </button>
+                            )}
+                            <button
+                              onClick={() => navigate(`/dashboard/meta-ads/campaign/${campaignStatus.campaignId}`)}
+                              className="flex-1 px-4 py-2.5 rounded-xl font-semibold border border-[#4DD19D]/50 text-[#4DD19D] hover:bg-[#4DD19D]/10 transition-colors"
+                            >
+                              View Campaign
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <button 
+                          onClick={handlePublish}
+                          disabled={isPublishing}
+                          className="w-full text-black px-6 2xl:px-8 py-3.5 2xl:py-4 rounded-xl text-base 2xl:text-lg font-semibold transition-all shadow-lg flex items-center justify-center disabled:opacity-50"
+                          style={{ backgroundColor: 'rgba(77, 209, 157, 1)' }}
+                          onMouseEnter={(e) => e.currentTarget.style.backgroundColor = 'rgba(77, 209, 157, 0.8)'}
+                          onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'rgba(77, 209, 157, 1)'}
+                        >
+                          {isPublishing ? "Publishing to Meta..." : "Publish (paused for review)"}
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -41,6 +41,7 @@ import {
   Cell,
 } from "recharts";
 import DateRangeSelector from "../components/DateRangeSelector";
+import MetaConnectionBanner from "../components/MetaConnectionBanner";
 import { PulseLoader } from "react-spinners";
 
 /**
@@ -49,8 +50,9 @@ import { PulseLoader } from "react-spinners";
  * @param {string} title - Metric name (e.g., "Revenue", "Orders")
  * @param {string|number} value - Metric value (e.g., "₹125,000", "45")
  * @param {string} formula - Optional tooltip showing how metric is calculated
+ * @param {object} comparison - Optional { previousValue, percentChange, favorable } from compareTo
  */
-const Card = ({ title, value, formula, decision, decisionColor, subtitle }) => (
+const Card = ({ title, value, formula, decision, decisionColor, subtitle, comparison }) => (
   <div className="group relative bg-[#161616] p-3 lg:p-4 rounded-xl tooltip-wrapper overflow-hidden">
     {formula && (
       <div className="bottom-full left-1/2 mb-2 w-max tooltip-box bg-gray-800 text-white text-xs rounded-md py-1 px-3 border border-gray-600 shadow-lg absolute transform -translate-x-1/2 z-10">
@@ -70,8 +72,68 @@ const Card = ({ title, value, formula, decision, decisionColor, subtitle }) => (
         {value != null ? value : "—"}
       </div>
     )}
+    {comparison && <ComparisonBadge comparison={comparison} />}
   </div>
 );
+
+/**
+ * ComparisonBadge - ▲/▼ change vs the comparison period
+ * Green when the change is good for the business (e.g. revenue up, COGS down)
+ */
+const ComparisonBadge = ({ comparison }) => {
+  const { percentChange, delta, favorable, previousValue } = comparison;
+  const color = favorable == null ? "text-gray-400" : favorable ? "text-[#12EB8E]" : "text-red-400";
+  const arrow = delta > 0 ? "▲" : delta < 0 ? "▼" : "•";
+  const label = percentChange != null ? `${Math.abs(percentChange).toFixed(1)}%` : "new";
+
+  return (
+    <div className={`text-xs mt-1 ${color}`} title={previousValue != null ? `Previous: ${previousValue}` : undefined}>
+      {arrow} {label}
+      {previousValue != null && <span className="text-gray-500"> vs {previousValue}</span>}
+    </div>
+  );
+};
+
+/**
+ * SeriesComparison - Period totals of chart series vs the comparison period
+ *
+ * @param {object} series - { key: { current, previous, delta, percentChange } }
+ * @param {Array} items - [{ key, label, lowerIsBetter?, count? }] (count = plain number, no ₹)
+ */
+const SeriesComparison = ({ series, items }) => {
+  if (!series) return null;
+
+  return (
+    <div className="flex flex-wrap gap-3 mb-4">
+      {items.filter(({ key }) => series[key]).map(({ key, label, lowerIsBetter, count }) => {
+        const { current, previous, delta, percentChange } = series[key];
+        const format = (value) => `${count ? "" : "₹"}${Math.round(value).toLocaleString("en-IN")}`;
+        return (
+          <div key={key} className="bg-[#0D1D1E] rounded-lg px-3 py-2 text-xs border border-gray-800">
+            <div className="text-gray-400">{label}</div>
+            <div className="text-white font-medium">
+              {format(current)}
+              <span className="text-gray-500"> vs {format(previous)}</span>
+            </div>
+            <ComparisonBadge
+              comparison={{
+                delta,
+                percentChange,
+                favorable: delta === 0 ? null : lowerIsBetter ? delta < 0 : delta > 0
+              }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const COMPARE_LABELS = {
+  previous_period: "previous period",
+  previous_year: "previous year",
+  custom: "custom range"
+};
 const CustomTooltip = ({ active, payload, label }) => {
   if (active && payload && payload.length) {
     return (
@@ -168,6 +230,7 @@ const Dashboard = () => {
     startDate.setDate(endDate.getDate() - 29);
     return { startDate, endDate };
   });
+  const [compare, setCompare] = useState(null); // { compareTo, compareStartDate?, compareEndDate? }
   const [showDateSelector, setShowDateSelector] = useState(false);
   const [productView, setProductView] = useState("best");
   const [activeIndex, setActiveIndex] = useState(null);
@@ -192,7 +255,8 @@ const Dashboard = () => {
           params: {
             startDate: startDateString,
             endDate: endDateString,
-            userId: userId
+            userId: userId,
+            ...(compare || {})
           },
         });
 
@@ -225,7 +289,7 @@ const Dashboard = () => {
     };
 
     fetchDashboardData();
-  }, [dateRange]);
+  }, [dateRange, compare]);
 
   // Fetch Shiprocket data separately
   useEffect(() => {
@@ -512,6 +576,7 @@ const Dashboard = () => {
       startDate: new Date(range.startDate),
       endDate: new Date(range.endDate)
     });
+    setCompare(range.compare || null);
     setShowDateSelector(false);
   };
 
@@ -631,15 +696,18 @@ const Dashboard = () => {
             className="px-2 py-1 rounded-md text-xs lg:text-sm border bg-[#161616] border-gray-700"
           >
             {`${dateRange.startDate.toLocaleDateString()} - ${dateRange.endDate.toLocaleDateString()}`}
+            {compare && ` · vs ${COMPARE_LABELS[compare.compareTo]}`}
           </button>
           {showDateSelector && (
             <div className="absolute top-full mt-2 right-0 z-50 bg-[#161616] rounded-lg shadow-lg border border-gray-700">
-              <DateRangeSelector onApply={handleApply} initialRange={dateRange} />
+              <DateRangeSelector onApply={handleApply} initialRange={dateRange} initialCompare={compare} />
             </div>
           )}
         </div>
       </div>
 
+      <MetaConnectionBanner />
+
       {/* Merged Dashboard Sections */}      {mergedDashboardData.map((section, idx) => (
         <div key={idx}>
           <h2 className="text-xl lg:text-2xl font-bold pt-4 lg:pt-6 mb-4 lg:mb-7">
@@ -655,6 +723,7 @@ const Dashboard = () => {
                 decision={card?.decision}
                 decisionColor={card?.decisionColor}
                 subtitle={card?.subtitle}
+                comparison={card?.comparison}
               />
             ))}
           </div>
@@ -701,6 +770,70 @@ const Dashboard = () => {
         </div>
       ))}
 
+      {/* Period comparison - cards and chart totals not shown in the sections above */}
+      {dashboardData?.comparison && (
+        <div className="bg-[#161616] rounded-2xl p-6 border border-gray-800 space-y-6">
+          <div>
+            <h3 className="text-2xl font-bold text-white mb-1">
+              Compared with {COMPARE_LABELS[dashboardData.comparison.compareTo] || "previous period"}
+            </h3>
+            <p className="text-sm text-gray-400">
+              {dashboardData.comparison.startDate} to {dashboardData.comparison.endDate}
+            </p>
+          </div>
+
+          {[
+            { section: "Website", cards: websiteOverview },
+            { section: "Marketing", cards: marketingCards },
+            { section: "Shipping", cards: shippingCards }
+          ].filter(({ cards }) => cards.length > 0).map(({ section, cards }) => (
+            <div key={section}>
+              <h4 className="text-lg font-semibold mb-3">{section}</h4>
+              <div className="grid grid-cols-2 lg:grid-cols-5 gap-3 lg:gap-4 w-full">
+                {cards.map((card, cardIdx) => (
+                  <Card
+                    key={cardIdx}
+                    title={card?.title || 'N/A'}
+                    value={card?.value}
+                    formula={card?.formula}
+                    subtitle={card?.subtitle}
+                    comparison={card?.comparison}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <h4 className="text-lg font-semibold mb-3">Marketing Trend</h4>
+            <SeriesComparison
+              series={dashboardData.comparison.charts?.marketing?.series}
+              items={[
+                { key: "spend", label: "Spend", lowerIsBetter: true },
+                { key: "reach", label: "Reach", count: true },
+                { key: "linkClicks", label: "Link Clicks", count: true }
+              ]}
+            />
+          </div>
+
+          <div>
+            <h4 className="text-lg font-semibold mb-3">Customers & Order Types</h4>
+            <SeriesComparison
+              series={{
+                ...dashboardData.comparison.charts?.customerTypeByDay?.series,
+                ...dashboardData.comparison.charts?.orderType?.series
+              }}
+              items={[
+                { key: "newCustomers", label: "New Customers", count: true },
+                { key: "returningCustomers", label: "Returning Customers", count: true },
+                { key: "Prepaid", label: "Prepaid Orders", count: true },
+                { key: "COD", label: "COD Orders", count: true }
+              ]}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Daily Profit Status */}
       <div className="bg-gradient-to-br from-[#1a1a1a] to-[#0a0a0a] rounded-2xl p-8 shadow-2xl border border-gray-800">
         <div className="flex items-center justify-between mb-6">
@@ -714,6 +847,16 @@ const Dashboard = () => {
           </div>
         </div>
 
+        <SeriesComparison
+          series={dashboardData?.comparison?.charts?.performance?.series}
+          items={[
+            { key: "revenue", label: "Revenue" },
+            { key: "totalCosts", label: "Total Costs", lowerIsBetter: true },
+            { key: "netProfit", label: "Net Profit" },
+            { key: "orders", label: "Orders", count: true }
+          ]}
+        />
+
         <div className="h-96 w-full bg-[#0D1D1E] rounded-xl p-4 shadow-inner">
           <ResponsiveContainer width="100%" height="100%">
             <BarChart
@@ -959,6 +1102,17 @@ const Dashboard = () => {
                   <p className="text-sm text-gray-400">
                     Revenue distribution across expenses and profit
                   </p>
+                  <div className="mt-4">
+                    <SeriesComparison
+                      series={dashboardData?.comparison?.charts?.financialsBreakdown?.series}
+                      items={[
+                        { key: "cogs", label: "COGS", lowerIsBetter: true },
+                        { key: "adSpend", label: "Ad Spend", lowerIsBetter: true },
+                        { key: "shippingCost", label: "Shipping", lowerIsBetter: true },
+                        { key: "businessExpenses", label: "Business Expenses", lowerIsBetter: true }
+                      ]}
+                    />
+                  </div>
                 </div>
               </div>
 
@@ -12,22 +12,39 @@ import {
   CartesianGrid,
   Cell,
 } from "recharts";
-import { subDays } from "date-fns";
+import { subDays, format } from "date-fns";
 import { PulseLoader } from "react-spinners";
 import axiosInstance from "../../axios";
 import { toast } from "react-toastify";
 import DateRangeSelector from "../components/DateRangeSelector";
-const toISTDateString = (date) => {
-  const istOffset = 330 * 60 * 1000; // 5.5 hours in milliseconds
-  const istDate = new Date(date.getTime() + istOffset);
-  return istDate.toISOString().split("T")[0];
-}; 
+
+const LEVELS = [
+  { key: "campaigns", label: "Campaigns" },
+  { key: "adsets", label: "Ad sets" },
+  { key: "ads", label: "Ads" },
+];
+
+// Click-through windows for first-party (order UTM) attribution
+const ATTRIBUTION_WINDOWS = [1, 7, 28];
+
+const formatCurrency = (value) =>
+  value === null || value === undefined
+    ? "N/A"
+    : `₹${value.toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+
+const formatRatio = (value) =>
+  value === null || value === undefined ? "N/A" : `${value.toFixed(2)}x`;
+
 const Marketing = () => {
   const [adsSummaryData, setAdsSummaryData] = useState([]);
   const [metaCampaignMetrics, setMetaCampaignMetrics] = useState({});
   const [spendData, setSpendData] = useState([]);
   const [metaAdsData, setMetaAdsData] = useState([]);
-  const [detailedAnalysisData, setDetailedAnalysisData] = useState([]);
+  const [levelData, setLevelData] = useState({ campaigns: [], adsets: [], ads: [] });
+  const [level, setLevel] = useState("campaigns");
+  const [accounts, setAccounts] = useState([]);
+  const [attribution, setAttribution] = useState(null);
+  const [attributionWindow, setAttributionWindow] = useState(7);
 
   const [campaignFilter, setCampaignFilter] = useState("Best");
   const [selectedCampaign, setSelectedCampaign] = useState("Campaign 1");
@@ -45,8 +62,9 @@ const Marketing = () => {
         setLoading(true);
         const res = await axiosInstance.get("/data/marketingData", {
           params: {
-            startDate: toISTDateString(dateRange.startDate),
-            endDate: toISTDateString(dateRange.endDate),
+            startDate: format(dateRange.startDate, "yyyy-MM-dd"),
+            endDate: format(dateRange.endDate, "yyyy-MM-dd"),
+            attributionWindow,
           },
         });
         const {
@@ -54,16 +72,25 @@ const Marketing = () => {
           campaignMetrics,
           spendChartData,
           adsChartData,
-          analysisTable,
+          campaigns,
+          adsets,
+          ads,
+          accounts: adAccounts,
+          attribution: attributionData,
         } = res.data;
-        toast.success("Data fetched successfully!");
 
         // Fallback to empty objects/arrays if data is missing
         setAdsSummaryData(summary || []);
         setMetaCampaignMetrics(campaignMetrics || {});
         setSpendData(spendChartData || []);
         setMetaAdsData(adsChartData || []);
-        setDetailedAnalysisData(analysisTable || []);
+        setLevelData({
+          campaigns: campaigns || [],
+          adsets: adsets || [],
+          ads: ads || [],
+        });
+        setAccounts(adAccounts || []);
+        setAttribution(attributionData || null);
         setSelectedCampaign(
           Object.keys(campaignMetrics || {})[0] || "Campaign 1"
         );
@@ -75,7 +102,9 @@ const Marketing = () => {
       }
     };
     fetchData();
-  }, [dateRange]);
+  }, [dateRange, attributionWindow]);
+
+  const accountsSpend = accounts.reduce((sum, account) => sum + account.spend, 0);
 
   const sortedMetaAdsData = [...metaAdsData].sort((a, b) => {
     return campaignFilter === "Best" ? b.value - a.value : a.value - b.value;
@@ -111,6 +140,18 @@ const Marketing = () => {
           </p>
         </div>
         <div className="flex items-center gap-4 relative">
+          <select
+            value={attributionWindow}
+            onChange={(e) => setAttributionWindow(Number(e.target.value))}
+            title="Days between a Meta ad click and an order for first-party attribution"
+            className="px-3 py-1 rounded-md text-sm border bg-[#161616] border-gray-700"
+          >
+            {ATTRIBUTION_WINDOWS.map((days) => (
+              <option key={days} value={days}>
+                {days}-day click
+              </option>
+            ))}
+          </select>
           <button
             onClick={() => setShowDateSelector(!showDateSelector)}
             className="px-3 py-1 rounded-md text-sm border bg-[#161616] border-gray-700"
@@ -138,6 +179,95 @@ const Marketing = () => {
         ))}
       </div>
 
+      {/* Revenue by channel (first-party attribution from order UTMs / referrers) */}
+      {attribution?.channels?.length > 0 && (
+        <div className="bg-[#161616] rounded-xl p-4 z-1">
+          <div className="flex flex-wrap justify-between items-baseline gap-2 mb-3">
+            <h3 className="text-xl font-medium">Revenue by Channel</h3>
+            <p className="text-xs text-gray-400">
+              {attribution.windowDays}-day click window
+              {attribution.unmatched.orders > 0 &&
+                ` · ${attribution.unmatched.orders} Meta orders not matched to a campaign`}
+              {attribution.outsideWindow.orders > 0 &&
+                ` · ${attribution.outsideWindow.orders} outside the window`}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-3">
+            {attribution.channels.map((c) => (
+              <div
+                key={c.channel}
+                className="bg-[#0D1D1E] rounded-lg px-3 py-2 text-sm border border-gray-800"
+              >
+                <div className="text-gray-400">{c.label}</div>
+                <div className="font-medium">{formatCurrency(c.revenue)}</div>
+                <div className="text-xs text-gray-500">
+                  {c.orders.toLocaleString("en-IN")} orders · {c.revenueShare}%
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Per ad account totals (only when several accounts are selected) */}
+      {accounts.length > 1 && (
+        <div className="bg-[#161616] rounded-xl p-4 z-1">
+          <h3 className="text-xl font-medium mb-2">Ad Accounts</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-md">
+              <thead className="text-white">
+                <tr>
+                  <th className="text-left p-2">Account</th>
+                  <th className="text-right p-2">Spend</th>
+                  <th className="text-right p-2">Share</th>
+                  <th className="text-right p-2">Impressions</th>
+                  <th className="text-right p-2">CTR</th>
+                  <th className="text-right p-2">Purchases</th>
+                  <th className="text-right p-2">ROAS</th>
+                  <th className="text-right p-2">POAS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.map((account) => (
+                  <tr key={account.adAccountId} className="border-t border-gray-700">
+                    <td className="p-2">
+                      <div>{account.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {account.adAccountId}
+                        {account.accountCurrency && ` · billed in ${account.accountCurrency}`}
+                      </div>
+                    </td>
+                    <td className="p-2 text-right">{formatCurrency(account.spend)}</td>
+                    <td className="p-2 text-right">
+                      {accountsSpend > 0 ? `${((account.spend / accountsSpend) * 100).toFixed(1)}%` : "N/A"}
+                    </td>
+                    <td className="p-2 text-right">
+                      {account.impressions.toLocaleString("en-IN")}
+                    </td>
+                    <td className="p-2 text-right">{account.ctr.toFixed(2)}%</td>
+                    <td className="p-2 text-right">
+                      {account.purchases.toLocaleString("en-IN")}
+                    </td>
+                    <td className="p-2 text-right">{formatRatio(account.roas)}</td>
+                    <td
+                      className={`p-2 text-right ${
+                        account.poas == null
+                          ? ""
+                          : account.poas >= 1
+                          ? "text-green-400"
+                          : "text-red-400"
+                      }`}
+                    >
+                      {formatRatio(account.poas)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Campaign Breakdown Button */}
       <button className="border border-gray-500 rounded px-4 py-1 text-xl z-1">
         Campaign Breakdown
@@ -202,60 +332,134 @@ const Marketing = () => {
         </ResponsiveContainer>
       </div>
 
-      {/* Detailed Analysis Table */}
+      {/* Campaign / Ad set / Ad Breakdown */}
       <div className="bg-[#161616] rounded-xl p-4 z-1">
-        <h3 className="text-xl font-medium mb-2">Detailed Analysis</h3>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-xl font-medium">Detailed Analysis</h3>
+          <div className="flex gap-2">
+            {LEVELS.map((l) => (
+              <button
+                key={l.key}
+                onClick={() => setLevel(l.key)}
+                className={`px-3 py-1 rounded-md text-sm border ${
+                  level === l.key
+                    ? "border-[#12EB8E] text-[#12EB8E]"
+                    : "border-gray-700 text-white"
+                }`}
+              >
+                {l.label} ({levelData[l.key].length})
+              </button>
+            ))}
+          </div>
+        </div>
 
         {/* container scrolls in both X and Y if needed, capped at 80 (20rem) high */}
         <div className="overflow-auto max-h-80">
-          <table className="min-w-full text-md">
-            <thead className="text-white sticky top-0 bg-[#161616]">
-              <tr>
-                <th className="text-left p-2">Campaign</th>
-                <th className="text-left p-2">Spend</th>
-                <th className="text-left p-2">CPP</th>
-                <th className="text-left p-2">ROAS</th>
-                <th className="text-left p-2">Sales</th>
-                <th className="text-left p-2">Performing Well</th>
-              </tr>
-            </thead>
-            <tbody>
-              {Object.keys(metaCampaignMetrics).map((campaign, idx) => (
-                <tr key={idx} className="border-t border-gray-700">
-                  <td className="p-2">{campaign}</td>
-                  <td className="p-2">
-                    {metaCampaignMetrics[
-                      campaign
-                    ]?.amountSpent?.toLocaleString() || "N/A"}
-                  </td>
-                  <td className="p-2">
-                    {metaCampaignMetrics[campaign]?.costPerClick || "N/A"}
-                  </td>
-                  <td className="p-2">
-                    {metaCampaignMetrics[campaign]?.roas || "N/A"}
-                  </td>
-                  <td className="p-2">
-                    {metaCampaignMetrics[campaign]?.sales?.toLocaleString()}
-                  </td>
-                  <td
-                    className={`p-2 ${
-                      metaCampaignMetrics[campaign]?.roas >= 5
-                        ? "text-green-400"
-                        : metaCampaignMetrics[campaign]?.roas >= 3
-                        ? "text-yellow-400"
-                        : "text-red-400"
-                    }`}
-                  >
-                    {metaCampaignMetrics[campaign]?.roas >= 5
-                      ? "Performing Well"
-                      : metaCampaignMetrics[campaign]?.roas >= 3
-                      ? "Average"
-                      : "Poor"}
-                  </td>
+          {levelData[level].length === 0 ? (
+            <p className="text-gray-400 p-2">
+              No {LEVELS.find((l) => l.key === level).label.toLowerCase()} data
+              synced for this range yet.
+            </p>
+          ) : (
+            <table className="min-w-full text-md">
+              <thead className="text-white sticky top-0 bg-[#161616]">
+                <tr>
+                  <th className="text-left p-2">Name</th>
+                  <th className="text-right p-2">Spend</th>
+                  <th className="text-right p-2">Impressions</th>
+                  <th className="text-right p-2">CTR</th>
+                  <th className="text-right p-2">CPC</th>
+                  <th className="text-right p-2">Purchases</th>
+                  <th className="text-right p-2">CPP</th>
+                  <th className="text-right p-2">ROAS</th>
+                  <th className="text-right p-2">POAS</th>
+                  <th className="text-right p-2" title="From Shopify orders with this entity's UTMs">
+                    1P Orders
+                  </th>
+                  <th className="text-right p-2">1P ROAS</th>
+                  <th className="text-right p-2">1P POAS</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
+              </thead>
+              <tbody>
+                {levelData[level].map((row) => (
+                  <tr key={row.id} className="border-t border-gray-700">
+                    <td className="p-2">
+                      <div>
+                        {row.name}
+                        {row.status && (
+                          <span
+                            className={`ml-2 text-xs ${
+                              row.status === "ACTIVE"
+                                ? "text-[#12EB8E]"
+                                : "text-gray-500"
+                            }`}
+                          >
+                            {row.status.toLowerCase().replace(/_/g, " ")}
+                          </span>
+                        )}
+                      </div>
+                      {row.campaignName && (
+                        <div className="text-xs text-gray-500">
+                          {[row.campaignName, row.adsetName]
+                            .filter(Boolean)
+                            .join(" › ")}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-2 text-right">{formatCurrency(row.spend)}</td>
+                    <td className="p-2 text-right">
+                      {row.impressions.toLocaleString("en-IN")}
+                    </td>
+                    <td className="p-2 text-right">{row.ctr.toFixed(2)}%</td>
+                    <td className="p-2 text-right">{formatCurrency(row.cpc)}</td>
+                    <td className="p-2 text-right">
+                      {row.purchases.toLocaleString("en-IN")}
+                    </td>
+                    <td className="p-2 text-right">
+                      {formatCurrency(row.costPerPurchase)}
+                    </td>
+                    <td
+                      className={`p-2 text-right ${
+                        row.roas >= 5
+                          ? "text-green-400"
+                          : row.roas >= 3
+                          ? "text-yellow-400"
+                          : "text-red-400"
+                      }`}
+                    >
+                      {formatRatio(row.roas)}
+                    </td>
+                    <td
+                      className={`p-2 text-right ${
+                        row.poas === null
+                          ? ""
+                          : row.poas >= 1
+                          ? "text-green-400"
+                          : "text-red-400"
+                      }`}
+                    >
+                      {formatRatio(row.poas)}
+                    </td>
+                    <td className="p-2 text-right">
+                      {(row.firstPartyOrders || 0).toLocaleString("en-IN")}
+                    </td>
+                    <td className="p-2 text-right">{formatRatio(row.firstPartyRoas)}</td>
+                    <td
+                      className={`p-2 text-right ${
+                        row.firstPartyPoas == null
+                          ? ""
+                          : row.firstPartyPoas >= 1
+                          ? "text-green-400"
+                          : "text-red-400"
+                      }`}
+                    >
+                      {formatRatio(row.firstPartyPoas)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
         </div>
       </div>
 
@@ -366,6 +570,20 @@ const Marketing = () => {
             {metrics.roas || "N/A"}
           </h4>
         </div>
+        <div className="bg-[#161616] rounded-xl p-6">
+          <p className="text-white">POAS</p>
+          <h4
+            className={`text-lg font-semibold ${
+              metrics.poas == null
+                ? ""
+                : metrics.poas < 1
+                ? "text-red-400"
+                : "text-green-400"
+            }`}
+          >
+            {metrics.poas ?? "N/A"}
+          </h4>
+        </div>
       </div>
     </div>
   );
@@ -1,163 +1,106 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { subDays, format } from "date-fns";
+import { PulseLoader } from "react-spinners";
+import { toast } from "react-toastify";
+import axiosInstance from "../../axios";
+import DateRangeSelector from "../components/DateRangeSelector";
+
+const STATUS_TABS = ["Active", "Paused", "All"];
+
+const COLUMNS = [
+  { key: "name", label: "Campaign" },
+  { key: "spend", label: "Amount Spend" },
+  { key: "roas", label: "ROAS" },
+  { key: "orders", label: "Orders" },
+  { key: "poas", label: "POAS" },
+  { key: "netProfit", label: "Net Profit" },
+];
+
+const formatCurrency = (value) =>
+  value === null || value === undefined
+    ? "N/A"
+    : `₹${value.toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+
+const formatRatio = (value) =>
+  value === null || value === undefined ? "N/A" : `${value.toFixed(2)}x`;
+
+// Profit-adjusted values live under campaign.profit
+const sortValue = (campaign, key) => {
+  if (key === "name") return (campaign.name || "").toLowerCase();
+  if (key === "orders" || key === "poas" || key === "netProfit") return campaign.profit?.[key] ?? -Infinity;
+  return campaign[key] ?? -Infinity;
+};
 
 const MetaAds = () => {
   const [activeTab, setActiveTab] = useState("Active");
-  const [isLoading, setIsLoading] = useState(false);
-  const [loadingProgress, setLoadingProgress] = useState(0);
-  const [currentMessage, setCurrentMessage] = useState("");
+  const [campaigns, setCampaigns] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sort, setSort] = useState({ key: "spend", direction: "desc" });
+  const [dateRange, setDateRange] = useState({
+    startDate: subDays(new Date(), 29),
+    endDate: new Date(),
+  });
+  const [showDateSelector, setShowDateSelector] = useState(false);
   const navigate = useNavigate();
 
-  const loadingMessages = [
-    "Analyzing campaign data...",
-    "Fetching ad performance...",
-    "Loading audience insights...",
-    "Calculating metrics...",
-    "Preparing creatives...",
-    "Optimizing results...",
-    "Finalizing data..."
-  ];
-
-  const handleCampaignClick = (campaignId) => {
-    setIsLoading(true);
-    setLoadingProgress(0);
-    
-    // Progress animation
-    let progress = 0;
-    const progressInterval = setInterval(() => {
-      progress += 0.5;
-      setLoadingProgress(progress);
-      if (progress >= 100) {
-        clearInterval(progressInterval);
+  useEffect(() => {
+    const fetchCampaigns = async () => {
+      try {
+        setLoading(true);
+        const res = await axiosInstance.get("/meta/campaigns", {
+          params: {
+            startDate: format(dateRange.startDate, "yyyy-MM-dd"),
+            endDate: format(dateRange.endDate, "yyyy-MM-dd"),
+          },
+        });
+        setCampaigns(res.data.campaigns || []);
+        setTotals(res.data.totals || null);
+      } catch (err) {
+        console.error("Error fetching campaigns:", err);
+        toast.error(err.response?.data?.message || "Error fetching campaigns. Please try again later.");
+        setCampaigns([]);
+        setTotals(null);
+      } finally {
+        setLoading(false);
       }
-    }, 100);
+    };
+    fetchCampaigns();
+  }, [dateRange]);
 
-    // Message rotation every 1 second
-    let messageIndex = 0;
-    const messageInterval = setInterval(() => {
-      setCurrentMessage(loadingMessages[messageIndex]);
-      messageIndex = (messageIndex + 1) % loadingMessages.length;
-    }, 1000);
+  const handleApply = (range) => {
+    setDateRange(range);
+    setShowDateSelector(false);
+  };
 
-    // Navigate after 20 seconds
-    setTimeout(() => {
-      clearInterval(progressInterval);
-      clearInterval(messageInterval);
-      setIsLoading(false);
-      navigate(`/dashboard/meta-ads/campaign/${campaignId}`);
-    }, 20000);
+  const handleSort = (key) => {
+    setSort((current) => ({
+      key,
+      direction: current.key === key && current.direction === "desc" ? "asc" : "desc",
+    }));
   };
-  
-  const campaigns = [
-    { name: "ABCD Campaign", spend: 16.00, roas: 16.00, rto: 16500 },
-    { name: "DEFG Campaign", spend: 16.00, roas: 16.00, rto: 16500 },
-    { name: "HIJKL Campaign", spend: 16.00, roas: 16.00, rto: 16500 },
-    { name: "MNROP Campaign", spend: 16.00, roas: 16.00, rto: 16500 },
-    { name: "STUV Campaign", spend: 16.00, roas: 16.00, rto: 16500 },
-  ];
+
+  const handleCampaignClick = (campaignId) => {
+    navigate(
+      `/dashboard/meta-ads/campaign/${campaignId}?startDate=${format(dateRange.startDate, "yyyy-MM-dd")}&endDate=${format(dateRange.endDate, "yyyy-MM-dd")}`
+    );
+  };
+
+  const visibleCampaigns = campaigns
+    .filter((campaign) => {
+      if (activeTab === "All") return true;
+      return activeTab === "Active" ? campaign.status === "ACTIVE" : campaign.status !== "ACTIVE";
+    })
+    .sort((a, b) => {
+      const left = sortValue(a, sort.key);
+      const right = sortValue(b, sort.key);
+      const order = left < right ? -1 : left > right ? 1 : 0;
+      return sort.direction === "asc" ? order : -order;
+    });
 
   return (
     <div className="h-screen text-white overflow-hidden flex flex-col relative">
-      {/* Loading Overlay */}
-      {isLoading && (
-        <div className="absolute inset-0 z-50 flex items-center justify-center">
-          <div className="text-center">
-            <div className="relative w-32 h-32 mx-auto mb-6">
-            <svg className="w-32 h-32" viewBox="0 0 120 120">
-              {/* Outer ring - Dark green */}
-              <circle
-                cx="60"
-                cy="60"
-                r="50"
-                stroke="#0d4d3a"
-                strokeWidth="8"
-                fill="none"
-                strokeDasharray="50 250"
-                strokeLinecap="butt"
-                transform="rotate(0 60 60)"
-              >
-                <animateTransform
-                  attributeName="transform"
-                  type="rotate"
-                  from="0 60 60"
-                  to="360 60 60"
-                  dur="2s"
-                  repeatCount="indefinite"
-                />
-              </circle>
-              {/* Middle ring - Medium green */}
-              <circle
-                cx="60"
-                cy="60"
-                r="40"
-                stroke="#10b981"
-                strokeWidth="8"
-                fill="none"
-                strokeDasharray="40 200"
-                strokeLinecap="butt"
-                transform="rotate(0 60 60)"
-              >
-                <animateTransform
-                  attributeName="transform"
-                  type="rotate"
-                  from="360 60 60"
-                  to="0 60 60"
-                  dur="1.5s"
-                  repeatCount="indefinite"
-                />
-              </circle>
-              {/* Inner ring - Light green */}
-              <circle
-                cx="60"
-                cy="60"
-                r="30"
-                stroke="#34d399"
-                strokeWidth="8"
-                fill="none"
-                strokeDasharray="30 150"
-                strokeLinecap="butt"
-                transform="rotate(0 60 60)"
-              >
-                <animateTransform
-                  attributeName="transform"
-                  type="rotate"
-                  from="0 60 60"
-                  to="360 60 60"
-                  dur="1.2s"
-                  repeatCount="indefinite"
-                />
-              </circle>
-              {/* Center ring - Lightest green */}
-              <circle
-                cx="60"
-                cy="60"
-                r="20"
-                stroke="#6ee7b7"
-                strokeWidth="8"
-                fill="none"
-                strokeDasharray="20 100"
-                strokeLinecap="butt"
-                transform="rotate(0 60 60)"
-              >
-                <animateTransform
-                  attributeName="transform"
-                  type="rotate"
-                  from="360 60 60"
-                  to="0 60 60"
-                  dur="1s"
-                  repeatCount="indefinite"
-                />
-              </circle>
-            </svg>
-            </div>
-            
-            {/* Loading Message */}
-            <div className="h-6">
-              <p className="text-gray-400 text-sm animate-pulse">{currentMessage}</p>
-            </div>
-          </div>
-        </div>
-      )}
       {/* Header Section */}
       <div className="py-8 px-6">
         <div className="max-w-7xl mx-auto">
@@ -201,53 +144,112 @@ const MetaAds = () => {
       </div>
 
       {/* Content Section */}
-      <div className="flex-1 max-w-7xl mx-auto p-6 w-full">
+      <div className="flex-1 max-w-7xl mx-auto p-6 w-full min-h-0">
         {/* Campaigns Table */}
         <div className="bg-gradient-to-br from-black via-[#0a1a1a] to-[#0d2d2d] rounded-2xl p-6 h-full flex flex-col border border-gray-800 shadow-2xl">
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-2xl font-bold text-white">All Campaigns</h2>
-            <button className="bg-black hover:bg-[#1a1a1a] text-white px-6 py-2 rounded-lg font-medium transition-colors border border-gray-800">
-              {activeTab}
-            </button>
+            <div className="flex items-center gap-3 relative">
+              <button
+                onClick={() => setShowDateSelector(!showDateSelector)}
+                className="bg-black hover:bg-[#1a1a1a] text-white px-4 py-2 rounded-lg text-sm transition-colors border border-gray-800"
+              >
+                {`${dateRange.startDate.toLocaleDateString()} - ${dateRange.endDate.toLocaleDateString()}`}
+              </button>
+              {showDateSelector && (
+                <div className="absolute top-full mt-2 z-50 right-0 bg-[#161616] rounded-lg shadow-lg border border-gray-700">
+                  <DateRangeSelector onApply={handleApply} />
+                </div>
+              )}
+              <div className="flex bg-black rounded-lg border border-gray-800 overflow-hidden">
+                {STATUS_TABS.map((tab) => (
+                  <button
+                    key={tab}
+                    onClick={() => setActiveTab(tab)}
+                    className={`px-4 py-2 text-sm font-medium transition-colors ${
+                      activeTab === tab ? "bg-[#1a1a1a] text-white" : "text-gray-400 hover:text-white"
+                    }`}
+                  >
+                    {tab}
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
 
+          {/* Totals */}
+          {totals && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              {[
+                { label: "Amount Spent", value: formatCurrency(totals.spend) },
+                { label: "Attributed Revenue", value: formatCurrency(totals.profit?.revenue) },
+                { label: "POAS", value: formatRatio(totals.profit?.poas) },
+                { label: "Net Profit", value: formatCurrency(totals.profit?.netProfit) },
+              ].map((card) => (
+                <div key={card.label} className="bg-black/60 rounded-lg p-4 border border-gray-800">
+                  <p className="text-gray-400 text-sm mb-1">{card.label}</p>
+                  <p className="text-xl font-bold text-white">{card.value}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Table */}
-          <div className="flex-1 overflow-hidden">
-            <table className="w-full">
-              <thead>
-                <tr className="border-b border-black bg-black">
-                  <th className="text-left py-4 px-4 text-gray-300 font-normal text-base">
-                    Campaign ⇅
-                  </th>
-                  <th className="text-left py-4 px-4 text-gray-300 font-normal text-base">
-                    Amount Spend ⇅
-                  </th>
-                  <th className="text-left py-4 px-4 text-gray-300 font-normal text-base">
-                    ROAS ⇅
-                  </th>
-                  <th className="text-left py-4 px-4 text-gray-300 font-normal text-base">
-                    RTO ⇅
-                  </th>
-                </tr>
-              </thead>
-              <tbody>
-                {campaigns.map((campaign, index) => {
-                  const campaignId = campaign.name.split(' ')[0].toLowerCase();
-                  return (
-                    <tr 
-                      key={index} 
-                      onClick={() => handleCampaignClick(campaignId)}
+          <div className="flex-1 overflow-y-auto">
+            {loading ? (
+              <div className="flex items-center justify-center h-full py-12">
+                <PulseLoader size={15} color="#12EB8E" />
+              </div>
+            ) : visibleCampaigns.length === 0 ? (
+              <div className="flex items-center justify-center h-full py-12 text-gray-400 text-sm text-center">
+                {campaigns.length === 0
+                  ? "No campaigns yet. Connect Meta in Settings and wait for the first sync."
+                  : `No ${activeTab.toLowerCase()} campaigns in this range.`}
+              </div>
+            ) : (
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-black bg-black">
+                    {COLUMNS.map((column) => (
+                      <th
+                        key={column.key}
+                        onClick={() => handleSort(column.key)}
+                        className="text-left py-4 px-4 text-gray-300 font-normal text-base cursor-pointer select-none"
+                      >
+                        {column.label} {sort.key === column.key ? (sort.direction === "asc" ? "↑" : "↓") : "⇅"}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleCampaigns.map((campaign) => (
+                    <tr
+                      key={campaign.id}
+                      onClick={() => handleCampaignClick(campaign.id)}
                       className="border-b border-gray-900 hover:bg-[#151515] transition-colors cursor-pointer"
                     >
-                      <td className="py-4 px-4 text-white font-normal">{campaign.name}</td>
-                      <td className="py-4 px-4 text-white font-normal">₹{campaign.spend.toFixed(2)}</td>
-                      <td className="py-4 px-4 text-white font-normal">₹{campaign.roas.toFixed(2)}</td>
-                      <td className="py-4 px-4 text-white font-normal">₹{campaign.rto.toLocaleString('en-IN')}</td>
+                      <td className="py-4 px-4 text-white font-normal">
+                        <div>{campaign.name}</div>
+                        <div className={`text-xs ${campaign.status === "ACTIVE" ? "text-green-400" : "text-gray-500"}`}>
+                          {(campaign.status || "UNKNOWN").replace(/_/g, " ").toLowerCase()}
+                        </div>
+                      </td>
+                      <td className="py-4 px-4 text-white font-normal">{formatCurrency(campaign.spend)}</td>
+                      <td className="py-4 px-4 text-white font-normal">{formatRatio(campaign.roas)}</td>
+                      <td className="py-4 px-4 text-white font-normal">{campaign.profit?.orders ?? 0}</td>
+                      <td className="py-4 px-4 text-white font-normal">{formatRatio(campaign.profit?.poas)}</td>
+                      <td
+                        className={`py-4 px-4 font-normal ${
+                          campaign.profit?.netProfit < 0 ? "text-red-400" : "text-white"
+                        }`}
+                      >
+                        {formatCurrency(campaign.profit?.netProfit)}
+                      </td>
                     </tr>
-                  );
-                })}
-              </tbody>
-            </table>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
         </div>
       </div>
@@ -9,7 +9,8 @@ import {
   FiPlay,
   FiFileText,
   FiX,
-  FiPause
+  FiPause,
+  FiAlertTriangle
 } from "react-icons/fi";
 import aiCalling from "../services/aiCalling";
 import axiosInstance from "../../axios";
@@ -36,9 +37,13 @@ const OrderConfirmation = () => {
     cancelled: 0,
     pending: 0,
     modified: 0,
+    flaggedForCall: 0,
     confirmationRate: 0,
     totalValue: "₹0"
   });
+  const [rtoModel, setRtoModel] = useState(null);
+  const [thresholdInput, setThresholdInput] = useState("");
+  const [isSavingThreshold, setIsSavingThreshold] = useState(false);
 
   // Fetch real Shopify orders on component mount
   useEffect(() => {
@@ -58,16 +63,10 @@ const OrderConfirmation = () => {
     try {
       setIsLoading(true);
       
-      // Get date range for last 30 days
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - 30);
-      
+      // No date params: the backend defaults to the last 30 days in the store's timezone
       console.log('🔍 Fetching order confirmation data...');
       const response = await axiosInstance.get('/order-confirmation/data', {
         params: {
-          startDate: startDate.toISOString().split('T')[0],
-          endDate: endDate.toISOString().split('T')[0],
           _t: Date.now() // Cache buster
         }
       });
@@ -85,6 +84,10 @@ const OrderConfirmation = () => {
       if (response.data?.data?.orders) {
         orders = response.data.data.orders;
         stats = response.data.data.stats;
+        if (response.data.data.rtoModel) {
+          setRtoModel(response.data.data.rtoModel);
+          setThresholdInput(String(response.data.data.rtoModel.callThreshold));
+        }
         console.log('✅ Found orders in response.data.data.orders');
       }
       // Structure 2: { orders: [...], stats: {...} }
@@ -147,6 +150,8 @@ const OrderConfirmation = () => {
             transcript: order.callNotes || "",
             callStatus: order.callStatus,
             lastCallDate: order.lastCallDate,
+            rtoRisk: order.rtoRisk,
+            needsCall: order.needsConfirmationCall,
             // Store original order data for reference
             originalOrder: order
           };
@@ -169,6 +174,7 @@ const OrderConfirmation = () => {
             cancelled: stats.cancelled || 0,
             pending: stats.pending || 0,
             modified: stats.modified || 0,
+            flaggedForCall: stats.flaggedForCall || 0,
             confirmationRate: stats.confirmationRate || 0,
             totalValue: `₹${parseFloat(stats.totalValue || 0).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`
           };
@@ -187,6 +193,7 @@ const OrderConfirmation = () => {
             cancelled,
             pending,
             modified: 0,
+            flaggedForCall: transformedOrders.filter(o => o.needsCall).length,
             confirmationRate: totalOrders > 0 ? ((confirmed / totalOrders) * 100).toFixed(1) : 0,
             totalValue: `₹${totalValue.toLocaleString('en-IN', { maximumFractionDigits: 0 })}`
           };
@@ -211,6 +218,7 @@ const OrderConfirmation = () => {
           cancelled: 0,
           pending: 0,
           modified: 0,
+          flaggedForCall: 0,
           confirmationRate: 0,
           totalValue: "₹0"
         });
@@ -227,6 +235,7 @@ const OrderConfirmation = () => {
         cancelled: 0,
         pending: 0,
         modified: 0,
+        flaggedForCall: 0,
         confirmationRate: 0,
         totalValue: "₹0"
       });
@@ -264,8 +273,32 @@ const OrderConfirmation = () => {
     }
   };
 
+  const getRiskColor = (level) => {
+    switch (level) {
+      case "high": return "bg-red-500 text-black";
+      case "medium": return "bg-yellow-500 text-black";
+      default: return "bg-green-500 text-black";
+    }
+  };
+
+  const handleSaveThreshold = async () => {
+    try {
+      setIsSavingThreshold(true);
+      await axiosInstance.put('/order-confirmation/rto-model/threshold', {
+        threshold: parseFloat(thresholdInput)
+      });
+      await fetchShopifyOrders();
+    } catch (error) {
+      console.error('❌ Error saving RTO threshold:', error);
+      alert(error.response?.data?.message || 'Failed to save RTO threshold');
+    } finally {
+      setIsSavingThreshold(false);
+    }
+  };
+
   const filteredOrders = orderCalls.filter(order => {
-    const matchesFilter = selectedFilter === "all" || order.status === selectedFilter;
+    const matchesFilter = selectedFilter === "all" ||
+      (selectedFilter === "rto" ? order.needsCall : order.status === selectedFilter);
     const matchesSearch = order.customerName?.toLowerCase().includes(searchQuery.toLowerCase()) ||
       order.orderId?.toLowerCase().includes(searchQuery.toLowerCase()) ||
       order.phone?.includes(searchQuery);
@@ -355,7 +388,7 @@ const OrderConfirmation = () => {
         </div>
 
         {/* Stats Cards */}
-        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-8">
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-8">
           <div className="bg-black rounded-lg p-4 flex items-center justify-between shadow-lg">
             <div>
               <div className="text-xs text-gray-400 mb-1">Total Orders</div>
@@ -401,8 +434,63 @@ const OrderConfirmation = () => {
               <FiCheckCircle className="w-5 h-5 text-black" />
             </div>
           </div>
+          <div className="bg-black rounded-lg p-4 flex items-center justify-between shadow-lg">
+            <div>
+              <div className="text-xs text-gray-400 mb-1">High RTO Risk</div>
+              <div className="text-2xl font-bold">{stats.flaggedForCall}</div>
+            </div>
+            <div className="w-10 h-10 rounded-full bg-red-500 flex items-center justify-center">
+              <FiAlertTriangle className="w-5 h-5 text-black" />
+            </div>
+          </div>
         </div>
 
+        {/* RTO Risk Model */}
+        {rtoModel && (
+          <div className="bg-black rounded-lg p-4 mb-8 flex flex-wrap items-center justify-between gap-4 shadow-lg">
+            <div className="text-xs text-gray-400">
+              {rtoModel.status === "ready" ? (
+                <>
+                  RTO risk model trained on{" "}
+                  <span className="text-white">{rtoModel.samples.toLocaleString('en-IN')}</span> delivered / RTO shipments
+                  {" · "}store RTO rate <span className="text-white">{rtoModel.baseRate}%</span>
+                  {rtoModel.auc != null && (
+                    <>
+                      {" · "}accuracy (AUC) <span className="text-white">{rtoModel.auc}</span>
+                    </>
+                  )}
+                </>
+              ) : rtoModel.status === "not_trained" ? (
+                <>RTO risk model not trained yet - it trains daily from your delivered / RTO shipments.</>
+              ) : (
+                <>
+                  RTO risk scores start once your shipping platform has at least {rtoModel.minSamples} delivered
+                  / RTO shipments ({rtoModel.samples} so far).
+                </>
+              )}
+            </div>
+            <div className="flex items-center gap-2 text-xs text-gray-400">
+              <span>Flag for confirmation call at ≥</span>
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={thresholdInput}
+                onChange={(e) => setThresholdInput(e.target.value)}
+                className="w-16 bg-[#161616] border border-gray-700 rounded-md px-2 py-1 text-white text-xs"
+              />
+              <span>% risk</span>
+              <button
+                onClick={handleSaveThreshold}
+                disabled={isSavingThreshold || String(rtoModel.callThreshold) === thresholdInput}
+                className="px-3 py-1 rounded-lg bg-emerald-500 text-black font-medium disabled:opacity-50"
+              >
+                {isSavingThreshold ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Orders Table */}
         <div className="bg-[#161616] rounded-lg overflow-hidden shadow-lg">
           {/* Filter Bar inside table */}
@@ -446,6 +534,21 @@ const OrderConfirmation = () => {
                   All
                 </button>
               )}
+              {!showSearch && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setSelectedFilter("rto");
+                  }}
+                  className={`px-4 py-1.5 rounded-lg text-sm font-medium transition-colors shadow-md ${
+                    selectedFilter === "rto" 
+                      ? "bg-black text-white" 
+                      : "text-gray-400 hover:text-white"
+                  }`}
+                >
+                  Needs Call ({stats.flaggedForCall})
+                </button>
+              )}
             </div>
           </div>
 
@@ -478,6 +581,9 @@ const OrderConfirmation = () => {
                   <th className="text-center py-3 px-3 text-gray-400 text-sm font-normal bg-black">
                     Payment
                   </th>
+                  <th className="text-center py-3 px-3 text-gray-400 text-sm font-normal bg-black">
+                    RTO Risk
+                  </th>
                   <th className="text-center py-3 px-3 text-gray-400 text-sm font-normal bg-black">
                     Date
                   </th>
@@ -489,7 +595,7 @@ const OrderConfirmation = () => {
               <tbody>
                 {filteredOrders.length === 0 ? (
                   <tr>
-                    <td colSpan="8" className="py-12 text-center">
+                    <td colSpan="9" className="py-12 text-center">
                       <div className="flex flex-col items-center justify-center gap-3">
                         <FiPackage className="w-12 h-12 text-gray-600" />
                         <p className="text-gray-400 text-base">No orders found</p>
@@ -534,6 +640,23 @@ const OrderConfirmation = () => {
                         {order.paymentMethod}
                       </span>
                     </td>
+                    <td className="py-2 px-3 text-center">
+                      {order.rtoRisk ? (
+                        <div
+                          className="inline-flex items-center gap-1"
+                          title={order.rtoRisk.factors.map(f => `${f.label} (${f.ratio}× store rate)`).join('\n')}
+                        >
+                          <span className={`inline-block px-3 py-1 rounded-full text-xs font-medium whitespace-nowrap min-w-[56px] text-center ${getRiskColor(order.rtoRisk.level)}`}>
+                            {Math.round(order.rtoRisk.score)}%
+                          </span>
+                          {order.needsCall && (
+                            <FiPhone className="w-3 h-3 text-red-400" title="Needs confirmation call" />
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-xs text-gray-500">—</span>
+                      )}
+                    </td>
                     <td className="py-2 px-3 text-gray-300 text-xs text-center whitespace-nowrap">{order.date}</td>
                     <td className="py-2 px-3 text-center">
                       <div className="flex items-center justify-center gap-1.5 relative">
@@ -1,277 +1,494 @@
-import React from "react";
+/**
+ * Products Component
+ *
+ * PURPOSE: Edit per-variant manufacturing cost (COGS) and see each variant's profitability
+ *
+ * FEATURES:
+ * 1. Inline cost editing with an "effective from" date (costs are kept as history)
+ * 2. CSV download / upload for bulk editing thousands of SKUs
+ * 3. Per-row validation errors returned by the backend on upload
+ * 4. Units sold, revenue and gross margin for the last 30 days next to each cost
+ */
+
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import axiosInstance from "../../axios";
+import { toast } from "react-toastify";
+import { PulseLoader } from "react-spinners";
+import { FiDownload, FiUpload, FiSave, FiRefreshCw, FiClock, FiX } from "react-icons/fi";
+
+const CSV_HEADERS = ["productId", "variantId", "sku", "title", "variant", "price", "cost", "effectiveFrom"];
+
+// Local calendar date (en-CA formats as YYYY-MM-DD) - toISOString would give the UTC day
+const today = () => new Date().toLocaleDateString("en-CA");
+
+const formatCurrency = (value) =>
+  `₹${Number(value || 0).toLocaleString("en-IN", { maximumFractionDigits: 0 })}`;
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF).
+ * Returns an array of rows, each an array of cell strings.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
 
 const Products = () => {
+  const [products, setProducts] = useState([]);
+  const [costs, setCosts] = useState({}); // { [rowId]: string }
+  const [effectiveFrom, setEffectiveFrom] = useState(today());
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [uploadErrors, setUploadErrors] = useState([]);
+  const [history, setHistory] = useState(null); // { product, entries }
+  const fileInputRef = useRef(null);
+
+  const fetchProducts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axiosInstance.get("/data/all-with-costs");
+      const list = Array.isArray(res.data) ? res.data : [];
+      setProducts(list);
+      setCosts({});
+    } catch (err) {
+      console.error("Error fetching products:", err);
+      toast.error("Failed to load products. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProducts();
+  }, [fetchProducts]);
+
+  const handleChange = (rowId, value) => {
+    setCosts((prev) => ({ ...prev, [rowId]: value }));
+  };
+
+  // Only rows whose cost differs from the saved value
+  const updates = useMemo(() => {
+    return products
+      .filter((p) => costs[p.id] !== undefined && costs[p.id] !== "" && Number(costs[p.id]) !== Number(p.cost))
+      .map((p) => ({
+        productId: p.productId,
+        variantId: p.variantId,
+        sku: p.sku,
+        cost: Number(costs[p.id]),
+        effectiveFrom,
+      }));
+  }, [products, costs, effectiveFrom]);
+
+  const saveUpdates = async (rows) => {
+    const res = await axiosInstance.post("/data/update-costs", rows);
+    return res.data;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (updates.length === 0) {
+      toast.info("No changes to save.");
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const result = await saveUpdates(updates);
+      if (result.failed > 0) {
+        setUploadErrors(result.errors);
+        toast.warn(`Saved ${result.saved} costs, ${result.failed} rejected`);
+      } else {
+        toast.success(`✅ ${result.saved} costs updated`);
+      }
+      await fetchProducts();
+    } catch (err) {
+      console.error("Update error:", err);
+      toast.error("❌ Failed to update costs. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // effectiveFrom is left blank: imported rows default to the date picked on the page,
+  // so an edited cost never overwrites the entry of its last change
+  const handleDownload = () => {
+    const lines = [CSV_HEADERS.join(",")];
+    products.forEach((p) => {
+      lines.push(
+        [p.productId, p.variantId, p.sku, p.title, p.variantTitle, p.price, p.cost, ""]
+          .map(escapeCsv)
+          .join(",")
+      );
+    });
+    const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `product-costs-${today()}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setUploadErrors([]);
+    const text = await file.text();
+    const [header, ...dataRows] = parseCsv(text);
+
+    if (!header) {
+      toast.error("The CSV file is empty.");
+      return;
+    }
+
+    const columns = header.map((h) => h.trim());
+    const col = (name) => columns.indexOf(name);
+    if (col("cost") === -1 || (col("sku") === -1 && col("variantId") === -1 && col("productId") === -1)) {
+      toast.error("CSV needs a cost column and one of sku, variantId or productId.");
+      return;
+    }
+
+    // Saved cost per identifier, most specific first (as the backend resolves them)
+    const savedCosts = new Map();
+    products.forEach((p) => {
+      [`variant:${p.variantId}`, `sku:${p.sku}`, `product:${p.productId}`].forEach((key) => {
+        if (!savedCosts.has(key)) savedCosts.set(key, Number(p.cost));
+      });
+    });
+    const currentCost = (row) =>
+      row.variantId ? savedCosts.get(`variant:${row.variantId}`)
+        : row.sku ? savedCosts.get(`sku:${row.sku}`)
+        : savedCosts.get(`product:${row.productId}`);
+
+    // Row numbers match the spreadsheet (header is row 1)
+    const allRows = dataRows.map((cells, index) => {
+      const get = (name) => (col(name) === -1 ? "" : (cells[col(name)] || "").trim());
+      return {
+        row: index + 2,
+        productId: get("productId") || undefined,
+        variantId: get("variantId") || undefined,
+        sku: get("sku") || undefined,
+        cost: get("cost"),
+        effectiveFrom: get("effectiveFrom") || effectiveFrom,
+      };
+    });
+
+    if (allRows.length === 0) {
+      toast.error("No data rows found in the CSV.");
+      return;
+    }
+
+    // Only rows whose cost differs from the saved value, as with manual edits
+    const rows = allRows.filter((row) => row.cost === "" || Number(row.cost) !== currentCost(row));
+    if (rows.length === 0) {
+      toast.info("No cost changes in the CSV.");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = await saveUpdates(rows);
+      setUploadErrors(result.errors || []);
+      if (result.failed > 0) {
+        toast.warn(`Imported ${result.saved} rows, ${result.failed} rows have errors`);
+      } else {
+        toast.success(`✅ Imported ${result.saved} costs`);
+      }
+      await fetchProducts();
+    } catch (err) {
+      console.error("CSV upload error:", err);
+      toast.error(err.response?.data?.error || "❌ Failed to import CSV.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const showHistory = async (product) => {
+    try {
+      const res = await axiosInstance.get("/onboard/cost-history", {
+        params: { productId: product.productId },
+      });
+      const entries = (res.data.history || []).filter(
+        (h) => h.scope === "product" || h.variantId === product.variantId || (product.sku && h.sku === product.sku)
+      );
+      setHistory({ product, entries });
+    } catch (err) {
+      console.error("Cost history error:", err);
+      toast.error("Failed to load cost history.");
+    }
+  };
+
+  const filtered = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return products;
+    return products.filter(
+      (p) => p.title?.toLowerCase().includes(term) || p.sku?.toLowerCase().includes(term)
+    );
+  }, [products, searchTerm]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen bg-[#0D1D1E]">
+        <PulseLoader size={15} color="#12EB8E" />
+      </div>
+    );
+  }
+
   return (
-    <div className="p-6 text-white">
-      <h2 className="text-2xl font-bold mb-4">Products</h2>
-      <p>
-        Coming soon: Our team is working hard, and we’ll launch it as soon as
-        it's ready.
-      </p>
+    <div className="p-6 text-white space-y-6 bg-[#0D1D1E] min-h-screen">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+        <div>
+          <h2 className="text-2xl font-bold">Product Costs</h2>
+          <p className="text-gray-400 mt-1">
+            Manufacturing cost per variant. Sales and margin cover the last 30 days.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={handleDownload}
+            disabled={products.length === 0}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border border-white/20 hover:bg-white/10 disabled:opacity-50"
+          >
+            <FiDownload /> Download CSV
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={submitting}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border border-white/20 hover:bg-white/10 disabled:opacity-50"
+          >
+            <FiUpload /> Upload CSV
+          </button>
+          <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleUpload} className="hidden" />
+          <button
+            type="button"
+            onClick={fetchProducts}
+            disabled={submitting}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border border-white/20 hover:bg-white/10 disabled:opacity-50"
+          >
+            <FiRefreshCw /> Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Upload errors */}
+      {uploadErrors.length > 0 && (
+        <div className="bg-red-900/30 border border-red-500/40 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-semibold text-red-300">{uploadErrors.length} rows were not saved</h3>
+            <button onClick={() => setUploadErrors([])} className="text-gray-400 hover:text-white">
+              <FiX />
+            </button>
+          </div>
+          <ul className="text-sm text-red-200 max-h-48 overflow-y-auto space-y-1">
+            {uploadErrors.map((err) => (
+              <li key={`${err.row}-${err.error}`}>
+                Row {err.row}
+                {err.sku ? ` (${err.sku})` : ""}: {err.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex flex-col md:flex-row gap-4 md:items-center">
+          <input
+            type="text"
+            placeholder="Search by title or SKU..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="px-4 py-2 rounded-md w-full max-w-lg bg-[#1E2A2B] border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-[#12EB8E]"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            Costs effective from
+            <input
+              type="date"
+              value={effectiveFrom}
+              onChange={(e) => setEffectiveFrom(e.target.value || today())}
+              className="px-3 py-2 rounded-md bg-[#1E2A2B] border border-gray-600 text-white"
+            />
+          </label>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left border-collapse text-sm">
+            <thead>
+              <tr className="border-b border-gray-600 text-gray-300">
+                <th className="py-3 px-3 font-semibold">Product</th>
+                <th className="py-3 px-3 font-semibold">SKU</th>
+                <th className="py-3 px-3 font-semibold text-right">Price</th>
+                <th className="py-3 px-3 font-semibold">Cost (₹)</th>
+                <th className="py-3 px-3 font-semibold text-right">Units Sold</th>
+                <th className="py-3 px-3 font-semibold text-right">Revenue</th>
+                <th className="py-3 px-3 font-semibold text-right">Margin</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.length > 0 ? (
+                filtered.map((product) => {
+                  const value = costs[product.id] ?? String(product.cost ?? 0);
+                  const changed = costs[product.id] !== undefined && Number(costs[product.id]) !== Number(product.cost);
+                  return (
+                    <tr key={product.id} className="border-b border-gray-700 hover:bg-[#1E2A2B] transition-colors duration-200">
+                      <td className="py-3 px-3">
+                        <div className="flex items-center gap-3">
+                          {product.image && (
+                            <img src={product.image} width={36} height={36} alt={product.title} className="rounded-md" />
+                          )}
+                          <div>
+                            <div className="font-medium">{product.title}</div>
+                            {product.variantTitle && <div className="text-xs text-gray-400">{product.variantTitle}</div>}
+                          </div>
+                        </div>
+                      </td>
+                      <td className="py-3 px-3 text-gray-300">{product.sku || "—"}</td>
+                      <td className="py-3 px-3 text-right">{formatCurrency(product.price)}</td>
+                      <td className="py-3 px-3">
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={value}
+                            onChange={(e) => handleChange(product.id, e.target.value)}
+                            className={`w-28 px-2 py-1 rounded-md bg-transparent border text-white focus:outline-none focus:ring-2 focus:ring-[#12EB8E] ${
+                              changed ? "border-[#12EB8E]" : "border-gray-500"
+                            }`}
+                          />
+                          <button
+                            type="button"
+                            onClick={() => showHistory(product)}
+                            title={product.costEffectiveFrom ? `Since ${product.costEffectiveFrom}` : "Cost history"}
+                            className="text-gray-400 hover:text-white"
+                          >
+                            <FiClock />
+                          </button>
+                        </div>
+                      </td>
+                      <td className="py-3 px-3 text-right">{product.unitsSold}</td>
+                      <td className="py-3 px-3 text-right">{formatCurrency(product.revenue)}</td>
+                      <td
+                        className={`py-3 px-3 text-right ${
+                          product.margin === null ? "text-gray-500" : product.margin < 0 ? "text-red-400" : "text-green-400"
+                        }`}
+                      >
+                        {product.margin === null ? "—" : `${product.margin}%`}
+                      </td>
+                    </tr>
+                  );
+                })
+              ) : (
+                <tr>
+                  <td colSpan="7" className="text-center py-8 text-gray-400">
+                    No products found.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="w-full flex justify-end pt-2">
+          <button
+            type="submit"
+            disabled={submitting || updates.length === 0}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-colors ${
+              updates.length > 0 && !submitting
+                ? "bg-green-600 hover:bg-green-700 text-white"
+                : "bg-gray-600 text-gray-400 cursor-not-allowed"
+            }`}
+          >
+            <FiSave />
+            {submitting ? "Saving..." : `Save Changes${updates.length ? ` (${updates.length})` : ""}`}
+          </button>
+        </div>
+      </form>
+
+      {/* Cost history */}
+      {history && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50" onClick={() => setHistory(null)}>
+          <div className="bg-[#1E1E1E] rounded-xl p-6 w-full max-w-md" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="font-semibold">
+                Cost history: {history.product.title}
+                {history.product.variantTitle ? ` / ${history.product.variantTitle}` : ""}
+              </h3>
+              <button onClick={() => setHistory(null)} className="text-gray-400 hover:text-white">
+                <FiX />
+              </button>
+            </div>
+            {history.entries.length === 0 ? (
+              <p className="text-gray-400 text-sm">No dated costs yet. The current cost comes from onboarding.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 border-b border-gray-700">
+                    <th className="py-2 text-left">Effective from</th>
+                    <th className="py-2 text-left">Applies to</th>
+                    <th className="py-2 text-right">Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.entries.map((entry) => (
+                    <tr key={entry.costKey} className="border-b border-gray-800">
+                      <td className="py-2">{entry.effectiveFrom}</td>
+                      <td className="py-2 text-gray-300">{entry.scope === "product" ? "All variants" : entry.scopeId}</td>
+                      <td className="py-2 text-right">₹{Number(entry.cost).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
 export default Products;
-
-// import React, { useState, useEffect, useCallback, useMemo } from "react";
-// import axios from "axios";
-// import axiosInstance from "../../axios";
-
-// const Notification = ({ message, type, onClear }) => {
-//   if (!message) return null;
-//   const baseStyle =
-//     "fixed top-5 right-5 p-4 rounded-lg text-white shadow-lg transition-opacity duration-300 z-50";
-//   const typeStyles = {
-//     success: "bg-green-500",
-//     error: "bg-red-500",
-//     info: "bg-blue-500",
-//   };
-//   return (
-//     <div className={`${baseStyle} ${typeStyles[type] || "bg-gray-700"}`}>
-//       <span>{message}</span>
-//       <button onClick={onClear} className="ml-4 font-bold">
-//         X
-//       </button>
-//     </div>
-//   );
-// };
-
-// export default function Products() {
-//   const [products, setProducts] = useState([]);
-//   const [costs, setCosts] = useState({}); // { [productId]: number|string }
-//   const [initialCosts, setInitialCosts] = useState({});
-//   const [loading, setLoading] = useState(true);
-//   const [submitting, setSubmitting] = useState(false);
-//   const [searchTerm, setSearchTerm] = useState("");
-//   const [notification, setNotification] = useState({ message: "", type: "" });
-
-//   // auto-clear notifications
-//   useEffect(() => {
-//     if (!notification.message) return;
-//     const t = setTimeout(
-//       () => setNotification({ message: "", type: "" }),
-//       4000
-//     );
-//     return () => clearTimeout(t);
-//   }, [notification]);
-
-//   const fetchProducts = useCallback(async () => {
-//     setLoading(true);
-//     try {
-//       const res = await axiosInstance.get("/data/all-with-costs", {
-//         withCredentials: true,
-//       });
-//       const list = Array.isArray(res.data) ? res.data : [];
-//       setProducts(list);
-
-//       // default missing/invalid costs to 0
-//       const init = {};
-//       list.forEach((p) => {
-//         init[p.id] = Number.isFinite(Number(p.cost)) ? Number(p.cost) : 0;
-//       });
-//       setCosts(init);
-//       setInitialCosts(init);
-//     } catch (err) {
-//       console.error("Error fetching products:", err);
-//       setNotification({
-//         message: "Failed to load products. Please try again.",
-//         type: "error",
-//       });
-//     } finally {
-//       setLoading(false);
-//     }
-//   }, []);
-
-//   useEffect(() => {
-//     fetchProducts();
-//   }, [fetchProducts]);
-
-//   // input change
-//   const handleChange = (productId, value) => {
-//     const clean = value === "" ? "" : value; // allow clearing the field
-//     setCosts((prev) => ({ ...prev, [productId]: clean }));
-//   };
-
-//   // build changed updates
-//   const updates = useMemo(() => {
-//     const u = [];
-//     Object.entries(costs).forEach(([productId, v]) => {
-//       const parsed = Number.isFinite(Number(v)) ? Number(v) : 0;
-//       const orig = Number.isFinite(Number(initialCosts[productId]))
-//         ? Number(initialCosts[productId])
-//         : 0;
-//       if (parsed !== orig) u.push({ productId, cost: parsed });
-//     });
-//     return u;
-//   }, [costs, initialCosts]);
-
-//   // submit
-//   const handleSubmit = async (e) => {
-//     e.preventDefault();
-//     if (updates.length === 0) {
-//       setNotification({ message: "No changes to save.", type: "info" });
-//       return;
-//     }
-//     setSubmitting(true);
-//     try {
-//       await axiosInstance.post("/data/update-costs", updates, {
-//         withCredentials: true,
-//       });
-//       setNotification({
-//         message: "✅ Costs updated successfully!",
-//         type: "success",
-//       });
-//       await fetchProducts();
-//     } catch (err) {
-//       console.error("Update error:", err);
-//       setNotification({
-//         message: "❌ Failed to update costs. Please try again.",
-//         type: "error",
-//       });
-//     } finally {
-//       setSubmitting(false);
-//     }
-//   };
-
-//   const filtered = useMemo(() => {
-//     const term = searchTerm.trim().toLowerCase();
-//     if (!term) return products;
-//     return products.filter((p) => p.title?.toLowerCase().includes(term));
-//   }, [products, searchTerm]);
-
-//   if (loading) {
-//     return (
-//       <div className="flex items-center justify-center h-screen bg-[#0D1D1E]">
-//         <div className="h-12 w-12 rounded-full border-4 border-white/20 border-t-white animate-spin" />
-//       </div>
-//     );
-//   }
-
-//   return (
-//     <div className="min-h-screen px-4 py-6 bg-[#0D1D1E] text-white flex justify-center items-start">
-//       <Notification
-//         message={notification.message}
-//         type={notification.type}
-//         onClear={() => setNotification({ message: "", type: "" })}
-//       />
-//       {/* background blurs */}
-//       <div
-//         className="absolute top-0 right-0 w-64 h-64 rounded-full blur-[100px] opacity-30 z-0"
-//         style={{ background: "linear-gradient(to right, #12EB8E, #12EB8E)" }}
-//       />
-//       <div
-//         className="absolute bottom-0 left-0 w-64 h-64 rounded-full blur-[100px] opacity-30 z-0"
-//         style={{ background: "linear-gradient(to left, #12EB8E, #12EB8E)" }}
-//       />
-
-//       <div className="w-full max-w-6xl p-6 rounded-xl z-10 mt-2">
-//         <h2 className="text-3xl font-bold mb-6 text-center">
-//           Manage Product Costs
-//         </h2>
-
-//         {/* search */}
-//         <div className="flex justify-center mb-6">
-//           <input
-//             type="text"
-//             placeholder="Search by product title..."
-//             value={searchTerm}
-//             onChange={(e) => setSearchTerm(e.target.value)}
-//             className="px-4 py-2 rounded-md w-full max-w-lg bg-[#1E2A2B] border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-[#12EB8E]"
-//           />
-//         </div>
-
-//         <form onSubmit={handleSubmit} className="space-y-6">
-//           <div className="overflow-x-auto">
-//             <table className="w-full text-left border-collapse text-sm">
-//               <thead>
-//                 <tr className="border-b border-gray-600">
-//                   <th className="py-3 px-4 font-semibold">Image</th>
-//                   <th className="py-3 px-4 font-semibold">Product Title</th>
-//                   <th className="py-3 px-4 font-semibold">Retail Price (₹)</th>
-//                   <th className="py-3 px-4 font-semibold">
-//                     Manufacturing Cost (₹)
-//                   </th>
-//                 </tr>
-//               </thead>
-//               <tbody>
-//                 {filtered.length > 0 ? (
-//                   filtered.map((product) => {
-//                     const value = costs[product.id];
-//                     const display = value === "" ? "" : String(value);
-//                     return (
-//                       <tr
-//                         key={product.id}
-//                         className="border-b border-gray-700 hover:bg-[#1E2A2B] transition-colors duration-200"
-//                       >
-//                         <td className="py-3 px-4">
-//                           <img
-//                             src={product.image}
-//                             width={40}
-//                             height={40}
-//                             alt={product.title}
-//                             className="rounded-md"
-//                             onError={(e) => {
-//                               e.currentTarget.onerror = null;
-//                               e.currentTarget.src =
-//                                 "https://placehold.co/40x40/1E2A2B/FFFFFF?text=Err";
-//                             }}
-//                           />
-//                         </td>
-//                         <td className="py-3 px-4 font-medium">
-//                           {product.title}
-//                         </td>
-//                         <td className="py-3 px-4">
-//                           ₹{Number(product.price ?? 0).toFixed(2)}
-//                         </td>
-//                         <td className="py-3 px-4">
-//                           <input
-//                             type="number"
-//                             step="0.01"
-//                             placeholder="Enter cost"
-//                             value={display}
-//                             onChange={(e) =>
-//                               handleChange(product.id, e.target.value)
-//                             }
-//                             className="w-full max-w-[150px] px-2 py-1 rounded-md bg-transparent border border-gray-500 text-white focus:outline-none focus:ring-2 focus:ring-[#12EB8E]"
-//                           />
-//                         </td>
-//                       </tr>
-//                     );
-//                   })
-//                 ) : (
-//                   <tr>
-//                     <td colSpan="4" className="text-center py-8 text-gray-400">
-//                       No products found.
-//                     </td>
-//                   </tr>
-//                 )}
-//               </tbody>
-//             </table>
-//           </div>
-
-//           <div className="w-full flex justify-end pt-4 gap-3">
-//             <button
-//               type="button"
-//               onClick={fetchProducts}
-//               disabled={submitting}
-//               className="px-4 py-3 rounded-md border border-white/20 hover:bg-white/10 disabled:opacity-50"
-//             >
-//               Refresh
-//             </button>
-//             <button
-//               type="submit"
-//               disabled={submitting}
-//               className="w-40 py-3 rounded-md text-black font-semibold transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed hover:bg-white"
-//               style={{ backgroundColor: "#12EB8E" }}
-//             >
-//               {submitting
-//                 ? "Saving..."
-//                 : `Save Changes${updates.length ? ` (${updates.length})` : ""}`}
-//             </button>
-//           </div>
-//         </form>
-//       </div>
-//     </div>
-//   );
-// }
@@ -10,6 +10,7 @@ export default function Settings() {
   const [shopify, setShopify] = useState({ storeUrl: "", apiKey: "", apiSecret: "", accessToken: "" });
   const [meta, setMeta] = useState({ adAccountId: "" });
   const [shiprocket, setShiprocket] = useState({ shiproactId: "", shiproactPassword: "" });
+  const [shiprocketHealth, setShiprocketHealth] = useState(null);
   const [activeTab, setActiveTab] = useState("Account");
   const [passwordData, setPasswordData] = useState({ oldPassword: "", newPassword: "", confirmPassword: "" });
   const [isChangingPassword, setIsChangingPassword] = useState(false);
@@ -45,6 +46,12 @@ export default function Settings() {
         setProfile({});
         alert("Failed to load profile. Please try refreshing the page.");
       });
+
+    // Token state for Shiprocket (renewed automatically from the stored credentials)
+    axiosInstance
+      .get("/shipping/connection")
+      .then((res) => setShiprocketHealth(res.data.health || null))
+      .catch(() => setShiprocketHealth(null));
   }, []);
 
   const save = async (url, payload) => {
@@ -300,6 +307,17 @@ export default function Settings() {
                   </span>
                 )}
               </p>
+              {shiprocketHealth && !shiprocketHealth.needsReconnect && (
+                <p className="text-gray-400 text-xs mt-1">
+                  API token renews automatically
+                  {shiprocketHealth.expiresAt && ` (current token valid until ${new Date(shiprocketHealth.expiresAt).toLocaleDateString()})`}
+                </p>
+              )}
+              {shiprocketHealth?.needsReconnect && (
+                <p className="text-yellow-400 text-xs mt-1">
+                  ⚠️ {shiprocketHealth.reason || "Token can't be renewed"} - enter your password below to reconnect.
+                </p>
+              )}
             </div>
           )}
           
@@ -323,7 +341,7 @@ export default function Settings() {
                 className="w-full px-3 py-2 bg-gray-900 border border-gray-700 rounded focus:outline-none focus:border-blue-500 focus:ring-1 focus:ring-blue-500 text-white"
                 placeholder="Enter password to reconnect"
               />
-              <p className="text-xs text-gray-500 mt-1">Password is required to reconnect. It will be stored securely for automatic token refresh.</p>
+              <p className="text-xs text-gray-500 mt-1">Password is required to reconnect. It is stored encrypted and used only to renew your API token.</p>
             </div>
           </div>
           <div className="mt-6 flex gap-4">
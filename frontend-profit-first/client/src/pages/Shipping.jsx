@@ -15,6 +15,7 @@ import {
 } from "recharts";
 import DateRangeSelector from "../components/DateRangeSelector";
 import ShippingMetrics from "../components/ShippingMetrics";
+import NdrManagement from "../components/NdrManagement";
 import { subDays } from "date-fns";
 import { FiInfo, FiBarChart2 } from "react-icons/fi";
 import Samplemap from "../components/Samplemap";
@@ -92,14 +93,15 @@ const Shipping = () => {
       });
   }, [currentYear, pastYear]);
 
-  if (loading || !rangeData || !yearData.curr) {
+  if (loading) {
     return (
       <div className="flex items-center justify-center h-screen bg-[#0D1D1E]">
         <PulseLoader size={15} color="#12EB8E" />
       </div>
     );
   }
-  if (error) return <div className="p-6 text-red-500">{error}</div>;
+  // Metrics and NDRs have their own endpoints - only the breakdown needs summary data
+  const breakdownReady = rangeData && yearData.curr && yearData.past;
 
   const getValueBasedStops = (data) => {
     const values = data.map((d) => d.value);
@@ -212,370 +214,383 @@ const Shipping = () => {
         endDate={dateRange.endDate.toISOString().slice(0, 10)}
       />
 
-      <div className="space-y-4">
-        {/* Row 1 – first 4 summary items */}
-        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
-          {rangeData.summaryData.slice(0, 4).map(([title, value]) => (
-            <div
-              key={title}
-              className="bg-[#161616] p-4 rounded-xl z-1 h-fit flex flex-col justify-center items-center"
-            >
-              <div className="text-sm text-gray-300">{title}</div>
-              <div className="text-xl font-bold">{value}</div>
+      <NdrManagement
+        startDate={dateRange.startDate.toISOString().slice(0, 10)}
+        endDate={dateRange.endDate.toISOString().slice(0, 10)}
+      />
+
+      {breakdownReady ? (
+        <>
+          <div className="space-y-4">
+            {/* Row 1 – first 4 summary items */}
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+              {rangeData.summaryData.slice(0, 4).map(([title, value]) => (
+                <div
+                  key={title}
+                  className="bg-[#161616] p-4 rounded-xl z-1 h-fit flex flex-col justify-center items-center"
+                >
+                  <div className="text-sm text-gray-300">{title}</div>
+                  <div className="text-xl font-bold">{value}</div>
+                </div>
+              ))}
             </div>
-          ))}
-        </div>
 
-        {/* Row 2 – next 5 summary items */}
-        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4 ">
-          {rangeData.summaryData.slice(4, 9).map(([title, value]) => (
-            <div
-              key={title}
-              className="bg-[#161616] p-4 rounded-xl z-1 h-fit flex flex-col justify-center items-center"
-            >
-              <div className="text-sm text-gray-300">{title}</div>
-              <div className="text-xl font-bold">{value}</div>
+            {/* Row 2 – next 5 summary items */}
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4 ">
+              {rangeData.summaryData.slice(4, 9).map(([title, value]) => (
+                <div
+                  key={title}
+                  className="bg-[#161616] p-4 rounded-xl z-1 h-fit flex flex-col justify-center items-center"
+                >
+                  <div className="text-sm text-gray-300">{title}</div>
+                  <div className="text-xl font-bold">{value}</div>
+                </div>
+              ))}
             </div>
-          ))}
-        </div>
-      </div>
+          </div>
 
-      {/* Shipping Chart Section */}
-      <div className="">
-        <div className="flex justify-between items-center mb-4">
-          <h2 className="text-2xl font-bold">Shipping BreakDown</h2>
-        </div>
-        <div className="bg-[#161616] rounded-2xl p-6 flex justify-between gap-4 align-center">
-          <div className="mt-6 w-full">
-            <div className="flex items-center justify-between mb-2">
-              <div className="space-x-2">
-                {["Shipment", "ShipmentCost", "Delivered", "RTO"].map(
-                  (metric) => (
+          {/* Shipping Chart Section */}
+          <div className="">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-bold">Shipping BreakDown</h2>
+            </div>
+            <div className="bg-[#161616] rounded-2xl p-6 flex justify-between gap-4 align-center">
+              <div className="mt-6 w-full">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="space-x-2">
+                    {["Shipment", "ShipmentCost", "Delivered", "RTO"].map(
+                      (metric) => (
+                        <button
+                          key={metric}
+                          onClick={() => setSelectedMetric(metric)}
+                          className={`px-3 py-1 rounded-lg text-sm ${
+                            selectedMetric === metric
+                              ? "bg-[#00B0FF] text-white font-bold"
+                              : "bg-[#434343] text-white"
+                          }`}
+                        >
+                          {metric}
+                        </button>
+                      )
+                    )}
+                  </div>
+                  <div className="flex items-center gap-4 relative">
+                    {/* map year selectore  */}
+                    <select
+                      value={currentYear}
+                      onChange={(e) => setcurrentYear(+e.target.value)}
+                      className="px-2 py-1 bg-[#161616] border rounded cursor-pointer"
+                    >
+                      {years.map((y) => (
+                        <option key={y} value={y}>
+                          {y}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={pastYear}
+                      onChange={(e) => setpastYear(+e.target.value)}
+                      className="px-2 py-1 bg-[#161616] border rounded cursor-pointer"
+                    >
+                      {years.map((y) => (
+                        <option key={y} value={y}>
+                          {y}
+                        </option>
+                      ))}
+                    </select>
                     <button
-                      key={metric}
-                      onClick={() => setSelectedMetric(metric)}
-                      className={`px-3 py-1 rounded-lg text-sm ${
-                        selectedMetric === metric
-                          ? "bg-[#00B0FF] text-white font-bold"
-                          : "bg-[#434343] text-white"
-                      }`}
+                      onClick={() => setShowLastYear((ys) => !ys)}
+                      className="ml-4 text-sm text-gray-300"
                     >
-                      {metric}
+                      {showLastYear ? "Hide Last Year" : "Show Last Year"}
                     </button>
-                  )
+                  </div>
+                </div>
+                {yearData.curr.chartData[selectedMetric] && (
+                  <div className="h-64 bg-[#161616] rounded-lg p-4 z-1 ">
+                    {/* Area Chart */}
+                    <ResponsiveContainer width="100%" height="100%">
+                      <AreaChart data={yearData.curr.chartData[selectedMetric]}>
+                        <XAxis dataKey="name" stroke="#888" />
+                        <YAxis stroke="#888" />
+                        <Tooltip
+                          contentStyle={{
+                            backgroundColor: "#161616",
+                            border: "none",
+                          }}
+                          labelStyle={{ color: "#fff" }}
+                          itemStyle={{ color: "#3ADA83" }}
+                        />
+                        <defs>
+                          <linearGradient
+                            id="colorUv"
+                            x1="0%"
+                            y1="0%"
+                            x2="100%"
+                            y2="0%"
+                          >
+                            {gradientStops}
+                          </linearGradient>
+                          <linearGradient
+                            id="lineGradient"
+                            x1="0%"
+                            y1="0%"
+                            x2="100%"
+                            y2="0%"
+                          >
+                            {gradientStops}
+                          </linearGradient>
+                        </defs>
+                        <Area
+                          type="monotone"
+                          dataKey="value"
+                          stroke="url(#lineGradient)"
+                          fill="url(#colorUv)"
+                          strokeWidth={3}
+                          dot={{ fill: "#3ADA83", r: 4 }}
+                          activeDot={{ r: 6 }}
+                        />
+                        {showLastYear && (
+                          <Area
+                            type="monotone"
+                            data={yearData.past.chartData[selectedMetric]}
+                            dataKey="Lastvalue"
+                            stroke="#FF5733"
+                            fill="url(#lastYearGradient)"
+                            strokeWidth={2}
+                            dot={{ fill: "#FF5733", r: 3 }}
+                            activeDot={{ r: 5 }}
+                          />
+                        )}
+                      </AreaChart>
+                    </ResponsiveContainer>
+                  </div>
                 )}
               </div>
-              <div className="flex items-center gap-4 relative">
-                {/* map year selectore  */}
-                <select
-                  value={currentYear}
-                  onChange={(e) => setcurrentYear(+e.target.value)}
-                  className="px-2 py-1 bg-[#161616] border rounded cursor-pointer"
-                >
-                  {years.map((y) => (
-                    <option key={y} value={y}>
-                      {y}
-                    </option>
-                  ))}
-                </select>
-                <select
-                  value={pastYear}
-                  onChange={(e) => setpastYear(+e.target.value)}
-                  className="px-2 py-1 bg-[#161616] border rounded cursor-pointer"
-                >
-                  {years.map((y) => (
-                    <option key={y} value={y}>
-                      {y}
-                    </option>
-                  ))}
-                </select>
-                <button
-                  onClick={() => setShowLastYear((ys) => !ys)}
-                  className="ml-4 text-sm text-gray-300"
-                >
-                  {showLastYear ? "Hide Last Year" : "Show Last Year"}
-                </button>
-              </div>
-            </div>
-            {yearData.curr.chartData[selectedMetric] && (
-              <div className="h-64 bg-[#161616] rounded-lg p-4 z-1 ">
-                {/* Area Chart */}
-                <ResponsiveContainer width="100%" height="100%">
-                  <AreaChart data={yearData.curr.chartData[selectedMetric]}>
-                    <XAxis dataKey="name" stroke="#888" />
-                    <YAxis stroke="#888" />
-                    <Tooltip
-                      contentStyle={{
-                        backgroundColor: "#161616",
-                        border: "none",
-                      }}
-                      labelStyle={{ color: "#fff" }}
-                      itemStyle={{ color: "#3ADA83" }}
-                    />
-                    <defs>
-                      <linearGradient
-                        id="colorUv"
-                        x1="0%"
-                        y1="0%"
-                        x2="100%"
-                        y2="0%"
-                      >
-                        {gradientStops}
-                      </linearGradient>
-                      <linearGradient
-                        id="lineGradient"
-                        x1="0%"
-                        y1="0%"
-                        x2="100%"
-                        y2="0%"
-                      >
-                        {gradientStops}
-                      </linearGradient>
-                    </defs>
-                    <Area
-                      type="monotone"
-                      dataKey="value"
-                      stroke="url(#lineGradient)"
-                      fill="url(#colorUv)"
-                      strokeWidth={3}
-                      dot={{ fill: "#3ADA83", r: 4 }}
-                      activeDot={{ r: 6 }}
-                    />
-                    {showLastYear && (
-                      <Area
-                        type="monotone"
-                        data={yearData.past.chartData[selectedMetric]}
-                        dataKey="Lastvalue"
-                        stroke="#FF5733"
-                        fill="url(#lastYearGradient)"
-                        strokeWidth={2}
-                        dot={{ fill: "#FF5733", r: 3 }}
-                        activeDot={{ r: 5 }}
-                      />
-                    )}
-                  </AreaChart>
-                </ResponsiveContainer>
-              </div>
-            )}
-          </div>
 
-          <div className="bg-[#161616] rounded-xl shadow-xl p-4 w-[450px]">
-            <div className="flex items-center justify-between mb-2">
-              <h2 className="text-white font-semibold text-sm">
-                Overall Shipment Status
-              </h2>
-              <FiInfo className="text-white text-lg cursor-pointer" />
-            </div>
+              <div className="bg-[#161616] rounded-xl shadow-xl p-4 w-[450px]">
+                <div className="flex items-center justify-between mb-2">
+                  <h2 className="text-white font-semibold text-sm">
+                    Overall Shipment Status
+                  </h2>
+                  <FiInfo className="text-white text-lg cursor-pointer" />
+                </div>
 
-            <PieChart width={400} height={350}>
-              <Pie
-                data={rangeData.shipmentStatusData}
-                cx="50%"
-                cy="50%"
-                innerRadius={50}
-                outerRadius={110}
-                dataKey="value"
-                onClick={undefined}
-                style={{ cursor: "default", pointerEvents: "none" }}
-              >
-                {rangeData.shipmentStatusData.map((entry, index) => (
-                  <Cell
-                    key={`cell-${index}`}
-                    fill={shipmentColors[index]}
-                    style={{
-                      filter:
-                        activeIndex === index
-                          ? "drop-shadow(0px 0px 10px rgba(3, 201, 0, 0.7))"
-                          : "none",
-                      transition: "filter 0.3s ease",
+                <PieChart width={400} height={350}>
+                  <Pie
+                    data={rangeData.shipmentStatusData}
+                    cx="50%"
+                    cy="50%"
+                    innerRadius={50}
+                    outerRadius={110}
+                    dataKey="value"
+                    onClick={undefined}
+                    style={{ cursor: "default", pointerEvents: "none" }}
+                  >
+                    {rangeData.shipmentStatusData.map((entry, index) => (
+                      <Cell
+                        key={`cell-${index}`}
+                        fill={shipmentColors[index]}
+                        style={{
+                          filter:
+                            activeIndex === index
+                              ? "drop-shadow(0px 0px 10px rgba(3, 201, 0, 0.7))"
+                              : "none",
+                          transition: "filter 0.3s ease",
+                        }}
+                        onMouseEnter={() => onMouseEnter(index)}
+                        onMouseLeave={onMouseLeave}
+                      />
+                    ))}
+                  </Pie>
+
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: "#fff",
+                      borderRadius: "8px",
+                      border: "none",
+                      color: "#fff",
                     }}
-                    onMouseEnter={() => onMouseEnter(index)}
-                    onMouseLeave={onMouseLeave}
+                    cursor={{ fill: "transparent" }}
                   />
-                ))}
-              </Pie>
-
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#fff",
-                  borderRadius: "8px",
-                  border: "none",
-                  color: "#fff",
-                }}
-                cursor={{ fill: "transparent" }}
-              />
 
-              <Legend
-                layout="horizontal"
-                verticalAlign="bottom"
-                align="center"
-                iconType="circle"
-                iconSize={12}
-                formatter={(value) => (
-                  <span className="text-sm text-white">{value}</span>
-                )}
-              />
-            </PieChart>
+                  <Legend
+                    layout="horizontal"
+                    verticalAlign="bottom"
+                    align="center"
+                    iconType="circle"
+                    iconSize={12}
+                    formatter={(value) => (
+                      <span className="text-sm text-white">{value}</span>
+                    )}
+                  />
+                </PieChart>
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
 
-      <div>
-        <div className="flex justify-between items-center mt-6">
-          <h2 className="text-2xl font-bold">COD Payment Status</h2>
-        </div>
+          <div>
+            <div className="flex justify-between items-center mt-6">
+              <h2 className="text-2xl font-bold">COD Payment Status</h2>
+            </div>
 
-        <div className="flex justify-between mt-6 bg-[#161616] rounded-2xl p-6">
-          {/* Overall Shipment Status */}
-          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-1 gap-4 ml-24">
-            {rangeData.codPaymentStatus.map(([title, value]) => (
-              <div
-                key={title}
-                className="bg-[#161616] p-4 rounded-xl z-1 h-fit w-[500px] flex flex-col justify-center items-center"
-              >
-                <div className="text-sm text-gray-300">{title}</div>
-                <div className="text-xl font-bold">{value}</div>
+            <div className="flex justify-between mt-6 bg-[#161616] rounded-2xl p-6">
+              {/* Overall Shipment Status */}
+              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-1 gap-4 ml-24">
+                {rangeData.codPaymentStatus.map(([title, value]) => (
+                  <div
+                    key={title}
+                    className="bg-[#161616] p-4 rounded-xl z-1 h-fit w-[500px] flex flex-col justify-center items-center"
+                  >
+                    <div className="text-sm text-gray-300">{title}</div>
+                    <div className="text-xl font-bold">{value}</div>
+                  </div>
+                ))}
               </div>
-            ))}
-          </div>
 
-          <div className="bg-[#161616] rounded-xl shadow-md p-4 w-[450px]">
-            <div className="flex items-center justify-between mb-2">
-              <h2 className="text-white font-semibold text-sm">
-                Prepaid vs. COD Orders
-              </h2>
-              <FiBarChart2 className="text-purple-400 text-lg cursor-pointer" />
-            </div>
-            <PieChart width={400} height={350}>
-              <Pie
-                data={rangeData.prepaidCodData}
-                cx="50%"
-                cy="50%"
-                innerRadius={50}
-                outerRadius={110}
-                dataKey="value"
-                onClick={undefined}
-                style={{ cursor: "default", pointerEvents: "none" }}
-              >
-                {rangeData.prepaidCodData.map((entry, index) => (
-                  <Cell
-                    key={`cell-${index}`}
-                    fill={codColors[index]}
-                    style={{
-                      filter:
-                        activeIndex === index
-                          ? "drop-shadow(0px 0px 10px rgba(3, 201, 0, 0.7))"
-                          : "none",
-                      transition: "filter 0.3s ease",
+              <div className="bg-[#161616] rounded-xl shadow-md p-4 w-[450px]">
+                <div className="flex items-center justify-between mb-2">
+                  <h2 className="text-white font-semibold text-sm">
+                    Prepaid vs. COD Orders
+                  </h2>
+                  <FiBarChart2 className="text-purple-400 text-lg cursor-pointer" />
+                </div>
+                <PieChart width={400} height={350}>
+                  <Pie
+                    data={rangeData.prepaidCodData}
+                    cx="50%"
+                    cy="50%"
+                    innerRadius={50}
+                    outerRadius={110}
+                    dataKey="value"
+                    onClick={undefined}
+                    style={{ cursor: "default", pointerEvents: "none" }}
+                  >
+                    {rangeData.prepaidCodData.map((entry, index) => (
+                      <Cell
+                        key={`cell-${index}`}
+                        fill={codColors[index]}
+                        style={{
+                          filter:
+                            activeIndex === index
+                              ? "drop-shadow(0px 0px 10px rgba(3, 201, 0, 0.7))"
+                              : "none",
+                          transition: "filter 0.3s ease",
+                        }}
+                        onMouseEnter={() => onMouseEnter(index)}
+                        onMouseLeave={onMouseLeave}
+                      />
+                    ))}
+                  </Pie>
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: "#fff",
+                      borderRadius: "8px",
+                      border: "none",
+                      color: "#fff",
                     }}
-                    onMouseEnter={() => onMouseEnter(index)}
-                    onMouseLeave={onMouseLeave}
+                    cursor={{ fill: "transparent" }}
                   />
-                ))}
-              </Pie>
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#fff",
-                  borderRadius: "8px",
-                  border: "none",
-                  color: "#fff",
-                }}
-                cursor={{ fill: "transparent" }}
-              />
-              <Legend
-                layout="horizontal"
-                verticalAlign="bottom"
-                align="center"
-                iconType="circle"
-                iconSize={12}
-                formatter={(value) => (
-                  <span className="text-sm text-white">{value}</span>
-                )}
-              />
-            </PieChart>
-          </div>
-        </div>
-      </div>
-      <div>
-        <div className="flex justify-between items-center mt-6">
-          <h2 className="text-2xl font-bold">NDR Status</h2>
-        </div>
-        <div className="flex justify-between mt-6 bg-[#161616] rounded-2xl p-6">
-          {/* Overall Shipment Status */}
-          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-1 gap-4 ml-24">
-            {rangeData.ndrSummary.map(([title, value]) => (
-              <div
-                key={title}
-                className="bg-[#161616] p-4 rounded-xl z-1 h-fit w-[500px] flex flex-col justify-center items-center"
-              >
-                <div className="text-sm text-gray-300">{title}</div>
-                <div className="text-xl font-bold">{value}</div>
+                  <Legend
+                    layout="horizontal"
+                    verticalAlign="bottom"
+                    align="center"
+                    iconType="circle"
+                    iconSize={12}
+                    formatter={(value) => (
+                      <span className="text-sm text-white">{value}</span>
+                    )}
+                  />
+                </PieChart>
               </div>
-            ))}
+            </div>
           </div>
-
-          <div className="bg-[#161616] rounded-xl shadow-md p-4 w-[450px]">
-            <div className="flex items-center justify-between mb-2">
-              <h2 className="text-white font-semibold text-sm">NDR Status</h2>
-              <FiBarChart2 className="text-purple-400 text-lg cursor-pointer" />
+          <div>
+            <div className="flex justify-between items-center mt-6">
+              <h2 className="text-2xl font-bold">NDR Status</h2>
             </div>
-            <PieChart width={400} height={350}>
-              <Pie
-                data={rangeData.ndrStatusData}
-                cx="50%"
-                cy="50%"
-                innerRadius={50}
-                outerRadius={110}
-                dataKey="value"
-                onClick={undefined}
-                style={{ cursor: "default", pointerEvents: "none" }}
-              >
-                {rangeData.ndrStatusData.map((entry, index) => (
-                  <Cell
-                    key={`cell-${index}`}
-                    fill={NDRColors[index]}
-                    style={{
-                      filter:
-                        activeIndex === index
-                          ? "drop-shadow(0px 0px 10px rgba(3, 201, 0, 0.7))"
-                          : "none",
-                      transition: "filter 0.3s ease",
+            <div className="flex justify-between mt-6 bg-[#161616] rounded-2xl p-6">
+              {/* Overall Shipment Status */}
+              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-1 gap-4 ml-24">
+                {rangeData.ndrSummary.map(([title, value]) => (
+                  <div
+                    key={title}
+                    className="bg-[#161616] p-4 rounded-xl z-1 h-fit w-[500px] flex flex-col justify-center items-center"
+                  >
+                    <div className="text-sm text-gray-300">{title}</div>
+                    <div className="text-xl font-bold">{value}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="bg-[#161616] rounded-xl shadow-md p-4 w-[450px]">
+                <div className="flex items-center justify-between mb-2">
+                  <h2 className="text-white font-semibold text-sm">NDR Status</h2>
+                  <FiBarChart2 className="text-purple-400 text-lg cursor-pointer" />
+                </div>
+                <PieChart width={400} height={350}>
+                  <Pie
+                    data={rangeData.ndrStatusData}
+                    cx="50%"
+                    cy="50%"
+                    innerRadius={50}
+                    outerRadius={110}
+                    dataKey="value"
+                    onClick={undefined}
+                    style={{ cursor: "default", pointerEvents: "none" }}
+                  >
+                    {rangeData.ndrStatusData.map((entry, index) => (
+                      <Cell
+                        key={`cell-${index}`}
+                        fill={NDRColors[index]}
+                        style={{
+                          filter:
+                            activeIndex === index
+                              ? "drop-shadow(0px 0px 10px rgba(3, 201, 0, 0.7))"
+                              : "none",
+                          transition: "filter 0.3s ease",
+                        }}
+                        onMouseEnter={() => onMouseEnter(index)}
+                        onMouseLeave={onMouseLeave}
+                      />
+                    ))}
+                  </Pie>
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: "#fff",
+                      borderRadius: "8px",
+                      border: "none",
+                      color: "#fff",
                     }}
-                    onMouseEnter={() => onMouseEnter(index)}
-                    onMouseLeave={onMouseLeave}
+                    cursor={{ fill: "transparent" }}
                   />
-                ))}
-              </Pie>
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#fff",
-                  borderRadius: "8px",
-                  border: "none",
-                  color: "#fff",
-                }}
-                cursor={{ fill: "transparent" }}
-              />
-              <Legend
-                layout="horizontal"
-                verticalAlign="bottom"
-                align="center"
-                iconType="circle"
-                iconSize={12}
-                formatter={(value) => (
-                  <span className="text-sm text-white">{value}</span>
-                )}
-              />
-            </PieChart>
+                  <Legend
+                    layout="horizontal"
+                    verticalAlign="bottom"
+                    align="center"
+                    iconType="circle"
+                    iconSize={12}
+                    formatter={(value) => (
+                      <span className="text-sm text-white">{value}</span>
+                    )}
+                  />
+                </PieChart>
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
 
-      <Samplemap
-        currentYearData={yearData.curr.sampleData}
-        pastYearData={yearData.past.sampleData}
-        currentYear={currentYear}
-        pastYear={pastYear}
-      />
+          <Samplemap
+            currentYearData={yearData.curr.sampleData}
+            pastYearData={yearData.past.sampleData}
+            currentYear={currentYear}
+            pastYear={pastYear}
+          />
+        </>
+      ) : (
+        <div className="bg-[#161616] rounded-xl p-4 text-sm text-red-400">
+          {error || "Shipping breakdown is not available."}
+        </div>
+      )}
     </div>
   );
 };